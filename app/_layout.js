@@ -6,6 +6,8 @@ import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import 'react-native-reanimated';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 
+import AutoBackup from '@/components/auto-backup';
+import AutoSync from '@/components/auto-sync';
 import DraggableSidebar from '@/components/draggable-sidebar';
 import FloatingNoteBubble from '@/components/floating-note-bubble/FloatingNoteBubble';
 import { useColorScheme } from '@/hooks/use-color-scheme';
@@ -24,14 +26,24 @@ export default function RootLayout() {
     <GestureHandlerRootView style={{ flex: 1 }}>
       <SafeAreaProvider>
         <QueryClientProvider client={queryClient}>
+          <AutoSync />
+          <AutoBackup />
           <ThemeProvider value={colorScheme === 'dark' ? DarkTheme : DefaultTheme}>
             <FloatingNoteProvider>
               <DraggableSidebar>
                 <Stack>
                   <Stack.Screen name="inbox" options={{ headerShown: false }} />
+                  <Stack.Screen name="today" options={{ headerShown: false }} />
+                  <Stack.Screen name="upcoming" options={{ headerShown: false }} />
+                  <Stack.Screen name="search" options={{ headerShown: false }} />
+                  <Stack.Screen name="conflicts" options={{ headerShown: false }} />
+                  <Stack.Screen name="sync-history" options={{ headerShown: false }} />
+                  <Stack.Screen name="sync-history/[runId]" options={{ headerShown: false }} />
+                  <Stack.Screen name="trash" options={{ headerShown: false }} />
                   <Stack.Screen name="project/[projectId]" options={{ headerShown: false }} />
                   <Stack.Screen name="task/[taskId]" options={{ headerShown: false }} />
                   <Stack.Screen name="settings" options={{ headerShown: false }} />
+                  <Stack.Screen name="import" options={{ headerShown: false }} />
                   <Stack.Screen name="tags" options={{ headerShown: false }} />
                   <Stack.Screen name="ai" options={{ headerShown: false }} />
                   <Stack.Screen name="test" options={{ headerShown: false }} />
@@ -0,0 +1,406 @@
+import { Ionicons } from '@expo/vector-icons';
+import {
+    ActivityIndicator,
+    Alert,
+    FlatList,
+    StyleSheet,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useResolveSyncConflict, useSyncConflicts } from '@/hooks/use-sync-conflicts';
+import { descriptionToBlocks } from '@/lib/blocks-utils';
+
+const TABLE_LABELS = {
+  projects: 'Project',
+  sections: 'Section',
+  tags: 'Tag',
+  tasks: 'Task',
+  filters: 'Filter',
+  chat_sessions: 'Chat',
+  chat_messages: 'Chat message',
+  settings: 'Setting',
+};
+
+// Fields shown for records that aren't tasks, in order
+const SUMMARY_FIELDS = ['name', 'title', 'value', 'query', 'content', 'role'];
+
+/**
+ * Flatten a description into rows with their nesting depth
+ */
+function blockRows(description) {
+  const rows = [];
+  const walk = (blocks, depth) => {
+    for (const block of blocks) {
+      rows.push({ block, depth });
+      if (Array.isArray(block.children)) walk(block.children, depth + 1);
+    }
+  };
+  walk(descriptionToBlocks(description || ''), 0);
+  return rows;
+}
+
+function recordLabel(conflict) {
+  const data = conflict.local_data || conflict.remote_data || {};
+  return data.title || data.name || data.key || `#${conflict.record_id}`;
+}
+
+function formatDetectedAt(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date.toLocaleString();
+}
+
+function VersionColumn({ label, tableName, data, conflictingBlockIds, colorScheme }) {
+  const mutedColor = colorScheme === 'dark' ? '#888' : '#666';
+
+  if (!data) {
+    return (
+      <View style={styles.column}>
+        <ThemedText style={styles.columnLabel}>{label}</ThemedText>
+        <ThemedText style={styles.missing}>Deleted</ThemedText>
+      </View>
+    );
+  }
+
+  if (tableName !== 'tasks') {
+    const fields = SUMMARY_FIELDS.filter(field => data[field] !== undefined && data[field] !== null);
+    return (
+      <View style={styles.column}>
+        <ThemedText style={styles.columnLabel}>{label}</ThemedText>
+        {fields.map(field => (
+          <View key={field} style={styles.field}>
+            <ThemedText style={styles.fieldName}>{field}</ThemedText>
+            <ThemedText style={styles.fieldValue}>{String(data[field])}</ThemedText>
+          </View>
+        ))}
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.column}>
+      <ThemedText style={styles.columnLabel}>{label}</ThemedText>
+      <ThemedText style={[styles.taskTitle, data.completed && styles.completedTitle]}>
+        {data.title || 'Untitled Task'}
+      </ThemedText>
+
+      {blockRows(data.description).map(({ block, depth }, index) => (
+        <View
+          key={block.id || `row-${index}`}
+          style={[
+            styles.blockRow,
+            { paddingLeft: depth * 12 },
+            conflictingBlockIds.has(block.id) && styles.conflictingBlock,
+          ]}
+        >
+          {block.type === 'toggle' && (
+            <Ionicons name="caret-forward" size={12} color={mutedColor} style={styles.blockIcon} />
+          )}
+          {block.type === 'check' && (
+            <Ionicons
+              name={block.checked ? 'checkbox' : 'square-outline'}
+              size={14}
+              color={block.checked ? '#34C759' : mutedColor}
+              style={styles.blockIcon}
+            />
+          )}
+          <ThemedText style={styles.blockText}>{block.content}</ThemedText>
+        </View>
+      ))}
+
+      {Array.isArray(data.tags) && data.tags.length > 0 && (
+        <View style={styles.tagsContainer}>
+          {data.tags.map(tag => (
+            <View key={tag} style={styles.tagItem}>
+              <ThemedText style={styles.tagText}>{tag}</ThemedText>
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+export default function ConflictsScreen() {
+  const colorScheme = useColorScheme();
+  const insets = useSafeAreaInsets();
+  const { data: conflicts = [], isLoading } = useSyncConflicts();
+  const resolveMutation = useResolveSyncConflict();
+
+  const headerTopPadding = Math.max(50, insets.top + 16);
+  const contentPaddingBottom = Math.max(100, insets.bottom + 80);
+  const cardBackgroundColor = colorScheme === 'dark' ? '#252525' : '#FFFFFF';
+  const cardBorderColor = colorScheme === 'dark' ? '#3A3A3A' : '#E5E5E5';
+
+  const handleResolve = async (conflict, resolution) => {
+    try {
+      await resolveMutation.mutateAsync({ conflictId: conflict.id, resolution });
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to resolve conflict');
+    }
+  };
+
+  const renderConflict = ({ item: conflict }) => {
+    const conflictingBlockIds = new Set(conflict.block_conflicts.map(block => block.blockId));
+    const canMerge = conflict.table_name === 'tasks';
+
+    return (
+      <View style={[styles.card, { backgroundColor: cardBackgroundColor, borderColor: cardBorderColor }]}>
+        <View style={styles.cardHeader}>
+          <Ionicons name="git-compare-outline" size={18} color="#FF9500" />
+          <View style={styles.cardHeaderText}>
+            <ThemedText style={styles.cardTitle} numberOfLines={1}>
+              {TABLE_LABELS[conflict.table_name] || conflict.table_name}: {recordLabel(conflict)}
+            </ThemedText>
+            <ThemedText style={styles.cardSubtitle}>
+              {formatDetectedAt(conflict.detected_at)}
+              {conflictingBlockIds.size > 0 ? ` · ${conflictingBlockIds.size} block(s) edited on both devices` : ''}
+            </ThemedText>
+          </View>
+        </View>
+
+        <View style={styles.columns}>
+          <VersionColumn
+            label="This device"
+            tableName={conflict.table_name}
+            data={conflict.local_data}
+            conflictingBlockIds={conflictingBlockIds}
+            colorScheme={colorScheme}
+          />
+          <View style={[styles.divider, { backgroundColor: cardBorderColor }]} />
+          <VersionColumn
+            label="Other device"
+            tableName={conflict.table_name}
+            data={conflict.remote_data}
+            conflictingBlockIds={conflictingBlockIds}
+            colorScheme={colorScheme}
+          />
+        </View>
+
+        <View style={styles.actions}>
+          <TouchableOpacity
+            style={[styles.actionButton, { borderColor: cardBorderColor }]}
+            onPress={() => handleResolve(conflict, 'local')}
+            disabled={resolveMutation.isPending}
+          >
+            <ThemedText style={styles.actionText}>Keep local</ThemedText>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.actionButton, { borderColor: cardBorderColor }]}
+            onPress={() => handleResolve(conflict, 'remote')}
+            disabled={resolveMutation.isPending}
+          >
+            <ThemedText style={styles.actionText}>Keep remote</ThemedText>
+          </TouchableOpacity>
+          {canMerge && (
+            <TouchableOpacity
+              style={[styles.actionButton, styles.mergeButton]}
+              onPress={() => handleResolve(conflict, 'merge')}
+              disabled={resolveMutation.isPending}
+            >
+              <ThemedText style={[styles.actionText, styles.mergeText]}>Merge</ThemedText>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <ThemedView style={styles.container}>
+      {/* Header */}
+      <View style={[styles.header, { paddingTop: headerTopPadding }]}>
+        <ThemedText style={styles.headerTitle}>Sync Conflicts</ThemedText>
+        {resolveMutation.isPending && <ActivityIndicator size="small" />}
+      </View>
+
+      {isLoading ? (
+        <ThemedView style={styles.emptyState}>
+          <ActivityIndicator size="large" />
+        </ThemedView>
+      ) : conflicts.length === 0 ? (
+        <ThemedView style={styles.emptyState}>
+          <Ionicons
+            name="checkmark-done-outline"
+            size={64}
+            color={colorScheme === 'dark' ? '#444' : '#ccc'}
+            style={{ marginBottom: 16 }}
+          />
+          <ThemedText style={styles.emptyText}>No sync conflicts</ThemedText>
+        </ThemedView>
+      ) : (
+        <FlatList
+          data={conflicts}
+          keyExtractor={(conflict) => `conflict-${conflict.id}`}
+          renderItem={renderConflict}
+          style={styles.list}
+          contentContainerStyle={{ paddingBottom: contentPaddingBottom }}
+        />
+      )}
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingBottom: 16,
+    backgroundColor: 'transparent',
+    zIndex: 10,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    flex: 1,
+    marginLeft: 50, // Space for hamburger button
+  },
+  list: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  card: {
+    padding: 16,
+    marginVertical: 6,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    marginBottom: 12,
+  },
+  cardHeaderText: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  cardSubtitle: {
+    fontSize: 12,
+    opacity: 0.6,
+    marginTop: 2,
+  },
+  columns: {
+    flexDirection: 'row',
+    alignItems: 'stretch',
+  },
+  column: {
+    flex: 1,
+    paddingHorizontal: 4,
+  },
+  divider: {
+    width: 1,
+    marginHorizontal: 8,
+  },
+  columnLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    opacity: 0.6,
+    textTransform: 'uppercase',
+    marginBottom: 6,
+  },
+  missing: {
+    fontSize: 14,
+    fontStyle: 'italic',
+    opacity: 0.6,
+  },
+  field: {
+    marginBottom: 6,
+  },
+  fieldName: {
+    fontSize: 12,
+    opacity: 0.6,
+  },
+  fieldValue: {
+    fontSize: 14,
+  },
+  taskTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 6,
+  },
+  completedTitle: {
+    opacity: 0.5,
+    textDecorationLine: 'line-through',
+  },
+  blockRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 2,
+    borderRadius: 4,
+  },
+  conflictingBlock: {
+    backgroundColor: 'rgba(255, 149, 0, 0.25)',
+  },
+  blockIcon: {
+    marginTop: 3,
+    marginRight: 4,
+  },
+  blockText: {
+    flex: 1,
+    fontSize: 13,
+    lineHeight: 18,
+  },
+  tagsContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 4,
+    marginTop: 8,
+  },
+  tagItem: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0, 122, 255, 0.15)',
+  },
+  tagText: {
+    fontSize: 11,
+    color: '#007AFF',
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 14,
+  },
+  actionButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+  },
+  actionText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  mergeButton: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  mergeText: {
+    color: '#fff',
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    opacity: 0.6,
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
@@ -0,0 +1,318 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useQueryClient } from '@tanstack/react-query';
+import { useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    ScrollView,
+    StyleSheet,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { parseColumnMapping, summarizeImport } from '@/lib/import-formats';
+import { importProjects, parseImportText } from '@/lib/markdown-transfer';
+
+const FORMAT_OPTIONS = [
+  { value: null, label: 'Auto' },
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'todoist', label: 'Todoist' },
+  { value: 'things', label: 'Things' },
+  { value: 'csv', label: 'CSV' },
+];
+
+const FORMAT_HINTS = {
+  markdown: 'Markdown shared from these settings or written by `prod export`.',
+  todoist: 'A Todoist backup or API dump (JSON), or a project exported as a CSV template.',
+  things: 'Things JSON: a list of projects and to-dos. Headings become sections, checklists become check blocks.',
+  csv: 'Any CSV with a header row. Title, project, section, done, tags, notes, due, id and parent columns are found by name.',
+};
+
+export default function ImportScreen() {
+  const colorScheme = useColorScheme();
+  const insets = useSafeAreaInsets();
+  const queryClient = useQueryClient();
+  const [format, setFormat] = useState(null);
+  const [text, setText] = useState('');
+  const [columnsText, setColumnsText] = useState('');
+  const [projectName, setProjectName] = useState('');
+  const [preview, setPreview] = useState(null); // { parsed, summary }
+  const [isImporting, setIsImporting] = useState(false);
+
+  const headerTopPadding = Math.max(50, insets.top + 16);
+  const contentPaddingBottom = Math.max(100, insets.bottom + 80);
+  const cardBackgroundColor = colorScheme === 'dark' ? '#252525' : '#FFFFFF';
+  const cardBorderColor = colorScheme === 'dark' ? '#3A3A3A' : '#E5E5E5';
+  const inputColors = {
+    backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+    borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+    color: colorScheme === 'dark' ? '#fff' : '#000',
+  };
+
+  // Any change to the input makes the preview stale
+  const resetPreview = (update) => (value) => {
+    update(value);
+    setPreview(null);
+  };
+
+  const handlePreview = () => {
+    try {
+      const parsed = parseImportText(text, {
+        format,
+        defaultProjectName: projectName.trim() || 'Imported',
+        columns: parseColumnMapping(columnsText),
+      });
+      if (parsed.length === 0) {
+        Alert.alert('Import', 'No projects or tasks found');
+        return;
+      }
+      setPreview({ parsed, summary: summarizeImport(parsed) });
+    } catch (error) {
+      Alert.alert('Import', `Couldn't read the import: ${error.message}`);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      const result = await importProjects(preview.parsed);
+      queryClient.invalidateQueries();
+      setText('');
+      setPreview(null);
+      Alert.alert(
+        'Import',
+        `Imported ${result.tasks} task${result.tasks === 1 ? '' : 's'} (${result.projects} new projects, ${result.sections} new sections, ${result.tags} tags)`
+      );
+    } catch (error) {
+      Alert.alert('Import', `Failed to import: ${error.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <ThemedView style={styles.container}>
+      {/* Header */}
+      <View style={[styles.header, { paddingTop: headerTopPadding }]}>
+        <ThemedText style={styles.headerTitle}>Import</ThemedText>
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={{ paddingBottom: contentPaddingBottom }}
+        keyboardShouldPersistTaps="handled"
+      >
+        <ThemedText style={styles.label}>Format</ThemedText>
+        <View style={styles.chips}>
+          {FORMAT_OPTIONS.map(option => {
+            const selected = option.value === format;
+            return (
+              <TouchableOpacity
+                key={option.label}
+                style={[
+                  styles.chip,
+                  { borderColor: selected ? '#007AFF' : cardBorderColor },
+                  selected && styles.chipSelected,
+                ]}
+                onPress={() => resetPreview(setFormat)(option.value)}
+              >
+                <ThemedText style={[styles.chipText, selected && styles.chipTextSelected]}>{option.label}</ThemedText>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        <ThemedText style={styles.hint}>
+          {format ? FORMAT_HINTS[format] : 'The format is guessed from the text. Paste a whole file.'}
+        </ThemedText>
+
+        <TextInput
+          style={[styles.input, styles.pasteInput, inputColors]}
+          value={text}
+          onChangeText={resetPreview(setText)}
+          placeholder="Paste the exported file here"
+          placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+          autoCapitalize="none"
+          autoCorrect={false}
+          multiline
+        />
+
+        <TextInput
+          style={[styles.input, inputColors]}
+          value={projectName}
+          onChangeText={resetPreview(setProjectName)}
+          placeholder="Project for tasks without one (Imported)"
+          placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+        />
+
+        {(format === 'csv' || format === null) && (
+          <TextInput
+            style={[styles.input, inputColors]}
+            value={columnsText}
+            onChangeText={resetPreview(setColumnsText)}
+            placeholder="CSV columns, e.g. title=Summary,tags=Labels"
+            placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+        )}
+
+        <TouchableOpacity
+          style={[styles.button, { backgroundColor: text.trim() ? '#007AFF' : '#8E8E93' }]}
+          onPress={handlePreview}
+          disabled={!text.trim()}
+        >
+          <Ionicons name="eye-outline" size={18} color="#fff" />
+          <ThemedText style={styles.buttonText}>Preview</ThemedText>
+        </TouchableOpacity>
+
+        {preview && (
+          <>
+            {preview.summary.map(project => (
+              <View
+                key={project.name}
+                style={[styles.card, { backgroundColor: cardBackgroundColor, borderColor: cardBorderColor }]}
+              >
+                <ThemedText style={styles.cardTitle}>{project.name}</ThemedText>
+                <ThemedText style={styles.cardSubtitle}>
+                  {project.tasks} task{project.tasks === 1 ? '' : 's'}
+                  {project.sections > 0 ? ` in ${project.sections} section${project.sections === 1 ? '' : 's'}` : ''}
+                  {project.completed > 0 ? ` · ${project.completed} completed` : ''}
+                </ThemedText>
+                {project.tags.length > 0 && (
+                  <ThemedText style={styles.cardTags}>{project.tags.map(tag => `#${tag}`).join(' ')}</ThemedText>
+                )}
+              </View>
+            ))}
+            <ThemedText style={styles.hint}>
+              Tasks are added to projects and sections with the same name; missing ones are created.
+            </ThemedText>
+            <TouchableOpacity
+              style={[styles.button, { backgroundColor: '#34C759' }]}
+              onPress={handleImport}
+              disabled={isImporting}
+            >
+              {isImporting ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <>
+                  <Ionicons name="download-outline" size={18} color="#fff" />
+                  <ThemedText style={styles.buttonText}>Import</ThemedText>
+                </>
+              )}
+            </TouchableOpacity>
+          </>
+        )}
+      </ScrollView>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingBottom: 16,
+    backgroundColor: 'transparent',
+    zIndex: 10,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    flex: 1,
+    marginLeft: 50, // Space for hamburger button
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    opacity: 0.6,
+    textTransform: 'uppercase',
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  chipSelected: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 14,
+  },
+  chipTextSelected: {
+    color: '#fff',
+  },
+  hint: {
+    fontSize: 13,
+    opacity: 0.6,
+    lineHeight: 18,
+    marginVertical: 10,
+  },
+  input: {
+    fontSize: 16,
+    padding: 12,
+    borderWidth: 1,
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  pasteInput: {
+    minHeight: 160,
+    maxHeight: 320,
+    fontFamily: 'monospace',
+    fontSize: 13,
+    textAlignVertical: 'top',
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 12,
+    borderRadius: 8,
+    marginVertical: 8,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  card: {
+    padding: 14,
+    marginVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    opacity: 0.6,
+    marginTop: 2,
+  },
+  cardTags: {
+    fontSize: 13,
+    color: '#007AFF',
+    marginTop: 4,
+  },
+});
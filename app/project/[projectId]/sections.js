@@ -2,13 +2,14 @@ import { Ionicons } from '@expo/vector-icons';
 import { useQueryClient } from '@tanstack/react-query';
 import { useLocalSearchParams, useRouter } from 'expo-router';
 import { useEffect, useState } from 'react';
-import { ActivityIndicator, Alert, FlatList, Modal, Pressable, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+import { ActivityIndicator, Alert, Modal, Pressable, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+import DraggableFlatList, { ScaleDecorator } from 'react-native-draggable-flatlist';
 
 import { ThemedText } from '@/components/themed-text';
 import { ThemedView } from '@/components/themed-view';
 import { useColorScheme } from '@/hooks/use-color-scheme';
 import { useDatabase } from '@/hooks/use-database';
-import { useCreateSection, useDeleteSection, useSectionsByProject, useUpdateSection } from '@/hooks/use-sections';
+import { useCreateSection, useDeleteSection, useMoveSection, useSectionsByProject, useUpdateSection } from '@/hooks/use-sections';
 import { useTasksByProject } from '@/hooks/use-tasks';
 import { getProjectById } from '@/repositories/projects';
 import { assignAllTasksToSection } from '@/repositories/tasks';
@@ -30,6 +31,7 @@ export default function SectionsScreen() {
   const { data: tasks } = useTasksByProject(parseInt(projectId));
   const createSectionMutation = useCreateSection();
   const updateSectionMutation = useUpdateSection();
+  const moveSectionMutation = useMoveSection();
   const deleteSectionMutation = useDeleteSection();
   const queryClient = useQueryClient();
 
@@ -59,6 +61,21 @@ export default function SectionsScreen() {
     return tasks.filter(task => task.section_id === sectionId).length;
   };
 
+  // Sections are reordered by dragging; the dropped one goes next to its new neighbour
+  const handleDragEnd = ({ data, from, to }) => {
+    if (from === to) return;
+    const neighbour = to > 0 ? { afterId: data[to - 1].id } : { beforeId: data[1].id };
+    moveSectionMutation.mutate(
+      { id: data[to].id, projectId: parseInt(projectId), sections: data, ...neighbour },
+      {
+        onError: (error) => {
+          console.error('Error moving section:', error);
+          Alert.alert('Error', error.message || 'Failed to move section');
+        },
+      }
+    );
+  };
+
   const handleSectionMenu = (section) => {
     setSelectedSection(section);
     setShowSectionMenu(true);
@@ -229,91 +246,105 @@ export default function SectionsScreen() {
             <ThemedText>Loading sections...</ThemedText>
           </ThemedView>
         ) : sections && sections.length > 0 ? (
-          <FlatList
+          <DraggableFlatList
             data={sections}
             keyExtractor={(item) => `section-${item.id}`}
-            renderItem={({ item }) => {
+            onDragEnd={handleDragEnd}
+            renderItem={({ item, drag }) => {
               const taskCount = getTaskCountForSection(item.id);
               const isEditing = editingSection?.id === item.id;
               
               return (
-                <View style={[
-                  styles.sectionItem,
-                  {
-                    backgroundColor: colorScheme === 'dark' ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.02)',
-                    borderColor: colorScheme === 'dark' ? '#444' : '#ddd',
-                  }
-                ]}>
-                  {isEditing ? (
-                    <View style={styles.editContainer}>
-                      <TextInput
-                        style={[
-                          styles.editInput,
-                          {
-                            backgroundColor: colorScheme === 'dark' ? '#333' : '#f5f5f5',
-                            color: colorScheme === 'dark' ? '#fff' : '#000',
-                            borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
-                          }
-                        ]}
-                        value={editSectionName}
-                        onChangeText={setEditSectionName}
-                        placeholder="Section name"
-                        placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
-                        autoFocus
-                      />
-                      <TouchableOpacity
-                        onPress={handleSaveEdit}
-                        style={[styles.iconButton, { marginRight: 8 }]}
-                        activeOpacity={0.7}
-                      >
-                        <Ionicons 
-                          name="checkmark" 
-                          size={20} 
-                          color="#4CAF50" 
+                <ScaleDecorator>
+                  <View style={[
+                    styles.sectionItem,
+                    {
+                      backgroundColor: colorScheme === 'dark' ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.02)',
+                      borderColor: colorScheme === 'dark' ? '#444' : '#ddd',
+                    }
+                  ]}>
+                    {isEditing ? (
+                      <View style={styles.editContainer}>
+                        <TextInput
+                          style={[
+                            styles.editInput,
+                            {
+                              backgroundColor: colorScheme === 'dark' ? '#333' : '#f5f5f5',
+                              color: colorScheme === 'dark' ? '#fff' : '#000',
+                              borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                            }
+                          ]}
+                          value={editSectionName}
+                          onChangeText={setEditSectionName}
+                          placeholder="Section name"
+                          placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+                          autoFocus
                         />
-                      </TouchableOpacity>
-                      <TouchableOpacity
-                        onPress={handleCancelEdit}
-                        style={styles.iconButton}
-                        activeOpacity={0.7}
-                      >
-                        <Ionicons 
-                          name="close" 
-                          size={20} 
-                          color={colorScheme === 'dark' ? '#ff6b6b' : '#ff4444'} 
-                        />
-                      </TouchableOpacity>
-                    </View>
-                  ) : (
-                    <>
-                      <View style={styles.sectionInfo}>
-                        <Ionicons 
-                          name="folder-outline" 
-                          size={20} 
-                          color={colorScheme === 'dark' ? '#fff' : '#000'} 
-                          style={styles.sectionIcon}
-                        />
-                        <View style={styles.sectionTextContainer}>
-                          <ThemedText style={styles.sectionName}>{item.name}</ThemedText>
-                          <ThemedText style={styles.sectionTaskCount}>
-                            {taskCount} {taskCount === 1 ? 'task' : 'tasks'}
-                          </ThemedText>
-                        </View>
+                        <TouchableOpacity
+                          onPress={handleSaveEdit}
+                          style={[styles.iconButton, { marginRight: 8 }]}
+                          activeOpacity={0.7}
+                        >
+                          <Ionicons 
+                            name="checkmark" 
+                            size={20} 
+                            color="#4CAF50" 
+                          />
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          onPress={handleCancelEdit}
+                          style={styles.iconButton}
+                          activeOpacity={0.7}
+                        >
+                          <Ionicons 
+                            name="close" 
+                            size={20} 
+                            color={colorScheme === 'dark' ? '#ff6b6b' : '#ff4444'} 
+                          />
+                        </TouchableOpacity>
                       </View>
-                      <TouchableOpacity
-                        onPress={() => handleSectionMenu(item)}
-                        style={styles.sectionMenuButton}
-                        activeOpacity={0.7}
-                      >
-                        <Ionicons 
-                          name="ellipsis-vertical" 
-                          size={20} 
-                          color={colorScheme === 'dark' ? '#888' : '#666'} 
-                        />
-                      </TouchableOpacity>
-                    </>
-                  )}
-                </View>
+                    ) : (
+                      <>
+                        <View style={styles.sectionInfo}>
+                          <Ionicons 
+                            name="folder-outline" 
+                            size={20} 
+                            color={colorScheme === 'dark' ? '#fff' : '#000'} 
+                            style={styles.sectionIcon}
+                          />
+                          <View style={styles.sectionTextContainer}>
+                            <ThemedText style={styles.sectionName}>{item.name}</ThemedText>
+                            <ThemedText style={styles.sectionTaskCount}>
+                              {taskCount} {taskCount === 1 ? 'task' : 'tasks'}
+                            </ThemedText>
+                          </View>
+                        </View>
+                        <TouchableOpacity
+                          onPressIn={drag}
+                          style={styles.sectionMenuButton}
+                          activeOpacity={0.7}
+                        >
+                          <Ionicons 
+                            name="reorder-three-outline" 
+                            size={20} 
+                            color={colorScheme === 'dark' ? '#888' : '#666'} 
+                          />
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          onPress={() => handleSectionMenu(item)}
+                          style={styles.sectionMenuButton}
+                          activeOpacity={0.7}
+                        >
+                          <Ionicons 
+                            name="ellipsis-vertical" 
+                            size={20} 
+                            color={colorScheme === 'dark' ? '#888' : '#666'} 
+                          />
+                        </TouchableOpacity>
+                      </>
+                    )}
+                  </View>
+                </ScaleDecorator>
               );
             }}
             style={styles.sectionsList}
@@ -0,0 +1,243 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import { useEffect, useState } from 'react';
+import {
+    ActivityIndicator,
+    FlatList,
+    StyleSheet,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useSearchTasks } from '@/hooks/use-search';
+import { splitHighlights } from '@/lib/search-utils';
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+function HighlightedText({ snippet, style, numberOfLines }) {
+  return (
+    <ThemedText style={style} numberOfLines={numberOfLines}>
+      {splitHighlights(snippet).map((part, index) => (
+        <ThemedText
+          key={index}
+          style={[style, part.highlighted && styles.highlight]}
+        >
+          {part.text}
+        </ThemedText>
+      ))}
+    </ThemedText>
+  );
+}
+
+export default function SearchScreen() {
+  const router = useRouter();
+  const colorScheme = useColorScheme();
+  const insets = useSafeAreaInsets();
+  const [input, setInput] = useState('');
+  const [query, setQuery] = useState('');
+
+  // Debounce typing so we don't hit the index on every keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(input), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [input]);
+
+  const { data: results = [], isFetching } = useSearchTasks(query);
+
+  const headerTopPadding = Math.max(50, insets.top + 16);
+  const contentPaddingBottom = Math.max(100, insets.bottom + 80);
+  const taskBackgroundColor = colorScheme === 'dark' ? '#252525' : '#FFFFFF';
+  const taskBorderColor = colorScheme === 'dark' ? '#3A3A3A' : '#E5E5E5';
+
+  const renderResult = ({ item: task }) => (
+    <TouchableOpacity
+      style={[styles.resultItem, { backgroundColor: taskBackgroundColor, borderColor: taskBorderColor }]}
+      onPress={() => router.push(`/task/${task.id}`)}
+      activeOpacity={0.9}
+    >
+      <Ionicons
+        name={task.completed ? 'checkbox' : 'square-outline'}
+        size={20}
+        color={task.completed ? '#34C759' : (colorScheme === 'dark' ? '#888' : '#666')}
+        style={styles.resultIcon}
+      />
+      <View style={styles.resultContent}>
+        <HighlightedText
+          snippet={task.title_snippet}
+          style={[styles.resultTitle, task.completed && styles.completedTitle]}
+          numberOfLines={2}
+        />
+        {task.project_name && (
+          <ThemedText style={styles.resultProject}>from {task.project_name}</ThemedText>
+        )}
+        {!!task.body_snippet && (
+          <HighlightedText
+            snippet={task.body_snippet}
+            style={styles.resultSnippet}
+            numberOfLines={3}
+          />
+        )}
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <ThemedView style={styles.container}>
+      {/* Header */}
+      <View style={[styles.header, { paddingTop: headerTopPadding }]}>
+        <ThemedText style={styles.headerTitle}>Search</ThemedText>
+      </View>
+
+      {/* Search Input */}
+      <View
+        style={[
+          styles.searchBar,
+          {
+            backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+            borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+          },
+        ]}
+      >
+        <Ionicons name="search" size={18} color={colorScheme === 'dark' ? '#888' : '#999'} />
+        <TextInput
+          style={[styles.searchInput, { color: colorScheme === 'dark' ? '#fff' : '#000' }]}
+          value={input}
+          onChangeText={setInput}
+          placeholder="Search tasks and blocks"
+          placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+          autoFocus
+          autoCorrect={false}
+          returnKeyType="search"
+        />
+        {isFetching && <ActivityIndicator size="small" />}
+        {input.length > 0 && !isFetching && (
+          <TouchableOpacity onPress={() => setInput('')}>
+            <Ionicons name="close-circle" size={18} color={colorScheme === 'dark' ? '#888' : '#999'} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* Results */}
+      {query.trim().length === 0 ? (
+        <ThemedView style={styles.emptyState}>
+          <Ionicons
+            name="search-outline"
+            size={64}
+            color={colorScheme === 'dark' ? '#444' : '#ccc'}
+            style={{ marginBottom: 16 }}
+          />
+          <ThemedText style={styles.emptyText}>Search task titles and block content</ThemedText>
+        </ThemedView>
+      ) : results.length === 0 && !isFetching ? (
+        <ThemedView style={styles.emptyState}>
+          <ThemedText style={styles.emptyText}>No tasks match “{query.trim()}”</ThemedText>
+        </ThemedView>
+      ) : (
+        <FlatList
+          data={results}
+          keyExtractor={(task) => `result-${task.id}`}
+          renderItem={renderResult}
+          keyboardShouldPersistTaps="handled"
+          style={styles.resultsList}
+          contentContainerStyle={{ paddingBottom: contentPaddingBottom }}
+        />
+      )}
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingBottom: 16,
+    backgroundColor: 'transparent',
+    zIndex: 10,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    flex: 1,
+    marginLeft: 50, // Space for hamburger button
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginBottom: 8,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderRadius: 10,
+    gap: 8,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 10,
+    fontSize: 16,
+  },
+  resultsList: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  resultItem: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    marginVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  resultIcon: {
+    marginTop: 2,
+    marginRight: 12,
+  },
+  resultContent: {
+    flex: 1,
+  },
+  resultTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    lineHeight: 22,
+  },
+  completedTitle: {
+    opacity: 0.5,
+    textDecorationLine: 'line-through',
+  },
+  resultProject: {
+    fontSize: 12,
+    opacity: 0.6,
+    marginTop: 2,
+  },
+  resultSnippet: {
+    fontSize: 14,
+    opacity: 0.8,
+    lineHeight: 20,
+    marginTop: 6,
+  },
+  highlight: {
+    backgroundColor: 'rgba(255, 204, 0, 0.4)',
+    fontWeight: '700',
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    opacity: 0.6,
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
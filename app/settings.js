@@ -1,16 +1,62 @@
 import { ThemedText } from '@/components/themed-text';
 import { ThemedView } from '@/components/themed-view';
+import { useBackups, useCreateBackup, useDeleteBackup, useRestoreBackup } from '@/hooks/use-backups';
 import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useE2EAction, useE2EStatus } from '@/hooks/use-e2e';
+import { useOutboxStatus, useRetryFailedPushes } from '@/hooks/use-outbox';
 import { useProjects, useUpdateProject } from '@/hooks/use-projects';
 import { useSections } from '@/hooks/use-sections';
 import { useSetting } from '@/hooks/use-settings';
+import { useSyncConflictCount } from '@/hooks/use-sync-conflicts';
+import { useLastSyncRun } from '@/hooks/use-sync-log';
 import { useTags } from '@/hooks/use-tags';
+import { BACKUP_INTERVAL_SETTING, BACKUP_INTERVALS, DEFAULT_BACKUP_INTERVAL } from '@/lib/backup';
+import { readBackupFile } from '@/lib/backup-files';
 import { resetDatabase } from '@/lib/database';
+import {
+  AI_API_KEY_SETTING,
+  AI_BASE_URL_SETTING,
+  AI_MAX_TOKENS_SETTING,
+  AI_MAX_TOOL_ITERATIONS_SETTING,
+  AI_MODEL_SETTING,
+  AI_PROVIDER_SETTING,
+  AI_PROVIDERS,
+  AI_TOKEN_BUDGET_SETTING,
+  DEFAULT_AI_PROVIDER,
+  DEFAULT_MAX_TOKENS,
+  DEFAULT_MAX_TOOL_ITERATIONS,
+  parsePositiveInteger,
+  testAIProvider,
+} from '@/lib/llm/providers';
+import { MIN_PASSPHRASE_LENGTH } from '@/lib/e2e-crypto';
+import { exportProjectMarkdown, exportWorkspaceMarkdown } from '@/lib/markdown-transfer';
+import { SYNC_SERVER_TOKEN_SETTING, SYNC_SERVER_URL_SETTING, testSyncServer } from '@/lib/sync/backend';
+import { AUTO_SYNC_INTERVALS, AUTO_SYNC_SETTING, DEFAULT_AUTO_SYNC_INTERVAL } from '@/lib/sync/sync-runner';
 import { Ionicons } from '@expo/vector-icons';
 import { useQueryClient } from '@tanstack/react-query';
 import { useRouter } from 'expo-router';
-import React, { useState } from 'react';
-import { Alert, ScrollView, StyleSheet, TouchableOpacity } from 'react-native';
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, Alert, ScrollView, Share, StyleSheet, TextInput, TouchableOpacity } from 'react-native';
+
+const AUTO_SYNC_LABELS = {
+  off: 'Off',
+  '0': 'After changes and on open',
+  '5': 'Every 5 minutes',
+  '15': 'Every 15 minutes',
+  '30': 'Every 30 minutes',
+  '60': 'Every hour',
+};
+
+const BACKUP_INTERVAL_LABELS = {
+  off: 'Off',
+  daily: 'Every day',
+  weekly: 'Every week',
+};
+
+function formatBackupSize(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
 
 export default function SettingsScreen() {
   const colorScheme = useColorScheme();
@@ -20,14 +66,84 @@ export default function SettingsScreen() {
   const { data: tags } = useTags();
   const { data: projects } = useProjects();
   const { data: sections } = useSections();
+  const { data: conflictCount = 0 } = useSyncConflictCount();
+  const { data: outboxStatus } = useOutboxStatus();
+  const { data: lastSyncRun } = useLastSyncRun();
+  const retryPushesMutation = useRetryFailedPushes();
+  const { data: e2eStatus } = useE2EStatus();
+  const e2eAction = useE2EAction();
   const updateProjectMutation = useUpdateProject();
   
   const { value: defaultTagId, setValue: setDefaultTagId } = useSetting('default_tag_id');
   const { value: defaultProjectId, setValue: setDefaultProjectId } = useSetting('default_project_id');
+  const { value: autoSyncSetting, setValue: setAutoSyncSetting } = useSetting(AUTO_SYNC_SETTING);
+  const { value: syncServerUrl, setValue: setSyncServerUrl } = useSetting(SYNC_SERVER_URL_SETTING);
+  const { value: syncServerToken, setValue: setSyncServerToken } = useSetting(SYNC_SERVER_TOKEN_SETTING);
+  const { value: backupIntervalSetting, setValue: setBackupIntervalSetting } = useSetting(BACKUP_INTERVAL_SETTING);
+  const { value: aiProviderSetting, setValue: setAIProviderSetting } = useSetting(AI_PROVIDER_SETTING);
+  const { value: aiModel, setValue: setAIModel } = useSetting(AI_MODEL_SETTING);
+  const { value: aiMaxTokens, setValue: setAIMaxTokens } = useSetting(AI_MAX_TOKENS_SETTING);
+  const { value: aiMaxToolIterations, setValue: setAIMaxToolIterations } = useSetting(AI_MAX_TOOL_ITERATIONS_SETTING);
+  const { value: aiTokenBudget, setValue: setAITokenBudget } = useSetting(AI_TOKEN_BUDGET_SETTING);
+  const { value: aiBaseUrl, setValue: setAIBaseUrl } = useSetting(AI_BASE_URL_SETTING);
+  const { value: aiApiKey, setValue: setAIApiKey } = useSetting(AI_API_KEY_SETTING);
+  const { data: backups = [] } = useBackups();
+  const createBackupMutation = useCreateBackup();
+  const restoreBackupMutation = useRestoreBackup();
+  const deleteBackupMutation = useDeleteBackup();
   
   const [showTagSelector, setShowTagSelector] = useState(false);
+  const [showAutoSyncSelector, setShowAutoSyncSelector] = useState(false);
   const [showProjectSelector, setShowProjectSelector] = useState(false);
   const [showSectionSelector, setShowSectionSelector] = useState(false);
+  const [serverUrlInput, setServerUrlInput] = useState('');
+  const [serverTokenInput, setServerTokenInput] = useState('');
+  const [isTestingServer, setIsTestingServer] = useState(false);
+  const [passphraseInput, setPassphraseInput] = useState('');
+  const [passphraseConfirmInput, setPassphraseConfirmInput] = useState('');
+  const [showExportProjects, setShowExportProjects] = useState(false);
+  const [isTransferring, setIsTransferring] = useState(false);
+  const [showBackupSelector, setShowBackupSelector] = useState(false);
+  const [showAIProviderSelector, setShowAIProviderSelector] = useState(false);
+  const [aiModelInput, setAIModelInput] = useState('');
+  const [aiMaxTokensInput, setAIMaxTokensInput] = useState('');
+  const [aiMaxToolIterationsInput, setAIMaxToolIterationsInput] = useState('');
+  const [aiTokenBudgetInput, setAITokenBudgetInput] = useState('');
+  const [aiBaseUrlInput, setAIBaseUrlInput] = useState('');
+  const [aiApiKeyInput, setAIApiKeyInput] = useState('');
+  const [isTestingAI, setIsTestingAI] = useState(false);
+
+  useEffect(() => {
+    setServerUrlInput(syncServerUrl || '');
+  }, [syncServerUrl]);
+
+  useEffect(() => {
+    setServerTokenInput(syncServerToken || '');
+  }, [syncServerToken]);
+
+  useEffect(() => {
+    setAIModelInput(aiModel || '');
+  }, [aiModel]);
+
+  useEffect(() => {
+    setAIMaxTokensInput(aiMaxTokens || '');
+  }, [aiMaxTokens]);
+
+  useEffect(() => {
+    setAIMaxToolIterationsInput(aiMaxToolIterations || '');
+  }, [aiMaxToolIterations]);
+
+  useEffect(() => {
+    setAITokenBudgetInput(aiTokenBudget || '');
+  }, [aiTokenBudget]);
+
+  useEffect(() => {
+    setAIBaseUrlInput(aiBaseUrl || '');
+  }, [aiBaseUrl]);
+
+  useEffect(() => {
+    setAIApiKeyInput(aiApiKey || '');
+  }, [aiApiKey]);
 
   const selectedDefaultTag = tags?.find(t => t.id.toString() === defaultTagId);
   const selectedDefaultProject = projects?.find(p => p.id.toString() === defaultProjectId);
@@ -38,34 +154,276 @@ export default function SettingsScreen() {
     !defaultProjectId || s.project_id.toString() === defaultProjectId
   );
 
+  const outboxSummary = !outboxStatus || (outboxStatus.queued === 0 && outboxStatus.dead === 0)
+    ? 'Everything is pushed'
+    : [
+        outboxStatus.queued > 0 && `${outboxStatus.queued} change${outboxStatus.queued === 1 ? '' : 's'} waiting`,
+        outboxStatus.retrying > 0 && `${outboxStatus.retrying} retrying`,
+        outboxStatus.dead > 0 && `${outboxStatus.dead} failed`,
+      ].filter(Boolean).join(' · ');
+
+  const autoSyncInterval = AUTO_SYNC_INTERVALS.includes(autoSyncSetting) ? autoSyncSetting : DEFAULT_AUTO_SYNC_INTERVAL;
+  const lastSyncSummary = lastSyncRun
+    ? `Last sync ${new Date(lastSyncRun.completed_at || lastSyncRun.started_at).toLocaleString()}: ${
+        lastSyncRun.status === 'success' ? lastSyncRun.message : lastSyncRun.error_details || lastSyncRun.status
+      }`
+    : 'Not synced yet';
+
+  const serverSettingsChanged = serverUrlInput.trim() !== (syncServerUrl || '')
+    || serverTokenInput.trim() !== (syncServerToken || '');
+
+  const handleSaveSyncServer = () => {
+    const url = serverUrlInput.trim();
+    if (url && !/^https?:\/\//.test(url)) {
+      Alert.alert('Sync Server', 'The address must start with http:// or https://');
+      return;
+    }
+    setSyncServerUrl(url || null);
+    setSyncServerToken(serverTokenInput.trim() || null);
+  };
+
+  const handleTestSyncServer = async () => {
+    setIsTestingServer(true);
+    try {
+      const { ok, error } = await testSyncServer(serverUrlInput.trim(), serverTokenInput.trim() || null);
+      Alert.alert('Sync Server', ok ? 'Connected' : `Could not connect: ${error}`);
+    } finally {
+      setIsTestingServer(false);
+    }
+  };
+
+  const aiProvider = AI_PROVIDERS[aiProviderSetting] ? aiProviderSetting : DEFAULT_AI_PROVIDER;
+  const usesServer = aiProvider === 'openai';
+  const aiSettingsChanged = aiModelInput.trim() !== (aiModel || '')
+    || aiMaxTokensInput.trim() !== (aiMaxTokens || '')
+    || aiMaxToolIterationsInput.trim() !== (aiMaxToolIterations || '')
+    || aiTokenBudgetInput.trim() !== (aiTokenBudget || '')
+    || (usesServer && (aiBaseUrlInput.trim() !== (aiBaseUrl || '') || aiApiKeyInput.trim() !== (aiApiKey || '')));
+  const aiSummary = usesServer
+    ? `Replies come from ${aiModel || AI_PROVIDERS.openai.defaultModel} at ${aiBaseUrl || AI_PROVIDERS.openai.defaultBaseUrl}. Any server with an OpenAI-style /chat/completions endpoint works, such as Ollama or llama.cpp on your own network (no internet needed). The model has to support tool calling for the assistant to change tasks.`
+    : `Replies come from ${aiModel || AI_PROVIDERS.anthropic.defaultModel}, with the API key from the app configuration.`;
+  const aiLimitsSummary = `A reply can use tools for up to ${parsePositiveInteger(aiMaxToolIterations) || DEFAULT_MAX_TOOL_ITERATIONS} rounds. ${aiTokenBudget
+    ? `Each chat can use up to ${Number(aiTokenBudget).toLocaleString()} tokens; the assistant stops when it gets there. Usage is shown in the chat history.`
+    : 'Chats have no token budget. Usage is shown in the chat history.'}`;
+
+  // The model names of one provider mean nothing to the other, so switching resets the model
+  const handleSelectAIProvider = (provider) => {
+    setShowAIProviderSelector(false);
+    if (provider === aiProvider) return;
+    setAIProviderSetting(provider);
+    setAIModel(null);
+  };
+
+  const handleSaveAISettings = () => {
+    const maxTokens = aiMaxTokensInput.trim();
+    const maxToolIterations = aiMaxToolIterationsInput.trim();
+    const tokenBudget = aiTokenBudgetInput.trim();
+    if (maxTokens && !parsePositiveInteger(maxTokens)) {
+      Alert.alert('AI Chat', 'Max tokens must be a whole number above 0');
+      return;
+    }
+    if (maxToolIterations && !parsePositiveInteger(maxToolIterations)) {
+      Alert.alert('AI Chat', 'Tool rounds must be a whole number above 0');
+      return;
+    }
+    if (tokenBudget && !parsePositiveInteger(tokenBudget)) {
+      Alert.alert('AI Chat', 'The token budget must be a whole number above 0 (or empty for no budget)');
+      return;
+    }
+    const url = aiBaseUrlInput.trim();
+    if (usesServer && url && !/^https?:\/\//.test(url)) {
+      Alert.alert('AI Chat', 'The server address must start with http:// or https://');
+      return;
+    }
+    setAIModel(aiModelInput.trim() || null);
+    setAIMaxTokens(maxTokens || null);
+    setAIMaxToolIterations(maxToolIterations || null);
+    setAITokenBudget(tokenBudget || null);
+    if (usesServer) {
+      setAIBaseUrl(url || null);
+      setAIApiKey(aiApiKeyInput.trim() || null);
+    }
+  };
+
+  const handleTestAIProvider = async () => {
+    setIsTestingAI(true);
+    try {
+      const { ok, models, error } = await testAIProvider({
+        provider: aiProvider,
+        baseUrl: aiBaseUrlInput.trim() || AI_PROVIDERS.openai.defaultBaseUrl,
+        apiKey: aiApiKeyInput.trim() || null,
+      });
+      const modelList = models?.length > 0 ? `\n\nModels: ${models.slice(0, 10).join(', ')}${models.length > 10 ? ', …' : ''}` : '';
+      Alert.alert('AI Chat', ok ? `Connected${modelList}` : `Could not connect: ${error}`);
+    } finally {
+      setIsTestingAI(false);
+    }
+  };
+
+  const e2eState = e2eStatus?.status || 'off';
+  // Setting up and rotating pick a new passphrase, so it's typed twice
+  const needsNewPassphrase = e2eState !== 'locked';
+  const e2eSummary = {
+    off: 'Off. Task titles, descriptions and tag names are synced as plain text.',
+    locked: `On, but this device doesn't have the key (${e2eStatus?.keyId}). Enter the passphrase to sync tasks and tags.`,
+    unlocked: `On. Tasks and tags are encrypted before they leave this device (key ${e2eStatus?.keyId}).`,
+  }[e2eState];
+
+  const runE2EAction = async (action) => {
+    const passphrase = passphraseInput;
+    if (needsNewPassphrase) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        Alert.alert('Encryption', `The passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        return;
+      }
+      if (passphrase !== passphraseConfirmInput) {
+        Alert.alert('Encryption', "The passphrases don't match");
+        return;
+      }
+    }
+    try {
+      const result = await e2eAction.mutateAsync({ action, passphrase });
+      if (result === false) {
+        Alert.alert('Encryption', 'Wrong passphrase. If it was changed on another device, sync first.');
+        return;
+      }
+      setPassphraseInput('');
+      setPassphraseConfirmInput('');
+      Alert.alert('Encryption', {
+        setup: 'Encryption is on. Tasks and tags are pushed again, encrypted, on the next sync. Enter the same passphrase on your other devices.',
+        unlock: 'Unlocked. Encrypted tasks and tags are pulled on the next sync.',
+        rotate: 'Passphrase changed. Tasks and tags are pushed again under the new key; your other devices need the new passphrase.',
+      }[action]);
+    } catch (error) {
+      Alert.alert('Encryption', error.message);
+    }
+  };
+
+  const handleForgetE2EKeys = () => {
+    Alert.alert(
+      'Forget Key',
+      "Remove the encryption keys from this device? Tasks and tags won't sync until the passphrase is entered again.",
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Forget', style: 'destructive', onPress: () => e2eAction.mutate({ action: 'forget' }) },
+      ]
+    );
+  };
+
+  // Exports go through the share sheet; a workspace is one text with a document per project
+  const handleExportMarkdown = async (projectId = null) => {
+    setIsTransferring(true);
+    try {
+      const files = projectId ? [await exportProjectMarkdown(projectId)] : await exportWorkspaceMarkdown();
+      setShowExportProjects(false);
+      await Share.share({
+        title: projectId ? files[0].fileName : 'ProductionAI export.md',
+        message: files.map(file => file.markdown).join('\n'),
+      });
+    } catch (error) {
+      Alert.alert('Export', `Failed to export: ${error.message}`);
+    } finally {
+      setIsTransferring(false);
+    }
+  };
+
+  const backupInterval = backupIntervalSetting in BACKUP_INTERVALS ? backupIntervalSetting : DEFAULT_BACKUP_INTERVAL;
+
+  const handleCreateBackup = async () => {
+    try {
+      const { fileName } = await createBackupMutation.mutateAsync();
+      Alert.alert('Backup', `Saved ${fileName}`);
+    } catch (error) {
+      Alert.alert('Backup', `Failed to back up: ${error.message}`);
+    }
+  };
+
+  const restoreBackup = async (backup, mode) => {
+    try {
+      await restoreBackupMutation.mutateAsync({ fileName: backup.fileName, mode });
+      Alert.alert('Backup', 'Backup restored. The next sync pulls everything again.');
+    } catch (error) {
+      Alert.alert('Backup', error.message);
+    }
+  };
+
+  // Checksums are checked before anything is offered
+  const handleBackupPress = async (backup) => {
+    try {
+      const { verification } = await readBackupFile(backup.fileName);
+      if (!verification.valid) {
+        Alert.alert('Backup', `This backup is damaged and can't be restored:\n\n${verification.errors.join('\n')}`);
+        return;
+      }
+      Alert.alert(
+        'Restore Backup',
+        `${backup.createdAt.toLocaleString()}\n\nReplace All deletes the current data first. Merge overwrites records with the same id and keeps the rest.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Merge', onPress: () => restoreBackup(backup, 'merge') },
+          { text: 'Replace All', style: 'destructive', onPress: () => restoreBackup(backup, 'replace') },
+        ]
+      );
+    } catch (error) {
+      Alert.alert('Backup', `Failed to read the backup: ${error.message}`);
+    }
+  };
+
+  const handleShareBackup = async (backup) => {
+    try {
+      const { backup: content } = await readBackupFile(backup.fileName);
+      await Share.share({ title: backup.fileName, message: JSON.stringify(content) });
+    } catch (error) {
+      Alert.alert('Backup', `Failed to share the backup: ${error.message}`);
+    }
+  };
+
+  const handleDeleteBackup = (backup) => {
+    Alert.alert('Delete Backup', backup.createdAt.toLocaleString(), [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: () => deleteBackupMutation.mutate(backup.fileName) },
+    ]);
+  };
+
+  const handleRetryPushes = async () => {
+    try {
+      const count = await retryPushesMutation.mutateAsync();
+      Alert.alert('Sync Queue', `${count} change${count === 1 ? '' : 's'} will be pushed on the next sync`);
+    } catch (error) {
+      Alert.alert('Error', `Failed to retry pushes: ${error.message}`);
+    }
+  };
+
+  const resetDatabaseNow = async (backUpFirst) => {
+    try {
+      setIsResetting(true);
+      if (backUpFirst) {
+        await createBackupMutation.mutateAsync();
+      }
+      await resetDatabase();
+
+      // Invalidate all queries to refresh the UI
+      queryClient.invalidateQueries({ queryKey: ['projects'] });
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
+
+      Alert.alert('Success', backUpFirst ? 'Backed up and reset the database.' : 'Database reset successfully!');
+    } catch (error) {
+      console.error('Reset error:', error);
+      Alert.alert('Error', `Failed to reset database: ${error.message}`);
+    } finally {
+      setIsResetting(false);
+    }
+  };
+
   const handleResetDatabase = () => {
     Alert.alert(
       'Reset Database',
-      'This will delete ALL local data and recreate the database with the new schema. This action cannot be undone!\n\nMake sure to PULL from Supabase first to sync your data.',
+      'This will delete ALL local data and recreate the database with the new schema. This action cannot be undone!\n\nMake sure to PULL from Supabase first to sync your data, or back up first.',
       [
         { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Reset',
-          style: 'destructive',
-          onPress: async () => {
-            try {
-              setIsResetting(true);
-              await resetDatabase();
-              
-              // Invalidate all queries to refresh the UI
-              queryClient.invalidateQueries({ queryKey: ['projects'] });
-              queryClient.invalidateQueries({ queryKey: ['tasks'] });
-              queryClient.invalidateQueries({ queryKey: ['tags'] });
-              
-              Alert.alert('Success', 'Database reset successfully!');
-            } catch (error) {
-              console.error('Reset error:', error);
-              Alert.alert('Error', `Failed to reset database: ${error.message}`);
-            } finally {
-              setIsResetting(false);
-            }
-          }
-        }
+        { text: 'Back Up & Reset', onPress: () => resetDatabaseNow(true) },
+        { text: 'Reset', style: 'destructive', onPress: () => resetDatabaseNow(false) },
       ]
     );
   };
@@ -121,6 +479,77 @@ export default function SettingsScreen() {
           </ThemedView>
         </TouchableOpacity>
         
+        {/* Sync Conflicts Button */}
+        <TouchableOpacity 
+          style={[
+            styles.button,
+            { 
+              backgroundColor: colorScheme === 'dark' ? 'rgba(255, 149, 0, 0.2)' : 'rgba(255, 149, 0, 0.1)',
+              borderColor: colorScheme === 'dark' ? 'rgba(255, 149, 0, 0.4)' : 'rgba(255, 149, 0, 0.3)'
+            }
+          ]}
+          onPress={() => router.push('/conflicts')}
+          activeOpacity={0.7}
+        >
+          <Ionicons 
+            name="git-compare-outline" 
+            size={24} 
+            color="#FF9500" 
+          />
+          <ThemedView style={styles.settingContent}>
+            <ThemedText style={[styles.buttonTitle, { color: '#FF9500' }]}>Sync Conflicts</ThemedText>
+            <ThemedText style={styles.settingDescription}>
+              {conflictCount > 0 ? `${conflictCount} open conflict${conflictCount === 1 ? '' : 's'}` : 'No open conflicts'}
+            </ThemedText>
+          </ThemedView>
+        </TouchableOpacity>
+
+        {/* Sync History Button */}
+        <TouchableOpacity
+          style={[
+            styles.button,
+            {
+              backgroundColor: colorScheme === 'dark' ? 'rgba(52, 199, 89, 0.2)' : 'rgba(52, 199, 89, 0.1)',
+              borderColor: colorScheme === 'dark' ? 'rgba(52, 199, 89, 0.4)' : 'rgba(52, 199, 89, 0.3)'
+            }
+          ]}
+          onPress={() => router.push('/sync-history')}
+          activeOpacity={0.7}
+        >
+          <Ionicons
+            name="time-outline"
+            size={24}
+            color="#34C759"
+          />
+          <ThemedView style={styles.settingContent}>
+            <ThemedText style={[styles.buttonTitle, { color: '#34C759' }]}>Sync History</ThemedText>
+            <ThemedText style={styles.settingDescription}>Every push and pull, with failed records</ThemedText>
+          </ThemedView>
+        </TouchableOpacity>
+
+        {/* Trash Button */}
+        <TouchableOpacity
+          style={[
+            styles.button,
+            {
+              backgroundColor: colorScheme === 'dark' ? 'rgba(255, 59, 48, 0.2)' : 'rgba(255, 59, 48, 0.1)',
+              borderColor: colorScheme === 'dark' ? 'rgba(255, 59, 48, 0.4)' : 'rgba(255, 59, 48, 0.3)'
+            }
+          ]}
+          onPress={() => router.push('/trash')}
+          activeOpacity={0.7}
+        >
+          <Ionicons
+            name="trash-outline"
+            size={24}
+            color="#FF3B30"
+          />
+          <ThemedView style={styles.settingContent}>
+            <ThemedText style={[styles.buttonTitle, { color: '#FF3B30' }]}>Trash</ThemedText>
+            <ThemedText style={styles.settingDescription}>Restore deleted projects, sections, tasks and tags</ThemedText>
+          </ThemedView>
+        </TouchableOpacity>
+
         {/* Default Settings */}
         <ThemedView style={styles.section}>
           <ThemedText style={styles.sectionHeader}>Defaults</ThemedText>
@@ -421,6 +850,660 @@ export default function SettingsScreen() {
           )}
         </ThemedView>
 
+        {/* AI Chat */}
+        <ThemedView style={styles.section}>
+          <ThemedText style={styles.sectionHeader}>AI Chat</ThemedText>
+
+          <TouchableOpacity 
+            style={[
+              styles.selectorButton,
+              { 
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd'
+              }
+            ]}
+            onPress={() => setShowAIProviderSelector(!showAIProviderSelector)}
+            activeOpacity={0.7}
+          >
+            <ThemedView style={styles.selectorContent}>
+              <ThemedText style={styles.selectorLabel}>Provider</ThemedText>
+              <ThemedText style={styles.selectorValue}>{AI_PROVIDERS[aiProvider].label}</ThemedText>
+            </ThemedView>
+            <Ionicons 
+              name={showAIProviderSelector ? "chevron-up" : "chevron-down"} 
+              size={20} 
+              color={colorScheme === 'dark' ? '#888' : '#999'} 
+            />
+          </TouchableOpacity>
+
+          {showAIProviderSelector && (
+            <ThemedView style={[
+              styles.optionsContainer,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#f5f5f5',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+              }
+            ]}>
+              {Object.keys(AI_PROVIDERS).map((provider) => {
+                const isSelected = provider === aiProvider;
+                return (
+                  <TouchableOpacity
+                    key={provider}
+                    style={[
+                      styles.optionItem,
+                      isSelected && {
+                        backgroundColor: colorScheme === 'dark' ? 'rgba(0,122,255,0.3)' : 'rgba(0,122,255,0.1)',
+                      }
+                    ]}
+                    onPress={() => handleSelectAIProvider(provider)}
+                  >
+                    <ThemedText style={[
+                      styles.optionText,
+                      isSelected && { color: '#007AFF', fontWeight: '600' }
+                    ]}>{AI_PROVIDERS[provider].label}</ThemedText>
+                    {isSelected && (
+                      <Ionicons name="checkmark" size={20} color="#007AFF" />
+                    )}
+                  </TouchableOpacity>
+                );
+              })}
+            </ThemedView>
+          )}
+
+          {usesServer && (
+            <>
+              <TextInput
+                style={[
+                  styles.textInput,
+                  {
+                    backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                    borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                    color: colorScheme === 'dark' ? '#fff' : '#000',
+                  }
+                ]}
+                value={aiBaseUrlInput}
+                onChangeText={setAIBaseUrlInput}
+                placeholder={`${AI_PROVIDERS.openai.defaultBaseUrl} (server address)`}
+                placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+                autoCapitalize="none"
+                autoCorrect={false}
+                keyboardType="url"
+              />
+              <TextInput
+                style={[
+                  styles.textInput,
+                  {
+                    backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                    borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                    color: colorScheme === 'dark' ? '#fff' : '#000',
+                  }
+                ]}
+                value={aiApiKeyInput}
+                onChangeText={setAIApiKeyInput}
+                placeholder="API key (if the server requires one)"
+                placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+                autoCapitalize="none"
+                autoCorrect={false}
+                secureTextEntry
+              />
+            </>
+          )}
+          <TextInput
+            style={[
+              styles.textInput,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                color: colorScheme === 'dark' ? '#fff' : '#000',
+              }
+            ]}
+            value={aiModelInput}
+            onChangeText={setAIModelInput}
+            placeholder={`Model (default ${AI_PROVIDERS[aiProvider].defaultModel})`}
+            placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <TextInput
+            style={[
+              styles.textInput,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                color: colorScheme === 'dark' ? '#fff' : '#000',
+              }
+            ]}
+            value={aiMaxTokensInput}
+            onChangeText={setAIMaxTokensInput}
+            placeholder={`Max tokens per reply (default ${DEFAULT_MAX_TOKENS})`}
+            placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+            keyboardType="number-pad"
+          />
+          <TextInput
+            style={[
+              styles.textInput,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                color: colorScheme === 'dark' ? '#fff' : '#000',
+              }
+            ]}
+            value={aiMaxToolIterationsInput}
+            onChangeText={setAIMaxToolIterationsInput}
+            placeholder={`Tool rounds per reply (default ${DEFAULT_MAX_TOOL_ITERATIONS})`}
+            placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+            keyboardType="number-pad"
+          />
+          <TextInput
+            style={[
+              styles.textInput,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                color: colorScheme === 'dark' ? '#fff' : '#000',
+              }
+            ]}
+            value={aiTokenBudgetInput}
+            onChangeText={setAITokenBudgetInput}
+            placeholder="Token budget per chat (default no limit)"
+            placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+            keyboardType="number-pad"
+          />
+
+          <ThemedView style={styles.serverActions}>
+            <TouchableOpacity
+              onPress={handleTestAIProvider}
+              disabled={isTestingAI}
+              activeOpacity={0.7}
+            >
+              {isTestingAI ? (
+                <ActivityIndicator size="small" />
+              ) : (
+                <ThemedText style={styles.retryText}>Test connection</ThemedText>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={handleSaveAISettings}
+              disabled={!aiSettingsChanged}
+              activeOpacity={0.7}
+            >
+              <ThemedText style={[styles.retryText, !aiSettingsChanged && { opacity: 0.4 }]}>Save</ThemedText>
+            </TouchableOpacity>
+          </ThemedView>
+
+          <ThemedText style={[styles.settingDescription, styles.syncNote]}>
+            {aiSummary} {aiLimitsSummary}
+          </ThemedText>
+        </ThemedView>
+
+        {/* Auto Sync */}
+        <ThemedView style={styles.section}>
+          <ThemedText style={styles.sectionHeader}>Auto Sync</ThemedText>
+
+          <TouchableOpacity 
+            style={[
+              styles.selectorButton,
+              { 
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd'
+              }
+            ]}
+            onPress={() => setShowAutoSyncSelector(!showAutoSyncSelector)}
+            activeOpacity={0.7}
+          >
+            <ThemedView style={styles.selectorContent}>
+              <ThemedText style={styles.selectorLabel}>Sync automatically</ThemedText>
+              <ThemedText style={styles.selectorValue}>{AUTO_SYNC_LABELS[autoSyncInterval]}</ThemedText>
+            </ThemedView>
+            <Ionicons 
+              name={showAutoSyncSelector ? "chevron-up" : "chevron-down"} 
+              size={20} 
+              color={colorScheme === 'dark' ? '#888' : '#999'} 
+            />
+          </TouchableOpacity>
+
+          {showAutoSyncSelector && (
+            <ThemedView style={[
+              styles.optionsContainer,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#f5f5f5',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+              }
+            ]}>
+              {AUTO_SYNC_INTERVALS.map((option) => {
+                const isSelected = option === autoSyncInterval;
+                return (
+                  <TouchableOpacity
+                    key={option}
+                    style={[
+                      styles.optionItem,
+                      isSelected && {
+                        backgroundColor: colorScheme === 'dark' ? 'rgba(0,122,255,0.3)' : 'rgba(0,122,255,0.1)',
+                      }
+                    ]}
+                    onPress={() => {
+                      setAutoSyncSetting(option);
+                      setShowAutoSyncSelector(false);
+                    }}
+                  >
+                    <ThemedText style={[
+                      styles.optionText,
+                      isSelected && { color: '#007AFF', fontWeight: '600' }
+                    ]}>{AUTO_SYNC_LABELS[option]}</ThemedText>
+                    {isSelected && (
+                      <Ionicons name="checkmark" size={20} color="#007AFF" />
+                    )}
+                  </TouchableOpacity>
+                );
+              })}
+            </ThemedView>
+          )}
+
+          <ThemedText style={[styles.settingDescription, styles.syncNote]} numberOfLines={2}>
+            {lastSyncSummary}
+          </ThemedText>
+        </ThemedView>
+
+        {/* Sync Server */}
+        <ThemedView style={styles.section}>
+          <ThemedText style={styles.sectionHeader}>Sync Server</ThemedText>
+
+          <TextInput
+            style={[
+              styles.textInput,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                color: colorScheme === 'dark' ? '#fff' : '#000',
+              }
+            ]}
+            value={serverUrlInput}
+            onChangeText={setServerUrlInput}
+            placeholder="http://192.168.1.20:8787 (empty = Supabase)"
+            placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+          />
+          <TextInput
+            style={[
+              styles.textInput,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                color: colorScheme === 'dark' ? '#fff' : '#000',
+              }
+            ]}
+            value={serverTokenInput}
+            onChangeText={setServerTokenInput}
+            placeholder="Token (if the server requires one)"
+            placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+            autoCapitalize="none"
+            autoCorrect={false}
+            secureTextEntry
+          />
+
+          <ThemedView style={styles.serverActions}>
+            <TouchableOpacity
+              onPress={handleTestSyncServer}
+              disabled={!serverUrlInput.trim() || isTestingServer}
+              activeOpacity={0.7}
+            >
+              {isTestingServer ? (
+                <ActivityIndicator size="small" />
+              ) : (
+                <ThemedText style={[styles.retryText, !serverUrlInput.trim() && { opacity: 0.4 }]}>
+                  Test connection
+                </ThemedText>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={handleSaveSyncServer}
+              disabled={!serverSettingsChanged}
+              activeOpacity={0.7}
+            >
+              <ThemedText style={[styles.retryText, !serverSettingsChanged && { opacity: 0.4 }]}>Save</ThemedText>
+            </TouchableOpacity>
+          </ThemedView>
+
+          <ThemedText style={[styles.settingDescription, styles.syncNote]}>
+            {syncServerUrl
+              ? `Syncing with ${syncServerUrl}`
+              : 'Syncing with Supabase. Enter the address of a server started with `prod sync-server` to sync without Supabase.'}
+          </ThemedText>
+        </ThemedView>
+
+        {/* End-to-end encryption */}
+        <ThemedView style={styles.section}>
+          <ThemedText style={styles.sectionHeader}>End-to-End Encryption</ThemedText>
+
+          <TextInput
+            style={[
+              styles.textInput,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                color: colorScheme === 'dark' ? '#fff' : '#000',
+              }
+            ]}
+            value={passphraseInput}
+            onChangeText={setPassphraseInput}
+            placeholder={{ off: 'New passphrase', locked: 'Passphrase', unlocked: 'New passphrase' }[e2eState]}
+            placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+            autoCapitalize="none"
+            autoCorrect={false}
+            secureTextEntry
+          />
+          {needsNewPassphrase && (
+            <TextInput
+              style={[
+                styles.textInput,
+                {
+                  backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                  borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                  color: colorScheme === 'dark' ? '#fff' : '#000',
+                }
+              ]}
+              value={passphraseConfirmInput}
+              onChangeText={setPassphraseConfirmInput}
+              placeholder="Repeat the passphrase"
+              placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+              autoCapitalize="none"
+              autoCorrect={false}
+              secureTextEntry
+            />
+          )}
+
+          <ThemedView style={styles.serverActions}>
+            {e2eAction.isPending ? (
+              <ActivityIndicator size="small" />
+            ) : (
+              <TouchableOpacity
+                onPress={() => runE2EAction({ off: 'setup', locked: 'unlock', unlocked: 'rotate' }[e2eState])}
+                disabled={!passphraseInput}
+                activeOpacity={0.7}
+              >
+                <ThemedText style={[styles.retryText, !passphraseInput && { opacity: 0.4 }]}>
+                  {{ off: 'Turn on', locked: 'Unlock', unlocked: 'Change passphrase' }[e2eState]}
+                </ThemedText>
+              </TouchableOpacity>
+            )}
+            {e2eState === 'unlocked' && (
+              <TouchableOpacity onPress={handleForgetE2EKeys} activeOpacity={0.7}>
+                <ThemedText style={[styles.retryText, { color: '#FF3B30' }]}>Forget key</ThemedText>
+              </TouchableOpacity>
+            )}
+          </ThemedView>
+
+          <ThemedText style={[styles.settingDescription, styles.syncNote]}>
+            {e2eSummary}
+          </ThemedText>
+        </ThemedView>
+
+        {/* Sync Queue */}
+        <ThemedView style={styles.section}>
+          <ThemedText style={styles.sectionHeader}>Sync Queue</ThemedText>
+
+          <ThemedView
+            style={[
+              styles.selectorButton,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+              }
+            ]}
+          >
+            <ThemedView style={styles.selectorContent}>
+              <ThemedText style={styles.selectorLabel}>Local changes to push</ThemedText>
+              <ThemedText style={styles.selectorValue}>{outboxSummary}</ThemedText>
+            </ThemedView>
+            {outboxStatus?.failures.length > 0 && (
+              <TouchableOpacity
+                onPress={handleRetryPushes}
+                disabled={retryPushesMutation.isPending}
+                activeOpacity={0.7}
+              >
+                <ThemedText style={styles.retryText}>Retry now</ThemedText>
+              </TouchableOpacity>
+            )}
+          </ThemedView>
+
+          {outboxStatus?.failures.map(entry => {
+            const dead = entry.status === 'dead';
+            return (
+              <ThemedView key={entry.id} style={styles.queueItem}>
+                <Ionicons
+                  name={dead ? 'close-circle' : 'time-outline'}
+                  size={20}
+                  color={dead ? '#FF3B30' : '#FF9500'}
+                />
+                <ThemedView style={styles.settingContent}>
+                  <ThemedText style={styles.optionText}>
+                    {entry.operation === 'delete' ? 'Delete' : 'Save'} {entry.table_name} {entry.record_id}
+                  </ThemedText>
+                  <ThemedText style={styles.settingDescription} numberOfLines={2}>
+                    {dead
+                      ? `Gave up after ${entry.attempts} attempts`
+                      : `Attempt ${entry.attempts} failed, next try ${new Date(entry.next_attempt_at).toLocaleTimeString()}`}
+                    {entry.last_error ? `: ${entry.last_error}` : ''}
+                  </ThemedText>
+                </ThemedView>
+              </ThemedView>
+            );
+          })}
+        </ThemedView>
+
+        {/* Backups */}
+        <ThemedView style={styles.section}>
+          <ThemedText style={styles.sectionHeader}>Backups</ThemedText>
+
+          <TouchableOpacity
+            style={[
+              styles.selectorButton,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                marginBottom: 8
+              }
+            ]}
+            onPress={() => setShowBackupSelector(!showBackupSelector)}
+            activeOpacity={0.7}
+          >
+            <ThemedView style={styles.selectorContent}>
+              <ThemedText style={styles.selectorLabel}>Back up automatically</ThemedText>
+              <ThemedText style={styles.selectorValue}>{BACKUP_INTERVAL_LABELS[backupInterval]}</ThemedText>
+            </ThemedView>
+            <Ionicons
+              name={showBackupSelector ? "chevron-up" : "chevron-down"}
+              size={20}
+              color={colorScheme === 'dark' ? '#888' : '#999'}
+            />
+          </TouchableOpacity>
+
+          {showBackupSelector && (
+            <ThemedView style={[
+              styles.optionsContainer,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#f5f5f5',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                marginBottom: 8
+              }
+            ]}>
+              {Object.keys(BACKUP_INTERVALS).map((option) => {
+                const isSelected = option === backupInterval;
+                return (
+                  <TouchableOpacity
+                    key={option}
+                    style={[
+                      styles.optionItem,
+                      isSelected && {
+                        backgroundColor: colorScheme === 'dark' ? 'rgba(0,122,255,0.3)' : 'rgba(0,122,255,0.1)',
+                      }
+                    ]}
+                    onPress={() => {
+                      setBackupIntervalSetting(option);
+                      setShowBackupSelector(false);
+                    }}
+                  >
+                    <ThemedText style={[
+                      styles.optionText,
+                      isSelected && { color: '#007AFF', fontWeight: '600' }
+                    ]}>{BACKUP_INTERVAL_LABELS[option]}</ThemedText>
+                    {isSelected && (
+                      <Ionicons name="checkmark" size={20} color="#007AFF" />
+                    )}
+                  </TouchableOpacity>
+                );
+              })}
+            </ThemedView>
+          )}
+
+          <TouchableOpacity
+            style={[
+              styles.selectorButton,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                marginBottom: 8
+              }
+            ]}
+            onPress={handleCreateBackup}
+            disabled={createBackupMutation.isPending}
+            activeOpacity={0.7}
+          >
+            <ThemedView style={styles.selectorContent}>
+              <ThemedText style={styles.selectorLabel}>Back up now</ThemedText>
+              <ThemedText style={styles.selectorValue}>
+                {backups.length > 0 ? `Last: ${backups[0].createdAt.toLocaleString()}` : 'No backups yet'}
+              </ThemedText>
+            </ThemedView>
+            {createBackupMutation.isPending ? (
+              <ActivityIndicator size="small" />
+            ) : (
+              <Ionicons name="save-outline" size={20} color={colorScheme === 'dark' ? '#888' : '#999'} />
+            )}
+          </TouchableOpacity>
+
+          {backups.map(backup => (
+            <ThemedView key={backup.fileName} style={styles.queueItem}>
+              <Ionicons name="archive-outline" size={20} color={colorScheme === 'dark' ? '#888' : '#999'} />
+              <TouchableOpacity
+                style={styles.settingContent}
+                onPress={() => handleBackupPress(backup)}
+                disabled={restoreBackupMutation.isPending}
+                activeOpacity={0.7}
+              >
+                <ThemedText style={styles.optionText}>{backup.createdAt.toLocaleString()}</ThemedText>
+                <ThemedText style={styles.settingDescription}>{formatBackupSize(backup.size)} · tap to restore</ThemedText>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => handleShareBackup(backup)} activeOpacity={0.7}>
+                <Ionicons name="share-outline" size={20} color="#007AFF" />
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => handleDeleteBackup(backup)} activeOpacity={0.7}>
+                <Ionicons name="trash-outline" size={20} color="#FF3B30" />
+              </TouchableOpacity>
+            </ThemedView>
+          ))}
+
+          <ThemedText style={[styles.settingDescription, styles.syncNote]}>
+            Full copies of projects, tasks, tags, filters, settings and chats, kept on this device. Backups are not encrypted and do not include encryption keys or sync server details.
+          </ThemedText>
+        </ThemedView>
+
+        {/* Export and import */}
+        <ThemedView style={styles.section}>
+          <ThemedText style={styles.sectionHeader}>Export & Import</ThemedText>
+
+          <TouchableOpacity
+            style={[
+              styles.selectorButton,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                marginBottom: 8
+              }
+            ]}
+            onPress={() => handleExportMarkdown()}
+            disabled={isTransferring}
+            activeOpacity={0.7}
+          >
+            <ThemedView style={styles.selectorContent}>
+              <ThemedText style={styles.selectorLabel}>Export</ThemedText>
+              <ThemedText style={styles.selectorValue}>All projects</ThemedText>
+            </ThemedView>
+            <Ionicons name="share-outline" size={20} color={colorScheme === 'dark' ? '#888' : '#999'} />
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[
+              styles.selectorButton,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                marginBottom: 8
+              }
+            ]}
+            onPress={() => setShowExportProjects(!showExportProjects)}
+            disabled={isTransferring}
+            activeOpacity={0.7}
+          >
+            <ThemedView style={styles.selectorContent}>
+              <ThemedText style={styles.selectorLabel}>Export</ThemedText>
+              <ThemedText style={styles.selectorValue}>One project</ThemedText>
+            </ThemedView>
+            <Ionicons
+              name={showExportProjects ? "chevron-up" : "chevron-down"}
+              size={20}
+              color={colorScheme === 'dark' ? '#888' : '#999'}
+            />
+          </TouchableOpacity>
+
+          {showExportProjects && (
+            <ThemedView style={[
+              styles.optionsContainer,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#f5f5f5',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                marginBottom: 8
+              }
+            ]}>
+              {projects?.map((project) => (
+                <TouchableOpacity
+                  key={project.id}
+                  style={styles.optionItem}
+                  onPress={() => handleExportMarkdown(project.id)}
+                >
+                  <ThemedText style={styles.optionText}>{project.name}</ThemedText>
+                  <Ionicons name="share-outline" size={20} color="#007AFF" />
+                </TouchableOpacity>
+              ))}
+            </ThemedView>
+          )}
+
+          <TouchableOpacity
+            style={[
+              styles.selectorButton,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                marginBottom: 8
+              }
+            ]}
+            onPress={() => router.push('/import')}
+            activeOpacity={0.7}
+          >
+            <ThemedView style={styles.selectorContent}>
+              <ThemedText style={styles.selectorLabel}>Import</ThemedText>
+              <ThemedText style={styles.selectorValue}>Markdown, Todoist, Things or CSV</ThemedText>
+            </ThemedView>
+            <Ionicons name="chevron-forward" size={20} color={colorScheme === 'dark' ? '#888' : '#999'} />
+          </TouchableOpacity>
+
+          <ThemedText style={[styles.settingDescription, styles.syncNote]}>
+            Exports projects, sections, tasks with their blocks, subtasks and tags, in the same format as `prod export`.
+          </ThemedText>
+        </ThemedView>
+
         {/* Reset Database Button */}
         <TouchableOpacity 
           style={[
@@ -546,5 +1629,34 @@ const styles = StyleSheet.create({
   optionText: {
     fontSize: 16,
   },
+  retryText: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#007AFF',
+  },
+  syncNote: {
+    marginTop: 8,
+    paddingHorizontal: 4,
+  },
+  textInput: {
+    fontSize: 16,
+    padding: 12,
+    borderWidth: 1,
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  serverActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: 4,
+    backgroundColor: 'transparent',
+  },
+  queueItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 4,
+  },
 });
 
@@ -0,0 +1,203 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import { useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    FlatList,
+    Share,
+    StyleSheet,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import {
+    SYNC_TYPE_LABELS,
+    SyncRunStatusIcon,
+    TRIGGER_LABELS,
+    describeRun,
+    formatDuration,
+    formatRunTime,
+} from '@/components/sync-run-status';
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useSyncRuns } from '@/hooks/use-sync-log';
+import { exportSyncLog } from '@/repositories/sync-log';
+
+export default function SyncHistoryScreen() {
+  const colorScheme = useColorScheme();
+  const insets = useSafeAreaInsets();
+  const router = useRouter();
+  const { data: runs = [], isLoading, refetch, isRefetching } = useSyncRuns();
+  const [isExporting, setIsExporting] = useState(false);
+
+  const headerTopPadding = Math.max(50, insets.top + 16);
+  const contentPaddingBottom = Math.max(100, insets.bottom + 80);
+  const cardBackgroundColor = colorScheme === 'dark' ? '#252525' : '#FFFFFF';
+  const cardBorderColor = colorScheme === 'dark' ? '#3A3A3A' : '#E5E5E5';
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const log = await exportSyncLog();
+      await Share.share({
+        title: 'Sync log',
+        message: JSON.stringify(log, null, 2),
+      });
+    } catch (error) {
+      Alert.alert('Error', `Failed to export the sync log: ${error.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const renderRun = ({ item: run }) => {
+    const duration = formatDuration(run.duration_ms);
+
+    return (
+      <TouchableOpacity
+        style={[styles.card, { backgroundColor: cardBackgroundColor, borderColor: cardBorderColor }]}
+        onPress={() => router.push(`/sync-history/${run.id}`)}
+        activeOpacity={0.7}
+      >
+        <SyncRunStatusIcon run={run} />
+        <View style={styles.cardText}>
+          <ThemedText style={styles.cardTitle}>
+            {SYNC_TYPE_LABELS[run.sync_type] || run.sync_type}
+            <ThemedText style={styles.cardTrigger}>
+              {' '}· {TRIGGER_LABELS[run.triggered_by] || run.triggered_by || 'unknown'}
+            </ThemedText>
+          </ThemedText>
+          <ThemedText style={styles.cardSubtitle}>
+            {formatRunTime(run.started_at)}{duration ? ` · ${duration}` : ''}
+          </ThemedText>
+          <ThemedText style={styles.cardMessage} numberOfLines={2}>
+            {describeRun(run)}
+          </ThemedText>
+        </View>
+        <Ionicons name="chevron-forward" size={18} color={colorScheme === 'dark' ? '#666' : '#bbb'} />
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <ThemedView style={styles.container}>
+      {/* Header */}
+      <View style={[styles.header, { paddingTop: headerTopPadding }]}>
+        <ThemedText style={styles.headerTitle}>Sync History</ThemedText>
+        <TouchableOpacity
+          onPress={handleExport}
+          disabled={isExporting || runs.length === 0}
+          style={styles.headerButton}
+        >
+          {isExporting ? (
+            <ActivityIndicator size="small" />
+          ) : (
+            <Ionicons
+              name="share-outline"
+              size={22}
+              color={runs.length === 0 ? '#8E8E93' : '#007AFF'}
+            />
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {isLoading ? (
+        <ThemedView style={styles.emptyState}>
+          <ActivityIndicator size="large" />
+        </ThemedView>
+      ) : runs.length === 0 ? (
+        <ThemedView style={styles.emptyState}>
+          <Ionicons
+            name="time-outline"
+            size={64}
+            color={colorScheme === 'dark' ? '#444' : '#ccc'}
+            style={{ marginBottom: 16 }}
+          />
+          <ThemedText style={styles.emptyText}>No syncs yet</ThemedText>
+        </ThemedView>
+      ) : (
+        <FlatList
+          data={runs}
+          keyExtractor={(run) => `sync-run-${run.id}`}
+          renderItem={renderRun}
+          style={styles.list}
+          contentContainerStyle={{ paddingBottom: contentPaddingBottom }}
+          onRefresh={refetch}
+          refreshing={isRefetching}
+        />
+      )}
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingBottom: 16,
+    backgroundColor: 'transparent',
+    zIndex: 10,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    flex: 1,
+    marginLeft: 50, // Space for hamburger button
+  },
+  headerButton: {
+    padding: 8,
+  },
+  list: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  card: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    padding: 14,
+    marginVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  cardText: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  cardTrigger: {
+    fontSize: 14,
+    fontWeight: '400',
+    opacity: 0.6,
+  },
+  cardSubtitle: {
+    fontSize: 12,
+    opacity: 0.6,
+    marginTop: 2,
+  },
+  cardMessage: {
+    fontSize: 14,
+    marginTop: 4,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    opacity: 0.6,
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
@@ -0,0 +1,282 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { useState } from 'react';
+import { ActivityIndicator, ScrollView, StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import {
+    SYNC_TYPE_LABELS,
+    SyncRunStatusIcon,
+    TRIGGER_LABELS,
+    describeRun,
+    formatDuration,
+    formatRunTime,
+} from '@/components/sync-run-status';
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useSyncRun } from '@/hooks/use-sync-log';
+
+export default function SyncRunScreen() {
+  const { runId } = useLocalSearchParams();
+  const router = useRouter();
+  const colorScheme = useColorScheme();
+  const { data: run, isLoading } = useSyncRun(parseInt(runId));
+  const [expandedFailureId, setExpandedFailureId] = useState(null);
+
+  const cardBackgroundColor = colorScheme === 'dark' ? '#252525' : '#FFFFFF';
+  const cardBorderColor = colorScheme === 'dark' ? '#3A3A3A' : '#E5E5E5';
+  const cardStyle = [styles.card, { backgroundColor: cardBackgroundColor, borderColor: cardBorderColor }];
+
+  const tableRows = Object.entries(run?.table_counts || {})
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  return (
+    <ThemedView style={styles.container}>
+      {/* Header */}
+      <View style={[
+        styles.header,
+        {
+          backgroundColor: colorScheme === 'dark' ? '#2c2c2e' : '#fff',
+          borderBottomColor: colorScheme === 'dark' ? '#444' : '#ddd',
+        }
+      ]}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons
+            name="arrow-back"
+            size={24}
+            color={colorScheme === 'dark' ? '#fff' : '#000'}
+          />
+        </TouchableOpacity>
+        <ThemedText type="title" style={styles.headerTitle}>
+          Sync #{runId}
+        </ThemedText>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {isLoading ? (
+        <ThemedView style={styles.emptyState}>
+          <ActivityIndicator size="large" />
+        </ThemedView>
+      ) : !run ? (
+        <ThemedView style={styles.emptyState}>
+          <ThemedText style={styles.emptyText}>This sync is no longer in the history</ThemedText>
+        </ThemedView>
+      ) : (
+        <ScrollView style={styles.content} contentContainerStyle={{ paddingBottom: 100 }}>
+          {/* Summary */}
+          <View style={cardStyle}>
+            <View style={styles.summaryTitleRow}>
+              <SyncRunStatusIcon run={run} />
+              <ThemedText style={styles.summaryTitle}>
+                {SYNC_TYPE_LABELS[run.sync_type] || run.sync_type} ·{' '}
+                {TRIGGER_LABELS[run.triggered_by] || run.triggered_by || 'unknown'}
+              </ThemedText>
+            </View>
+            <ThemedText style={styles.detailText}>Started {formatRunTime(run.started_at)}</ThemedText>
+            {run.duration_ms !== null && run.duration_ms !== undefined && (
+              <ThemedText style={styles.detailText}>Took {formatDuration(run.duration_ms)}</ThemedText>
+            )}
+            <ThemedText style={styles.summaryMessage}>{describeRun(run)}</ThemedText>
+          </View>
+
+          {/* Per-table counts */}
+          <ThemedText style={styles.sectionTitle}>Tables</ThemedText>
+          {tableRows.length === 0 ? (
+            <ThemedText style={styles.sectionEmpty}>Nothing was pushed or pulled</ThemedText>
+          ) : (
+            <View style={cardStyle}>
+              <View style={styles.tableRow}>
+                <ThemedText style={[styles.tableName, styles.tableHeading]}>Table</ThemedText>
+                <ThemedText style={[styles.tableCount, styles.tableHeading]}>Pushed</ThemedText>
+                <ThemedText style={[styles.tableCount, styles.tableHeading]}>Pulled</ThemedText>
+                <ThemedText style={[styles.tableCount, styles.tableHeading]}>Failed</ThemedText>
+              </View>
+              {tableRows.map(([tableName, counts]) => (
+                <View key={tableName} style={styles.tableRow}>
+                  <ThemedText style={styles.tableName} numberOfLines={1}>{tableName}</ThemedText>
+                  <ThemedText style={styles.tableCount}>{counts.pushed || 0}</ThemedText>
+                  <ThemedText style={styles.tableCount}>{counts.pulled || 0}</ThemedText>
+                  <ThemedText style={[styles.tableCount, counts.failed > 0 && styles.failedCount]}>
+                    {counts.failed || 0}
+                  </ThemedText>
+                </View>
+              ))}
+            </View>
+          )}
+
+          {/* Failed records */}
+          <ThemedText style={styles.sectionTitle}>Failures ({run.failures.length})</ThemedText>
+          {run.failures.length === 0 ? (
+            <ThemedText style={styles.sectionEmpty}>No records failed</ThemedText>
+          ) : (
+            run.failures.map(failure => {
+              const expanded = expandedFailureId === failure.id;
+              return (
+                <TouchableOpacity
+                  key={failure.id}
+                  style={cardStyle}
+                  onPress={() => setExpandedFailureId(expanded ? null : failure.id)}
+                  activeOpacity={0.7}
+                >
+                  <View style={styles.failureHeader}>
+                    <ThemedText style={styles.failureTitle}>
+                      {failure.table_name}
+                      {failure.record_id ? ` #${failure.record_id}` : ''}
+                    </ThemedText>
+                    <Ionicons
+                      name={expanded ? 'chevron-up' : 'chevron-down'}
+                      size={16}
+                      color={colorScheme === 'dark' ? '#888' : '#999'}
+                    />
+                  </View>
+                  <ThemedText style={styles.detailText}>
+                    {failure.operation || 'sync'}
+                    {failure.attempts ? ` · attempt ${failure.attempts}` : ''}
+                  </ThemedText>
+                  <ThemedText style={styles.failureError} numberOfLines={expanded ? undefined : 2}>
+                    {failure.error}
+                  </ThemedText>
+                  {expanded && failure.table_name === 'tasks' && failure.record_id && (
+                    <TouchableOpacity
+                      onPress={() => router.push(`/task/${failure.record_id}`)}
+                      style={styles.openButton}
+                    >
+                      <ThemedText style={styles.openButtonText}>Open task</ThemedText>
+                    </TouchableOpacity>
+                  )}
+                </TouchableOpacity>
+              );
+            })
+          )}
+        </ScrollView>
+      )}
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    paddingTop: 50, // Account for status bar
+  },
+  backButton: {
+    padding: 8,
+    marginRight: 8,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    flex: 1,
+  },
+  headerSpacer: {
+    width: 40, // Same width as back button to center title
+  },
+  content: {
+    flex: 1,
+    paddingTop: 16,
+    paddingHorizontal: 16,
+  },
+  card: {
+    padding: 14,
+    marginBottom: 8,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  summaryTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 6,
+  },
+  summaryTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+  summaryMessage: {
+    fontSize: 15,
+    marginTop: 8,
+  },
+  detailText: {
+    fontSize: 13,
+    opacity: 0.6,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    opacity: 0.6,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  sectionEmpty: {
+    fontSize: 14,
+    opacity: 0.6,
+    marginBottom: 8,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    paddingVertical: 4,
+  },
+  tableHeading: {
+    fontWeight: '600',
+    opacity: 0.6,
+  },
+  tableName: {
+    flex: 2,
+    fontSize: 14,
+  },
+  tableCount: {
+    flex: 1,
+    fontSize: 14,
+    textAlign: 'right',
+  },
+  failedCount: {
+    color: '#FF3B30',
+    fontWeight: '600',
+  },
+  failureHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  failureTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  failureError: {
+    fontSize: 13,
+    marginTop: 6,
+    color: '#FF3B30',
+  },
+  openButton: {
+    alignSelf: 'flex-start',
+    marginTop: 10,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: '#007AFF',
+  },
+  openButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    opacity: 0.6,
+    textAlign: 'center',
+  },
+});
@@ -12,6 +12,7 @@ import HierarchyNavigationModal from '@/components/task-detail/modals/HierarchyN
 import ProjectSelectionModal from '@/components/task-detail/modals/ProjectSelectionModal';
 import SectionSelectionModal from '@/components/task-detail/modals/SectionSelectionModal';
 import TagSelectionModal from '@/components/task-detail/modals/TagSelectionModal';
+import TaskHistoryModal from '@/components/task-detail/modals/TaskHistoryModal';
 import TaskMenuModal from '@/components/task-detail/modals/TaskMenuModal';
 import { styles } from '@/components/task-detail/task-detail-styles';
 import TaskBlocksSection from '@/components/task-detail/TaskBlocksSection';
@@ -34,6 +35,7 @@ import { useSectionsByProject } from '@/hooks/use-sections';
 import { useTags } from '@/hooks/use-tags';
 import { useFloatingNote } from '@/hooks/useFloatingNote';
 import { descriptionToBlocks } from '@/lib/blocks-utils';
+import { getTaskById } from '@/repositories/tasks';
 
 export default function TaskDetailScreen() {
   const { taskId } = useLocalSearchParams();
@@ -44,6 +46,7 @@ export default function TaskDetailScreen() {
   const [showAddSubtaskModal, setShowAddSubtaskModal] = useState(false);
   const [showParentSelectionModal, setShowParentSelectionModal] = useState(false);
   const [showHierarchyModal, setShowHierarchyModal] = useState(false);
+  const [showHistoryModal, setShowHistoryModal] = useState(false);
   const aiViewRef = useRef(null);
 
   // Data hooks
@@ -160,6 +163,22 @@ export default function TaskDetailScreen() {
     router.push(`/task/${newTaskId}`);
   };
 
+  const handleShowHistory = () => {
+    modals.closeMenuModal();
+    setShowHistoryModal(true);
+  };
+
+  const handleHistoryChanged = async () => {
+    const current = await getTaskById(parseInt(taskId));
+    if (!current) {
+      // Undoing the task's creation deletes it
+      setShowHistoryModal(false);
+      router.back();
+      return;
+    }
+    refreshTask();
+  };
+
   // Text Edit Mode Handlers
   const handleEditAsText = () => {
     modals.closeMenuModal();
@@ -320,6 +339,14 @@ export default function TaskDetailScreen() {
         onConvertToSubtask={handleConvertToSubtask}
         isSubtask={!!task?.parent_id}
         onEditAsText={handleEditAsText}
+        onShowHistory={handleShowHistory}
+      />
+
+      <TaskHistoryModal
+        visible={showHistoryModal}
+        onClose={() => setShowHistoryModal(false)}
+        taskId={taskId}
+        onChanged={handleHistoryChanged}
       />
 
       <TaskSelectionModal
@@ -0,0 +1,31 @@
+import { useMemo } from 'react';
+
+import DateTaskListView from '@/components/DateTaskListView';
+import { useTodayTasks } from '@/hooks/use-tasks';
+import { startOfDay } from '@/lib/date-utils';
+
+export default function TodayScreen() {
+  const { data: tasks = [], isLoading } = useTodayTasks();
+
+  // Split into overdue (due before today) and due today
+  const sections = useMemo(() => {
+    const todayStart = startOfDay().getTime();
+    const overdue = tasks.filter(t => new Date(t.due_at).getTime() < todayStart);
+    const today = tasks.filter(t => new Date(t.due_at).getTime() >= todayStart);
+    return [
+      { key: 'overdue', title: 'Overdue', isOverdue: true, tasks: overdue },
+      { key: 'today', title: 'Today', tasks: today },
+    ];
+  }, [tasks]);
+
+  return (
+    <DateTaskListView
+      title="Today"
+      sections={sections}
+      isLoading={isLoading}
+      emptyIcon="sunny-outline"
+      emptyTitle="Nothing due today"
+      emptyText="Tasks that are overdue or due today will show up here."
+    />
+  );
+}
@@ -0,0 +1,337 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useEffect } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    SectionList,
+    StyleSheet,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useDatabase } from '@/hooks/use-database';
+import { usePurgeTrash, useRestoreTrashItem, useSetTrashRetention, useTrash } from '@/hooks/use-trash';
+import { TRASH_RETENTION_OPTIONS } from '@/lib/trash';
+
+// Trash tables in the order they're listed
+const TRASH_SECTIONS = [
+  { table: 'projects', title: 'Projects', icon: 'folder-outline' },
+  { table: 'sections', title: 'Sections', icon: 'albums-outline' },
+  { table: 'tasks', title: 'Tasks', icon: 'checkbox-outline' },
+  { table: 'tags', title: 'Tags', icon: 'pricetag-outline' },
+];
+
+function plural(count, word) {
+  return `${count} ${word}${count !== 1 ? 's' : ''}`;
+}
+
+function itemDetails(table, item) {
+  const details = [];
+  if (item.project_name && table !== 'projects') details.push(`in ${item.project_name}`);
+  if (item.task_count) details.push(table === 'tags' ? `on ${plural(item.task_count, 'task')}` : plural(item.task_count, 'task'));
+  if (item.subtask_count) details.push(plural(item.subtask_count, 'subtask'));
+  details.push(`deleted ${new Date(item.deleted_at).toLocaleDateString()}`);
+  return details.join(' · ');
+}
+
+export default function TrashScreen() {
+  const colorScheme = useColorScheme();
+  const insets = useSafeAreaInsets();
+  const { isInitialized } = useDatabase();
+  const { data: trash, isLoading } = useTrash();
+  const restoreMutation = useRestoreTrashItem();
+  const purgeMutation = usePurgeTrash();
+  const retentionMutation = useSetTrashRetention();
+  const { mutate: purgeExpired } = purgeMutation;
+
+  const headerTopPadding = Math.max(50, insets.top + 16);
+  const contentPaddingBottom = Math.max(100, insets.bottom + 80);
+  const cardBackgroundColor = colorScheme === 'dark' ? '#252525' : '#FFFFFF';
+  const cardBorderColor = colorScheme === 'dark' ? '#3A3A3A' : '#E5E5E5';
+  const isBusy = restoreMutation.isPending || purgeMutation.isPending || retentionMutation.isPending;
+
+  // Expired items go when the trash is opened, as well as after each sync
+  useEffect(() => {
+    if (isInitialized) {
+      purgeExpired({});
+    }
+  }, [isInitialized, purgeExpired]);
+
+  const sections = TRASH_SECTIONS
+    .map(section => ({ ...section, data: trash ? trash[section.table] : [] }))
+    .filter(section => section.data.length > 0);
+
+  const handleRestore = async (table, item) => {
+    try {
+      const restored = await restoreMutation.mutateAsync({ table, id: item.id });
+      const alsoRestored = TRASH_SECTIONS
+        .map(({ table: name, title }) => {
+          const count = restored[name].filter(id => name !== table || id !== item.id).length;
+          return count > 0 ? `${count} ${title.toLowerCase()}` : null;
+        })
+        .filter(Boolean);
+      if (alsoRestored.length > 0) {
+        Alert.alert('Restored', `"${item.name || item.title}" was restored, along with ${alsoRestored.join(', ')}.`);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to restore');
+    }
+  };
+
+  const handleSetRetention = async (days) => {
+    try {
+      await retentionMutation.mutateAsync(days);
+      await purgeMutation.mutateAsync({});
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to change how long items are kept');
+    }
+  };
+
+  const handleEmptyTrash = () => {
+    Alert.alert(
+      'Empty Trash',
+      'Everything in the trash will be deleted for good. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Empty',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const purged = await purgeMutation.mutateAsync({ all: true });
+              if (purged.waiting > 0) {
+                Alert.alert(
+                  'Waiting for sync',
+                  `${plural(purged.waiting, 'item')} will be deleted for good once the next sync has sent the deletion to your other devices.`
+                );
+              }
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to empty the trash');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderItem = ({ item, section }) => (
+    <View style={[styles.card, { backgroundColor: cardBackgroundColor, borderColor: cardBorderColor }]}>
+      <Ionicons name={section.icon} size={18} color="#8E8E93" />
+      <View style={styles.cardText}>
+        <ThemedText style={styles.cardTitle} numberOfLines={1}>
+          {item.name || item.title || 'Untitled'}
+        </ThemedText>
+        <ThemedText style={styles.cardSubtitle}>{itemDetails(section.table, item)}</ThemedText>
+        {!item.synced && (
+          <ThemedText style={styles.pendingText}>Deletion not synced yet</ThemedText>
+        )}
+      </View>
+      <TouchableOpacity
+        style={styles.restoreButton}
+        onPress={() => handleRestore(section.table, item)}
+        disabled={isBusy}
+      >
+        <Ionicons name="arrow-undo-outline" size={16} color="#007AFF" />
+        <ThemedText style={styles.restoreText}>Restore</ThemedText>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <ThemedView style={styles.container}>
+      {/* Header */}
+      <View style={[styles.header, { paddingTop: headerTopPadding }]}>
+        <ThemedText style={styles.headerTitle}>Trash</ThemedText>
+        {isBusy && <ActivityIndicator size="small" />}
+        {sections.length > 0 && (
+          <TouchableOpacity onPress={handleEmptyTrash} disabled={isBusy} style={styles.emptyButton}>
+            <ThemedText style={styles.emptyButtonText}>Empty</ThemedText>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* Retention */}
+      <View style={styles.retention}>
+        <ThemedText style={styles.retentionLabel}>Keep deleted items for</ThemedText>
+        <View style={styles.chips}>
+          {TRASH_RETENTION_OPTIONS.map(days => {
+            const selected = trash?.retentionDays === days;
+            return (
+              <TouchableOpacity
+                key={days}
+                style={[
+                  styles.chip,
+                  { borderColor: selected ? '#007AFF' : cardBorderColor },
+                  selected && styles.chipSelected,
+                ]}
+                onPress={() => handleSetRetention(days)}
+                disabled={isBusy || selected}
+              >
+                <ThemedText style={[styles.chipText, selected && styles.chipTextSelected]}>
+                  {plural(days, 'day')}
+                </ThemedText>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+
+      {isLoading ? (
+        <ThemedView style={styles.emptyState}>
+          <ActivityIndicator size="large" />
+        </ThemedView>
+      ) : sections.length === 0 ? (
+        <ThemedView style={styles.emptyState}>
+          <Ionicons
+            name="trash-outline"
+            size={64}
+            color={colorScheme === 'dark' ? '#444' : '#ccc'}
+            style={{ marginBottom: 16 }}
+          />
+          <ThemedText style={styles.emptyText}>The trash is empty</ThemedText>
+        </ThemedView>
+      ) : (
+        <SectionList
+          sections={sections}
+          keyExtractor={(item, index) => `${item.id}-${index}`}
+          renderItem={renderItem}
+          renderSectionHeader={({ section }) => (
+            <ThemedText style={styles.sectionTitle}>{section.title}</ThemedText>
+          )}
+          stickySectionHeadersEnabled={false}
+          style={styles.list}
+          contentContainerStyle={{ paddingBottom: contentPaddingBottom }}
+        />
+      )}
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingBottom: 16,
+    backgroundColor: 'transparent',
+    zIndex: 10,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    flex: 1,
+    marginLeft: 50, // Space for hamburger button
+  },
+  emptyButton: {
+    marginLeft: 12,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: 'rgba(255, 59, 48, 0.1)',
+  },
+  emptyButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#FF3B30',
+  },
+  retention: {
+    paddingHorizontal: 20,
+    marginBottom: 8,
+  },
+  retentionLabel: {
+    fontSize: 13,
+    opacity: 0.6,
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  chipSelected: {
+    backgroundColor: 'rgba(0, 122, 255, 0.15)',
+  },
+  chipText: {
+    fontSize: 13,
+  },
+  chipTextSelected: {
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  list: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    opacity: 0.6,
+    textTransform: 'uppercase',
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  card: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    padding: 14,
+    marginVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  cardText: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  cardSubtitle: {
+    fontSize: 12,
+    opacity: 0.6,
+    marginTop: 2,
+  },
+  pendingText: {
+    fontSize: 12,
+    color: '#FF9500',
+    marginTop: 2,
+  },
+  restoreButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    backgroundColor: 'rgba(0, 122, 255, 0.1)',
+  },
+  restoreText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    opacity: 0.6,
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,30 @@
+import { useMemo } from 'react';
+
+import DateTaskListView from '@/components/DateTaskListView';
+import { useUpcomingTasks } from '@/hooks/use-tasks';
+import { formatDayLabel, groupTasksByDueDate } from '@/lib/date-utils';
+
+const UPCOMING_DAYS = 14;
+
+export default function UpcomingScreen() {
+  const { data: tasks = [], isLoading } = useUpcomingTasks(UPCOMING_DAYS);
+
+  const sections = useMemo(() => (
+    groupTasksByDueDate(tasks).map(group => ({
+      key: group.date,
+      title: formatDayLabel(group.date),
+      tasks: group.tasks,
+    }))
+  ), [tasks]);
+
+  return (
+    <DateTaskListView
+      title="Upcoming"
+      sections={sections}
+      isLoading={isLoading}
+      emptyIcon="calendar-outline"
+      emptyTitle="Nothing coming up"
+      emptyText={`Tasks due in the next ${UPCOMING_DAYS} days will show up here.`}
+    />
+  );
+}
@@ -1,4 +1,5 @@
 import ChatHistoryModal from '@/components/chat-history-modal';
+import ChatModelModal from '@/components/chat-model-modal';
 import PromptsSelectionModal from '@/components/prompts-selection-modal';
 import TaskSelectionModal from '@/components/task-selection-modal';
 import { ThemedText } from '@/components/themed-text';
@@ -10,9 +11,12 @@ import { sendMessageToClaude } from '@/lib/claude-api';
 import { formatTaskContext } from '@/lib/context-utils';
 import {
     addChatMessage,
+    addChatSessionUsage,
     createChatSession,
     getChatMessages,
-    getLatestSessionForTask
+    getChatSessionById,
+    getLatestSessionForTask,
+    updateChatSessionModel
 } from '@/repositories/chat';
 import { getTaskById } from '@/repositories/tasks';
 import { Ionicons } from '@expo/vector-icons';
@@ -42,6 +46,7 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
     { id: Date.now(), text: 'Hello! How can I help you today?', isUser: false },
   ]);
   const [isLoading, setIsLoading] = useState(false);
+  const [isReplying, setIsReplying] = useState(false);
   const [showPromptsModal, setShowPromptsModal] = useState(false);
   const [showHistoryModal, setShowHistoryModal] = useState(false);
   const [systemMessage, setSystemMessage] = useState(initialSystemPrompt || null);
@@ -50,27 +55,80 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
   const [toolsDisabled, setToolsDisabled] = useState(false);
   const [voiceMode, setVoiceMode] = useState(false);
   const scrollViewRef = useRef(null);
+  // Cancels the reply being written (the send button turns into a stop button meanwhile)
+  const abortControllerRef = useRef(null);
+  // Changes Claude wants to make wait for approval: resolvers by tool use ID
+  const approvalResolversRef = useRef(new Map());
+  // Approve every change for the rest of this chat session (ref for the reply in progress)
+  const [autoApproveTools, setAutoApproveTools] = useState(false);
+  const autoApproveToolsRef = useRef(false);
   
   // Chat Session State
   const [currentSessionId, setCurrentSessionId] = useState(null);
+  // Provider and model picked for this chat ({ provider, model }), null to use the AI Chat settings
+  const [chatModel, setChatModel] = useState(null);
+  const [showModelModal, setShowModelModal] = useState(false);
   
   // TTS hook
-  const { speak, isPlaying, isLoading: isTTSLoading, stop, currentText } = useDeepgramTTS();
+  const {
+    speak,
+    startStream,
+    appendToStream,
+    endStream,
+    isPlaying,
+    isStreaming: isSpeechStreaming,
+    isLoading: isTTSLoading,
+    stop,
+    currentText,
+  } = useDeepgramTTS();
   const [playingMessageId, setPlayingMessageId] = useState(null);
 
+  // Answer every change that is waiting for approval
+  const resolvePendingApprovals = (approved) => {
+    for (const resolve of approvalResolversRef.current.values()) {
+      resolve(approved);
+    }
+    approvalResolversRef.current.clear();
+  };
+
+  // Auto-approve only lasts for the session it was turned on in
+  const resetToolApprovals = () => {
+    resolvePendingApprovals(false);
+    autoApproveToolsRef.current = false;
+    setAutoApproveTools(false);
+  };
+
+  const handleToolApproval = (toolUseId, approved) => {
+    const resolve = approvalResolversRef.current.get(toolUseId);
+    approvalResolversRef.current.delete(toolUseId);
+    resolve?.(approved);
+  };
+
+  const handleToggleAutoApprove = () => {
+    const enabled = !autoApproveToolsRef.current;
+    autoApproveToolsRef.current = enabled;
+    setAutoApproveTools(enabled);
+    if (enabled) {
+      resolvePendingApprovals(true);
+    }
+  };
+
   // Load messages for a session
   const loadSession = async (sessionId) => {
+    resetToolApprovals();
     if (!sessionId) {
         setMessages([
             { id: Date.now(), text: 'Hello! How can I help you today?', isUser: false },
         ]);
         setCurrentSessionId(null);
+        setChatModel(null);
         return;
     }
 
     try {
       setIsLoading(true);
-      const dbMessages = await getChatMessages(sessionId);
+      const [session, dbMessages] = await Promise.all([getChatSessionById(sessionId), getChatMessages(sessionId)]);
+      setChatModel(session?.provider ? { provider: session.provider, model: session.model } : null);
       
       if (dbMessages.length === 0) {
          // Should typically not happen if session exists, but fallback
@@ -106,10 +164,12 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
           }
       } else {
           // New chat
+          resetToolApprovals();
           setMessages([
             { id: Date.now(), text: 'Hello! How can I help you today?', isUser: false },
           ]);
           setCurrentSessionId(null);
+          setChatModel(null);
           
           if (taskId) {
               getTaskById(parseInt(taskId)).then(task => {
@@ -152,7 +212,9 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
                 await loadSession(existingSession.id);
             } else {
                 // Start fresh linked to this task
+                resetToolApprovals();
                 setCurrentSessionId(null);
+                setChatModel(null);
                 setMessages([
                     { id: Date.now(), text: 'Hello! How can I help you today?', isUser: false },
                 ]);
@@ -178,53 +240,30 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
 
   // Track which message is currently playing
   useEffect(() => {
-    if (!isPlaying && !isTTSLoading) {
+    if (!isPlaying && !isTTSLoading && !isSpeechStreaming) {
       setPlayingMessageId(null);
     }
-  }, [isPlaying, isTTSLoading]);
+  }, [isPlaying, isTTSLoading, isSpeechStreaming]);
 
   // Stop playback when voice mode is disabled
   useEffect(() => {
-    if (!voiceMode && isPlaying) {
+    if (!voiceMode && (isPlaying || isSpeechStreaming)) {
       stop();
       setPlayingMessageId(null);
     }
-  }, [voiceMode, isPlaying, stop]);
-
-  // Handle automatic TTS when voice mode is active
-  const handleAutoSpeak = async (messageText, messageId) => {
-    // Validate text
-    if (!messageText || messageText.trim() === '' || messageText === '...') {
-      return;
-    }
-
-    // Stop any current playback
-    if (isPlaying) {
-      await stop();
-    }
-
-    // Start speaking the message
-    setPlayingMessageId(messageId);
-    try {
-      await speak(messageText);
-    } catch (error) {
-      console.error('Error in auto-speak:', error);
-      // Silently fail for auto-TTS - don't show alerts
-      setPlayingMessageId(null);
-    }
-  };
+  }, [voiceMode, isPlaying, isSpeechStreaming, stop]);
 
   // Handle speaking a message (manual TTS)
   const handleSpeakMessage = async (messageId, messageText) => {
     // If this message is already playing, stop it
-    if (playingMessageId === messageId && isPlaying) {
+    if (playingMessageId === messageId && (isPlaying || isSpeechStreaming)) {
       await stop();
       setPlayingMessageId(null);
       return;
     }
 
     // Stop any current playback
-    if (isPlaying) {
+    if (isPlaying || isSpeechStreaming) {
       await stop();
     }
 
@@ -254,7 +293,8 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
             
             activeSessionId = await createChatSession(
                 title, 
-                selectedContextTask ? selectedContextTask.id : null
+                selectedContextTask ? selectedContextTask.id : null,
+                chatModel
             );
             setCurrentSessionId(activeSessionId);
         } catch (error) {
@@ -264,6 +304,16 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
         }
     }
 
+    // The chat's provider and model, and the tokens it has used so far (for the token budget)
+    let session = null;
+    let usedTokens = 0;
+    try {
+        session = await getChatSessionById(activeSessionId);
+        usedTokens = (session?.input_tokens || 0) + (session?.output_tokens || 0);
+    } catch (error) {
+        console.error('Error reading chat session:', error);
+    }
+
     // Format context if a task is selected
     let messageWithContext = trimmedInput;
     if (selectedContextTask) {
@@ -304,6 +354,15 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
       isUser: false,
     }]);
 
+    // Voice mode speaks the reply sentence by sentence while it is being written
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    setIsReplying(true);
+    if (voiceMode) {
+      setPlayingMessageId(aiMessageId);
+      startStream();
+    }
+
     try {
       // Send message to Claude (with context included)
       // Note: We should pass previous messages history to Claude for context
@@ -316,18 +375,20 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
         systemMessage, 
         toolsDisabled,
         (name, status, toolUseId) => {
-          // If running, add a new message
-          if (status === 'running') {
+          // Requested (still being written), waiting for approval or running: add a new message
+          if (status === 'requested' || status === 'awaiting_approval' || status === 'running') {
             setMessages(prev => {
-                // Check if already exists to avoid duplicates (though id should be unique)
-                if (prev.some(m => m.id === toolUseId)) return prev;
+                // Already shown while it was requested: just update its status
+                if (prev.some(m => m.id === toolUseId)) {
+                    return prev.map(msg => msg.id === toolUseId ? { ...msg, status } : msg);
+                }
                 return [...prev, {
                     id: toolUseId,
                     text: `Used ${name}`,
                     isUser: false,
                     type: 'tool-usage',
                     toolName: name,
-                    status: 'running'
+                    status
                 }];
             });
           } else if (status === 'completed') {
@@ -337,19 +398,65 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
                       ? { ...msg, status: 'completed' }
                       : msg
               ));
+          } else if (status === 'rejected') {
+              setMessages(prev => prev.map(msg => 
+                  msg.id === toolUseId 
+                      ? { ...msg, status: 'rejected', text: `Rejected ${name}` }
+                      : msg
+              ));
           }
+        },
+        {
+          signal: abortController.signal,
+          session,
+          usedTokens,
+          // Show the change in the chat and wait for Approve/Reject (unless auto-approved)
+          confirmToolCall: ({ id, preview }) => {
+            if (autoApproveToolsRef.current) {
+              setMessages(prev => prev.map(msg => msg.id === id ? { ...msg, preview } : msg));
+              return Promise.resolve(true);
+            }
+            return new Promise(resolve => {
+              approvalResolversRef.current.set(id, resolve);
+              setMessages(prev => prev.map(msg => msg.id === id ? { ...msg, preview } : msg));
+            });
+          },
+          onTextDelta: (delta, text) => {
+            // Show the reply as it arrives (text starts over after each round of tool use)
+            setMessages(prev => prev.map(msg => 
+              msg.id === aiMessageId ? { ...msg, text } : msg
+            ));
+            if (voiceMode) {
+              appendToStream(delta);
+            }
+          },
         }
       );
 
-      if (response.error) {
-        // Remove placeholder and show error
+      if (response.error || (response.cancelled && !response.text)) {
+        // Failed, or cancelled before any text arrived: no message to save, but the
+        // requests made so far still count towards the chat's tokens
+        try {
+          await addChatSessionUsage(activeSessionId, response.usage);
+        } catch (error) {
+          console.error('Failed to save chat token usage', error);
+        }
         setMessages(prev => prev.filter(msg => msg.id !== aiMessageId));
-        Alert.alert('Error', response.error);
+        if (response.error) {
+          if (voiceMode) {
+            stop();
+          }
+          Alert.alert('Error', response.error);
+        }
       } else {
-        // Save AI response to DB
+        if (voiceMode && !response.cancelled) {
+          endStream();
+        }
+
+        // Save AI response to DB (what had arrived, when cancelled)
         let dbAiMessageId;
         try {
-             dbAiMessageId = await addChatMessage(activeSessionId, 'assistant', response.text);
+             dbAiMessageId = await addChatMessage(activeSessionId, 'assistant', response.text, false, response.usage);
         } catch (error) {
             console.error('Failed to save AI message', error);
         }
@@ -360,27 +467,48 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
             ? { ...msg, text: response.text, id: dbAiMessageId || msg.id } // Update ID if saved
             : msg
         ));
+        if (dbAiMessageId) {
+          setPlayingMessageId(current => current === aiMessageId ? dbAiMessageId : current);
+        }
 
         // Update session title if it was the first message and we want to be smarter?
         // (We already set it to user input, which is fine for now)
-
-        // Auto-play TTS if voice mode is active
-        if (voiceMode && response.text && response.text.trim() !== '' && response.text !== '...') {
-          // Use setTimeout to ensure message state is updated before TTS
-          setTimeout(() => {
-            handleAutoSpeak(response.text, dbAiMessageId || aiMessageId);
-          }, 100);
-        }
       }
     } catch (error) {
       console.error('Error sending message:', error);
+      if (voiceMode) {
+        stop();
+      }
       setMessages(prev => prev.filter(msg => msg.id !== aiMessageId));
       Alert.alert('Error', 'Failed to send message. Please try again.');
     } finally {
+      abortControllerRef.current = null;
+      setIsReplying(false);
       setIsLoading(false);
     }
   };
 
+  // Stop the reply being written; what has arrived so far is kept
+  const handleCancelMessage = () => {
+    abortControllerRef.current?.abort();
+    resolvePendingApprovals(false);
+    if (voiceMode) {
+      stop();
+    }
+  };
+
+  // The pick applies to the chat already open, or to the one the next message starts
+  const handleSelectChatModel = async (selectedModel) => {
+    setChatModel(selectedModel);
+    if (!currentSessionId) return;
+    try {
+      await updateChatSessionModel(currentSessionId, selectedModel);
+    } catch (error) {
+      console.error('Error saving chat model:', error);
+      Alert.alert('Error', 'Failed to change the chat model');
+    }
+  };
+
   const handleNewChat = () => {
     if (messages.length > 1) {
       Alert.alert(
@@ -506,16 +634,67 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
                   <ActivityIndicator size="small" color={colorScheme === 'dark' ? '#ECEDEE' : '#11181C'} />
                 </View>
               ) : message.type === 'tool-usage' ? (
-                <View style={styles.toolUsageContainer}>
-                    <Ionicons 
-                        name="hammer-outline" 
-                        size={14} 
-                        color={colorScheme === 'dark' ? '#9BA1A6' : '#687076'} 
-                    />
-                    <ThemedText style={styles.toolUsageText}>
-                        {message.text}
-                    </ThemedText>
-                </View>
+                <>
+                  <View style={styles.toolUsageContainer}>
+                      <Ionicons 
+                          name={message.status === 'rejected' ? 'close-circle-outline' : 'hammer-outline'} 
+                          size={14} 
+                          color={colorScheme === 'dark' ? '#9BA1A6' : '#687076'} 
+                      />
+                      <ThemedText style={styles.toolUsageText}>
+                          {message.text}
+                      </ThemedText>
+                  </View>
+                  {message.preview && (
+                    <View style={[
+                      styles.toolApprovalCard,
+                      {
+                        borderColor: colorScheme === 'dark' ? '#3A3A3A' : '#E0E0E0',
+                        opacity: message.status === 'awaiting_approval' ? 1 : 0.7,
+                      },
+                    ]}>
+                      <ThemedText style={styles.toolApprovalSummary}>
+                        {message.preview.summary}
+                      </ThemedText>
+                      {message.status === 'awaiting_approval' && (
+                        <>
+                          {message.preview.details.map((detail, index) => (
+                            <ThemedText key={index} style={styles.toolApprovalDetail}>
+                              • {detail}
+                            </ThemedText>
+                          ))}
+                          {message.preview.after !== undefined && (
+                            <ThemedText style={[
+                              styles.toolApprovalAfter,
+                              { backgroundColor: colorScheme === 'dark' ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.05)' },
+                            ]}>
+                              {message.preview.after || '(empty)'}
+                            </ThemedText>
+                          )}
+                          <View style={styles.toolApprovalButtons}>
+                            <TouchableOpacity
+                              style={[
+                                styles.toolApprovalButton,
+                                { backgroundColor: colorScheme === 'dark' ? '#3A3A3A' : '#E0E0E0' },
+                              ]}
+                              activeOpacity={0.7}
+                              onPress={() => handleToolApproval(message.id, false)}
+                            >
+                              <ThemedText style={styles.miniButtonText}>Reject</ThemedText>
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                              style={[styles.toolApprovalButton, { backgroundColor: '#0a7ea4' }]}
+                              activeOpacity={0.7}
+                              onPress={() => handleToolApproval(message.id, true)}
+                            >
+                              <ThemedText style={[styles.miniButtonText, styles.miniButtonTextActive]}>Approve</ThemedText>
+                            </TouchableOpacity>
+                          </View>
+                        </>
+                      )}
+                    </View>
+                  )}
+                </>
               ) : (
                 <>
                   {message.isUser ? (
@@ -750,6 +929,44 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
               Voice Mode{voiceMode ? ' ✓' : ''}
             </ThemedText>
           </TouchableOpacity>
+          <TouchableOpacity
+            style={[
+              styles.miniButton,
+              {
+                backgroundColor: autoApproveTools 
+                  ? (colorScheme === 'dark' ? '#0a7ea4' : '#0a7ea4') 
+                  : (colorScheme === 'dark' ? '#3A3A3A' : '#E0E0E0'),
+              },
+            ]}
+            activeOpacity={0.7}
+            onPress={handleToggleAutoApprove}
+          >
+            <ThemedText style={[
+              styles.miniButtonText,
+              autoApproveTools && styles.miniButtonTextActive
+            ]}>
+              Auto-approve{autoApproveTools ? ' ✓' : ''}
+            </ThemedText>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[
+              styles.miniButton,
+              {
+                backgroundColor: chatModel 
+                  ? (colorScheme === 'dark' ? '#0a7ea4' : '#0a7ea4') 
+                  : (colorScheme === 'dark' ? '#3A3A3A' : '#E0E0E0'),
+              },
+            ]}
+            activeOpacity={0.7}
+            onPress={() => setShowModelModal(true)}
+          >
+            <ThemedText style={[
+              styles.miniButtonText,
+              chatModel && styles.miniButtonTextActive
+            ]}>
+              Model{chatModel ? ' ✓' : ''}
+            </ThemedText>
+          </TouchableOpacity>
         </ThemedView>
 
         {/* Input Area */}
@@ -787,14 +1004,16 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
             style={[
               styles.sendButton,
               {
-                backgroundColor: (inputText.trim() && !isLoading) ? '#0a7ea4' : '#9BA1A6',
+                backgroundColor: isReplying || (inputText.trim() && !isLoading) ? '#0a7ea4' : '#9BA1A6',
               },
             ]}
-            disabled={!inputText.trim() || isLoading}
-            onPress={handleSendMessage}
+            disabled={!isReplying && (!inputText.trim() || isLoading)}
+            onPress={isReplying ? handleCancelMessage : handleSendMessage}
             activeOpacity={0.7}
           >
-            {isLoading ? (
+            {isReplying ? (
+              <Ionicons name="stop" size={20} color="white" />
+            ) : isLoading ? (
               <ActivityIndicator size="small" color="white" />
             ) : (
               <Ionicons name="send" size={20} color="white" />
@@ -829,6 +1048,14 @@ const AIView = forwardRef(({ taskId, initialTask, initialSystemPrompt, showHeade
         onSelectSession={handleSelectSession}
         currentSessionId={currentSessionId}
       />
+
+      {/* Chat Model Modal */}
+      <ChatModelModal
+        visible={showModelModal}
+        onClose={() => setShowModelModal(false)}
+        chatModel={chatModel}
+        onSave={handleSelectChatModel}
+      />
     </ThemedView>
   );
 });
@@ -896,6 +1123,40 @@ const styles = StyleSheet.create({
     backgroundColor: '#0a7ea4',
     borderBottomRightRadius: 4,
   },
+  toolApprovalCard: {
+    marginTop: 6,
+    padding: 12,
+    borderWidth: 1,
+    borderRadius: 12,
+    gap: 4,
+  },
+  toolApprovalSummary: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  toolApprovalDetail: {
+    fontSize: 13,
+    lineHeight: 18,
+  },
+  toolApprovalAfter: {
+    marginTop: 4,
+    padding: 8,
+    borderRadius: 8,
+    fontSize: 12,
+    lineHeight: 17,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  toolApprovalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 8,
+    marginTop: 8,
+  },
+  toolApprovalButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 14,
+  },
   toolMessage: {
     alignSelf: 'flex-start',
     backgroundColor: 'transparent',
@@ -959,6 +1220,7 @@ const styles = StyleSheet.create({
   },
   miniButtonsContainer: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     paddingHorizontal: 12,
     paddingTop: 6,
     paddingBottom: 4,
@@ -0,0 +1,256 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import React from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    SectionList,
+    StyleSheet,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useCompleteTask } from '@/hooks/use-tasks';
+import { ThemedText } from './themed-text';
+import { ThemedView } from './themed-view';
+
+/**
+ * Task list for the built-in date views (Today, Upcoming)
+ * @param {string} title - Header title
+ * @param {Array} sections - [{ key, title, isOverdue, tasks }]
+ * @param {boolean} isLoading - Whether tasks are still loading
+ * @param {string} emptyIcon - Ionicons name shown when there are no tasks
+ * @param {string} emptyTitle - Title shown when there are no tasks
+ * @param {string} emptyText - Text shown when there are no tasks
+ */
+export default function DateTaskListView({ title, sections, isLoading, emptyIcon, emptyTitle, emptyText }) {
+  const router = useRouter();
+  const colorScheme = useColorScheme();
+  const insets = useSafeAreaInsets();
+  const completeTaskMutation = useCompleteTask();
+
+  const taskBackgroundColor = colorScheme === 'dark' ? '#252525' : '#FFFFFF';
+  const taskBorderColor = colorScheme === 'dark' ? '#3A3A3A' : '#E5E5E5';
+
+  const headerTopPadding = Math.max(50, insets.top + 16);
+  const contentPaddingBottom = Math.max(100, insets.bottom + 80);
+
+  const handleComplete = async (taskId) => {
+    try {
+      await completeTaskMutation.mutateAsync(taskId);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to complete task');
+      console.error('Error completing task:', error);
+    }
+  };
+
+  const formatTime = (dueAt) => {
+    const date = new Date(dueAt);
+    if (date.getHours() === 0 && date.getMinutes() === 0) return null;
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  };
+
+  const renderTask = ({ item: task, section }) => {
+    const time = formatTime(task.due_at);
+    return (
+      <TouchableOpacity
+        style={[styles.taskItem, { backgroundColor: taskBackgroundColor, borderColor: taskBorderColor }]}
+        onPress={() => router.push(`/task/${task.id}`)}
+        activeOpacity={0.9}
+      >
+        <TouchableOpacity
+          onPress={(e) => {
+            e.stopPropagation();
+            handleComplete(task.id);
+          }}
+          style={styles.checkboxContainer}
+        >
+          <Ionicons
+            name="square-outline"
+            size={20}
+            color={colorScheme === 'dark' ? '#888' : '#666'}
+            style={styles.checkbox}
+          />
+        </TouchableOpacity>
+        <ThemedView style={styles.taskContent}>
+          <ThemedText type="defaultSemiBold" style={styles.taskTitle}>
+            {task.title}
+          </ThemedText>
+          <View style={styles.metaRow}>
+            {task.project_name && (
+              <ThemedText style={styles.metaText}>{task.project_name}</ThemedText>
+            )}
+            {time && (
+              <ThemedText style={[styles.metaText, section.isOverdue && styles.overdueText]}>
+                {time}
+              </ThemedText>
+            )}
+            {task.recurrence && (
+              <Ionicons name="repeat" size={14} color={colorScheme === 'dark' ? '#888' : '#666'} />
+            )}
+          </View>
+        </ThemedView>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderSectionHeader = ({ section }) => (
+    <View style={styles.sectionHeader}>
+      <ThemedText style={[styles.sectionTitle, section.isOverdue && styles.overdueText]}>
+        {section.title}
+      </ThemedText>
+      <ThemedText style={styles.sectionCount}>{section.data.length}</ThemedText>
+    </View>
+  );
+
+  const listSections = sections
+    .filter(section => section.tasks.length > 0)
+    .map(section => ({ ...section, data: section.tasks }));
+
+  return (
+    <ThemedView style={styles.container}>
+      {/* Header */}
+      <View style={[styles.header, { paddingTop: headerTopPadding }]}>
+        <ThemedText style={styles.headerTitle} numberOfLines={1}>
+          {title}
+        </ThemedText>
+      </View>
+
+      <ThemedView style={styles.content}>
+        {isLoading ? (
+          <ThemedView style={styles.loadingContainer}>
+            <ActivityIndicator size="large" />
+            <ThemedText>Loading tasks...</ThemedText>
+          </ThemedView>
+        ) : listSections.length > 0 ? (
+          <SectionList
+            sections={listSections}
+            keyExtractor={(task) => `task-${task.id}`}
+            renderItem={renderTask}
+            renderSectionHeader={renderSectionHeader}
+            stickySectionHeadersEnabled={false}
+            style={styles.tasksList}
+            contentContainerStyle={{ paddingBottom: contentPaddingBottom }}
+          />
+        ) : (
+          <ThemedView style={styles.emptyState}>
+            <Ionicons
+              name={emptyIcon}
+              size={64}
+              color={colorScheme === 'dark' ? '#444' : '#ccc'}
+              style={{ marginBottom: 16 }}
+            />
+            <ThemedText style={styles.emptyTitle}>{emptyTitle}</ThemedText>
+            <ThemedText style={styles.emptyText}>{emptyText}</ThemedText>
+          </ThemedView>
+        )}
+      </ThemedView>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingBottom: 16,
+    backgroundColor: 'transparent',
+    zIndex: 10,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    flex: 1,
+    marginLeft: 50, // Space for hamburger button
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  tasksList: {
+    flex: 1,
+    backgroundColor: 'transparent',
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 16,
+    marginBottom: 6,
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+  },
+  sectionCount: {
+    fontSize: 13,
+    opacity: 0.5,
+  },
+  taskItem: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    marginVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  checkboxContainer: {
+    padding: 4,
+    marginRight: 8,
+  },
+  checkbox: {
+    marginTop: 2,
+  },
+  taskContent: {
+    flex: 1,
+    backgroundColor: 'transparent',
+  },
+  taskTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 4,
+    lineHeight: 22,
+  },
+  metaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  metaText: {
+    fontSize: 12,
+    opacity: 0.6,
+  },
+  overdueText: {
+    color: '#FF3B30',
+    opacity: 1,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 16,
+    opacity: 0.6,
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
@@ -19,6 +19,7 @@ import { useColorScheme } from '@/hooks/use-color-scheme';
 import { useDatabase } from '@/hooks/use-database';
 import { useDeleteFilter, useFilter, useFilterTasks } from '@/hooks/use-filters';
 import { useDeleteTask } from '@/hooks/use-tasks';
+import { descriptionToText } from '@/lib/blocks-utils';
 import { getTagsForTasks, toggleTaskExpansion } from '@/repositories/tasks';
 import AddFilterModal from './add-filter-modal';
 import { ThemedText } from './themed-text';
@@ -322,7 +323,7 @@ export default function FilterDetailView({ filterId }) {
             </ThemedText>
           )}
           <ThemedText style={styles.taskDescription} numberOfLines={2}>
-            {task.description || 'No description'}
+            {descriptionToText(task.description) || 'No description'}
           </ThemedText>
           {tagsByTaskId[task.id] && tagsByTaskId[task.id].filter(tag => tag.name !== PIN_TAG_NAME).length > 0 && (
             <View style={styles.tagsContainer}>
@@ -426,8 +427,25 @@ export default function FilterDetailView({ filterId }) {
         </TouchableOpacity>
       </View>
 
+      {/* Query Summary */}
+      {filter?.query ? (
+        <View style={styles.criteriaSummary}>
+          <View style={styles.criteriaHeader}>
+            <Ionicons 
+              name="code-outline" 
+              size={16} 
+              color={colorScheme === 'dark' ? '#888' : '#666'} 
+            />
+            <ThemedText style={styles.criteriaHeaderText}>
+              Showing tasks matching:
+            </ThemedText>
+          </View>
+          <ThemedText style={styles.queryText}>{filter.query}</ThemedText>
+        </View>
+      ) : null}
+
       {/* Criteria Summary */}
-      {filter && (filter.tags?.length > 0 || filter.projects?.length > 0) && (
+      {filter && !filter.query && (filter.tags?.length > 0 || filter.projects?.length > 0) && (
         <View style={styles.criteriaSummary}>
           <View style={styles.criteriaHeader}>
             <Ionicons 
@@ -498,11 +516,13 @@ export default function FilterDetailView({ filterId }) {
             />
             <ThemedText style={styles.emptyTitle}>No tasks match this filter</ThemedText>
             <ThemedText style={styles.emptyText}>
-              {filter && (filter.tags?.length > 0 || filter.projects?.length > 0)
+              {filter?.query
+                ? 'No tasks match this query right now.'
+                : filter && (filter.tags?.length > 0 || filter.projects?.length > 0)
                 ? 'Create a task with any of these criteria to see it here:'
                 : 'This filter has no criteria set. Edit the filter to add tags or projects.'}
             </ThemedText>
-            {filter && (filter.tags?.length > 0 || filter.projects?.length > 0) && (
+            {filter && !filter.query && (filter.tags?.length > 0 || filter.projects?.length > 0) && (
               <View style={styles.emptyCriteria}>
                 {filter.tags?.map(tag => (
                   <View key={`empty-tag-${tag.id}`} style={[styles.criteriaPill, styles.criteriaPillTag, { marginBottom: 8 }]}>
@@ -801,6 +821,11 @@ const styles = StyleSheet.create({
     opacity: 0.6,
     fontWeight: '500',
   },
+  queryText: {
+    fontSize: 13,
+    fontFamily: 'monospace',
+    opacity: 0.8,
+  },
   criteriaPillsContainer: {
     flexDirection: 'row',
     gap: 8,
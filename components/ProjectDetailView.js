@@ -3,7 +3,8 @@ import { useFocusEffect } from '@react-navigation/native';
 import { useQueryClient } from '@tanstack/react-query';
 import { useRouter } from 'expo-router';
 import { useCallback, useEffect, useMemo, useState } from 'react';
-import { ActivityIndicator, Alert, BackHandler, FlatList, Modal, Pressable, ScrollView, StyleSheet, TouchableOpacity, View } from 'react-native';
+import { ActivityIndicator, Alert, BackHandler, Modal, Pressable, ScrollView, StyleSheet, TouchableOpacity, View } from 'react-native';
+import { NestableDraggableFlatList, NestableScrollContainer, ScaleDecorator } from 'react-native-draggable-flatlist';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 
 import AddTaskModal from '@/components/add-task-modal';
@@ -18,7 +19,9 @@ import { useDatabase } from '@/hooks/use-database';
 import { useProjects } from '@/hooks/use-projects';
 import { useSectionsByProject } from '@/hooks/use-sections';
 import { useTags } from '@/hooks/use-tags';
-import { useDeleteTask, useTasksByProject } from '@/hooks/use-tasks';
+import { useDeleteTask, useMoveTask, useTasksByProject } from '@/hooks/use-tasks';
+import { descriptionToText } from '@/lib/blocks-utils';
+import { newBatchId } from '@/lib/task-history';
 import { getProjectById } from '@/repositories/projects';
 import { addTagToTask, getTagsForTasks, toggleTaskExpansion, updateTask } from '@/repositories/tasks';
 
@@ -55,6 +58,7 @@ export default function ProjectDetailView({ projectId }) {
   const { data: projects = [], isLoading: projectsLoading } = useProjects();
   const { data: allTags = [], isLoading: tagsLoading } = useTags();
   const deleteTaskMutation = useDeleteTask();
+  const moveTaskMutation = useMoveTask();
   const isMultiSelectMode = selectedTaskIds.size > 0;
   const selectedCount = selectedTaskIds.size;
 
@@ -64,8 +68,7 @@ export default function ProjectDetailView({ projectId }) {
     const roots = [];
     const map = {};
     
-    // Sort by ID desc (newest first) or user preference
-    // The existing logic sorts later, so we just split here
+    // Tasks come in their manual order (sort_key), so we just split here
     tasks.forEach(t => {
         if (t.parent_id) {
             if (!map[t.parent_id]) map[t.parent_id] = [];
@@ -75,12 +78,9 @@ export default function ProjectDetailView({ projectId }) {
         }
     });
     
-    // Sort subtasks: completed at bottom, then by ID
+    // Sort subtasks: completed at bottom, otherwise keep their manual order
     Object.values(map).forEach(list => {
-        list.sort((a, b) => {
-            if (a.completed !== b.completed) return a.completed - b.completed;
-            return a.id - b.id;
-        });
+        list.sort((a, b) => a.completed - b.completed);
     });
     
     return { rootTasks: roots, subTaskMap: map };
@@ -156,6 +156,8 @@ export default function ProjectDetailView({ projectId }) {
 
     setIsBulkUpdatingSection(true);
     try {
+      // One history batch, so undo reverts the whole selection at once
+      const history = { batchId: newBatchId() };
       await Promise.all(
         selectedTasks.map(task =>
           updateTask(task.id, {
@@ -163,7 +165,7 @@ export default function ProjectDetailView({ projectId }) {
             section_id: sectionId,
             title: task.title,
             description: task.description,
-          })
+          }, history)
         )
       );
 
@@ -215,8 +217,9 @@ export default function ProjectDetailView({ projectId }) {
 
     setIsBulkUpdatingTags(true);
     try {
+      const history = { batchId: newBatchId() };
       await Promise.all(
-        selectedTasks.map(task => addTagToTask(task.id, tagId))
+        selectedTasks.map(task => addTagToTask(task.id, tagId, history))
       );
 
       // Reload tags
@@ -248,6 +251,7 @@ export default function ProjectDetailView({ projectId }) {
 
     setIsBulkUpdatingProject(true);
     try {
+      const history = { batchId: newBatchId() };
       await Promise.all(
         selectedTasks.map(task =>
           updateTask(task.id, {
@@ -255,7 +259,7 @@ export default function ProjectDetailView({ projectId }) {
             section_id: null, // Reset section when moving to a different project
             title: task.title,
             description: task.description,
-          })
+          }, history)
         )
       );
 
@@ -365,13 +369,7 @@ export default function ProjectDetailView({ projectId }) {
     // Sort pinned tasks by updated_at DESC (most recent first)
     pinned.sort((a, b) => new Date(b.updated_at || 0) - new Date(a.updated_at || 0));
     
-    // Sort within sections (only unpinned tasks now)
-    Object.values(bySection).forEach(group => {
-      group.unpinned.sort((a, b) => b.id - a.id);
-    });
-    
-    noSection.unpinned.sort((a, b) => b.id - a.id);
-    
+    // Sections keep the manual order the tasks came in
     return { pinned, bySection, noSection };
   };
   
@@ -426,6 +424,21 @@ export default function ProjectDetailView({ projectId }) {
     );
   };
 
+  // A dragged task goes next to its new neighbour, which also gives it the neighbour's section
+  const handleDragEnd = ({ data, from, to }) => {
+    if (from === to) return;
+    const neighbour = to > 0 ? { afterId: data[to - 1].id } : { beforeId: data[1].id };
+    moveTaskMutation.mutate(
+      { id: data[to].id, projectId: numericProjectId, ...neighbour },
+      {
+        onError: (error) => {
+          console.error('Error moving task:', error);
+          Alert.alert('Error', error.message || 'Failed to move task');
+        },
+      }
+    );
+  };
+
   const handleCreateSection = () => {
     setShowMenuModal(false);
     router.push(`/project/${numericProjectId}/sections`);
@@ -486,7 +499,7 @@ export default function ProjectDetailView({ projectId }) {
   // Align header with the sidebar hamburger button (which is at top: 50 or insets.top + 16)
   const headerTopPadding = Math.max(50, insets.top + 16);
 
-  const renderTaskRow = (task, index, group, depth = 0, isStandalone = false, parentIsLast = false) => {
+  const renderTaskRow = (task, index, group, depth = 0, isStandalone = false, parentIsLast = false, drag = null) => {
     const isSubtask = depth > 0;
     const isLast = index === group.length - 1;
     const isSelected = selectedTaskIds.has(task.id);
@@ -572,7 +585,7 @@ export default function ProjectDetailView({ projectId }) {
             </ThemedText>
           )}
           <ThemedText style={styles.taskDescription} numberOfLines={2}>
-            {task.description || 'No description'}
+            {descriptionToText(task.description) || 'No description'}
           </ThemedText>
           {tagsByTaskId[task.id] && tagsByTaskId[task.id].filter(tag => tag.name !== PIN_TAG_NAME).length > 0 && (
             <View style={styles.tagsContainer}>
@@ -600,18 +613,24 @@ export default function ProjectDetailView({ projectId }) {
                 />
             </TouchableOpacity>
         )}
+
+        {drag && !isMultiSelectMode && (
+          <TouchableOpacity onPressIn={drag} style={styles.dragHandle}>
+            <Ionicons name="reorder-three-outline" size={20} color={colorScheme === 'dark' ? '#888' : '#666'} />
+          </TouchableOpacity>
+        )}
       </TouchableOpacity>
     );
   };
 
-  const renderTask = (task, taskIndex, allTasksInGroup, depth = 0, isStandalone = false) => {
+  const renderTask = (task, taskIndex, allTasksInGroup, depth = 0, isStandalone = false, drag = null) => {
     const isLast = taskIndex === allTasksInGroup.length - 1;
     const children = subTaskMap[task.id] || [];
     const isExpanded = !!task.is_expanded;
     
     return (
       <View key={task.id}>
-        {renderTaskRow(task, taskIndex, allTasksInGroup, depth, isStandalone)}
+        {renderTaskRow(task, taskIndex, allTasksInGroup, depth, isStandalone, false, drag)}
 
         {isExpanded && children.length > 0 && (
             <View>
@@ -652,19 +671,18 @@ export default function ProjectDetailView({ projectId }) {
             <ThemedText>Loading tasks...</ThemedText>
           </ThemedView>
         ) : tasks && tasks.length > 0 ? (
-          <FlatList
-            data={[
+          <NestableScrollContainer
+            style={styles.tasksList}
+            contentContainerStyle={[
+              styles.tasksListContent,
+              { paddingBottom: contentPaddingBottom }, // Use the larger padding for the list content to clear FAB
+            ]}
+          >
+            {[
               ...(pinned.length > 0 ? [{ type: 'pinned', tasks: pinned }] : []),
               ...Object.values(bySection).map(group => ({ type: 'section', ...group })),
               ...(noSection.pinned.length > 0 || noSection.unpinned.length > 0 ? [{ type: 'no-section', ...noSection }] : [])
-            ]}
-            extraData={selectedTaskIds}
-            keyExtractor={(item, index) => {
-              if (item.type === 'pinned') return 'pinned-section';
-              if (item.type === 'section') return `section-${item.section.id}`;
-              return `no-section-${index}`;
-            }}
-            renderItem={({ item }) => {
+            ].map((item) => {
               // Render pinned section
               if (item.type === 'pinned') {
                 const isHidden = hiddenSections.has('pinned');
@@ -727,9 +745,19 @@ export default function ProjectDetailView({ projectId }) {
                       </View>
                     </TouchableOpacity>
                     
-                    {/* Section Tasks - Only unpinned tasks (pinned tasks appear in Pinned section) */}
-                    {!isHidden && allTasks.map((task, taskIndex) => 
-                      renderTask(task, taskIndex, allTasks)
+                    {/* Section Tasks - Only unpinned tasks (pinned tasks appear in Pinned section), in their manual order */}
+                    {!isHidden && (
+                      <NestableDraggableFlatList
+                        data={allTasks}
+                        extraData={selectedTaskIds}
+                        keyExtractor={(task) => `task-${task.id}`}
+                        onDragEnd={handleDragEnd}
+                        renderItem={({ item: task, getIndex, drag }) => (
+                          <ScaleDecorator>
+                            {renderTask(task, getIndex(), allTasks, 0, false, drag)}
+                          </ScaleDecorator>
+                        )}
+                      />
                     )}
                   </View>
                 );
@@ -738,19 +766,22 @@ export default function ProjectDetailView({ projectId }) {
                 const allNoSectionTasks = [...item.pinned, ...item.unpinned];
                 return (
                   <View key="no-section-tasks">
-                    {allNoSectionTasks.map((task, taskIndex) => 
-                      renderTask(task, taskIndex, allNoSectionTasks, true)
-                    )}
+                    <NestableDraggableFlatList
+                      data={allNoSectionTasks}
+                      extraData={selectedTaskIds}
+                      keyExtractor={(task) => `task-${task.id}`}
+                      onDragEnd={handleDragEnd}
+                      renderItem={({ item: task, getIndex, drag }) => (
+                        <ScaleDecorator>
+                          {renderTask(task, getIndex(), allNoSectionTasks, true, false, drag)}
+                        </ScaleDecorator>
+                      )}
+                    />
                   </View>
                 );
               }
-            }}
-            style={styles.tasksList}
-            contentContainerStyle={[
-              styles.tasksListContent,
-              { paddingBottom: contentPaddingBottom }, // Use the larger padding for the list content to clear FAB
-            ]}
-          />
+            })}
+          </NestableScrollContainer>
         ) : (
           <ThemedView style={styles.emptyState}>
             <ThemedText style={styles.emptyText}>
@@ -1025,6 +1056,10 @@ const styles = StyleSheet.create({
   checkbox: {
     marginTop: 2,
   },
+  dragHandle: {
+    padding: 8,
+    marginRight: -8,
+  },
   taskContent: {
     flex: 1,
     backgroundColor: 'transparent',
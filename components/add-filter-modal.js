@@ -1,5 +1,5 @@
 import { Ionicons } from '@expo/vector-icons';
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import {
     Alert,
     Modal,
@@ -14,12 +14,14 @@ import { useColorScheme } from '@/hooks/use-color-scheme';
 import { useCreateFilter, useUpdateFilter } from '@/hooks/use-filters';
 import { useProjects } from '@/hooks/use-projects';
 import { useTags } from '@/hooks/use-tags';
+import { validateFilterQuery } from '@/lib/filter-query';
 import { ThemedText } from './themed-text';
 import { ThemedView } from './themed-view';
 
 export default function AddFilterModal({ visible, onClose, editMode = false, initialFilter = null }) {
   const colorScheme = useColorScheme();
   const [filterName, setFilterName] = useState('');
+  const [filterQuery, setFilterQuery] = useState('');
   const [selectedTagIds, setSelectedTagIds] = useState([]);
   const [selectedProjectIds, setSelectedProjectIds] = useState([]);
   
@@ -32,11 +34,17 @@ export default function AddFilterModal({ visible, onClose, editMode = false, ini
   useEffect(() => {
     if (editMode && initialFilter) {
       setFilterName(initialFilter.name || '');
+      setFilterQuery(initialFilter.query || '');
       setSelectedTagIds(initialFilter.tags?.map(t => t.id) || []);
       setSelectedProjectIds(initialFilter.projects?.map(p => p.id) || []);
     }
   }, [editMode, initialFilter]);
 
+  // Live validation of the query expression (empty query is allowed)
+  const queryError = useMemo(() => (
+    filterQuery.trim() ? validateFilterQuery(filterQuery) : null
+  ), [filterQuery]);
+
   const toggleTag = (tagId) => {
     setSelectedTagIds(prev => {
       if (prev.includes(tagId)) {
@@ -63,9 +71,14 @@ export default function AddFilterModal({ visible, onClose, editMode = false, ini
       return;
     }
 
-    // Validation: At least one tag OR one project required
-    if (selectedTagIds.length === 0 && selectedProjectIds.length === 0) {
-      Alert.alert('Error', 'Please select at least one tag or project');
+    if (queryError) {
+      Alert.alert('Invalid Query', queryError);
+      return;
+    }
+
+    // Validation: A query, or at least one tag OR one project required
+    if (!filterQuery.trim() && selectedTagIds.length === 0 && selectedProjectIds.length === 0) {
+      Alert.alert('Error', 'Please enter a query or select at least one tag or project');
       return;
     }
 
@@ -77,6 +90,7 @@ export default function AddFilterModal({ visible, onClose, editMode = false, ini
           name: filterName.trim(),
           icon: initialFilter.icon || 'filter-outline',
           color: initialFilter.color || null,
+          query: filterQuery.trim() || null,
           tagIds: selectedTagIds,
           projectIds: selectedProjectIds
         });
@@ -87,6 +101,7 @@ export default function AddFilterModal({ visible, onClose, editMode = false, ini
           name: filterName.trim(),
           icon: 'filter-outline',
           color: null,
+          query: filterQuery.trim() || null,
           tagIds: selectedTagIds,
           projectIds: selectedProjectIds
         });
@@ -95,6 +110,7 @@ export default function AddFilterModal({ visible, onClose, editMode = false, ini
       
       // Reset form
       setFilterName('');
+      setFilterQuery('');
       setSelectedTagIds([]);
       setSelectedProjectIds([]);
       onClose();
@@ -106,6 +122,7 @@ export default function AddFilterModal({ visible, onClose, editMode = false, ini
 
   const handleClose = () => {
     setFilterName('');
+    setFilterQuery('');
     setSelectedTagIds([]);
     setSelectedProjectIds([]);
     onClose();
@@ -177,6 +194,36 @@ export default function AddFilterModal({ visible, onClose, editMode = false, ini
             />
           </View>
 
+          {/* Query Expression */}
+          <View style={styles.inputGroup}>
+            <ThemedText style={styles.label}>Query</ThemedText>
+            <TextInput
+              style={[
+                styles.input,
+                styles.queryInput,
+                {
+                  backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                  color: colorScheme === 'dark' ? '#fff' : '#000',
+                  borderColor: queryError ? '#FF3B30' : (colorScheme === 'dark' ? '#555' : '#ddd'),
+                }
+              ]}
+              value={filterQuery}
+              onChangeText={setFilterQuery}
+              placeholder={'tag:work AND NOT tag:waiting AND completed:false'}
+              placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+              autoCapitalize="none"
+              autoCorrect={false}
+              multiline
+            />
+            {queryError ? (
+              <ThemedText style={styles.queryError}>{queryError}</ThemedText>
+            ) : (
+              <ThemedText style={styles.queryHint}>
+                Fields: tag, project, section, completed, text, due (today, overdue, upcoming, none, YYYY-MM-DD). Combine with AND, OR, NOT and parentheses.
+              </ThemedText>
+            )}
+          </View>
+
           {/* Tag Selection */}
           <View style={styles.inputGroup}>
             <ThemedText style={styles.label}>Filter by Tags</ThemedText>
@@ -274,7 +321,7 @@ export default function AddFilterModal({ visible, onClose, editMode = false, ini
               color={colorScheme === 'dark' ? '#888' : '#666'} 
             />
             <ThemedText style={styles.helpTextContent}>
-              Select at least one tag or project. Tasks matching ANY of the selected criteria will appear in this filter.
+              Enter a query, or select at least one tag or project. When a query is set it decides which tasks appear; otherwise tasks matching ANY of the selected criteria will appear in this filter.
             </ThemedText>
           </View>
         </ScrollView>
@@ -348,6 +395,20 @@ const styles = StyleSheet.create({
     paddingVertical: 12,
     fontSize: 16,
   },
+  queryInput: {
+    minHeight: 60,
+    fontFamily: 'monospace',
+    textAlignVertical: 'top',
+  },
+  queryError: {
+    fontSize: 13,
+    color: '#FF3B30',
+  },
+  queryHint: {
+    fontSize: 13,
+    opacity: 0.6,
+    lineHeight: 18,
+  },
   checkboxContainer: {
     gap: 8,
   },
@@ -16,6 +16,7 @@ import { useSectionsByProject } from '@/hooks/use-sections';
 import { useSetting } from '@/hooks/use-settings';
 import { useTags } from '@/hooks/use-tags';
 import { useCreateTask } from '@/hooks/use-tasks';
+import { descriptionToText } from '@/lib/blocks-utils';
 import { addTagToTask } from '@/repositories/tasks';
 import TemplateSelectionModal from './template-selection-modal';
 import { ThemedText } from './themed-text';
@@ -210,7 +211,7 @@ export default function AddTaskModal({ visible, onClose, projectId, projectName,
     
     // Pre-fill form with template data
     setTitle(template.title || '');
-    setDescription(template.description || '');
+    setDescription(descriptionToText(template.description));
     
     // Note: We don't copy tags from template - user can add their own
   };
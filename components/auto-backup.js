@@ -0,0 +1,9 @@
+import { useAutoBackup } from '@/hooks/use-backups';
+
+/**
+ * Makes scheduled backups for the whole app (renders nothing)
+ */
+export default function AutoBackup() {
+  useAutoBackup();
+  return null;
+}
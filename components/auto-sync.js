@@ -0,0 +1,9 @@
+import { useAutoSync } from '@/hooks/use-auto-sync';
+
+/**
+ * Runs automatic sync for the whole app (renders nothing)
+ */
+export default function AutoSync() {
+  useAutoSync();
+  return null;
+}
@@ -1,6 +1,8 @@
 import { ThemedText } from '@/components/themed-text';
 import { ThemedView } from '@/components/themed-view';
 import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useSetting } from '@/hooks/use-settings';
+import { AI_TOKEN_BUDGET_SETTING, parsePositiveInteger } from '@/lib/llm/providers';
 import { deleteChatSession, getChatSessions } from '@/repositories/chat';
 import { Ionicons } from '@expo/vector-icons';
 import { formatDistanceToNow } from 'date-fns';
@@ -15,10 +17,15 @@ import {
     View
 } from 'react-native';
 
+// 950 → "950", 12345 → "12.3k"
+const formatTokens = (count) => (count >= 1000 ? `${(count / 1000).toFixed(1)}k` : `${count}`);
+
 export default function ChatHistoryModal({ visible, onClose, onSelectSession, currentSessionId }) {
   const colorScheme = useColorScheme();
   const [sessions, setSessions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
+  const { value: tokenBudgetSetting } = useSetting(AI_TOKEN_BUDGET_SETTING);
+  const tokenBudget = parsePositiveInteger(tokenBudgetSetting);
 
   const loadSessions = async () => {
     setIsLoading(true);
@@ -132,7 +139,10 @@ export default function ChatHistoryModal({ visible, onClose, onSelectSession, cu
               groupSessions.length > 0 && (
                 <View key={groupName} style={styles.groupContainer}>
                   <ThemedText style={styles.groupTitle}>{groupName}</ThemedText>
-                  {groupSessions.map(session => (
+                  {groupSessions.map(session => {
+                    const usedTokens = (session.input_tokens || 0) + (session.output_tokens || 0);
+                    const overBudget = tokenBudget && usedTokens >= tokenBudget;
+                    return (
                     <TouchableOpacity
                       key={session.id}
                       style={[
@@ -151,6 +161,11 @@ export default function ChatHistoryModal({ visible, onClose, onSelectSession, cu
                         </ThemedText>
                         <ThemedText style={styles.sessionDate}>
                           {formatDistanceToNow(new Date(session.updated_at), { addSuffix: true })}
+                          {usedTokens > 0 && (
+                            <ThemedText style={[styles.sessionTokens, overBudget && styles.sessionTokensOverBudget]}>
+                              {` · ${formatTokens(usedTokens)}${tokenBudget ? ` of ${formatTokens(tokenBudget)}` : ''} tokens (${formatTokens(session.input_tokens || 0)} in, ${formatTokens(session.output_tokens || 0)} out)`}
+                            </ThemedText>
+                          )}
                         </ThemedText>
                       </View>
                       
@@ -161,7 +176,8 @@ export default function ChatHistoryModal({ visible, onClose, onSelectSession, cu
                         <Ionicons name="trash-outline" size={18} color="#FF6B6B" />
                       </TouchableOpacity>
                     </TouchableOpacity>
-                  ))}
+                    );
+                  })}
                 </View>
               )
             ))}
@@ -265,6 +281,12 @@ const styles = StyleSheet.create({
     fontSize: 12,
     opacity: 0.6,
   },
+  sessionTokens: {
+    fontSize: 12,
+  },
+  sessionTokensOverBudget: {
+    color: '#FF6B6B',
+  },
   deleteButton: {
     padding: 8,
   },
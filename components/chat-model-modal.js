@@ -0,0 +1,230 @@
+import { Ionicons } from '@expo/vector-icons';
+import React, { useEffect, useState } from 'react';
+import {
+    Modal,
+    StyleSheet,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useSetting } from '@/hooks/use-settings';
+import { AI_MODEL_SETTING, AI_PROVIDER_SETTING, AI_PROVIDERS, DEFAULT_AI_PROVIDER } from '@/lib/llm/providers';
+import { ThemedText } from './themed-text';
+import { ThemedView } from './themed-view';
+
+// Option that leaves the chat on the AI Chat settings
+const SETTINGS_OPTION = 'settings';
+
+/**
+ * Picks the provider and model that answer in one chat
+ * onSave gets { provider, model } (model null: the provider's default), or null to use the settings.
+ */
+export default function ChatModelModal({ visible, onClose, chatModel, onSave }) {
+  const colorScheme = useColorScheme();
+  const { value: providerSetting } = useSetting(AI_PROVIDER_SETTING);
+  const { value: modelSetting } = useSetting(AI_MODEL_SETTING);
+  const [selected, setSelected] = useState(SETTINGS_OPTION);
+  const [modelInput, setModelInput] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      setSelected(chatModel?.provider || SETTINGS_OPTION);
+      setModelInput(chatModel?.model || '');
+    }
+  }, [visible, chatModel]);
+
+  const settingsProvider = AI_PROVIDERS[providerSetting] ? providerSetting : DEFAULT_AI_PROVIDER;
+  const settingsSummary = `${AI_PROVIDERS[settingsProvider].label}, ${modelSetting || AI_PROVIDERS[settingsProvider].defaultModel}`;
+
+  // The model names of one provider mean nothing to the other, so switching clears the model
+  const handleSelect = (option) => {
+    if (option !== selected) {
+      setModelInput('');
+    }
+    setSelected(option);
+  };
+
+  const handleSave = () => {
+    onSave(selected === SETTINGS_OPTION ? null : { provider: selected, model: modelInput.trim() || null });
+    onClose();
+  };
+
+  const options = [
+    { key: SETTINGS_OPTION, label: 'AI Chat settings', detail: settingsSummary },
+    ...Object.keys(AI_PROVIDERS).map(provider => ({ key: provider, label: AI_PROVIDERS[provider].label })),
+  ];
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <ThemedView style={styles.container}>
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={colorScheme === 'dark' ? '#fff' : '#000'} />
+          </TouchableOpacity>
+          <ThemedText type="title" style={styles.title}>Chat Model</ThemedText>
+          <TouchableOpacity onPress={handleSave} style={styles.saveButton}>
+            <ThemedText style={styles.saveButtonText}>Save</ThemedText>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.form}>
+          <View style={styles.inputGroup}>
+            <ThemedText style={styles.label}>Provider</ThemedText>
+            {options.map(option => {
+              const isSelected = option.key === selected;
+              return (
+                <TouchableOpacity
+                  key={option.key}
+                  style={[
+                    styles.option,
+                    { borderColor: colorScheme === 'dark' ? '#555' : '#ddd' },
+                    isSelected && {
+                      backgroundColor: colorScheme === 'dark' ? 'rgba(0,122,255,0.3)' : 'rgba(0,122,255,0.1)',
+                    }
+                  ]}
+                  onPress={() => handleSelect(option.key)}
+                >
+                  <View style={styles.optionContent}>
+                    <ThemedText style={[styles.optionText, isSelected && { color: '#007AFF', fontWeight: '600' }]}>
+                      {option.label}
+                    </ThemedText>
+                    {option.detail && <ThemedText style={styles.optionDetail}>{option.detail}</ThemedText>}
+                  </View>
+                  {isSelected && <Ionicons name="checkmark" size={20} color="#007AFF" />}
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          {selected !== SETTINGS_OPTION && (
+            <View style={styles.inputGroup}>
+              <ThemedText style={styles.label}>Model</ThemedText>
+              <TextInput
+                style={[
+                  styles.input,
+                  {
+                    backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                    color: colorScheme === 'dark' ? '#fff' : '#000',
+                    borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                  }
+                ]}
+                value={modelInput}
+                onChangeText={setModelInput}
+                placeholder={`Default: ${AI_PROVIDERS[selected].defaultModel}`}
+                placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+            </View>
+          )}
+
+          <View style={styles.helpText}>
+            <Ionicons
+              name="information-circle-outline"
+              size={16}
+              color={colorScheme === 'dark' ? '#888' : '#666'}
+            />
+            <ThemedText style={styles.helpTextContent}>
+              Only this chat uses the provider and model picked here. The server address, API key and limits still come from Settings → AI Chat.
+            </ThemedText>
+          </View>
+        </View>
+      </ThemedView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    paddingTop: 60,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(0,0,0,0.1)',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  saveButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#007AFF',
+  },
+  saveButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  form: {
+    flex: 1,
+    padding: 20,
+    gap: 20,
+  },
+  inputGroup: {
+    gap: 8,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+  },
+  optionContent: {
+    flex: 1,
+  },
+  optionText: {
+    fontSize: 16,
+  },
+  optionDetail: {
+    fontSize: 13,
+    opacity: 0.6,
+    marginTop: 2,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  helpText: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+    padding: 12,
+    backgroundColor: 'rgba(0,0,0,0.05)',
+    borderRadius: 8,
+  },
+  helpTextContent: {
+    fontSize: 14,
+    opacity: 0.7,
+    flex: 1,
+    lineHeight: 20,
+  },
+});
@@ -206,6 +206,45 @@ export default function DraggableSidebar({ children }) {
               </View>
 
               <View style={styles.sidebarItems}>
+                {/* Built-in Date Views */}
+                {!isInitializing && !dbError && (
+                  <>
+                    <TouchableOpacity 
+                      style={styles.smartViewItem}
+                      onPress={() => navigateToScreen('today')}
+                    >
+                      <Ionicons 
+                        name="sunny-outline"
+                        size={22} 
+                        color="#34C759" 
+                      />
+                      <ThemedText style={styles.smartViewItemText}>Today</ThemedText>
+                    </TouchableOpacity>
+                    <TouchableOpacity 
+                      style={styles.smartViewItem}
+                      onPress={() => navigateToScreen('upcoming')}
+                    >
+                      <Ionicons 
+                        name="calendar-outline"
+                        size={22} 
+                        color="#AF52DE" 
+                      />
+                      <ThemedText style={styles.smartViewItemText}>Upcoming</ThemedText>
+                    </TouchableOpacity>
+                    <TouchableOpacity 
+                      style={styles.smartViewItem}
+                      onPress={() => navigateToScreen('search')}
+                    >
+                      <Ionicons 
+                        name="search-outline"
+                        size={22} 
+                        color="#007AFF" 
+                      />
+                      <ThemedText style={styles.smartViewItemText}>Search</ThemedText>
+                    </TouchableOpacity>
+                  </>
+                )}
+
                 {/* Projects Section */}
                 {isInitializing ? (
                   <ThemedText style={styles.loadingText}>Initializing database...</ThemedText>
@@ -566,6 +605,18 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#007AFF',
   },
+  smartViewItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 15,
+    borderRadius: 8,
+    gap: 15,
+  },
+  smartViewItemText: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
   projectsSection: {
     marginTop: 10,
     marginBottom: 10,
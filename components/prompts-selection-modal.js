@@ -12,6 +12,7 @@ import {
 import { useColorScheme } from '@/hooks/use-color-scheme';
 import { useProjects } from '@/hooks/use-projects';
 import { useTasksByProject } from '@/hooks/use-tasks';
+import { descriptionToText } from '@/lib/blocks-utils';
 import { ThemedText } from './themed-text';
 import { ThemedView } from './themed-view';
 
@@ -27,7 +28,7 @@ export default function PromptsSelectionModal({ visible, onClose, onSelectPrompt
   const handleSelectTask = (task) => {
     if (!task) return;
     // Combine title and description for the system message
-    const systemMessage = [task.title, task.description].filter(Boolean).join('\n\n');
+    const systemMessage = [task.title, descriptionToText(task.description)].filter(Boolean).join('\n\n');
     if (systemMessage) {
       onSelectPrompt(systemMessage);
       onClose();
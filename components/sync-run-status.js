@@ -0,0 +1,46 @@
+import { Ionicons } from '@expo/vector-icons';
+
+export const SYNC_TYPE_LABELS = {
+  full: 'Sync',
+  push: 'Push',
+  pull: 'Pull',
+};
+
+export const TRIGGER_LABELS = {
+  manual: 'manual',
+  write: 'after changes',
+  foreground: 'app opened',
+  interval: 'scheduled',
+};
+
+/**
+ * Icon and color for a sync_log run (runs that finished with failed records are flagged)
+ */
+export function runStatusStyle(run) {
+  if (run.status === 'running') return { icon: 'sync-outline', color: '#007AFF' };
+  if (run.status === 'interrupted') return { icon: 'pause-circle-outline', color: '#8E8E93' };
+  if (run.status === 'error') return { icon: 'close-circle', color: '#FF3B30' };
+  if (run.failure_count > 0 || run.failures?.length > 0) return { icon: 'alert-circle', color: '#FF9500' };
+  return { icon: 'checkmark-circle', color: '#34C759' };
+}
+
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined) return null;
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+export function formatRunTime(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date.toLocaleString();
+}
+
+export function describeRun(run) {
+  if (run.status === 'running') return 'In progress...';
+  if (run.status === 'interrupted') return 'Interrupted before it finished';
+  return run.error_details || run.message;
+}
+
+export function SyncRunStatusIcon({ run, size = 22 }) {
+  const { icon, color } = runStatusStyle(run);
+  return <Ionicons name={icon} size={size} color={color} />;
+}
@@ -1,7 +1,7 @@
 import { ThemedText } from '@/components/themed-text';
 import { ThemedView } from '@/components/themed-view';
 import { useColorScheme } from '@/hooks/use-color-scheme';
-import { blocksToDescription } from '@/lib/blocks-utils';
+import { blocksToDescription, descriptionToText } from '@/lib/blocks-utils';
 import React, { useEffect, useState } from 'react';
 import { KeyboardAvoidingView, Platform, ScrollView, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
 
@@ -11,7 +11,7 @@ export default function TaskTextEditMode({ blocks, onSave, onCancel }) {
   
   // Initialize text from blocks
   useEffect(() => {
-    const initialText = blocksToDescription(blocks);
+    const initialText = descriptionToText(blocksToDescription(blocks));
     setText(initialText);
   }, [blocks]);
   
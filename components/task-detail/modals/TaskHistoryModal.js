@@ -0,0 +1,189 @@
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useRedoTaskChange, useTaskHistory, useUndoState, useUndoTaskChange } from '@/hooks/use-task-history';
+import { Ionicons } from '@expo/vector-icons';
+import { ActivityIndicator, Alert, FlatList, Modal, StyleSheet, TouchableOpacity, TouchableWithoutFeedback, View } from 'react-native';
+import { styles } from '../task-detail-styles';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Changed',
+  delete: 'Deleted',
+  undo: 'Undone',
+  redo: 'Redone',
+};
+
+const SOURCE_LABELS = {
+  app: 'this app',
+  cli: 'CLI',
+  ai: 'AI',
+};
+
+export default function TaskHistoryModal({ visible, onClose, taskId, onChanged }) {
+  const colorScheme = useColorScheme();
+  const numericTaskId = parseInt(taskId);
+  const { data: entries = [], isLoading } = useTaskHistory(visible ? numericTaskId : null);
+  const { data: undoState } = useUndoState(visible ? numericTaskId : null);
+  const undoMutation = useUndoTaskChange();
+  const redoMutation = useRedoTaskChange();
+  const isBusy = undoMutation.isPending || redoMutation.isPending;
+
+  const handleRevert = async (mutation, label) => {
+    try {
+      const result = await mutation.mutateAsync(numericTaskId);
+      const skipped = result ? result.entries.flatMap(entry => entry.skipped) : [];
+      if (skipped.length > 0) {
+        Alert.alert(label, 'Some fields were changed since (for example by a sync) and were left as they are.');
+      }
+      onChanged?.();
+    } catch (error) {
+      console.error(`Error during ${label.toLowerCase()}:`, error);
+      Alert.alert('Error', `${label} failed: ${error.message}`);
+    }
+  };
+
+  const renderEntry = ({ item }) => (
+    <View style={[
+      historyStyles.entry,
+      { borderLeftColor: item.undone_at ? '#8E8E93' : '#007AFF' },
+    ]}>
+      <View style={historyStyles.entryHeader}>
+        <ThemedText style={[historyStyles.entryAction, item.undone_at && historyStyles.undone]}>
+          {ACTION_LABELS[item.action] || item.action}
+        </ThemedText>
+        <ThemedText style={historyStyles.entryMeta}>
+          {new Date(item.created_at).toLocaleString()}
+          {item.source ? ` · ${SOURCE_LABELS[item.source] || item.source}` : ''}
+        </ThemedText>
+      </View>
+      {item.lines.map((line, index) => (
+        <ThemedText key={index} style={[historyStyles.entryLine, item.undone_at && historyStyles.undone]}>
+          {line}
+        </ThemedText>
+      ))}
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={[
+          styles.modalOverlay,
+          { backgroundColor: colorScheme === 'dark' ? 'rgba(0, 0, 0, 0.7)' : 'rgba(0, 0, 0, 0.5)' }
+        ]}>
+          <TouchableWithoutFeedback>
+            <ThemedView style={[
+              styles.modalContainer,
+              historyStyles.container,
+              {
+                backgroundColor: colorScheme === 'dark' ? '#1C1C1E' : '#FFFFFF',
+              }
+            ]}>
+              <ThemedText style={styles.modalTitle}>History</ThemedText>
+
+              <View style={historyStyles.actions}>
+                <TouchableOpacity
+                  style={[historyStyles.actionButton, { opacity: undoState?.undo && !isBusy ? 1 : 0.4 }]}
+                  onPress={() => handleRevert(undoMutation, 'Undo')}
+                  disabled={!undoState?.undo || isBusy}
+                >
+                  <Ionicons name="arrow-undo-outline" size={18} color="#007AFF" />
+                  <ThemedText style={historyStyles.actionText}>Undo</ThemedText>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[historyStyles.actionButton, { opacity: undoState?.redo && !isBusy ? 1 : 0.4 }]}
+                  onPress={() => handleRevert(redoMutation, 'Redo')}
+                  disabled={!undoState?.redo || isBusy}
+                >
+                  <Ionicons name="arrow-redo-outline" size={18} color="#007AFF" />
+                  <ThemedText style={historyStyles.actionText}>Redo</ThemedText>
+                </TouchableOpacity>
+              </View>
+
+              {isLoading ? (
+                <View style={styles.modalLoadingContainer}>
+                  <ActivityIndicator size="small" />
+                  <ThemedText style={styles.modalLoadingText}>Loading history...</ThemedText>
+                </View>
+              ) : entries.length === 0 ? (
+                <View style={styles.modalEmptyContainer}>
+                  <ThemedText style={styles.modalEmptyText}>No changes recorded yet</ThemedText>
+                </View>
+              ) : (
+                <FlatList
+                  data={entries}
+                  keyExtractor={(item) => item.id.toString()}
+                  renderItem={renderEntry}
+                  style={styles.modalList}
+                />
+              )}
+            </ThemedView>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+}
+
+const historyStyles = StyleSheet.create({
+  container: {
+    width: '85%',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 12,
+    marginBottom: 12,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+    backgroundColor: 'rgba(0, 122, 255, 0.1)',
+  },
+  actionText: {
+    fontSize: 15,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  entry: {
+    borderLeftWidth: 2,
+    paddingLeft: 12,
+    paddingVertical: 6,
+    marginBottom: 8,
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+    justifyContent: 'space-between',
+    gap: 8,
+  },
+  entryAction: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  entryMeta: {
+    fontSize: 12,
+    opacity: 0.6,
+    flexShrink: 1,
+    textAlign: 'right',
+  },
+  entryLine: {
+    fontSize: 14,
+    opacity: 0.85,
+    marginTop: 2,
+  },
+  undone: {
+    textDecorationLine: 'line-through',
+    opacity: 0.5,
+  },
+});
@@ -22,6 +22,7 @@ export default function TaskMenuModal({
   onConvertToSubtask,
   isSubtask,
   onEditAsText,
+  onShowHistory,
 }) {
   const colorScheme = useColorScheme();
 
@@ -118,6 +119,25 @@ export default function TaskMenuModal({
                     />
                   </TouchableOpacity>
                 )}
+                {onShowHistory && (
+                  <TouchableOpacity
+                    style={[
+                      styles.menuOption,
+                      {
+                        borderBottomWidth: 1,
+                        borderBottomColor: colorScheme === 'dark' ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
+                      }
+                    ]}
+                    onPress={onShowHistory}
+                  >
+                    <ThemedText style={styles.menuOptionText}>History & Undo</ThemedText>
+                    <Ionicons 
+                      name="time-outline" 
+                      size={20} 
+                      color={colorScheme === 'dark' ? '#888' : '#666'} 
+                    />
+                  </TouchableOpacity>
+                )}
                 <TouchableOpacity
                   style={[
                     styles.menuOption,
@@ -12,6 +12,7 @@ import {
 
 import { useColorScheme } from '@/hooks/use-color-scheme';
 import { useTasks } from '@/hooks/use-tasks';
+import { descriptionToText } from '@/lib/blocks-utils';
 import { ThemedText } from './themed-text';
 import { ThemedView } from './themed-view';
 
@@ -43,7 +44,7 @@ export default function TaskSelectionModal({ visible, onClose, onSelectTask, sel
     const query = searchQuery.toLowerCase();
     return filtered.filter(task => {
       const titleMatch = task.title?.toLowerCase().includes(query);
-      const descriptionMatch = task.description?.toLowerCase().includes(query);
+      const descriptionMatch = descriptionToText(task.description).toLowerCase().includes(query);
       const projectMatch = task.project_name?.toLowerCase().includes(query);
       
       return titleMatch || descriptionMatch || projectMatch;
@@ -202,7 +203,7 @@ export default function TaskSelectionModal({ visible, onClose, onSelectTask, sel
                         ]}
                         numberOfLines={2}
                       >
-                        {item.description}
+                        {descriptionToText(item.description)}
                       </ThemedText>
                     ) : null}
                     {item.project_name ? (
@@ -11,6 +11,7 @@ import {
 
 import { TEMPLATE_TAG_NAME } from '@/constants/templates';
 import { useColorScheme } from '@/hooks/use-color-scheme';
+import { descriptionToText } from '@/lib/blocks-utils';
 import { getTagsForTasks, getTasksByTagName } from '@/repositories/tasks';
 import { ThemedText } from './themed-text';
 import { ThemedView } from './themed-view';
@@ -54,7 +55,7 @@ export default function TemplateSelectionModal({ visible, onClose, onSelectTempl
 
   const getPreviewText = (description) => {
     if (!description) return '';
-    const lines = description.split('\n').slice(0, 3);
+    const lines = descriptionToText(description).split('\n').slice(0, 3);
     return lines.join('\n');
   };
 
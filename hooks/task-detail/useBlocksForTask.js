@@ -6,7 +6,7 @@ import {
     shouldEnterEmptyState,
     shouldExitEmptyState,
 } from '@/lib/blocks-deletion-utils';
-import { blocksToDescription, descriptionToBlocks } from '@/lib/blocks-utils';
+import { blocksToDescription, descriptionToBlocks, stripBlockIds } from '@/lib/blocks-utils';
 import { getTaskById, updateTask } from '@/repositories/tasks';
 import { useQueryClient } from '@tanstack/react-query';
 import { useEffect, useRef, useState } from 'react';
@@ -165,12 +165,13 @@ export function useBlocksForTask(taskId, task, setTask) {
     const taskDescription = task.description || '';
     
     // Only update if task description changed externally and doesn't match current blocks
-    // This prevents re-parsing when we save our own changes (which would match)
-    if (currentDescription === taskDescription) {
+    // This prevents re-parsing when we save our own changes (which would match).
+    // Block IDs are ignored: saving assigns IDs to new blocks that the editor state doesn't have yet.
+    if (stripBlockIds(currentDescription) === stripBlockIds(taskDescription)) {
       return;
     }
 
-    if (currentDescription !== taskDescription) {
+    if (stripBlockIds(currentDescription) !== stripBlockIds(taskDescription)) {
       const parsedBlocks = descriptionToBlocks(taskDescription);
       const blocksWithToggleState = resetToggleStates(parsedBlocks);
       const normalizedBlocks = blocksWithToggleState.length > 0 ? blocksWithToggleState : [];
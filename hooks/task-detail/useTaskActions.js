@@ -1,6 +1,8 @@
 import { PIN_TAG_NAME } from '@/constants/pin';
 import { TEMPLATE_TAG_NAME } from '@/constants/templates';
+import { descriptionToText } from '@/lib/blocks-utils';
 import { sendMessageToClaude } from '@/lib/claude-api';
+import { newBatchId } from '@/lib/task-history';
 import { getOrCreateTag } from '@/repositories/tags';
 import { addTagToTask, getTaskTags, removeTagFromTask, updateTask } from '@/repositories/tasks';
 import { useQueryClient } from '@tanstack/react-query';
@@ -26,12 +28,14 @@ export function useTaskActions(taskId, task, setTask, setTags, refreshTask) {
 
     try {
       setIsUpdatingProject(true);
+      // The unpin and the move are one change in the task's history
+      const history = { batchId: newBatchId() };
       
       // Auto-unpin: Remove Pinned tag when project changes
       const currentTags = await getTaskTags(parseInt(taskId));
       const pinnedTag = currentTags.find(tag => tag.name === PIN_TAG_NAME);
       if (pinnedTag) {
-        await removeTagFromTask(parseInt(taskId), pinnedTag.id);
+        await removeTagFromTask(parseInt(taskId), pinnedTag.id, history);
         // Update tags state
         setTags(prevTags => prevTags.filter(tag => tag.id !== pinnedTag.id));
       }
@@ -40,7 +44,7 @@ export function useTaskActions(taskId, task, setTask, setTags, refreshTask) {
         project_id: projectId,
         title: task.title,
         description: task.description,
-      });
+      }, history);
       
       // Reload task data
       await refreshTask();
@@ -156,7 +160,7 @@ export function useTaskActions(taskId, task, setTask, setTags, refreshTask) {
 
     try {
       // Use the task description (or title if no description) as the user message
-      const userMessage = task.description || task.title || '';
+      const userMessage = descriptionToText(task.description) || task.title || '';
       
       // Send to Claude API with the prompt as system message
       const response = await sendMessageToClaude(userMessage, [], prompt);
@@ -85,6 +85,8 @@ export function useTaskEditing(taskId, task, setTask) {
       const persistedDescription = updatedTask?.description ?? description;
       setSavedTitle(persistedTitle);
       setSavedDescription(persistedDescription);
+      // The stored description gains block IDs; adopt it unless the user kept typing
+      setDescription(current => (current === description ? persistedDescription : current));
       
       queryClient.invalidateQueries({ queryKey: ['tasks'] });
       queryClient.invalidateQueries({ queryKey: ['tasks', task.project_id] });
@@ -120,6 +122,7 @@ export function useTaskEditing(taskId, task, setTask) {
       const persistedDescription = updatedTask?.description ?? newDescription;
       setSavedTitle(persistedTitle);
       setSavedDescription(persistedDescription);
+      setDescription(current => (current === newDescription ? persistedDescription : current));
       
       queryClient.invalidateQueries({ queryKey: ['tasks'] });
       queryClient.invalidateQueries({ queryKey: ['tasks', task.project_id] });
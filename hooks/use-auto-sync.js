@@ -0,0 +1,86 @@
+import { useQueryClient } from '@tanstack/react-query';
+import { useCallback, useEffect } from 'react';
+import { AppState } from 'react-native';
+import {
+    AUTO_SYNC_DEBOUNCE_MS,
+    AUTO_SYNC_SETTING,
+    parseAutoSyncInterval,
+    runSync
+} from '../lib/sync/sync-runner.js';
+import { subscribeToOutbox } from '../repositories/outbox.js';
+import { useDatabase } from './use-database';
+import { useSetting } from './use-settings';
+import { invalidateSyncedQueries } from './useSyncActions';
+
+/**
+ * Sync automatically: shortly after local changes, when the app comes to the
+ * foreground and every few minutes (AUTO_SYNC_SETTING). Mount once, near the root.
+ */
+export function useAutoSync() {
+  const { isInitialized } = useDatabase();
+  const queryClient = useQueryClient();
+  const { value: intervalSetting, isLoading } = useSetting(AUTO_SYNC_SETTING);
+  const ready = isInitialized && !isLoading;
+  const interval = ready ? parseAutoSyncInterval(intervalSetting) : null;
+  const enabled = interval !== null;
+
+  const sync = useCallback(async (syncType, triggeredBy) => {
+    try {
+      const result = await runSync(syncType, triggeredBy);
+      if (!result.skipped) {
+        invalidateSyncedQueries(queryClient);
+      }
+      return result;
+    } catch (error) {
+      console.error(`❌ Automatic sync (${triggeredBy}) failed:`, error);
+      return { success: false, skipped: false };
+    }
+  }, [queryClient]);
+
+  // Push shortly after local changes; wait for a running sync to finish first
+  useEffect(() => {
+    if (!enabled) return;
+
+    let timer = null;
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(async () => {
+        const result = await sync('push', 'write');
+        if (result.reason === 'busy') {
+          schedule();
+        }
+      }, AUTO_SYNC_DEBOUNCE_MS);
+    };
+
+    const unsubscribe = subscribeToOutbox(schedule);
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [enabled, sync]);
+
+  // Sync when the app opens and whenever it comes back to the foreground
+  useEffect(() => {
+    if (!enabled) return;
+
+    sync('full', 'foreground');
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        sync('full', 'foreground');
+      }
+    });
+    return () => subscription.remove();
+  }, [enabled, sync]);
+
+  // Sync periodically while the app is open
+  useEffect(() => {
+    if (!interval) return;
+
+    const timer = setInterval(() => {
+      if (AppState.currentState === 'active') {
+        sync('full', 'interval');
+      }
+    }, interval * 60 * 1000);
+    return () => clearInterval(timer);
+  }, [interval, sync]);
+}
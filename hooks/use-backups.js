@@ -0,0 +1,95 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { useEffect } from 'react';
+import { AppState } from 'react-native';
+import {
+    createBackupFile,
+    deleteBackupFile,
+    listBackups,
+    restoreBackupFile,
+    runScheduledBackup
+} from '../lib/backup-files.js';
+import { useDatabase } from './use-database';
+
+/**
+ * Backups on this device, newest first
+ */
+export function useBackups() {
+  const { isInitialized } = useDatabase();
+
+  return useQuery({
+    queryKey: ['backups'],
+    queryFn: listBackups,
+    enabled: isInitialized,
+  });
+}
+
+/**
+ * Back up the whole database now
+ */
+export function useCreateBackup() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: createBackupFile,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['backups'] });
+    },
+  });
+}
+
+/**
+ * Restore a backup: mutate({ fileName, mode: 'replace'|'merge' })
+ * Everything shown may have changed, so every query is refreshed.
+ */
+export function useRestoreBackup() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ fileName, mode }) => restoreBackupFile(fileName, { mode }),
+    onSuccess: () => {
+      queryClient.invalidateQueries();
+    },
+  });
+}
+
+export function useDeleteBackup() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: deleteBackupFile,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['backups'] });
+    },
+  });
+}
+
+/**
+ * Make scheduled backups (BACKUP_INTERVAL_SETTING) when the app opens and
+ * whenever it comes back to the foreground. Mount once, near the root.
+ */
+export function useAutoBackup() {
+  const { isInitialized } = useDatabase();
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    if (!isInitialized) return;
+
+    const backupIfDue = async () => {
+      try {
+        if (await runScheduledBackup()) {
+          queryClient.invalidateQueries({ queryKey: ['backups'] });
+        }
+      } catch (error) {
+        console.error('❌ Scheduled backup failed:', error);
+      }
+    };
+
+    backupIfDue();
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        backupIfDue();
+      }
+    });
+    return () => subscription.remove();
+  }, [isInitialized, queryClient]);
+}
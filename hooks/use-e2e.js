@@ -0,0 +1,46 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { forgetE2EKeys, getE2EStatus, rotateE2E, setupE2E, unlockE2E } from '../lib/sync/e2e.js';
+import { useDatabase } from './use-database';
+
+/**
+ * End-to-end encryption state of this device ('off', 'locked' or 'unlocked')
+ */
+export function useE2EStatus() {
+  const { isInitialized } = useDatabase();
+
+  return useQuery({
+    queryKey: ['e2e-status'],
+    queryFn: getE2EStatus,
+    enabled: isInitialized,
+  });
+}
+
+/**
+ * Set up, unlock, rotate or forget the encryption key
+ * mutate({ action: 'setup'|'unlock'|'rotate'|'forget', passphrase })
+ * Resolves to false when an unlock passphrase is wrong.
+ */
+export function useE2EAction() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ action, passphrase }) => {
+      switch (action) {
+        case 'setup':
+          return await setupE2E(passphrase);
+        case 'unlock':
+          return await unlockE2E(passphrase);
+        case 'rotate':
+          return await rotateE2E(passphrase);
+        case 'forget':
+          return await forgetE2EKeys();
+        default:
+          throw new Error(`Unknown encryption action: ${action}`);
+      }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['e2e-status'] });
+      queryClient.invalidateQueries({ queryKey: ['sync-outbox'] });
+    },
+  });
+}
@@ -64,8 +64,8 @@ export function useCreateFilter() {
   const queryClient = useQueryClient();
   
   return useMutation({
-    mutationFn: ({ name, icon, color, tagIds, projectIds }) => {
-      return createFilter(name, icon, color).then(async (filter) => {
+    mutationFn: ({ name, icon, color, query, tagIds, projectIds }) => {
+      return createFilter(name, icon, color, query).then(async (filter) => {
         // Add tag associations
         if (tagIds && tagIds.length > 0) {
           for (const tagId of tagIds) {
@@ -111,9 +111,9 @@ export function useUpdateFilter() {
   const queryClient = useQueryClient();
   
   return useMutation({
-    mutationFn: async ({ filterId, name, icon, color, tagIds, projectIds }) => {
-      // 1. Update filter basic info
-      await updateFilter(filterId, { name, icon, color });
+    mutationFn: async ({ filterId, name, icon, color, query, tagIds, projectIds }) => {
+      // 1. Update filter basic info and query
+      await updateFilter(filterId, { name, icon, color, query });
       
       // 2. Get current associations
       const currentTags = await getFilterTags(filterId);
@@ -143,7 +143,7 @@ export function useUpdateFilter() {
         }
       }
       
-      return { filterId, name, icon, color };
+      return { filterId, name, icon, color, query };
     },
     onSuccess: (data) => {
       // Invalidate all relevant queries
@@ -0,0 +1,31 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { getOutboxStatus, retryFailedPushes } from '../repositories/outbox.js';
+import { useDatabase } from './use-database';
+
+/**
+ * Status of the push queue (queued, retrying and dead-lettered records)
+ */
+export function useOutboxStatus() {
+  const { isInitialized } = useDatabase();
+
+  return useQuery({
+    queryKey: ['sync-outbox'],
+    queryFn: getOutboxStatus,
+    staleTime: 10 * 1000, // 10 seconds
+    enabled: isInitialized,
+  });
+}
+
+/**
+ * Queue failed and dead-lettered records for the next push right away
+ */
+export function useRetryFailedPushes() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: retryFailedPushes,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sync-outbox'] });
+    },
+  });
+}
@@ -0,0 +1,18 @@
+import { useQuery } from '@tanstack/react-query';
+import { searchTasks } from '../repositories/search.js';
+import { useDatabase } from './use-database';
+
+/**
+ * Full-text search over task titles and block content
+ */
+export function useSearchTasks(query) {
+  const { isInitialized } = useDatabase();
+  const trimmed = (query || '').trim();
+  
+  return useQuery({
+    queryKey: ['tasks', 'search', trimmed],
+    queryFn: () => searchTasks(trimmed),
+    staleTime: 30 * 1000, // 30 seconds
+    enabled: isInitialized && trimmed.length > 0,
+  });
+}
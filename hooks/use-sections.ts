@@ -1,5 +1,5 @@
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
-import { createSection, deleteSection, getAllSections, getSectionsByProjectId, updateSection } from '../repositories/sections.js';
+import { createSection, deleteSection, getAllSections, getSectionsByProjectId, moveSection, updateSection } from '../repositories/sections.js';
 import { useDatabase } from './use-database';
 
 export function useSections() {
@@ -62,3 +62,20 @@ export function useUpdateSection() {
   });
 }
 
+type MoveSectionVariables = { id: number; projectId: number; sections: any[]; beforeId?: number; afterId?: number };
+
+export function useMoveSection() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ id, beforeId, afterId }: MoveSectionVariables) => moveSection(id, { beforeId, afterId }),
+    onMutate: ({ projectId, sections }: MoveSectionVariables) => {
+      // Show the new order right away so the dropped row stays where it was dropped
+      queryClient.setQueryData(['sections', projectId], sections);
+    },
+    onSettled: (data, error, { projectId }: MoveSectionVariables) => {
+      queryClient.invalidateQueries({ queryKey: ['sections'] });
+      queryClient.invalidateQueries({ queryKey: ['sections', projectId] });
+    },
+  });
+}
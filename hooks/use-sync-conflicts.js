@@ -0,0 +1,55 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import {
+    countOpenSyncConflicts,
+    getSyncConflicts,
+    resolveSyncConflict
+} from '../repositories/sync-conflicts.js';
+import { useDatabase } from './use-database';
+
+/**
+ * Get open sync conflicts (newest first)
+ */
+export function useSyncConflicts() {
+  const { isInitialized } = useDatabase();
+
+  return useQuery({
+    queryKey: ['sync-conflicts'],
+    queryFn: () => getSyncConflicts(),
+    staleTime: 30 * 1000, // 30 seconds
+    enabled: isInitialized,
+  });
+}
+
+/**
+ * Number of open sync conflicts (for badges)
+ */
+export function useSyncConflictCount() {
+  const { isInitialized } = useDatabase();
+
+  return useQuery({
+    queryKey: ['sync-conflicts', 'count'],
+    queryFn: countOpenSyncConflicts,
+    staleTime: 30 * 1000,
+    enabled: isInitialized,
+  });
+}
+
+/**
+ * Resolve a conflict by keeping the local, remote or merged version
+ */
+export function useResolveSyncConflict() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ conflictId, resolution }) => resolveSyncConflict(conflictId, resolution),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sync-conflicts'] });
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['projects'] });
+      queryClient.invalidateQueries({ queryKey: ['sections'] });
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
+      queryClient.invalidateQueries({ queryKey: ['filters'] });
+      queryClient.invalidateQueries({ queryKey: ['settings'] });
+    },
+  });
+}
@@ -0,0 +1,44 @@
+import { useQuery } from '@tanstack/react-query';
+import { getLastSyncRun, getSyncRun, getSyncRuns } from '../repositories/sync-log.js';
+import { useDatabase } from './use-database';
+
+/**
+ * Most recent finished sync run (see sync_log)
+ */
+export function useLastSyncRun() {
+  const { isInitialized } = useDatabase();
+
+  return useQuery({
+    queryKey: ['sync-log', 'last'],
+    queryFn: getLastSyncRun,
+    staleTime: 30 * 1000, // 30 seconds
+    enabled: isInitialized,
+  });
+}
+
+/**
+ * Recent sync runs, newest first
+ */
+export function useSyncRuns(limit = 100) {
+  const { isInitialized } = useDatabase();
+
+  return useQuery({
+    queryKey: ['sync-log', 'runs', limit],
+    queryFn: () => getSyncRuns({ limit }),
+    staleTime: 10 * 1000, // 10 seconds
+    enabled: isInitialized,
+  });
+}
+
+/**
+ * One sync run with its failed records
+ */
+export function useSyncRun(runId) {
+  const { isInitialized } = useDatabase();
+
+  return useQuery({
+    queryKey: ['sync-log', 'run', runId],
+    queryFn: () => getSyncRun(runId),
+    enabled: isInitialized && !!runId,
+  });
+}
@@ -0,0 +1,60 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import {
+    getTaskHistory,
+    getUndoState,
+    redoLastChange,
+    undoLastChange
+} from '../repositories/task-history.js';
+import { useDatabase } from './use-database';
+
+/**
+ * Timeline of changes to a task (newest first)
+ */
+export function useTaskHistory(taskId) {
+  const { isInitialized } = useDatabase();
+
+  return useQuery({
+    queryKey: ['task-history', taskId],
+    queryFn: () => getTaskHistory(taskId),
+    enabled: isInitialized && !!taskId,
+  });
+}
+
+/**
+ * What undo and redo would change next for a task ({ undo, redo }, null when unavailable)
+ */
+export function useUndoState(taskId) {
+  const { isInitialized } = useDatabase();
+
+  return useQuery({
+    queryKey: ['task-history', taskId, 'undo-state'],
+    queryFn: () => getUndoState(taskId),
+    enabled: isInitialized && !!taskId,
+  });
+}
+
+// An undo can touch any task, tag link or search result, so everything is refetched
+function useHistoryMutation(mutationFn) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSuccess: () => {
+      queryClient.invalidateQueries();
+    },
+  });
+}
+
+/**
+ * Undo the last change to a task (mutate(taskId))
+ */
+export function useUndoTaskChange() {
+  return useHistoryMutation(taskId => undoLastChange(taskId));
+}
+
+/**
+ * Redo the last undone change to a task (mutate(taskId))
+ */
+export function useRedoTaskChange() {
+  return useHistoryMutation(taskId => redoLastChange(taskId));
+}
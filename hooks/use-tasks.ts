@@ -1,5 +1,5 @@
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
-import { createTask, deleteTask, getAllTasks, getTasksByProjectId } from '../repositories/tasks.js';
+import { completeTask, createTask, deleteTask, getAllTasks, getTasksByProjectId, getTodayTasks, getUpcomingTasks, moveTask } from '../repositories/tasks.js';
 import { useDatabase } from './use-database';
 
 export function useTasks() {
@@ -24,6 +24,28 @@ export function useTasksByProject(projectId) {
   });
 }
 
+export function useTodayTasks() {
+  const { isInitialized } = useDatabase();
+  
+  return useQuery({
+    queryKey: ['tasks', 'today'],
+    queryFn: () => getTodayTasks(),
+    staleTime: 1 * 60 * 1000, // 1 minute (date-driven, goes stale at midnight)
+    enabled: isInitialized,
+  });
+}
+
+export function useUpcomingTasks(days = 14) {
+  const { isInitialized } = useDatabase();
+  
+  return useQuery({
+    queryKey: ['tasks', 'upcoming', days],
+    queryFn: () => getUpcomingTasks(days),
+    staleTime: 1 * 60 * 1000, // 1 minute (date-driven, goes stale at midnight)
+    enabled: isInitialized,
+  });
+}
+
 export function useCreateTask() {
   const queryClient = useQueryClient();
   
@@ -50,3 +72,44 @@ export function useDeleteTask() {
     },
   });
 }
+
+export function useCompleteTask() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: (taskId: number) => completeTask(taskId),
+    onSuccess: () => {
+      // Completing may also create the next occurrence of a recurring task
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['filter-tasks'] });
+    },
+  });
+}
+
+type MoveTaskVariables = { id: number; projectId: number; beforeId?: number; afterId?: number };
+
+export function useMoveTask() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ id, beforeId, afterId }: MoveTaskVariables) => moveTask(id, { beforeId, afterId }),
+    onMutate: ({ id, beforeId, afterId, projectId }: MoveTaskVariables) => {
+      // Reorder the cached list right away so the dropped row stays where it was dropped
+      queryClient.setQueryData(['tasks', projectId], (tasks: any[] | undefined) => {
+        if (!tasks) return tasks;
+        const task = tasks.find(t => t.id === id);
+        const others = tasks.filter(t => t.id !== id);
+        const targetIndex = others.findIndex(t => t.id === (beforeId ?? afterId));
+        if (!task || targetIndex === -1) return tasks;
+        const target = others[targetIndex];
+        const moved = { ...task, section_id: target.section_id, parent_id: target.parent_id };
+        others.splice(beforeId ? targetIndex : targetIndex + 1, 0, moved);
+        return others;
+      });
+    },
+    onSettled: (data, error, { projectId }: MoveTaskVariables) => {
+      queryClient.invalidateQueries({ queryKey: ['tasks', projectId] });
+      queryClient.invalidateQueries({ queryKey: ['task-history'] });
+    },
+  });
+}
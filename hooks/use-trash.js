@@ -0,0 +1,70 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import {
+    getTrash,
+    purgeTrash,
+    restoreTrashItem,
+    setTrashRetention
+} from '../repositories/trash.js';
+import { useDatabase } from './use-database';
+
+/**
+ * Get everything in the trash (newest deletion first)
+ */
+export function useTrash() {
+  const { isInitialized } = useDatabase();
+
+  return useQuery({
+    queryKey: ['trash'],
+    queryFn: () => getTrash(),
+    staleTime: 30 * 1000, // 30 seconds
+    enabled: isInitialized,
+  });
+}
+
+/**
+ * Restore a project, section, task or tag (with what was deleted along with it)
+ */
+export function useRestoreTrashItem() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ table, id }) => restoreTrashItem(table, id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['trash'] });
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['projects'] });
+      queryClient.invalidateQueries({ queryKey: ['sections'] });
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
+      queryClient.invalidateQueries({ queryKey: ['task-history'] });
+    },
+  });
+}
+
+/**
+ * Delete expired trash rows for good, or everything with { all: true }
+ */
+export function usePurgeTrash() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (options = {}) => purgeTrash(options),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['trash'] });
+    },
+  });
+}
+
+/**
+ * Change how many days deleted items stay in the trash
+ */
+export function useSetTrashRetention() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (days) => setTrashRetention(days),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['trash'] });
+      queryClient.invalidateQueries({ queryKey: ['settings'] });
+    },
+  });
+}
@@ -4,6 +4,30 @@ import { Audio } from 'expo-av';
 import * as FileSystem from 'expo-file-system/legacy';
 import { useCallback, useEffect, useRef, useState } from 'react';
 
+// Default TTS options
+const defaultOptions = {
+  model: 'aura-2-thalia-en', // Can be changed to other Aura models
+  encoding: 'linear16',
+  container: 'wav',
+};
+
+/**
+ * Splits the complete sentences (ending in . ! ? or a line break) off the start of text
+ * @param {string} text
+ * @returns {{ sentences: string[], rest: string }} rest is the unfinished sentence
+ */
+function takeSentences(text) {
+  const sentences = [];
+  const boundary = /[.!?]+["')\]]*\s+|\n+/g;
+  let start = 0;
+  let match;
+  while ((match = boundary.exec(text)) !== null) {
+    sentences.push(text.slice(start, match.index + match[0].length).trim());
+    start = match.index + match[0].length;
+  }
+  return { sentences: sentences.filter(Boolean), rest: text.slice(start) };
+}
+
 /**
  * Hook for managing Deepgram Text-to-Speech
  * Handles text-to-speech conversion and audio playback
@@ -11,6 +35,7 @@ import { useCallback, useEffect, useRef, useState } from 'react';
 export function useDeepgramTTS() {
   const [isLoading, setIsLoading] = useState(false);
   const [isPlaying, setIsPlaying] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
   const [error, setError] = useState(null);
   const [progress, setProgress] = useState(0); // 0-1
 
@@ -18,13 +43,12 @@ export function useDeepgramTTS() {
   const currentTextRef = useRef(null);
   const playbackPositionRef = useRef(0);
   const playbackDurationRef = useRef(0);
-
-  // Default TTS options
-  const defaultOptions = {
-    model: 'aura-2-thalia-en', // Can be changed to other Aura models
-    encoding: 'linear16',
-    container: 'wav',
-  };
+  // Streamed speech: the text still coming in, and the sentences waiting to be spoken
+  const streamRef = useRef(null);
+  // Bumped by stop() so a stream that is synthesizing or playing knows to give up
+  const generationRef = useRef(0);
+  // Resolves the playback a stream is waiting on, when stop() cuts it short
+  const finishPlaybackRef = useRef(null);
 
   /**
    * Handle errors
@@ -92,6 +116,11 @@ export function useDeepgramTTS() {
    * Stop current playback
    */
   const stop = useCallback(async () => {
+    generationRef.current += 1;
+    streamRef.current = null;
+    setIsStreaming(false);
+    finishPlaybackRef.current?.();
+    finishPlaybackRef.current = null;
     try {
       if (soundRef.current) {
         await soundRef.current.stopAsync();
@@ -106,6 +135,93 @@ export function useDeepgramTTS() {
     }
   }, [cleanup]);
 
+  /**
+   * Convert text to speech and save the audio to a temporary file
+   * @private
+   * @returns {Promise<string>} Path of the audio file
+   */
+  const synthesizeToFile = useCallback(async (text, ttsOptions) => {
+    // Convert text to speech
+    const { audioBuffer, headers } = await deepgramTTSClient.speak(text, ttsOptions);
+
+    console.log('✅ TTS audio received:', {
+      size: audioBuffer.byteLength,
+      model: headers['dg-model-name'],
+      charCount: headers['dg-char-count'],
+    });
+
+    // Save audio buffer to temporary file
+    const audioDir = `${FileSystem.cacheDirectory}tts/`;
+    await FileSystem.makeDirectoryAsync(audioDir, { intermediates: true });
+    
+    const timestamp = Date.now();
+    const fileExtension = ttsOptions.container || 'wav';
+    const audioFilePath = `${audioDir}tts_${timestamp}_${Math.random().toString(36).slice(2, 8)}.${fileExtension}`;
+
+    // Convert ArrayBuffer to base64 and write to file
+    const base64Audio = arrayBufferToBase64(audioBuffer);
+    await FileSystem.writeAsStringAsync(audioFilePath, base64Audio, {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+    return audioFilePath;
+  }, []);
+
+  /**
+   * Start playing an audio file
+   * @private
+   * @param {string} audioFilePath
+   * @param {Function} [onFinish] - Called when playback reaches the end
+   */
+  const playFile = useCallback(async (audioFilePath, onFinish = null) => {
+    // Configure audio mode for playback
+    await Audio.setAudioModeAsync({
+      playsInSilentModeIOS: true,
+      staysActiveInBackground: false,
+      shouldDuckAndroid: true,
+    });
+
+    // Load and play audio from file
+    const { sound } = await Audio.Sound.createAsync(
+      { uri: audioFilePath },
+      {
+        shouldPlay: true,
+        isLooping: false,
+      }
+    );
+
+    soundRef.current = sound;
+
+    // Get duration
+    const status = await sound.getStatusAsync();
+    if (status.isLoaded) {
+      playbackDurationRef.current = status.durationMillis || 0;
+    }
+
+    // Set up status update listener for progress tracking
+    sound.setOnPlaybackStatusUpdate((status) => {
+      if (status.isLoaded) {
+        setIsPlaying(status.isPlaying);
+        
+        if (status.durationMillis) {
+          playbackDurationRef.current = status.durationMillis;
+          playbackPositionRef.current = status.positionMillis || 0;
+          const newProgress = status.durationMillis > 0
+            ? (status.positionMillis || 0) / status.durationMillis
+            : 0;
+          setProgress(newProgress);
+        }
+
+        // Clean up when finished
+        if (status.didJustFinish) {
+          setIsPlaying(false);
+          setProgress(1);
+          cleanup();
+          onFinish?.();
+        }
+      }
+    });
+  }, [cleanup]);
+
   /**
    * Convert text to speech and play audio
    * @param {string} text - Text to convert to speech
@@ -143,81 +259,130 @@ export function useDeepgramTTS() {
       // TODO: Could implement queue system for multiple chunks
       const textToProcess = textChunks[0];
 
-      // Convert text to speech
-      const { audioBuffer, headers } = await deepgramTTSClient.speak(textToProcess, ttsOptions);
-
-      console.log('✅ TTS audio received:', {
-        size: audioBuffer.byteLength,
-        model: headers['dg-model-name'],
-        charCount: headers['dg-char-count'],
-      });
-
-      // Save audio buffer to temporary file
-      const audioDir = `${FileSystem.cacheDirectory}tts/`;
-      await FileSystem.makeDirectoryAsync(audioDir, { intermediates: true });
-      
-      const timestamp = Date.now();
-      const fileExtension = ttsOptions.container || 'wav';
-      const audioFilePath = `${audioDir}tts_${timestamp}.${fileExtension}`;
-
-      // Convert ArrayBuffer to base64 and write to file
-      const base64Audio = arrayBufferToBase64(audioBuffer);
-      await FileSystem.writeAsStringAsync(audioFilePath, base64Audio, {
-        encoding: FileSystem.EncodingType.Base64,
-      });
+      const audioFilePath = await synthesizeToFile(textToProcess, ttsOptions);
+      await playFile(audioFilePath);
 
-      // Configure audio mode for playback
-      await Audio.setAudioModeAsync({
-        playsInSilentModeIOS: true,
-        staysActiveInBackground: false,
-        shouldDuckAndroid: true,
-      });
+      setIsLoading(false);
+    } catch (err) {
+      handleError(err);
+    }
+  }, [stop, handleError, synthesizeToFile, playFile]);
 
-      // Load and play audio from file
-      const { sound } = await Audio.Sound.createAsync(
-        { uri: audioFilePath },
-        {
-          shouldPlay: true,
-          isLooping: false,
+  /**
+   * Speak the queued sentences of a stream in order
+   * The next sentence is synthesized while the current one plays.
+   * @private
+   */
+  const runStream = useCallback(async (stream) => {
+    const isCurrent = () => streamRef.current === stream && generationRef.current === stream.generation;
+    stream.running = true;
+    let next = null;
+    try {
+      while (isCurrent()) {
+        if (!next) {
+          if (stream.pending.length === 0) break;
+          next = synthesizeToFile(stream.pending.shift(), stream.options);
         }
-      );
-
-      soundRef.current = sound;
+        const audioFilePath = await next;
+        next = null;
+        if (!isCurrent()) break;
 
-      // Get duration
-      const status = await sound.getStatusAsync();
-      if (status.isLoaded) {
-        playbackDurationRef.current = status.durationMillis || 0;
+        if (stream.pending.length > 0) {
+          next = synthesizeToFile(stream.pending.shift(), stream.options);
+          // Surfaces when awaited; don't report it as unhandled if the stream stops first
+          next.catch(() => {});
+        }
+        await new Promise((resolve, reject) => {
+          finishPlaybackRef.current = resolve;
+          playFile(audioFilePath, resolve).then(() => setIsLoading(false), reject);
+        });
+        finishPlaybackRef.current = null;
       }
+    } catch (err) {
+      if (isCurrent()) {
+        streamRef.current = null;
+        setIsStreaming(false);
+        handleError(err);
+      }
+      return;
+    } finally {
+      stream.running = false;
+    }
 
-      // Set up status update listener for progress tracking
-      sound.setOnPlaybackStatusUpdate((status) => {
-        if (status.isLoaded) {
-          setIsPlaying(status.isPlaying);
-          
-          if (status.durationMillis) {
-            playbackDurationRef.current = status.durationMillis;
-            playbackPositionRef.current = status.positionMillis || 0;
-            const newProgress = status.durationMillis > 0
-              ? (status.positionMillis || 0) / status.durationMillis
-              : 0;
-            setProgress(newProgress);
-          }
-
-          // Clean up when finished
-          if (status.didJustFinish) {
-            setIsPlaying(false);
-            setProgress(1);
-            cleanup();
-          }
-        }
-      });
+    // Done once the reply is complete and everything in it has been spoken
+    if (isCurrent() && stream.ended && stream.pending.length === 0) {
+      streamRef.current = null;
+      setIsStreaming(false);
+      setIsLoading(false);
+    }
+  }, [synthesizeToFile, playFile, handleError]);
 
+  /**
+   * Queue text of a stream to be spoken
+   * @private
+   */
+  const queueSentences = useCallback((stream, sentences) => {
+    for (const sentence of sentences) {
+      if (sentence.trim()) {
+        stream.pending.push(...deepgramTTSClient.chunkText(sentence.trim()));
+      }
+    }
+    if (!stream.running && stream.pending.length > 0) {
+      runStream(stream);
+    } else if (!stream.running && stream.ended && streamRef.current === stream) {
+      streamRef.current = null;
+      setIsStreaming(false);
       setIsLoading(false);
-    } catch (err) {
-      handleError(err);
     }
-  }, [stop, handleError, cleanup]);
+  }, [runStream]);
+
+  /**
+   * Start speaking text that is still being written (e.g. a streamed AI reply)
+   * Feed it with appendToStream() and finish with endStream(); each sentence is
+   * spoken as soon as it is complete. stop() ends the stream.
+   * @param {Object} options - TTS options (model, encoding, container, etc.)
+   */
+  const startStream = useCallback(async (options = {}) => {
+    await stop();
+    streamRef.current = {
+      generation: generationRef.current,
+      options: { ...defaultOptions, ...options },
+      text: '',
+      pending: [],
+      ended: false,
+      running: false,
+    };
+    currentTextRef.current = '';
+    setError(null);
+    setProgress(0);
+    setIsStreaming(true);
+    setIsLoading(true);
+  }, [stop]);
+
+  /**
+   * Add text to the stream started with startStream()
+   * @param {string} delta - The newly arrived text
+   */
+  const appendToStream = useCallback((delta) => {
+    const stream = streamRef.current;
+    if (!stream || !delta) return;
+    currentTextRef.current += delta;
+    const { sentences, rest } = takeSentences(stream.text + delta);
+    stream.text = rest;
+    queueSentences(stream, sentences);
+  }, [queueSentences]);
+
+  /**
+   * Mark the stream complete: the last, unfinished sentence is spoken too
+   */
+  const endStream = useCallback(() => {
+    const stream = streamRef.current;
+    if (!stream) return;
+    stream.ended = true;
+    const rest = stream.text;
+    stream.text = '';
+    queueSentences(stream, [rest]);
+  }, [queueSentences]);
 
   /**
    * Pause current playback
@@ -259,6 +424,7 @@ export function useDeepgramTTS() {
     // State
     isLoading,
     isPlaying,
+    isStreaming,
     error: error ? getUserFriendlyMessage(error) : null,
     errorDetails: error,
     errorCode: error?.code || null,
@@ -270,6 +436,9 @@ export function useDeepgramTTS() {
 
     // Actions
     speak,
+    startStream,
+    appendToStream,
+    endStream,
     stop,
     pause,
     resume,
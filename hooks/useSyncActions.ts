@@ -1,29 +1,41 @@
-import { useQueryClient } from '@tanstack/react-query';
+import { QueryClient, useQueryClient } from '@tanstack/react-query';
 import { useState } from 'react';
 import { Alert } from 'react-native';
-import { pushAllLocalChanges } from '../lib/sync/@sync_fabrizio';
-import { pullAllFromSupabase } from '../lib/sync/syncpull/syncpull';
+import { runSync } from '../lib/sync/sync-runner';
+
+/**
+ * Refresh every query that a sync can change
+ */
+export function invalidateSyncedQueries(queryClient: QueryClient) {
+  queryClient.invalidateQueries({ queryKey: ['projects'] });
+  queryClient.invalidateQueries({ queryKey: ['tasks'] });
+  queryClient.invalidateQueries({ queryKey: ['tags'] });
+  queryClient.invalidateQueries({ queryKey: ['sections'] });
+  queryClient.invalidateQueries({ queryKey: ['filters'] });
+  queryClient.invalidateQueries({ queryKey: ['filter-tasks'] });
+  queryClient.invalidateQueries({ queryKey: ['settings'] });
+  queryClient.invalidateQueries({ queryKey: ['sync-conflicts'] });
+  queryClient.invalidateQueries({ queryKey: ['sync-outbox'] });
+  queryClient.invalidateQueries({ queryKey: ['sync-log'] });
+}
 
 export function useSyncActions() {
   const queryClient = useQueryClient();
   const [isPulling, setIsPulling] = useState(false);
   const [isPushing, setIsPushing] = useState(false);
 
-  const invalidateAll = () => {
-    queryClient.invalidateQueries({ queryKey: ['projects'] });
-    queryClient.invalidateQueries({ queryKey: ['tasks'] });
-    queryClient.invalidateQueries({ queryKey: ['tags'] });
-    queryClient.invalidateQueries({ queryKey: ['sections'] });
-  };
+  const invalidateAll = () => invalidateSyncedQueries(queryClient);
 
   const handlePull = async () => {
     if (isPulling) return;
     setIsPulling(true);
     try {
-      const result = await pullAllFromSupabase();
-      if (result.success) {
+      const result = await runSync('pull', 'manual');
+      if (result.skipped) {
+        Alert.alert('Sync in Progress', 'Another sync is running, try again in a moment');
+      } else if (result.success) {
         invalidateAll();
-        Alert.alert('Pull Successful', `Pulled ${result.totalSynced} records`);
+        Alert.alert('Pull Successful', `Pulled ${result.pulled} records`);
       } else {
         Alert.alert('Pull Failed', result.error || 'Unknown error');
       }
@@ -39,10 +51,12 @@ export function useSyncActions() {
     if (isPushing) return;
     setIsPushing(true);
     try {
-      const result = await pushAllLocalChanges();
-      if (result.success) {
+      const result = await runSync('push', 'manual');
+      if (result.skipped) {
+        Alert.alert('Sync in Progress', 'Another sync is running, try again in a moment');
+      } else if (result.success) {
         invalidateAll();
-        Alert.alert('Push Successful', `Pushed ${result.synced} records`);
+        Alert.alert('Push Successful', `Pushed ${result.pushed} records`);
       } else {
         Alert.alert('Push Failed', result.error || 'Unknown error');
       }
@@ -0,0 +1,160 @@
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+import * as FileSystem from 'expo-file-system/legacy';
+import { getSetting } from '../repositories/settings.js';
+import {
+  BACKUP_INTERVAL_SETTING,
+  BACKUP_KEEP_SETTING,
+  DEFAULT_BACKUP_INTERVAL,
+  backupFileDate,
+  backupFileName,
+  backupsToRotate,
+  createBackup,
+  isBackupDue,
+  parseBackupKeep,
+  restoreBackup,
+  verifyBackup,
+} from './backup.js';
+import { getDb, initDatabase } from './database.js';
+import { descriptionToSearchText } from './search-utils.js';
+import { isSyncRunning } from './sync/sync-runner.js';
+
+// Device-only, next to the database (the CLI keeps them next to projects.db)
+export const BACKUP_DIR = `${FileSystem.documentDirectory}backups/`;
+
+// The format lives in lib/backup.js (shared with the CLI); these are the app's helpers
+const helpers = {
+  sha256Hex: text => bytesToHex(sha256(utf8ToBytes(text))),
+  descriptionToSearchText,
+};
+
+async function ensureBackupDir() {
+  const info = await FileSystem.getInfoAsync(BACKUP_DIR);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(BACKUP_DIR, { intermediates: true });
+  }
+}
+
+/**
+ * Scheduled backup settings of this device
+ * @returns {Promise<{ interval: string, keep: number }>}
+ */
+export async function getBackupSchedule() {
+  return {
+    interval: (await getSetting(BACKUP_INTERVAL_SETTING)) || DEFAULT_BACKUP_INTERVAL,
+    keep: parseBackupKeep(await getSetting(BACKUP_KEEP_SETTING)),
+  };
+}
+
+/**
+ * Backups on this device, newest first
+ * @returns {Promise<Array<{ fileName: string, uri: string, createdAt: Date, size: number }>>}
+ */
+export async function listBackups() {
+  await ensureBackupDir();
+  const fileNames = (await FileSystem.readDirectoryAsync(BACKUP_DIR))
+    .filter(fileName => backupFileDate(fileName))
+    .sort()
+    .reverse();
+
+  const backups = [];
+  for (const fileName of fileNames) {
+    const uri = `${BACKUP_DIR}${fileName}`;
+    const info = await FileSystem.getInfoAsync(uri);
+    backups.push({ fileName, uri, createdAt: backupFileDate(fileName), size: info.exists ? info.size : 0 });
+  }
+  return backups;
+}
+
+/**
+ * Delete all but the newest `keep` backups
+ * @returns {Promise<string[]>} Deleted file names
+ */
+export async function rotateBackups(keep) {
+  await ensureBackupDir();
+  const deleted = backupsToRotate(await FileSystem.readDirectoryAsync(BACKUP_DIR), keep);
+  for (const fileName of deleted) {
+    await FileSystem.deleteAsync(`${BACKUP_DIR}${fileName}`, { idempotent: true });
+  }
+  return deleted;
+}
+
+/**
+ * Back up the whole database into the backup directory, then rotate old backups
+ * @returns {Promise<{ fileName: string, uri: string, counts: Object<string, number> }>}
+ */
+export async function createBackupFile() {
+  await initDatabase();
+  const backup = await createBackup(getDb(), helpers, { source: 'app' });
+  await ensureBackupDir();
+
+  const fileName = backupFileName(new Date(backup.created_at));
+  const uri = `${BACKUP_DIR}${fileName}`;
+  // Written under a temporary name first, so an interrupted write never looks like a backup
+  await FileSystem.writeAsStringAsync(`${uri}.tmp`, JSON.stringify(backup));
+  await FileSystem.moveAsync({ from: `${uri}.tmp`, to: uri });
+
+  const { keep } = await getBackupSchedule();
+  await rotateBackups(keep);
+
+  const counts = {};
+  for (const [name, table] of Object.entries(backup.tables)) {
+    counts[name] = table.count;
+  }
+  console.log(`💾 Backup written: ${fileName}`);
+  return { fileName, uri, counts };
+}
+
+/**
+ * Make a backup if the schedule says one is due (called when the app opens and comes to the foreground)
+ * @returns {Promise<string|null>} File name of the new backup, or null when none was due
+ */
+export async function runScheduledBackup() {
+  const { interval } = await getBackupSchedule();
+  const [newest] = await listBackups();
+  if (!isBackupDue(interval, newest ? newest.createdAt : null)) {
+    return null;
+  }
+  const { fileName } = await createBackupFile();
+  return fileName;
+}
+
+/**
+ * Read a backup and check its checksums
+ * @returns {Promise<{ backup: Object, verification: Object }>} verification from verifyBackup
+ */
+export async function readBackupFile(fileName) {
+  const text = await FileSystem.readAsStringAsync(`${BACKUP_DIR}${fileName}`);
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error(`${fileName} is not valid JSON`);
+  }
+  return { backup, verification: verifyBackup(backup, helpers) };
+}
+
+/**
+ * Restore a backup from this device (see restoreBackup in lib/backup.js)
+ * @param {string} fileName
+ * @param {Object} [options] - { mode: 'replace'|'merge', dryRun }
+ */
+export async function restoreBackupFile(fileName, options = {}) {
+  if (isSyncRunning()) {
+    throw new Error('A sync is running; try again when it has finished');
+  }
+  const { backup } = await readBackupFile(fileName);
+  await initDatabase();
+  const result = await restoreBackup(getDb(), backup, helpers, options);
+  if (!options.dryRun) {
+    console.log(`♻️ Restored ${fileName} (${result.mode})`);
+  }
+  return result;
+}
+
+/**
+ * Delete a backup from this device
+ */
+export async function deleteBackupFile(fileName) {
+  await FileSystem.deleteAsync(`${BACKUP_DIR}${fileName}`, { idempotent: true });
+}
@@ -0,0 +1,427 @@
+/**
+ * Full JSON backups of the local database, and restoring them
+ *
+ * Shared with the CLI (see lib/migrations.js): a backup made on one restores on the other.
+ * Like migrate(), it works on any database with the expo-sqlite async interface
+ * (runAsync, getAllAsync, getFirstAsync, execAsync). Hashing and search text come
+ * from the caller: helpers = { sha256Hex(string), descriptionToSearchText(description) }.
+ *
+ * A backup is one JSON document:
+ *
+ *   {
+ *     "format": "productionai-backup",
+ *     "version": 1,
+ *     "schema_version": 14,                  // PRAGMA user_version of the source database
+ *     "created_at": "2026-01-05T10:00:00.000Z",
+ *     "source": "app" | "cli",
+ *     "tables": { "projects": { "count": 2, "checksum": "<sha256>", "rows": [...] }, ... },
+ *     "checksum": "<sha256>"                 // over everything above except the rows
+ *   }
+ *
+ * Rows are complete, sync columns included, so a restore puts the device back
+ * where it was. Device-only state is left out: the sync queue, sync log,
+ * conflicts, pull cursors, the search index (rebuilt on restore), task
+ * history and the tags of trashed tasks (both cleared by a replace restore),
+ * and local_ settings, which hold the encryption key ring and sync server
+ * credentials.
+ * Backups are not encrypted.
+ */
+
+const { LATEST_VERSION, getSchemaVersion } = require('./migrations');
+
+const BACKUP_FORMAT = 'productionai-backup';
+const BACKUP_VERSION = 1;
+
+// Tables in a backup, parents before children. Every reference points at the id of another table.
+const BACKUP_TABLES = [
+  { name: 'projects', key: ['id'], references: { default_section_id: 'sections' } },
+  { name: 'sections', key: ['id'], references: { project_id: 'projects' } },
+  { name: 'tags', key: ['id'], references: {} },
+  { name: 'tasks', key: ['id'], references: { project_id: 'projects', section_id: 'sections', parent_id: 'tasks' } },
+  { name: 'task_tags', key: ['task_id', 'tag_id'], references: { task_id: 'tasks', tag_id: 'tags' } },
+  { name: 'filters', key: ['id'], references: {} },
+  { name: 'filter_tags', key: ['filter_id', 'tag_id'], references: { filter_id: 'filters', tag_id: 'tags' } },
+  { name: 'filter_projects', key: ['filter_id', 'project_id'], references: { filter_id: 'filters', project_id: 'projects' } },
+  { name: 'settings', key: ['key'], references: {}, where: "substr(key, 1, 6) != 'local_'" },
+  { name: 'chat_sessions', key: ['id'], references: { context_task_id: 'tasks' } },
+  { name: 'chat_messages', key: ['id'], references: { session_id: 'chat_sessions' } },
+];
+
+// Synced tables whose pending rows go back into the sync queue after a restore
+const SYNCED_TABLES = ['projects', 'sections', 'tags', 'tasks', 'filters', 'chat_sessions', 'chat_messages', 'settings'];
+
+// Device-only settings for scheduled backups (same keys in the app and the CLI)
+const BACKUP_INTERVAL_SETTING = 'local_backup_interval';
+const BACKUP_KEEP_SETTING = 'local_backup_keep';
+const BACKUP_INTERVALS = { off: null, daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+const DEFAULT_BACKUP_INTERVAL = 'off';
+const DEFAULT_BACKUP_KEEP = 7;
+
+const BACKUP_FILE_PATTERN = /^productionai-backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})(?:-(\d{3}))?Z\.json$/;
+
+// Most problems listed in one error message
+const MAX_LISTED_PROBLEMS = 10;
+
+/**
+ * JSON with object keys sorted, so equal data always hashes the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function headerChecksum(backup, sha256Hex) {
+  const tables = {};
+  for (const [name, table] of Object.entries(backup.tables || {})) {
+    tables[name] = { count: table.count, checksum: table.checksum };
+  }
+  return sha256Hex(canonicalJson({
+    format: backup.format,
+    version: backup.version,
+    schema_version: backup.schema_version,
+    created_at: backup.created_at,
+    source: backup.source,
+    tables,
+  }));
+}
+
+function rowKey(table, row) {
+  return table.key.map(column => String(row[column])).join('/');
+}
+
+function listProblems(problems) {
+  const listed = problems.slice(0, MAX_LISTED_PROBLEMS).join('; ');
+  return problems.length > MAX_LISTED_PROBLEMS ? `${listed}; and ${problems.length - MAX_LISTED_PROBLEMS} more` : listed;
+}
+
+/**
+ * Read every backed-up table into a backup document
+ * @param {Object} db - Database with the expo-sqlite async interface
+ * @param {Object} helpers - { sha256Hex }
+ * @param {Object} [options]
+ * @param {string} [options.source] - 'app' or 'cli'
+ * @returns {Promise<Object>} The backup (see the top of this file)
+ */
+async function createBackup(db, { sha256Hex }, { source = null } = {}) {
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schema_version: await getSchemaVersion(db),
+    created_at: new Date().toISOString(),
+    source,
+    tables: {},
+  };
+
+  for (const table of BACKUP_TABLES) {
+    const rows = await db.getAllAsync(
+      `SELECT * FROM ${table.name}${table.where ? ` WHERE ${table.where}` : ''} ORDER BY ${table.key.join(', ')}`
+    );
+    backup.tables[table.name] = { count: rows.length, checksum: sha256Hex(canonicalJson(rows)), rows };
+  }
+  backup.checksum = headerChecksum(backup, sha256Hex);
+  return backup;
+}
+
+/**
+ * References that don't resolve, as messages
+ * @param {Object} backup
+ * @param {Object<string, Set<string>>} [existingIds] - Ids already in the database per table (merge restores)
+ * @returns {string[]}
+ */
+function findMissingReferences(backup, existingIds = {}) {
+  const backupIds = {};
+  for (const table of BACKUP_TABLES) {
+    if (table.key.length === 1 && table.key[0] === 'id') {
+      backupIds[table.name] = new Set((backup.tables[table.name]?.rows || []).map(row => String(row.id)));
+    }
+  }
+
+  const problems = [];
+  for (const table of BACKUP_TABLES) {
+    for (const row of backup.tables[table.name]?.rows || []) {
+      for (const [column, target] of Object.entries(table.references)) {
+        const value = row[column];
+        if (value === null || value === undefined) continue;
+        const id = String(value);
+        if (backupIds[target].has(id) || (existingIds[target] && existingIds[target].has(id))) continue;
+        problems.push(`${table.name} ${rowKey(table, row)}: ${column} ${id} is not in ${target}`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Check a backup's format, checksums and references
+ * References that point outside the backup are warnings: a merge restore accepts them
+ * when the rows are already in the database.
+ * @param {Object} backup - Parsed backup document
+ * @param {Object} helpers - { sha256Hex }
+ * @param {Object} [options]
+ * @param {boolean} [options.checkReferences] - Set to false when the caller checks them itself
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], counts: Object<string, number> }}
+ */
+function verifyBackup(backup, { sha256Hex }, { checkReferences = true } = {}) {
+  const errors = [];
+  const warnings = [];
+  const counts = {};
+
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    return { valid: false, errors: ['Not a ProductionAI backup'], warnings, counts };
+  }
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    return { valid: false, errors: [`Backup format version ${backup.version} is newer than this build can read (${BACKUP_VERSION})`], warnings, counts };
+  }
+  if (backup.schema_version > LATEST_VERSION) {
+    warnings.push(`The backup comes from a newer schema (${backup.schema_version}, this build has ${LATEST_VERSION}); columns this build doesn't know are left out`);
+  }
+
+  for (const table of BACKUP_TABLES) {
+    const entry = backup.tables && backup.tables[table.name];
+    if (!entry || !Array.isArray(entry.rows)) {
+      errors.push(`Table ${table.name} is missing`);
+      continue;
+    }
+    counts[table.name] = entry.rows.length;
+    if (entry.count !== entry.rows.length) {
+      errors.push(`Table ${table.name} has ${entry.rows.length} rows, the backup says ${entry.count}`);
+    }
+    if (entry.checksum !== sha256Hex(canonicalJson(entry.rows))) {
+      errors.push(`Table ${table.name} doesn't match its checksum`);
+    }
+    const keys = new Set();
+    for (const row of entry.rows) {
+      const key = rowKey(table, row);
+      if (table.key.some(column => row[column] === null || row[column] === undefined)) {
+        errors.push(`Table ${table.name} has a row without ${table.key.join(', ')}`);
+      } else if (keys.has(key)) {
+        errors.push(`Table ${table.name} has row ${key} twice`);
+      }
+      keys.add(key);
+    }
+  }
+  if (backup.checksum !== headerChecksum(backup, sha256Hex)) {
+    errors.push("The backup doesn't match its checksum");
+  }
+
+  if (checkReferences && errors.length === 0) {
+    const missing = findMissingReferences(backup);
+    if (missing.length > 0) {
+      warnings.push(`${missing.length} reference${missing.length === 1 ? '' : 's'} point${missing.length === 1 ? 's' : ''} outside the backup: ${listProblems(missing)}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings, counts };
+}
+
+async function tableColumns(db, table) {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${table})`);
+  return columns.map(column => column.name);
+}
+
+async function existingKeys(db, table) {
+  const rows = await db.getAllAsync(
+    `SELECT ${table.key.join(', ')} FROM ${table.name}${table.where ? ` WHERE ${table.where}` : ''}`
+  );
+  return new Set(rows.map(row => rowKey(table, row)));
+}
+
+/**
+ * Restore a backup
+ * replace: the backed-up tables are emptied first (local_ settings are kept), so the
+ *   device ends up exactly as it was backed up. The sync queue and open conflicts are cleared.
+ * merge: rows are written by primary key over the existing ones; rows that aren't in the
+ *   backup stay. References may point at rows already in the database.
+ * Either way the search index is rebuilt for the restored tasks, pending rows go back into
+ * the sync queue and the pull cursors are reset, so the next sync compares everything.
+ * @param {Object} db - Database with the expo-sqlite async interface
+ * @param {Object} backup - Parsed backup document
+ * @param {Object} helpers - { sha256Hex, descriptionToSearchText }
+ * @param {Object} [options]
+ * @param {'replace'|'merge'} [options.mode]
+ * @param {boolean} [options.dryRun] - Check everything and count, without writing
+ * @returns {Promise<{ mode: string, dryRun: boolean, tables: Object<string, { rows: number, added: number, updated: number }>, warnings: string[] }>}
+ * @throws {Error} If the backup fails verification or has broken references (nothing is written)
+ */
+async function restoreBackup(db, backup, { sha256Hex, descriptionToSearchText }, { mode = 'replace', dryRun = false } = {}) {
+  if (mode !== 'replace' && mode !== 'merge') {
+    throw new Error(`Unknown restore mode "${mode}". Use replace or merge.`);
+  }
+  const verification = verifyBackup(backup, { sha256Hex }, { checkReferences: false });
+  if (!verification.valid) {
+    throw new Error(`Backup failed verification: ${listProblems(verification.errors)}`);
+  }
+  const warnings = [...verification.warnings];
+
+  // Foreign keys: inside the backup, plus what stays in the database when merging
+  const existing = {};
+  const existingIds = {};
+  for (const table of BACKUP_TABLES) {
+    existing[table.name] = mode === 'merge' ? await existingKeys(db, table) : new Set();
+    if (table.key.length === 1 && table.key[0] === 'id') {
+      existingIds[table.name] = existing[table.name];
+    }
+  }
+  const missing = findMissingReferences(backup, existingIds);
+  if (missing.length > 0) {
+    throw new Error(`Backup has broken references: ${listProblems(missing)}`);
+  }
+
+  const plan = {};
+  const columnsByTable = {};
+  for (const table of BACKUP_TABLES) {
+    const rows = backup.tables[table.name].rows;
+    const columns = await tableColumns(db, table.name);
+    columnsByTable[table.name] = columns;
+    const unknown = [...new Set(rows.flatMap(row => Object.keys(row)))].filter(column => !columns.includes(column));
+    if (unknown.length > 0) {
+      warnings.push(`${table.name}: ${unknown.join(', ')} left out (not in this database)`);
+    }
+    const updated = rows.filter(row => existing[table.name].has(rowKey(table, row))).length;
+    plan[table.name] = { rows: rows.length, added: rows.length - updated, updated };
+  }
+
+  if (dryRun) {
+    return { mode, dryRun, tables: plan, warnings };
+  }
+
+  await db.execAsync('BEGIN');
+  try {
+    // Checked again at COMMIT, once every row is in (tasks point at tasks, projects at sections)
+    await db.execAsync('PRAGMA defer_foreign_keys = ON');
+
+    if (mode === 'replace') {
+      for (const table of [...BACKUP_TABLES].reverse()) {
+        await db.runAsync(`DELETE FROM ${table.name}${table.where ? ` WHERE ${table.where}` : ''}`);
+      }
+      await db.runAsync('DELETE FROM tasks_fts');
+      await db.runAsync('DELETE FROM sync_outbox');
+      await db.runAsync('DELETE FROM sync_conflicts WHERE resolved_at IS NULL');
+      // Undoing a change from before the restore would write into the restored tasks
+      await db.runAsync('DELETE FROM task_history');
+      await db.runAsync('DELETE FROM trashed_task_tags');
+    }
+
+    for (const table of BACKUP_TABLES) {
+      const rows = backup.tables[table.name].rows;
+      for (const row of rows) {
+        const columns = Object.keys(row).filter(column => columnsByTable[table.name].includes(column));
+        const updates = columns.filter(column => !table.key.includes(column));
+        const conflict = updates.length > 0
+          ? `DO UPDATE SET ${updates.map(column => `${column} = excluded.${column}`).join(', ')}`
+          : 'DO NOTHING';
+        await db.runAsync(
+          `INSERT INTO ${table.name} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+           ON CONFLICT(${table.key.join(', ')}) ${conflict}`,
+          columns.map(column => row[column])
+        );
+      }
+    }
+
+    // Search index (rowid = task id) for the restored tasks
+    for (const task of backup.tables.tasks.rows) {
+      await db.runAsync('DELETE FROM tasks_fts WHERE rowid = ?', [task.id]);
+      if (!task.deleted_at) {
+        await db.runAsync(
+          'INSERT INTO tasks_fts (rowid, title, body) VALUES (?, ?, ?)',
+          [task.id, task.title || '', descriptionToSearchText(task.description)]
+        );
+      }
+    }
+
+    // Same queueing as migration 11: rows still waiting to push, in rowid order
+    for (const name of SYNCED_TABLES) {
+      const key = name === 'settings' ? 'key' : 'id';
+      const scope = name === 'settings' ? " AND substr(key, 1, 6) != 'local_'" : '';
+      await db.runAsync(
+        `INSERT OR IGNORE INTO sync_outbox (table_name, record_id, operation)
+         SELECT '${name}', CAST(${key} AS TEXT), CASE WHEN sync_status = 'pending_delete' THEN 'delete' ELSE 'upsert' END
+         FROM ${name} WHERE sync_status IN ('pending', 'pending_delete')${scope} ORDER BY rowid`
+      );
+    }
+    await db.runAsync('DELETE FROM sync_metadata');
+
+    await db.execAsync('COMMIT');
+  } catch (error) {
+    await db.execAsync('ROLLBACK');
+    throw new Error(`Restore failed, nothing was changed: ${error.message}`);
+  }
+
+  return { mode, dryRun, tables: plan, warnings };
+}
+
+/**
+ * File name for a backup made at a given time (sorts by time)
+ * @param {Date} [date]
+ */
+function backupFileName(date = new Date()) {
+  return `productionai-backup-${date.toISOString().replace(/:/g, '-').replace(/\.(\d{3})Z$/, '-$1Z')}.json`;
+}
+
+/**
+ * When a backup file was made, from its name
+ * @returns {Date|null} null for files that aren't backups
+ */
+function backupFileDate(fileName) {
+  const match = String(fileName).match(BACKUP_FILE_PATTERN);
+  if (!match) return null;
+  const [, date, hours, minutes, seconds, millis = '000'] = match;
+  const parsed = new Date(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`);
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Backup files to delete so that only the newest `keep` remain
+ * Files that don't look like backups are never returned.
+ * @param {string[]} fileNames
+ * @param {number} keep
+ * @returns {string[]}
+ */
+function backupsToRotate(fileNames, keep) {
+  const backups = fileNames.filter(name => backupFileDate(name)).sort().reverse();
+  return backups.slice(Math.max(1, keep));
+}
+
+/**
+ * Whether a scheduled backup is due
+ * @param {string|null} interval - BACKUP_INTERVAL_SETTING value
+ * @param {Date|null} lastBackupAt - Newest backup, or null when there is none
+ * @param {Date} [now]
+ */
+function isBackupDue(interval, lastBackupAt, now = new Date()) {
+  const period = BACKUP_INTERVALS[interval || DEFAULT_BACKUP_INTERVAL];
+  if (!period) return false;
+  return !lastBackupAt || now.getTime() - lastBackupAt.getTime() >= period;
+}
+
+/**
+ * Number of backups to keep for a BACKUP_KEEP_SETTING value
+ */
+function parseBackupKeep(value) {
+  const keep = parseInt(value, 10);
+  return keep > 0 ? keep : DEFAULT_BACKUP_KEEP;
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  BACKUP_TABLES,
+  BACKUP_INTERVAL_SETTING,
+  BACKUP_KEEP_SETTING,
+  BACKUP_INTERVALS,
+  DEFAULT_BACKUP_INTERVAL,
+  DEFAULT_BACKUP_KEEP,
+  createBackup,
+  verifyBackup,
+  restoreBackup,
+  backupFileName,
+  backupFileDate,
+  backupsToRotate,
+  isBackupDue,
+  parseBackupKeep,
+};
@@ -0,0 +1,271 @@
+/**
+ * Three-way merge of block trees
+ * Shared with the CLI (see lib/migrations.js).
+ *
+ * Sync uses this when a task description changed on this device and on another
+ * one since the last successful sync. Blocks are matched by their stable IDs
+ * (see lib/blocks-utils.js), so edits to different blocks both survive; edits to
+ * the same block are reported as conflicts.
+ */
+
+const { assignBlockIds, blocksToDescription, descriptionToBlocks } = require('./blocks-utils');
+
+// Parent key used for top-level blocks
+const ROOT = '';
+
+/**
+ * Merge two descriptions that were both edited from a common base
+ * @param {string|null} base - Description as of the last successful sync
+ * @param {string|null} local - Description on this device
+ * @param {string|null} remote - Description on the server
+ * @param {Object} [options]
+ * @param {'local'|'remote'} [options.prefer] - Side whose version wins for conflicting blocks (defaults to 'remote')
+ * @returns {{description: string|null, conflicts: Array}} Merged description and the conflicting blocks
+ */
+function mergeDescriptions(base, local, remote, { prefer = 'remote' } = {}) {
+  const baseText = base || '';
+  const localText = local || '';
+  const remoteText = remote || '';
+
+  if (localText === remoteText || remoteText === baseText) {
+    return { description: local ?? null, conflicts: [] };
+  }
+  if (localText === baseText) {
+    return { description: remote ?? null, conflicts: [] };
+  }
+
+  // Descriptions written before block IDs existed get the same derived IDs on
+  // every device; lines edited since are matched against the base by position
+  const baseBlocks = assignBlockIds(descriptionToBlocks(baseText));
+  const localBlocks = assignBlockIds(descriptionToBlocks(localText), baseBlocks);
+  const remoteBlocks = assignBlockIds(descriptionToBlocks(remoteText), baseBlocks);
+
+  const { blocks, conflicts } = mergeBlocks(baseBlocks, localBlocks, remoteBlocks, { prefer });
+  return { description: blocksToDescription(blocks), conflicts };
+}
+
+/**
+ * Merge two block trees that were both edited from a common base
+ * Every block must have an id (see assignBlockIds).
+ * - A block changed on one side only takes that side's version
+ * - A block changed differently on both sides is a conflict; the preferred side wins
+ * - A block deleted on one side stays deleted unless the other side changed it
+ *   (or something inside it), which is also a conflict
+ * - Order and nesting follow the side that changed them
+ * @param {Array} base - Block tree as of the last sync
+ * @param {Array} local - Block tree on this device
+ * @param {Array} remote - Block tree on the server
+ * @param {Object} [options]
+ * @param {'local'|'remote'} [options.prefer] - Side that wins conflicts (defaults to 'remote')
+ * @returns {{blocks: Array, conflicts: Array<{blockId: string, kind: 'edit'|'delete', base: Object|null, local: Object|null, remote: Object|null}>}}
+ */
+function mergeBlocks(base, local, remote, { prefer = 'remote' } = {}) {
+  const trees = {
+    base: indexTree(base),
+    local: indexTree(local),
+    remote: indexTree(remote),
+  };
+  const other = prefer === 'local' ? 'remote' : 'local';
+  const merged = new Map(); // id -> { block, parentId }
+  const conflicts = [];
+
+  const ids = new Set([...trees.local.index.keys(), ...trees.remote.index.keys()]);
+
+  for (const id of ids) {
+    const baseEntry = trees.base.index.get(id);
+    const localEntry = trees.local.index.get(id);
+    const remoteEntry = trees.remote.index.get(id);
+
+    if (!baseEntry) {
+      // Added on one side, or on both with the same derived ID
+      if (localEntry && remoteEntry && !sameBlock(localEntry.block, remoteEntry.block)) {
+        conflicts.push(conflictFor(id, 'edit', null, localEntry, remoteEntry));
+      }
+      const entry = (prefer === 'local' ? localEntry : remoteEntry) || localEntry || remoteEntry;
+      merged.set(id, { block: entry.block, parentId: entry.parentId });
+      continue;
+    }
+
+    if (!localEntry || !remoteEntry) {
+      // Deleted on one side: keep it only if the other side changed it
+      const keptSide = localEntry ? 'local' : 'remote';
+      const kept = localEntry || remoteEntry;
+      if (!subtreeChanged(id, trees.base, trees[keptSide])) continue;
+      // A toggle kept only for its changed children isn't a conflict itself
+      if (!sameBlock(kept.block, baseEntry.block)) {
+        conflicts.push(conflictFor(id, 'delete', baseEntry, localEntry, remoteEntry));
+      }
+      merged.set(id, { block: kept.block, parentId: kept.parentId });
+      continue;
+    }
+
+    const localChanged = !sameBlock(localEntry.block, baseEntry.block);
+    const remoteChanged = !sameBlock(remoteEntry.block, baseEntry.block);
+    let block = baseEntry.block;
+    if (localChanged && remoteChanged) {
+      if (!sameBlock(localEntry.block, remoteEntry.block)) {
+        conflicts.push(conflictFor(id, 'edit', baseEntry, localEntry, remoteEntry));
+      }
+      block = prefer === 'local' ? localEntry.block : remoteEntry.block;
+    } else if (localChanged) {
+      block = localEntry.block;
+    } else if (remoteChanged) {
+      block = remoteEntry.block;
+    }
+
+    merged.set(id, {
+      block,
+      parentId: pickChanged(baseEntry.parentId, localEntry.parentId, remoteEntry.parentId, prefer),
+    });
+  }
+
+  // Only toggles hold children: anything whose parent is gone (or no longer a
+  // toggle) moves up to the closest surviving toggle
+  const parentOf = (id) => {
+    if (merged.has(id)) return merged.get(id).parentId;
+    for (const side of ['local', 'remote', 'base']) {
+      const entry = trees[side].index.get(id);
+      if (entry) return entry.parentId;
+    }
+    return ROOT;
+  };
+  const children = new Map([[ROOT, []]]);
+  for (const [id, entry] of merged) {
+    const seen = new Set([id]);
+    let parentId = entry.parentId;
+    while (parentId !== ROOT && (!merged.has(parentId) || merged.get(parentId).block.type !== 'toggle')) {
+      if (seen.has(parentId)) {
+        parentId = ROOT;
+        break;
+      }
+      seen.add(parentId);
+      parentId = parentOf(parentId);
+    }
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(id);
+  }
+
+  const build = (parentId) => orderSiblings(parentId, children.get(parentId) || [], trees, prefer, other)
+    .map((id) => {
+      const { block } = merged.get(id);
+      const result = { type: block.type, content: block.content, id };
+      if (block.type === 'check') {
+        result.checked = !!block.checked;
+      }
+      if (block.type === 'toggle') {
+        result.isOpen = !!block.isOpen;
+        result.children = build(id);
+      }
+      return result;
+    });
+
+  return { blocks: build(ROOT), conflicts };
+}
+
+/**
+ * Index a block tree by ID, remembering each block's parent and sibling order
+ */
+function indexTree(blocks) {
+  const index = new Map();
+  const order = new Map();
+  const walk = (list, parentId) => {
+    order.set(parentId, list.map(block => block.id));
+    for (const block of list) {
+      index.set(block.id, { block, parentId });
+      if (Array.isArray(block.children)) walk(block.children, block.id);
+    }
+  };
+  walk(blocks || [], ROOT);
+  return { index, order };
+}
+
+function sameBlock(a, b) {
+  return a.type === b.type
+    && a.content === b.content
+    && (a.type !== 'check' || !!a.checked === !!b.checked);
+}
+
+/**
+ * Three-way pick of a single value: whichever side changed it wins
+ */
+function pickChanged(base, local, remote, prefer) {
+  if (local === base) return remote;
+  if (remote === base) return local;
+  return prefer === 'local' ? local : remote;
+}
+
+/**
+ * Whether a block or anything nested in it differs between base and one side
+ */
+function subtreeChanged(id, baseTree, sideTree) {
+  const entry = sideTree.index.get(id);
+  const baseEntry = baseTree.index.get(id);
+  if (!baseEntry || !sameBlock(entry.block, baseEntry.block)) return true;
+  return (sideTree.order.get(id) || []).some(childId => subtreeChanged(childId, baseTree, sideTree));
+}
+
+/**
+ * Order the merged children of one parent
+ * Starts from the side that reordered them (the preferred side if both did)
+ * and slots in blocks that only the other side has after their previous sibling.
+ */
+function orderSiblings(parentId, ids, trees, prefer, other) {
+  const members = new Set(ids);
+  const baseOrder = trees.base.order.get(parentId) || [];
+  const sideOrder = (side) => trees[side].order.get(parentId) || [];
+
+  const primary = reordered(sideOrder(prefer), baseOrder) || !reordered(sideOrder(other), baseOrder)
+    ? prefer
+    : other;
+  const secondary = primary === prefer ? other : prefer;
+
+  const sequence = sideOrder(primary).filter(id => members.has(id));
+  for (const side of [secondary, 'base']) {
+    const list = sideOrder(side);
+    list.forEach((id, position) => {
+      if (!members.has(id) || sequence.includes(id)) return;
+      let at = 0;
+      for (let i = position - 1; i >= 0; i--) {
+        const previous = sequence.indexOf(list[i]);
+        if (previous !== -1) {
+          at = previous + 1;
+          break;
+        }
+      }
+      sequence.splice(at, 0, id);
+    });
+  }
+
+  // Blocks moved here from a parent that disappeared go last
+  for (const id of ids) {
+    if (!sequence.includes(id)) sequence.push(id);
+  }
+  return sequence;
+}
+
+/**
+ * Whether the blocks a side shares with the base are in a different order
+ */
+function reordered(sideOrder, baseOrder) {
+  const common = sideOrder.filter(id => baseOrder.includes(id));
+  const baseCommon = baseOrder.filter(id => sideOrder.includes(id));
+  return common.some((id, i) => id !== baseCommon[i]);
+}
+
+function conflictFor(blockId, kind, baseEntry, localEntry, remoteEntry) {
+  const snapshot = (entry) => entry
+    ? { type: entry.block.type, content: entry.block.content, checked: !!entry.block.checked }
+    : null;
+  return {
+    blockId,
+    kind,
+    base: snapshot(baseEntry),
+    local: snapshot(localEntry),
+    remote: snapshot(remoteEntry),
+  };
+}
+
+module.exports = {
+  mergeDescriptions,
+  mergeBlocks
+};
@@ -1,13 +1,22 @@
 /**
  * Utility functions for working with blocks stored in task descriptions
+ * Shared with the CLI (see lib/migrations.js).
+ *
+ * Every block can carry a stable ID, stored as a trailing " ^id" marker on its
+ * line (e.g. "- [ ] Buy milk ^k3x9q2ab"). IDs let sync merge concurrent edits
+ * block by block (see lib/block-merge.js). Empty spacer lines never carry one.
  */
 
+// Trailing " ^id" marker; IDs are 8 lowercase letters/digits
+const BLOCK_ID_SUFFIX = / \^([a-z0-9]{8})$/;
+const BLOCK_ID_LENGTH = 8;
+
 /**
  * Parse task.description (newline-separated text format) to blocks array
  * @param {string|null|undefined} description - The task description (newline-separated text)
  * @returns {Array} Array of block objects
  */
-export function descriptionToBlocks(description) {
+function descriptionToBlocks(description) {
   if (!description || description.trim() === '') return [];
   
   // Use customTextToJson to parse newline-separated format
@@ -19,7 +28,7 @@ export function descriptionToBlocks(description) {
  * @param {Array} blocks - Array of block objects (can be nested)
  * @returns {string} Text with newlines separating blocks (or empty string if no blocks)
  */
-export function blocksToDescription(blocks) {
+function blocksToDescription(blocks) {
   if (!Array.isArray(blocks) || blocks.length === 0) {
     return ''; // Empty string for no blocks
   }
@@ -39,7 +48,7 @@ export function blocksToDescription(blocks) {
         // Validate toggle block
         if (typeof block.content !== 'string') continue;
         // Toggle header with indentation
-        lines.push(`${indent}> ${block.content}`);
+        lines.push(`${indent}> ${block.content}${idSuffix(block)}`);
         // Recursively process children
         if (block.children && Array.isArray(block.children) && block.children.length > 0) {
           lines.push(...blocksToLines(block.children, indentLevel + 1));
@@ -48,11 +57,11 @@ export function blocksToDescription(blocks) {
         // Check block
         if (typeof block.content !== 'string') continue;
         const checkbox = block.checked ? '[x]' : '[ ]';
-        lines.push(`${indent}- ${checkbox} ${block.content}`);
+        lines.push(`${indent}- ${checkbox} ${block.content}${idSuffix(block)}`);
       } else if (block.type === 'block') {
         // Regular block with indentation
         if (typeof block.content !== 'string') continue;
-        lines.push(`${indent}${block.content}`);
+        lines.push(`${indent}${block.content}${block.content ? idSuffix(block) : ''}`);
       }
     }
     
@@ -65,12 +74,153 @@ export function blocksToDescription(blocks) {
 
 /**
  * Convert description to text format (for editing as text)
+ * Block IDs are left out; saving through updateTask gives the lines their IDs back.
  * @param {string} description - Newline-separated format from task.description
- * @returns {string} Text with newlines (same format, just returns as-is)
+ * @returns {string} Text with newlines (same format, without block IDs)
+ */
+function descriptionToText(description) {
+  return stripBlockIds(description || '');
+}
+
+/**
+ * Remove block ID markers from a description (for display and plain-text editing)
+ * @param {string|null|undefined} description - The task description
+ * @returns {string|null|undefined} The description without " ^id" markers
+ */
+function stripBlockIds(description) {
+  if (!description) return description;
+  return description
+    .split('\n')
+    .map(line => line.replace(BLOCK_ID_SUFFIX, ''))
+    .join('\n');
+}
+
+/**
+ * Give every block in a tree a stable ID
+ * Blocks that already have a (unique) ID keep it. The others inherit the ID of
+ * the matching block in previousBlocks - first by identical type and content,
+ * then by position - so re-parsed text and editor state keep the IDs that are
+ * already stored. Anything left gets a new ID derived from its content, which
+ * makes the IDs of legacy descriptions the same on every device.
+ * @param {Array} blocks - Block tree (not modified)
+ * @param {Array} [previousBlocks] - Block tree the new one was edited from
+ * @returns {Array} Copy of the tree where every block has an id
+ */
+function assignBlockIds(blocks, previousBlocks = []) {
+  if (!Array.isArray(blocks)) return [];
+
+  const previous = flattenBlocks(
+    previousBlocks.length > 0 && !everyBlockHasId(previousBlocks)
+      ? assignBlockIds(previousBlocks)
+      : previousBlocks
+  );
+  const used = new Set();
+
+  // Copy the tree, keeping explicit IDs unless they are duplicated
+  const copyTree = (list) => list.map((block) => {
+    const copy = { ...block };
+    if (copy.id && !used.has(copy.id)) {
+      used.add(copy.id);
+    } else {
+      delete copy.id;
+    }
+    if (Array.isArray(block.children)) {
+      copy.children = copyTree(block.children);
+    }
+    return copy;
+  });
+  const result = copyTree(blocks);
+  const flat = flattenBlocks(result);
+  const available = previous.filter(block => !used.has(block.id));
+
+  const take = (block, candidate) => {
+    block.id = candidate.id;
+    used.add(candidate.id);
+    available.splice(available.indexOf(candidate), 1);
+  };
+
+  // Unchanged blocks (possibly moved)
+  for (const block of flat) {
+    if (block.id) continue;
+    const candidate = available.find(prev => prev.type === block.type && prev.content === block.content);
+    if (candidate) take(block, candidate);
+  }
+
+  // Edited blocks keep the ID of the block that was at the same position
+  flat.forEach((block, position) => {
+    if (block.id) return;
+    const candidate = previous[position];
+    if (candidate && available.includes(candidate)) take(block, candidate);
+  });
+
+  // New blocks
+  for (const block of flat) {
+    if (block.id) continue;
+    let occurrence = 0;
+    let id = deriveBlockId(block, occurrence);
+    while (used.has(id)) {
+      occurrence += 1;
+      id = deriveBlockId(block, occurrence);
+    }
+    block.id = id;
+    used.add(id);
+  }
+
+  return result;
+}
+
+/**
+ * Make sure every block of a description has a stable ID before it is stored
+ * @param {string|null|undefined} description - The new description
+ * @param {string|null|undefined} [previousDescription] - The description it replaces
+ * @returns {string|null|undefined} The description with " ^id" markers
+ */
+function ensureBlockIds(description, previousDescription = null) {
+  if (!description || description.trim() === '') return description;
+  const blocks = assignBlockIds(descriptionToBlocks(description), descriptionToBlocks(previousDescription));
+  return blocksToDescription(blocks);
+}
+
+/**
+ * Flatten a block tree in document order
+ * @param {Array} blocks - Block tree
+ * @returns {Array} The blocks themselves (not copies), parents before their children
+ */
+function flattenBlocks(blocks) {
+  const flat = [];
+  const walk = (list) => {
+    for (const block of list) {
+      flat.push(block);
+      if (Array.isArray(block.children)) walk(block.children);
+    }
+  };
+  walk(blocks || []);
+  return flat;
+}
+
+function everyBlockHasId(blocks) {
+  return flattenBlocks(blocks).every(block => block.id);
+}
+
+function idSuffix(block) {
+  return block.id ? ` ^${block.id}` : '';
+}
+
+/**
+ * Derive a block ID from its type and content (FNV-1a, two seeds, base 36)
  */
-export function descriptionToText(description) {
-  // Description is already in newline-separated format, just return it
-  return description || '';
+function deriveBlockId(block, occurrence) {
+  const key = `${block.type}:${block.content}:${occurrence}`;
+  const hash = (seed) => {
+    let h = seed;
+    for (let i = 0; i < key.length; i++) {
+      h ^= key.charCodeAt(i);
+      h = Math.imul(h, 16777619);
+    }
+    return (h >>> 0).toString(36).padStart(7, '0');
+  };
+  const half = BLOCK_ID_LENGTH / 2;
+  return hash(0x811c9dc5).slice(-half) + hash(0x01000193).slice(-half);
 }
 
 /**
@@ -79,7 +229,7 @@ export function descriptionToText(description) {
  * @param {string} text - Text to parse (newline-separated with optional indentation)
  * @returns {Array} Array of block objects (can be nested)
  */
-export function customTextToJson(text) {
+function customTextToJson(text) {
   // Verify that input is a string
   if (typeof text !== 'string') return [];
 
@@ -97,7 +247,14 @@ export function customTextToJson(text) {
     const indentLevel = Math.floor(indent / 2);
     
     // Trim the line but preserve the original for content extraction
-    const trimmed = line.trim();
+    let trimmed = line.trim();
+
+    // Split off the block ID marker, if any
+    const idMatch = trimmed.match(BLOCK_ID_SUFFIX);
+    const blockId = idMatch ? idMatch[1] : null;
+    if (idMatch) {
+      trimmed = trimmed.slice(0, idMatch.index);
+    }
     
     // Pop from stack until we find the correct parent level
     while (stack.length > 0 && stack[stack.length - 1].indentLevel >= indentLevel) {
@@ -109,7 +266,7 @@ export function customTextToJson(text) {
     const targetArray = parent ? (parent.children || (parent.children = [])) : result;
     
     // Handle empty lines - preserve them as empty blocks
-    if (trimmed.length === 0) {
+    if (trimmed.trim().length === 0) {
       // Create an empty block at the current indentation level
       const emptyBlock = {
         type: 'block',
@@ -138,6 +295,7 @@ export function customTextToJson(text) {
         isOpen: false, // Default to closed state
         children: [] // Initialize children array
       };
+      if (blockId) toggleBlock.id = blockId;
       
       targetArray.push(toggleBlock);
       
@@ -154,14 +312,16 @@ export function customTextToJson(text) {
         content: checkContent,
         checked: checked
       };
+      if (blockId) checkBlock.id = blockId;
       
       targetArray.push(checkBlock);
     } else {
       // Regular block - use trimmed content
       const block = {
         type: 'block',
-        content: trimmed
+        content: trimmed.trim()
       };
+      if (blockId) block.id = blockId;
       
       targetArray.push(block);
     }
@@ -170,3 +330,14 @@ export function customTextToJson(text) {
   return result;
 }
 
+
+module.exports = {
+  descriptionToBlocks,
+  blocksToDescription,
+  descriptionToText,
+  stripBlockIds,
+  assignBlockIds,
+  ensureBlockIds,
+  flattenBlocks,
+  customTextToJson
+};
@@ -1,46 +1,50 @@
-import Constants from 'expo-constants';
-import { executeTool, getToolsForClaude } from './tools.js';
+import { getAIChatSettings, getProviderClient } from './llm/providers.js';
+import { executeTool, getToolsForClaude, isMutatingTool, previewToolCall } from './tools.js';
 
-// Claude API configuration
-const claudeApiKey = Constants.expoConfig?.extra?.claudeApiKey || process.env.EXPO_PUBLIC_CLAUDE_API_KEY;
-
-if (!claudeApiKey) {
-  console.warn('⚠️ Claude API key not found in configuration');
-  console.warn('📋 Please add claudeApiKey to app.json extra section or set EXPO_PUBLIC_CLAUDE_API_KEY environment variable');
+// Said instead of a reply when the chat has used up its token budget (Settings → AI Chat)
+function budgetReachedText(usedTokens, tokenBudget, toolsUsed) {
+  return `This chat has used ${usedTokens.toLocaleString()} of its ${tokenBudget.toLocaleString()} token budget, so I stopped here.${toolsUsed ? ' Anything I already changed stays changed.' : ''} You can raise the budget in Settings → AI Chat, or start a new chat.`;
 }
 
-const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
-const MAX_TOOL_ITERATIONS = 5; // Prevent infinite loops
-
-/**
- * Masks an API key for safe logging
- * Shows first 4 and last 4 characters, masks the middle
- * @param {string} apiKey - The API key to mask
- * @returns {string} Masked API key
- */
-function maskApiKey(apiKey) {
-  if (!apiKey || apiKey.length < 8) return '***';
-  const start = apiKey.substring(0, 4);
-  const end = apiKey.substring(apiKey.length - 4);
-  return `${start}***${end}`;
+// Said when a reply is still using tools after the most rounds one reply may take
+function iterationLimitText(maxToolIterations) {
+  return `I stopped after ${maxToolIterations} rounds of tool use, the limit for one reply, so this may not be finished. Ask me to continue, or raise the limit in Settings → AI Chat.`;
 }
 
 /**
- * Sends a message to Claude API and returns the response
- * Handles tool use by executing tools and sending results back
+ * Sends a message to the AI chat's model and returns the response
+ * Handles tool use by executing tools and sending results back. Despite the name,
+ * the request goes to the provider and model chosen for the chat, or in Settings → AI Chat
+ * (lib/llm/providers.js); messages and tools stay in Claude's format throughout.
  * @param {string} message - The user's message
  * @param {Array} conversationHistory - Previous messages in the conversation
  * @param {string} systemMessage - Optional system message to send to Claude
  * @param {boolean} toolsDisabled - If true, disables tool usage for this request
- * @param {function} onToolUpdate - Optional callback for tool usage updates (name, status)
- * @returns {Promise<{text: string, error?: string}>}
+ * @param {function} onToolUpdate - Optional callback for tool usage updates (name, status, id);
+ *   status is 'requested' (streaming only, while Claude is still writing the call),
+ *   'awaiting_approval', 'rejected', 'running' or 'completed'
+ * @param {Object} options - Optional streaming and approval settings
+ * @param {function} options.onTextDelta - Stream the reply: called with (delta, text) as text arrives.
+ *   text restarts after each round of tool use, so it always matches the reply being written
+ * @param {AbortSignal} options.signal - Cancels the request; the text received so far is returned
+ * @param {function} options.confirmToolCall - Asks the user before a mutating tool runs: called with
+ *   { id, name, input, preview } (see previewToolCall in lib/tools.js), resolves to true to run it.
+ *   Without it, every tool runs straight away
+ * @param {number} options.usedTokens - Tokens the chat has already used, checked against the token budget
+ * @param {Object} options.session - The chat session, for the provider and model it picked
+ * @returns {Promise<{text: string, error?: string, cancelled?: boolean, budgetReached?: boolean, usage: {input_tokens: number, output_tokens: number}}>}
+ *   usage counts every request this reply made
  */
-export async function sendMessageToClaude(message, conversationHistory = [], systemMessage = null, toolsDisabled = false, onToolUpdate = null) {
-  if (!claudeApiKey) {
-    return { text: '', error: 'Claude API key is not configured. Please add it to app.json.' };
-  }
+export async function sendMessageToClaude(message, conversationHistory = [], systemMessage = null, toolsDisabled = false, onToolUpdate = null, options = {}) {
+  const { onTextDelta = null, signal = null, confirmToolCall = null, usedTokens = 0, session = null } = options;
+  // Text of the reply being streamed, returned if the request is cancelled
+  let streamedText = '';
+  const usage = { input_tokens: 0, output_tokens: 0 };
 
   try {
+    const config = await getAIChatSettings(session);
+    const client = getProviderClient(config.provider);
+
     // Get available tools
     const tools = getToolsForClaude();
     
@@ -61,79 +65,41 @@ export async function sendMessageToClaude(message, conversationHistory = [], sys
     let iterations = 0;
     let finalResponse = null;
 
-    while (iterations < MAX_TOOL_ITERATIONS) {
-      iterations++;
-
-      // Make API request
-      const requestBody = {
-        model: 'claude-sonnet-4-5',
-        max_tokens: 1024,
-        messages: messages,
-      };
-
-      // Add system message if provided
-      if (systemMessage) {
-        requestBody.system = systemMessage;
-      }
-
-      // Only add tools if we have any AND tools are not disabled
-      if (tools.length > 0 && !toolsDisabled) {
-        requestBody.tools = tools;
+    while (iterations < config.maxToolIterations) {
+      // Checked before every request, so a round of tool use can't run far past the budget
+      const totalTokens = usedTokens + usage.input_tokens + usage.output_tokens;
+      if (config.tokenBudget && totalTokens >= config.tokenBudget) {
+        console.log(`💰 Token budget reached: ${totalTokens} of ${config.tokenBudget}`);
+        return { text: budgetReachedText(totalTokens, config.tokenBudget, iterations > 0), error: null, budgetReached: true, usage };
       }
 
-      // Log request details before sending
-      const maskedHeaders = {
-        'Content-Type': 'application/json',
-        'x-api-key': maskApiKey(claudeApiKey),
-        'anthropic-version': '2023-06-01',
-      };
+      iterations++;
+      streamedText = '';
 
-      // Simplify tool logging for better readability
+      // Only send tools if we have any AND tools are not disabled
+      const requestTools = tools.length > 0 && !toolsDisabled ? tools : [];
       const toolsLog = tools.length > 0 
         ? tools.map(t => t.name).join(', ') 
         : 'None';
-
-      const requestBodyLog = {
-        ...requestBody,
-        // Replace full tools array with simplified names if present
-        ...(requestBody.tools ? { tools: `[${requestBody.tools.map(t => t.name).join(', ')}] (${requestBody.tools.length} tools)` } : {})
-      };
-
-      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-      console.log('📤 Claude API Request');
-      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       console.log(`Iteration: ${iterations}${iterations === 1 ? ' (Initial)' : ' (Tool Follow-up)'}`);
-      console.log(`URL: ${CLAUDE_API_URL}`);
-      console.log(`Method: POST`);
-      console.log('Headers:', maskedHeaders);
-      console.log('Request Body:', JSON.stringify(requestBodyLog, null, 2));
-      console.log(`Context: ${tools.length} tools available [${toolsLog}], ${toolsDisabled ? 'disabled' : 'enabled'}, ${messages.length} messages in conversation`);
-      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-
-      const response = await fetch(CLAUDE_API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': claudeApiKey,
-          'anthropic-version': '2023-06-01',
-        },
-        body: JSON.stringify(requestBody),
+      console.log(`Context: ${config.provider} ${config.model} (max ${config.maxTokens} tokens, round ${iterations} of ${config.maxToolIterations}), ${tools.length} tools available [${toolsLog}], ${toolsDisabled ? 'disabled' : 'enabled'}, ${messages.length} messages in conversation`);
+
+      const data = await client.createMessage({
+        config,
+        system: systemMessage,
+        messages,
+        tools: requestTools,
+        onTextDelta: onTextDelta
+          ? (delta, text) => {
+              streamedText = text;
+              onTextDelta(delta, text);
+            }
+          : null,
+        onToolUpdate,
+        signal,
       });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        console.error('Claude API Error:', errorData);
-        
-        if (response.status === 401) {
-          return { text: '', error: 'Invalid API key. Please check your Claude API key.' };
-        } else if (response.status === 429) {
-          return { text: '', error: 'Rate limit exceeded. Please try again later.' };
-        } else {
-          return { text: '', error: `API Error: ${errorData.error?.message || response.statusText}` };
-        }
-      }
-
-      const data = await response.json();
+      usage.input_tokens += data.usage?.input_tokens || 0;
+      usage.output_tokens += data.usage?.output_tokens || 0;
       
       // Check if Claude wants to use tools
       const toolUseBlocks = data.content?.filter(item => item.type === 'tool_use') || [];
@@ -152,7 +118,36 @@ export async function sendMessageToClaude(message, conversationHistory = [], sys
         // Execute all requested tools
         const toolResults = [];
         for (const toolUse of toolUseBlocks) {
+          // Don't start more changes once the user has cancelled
+          if (signal?.aborted) {
+            break;
+          }
           try {
+            // Changes wait for the user's approval; a rejection is reported back to Claude
+            if (confirmToolCall && isMutatingTool(toolUse.name)) {
+              if (onToolUpdate) {
+                onToolUpdate(toolUse.name, 'awaiting_approval', toolUse.id);
+              }
+              const preview = await previewToolCall(toolUse.name, toolUse.input);
+              const approved = await confirmToolCall({ id: toolUse.id, name: toolUse.name, input: toolUse.input, preview });
+              if (signal?.aborted) {
+                break;
+              }
+              if (!approved) {
+                console.log(`🚫 Tool "${toolUse.name}" rejected by the user`);
+                if (onToolUpdate) {
+                  onToolUpdate(toolUse.name, 'rejected', toolUse.id);
+                }
+                toolResults.push({
+                  type: 'tool_result',
+                  tool_use_id: toolUse.id,
+                  is_error: true,
+                  content: JSON.stringify({ error: 'The user rejected this change, so it was not made. Do not try it again unless the user asks.' }),
+                });
+                continue;
+              }
+            }
+
             if (onToolUpdate) {
               onToolUpdate(toolUse.name, 'running', toolUse.id);
             }
@@ -179,6 +174,11 @@ export async function sendMessageToClaude(message, conversationHistory = [], sys
           }
         }
 
+        if (signal?.aborted) {
+          console.log('⏹️ Claude request cancelled between tool calls');
+          return { text: '', error: null, cancelled: true, usage };
+        }
+
         // Add tool results as user message (following Claude's API pattern)
         messages.push({
           role: 'user',
@@ -194,16 +194,22 @@ export async function sendMessageToClaude(message, conversationHistory = [], sys
       break;
     }
 
-    if (iterations >= MAX_TOOL_ITERATIONS) {
+    if (finalResponse === null) {
       console.warn('⚠️ Maximum tool iterations reached');
+      return { text: iterationLimitText(config.maxToolIterations), error: null, usage };
     }
 
-    return { text: finalResponse || 'No response generated.', error: null };
+    return { text: finalResponse, error: null, usage };
   } catch (error) {
-    console.error('Error calling Claude API:', error);
+    if (signal?.aborted) {
+      console.log('⏹️ Claude request cancelled');
+      return { text: streamedText, error: null, cancelled: true, usage };
+    }
+    console.error('Error calling the AI provider:', error);
     return { 
       text: '', 
-      error: error.message || 'Failed to connect to Claude API. Please check your internet connection.' 
+      error: error.message || 'Failed to connect to the AI provider. Please check your internet connection.',
+      usage,
     };
   }
 }
@@ -1,5 +1,7 @@
 import * as FileSystem from 'expo-file-system/legacy';
 import * as SQLite from 'expo-sqlite';
+import { migrate } from './migrations.js';
+import { descriptionToSearchText } from './search-utils.js';
 
 let db;
 let initPromise = null;
@@ -51,37 +53,21 @@ export async function initDatabase() {
 }
 
 /**
- * Helper function to check if a column exists in a table
+ * Index existing tasks for full-text search if the index is empty
  */
-async function columnExists(db, tableName, columnName) {
-  try {
-    await db.getFirstAsync(`SELECT ${columnName} FROM ${tableName} LIMIT 1`);
-    return true;
-  } catch (error) {
-    return false;
+async function backfillSearchIndex(db) {
+  const indexed = await db.getFirstAsync('SELECT COUNT(*) as count FROM tasks_fts');
+  if (indexed.count > 0) return;
+
+  const existingTasks = await db.getAllAsync('SELECT id, title, description FROM tasks WHERE deleted_at IS NULL');
+  for (const task of existingTasks) {
+    await db.runAsync(
+      'INSERT INTO tasks_fts (rowid, title, body) VALUES (?, ?, ?)',
+      [task.id, task.title || '', descriptionToSearchText(task.description)]
+    );
   }
-}
-
-/**
- * Helper function to add missing columns to existing tables
- */
-async function addMissingColumns(db, tableName, columns) {
-  for (const column of columns) {
-    try {
-      // Check if column already exists before trying to add it
-      const exists = await columnExists(db, tableName, column.name);
-      
-      if (!exists) {
-        await db.runAsync(
-          `ALTER TABLE ${tableName} ADD COLUMN ${column.name} ${column.type}`
-        );
-        console.log(`✅ Added column ${column.name} to ${tableName}`);
-      } else {
-        console.log(`ℹ️ Column ${column.name} already exists in ${tableName}`);
-      }
-    } catch (error) {
-      console.log(`⚠️ Could not add column ${column.name} to ${tableName}:`, error.message);
-    }
+  if (existingTasks.length > 0) {
+    console.log(`✅ Search index created with ${existingTasks.length} tasks`);
   }
 }
 
@@ -104,230 +90,16 @@ async function _initDatabase() {
     // Enable foreign key constraints
     await db.execAsync('PRAGMA foreign_keys = ON;');
 
-    // Create projects table
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS projects (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        default_section_id INTEGER,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        sync_status TEXT DEFAULT 'pending',
-        deleted_at DATETIME,
-        FOREIGN KEY (default_section_id) REFERENCES sections(id)
-      );
-    `);
-    
-    // Try to add missing columns to projects table for existing databases
-    await addMissingColumns(db, 'projects', [
-      { name: 'updated_at', type: 'DATETIME DEFAULT CURRENT_TIMESTAMP' },
-      { name: 'sync_status', type: 'TEXT DEFAULT "pending"' },
-      { name: 'deleted_at', type: 'DATETIME' },
-      { name: 'default_section_id', type: 'INTEGER' }
-    ]);
-
-    // Create sections table (before tasks, since tasks references sections)
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS sections (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        project_id INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        sync_status TEXT DEFAULT 'pending',
-        deleted_at DATETIME,
-        FOREIGN KEY (project_id) REFERENCES projects(id)
-      );
-    `);
-    
-    // Try to add missing columns to sections table for existing databases
-    await addMissingColumns(db, 'sections', [
-      { name: 'updated_at', type: 'DATETIME DEFAULT CURRENT_TIMESTAMP' },
-      { name: 'sync_status', type: 'TEXT DEFAULT "pending"' },
-      { name: 'deleted_at', type: 'DATETIME' }
-    ]);
-
-    // Create tasks table
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS tasks (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        project_id INTEGER NOT NULL,
-        section_id INTEGER,
-        parent_id INTEGER,
-        title TEXT NOT NULL,
-        description TEXT,
-        completed INTEGER DEFAULT 0,
-        is_expanded INTEGER DEFAULT 0,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        sync_status TEXT DEFAULT 'pending',
-        deleted_at DATETIME,
-        FOREIGN KEY (project_id) REFERENCES projects(id),
-        FOREIGN KEY (section_id) REFERENCES sections(id),
-        FOREIGN KEY (parent_id) REFERENCES tasks(id)
-      );
-    `);
-    
-    // Try to add missing columns to tasks table for existing databases
-    await addMissingColumns(db, 'tasks', [
-      { name: 'completed', type: 'INTEGER DEFAULT 0' },
-      { name: 'updated_at', type: 'DATETIME DEFAULT CURRENT_TIMESTAMP' },
-      { name: 'sync_status', type: 'TEXT DEFAULT "pending"' },
-      { name: 'deleted_at', type: 'DATETIME' },
-      { name: 'section_id', type: 'INTEGER' },
-      { name: 'parent_id', type: 'INTEGER' },
-      { name: 'is_expanded', type: 'INTEGER DEFAULT 0' }
-    ]);
-
-    // Create tags table
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS tags (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        sync_status TEXT DEFAULT 'pending',
-        deleted_at DATETIME
-      );
-    `);
-    
-    // Try to add missing columns to tags table for existing databases
-    // Note: We cannot use DEFAULT CURRENT_TIMESTAMP with ALTER TABLE in some SQLite versions
-    await addMissingColumns(db, 'tags', [
-      { name: 'created_at', type: 'DATETIME' },
-      { name: 'updated_at', type: 'DATETIME DEFAULT CURRENT_TIMESTAMP' },
-      { name: 'sync_status', type: 'TEXT DEFAULT "pending"' },
-      { name: 'deleted_at', type: 'DATETIME' }
-    ]);
-
-    // Create settings table
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS settings (
-        key TEXT PRIMARY KEY,
-        value TEXT,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Create task_tags table (many-to-many)
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS task_tags (
-        task_id INTEGER NOT NULL,
-        tag_id INTEGER NOT NULL,
-        PRIMARY KEY (task_id, tag_id),
-        FOREIGN KEY (task_id) REFERENCES tasks(id),
-        FOREIGN KEY (tag_id) REFERENCES tags(id)
-      );
-    `);
-
-    // Create sync metadata tables
-    try {
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS sync_metadata (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          table_name TEXT NOT NULL,
-          record_id INTEGER NOT NULL,
-          last_modified DATETIME DEFAULT CURRENT_TIMESTAMP,
-          sync_status TEXT DEFAULT 'pending',
-          supabase_id TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          UNIQUE(table_name, record_id)
-        )
-      `);
-
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS sync_log (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          sync_type TEXT NOT NULL,
-          status TEXT NOT NULL,
-          message TEXT,
-          records_synced INTEGER DEFAULT 0,
-          error_details TEXT,
-          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          completed_at DATETIME
-        )
-      `);
-    } catch (syncTableError) {
-      console.error('Error creating sync tables:', syncTableError);
-      // Continue without sync tables for now
+    // Bring the schema up to date (shared with the CLI, see lib/migrations.js)
+    const migration = await migrate(db);
+    if (migration.migrations.length > 0) {
+      console.log(`✅ Schema migrated from version ${migration.fromVersion} to ${migration.toVersion}`);
+    } else {
+      console.log(`ℹ️ Schema is up to date (version ${migration.fromVersion})`);
     }
 
-    // Create chat tables
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS chat_sessions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        title TEXT,
-        context_task_id INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (context_task_id) REFERENCES tasks(id)
-      );
-    `);
-
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS chat_messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        session_id INTEGER NOT NULL,
-        role TEXT NOT NULL,
-        content TEXT NOT NULL,
-        is_error INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (session_id) REFERENCES chat_sessions(id) ON DELETE CASCADE
-      );
-    `);
-
-    // Create filters table
-    console.log('Creating filters tables...');
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS filters (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        icon TEXT DEFAULT 'filter-outline',
-        color TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        sync_status TEXT DEFAULT 'pending',
-        deleted_at DATETIME
-      );
-    `);
-    console.log('✅ Filters table created');
-
-    // Create filter_tags table (many-to-many relationship)
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS filter_tags (
-        filter_id INTEGER NOT NULL,
-        tag_id INTEGER NOT NULL,
-        PRIMARY KEY (filter_id, tag_id),
-        FOREIGN KEY (filter_id) REFERENCES filters(id) ON DELETE CASCADE,
-        FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
-      );
-    `);
-    console.log('✅ Filter_tags table created');
-
-    // Create filter_projects table (many-to-many relationship)
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS filter_projects (
-        filter_id INTEGER NOT NULL,
-        project_id INTEGER NOT NULL,
-        PRIMARY KEY (filter_id, project_id),
-        FOREIGN KEY (filter_id) REFERENCES filters(id) ON DELETE CASCADE,
-        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
-      );
-    `);
-    console.log('✅ Filter_projects table created');
-
-    // Create indexes for filter relationships (for performance)
-    await db.execAsync(`
-      CREATE INDEX IF NOT EXISTS idx_filter_tags_filter_id ON filter_tags(filter_id);
-    `);
-    await db.execAsync(`
-      CREATE INDEX IF NOT EXISTS idx_filter_tags_tag_id ON filter_tags(tag_id);
-    `);
-    await db.execAsync(`
-      CREATE INDEX IF NOT EXISTS idx_filter_projects_filter_id ON filter_projects(filter_id);
-    `);
-    await db.execAsync(`
-      CREATE INDEX IF NOT EXISTS idx_filter_projects_project_id ON filter_projects(project_id);
-    `);
-    console.log('✅ Filter indexes created');
+    // Populate the search index the first time it exists (rows are maintained by the task repository)
+    await backfillSearchIndex(db);
 
     // Ensure Inbox project exists (required for app functionality)
     // But don't create any sample data - start with a blank slate
@@ -466,3 +238,30 @@ export async function withRetry(operation, maxRetries = 3) {
   }
   throw lastError;
 }
+
+/**
+ * Execute a multi-step write in one transaction, with retry
+ * Every attempt commits all of its steps or none: a failed step rolls back the
+ * ones before it, so a retry never repeats a write that already went through
+ * (a second task row, outbox entry or history row). Steps must not retry on
+ * their own (use getDb(), not withRetry, inside).
+ * @param {Function} operation - Runs the steps; its result is returned
+ */
+export async function withTransaction(operation, maxRetries = 3) {
+  return await withRetry(async () => {
+    const database = getDb();
+    await database.execAsync('BEGIN');
+    try {
+      const result = await operation();
+      await database.execAsync('COMMIT');
+      return result;
+    } catch (error) {
+      try {
+        await database.execAsync('ROLLBACK');
+      } catch (rollbackError) {
+        console.log('Rollback failed:', rollbackError.message);
+      }
+      throw error;
+    }
+  }, maxRetries);
+}
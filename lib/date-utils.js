@@ -0,0 +1,85 @@
+/**
+ * Utility functions for date-driven task views (Today, Upcoming)
+ * Shared with the CLI (see lib/migrations.js).
+ * All day boundaries are computed in local time.
+ */
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Local midnight of the given date
+ * @param {Date} [date] - Reference date (defaults to now)
+ * @returns {Date} New date at 00:00 local time
+ */
+function startOfDay(date = new Date()) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Add whole days to a date, keeping the local time of day
+ * @param {Date} date - Reference date
+ * @param {number} days - Number of days to add (can be negative)
+ * @returns {Date} New date
+ */
+function addDays(date, days) {
+  const result = new Date(date.getTime());
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Local calendar day of a date as YYYY-MM-DD
+ * @param {Date|string} date - Date or ISO string
+ * @returns {string|null} Day key, or null if the date is invalid
+ */
+function toDateKey(date) {
+  const d = date instanceof Date ? date : new Date(date);
+  if (isNaN(d.getTime())) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Human label for a day key: "Today", "Tomorrow" or e.g. "Wed, Oct 21"
+ * @param {string} dateKey - Day key (YYYY-MM-DD)
+ * @param {Date} [now] - Reference date
+ * @returns {string} Label
+ */
+function formatDayLabel(dateKey, now = new Date()) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const day = new Date(y, m - 1, d);
+  const today = startOfDay(now);
+
+  if (day.getTime() === today.getTime()) return 'Today';
+  if (day.getTime() === addDays(today, 1).getTime()) return 'Tomorrow';
+
+  const label = `${WEEKDAY_NAMES[day.getDay()]}, ${MONTH_NAMES[day.getMonth()]} ${day.getDate()}`;
+  return day.getFullYear() === today.getFullYear() ? label : `${label} ${day.getFullYear()}`;
+}
+
+/**
+ * Group tasks by the local day of their due date
+ * @param {Array} tasks - Tasks with due_at, already sorted by due date
+ * @returns {Array} [{ date, tasks }] in the order the days first appear
+ */
+function groupTasksByDueDate(tasks) {
+  const groups = new Map();
+  for (const task of tasks) {
+    const key = toDateKey(task.due_at);
+    if (!key) continue;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(task);
+  }
+  return Array.from(groups, ([date, dayTasks]) => ({ date, tasks: dayTasks }));
+}
+
+module.exports = {
+  startOfDay,
+  addDays,
+  toDateKey,
+  formatDayLabel,
+  groupTasksByDueDate
+};
@@ -0,0 +1,319 @@
+/**
+ * End-to-end encryption format shared by the Expo app and the CLI
+ *
+ * Shared with the CLI (see lib/migrations.js): both read and write the same values.
+ * It has no dependencies: the caller passes the primitives (the app uses @noble
+ * and expo-crypto in lib/sync/e2e.js, the CLI uses node:crypto in src/lib/sync/e2e.js).
+ *
+ * - The key is derived from a passphrase with scrypt. The salt, scrypt
+ *   parameters, key id and a check value are in the synced `e2e_config`
+ *   setting; the key itself only lives on each device (`local_e2e_keys`).
+ * - Encrypted values look like `e2e1:<keyId>:<base64>`, where the base64 is
+ *   the 12-byte nonce followed by the AES-256-GCM ciphertext and tag. The
+ *   table and column are authenticated too, so a value can't be moved to
+ *   another field.
+ * - Tag names take their nonce from an HMAC of the name, so the same name
+ *   always encrypts the same way and tags stay unique by name remotely.
+ * - Rotating the passphrase adds a key; older keys stay on the device so rows
+ *   pushed before the rotation can still be read.
+ */
+
+const E2E_CONFIG_SETTING = 'e2e_config';
+const LOCAL_E2E_KEYS_SETTING = 'local_e2e_keys';
+
+// Columns encrypted before push and decrypted on pull
+const ENCRYPTED_FIELDS = {
+  tasks: ['title', 'description'],
+  tags: ['name'],
+};
+
+// Columns whose encryption must be deterministic (see above)
+const DETERMINISTIC_FIELDS = {
+  tags: ['name'],
+};
+
+// Shortest passphrase setup and rotation accept
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const VALUE_PREFIX = 'e2e1:';
+const NONCE_BYTES = 12;
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1, dkLen: 32 };
+const KEY_CHECK_TEXT = 'productionai-e2e-key-check';
+
+class E2EKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'E2EKeyError';
+    this.code = 'E2E_KEY_MISSING';
+  }
+}
+
+// Hermes has TextEncoder and Expo's runtime installs TextDecoder (Node has both)
+function utf8Encode(text) {
+  return new TextEncoder().encode(text);
+}
+
+function utf8Decode(bytes) {
+  return new TextDecoder('utf-8', { ignoreBOM: true }).decode(bytes);
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function concat(a, b) {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a, 0);
+  out.set(b, a.length);
+  return out;
+}
+
+/**
+ * Whether a value was written by encryptRow
+ */
+function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(VALUE_PREFIX);
+}
+
+/**
+ * Parse the synced e2e_config setting
+ * @returns {{ version: number, keyId: string, salt: string, N: number, r: number, p: number, check: string }|null}
+ */
+function parseE2EConfig(value) {
+  if (!value) return null;
+  try {
+    const config = JSON.parse(value);
+    return config && config.keyId && config.salt && config.check ? config : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse the device's key ring (local_e2e_keys): { [keyId]: base64 key }
+ * @returns {Object<string, Uint8Array>}
+ */
+function parseKeyRing(value) {
+  if (!value) return {};
+  try {
+    const stored = JSON.parse(value);
+    const ring = {};
+    for (const [keyId, key] of Object.entries(stored || {})) {
+      ring[keyId] = fromBase64(key);
+    }
+    return ring;
+  } catch {
+    return {};
+  }
+}
+
+function serializeKeyRing(ring) {
+  const stored = {};
+  for (const [keyId, key] of Object.entries(ring)) {
+    stored[keyId] = toBase64(key);
+  }
+  return JSON.stringify(stored);
+}
+
+/**
+ * Bind the format to a set of primitives
+ * @param {Object} primitives
+ * @param {Function} primitives.scrypt - async (password, salt, { N, r, p, dkLen }) => Uint8Array
+ * @param {Function} primitives.encrypt - (key, nonce, plaintext, aad) => ciphertext with the GCM tag appended
+ * @param {Function} primitives.decrypt - (key, nonce, sealed, aad) => plaintext; throws when authentication fails
+ * @param {Function} primitives.hmacSha256 - (key, data) => Uint8Array
+ * @param {Function} primitives.randomBytes - (length) => Uint8Array
+ */
+function createE2ECrypto(primitives) {
+  const { scrypt, encrypt, decrypt, hmacSha256, randomBytes } = primitives;
+
+  function seal(key, keyId, plaintext, aad, nonce = randomBytes(NONCE_BYTES)) {
+    const sealed = encrypt(key, nonce, utf8Encode(plaintext), utf8Encode(aad));
+    return `${VALUE_PREFIX}${keyId}:${toBase64(concat(nonce, sealed))}`;
+  }
+
+  function open(keyRing, value, aad) {
+    const [keyId, payload] = value.slice(VALUE_PREFIX.length).split(':');
+    const key = keyRing[keyId];
+    if (!key) {
+      throw new E2EKeyError(`Encrypted with key ${keyId}, which this device doesn't have. Enter the encryption passphrase.`);
+    }
+    const bytes = fromBase64(payload || '');
+    try {
+      return utf8Decode(decrypt(key, bytes.slice(0, NONCE_BYTES), bytes.slice(NONCE_BYTES), utf8Encode(aad)));
+    } catch {
+      throw new E2EKeyError(`A value encrypted with key ${keyId} could not be decrypted`);
+    }
+  }
+
+  async function deriveKey(passphrase, config) {
+    return await scrypt(utf8Encode(passphrase), fromBase64(config.salt), {
+      N: config.N,
+      r: config.r,
+      p: config.p,
+      dkLen: KDF_PARAMS.dkLen,
+    });
+  }
+
+  return {
+    /**
+     * Derive a new key from a passphrase (setup and rotation)
+     * @returns {Promise<{ config: Object, key: Uint8Array }>} config is stored as the e2e_config setting
+     */
+    async createKey(passphrase) {
+      const config = {
+        version: 1,
+        keyId: toHex(randomBytes(4)),
+        salt: toBase64(randomBytes(16)),
+        N: KDF_PARAMS.N,
+        r: KDF_PARAMS.r,
+        p: KDF_PARAMS.p,
+      };
+      const key = await deriveKey(passphrase, config);
+      config.check = seal(key, config.keyId, KEY_CHECK_TEXT, E2E_CONFIG_SETTING);
+      return { config, key };
+    },
+
+    /**
+     * Derive the key of an existing config from its passphrase
+     * @returns {Promise<Uint8Array|null>} null when the passphrase is wrong
+     */
+    async unlockKey(passphrase, config) {
+      const key = await deriveKey(passphrase, config);
+      try {
+        const check = open({ [config.keyId]: key }, config.check, E2E_CONFIG_SETTING);
+        return check === KEY_CHECK_TEXT ? key : null;
+      } catch {
+        return null;
+      }
+    },
+
+    /**
+     * Encrypt the ENCRYPTED_FIELDS of a row about to be pushed
+     * @param {string} table
+     * @param {Object} row
+     * @param {{ keyId: string, keyRing: Object }} keys - keyId is the key to encrypt with
+     */
+    encryptRow(table, row, { keyId, keyRing }) {
+      const fields = ENCRYPTED_FIELDS[table] || [];
+      const deterministic = DETERMINISTIC_FIELDS[table] || [];
+      const key = keyRing[keyId];
+      const out = { ...row };
+      for (const field of fields) {
+        const value = out[field];
+        if (typeof value !== 'string' || value === '' || isEncryptedValue(value)) continue;
+        if (!key) {
+          throw new E2EKeyError(`Key ${keyId} isn't on this device. Enter the encryption passphrase.`);
+        }
+        const aad = `${table}.${field}`;
+        const nonce = deterministic.includes(field)
+          ? hmacSha256(key, utf8Encode(`${aad}\u0000${value}`)).slice(0, NONCE_BYTES)
+          : undefined;
+        out[field] = seal(key, keyId, value, aad, nonce);
+      }
+      return out;
+    },
+
+    /**
+     * Decrypt the ENCRYPTED_FIELDS of a pulled row (plain values pass through)
+     * @throws {E2EKeyError} When a value was encrypted with a key that isn't in the ring
+     */
+    decryptRow(table, row, { keyRing }) {
+      const fields = ENCRYPTED_FIELDS[table] || [];
+      if (!row || typeof row !== 'object') return row;
+      const out = { ...row };
+      for (const field of fields) {
+        if (isEncryptedValue(out[field])) {
+          out[field] = open(keyRing, out[field], `${table}.${field}`);
+        }
+      }
+      return out;
+    },
+  };
+}
+
+function toQueryError(error) {
+  return { message: error.message, code: error.code || null };
+}
+
+/**
+ * Wrap a sync backend query so ENCRYPTED_FIELDS are encrypted on upsert/insert
+ * and decrypted in the results
+ * Works for any thenable builder with chained methods (Supabase or the sync
+ * server client). Key errors resolve as { data: null, error } like other query
+ * errors, so a locked device never pushes plaintext or stores ciphertext.
+ * @param {Object} query - Result of backend.from(table)
+ * @param {string} table
+ * @param {Object} e2e - Result of createE2ECrypto
+ * @param {Object|null} keys - { keyId, keyRing } when encryption is on, null when it's off
+ */
+function encryptQuery(query, table, e2e, keys) {
+  if (!ENCRYPTED_FIELDS[table]) return query;
+  const ring = keys || { keyId: null, keyRing: {} };
+  let failure = null;
+
+  const decryptResult = result => {
+    if (!result || result.error || !result.data) return result;
+    try {
+      const data = Array.isArray(result.data)
+        ? result.data.map(row => e2e.decryptRow(table, row, ring))
+        : e2e.decryptRow(table, result.data, ring);
+      return { ...result, data };
+    } catch (error) {
+      return { ...result, data: null, error: toQueryError(error) };
+    }
+  };
+
+  const wrap = target => new Proxy(target, {
+    get(builder, prop) {
+      if (prop === 'then') {
+        return (resolve, reject) => (failure
+          ? Promise.resolve({ data: null, error: failure })
+          : builder.then(decryptResult)
+        ).then(resolve, reject);
+      }
+      const value = builder[prop];
+      if (typeof value !== 'function') return value;
+      return (...args) => {
+        if ((prop === 'upsert' || prop === 'insert') && keys && !failure) {
+          try {
+            args[0] = Array.isArray(args[0])
+              ? args[0].map(row => e2e.encryptRow(table, row, keys))
+              : e2e.encryptRow(table, args[0], keys);
+          } catch (error) {
+            failure = toQueryError(error);
+          }
+        }
+        const next = value.apply(builder, args);
+        return next && typeof next.then === 'function' ? wrap(next) : next;
+      };
+    },
+  });
+  return wrap(query);
+}
+
+module.exports = {
+  E2E_CONFIG_SETTING,
+  LOCAL_E2E_KEYS_SETTING,
+  ENCRYPTED_FIELDS,
+  MIN_PASSPHRASE_LENGTH,
+  E2EKeyError,
+  createE2ECrypto,
+  encryptQuery,
+  isEncryptedValue,
+  parseE2EConfig,
+  parseKeyRing,
+  serializeKeyRing,
+};
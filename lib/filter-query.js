@@ -0,0 +1,364 @@
+/**
+ * Boolean query language for saved filters
+ * Shared with the CLI (see lib/migrations.js).
+ *
+ * Examples:
+ *   tag:work AND NOT tag:waiting
+ *   project:"Q3 Planning" AND completed:false AND text:invoice
+ *   (tag:urgent OR due:overdue) -tag:someday
+ *
+ * Terms:
+ *   tag:<name>        task has the tag
+ *   project:<name>    task belongs to the project
+ *   section:<name>    task belongs to the section
+ *   completed:<bool>  true/false (also yes/no)
+ *   text:<words>      title or blocks contain the text (bare words do the same)
+ *   due:<when>        none, any, today, overdue, upcoming, YYYY-MM-DD,
+ *                     or a comparison such as due:<2026-01-01 / due:>=2026-01-01
+ *
+ * Operators: AND, OR, NOT (case-insensitive), "-" prefix for NOT, parentheses.
+ * Adjacent terms without an operator are ANDed. NOT binds tighter than AND,
+ * which binds tighter than OR.
+ *
+ * Queries compile to a parameterized SQL condition over the `tasks` table
+ * aliased as `t`; values are never interpolated into the SQL string.
+ */
+
+const { addDays, startOfDay } = require('./date-utils');
+
+const FIELDS = ['tag', 'project', 'section', 'completed', 'text', 'due'];
+const FIELD_ALIASES = { tags: 'tag', done: 'completed', is: 'completed' };
+const TRUE_VALUES = ['true', 'yes', '1'];
+const FALSE_VALUES = ['false', 'no', '0'];
+
+/**
+ * Split a query string into tokens
+ * @param {string} query - Raw query
+ * @returns {Array} Tokens ({ type: 'lparen'|'rparen'|'and'|'or'|'not'|'term', ... })
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    // Assumes query[i] is the opening quote
+    const quote = query[i];
+    let value = '';
+    i++;
+    while (i < query.length && query[i] !== quote) {
+      if (query[i] === '\\' && i + 1 < query.length) {
+        i++;
+      }
+      value += query[i];
+      i++;
+    }
+    if (i >= query.length) {
+      throw new Error('Invalid filter query: unterminated quote');
+    }
+    i++; // closing quote
+    return value;
+  };
+
+  const readWord = () => {
+    let value = '';
+    while (i < query.length && !/[\s()]/.test(query[i])) {
+      value += query[i];
+      i++;
+    }
+    return value;
+  };
+
+  while (i < query.length) {
+    const ch = query[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === '(') {
+      tokens.push({ type: 'lparen' });
+      i++;
+      continue;
+    }
+    if (ch === ')') {
+      tokens.push({ type: 'rparen' });
+      i++;
+      continue;
+    }
+    if (ch === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+      tokens.push({ type: 'not' });
+      i++;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      tokens.push({ type: 'term', field: 'text', value: readQuoted() });
+      continue;
+    }
+
+    // Bare word, keyword or field:value
+    const start = i;
+    let word = '';
+    while (i < query.length && !/[\s():]/.test(query[i])) {
+      word += query[i];
+      i++;
+    }
+
+    if (query[i] === ':' && word) {
+      const field = FIELD_ALIASES[word.toLowerCase()] || word.toLowerCase();
+      if (!FIELDS.includes(field)) {
+        throw new Error(`Invalid filter query: unknown field "${word}"`);
+      }
+      i++; // colon
+      const value = (query[i] === '"' || query[i] === "'") ? readQuoted() : readWord();
+      if (!value) {
+        throw new Error(`Invalid filter query: missing value for "${word}:"`);
+      }
+      tokens.push({ type: 'term', field, value });
+      continue;
+    }
+
+    if (!word) {
+      throw new Error(`Invalid filter query: unexpected "${query[start]}"`);
+    }
+
+    const keyword = word.toUpperCase();
+    if (keyword === 'AND' || keyword === 'OR' || keyword === 'NOT') {
+      tokens.push({ type: keyword.toLowerCase() });
+    } else {
+      tokens.push({ type: 'term', field: 'text', value: word });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a query string into an expression tree
+ * @param {string} query - Raw query
+ * @returns {Object} Tree of { type: 'and'|'or', left, right } / { type: 'not', operand } / { type: 'term', field, value }
+ * @throws {Error} If the query is empty or malformed
+ */
+function parseFilterQuery(query) {
+  if (!query || !query.trim()) {
+    throw new Error('Invalid filter query: query is empty');
+  }
+
+  const tokens = tokenize(query);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek() && peek().type === 'or') {
+      next();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (peek() && ['and', 'not', 'term', 'lparen'].includes(peek().type)) {
+      if (peek().type === 'and') next();
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (peek() && peek().type === 'not') {
+      next();
+      return { type: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) {
+      throw new Error('Invalid filter query: unexpected end of query');
+    }
+    if (token.type === 'lparen') {
+      const expr = parseOr();
+      if (!peek() || peek().type !== 'rparen') {
+        throw new Error('Invalid filter query: missing ")"');
+      }
+      next();
+      return expr;
+    }
+    if (token.type === 'term') {
+      return token;
+    }
+    throw new Error(`Invalid filter query: unexpected ${token.type === 'rparen' ? '")"' : token.type.toUpperCase()}`);
+  };
+
+  const tree = parseOr();
+  if (pos < tokens.length) {
+    throw new Error('Invalid filter query: unexpected ")"');
+  }
+  return tree;
+}
+
+/**
+ * Parse a YYYY-MM-DD value to local midnight
+ */
+function parseDay(value) {
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Escape LIKE wildcards so text searches match literally
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+}
+
+/**
+ * Compile a due:<when> term
+ */
+function compileDue(value, params, now) {
+  const today = startOfDay(now);
+  const tomorrow = addDays(today, 1);
+  const lower = value.toLowerCase();
+
+  switch (lower) {
+    case 'none':
+      return 't.due_at IS NULL';
+    case 'any':
+      return 't.due_at IS NOT NULL';
+    case 'today':
+      params.push(today.toISOString(), tomorrow.toISOString());
+      return '(datetime(t.due_at) >= datetime(?) AND datetime(t.due_at) < datetime(?))';
+    case 'overdue':
+      params.push(today.toISOString());
+      return '(t.completed = 0 AND datetime(t.due_at) < datetime(?))';
+    case 'upcoming':
+      params.push(tomorrow.toISOString(), addDays(tomorrow, 14).toISOString());
+      return '(datetime(t.due_at) >= datetime(?) AND datetime(t.due_at) < datetime(?))';
+    default:
+      break;
+  }
+
+  const match = value.match(/^(<=|>=|<|>)?(.+)$/);
+  const operator = match[1];
+  const day = parseDay(match[2]);
+  if (!day) {
+    throw new Error(`Invalid filter query: invalid due date "${value}"`);
+  }
+  const dayStart = day.toISOString();
+  const dayEnd = addDays(day, 1).toISOString();
+
+  switch (operator) {
+    case '<':
+      params.push(dayStart);
+      return 'datetime(t.due_at) < datetime(?)';
+    case '<=':
+      params.push(dayEnd);
+      return 'datetime(t.due_at) < datetime(?)';
+    case '>':
+      params.push(dayEnd);
+      return 'datetime(t.due_at) >= datetime(?)';
+    case '>=':
+      params.push(dayStart);
+      return 'datetime(t.due_at) >= datetime(?)';
+    default:
+      params.push(dayStart, dayEnd);
+      return '(datetime(t.due_at) >= datetime(?) AND datetime(t.due_at) < datetime(?))';
+  }
+}
+
+/**
+ * Compile a single field:value term
+ */
+function compileTerm(term, params, now) {
+  const { field, value } = term;
+
+  switch (field) {
+    case 'tag':
+      params.push(value);
+      return `t.id IN (
+        SELECT tt.task_id FROM task_tags tt
+        INNER JOIN tags tg ON tg.id = tt.tag_id
+        WHERE tg.name = ? COLLATE NOCASE AND tg.deleted_at IS NULL
+      )`;
+    case 'project':
+      params.push(value);
+      return 't.project_id IN (SELECT id FROM projects WHERE name = ? COLLATE NOCASE AND deleted_at IS NULL)';
+    case 'section':
+      params.push(value);
+      return 't.section_id IN (SELECT id FROM sections WHERE name = ? COLLATE NOCASE AND deleted_at IS NULL)';
+    case 'completed': {
+      const lower = value.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return 't.completed = 1';
+      if (FALSE_VALUES.includes(lower)) return 't.completed = 0';
+      throw new Error(`Invalid filter query: completed expects true or false, got "${value}"`);
+    }
+    case 'text': {
+      const pattern = `%${escapeLike(value)}%`;
+      params.push(pattern, pattern);
+      return "(t.title LIKE ? ESCAPE '\\' OR t.description LIKE ? ESCAPE '\\')";
+    }
+    case 'due':
+      return compileDue(value, params, now);
+    default:
+      throw new Error(`Invalid filter query: unknown field "${field}"`);
+  }
+}
+
+/**
+ * Compile an expression tree node
+ */
+function compileNode(node, params, now) {
+  switch (node.type) {
+    case 'and':
+      return `(${compileNode(node.left, params, now)} AND ${compileNode(node.right, params, now)})`;
+    case 'or':
+      return `(${compileNode(node.left, params, now)} OR ${compileNode(node.right, params, now)})`;
+    case 'not':
+      return `NOT (${compileNode(node.operand, params, now)})`;
+    case 'term':
+      return compileTerm(node, params, now);
+    default:
+      throw new Error(`Invalid filter query: unknown node "${node.type}"`);
+  }
+}
+
+/**
+ * Compile a query string to a parameterized SQL condition
+ * The condition refers to the tasks table as `t`.
+ * @param {string} query - Raw query
+ * @param {Date} [now] - Reference date for relative due terms
+ * @returns {Object} { sql, params }
+ * @throws {Error} If the query is empty or malformed
+ */
+function compileFilterQuery(query, now = new Date()) {
+  const tree = parseFilterQuery(query);
+  const params = [];
+  const sql = compileNode(tree, params, now);
+  return { sql, params };
+}
+
+/**
+ * Check a query string without running it
+ * @param {string} query - Raw query
+ * @returns {string|null} Error message, or null if the query is valid
+ */
+function validateFilterQuery(query) {
+  try {
+    compileFilterQuery(query);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+module.exports = {
+  parseFilterQuery,
+  compileFilterQuery,
+  validateFilterQuery
+};
@@ -0,0 +1,502 @@
+/**
+ * Parsers for importing tasks from other apps
+ *
+ * Shared with the CLI (see lib/migrations.js): an import lands the same way on either.
+ * It has no dependencies; like lib/markdown-format.js the caller passes its
+ * descriptionToBlocks / blocksToDescription.
+ *
+ * Every parser returns the same shape as parseMarkdownProjects:
+ *   [{ name, sections: [{ name | null, tasks: [{ title, completed, description, tags, due_at, children }] }] }]
+ * which importProjects in markdown-transfer.js writes to the database.
+ *
+ * Supported formats:
+ * - todoist: a Todoist backup or API dump as JSON (projects, sections, items or
+ *   tasks, labels), or a Todoist template CSV (TYPE, CONTENT, DESCRIPTION, INDENT...)
+ * - things: the Things JSON format (things:///json), a list of projects and to-dos.
+ *   Headings become sections and checklist items become check blocks.
+ * - csv: any CSV with a header row; columns are matched by name or given as a mapping
+ * - markdown: lib/markdown-format.js
+ */
+
+const { countTasks, parseMarkdownProjects } = require('./markdown-format');
+
+const IMPORT_FORMATS = ['markdown', 'todoist', 'things', 'csv'];
+
+// Header names the generic CSV importer recognises for each field (lowercase)
+const CSV_COLUMN_ALIASES = {
+  title: ['title', 'name', 'task', 'content', 'summary'],
+  project: ['project', 'list', 'project name'],
+  section: ['section', 'heading', 'group'],
+  completed: ['completed', 'done', 'checked', 'status', 'is_completed'],
+  tags: ['tags', 'labels', 'tag', 'label'],
+  description: ['description', 'notes', 'note', 'details'],
+  due_at: ['due', 'due date', 'due_at', 'date', 'deadline'],
+  id: ['id', 'task id', 'task_id'],
+  parent: ['parent', 'parent id', 'parent_id'],
+  indent: ['indent', 'level', 'depth'],
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes)
+ * @returns {string[][]} Rows of fields, blank lines left out
+ */
+function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+function normalizeDescription(text, helpers) {
+  if (!text || !String(text).trim()) return null;
+  return helpers.blocksToDescription(helpers.descriptionToBlocks(String(text).replace(/\r\n?/g, '\n'))) || null;
+}
+
+// Only dates the task repositories accept; anything else is dropped
+function normalizeDue(value) {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) return trimmed;
+  return isNaN(Date.parse(trimmed)) ? null : trimmed;
+}
+
+function isTruthyCell(value) {
+  return /^(true|yes|y|1|x|done|completed|complete|checked)$/i.test(String(value || '').trim());
+}
+
+function newTask({ title, completed = false, description = null, tags = [], due_at = null }) {
+  return { title, completed: !!completed, description, tags: [...new Set(tags)], due_at, children: [] };
+}
+
+// Collects tasks into projects and sections in first-seen order
+function createCollector(defaultProjectName) {
+  const projects = [];
+  const projectFor = (name) => {
+    const projectName = (name && String(name).trim()) || defaultProjectName;
+    let project = projects.find(entry => entry.name === projectName);
+    if (!project) {
+      project = { name: projectName, sections: [{ name: null, tasks: [] }] };
+      projects.push(project);
+    }
+    return project;
+  };
+  const sectionFor = (projectName, sectionName) => {
+    const project = projectFor(projectName);
+    const name = (sectionName && String(sectionName).trim()) || null;
+    let section = project.sections.find(entry => entry.name === name);
+    if (!section) {
+      section = { name, tasks: [] };
+      project.sections.push(section);
+    }
+    return section;
+  };
+  const result = () => projects
+    .map(project => ({ ...project, sections: project.sections.filter(section => section.name !== null || section.tasks.length > 0) }))
+    .filter(project => project.sections.length > 0);
+  return { projectFor, sectionFor, result };
+}
+
+// Todoist lists labels by name in newer dumps and by id in older ones
+function todoistLabelNames(labels, labelsById) {
+  const names = new Set(labelsById.values());
+  return (labels || [])
+    .map(label => (names.has(label) ? label : labelsById.get(String(label)) || (typeof label === 'string' ? label : null)))
+    .filter(Boolean);
+}
+
+function byOrder(...keys) {
+  const orderOf = (entry) => {
+    for (const key of keys) {
+      if (typeof entry[key] === 'number') return entry[key];
+    }
+    return 0;
+  };
+  return (a, b) => orderOf(a) - orderOf(b);
+}
+
+/**
+ * Todoist JSON: { projects, sections, items | tasks, labels }
+ */
+function parseTodoistJson(data, helpers, defaultProjectName) {
+  const projectsById = new Map((data.projects || []).map(project => [String(project.id), project]));
+  const sectionsById = new Map((data.sections || []).map(section => [String(section.id), section]));
+  const labelsById = new Map((data.labels || []).map(label => [String(label.id), label.name]));
+  const items = [...(data.items || data.tasks || [])].filter(item => !item.is_deleted);
+  const { projectFor, sectionFor, result } = createCollector(defaultProjectName);
+
+  // Projects and sections in Todoist's order, so empty ones come along too
+  for (const project of [...projectsById.values()].sort(byOrder('child_order', 'order'))) {
+    if (project.is_deleted || project.is_archived) continue;
+    projectFor(project.name);
+  }
+  for (const section of [...sectionsById.values()].sort(byOrder('section_order', 'order'))) {
+    if (section.is_deleted || section.is_archived) continue;
+    const project = projectsById.get(String(section.project_id));
+    if (project && !project.is_deleted && !project.is_archived) {
+      sectionFor(project.name, section.name);
+    }
+  }
+
+  const tasksById = new Map();
+  const sorted = items.sort(byOrder('child_order', 'order'));
+  for (const item of sorted) {
+    tasksById.set(String(item.id), newTask({
+      title: item.content || '',
+      completed: item.checked === true || item.checked === 1 || item.is_completed === true || !!item.completed_at,
+      description: normalizeDescription(item.description, helpers),
+      tags: todoistLabelNames(item.labels, labelsById),
+      due_at: normalizeDue(item.due && (item.due.datetime || item.due.date)),
+    }));
+  }
+  for (const item of sorted) {
+    const task = tasksById.get(String(item.id));
+    const parent = item.parent_id != null ? tasksById.get(String(item.parent_id)) : null;
+    if (parent) {
+      parent.children.push(task);
+      continue;
+    }
+    const project = projectsById.get(String(item.project_id));
+    const section = item.section_id != null ? sectionsById.get(String(item.section_id)) : null;
+    sectionFor(project ? project.name : null, section ? section.name : null).tasks.push(task);
+  }
+
+  return result();
+}
+
+/**
+ * Todoist template CSV: one project per file, TYPE is task, section or note,
+ * INDENT nests subtasks and labels are written as "@label" in CONTENT
+ */
+function parseTodoistCsv(rows, helpers, defaultProjectName) {
+  const header = rows[0].map(name => name.trim().toUpperCase());
+  const column = (row, name) => {
+    const index = header.indexOf(name);
+    return index === -1 ? '' : (row[index] || '');
+  };
+
+  const project = { name: defaultProjectName, sections: [{ name: null, tasks: [] }] };
+  let section = project.sections[0];
+  let stack = []; // { task, indent }
+
+  for (const row of rows.slice(1)) {
+    const type = column(row, 'TYPE').trim().toLowerCase();
+    const content = column(row, 'CONTENT').trim();
+    if (type === 'section') {
+      section = { name: content, tasks: [] };
+      project.sections.push(section);
+      stack = [];
+    } else if (type === 'task') {
+      const tags = [];
+      const title = content.replace(/(^|\s)@([^\s@]+)/g, (match, space, label) => {
+        tags.push(label);
+        return '';
+      }).trim();
+      const task = newTask({
+        title: title || content,
+        description: normalizeDescription(column(row, 'DESCRIPTION'), helpers),
+        tags,
+        due_at: normalizeDue(column(row, 'DATE')),
+      });
+      const indent = parseInt(column(row, 'INDENT'), 10) || 1;
+      while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+        stack.pop();
+      }
+      if (stack.length > 0) {
+        stack[stack.length - 1].task.children.push(task);
+      } else {
+        section.tasks.push(task);
+      }
+      stack.push({ task, indent });
+    } else if (type === 'note' && stack.length > 0 && content) {
+      // Comments are kept as blocks at the end of their task
+      const task = stack[stack.length - 1].task;
+      task.description = normalizeDescription([task.description, content].filter(Boolean).join('\n'), helpers);
+    }
+  }
+
+  project.sections = project.sections.filter(entry => entry.name !== null || entry.tasks.length > 0);
+  return project.sections.length > 0 ? [project] : [];
+}
+
+function thingsTask(attributes, helpers) {
+  const checklist = (attributes['checklist-items'] || [])
+    .map(item => item.attributes || item)
+    .filter(item => item.title)
+    .map(item => `- [${item.completed ? 'x' : ' '}] ${item.title}`);
+  return newTask({
+    title: attributes.title || '',
+    // Canceled to-dos are closed too
+    completed: !!(attributes.completed || attributes.canceled),
+    description: normalizeDescription([attributes.notes, ...checklist].filter(Boolean).join('\n'), helpers),
+    tags: (attributes.tags || []).filter(tag => typeof tag === 'string' && tag),
+    due_at: normalizeDue(attributes.deadline || attributes.when),
+  });
+}
+
+/**
+ * Things JSON: [{ type: 'project', attributes: { title, items: [heading | to-do] } }, { type: 'to-do', ... }]
+ */
+function parseThingsJson(data, helpers, defaultProjectName) {
+  const entries = Array.isArray(data) ? data : (data.items || data.data || []);
+  const { projectFor, sectionFor, result } = createCollector(defaultProjectName);
+
+  for (const entry of entries) {
+    const attributes = entry.attributes || {};
+    if (entry.type === 'project') {
+      const projectName = attributes.title || defaultProjectName;
+      projectFor(projectName);
+      let heading = null;
+      for (const item of attributes.items || []) {
+        const itemAttributes = item.attributes || {};
+        if (item.type === 'heading') {
+          heading = itemAttributes.title || null;
+          sectionFor(projectName, heading);
+        } else if (item.type === 'to-do') {
+          sectionFor(projectName, heading).tasks.push(thingsTask(itemAttributes, helpers));
+        }
+      }
+    } else if (entry.type === 'to-do') {
+      // Loose to-dos may name their project and heading
+      sectionFor(attributes.list, attributes.heading).tasks.push(thingsTask(attributes, helpers));
+    }
+  }
+
+  return result();
+}
+
+/**
+ * Resolve which CSV column holds each field
+ * @param {string[]} header
+ * @param {Object<string, string>} [mapping] - Field to header name, e.g. { title: 'Summary' }
+ * @returns {Object<string, number>} Field to column index
+ */
+function resolveCsvColumns(header, mapping = {}) {
+  const names = header.map(name => name.trim().toLowerCase());
+  const columns = {};
+  for (const [field, aliases] of Object.entries(CSV_COLUMN_ALIASES)) {
+    if (mapping[field]) {
+      const index = names.indexOf(String(mapping[field]).trim().toLowerCase());
+      if (index === -1) {
+        throw new Error(`Column "${mapping[field]}" (for ${field}) not found in the CSV header`);
+      }
+      columns[field] = index;
+      continue;
+    }
+    const index = names.findIndex(name => aliases.includes(name));
+    if (index !== -1) columns[field] = index;
+  }
+  const unknown = Object.keys(mapping).filter(field => !CSV_COLUMN_ALIASES[field]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown CSV field: ${unknown.join(', ')}. Use ${Object.keys(CSV_COLUMN_ALIASES).join(', ')}`);
+  }
+  if (columns.title === undefined) {
+    throw new Error('No title column found; map one with title=<column>');
+  }
+  return columns;
+}
+
+/**
+ * Parse a column mapping written as "title=Summary,tags=Labels"
+ * @returns {Object<string, string>}
+ */
+function parseColumnMapping(text) {
+  const mapping = {};
+  for (const pair of String(text || '').split(',')) {
+    if (!pair.trim()) continue;
+    const [field, ...rest] = pair.split('=');
+    if (rest.length === 0 || !rest.join('=').trim()) {
+      throw new Error(`Invalid column mapping "${pair.trim()}", expected field=Column`);
+    }
+    mapping[field.trim().toLowerCase()] = rest.join('=').trim();
+  }
+  return mapping;
+}
+
+/**
+ * Generic CSV: one task per row. Subtasks come from a parent column (pointing at
+ * the id column) or an indent column; tags are split on commas and semicolons.
+ */
+function parseGenericCsv(rows, helpers, defaultProjectName, mapping) {
+  const columns = resolveCsvColumns(rows[0], mapping);
+  const cell = (row, field) => (columns[field] === undefined ? '' : (row[columns[field]] || '').trim());
+  const { sectionFor, result } = createCollector(defaultProjectName);
+
+  const tasksById = new Map();
+  const entries = [];
+  for (const row of rows.slice(1)) {
+    const title = cell(row, 'title');
+    if (!title) continue;
+    const task = newTask({
+      title,
+      completed: isTruthyCell(cell(row, 'completed')),
+      description: normalizeDescription(cell(row, 'description'), helpers),
+      tags: cell(row, 'tags').split(/[,;]/).map(tag => tag.trim().replace(/^[#@]/, '')).filter(Boolean),
+      due_at: normalizeDue(cell(row, 'due_at')),
+    });
+    const id = cell(row, 'id');
+    if (id) tasksById.set(id, task);
+    entries.push({ task, row });
+  }
+
+  let stack = []; // { task, indent } for the indent column
+  for (const { task, row } of entries) {
+    const parent = tasksById.get(cell(row, 'parent'));
+    if (parent && parent !== task) {
+      parent.children.push(task);
+      continue;
+    }
+    if (columns.indent !== undefined) {
+      const indent = parseInt(cell(row, 'indent'), 10) || 1;
+      while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+        stack.pop();
+      }
+      const owner = stack.length > 0 ? stack[stack.length - 1].task : null;
+      stack.push({ task, indent });
+      if (owner) {
+        owner.children.push(task);
+        continue;
+      }
+    }
+    sectionFor(cell(row, 'project'), cell(row, 'section')).tasks.push(task);
+  }
+
+  return result();
+}
+
+/**
+ * Guess the format from the file name and contents
+ * @param {string} text
+ * @param {string} [fileName]
+ * @returns {string} One of IMPORT_FORMATS
+ */
+function detectImportFormat(text, fileName = '') {
+  const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (/\.(md|markdown|txt)$/i.test(fileName)) return 'markdown';
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      const data = JSON.parse(trimmed);
+      const entries = Array.isArray(data) ? data : (data.items || data.data);
+      if (Array.isArray(entries) && entries.some(entry => entry && (entry.type === 'project' || entry.type === 'to-do'))) {
+        return 'things';
+      }
+      return 'todoist';
+    } catch {
+      return 'markdown';
+    }
+  }
+  if (/\.csv$/i.test(fileName) || (trimmed.split('\n')[0] || '').includes(',')) {
+    const header = (parseCsv(trimmed.split('\n')[0])[0] || []).map(name => name.trim().toUpperCase());
+    return header.includes('TYPE') && header.includes('CONTENT') ? 'todoist' : 'csv';
+  }
+  return 'markdown';
+}
+
+/**
+ * Parse an import in any supported format
+ * @param {string} text
+ * @param {Object} helpers - { descriptionToBlocks, blocksToDescription }
+ * @param {Object} [options]
+ * @param {string} [options.format] - One of IMPORT_FORMATS; detected when left out
+ * @param {string} [options.fileName] - Helps detection, and names single-project files
+ * @param {string} [options.defaultProjectName] - For tasks without a project
+ * @param {Object<string, string>} [options.columns] - Generic CSV column mapping
+ * @returns {Array<{ name: string, sections: Object[] }>}
+ */
+function parseImport(text, helpers, options = {}) {
+  const format = options.format || detectImportFormat(text, options.fileName);
+  const defaultProjectName = options.defaultProjectName
+    || String(options.fileName || '').replace(/^.*[/\\]/, '').replace(/\.[^.]+$/, '')
+    || 'Imported';
+
+  switch (format) {
+    case 'markdown':
+      return parseMarkdownProjects(text, helpers, defaultProjectName);
+    case 'todoist': {
+      const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+      if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        return parseTodoistJson(JSON.parse(trimmed), helpers, defaultProjectName);
+      }
+      const rows = parseCsv(trimmed);
+      return rows.length > 0 ? parseTodoistCsv(rows, helpers, defaultProjectName) : [];
+    }
+    case 'things':
+      return parseThingsJson(JSON.parse(String(text || '').replace(/^\uFEFF/, '')), helpers, defaultProjectName);
+    case 'csv': {
+      const rows = parseCsv(text);
+      return rows.length > 0 ? parseGenericCsv(rows, helpers, defaultProjectName, options.columns || {}) : [];
+    }
+    default:
+      throw new Error(`Unknown import format "${format}". Use ${IMPORT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * What an import would add, per project (for previews and dry runs)
+ * @param {Array<{ name: string, sections: Object[] }>} parsed - From parseImport
+ * @returns {Array<{ name: string, sections: number, tasks: number, completed: number, tags: string[] }>}
+ */
+function summarizeImport(parsed) {
+  const walk = (tasks, visit) => tasks.forEach(task => {
+    visit(task);
+    walk(task.children, visit);
+  });
+  return parsed.map(project => {
+    let completed = 0;
+    const tags = new Set();
+    for (const section of project.sections) {
+      walk(section.tasks, task => {
+        if (task.completed) completed++;
+        task.tags.forEach(tag => tags.add(tag));
+      });
+    }
+    return {
+      name: project.name,
+      sections: project.sections.filter(section => section.name !== null).length,
+      tasks: project.sections.reduce((sum, section) => sum + countTasks(section.tasks), 0),
+      completed,
+      tags: [...tags].sort(),
+    };
+  });
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  CSV_COLUMN_ALIASES,
+  parseCsv,
+  parseColumnMapping,
+  detectImportFormat,
+  parseImport,
+  summarizeImport,
+};
@@ -0,0 +1,181 @@
+import Constants from 'expo-constants';
+import { fetch as streamingFetch } from 'expo/fetch';
+import { logRequest, maskApiKey, readServerSentEvents } from './http.js';
+
+// Claude API configuration
+const claudeApiKey = Constants.expoConfig?.extra?.claudeApiKey || process.env.EXPO_PUBLIC_CLAUDE_API_KEY;
+
+if (!claudeApiKey) {
+  console.warn('⚠️ Claude API key not found in configuration');
+  console.warn('📋 Please add claudeApiKey to app.json extra section or set EXPO_PUBLIC_CLAUDE_API_KEY environment variable');
+}
+
+const CLAUDE_API_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Turns a failed API response into the error shown to the user
+ * @param {Response} response
+ * @returns {Promise<string>}
+ */
+async function getApiErrorMessage(response) {
+  const errorData = await response.json().catch(() => ({}));
+  console.error('Claude API Error:', errorData);
+
+  if (response.status === 401) {
+    return 'Invalid API key. Please check your Claude API key.';
+  } else if (response.status === 429) {
+    return 'Rate limit exceeded. Please try again later.';
+  }
+  return `API Error: ${errorData.error?.message || response.statusText}`;
+}
+
+/**
+ * Reads a streamed Claude response
+ * Text is passed to onTextDelta as it arrives, and tool_use blocks are reported to
+ * onToolUpdate with status 'requested' as soon as they start, before their input is
+ * complete.
+ * @param {Response} response - Response of a request made with stream: true
+ * @param {function} onTextDelta - Called with (delta, text) where text is everything so far
+ * @param {function} onToolUpdate - Optional callback for tool usage updates (name, status, id)
+ * @returns {Promise<{content: Array, stop_reason: string, usage: Object}>}
+ */
+async function readMessageStream(response, onTextDelta, onToolUpdate) {
+  const content = [];
+  const partialInputs = {}; // Tool input JSON by block index, until the block is complete
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  let text = '';
+  let stopReason = null;
+
+  await readServerSentEvents(response, (event) => {
+    switch (event.type) {
+      case 'message_start':
+        usage.input_tokens = event.message?.usage?.input_tokens || 0;
+        break;
+      case 'content_block_start':
+        content[event.index] = { ...event.content_block };
+        if (event.content_block.type === 'tool_use') {
+          partialInputs[event.index] = '';
+          if (onToolUpdate) {
+            onToolUpdate(event.content_block.name, 'requested', event.content_block.id);
+          }
+        }
+        break;
+      case 'content_block_delta':
+        if (event.delta.type === 'text_delta') {
+          content[event.index].text += event.delta.text;
+          text += event.delta.text;
+          onTextDelta(event.delta.text, text);
+        } else if (event.delta.type === 'input_json_delta') {
+          partialInputs[event.index] += event.delta.partial_json;
+        }
+        break;
+      case 'content_block_stop':
+        if (event.index in partialInputs) {
+          content[event.index].input = partialInputs[event.index] ? JSON.parse(partialInputs[event.index]) : {};
+        }
+        break;
+      case 'message_delta':
+        stopReason = event.delta?.stop_reason || stopReason;
+        usage.output_tokens = event.usage?.output_tokens ?? usage.output_tokens;
+        break;
+      case 'error':
+        throw new Error(`API Error: ${event.error?.message || 'the response stream failed'}`);
+      default:
+        // message_stop and ping carry nothing we need
+        break;
+    }
+  });
+
+  return { content: content.filter(Boolean), stop_reason: stopReason, usage };
+}
+
+/**
+ * Sends one request to the Claude Messages API
+ * Messages and tools are already in Claude's format, which is the one the chat uses.
+ * @param {Object} request
+ * @param {Object} request.config - { model, maxTokens } from the AI chat settings
+ * @param {string} request.system - Optional system message
+ * @param {Array} request.messages - Conversation so far
+ * @param {Array} request.tools - Tools from getToolsForClaude() (empty: no tools)
+ * @param {function} request.onTextDelta - Stream the reply: called with (delta, text)
+ * @param {function} request.onToolUpdate - Optional callback for tool usage updates (name, status, id)
+ * @param {AbortSignal} request.signal - Optional, cancels the request
+ * @returns {Promise<{content: Array, stop_reason: string, usage: Object}>}
+ * @throws {Error} With a message for the user when the request fails
+ */
+export async function createMessage({ config, system = null, messages, tools = [], onTextDelta = null, onToolUpdate = null, signal = null }) {
+  if (!claudeApiKey) {
+    throw new Error('Claude API key is not configured. Please add it to app.json.');
+  }
+  const stream = typeof onTextDelta === 'function';
+
+  const requestBody = {
+    model: config.model,
+    max_tokens: config.maxTokens,
+    messages,
+  };
+  if (system) {
+    requestBody.system = system;
+  }
+  if (stream) {
+    requestBody.stream = true;
+  }
+  if (tools.length > 0) {
+    requestBody.tools = tools;
+  }
+
+  const url = `${CLAUDE_API_URL}/messages`;
+  logRequest('Claude API', url, {
+    'Content-Type': 'application/json',
+    'x-api-key': maskApiKey(claudeApiKey),
+    'anthropic-version': ANTHROPIC_VERSION,
+  }, requestBody);
+
+  // React Native's fetch can't read a response body as it arrives; expo/fetch can
+  const response = await (stream ? streamingFetch : fetch)(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': claudeApiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+    },
+    body: JSON.stringify(requestBody),
+    ...(signal ? { signal } : {}),
+  });
+
+  if (!response.ok) {
+    throw new Error(await getApiErrorMessage(response));
+  }
+
+  if (stream) {
+    return await readMessageStream(response, onTextDelta, onToolUpdate);
+  }
+  const data = await response.json();
+  return { content: data.content || [], stop_reason: data.stop_reason, usage: data.usage };
+}
+
+/**
+ * Checks that the API key works by listing the available models
+ * @returns {Promise<{ok: boolean, models?: string[], error?: string}>}
+ */
+export async function testConnection() {
+  if (!claudeApiKey) {
+    return { ok: false, error: 'Claude API key is not configured. Please add it to app.json.' };
+  }
+  try {
+    const response = await fetch(`${CLAUDE_API_URL}/models`, {
+      headers: {
+        'x-api-key': claudeApiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+      },
+    });
+    if (!response.ok) {
+      return { ok: false, error: await getApiErrorMessage(response) };
+    }
+    const data = await response.json();
+    return { ok: true, models: (data.data || []).map(model => model.id) };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
@@ -0,0 +1,72 @@
+// Request helpers shared by the LLM providers (lib/llm/anthropic.js, lib/llm/openai-compatible.js)
+
+/**
+ * Masks an API key for safe logging
+ * Shows first 4 and last 4 characters, masks the middle
+ * @param {string} apiKey - The API key to mask
+ * @returns {string} Masked API key
+ */
+export function maskApiKey(apiKey) {
+  if (!apiKey || apiKey.length < 8) return '***';
+  const start = apiKey.substring(0, 4);
+  const end = apiKey.substring(apiKey.length - 4);
+  return `${start}***${end}`;
+}
+
+/**
+ * Logs a request before it is sent (tools are listed by name only)
+ * @param {string} label - Provider name for the log
+ * @param {string} url
+ * @param {Object} headers - With any key already masked
+ * @param {Object} requestBody
+ */
+export function logRequest(label, url, headers, requestBody) {
+  const requestBodyLog = {
+    ...requestBody,
+    // Replace full tools array with simplified names if present
+    ...(requestBody.tools ? { tools: `[${requestBody.tools.map(t => t.name || t.function?.name).join(', ')}] (${requestBody.tools.length} tools)` } : {})
+  };
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`📤 ${label} Request`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`URL: ${url}`);
+  console.log(`Method: POST`);
+  console.log('Headers:', headers);
+  console.log('Request Body:', JSON.stringify(requestBodyLog, null, 2));
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+}
+
+/**
+ * Reads a server-sent events response, passing each event's parsed data on as it arrives
+ * Both providers stream this way: Anthropic sends JSON events, OpenAI-compatible
+ * servers JSON chunks followed by `data: [DONE]` (which is skipped).
+ * @param {Response} response - A response from expo/fetch, whose body can be read as it arrives
+ * @param {function} onData - Called with each event's parsed JSON data
+ * @returns {Promise<void>}
+ */
+export async function readServerSentEvents(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events end with a blank line; the last piece may still be incomplete
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    for (const event of events) {
+      const data = event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+      if (data && data !== '[DONE]') {
+        onData(JSON.parse(data));
+      }
+    }
+  }
+}
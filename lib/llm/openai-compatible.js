@@ -0,0 +1,289 @@
+import { fetch as streamingFetch } from 'expo/fetch';
+import { logRequest, maskApiKey, readServerSentEvents } from './http.js';
+
+// OpenAI-style chat completions, as served by OpenAI itself and by local servers
+// (Ollama, llama.cpp's llama-server, LM Studio, vLLM). The chat keeps its messages
+// and tools in Claude's format; this file translates them both ways.
+
+// finish_reason → Claude's stop_reason
+const STOP_REASONS = {
+  stop: 'end_turn',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  length: 'max_tokens',
+};
+
+function endpoint(baseUrl, path) {
+  return `${baseUrl.replace(/\/+$/, '')}${path}`;
+}
+
+function headers(apiKey) {
+  return {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+  };
+}
+
+/**
+ * Claude tools → OpenAI function tools
+ * @param {Array} tools - From getToolsForClaude()
+ * @returns {Array}
+ */
+function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.input_schema,
+    },
+  }));
+}
+
+/**
+ * Claude messages → OpenAI messages
+ * tool_use blocks become the assistant's tool_calls, and each tool_result block
+ * its own 'tool' message.
+ * @param {string} system - Optional system message
+ * @param {Array} messages
+ * @returns {Array}
+ */
+function toOpenAIMessages(system, messages) {
+  const result = system ? [{ role: 'system', content: system }] : [];
+  for (const message of messages) {
+    const blocks = typeof message.content === 'string'
+      ? [{ type: 'text', text: message.content }]
+      : message.content;
+    const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('\n');
+
+    if (message.role === 'assistant') {
+      const toolCalls = blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) },
+        }));
+      result.push({
+        role: 'assistant',
+        content: text || null,
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+      });
+      continue;
+    }
+
+    for (const block of blocks.filter(block => block.type === 'tool_result')) {
+      result.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: typeof block.content === 'string' ? block.content : JSON.stringify(block.content),
+      });
+    }
+    if (text) {
+      result.push({ role: 'user', content: text });
+    }
+  }
+  return result;
+}
+
+// Tool call arguments are a JSON string, which small local models don't always get right
+function parseArguments(name, args) {
+  if (!args) return {};
+  try {
+    return JSON.parse(args);
+  } catch {
+    console.warn(`⚠️ Tool call ${name} has arguments that aren't JSON:`, args);
+    return {};
+  }
+}
+
+/**
+ * OpenAI reply (text and tool calls) → Claude content blocks
+ * @returns {Array}
+ */
+function toClaudeContent(text, toolCalls) {
+  const content = text ? [{ type: 'text', text }] : [];
+  for (const [index, call] of toolCalls.entries()) {
+    content.push({
+      type: 'tool_use',
+      // Some local servers leave out the id; results are matched back by it
+      id: call.id || `call_${index}`,
+      name: call.name,
+      input: parseArguments(call.name, call.arguments),
+    });
+  }
+  return content;
+}
+
+function toClaudeUsage(usage) {
+  return {
+    input_tokens: usage?.prompt_tokens || 0,
+    output_tokens: usage?.completion_tokens || 0,
+  };
+}
+
+/**
+ * Turns a failed response into the error shown to the user
+ * @param {Response} response
+ * @param {Object} config
+ * @returns {Promise<string>}
+ */
+async function getApiErrorMessage(response, config) {
+  const errorData = await response.json().catch(() => ({}));
+  console.error('Chat completions API Error:', errorData);
+  const detail = errorData.error?.message || errorData.error || response.statusText;
+
+  if (response.status === 401 || response.status === 403) {
+    return `The server at ${config.baseUrl} rejected the API key.`;
+  } else if (response.status === 404) {
+    return `Not found at ${config.baseUrl}: ${detail}. Check the address (it usually ends in /v1) and the model "${config.model}".`;
+  } else if (response.status === 429) {
+    return 'Rate limit exceeded. Please try again later.';
+  }
+  return `API Error: ${detail}`;
+}
+
+/**
+ * Reads a streamed chat completion
+ * Tool calls arrive in pieces keyed by index: the name first, then the arguments.
+ * @returns {Promise<{content: Array, stop_reason: string, usage: Object}>}
+ */
+async function readCompletionStream(response, onTextDelta, onToolUpdate) {
+  const toolCalls = [];
+  let text = '';
+  let finishReason = null;
+  let usage = null;
+
+  await readServerSentEvents(response, (chunk) => {
+    if (chunk.error) {
+      throw new Error(`API Error: ${chunk.error.message || chunk.error}`);
+    }
+    // With stream_options.include_usage the last chunk has the usage and no choices
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+
+    if (choice.delta?.content) {
+      text += choice.delta.content;
+      onTextDelta(choice.delta.content, text);
+    }
+    for (const part of choice.delta?.tool_calls || []) {
+      const index = part.index ?? toolCalls.length;
+      if (!toolCalls[index]) {
+        toolCalls[index] = { id: part.id || `call_${index}`, name: '', arguments: '' };
+      }
+      const call = toolCalls[index];
+      if (part.function?.name) {
+        call.name += part.function.name;
+        if (onToolUpdate) {
+          onToolUpdate(call.name, 'requested', call.id);
+        }
+      }
+      call.arguments += part.function?.arguments || '';
+    }
+    finishReason = choice.finish_reason || finishReason;
+  });
+
+  const calls = toolCalls.filter(Boolean);
+  return {
+    content: toClaudeContent(text, calls),
+    stop_reason: STOP_REASONS[finishReason] || (calls.length > 0 ? 'tool_use' : 'end_turn'),
+    usage: toClaudeUsage(usage),
+  };
+}
+
+/**
+ * Sends one request to an OpenAI-compatible chat completions endpoint
+ * Takes and returns the same Claude-format messages and content as lib/llm/anthropic.js.
+ * @param {Object} request
+ * @param {Object} request.config - { model, maxTokens, baseUrl, apiKey } from the AI chat settings
+ * @param {string} request.system - Optional system message
+ * @param {Array} request.messages - Conversation so far, in Claude's format
+ * @param {Array} request.tools - Tools from getToolsForClaude() (empty: no tools)
+ * @param {function} request.onTextDelta - Stream the reply: called with (delta, text)
+ * @param {function} request.onToolUpdate - Optional callback for tool usage updates (name, status, id)
+ * @param {AbortSignal} request.signal - Optional, cancels the request
+ * @returns {Promise<{content: Array, stop_reason: string, usage: Object}>}
+ * @throws {Error} With a message for the user when the request fails
+ */
+export async function createMessage({ config, system = null, messages, tools = [], onTextDelta = null, onToolUpdate = null, signal = null }) {
+  if (!config.baseUrl) {
+    throw new Error('No server address is set for the OpenAI-compatible provider. Add it in Settings → AI Chat.');
+  }
+  const stream = typeof onTextDelta === 'function';
+
+  const requestBody = {
+    model: config.model,
+    max_tokens: config.maxTokens,
+    messages: toOpenAIMessages(system, messages),
+  };
+  if (stream) {
+    requestBody.stream = true;
+    requestBody.stream_options = { include_usage: true };
+  }
+  if (tools.length > 0) {
+    requestBody.tools = toOpenAITools(tools);
+  }
+
+  const url = endpoint(config.baseUrl, '/chat/completions');
+  logRequest('Chat Completions', url, {
+    ...headers(null),
+    ...(config.apiKey ? { Authorization: `Bearer ${maskApiKey(config.apiKey)}` } : {}),
+  }, requestBody);
+
+  let response;
+  try {
+    response = await (stream ? streamingFetch : fetch)(url, {
+      method: 'POST',
+      headers: headers(config.apiKey),
+      body: JSON.stringify(requestBody),
+      ...(signal ? { signal } : {}),
+    });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    throw new Error(`Could not reach ${config.baseUrl}: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(await getApiErrorMessage(response, config));
+  }
+
+  if (stream) {
+    return await readCompletionStream(response, onTextDelta, onToolUpdate);
+  }
+  const data = await response.json();
+  const message = data.choices?.[0]?.message || {};
+  const toolCalls = (message.tool_calls || []).map(call => ({
+    id: call.id,
+    name: call.function?.name,
+    arguments: call.function?.arguments,
+  }));
+  return {
+    content: toClaudeContent(message.content, toolCalls),
+    stop_reason: STOP_REASONS[data.choices?.[0]?.finish_reason] || 'end_turn',
+    usage: toClaudeUsage(data.usage),
+  };
+}
+
+/**
+ * Checks that the server answers by listing its models
+ * @param {Object} config - { baseUrl, apiKey }
+ * @returns {Promise<{ok: boolean, models?: string[], error?: string}>}
+ */
+export async function testConnection(config) {
+  if (!config.baseUrl) {
+    return { ok: false, error: 'No server address' };
+  }
+  try {
+    const response = await fetch(endpoint(config.baseUrl, '/models'), { headers: headers(config.apiKey) });
+    if (!response.ok) {
+      return { ok: false, error: await getApiErrorMessage(response, config) };
+    }
+    const data = await response.json();
+    return { ok: true, models: (data.data || []).map(model => model.id) };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
@@ -0,0 +1,95 @@
+import { getSetting } from '../../repositories/settings.js';
+import * as anthropic from './anthropic.js';
+import * as openaiCompatible from './openai-compatible.js';
+
+// Device-only settings for the AI chat: which provider and model answer, how long
+// a reply may be, how many rounds of tool use one reply may take, and how many tokens
+// a whole chat may use. The OpenAI-compatible provider also needs the server's address
+// (a local Ollama or llama.cpp server works offline) and, for hosted ones, a key.
+export const AI_PROVIDER_SETTING = 'local_ai_provider';
+export const AI_MODEL_SETTING = 'local_ai_model';
+export const AI_MAX_TOKENS_SETTING = 'local_ai_max_tokens';
+export const AI_MAX_TOOL_ITERATIONS_SETTING = 'local_ai_max_tool_iterations';
+export const AI_TOKEN_BUDGET_SETTING = 'local_ai_token_budget';
+export const AI_BASE_URL_SETTING = 'local_ai_base_url';
+export const AI_API_KEY_SETTING = 'local_ai_api_key';
+
+export const AI_PROVIDERS = {
+  anthropic: {
+    label: 'Anthropic (Claude)',
+    defaultModel: 'claude-sonnet-4-5',
+    client: anthropic,
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultModel: 'llama3.1',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    client: openaiCompatible,
+  },
+};
+export const DEFAULT_AI_PROVIDER = 'anthropic';
+export const DEFAULT_MAX_TOKENS = 1024;
+// Enough for requests like "tag every task in this project", one tool call per round
+export const DEFAULT_MAX_TOOL_ITERATIONS = 25;
+
+/**
+ * Parses a numeric setting (max tokens, tool rounds, token budget)
+ * @param {string|null} value
+ * @returns {number|null} null unless it is a whole number above 0
+ */
+export function parsePositiveInteger(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * The AI chat settings, with defaults filled in
+ * A chat that picked its own provider (chat_sessions.provider) uses it and its model
+ * (chat_sessions.model, or that provider's default); the rest comes from the settings.
+ * tokenBudget is null when chats may use any number of tokens.
+ * @param {Object} [session] - The chat session (repositories/chat.js) the reply is for
+ * @returns {Promise<{provider: string, model: string, maxTokens: number, maxToolIterations: number, tokenBudget: number|null, baseUrl: string|null, apiKey: string|null}>}
+ */
+export async function getAIChatSettings(session = null) {
+  const [provider, model, maxTokens, maxToolIterations, tokenBudget, baseUrl, apiKey] = await Promise.all([
+    getSetting(AI_PROVIDER_SETTING),
+    getSetting(AI_MODEL_SETTING),
+    getSetting(AI_MAX_TOKENS_SETTING),
+    getSetting(AI_MAX_TOOL_ITERATIONS_SETTING),
+    getSetting(AI_TOKEN_BUDGET_SETTING),
+    getSetting(AI_BASE_URL_SETTING),
+    getSetting(AI_API_KEY_SETTING),
+  ]);
+  const chatProvider = AI_PROVIDERS[session?.provider] ? session.provider : null;
+  const providerId = chatProvider || (AI_PROVIDERS[provider] ? provider : DEFAULT_AI_PROVIDER);
+  const modelId = chatProvider ? session.model : model;
+  return {
+    provider: providerId,
+    model: modelId || AI_PROVIDERS[providerId].defaultModel,
+    maxTokens: parsePositiveInteger(maxTokens) || DEFAULT_MAX_TOKENS,
+    maxToolIterations: parsePositiveInteger(maxToolIterations) || DEFAULT_MAX_TOOL_ITERATIONS,
+    tokenBudget: parsePositiveInteger(tokenBudget),
+    baseUrl: baseUrl || AI_PROVIDERS[providerId].defaultBaseUrl || null,
+    apiKey: apiKey || null,
+  };
+}
+
+/**
+ * The client that sends requests for a provider
+ * Each one has createMessage(request), taking and returning Claude-format messages,
+ * and testConnection(config).
+ * @param {string} provider - A key of AI_PROVIDERS
+ * @returns {Object}
+ */
+export function getProviderClient(provider) {
+  return (AI_PROVIDERS[provider] || AI_PROVIDERS[DEFAULT_AI_PROVIDER]).client;
+}
+
+/**
+ * Checks that a provider answers with the given settings
+ * @param {Object} config - As returned by getAIChatSettings()
+ * @returns {Promise<{ok: boolean, models?: string[], error?: string}>}
+ */
+export async function testAIProvider(config) {
+  return await getProviderClient(config.provider).testConnection(config);
+}
@@ -0,0 +1,295 @@
+/**
+ * Markdown format for exporting and importing projects
+ *
+ * Shared with the CLI (see lib/migrations.js): a file exported on one imports on the other.
+ * It has no dependencies: the caller passes descriptionToBlocks / blocksToDescription
+ * (lib/blocks-utils.js).
+ *
+ * One document per project:
+ *
+ *   ---
+ *   project: "Work"
+ *   tags: ["urgent", "deep work"]
+ *   exported_at: "2026-01-05T10:00:00.000Z"
+ *   ---
+ *
+ *   # Work
+ *
+ *   - [ ] Task without a section #urgent
+ *
+ *   ## Section
+ *
+ *   - [x] Completed task
+ *     > A block
+ *     > - [ ] A check block
+ *     > > A toggle
+ *     >   Inside the toggle
+ *     - [ ] Subtask #deep work
+ *
+ * Task lines end with the task's tags, each written as " #name". The
+ * front-matter lists every tag used in the document, which is how tag names
+ * with spaces are told apart from the title. Blocks are quoted under their
+ * task in the same line format the description is stored in, without block
+ * IDs. Several documents can follow each other in one file (a workspace
+ * bundle); each starts with its own front-matter.
+ */
+
+const FRONT_MATTER_FENCE = '---';
+const TASK_LINE = /^( *)- \[([ xX])\] (.*)$/;
+const QUOTE_LINE = /^( *)>(?: (.*))?$/;
+
+/**
+ * File name for a project's document (characters that aren't allowed in file names are replaced)
+ * @param {string} name - Project name
+ * @param {Set<string>} [taken] - Names already used in the same directory; the result is added to it
+ */
+function projectFileName(name, taken = new Set()) {
+  const base = (name || 'Untitled').replace(/[/\\:*?"<>|\u0000-\u001f]/g, '-').trim() || 'Untitled';
+  let fileName = `${base}.md`;
+  for (let n = 2; taken.has(fileName.toLowerCase()); n++) {
+    fileName = `${base} (${n}).md`;
+  }
+  taken.add(fileName.toLowerCase());
+  return fileName;
+}
+
+// The stored line format of blocks (see blocksToDescription), without block IDs
+function renderBlockLines(blocks, depth = 0) {
+  const indent = '  '.repeat(depth);
+  const lines = [];
+  for (const block of blocks) {
+    if (!block || typeof block.content !== 'string') continue;
+    if (block.type === 'toggle') {
+      lines.push(`${indent}> ${block.content}`);
+      lines.push(...renderBlockLines(block.children || [], depth + 1));
+    } else if (block.type === 'check') {
+      lines.push(`${indent}- [${block.checked ? 'x' : ' '}] ${block.content}`);
+    } else {
+      lines.push(block.content ? `${indent}${block.content}` : '');
+    }
+  }
+  return lines;
+}
+
+/**
+ * Render one project as a Markdown document
+ * @param {Object} data
+ * @param {Object} data.project - { name }
+ * @param {Object[]} data.sections - { id, name }, in display order
+ * @param {Object[]} data.tasks - { id, section_id, parent_id, title, description, completed }, in display order
+ * @param {Object<number, string[]>} data.tagsByTask - Tag names per task id
+ * @param {Object} helpers
+ * @param {Function} helpers.descriptionToBlocks
+ * @param {string} [exportedAt] - ISO timestamp for the front-matter
+ * @returns {string}
+ */
+function renderProjectMarkdown({ project, sections, tasks, tagsByTask }, { descriptionToBlocks }, exportedAt = new Date().toISOString()) {
+  const taskIds = new Set(tasks.map(task => task.id));
+  const childrenOf = new Map();
+  for (const task of tasks) {
+    // Subtasks whose parent isn't exported are listed as top-level tasks
+    const parentId = task.parent_id && taskIds.has(task.parent_id) ? task.parent_id : null;
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push(task);
+  }
+
+  const usedTags = [...new Set(tasks.flatMap(task => tagsByTask[task.id] || []))].sort();
+  const lines = [
+    FRONT_MATTER_FENCE,
+    `project: ${JSON.stringify(project.name)}`,
+    `tags: ${JSON.stringify(usedTags)}`,
+    `exported_at: ${JSON.stringify(exportedAt)}`,
+    FRONT_MATTER_FENCE,
+    '',
+    `# ${project.name}`,
+  ];
+
+  const renderTask = (task, depth) => {
+    const indent = '  '.repeat(depth);
+    const tags = (tagsByTask[task.id] || []).map(name => ` #${name}`).join('');
+    lines.push(`${indent}- [${task.completed ? 'x' : ' '}] ${task.title}${tags}`);
+    for (const blockLine of renderBlockLines(descriptionToBlocks(task.description))) {
+      lines.push(blockLine ? `${indent}  > ${blockLine}` : `${indent}  >`);
+    }
+    for (const child of childrenOf.get(task.id) || []) {
+      renderTask(child, depth + 1);
+    }
+  };
+
+  const sectionIds = new Set(sections.map(section => section.id));
+  const topLevel = childrenOf.get(null) || [];
+  const unsectioned = topLevel.filter(task => !sectionIds.has(task.section_id));
+  if (unsectioned.length > 0) {
+    lines.push('');
+    unsectioned.forEach(task => renderTask(task, 0));
+  }
+  for (const section of sections) {
+    lines.push('', `## ${section.name}`);
+    const sectionTasks = topLevel.filter(task => task.section_id === section.id);
+    if (sectionTasks.length > 0) {
+      lines.push('');
+      sectionTasks.forEach(task => renderTask(task, 0));
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function parseFrontMatterValue(raw) {
+  const value = raw.trim();
+  if (/^["[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+  return value;
+}
+
+// Split "Title #a #b" into the title and the tags, matching only declared tag names (longest first)
+function splitTitleTags(text, knownTags) {
+  const tags = [];
+  let title = text.trimEnd();
+  const candidates = [...knownTags].sort((a, b) => b.length - a.length);
+  for (;;) {
+    const tag = candidates.find(name => title.endsWith(` #${name}`) || title === `#${name}`);
+    if (!tag) break;
+    tags.unshift(tag);
+    title = title.slice(0, Math.max(0, title.length - tag.length - 2)).trimEnd();
+  }
+  return { title, tags };
+}
+
+/**
+ * Parse a Markdown file with one or more project documents
+ * Files without front-matter are one project, named by their first "# " heading
+ * or by defaultProjectName. Tags are only recognised when declared in the front-matter.
+ * @param {string} text
+ * @param {Object} helpers
+ * @param {Function} helpers.descriptionToBlocks
+ * @param {Function} helpers.blocksToDescription
+ * @param {string} [defaultProjectName] - Usually the file name
+ * @returns {Array<{ name: string, sections: Array<{ name: string, tasks: Object[] }> }>}
+ *   Each section's tasks are trees: { title, completed, description, tags, children }.
+ *   Tasks before the first "## " heading are in a section with name null.
+ */
+function parseMarkdownProjects(text, { descriptionToBlocks, blocksToDescription }, defaultProjectName = 'Imported') {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const projects = [];
+  let project = null;
+  let section = null;
+  let knownTags = [];
+  let stack = []; // { task, indent }
+  let quoted = null; // { task, lines }
+
+  const finishQuote = () => {
+    if (!quoted) return;
+    const description = blocksToDescription(descriptionToBlocks(quoted.lines.join('\n')));
+    quoted.task.description = description || null;
+    quoted = null;
+  };
+
+  const startProject = (name) => {
+    finishQuote();
+    project = { name, sections: [] };
+    section = { name: null, tasks: [] };
+    project.sections.push(section);
+    projects.push(project);
+    stack = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.trim() === FRONT_MATTER_FENCE) {
+      const meta = {};
+      let j = i + 1;
+      for (; j < lines.length && lines[j].trim() !== FRONT_MATTER_FENCE; j++) {
+        const match = lines[j].match(/^([A-Za-z_]+):\s*(.*)$/);
+        if (match) meta[match[1]] = parseFrontMatterValue(match[2]);
+      }
+      startProject(typeof meta.project === 'string' && meta.project ? meta.project : null);
+      knownTags = Array.isArray(meta.tags) ? meta.tags.filter(tag => typeof tag === 'string' && tag) : [];
+      i = j;
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,2}) (.+)$/);
+    if (heading) {
+      if (!project) startProject(null);
+      finishQuote();
+      stack = [];
+      if (heading[1] === '#') {
+        project.name = project.name || heading[2].trim();
+      } else {
+        section = { name: heading[2].trim(), tasks: [] };
+        project.sections.push(section);
+      }
+      continue;
+    }
+
+    const quote = line.match(QUOTE_LINE);
+    if (quote && stack.length > 0) {
+      // Quoted blocks belong to the nearest task indented less than the quote
+      const owner = [...stack].reverse().find(entry => entry.indent < quote[1].length);
+      if (owner) {
+        if (!quoted || quoted.task !== owner.task) {
+          finishQuote();
+          quoted = { task: owner.task, lines: [] };
+        }
+        quoted.lines.push(quote[2] || '');
+        continue;
+      }
+    }
+
+    const taskLine = line.match(TASK_LINE);
+    if (taskLine) {
+      if (!project) startProject(null);
+      finishQuote();
+      const indent = taskLine[1].length;
+      const { title, tags } = splitTitleTags(taskLine[3], knownTags);
+      const task = { title, completed: taskLine[2] !== ' ', description: null, tags, children: [] };
+      while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+        stack.pop();
+      }
+      if (stack.length > 0) {
+        stack[stack.length - 1].task.children.push(task);
+      } else {
+        section.tasks.push(task);
+      }
+      stack.push({ task, indent });
+      continue;
+    }
+
+    if (line.trim() !== '') {
+      // Anything else ends the current task's blocks
+      finishQuote();
+    }
+  }
+  finishQuote();
+
+  // Documents with no name of their own are only kept when they have content
+  return projects
+    .map(parsed => ({
+      name: parsed.name || defaultProjectName,
+      named: !!parsed.name,
+      sections: parsed.sections.filter(entry => entry.name !== null || entry.tasks.length > 0),
+    }))
+    .filter(parsed => parsed.named || parsed.sections.length > 0)
+    .map(({ name, sections }) => ({ name, sections }));
+}
+
+/**
+ * Number of tasks in parsed task trees (subtasks included)
+ */
+function countTasks(tasks) {
+  return tasks.reduce((sum, task) => sum + 1 + countTasks(task.children), 0);
+}
+
+module.exports = {
+  projectFileName,
+  renderProjectMarkdown,
+  parseMarkdownProjects,
+  countTasks,
+};
@@ -0,0 +1,140 @@
+import { createProject, getAllProjects, getProjectById } from '../repositories/projects.js';
+import { createSection, getSectionsByProjectId } from '../repositories/sections.js';
+import { getOrCreateTag } from '../repositories/tags.js';
+import { addTagToTask, createTask, getTagsForTasks, getTasksByProjectId, moveTask, updateTask } from '../repositories/tasks.js';
+import { blocksToDescription, descriptionToBlocks } from './blocks-utils.js';
+import { parseImport } from './import-formats.js';
+import { projectFileName, renderProjectMarkdown } from './markdown-format.js';
+import { newBatchId } from './task-history.js';
+
+const blockHelpers = { descriptionToBlocks, blocksToDescription };
+
+/**
+ * Export one project as Markdown (format: lib/markdown-format.js)
+ * @param {number} projectId
+ * @param {Set<string>} [taken] - File names already used by the same export
+ * @returns {Promise<{ fileName: string, markdown: string }>}
+ */
+export async function exportProjectMarkdown(projectId, taken = new Set()) {
+  const project = await getProjectById(projectId);
+  if (!project) {
+    throw new Error(`Project ${projectId} not found`);
+  }
+  const sections = await getSectionsByProjectId(projectId);
+  // In the order of the list (see lib/sort-keys.js)
+  const tasks = await getTasksByProjectId(projectId);
+  const tagRows = await getTagsForTasks(tasks.map(task => task.id));
+  const tagsByTask = {};
+  for (const [taskId, tags] of Object.entries(tagRows)) {
+    tagsByTask[taskId] = tags.map(tag => tag.name);
+  }
+
+  return {
+    fileName: projectFileName(project.name, taken),
+    markdown: renderProjectMarkdown({ project, sections, tasks, tagsByTask }, blockHelpers),
+  };
+}
+
+/**
+ * Export every project, one document each
+ * @returns {Promise<Array<{ fileName: string, markdown: string }>>}
+ */
+export async function exportWorkspaceMarkdown() {
+  const taken = new Set();
+  const files = [];
+  for (const project of await getAllProjects()) {
+    files.push(await exportProjectMarkdown(project.id, taken));
+  }
+  return files;
+}
+
+/**
+ * Parse an import in any supported format without touching the database (format: lib/import-formats.js)
+ * @param {string} text
+ * @param {Object} [options] - { format, fileName, defaultProjectName, columns }, see parseImport
+ * @returns {Array<{ name: string, sections: Object[] }>}
+ */
+export function parseImportText(text, options = {}) {
+  return parseImport(text, blockHelpers, options);
+}
+
+/**
+ * Write parsed projects to the database
+ * Projects and sections are matched by name and created when missing; tasks are always added.
+ * @param {Array<{ name: string, sections: Object[] }>} parsed - From parseImportText
+ * @returns {Promise<{ projects: number, sections: number, tasks: number, tags: number }>}
+ *   Projects, sections and tasks created, and distinct tags applied
+ */
+export async function importProjects(parsed) {
+  if (parsed.length === 0) {
+    throw new Error('No projects or tasks found to import');
+  }
+
+  const summary = { projects: 0, sections: 0, tasks: 0, tags: 0 };
+  const tagIds = new Map();
+  // The whole import is one history batch, so a single undo takes every imported task back out
+  const history = { batchId: newBatchId() };
+  const existingProjects = await getAllProjects();
+
+  const importTasks = async (tasks, projectId, sectionId, parentId) => {
+    let previousId = null;
+    for (const entry of tasks) {
+      const schedule = entry.due_at ? { due_at: entry.due_at } : {};
+      const task = await createTask(projectId, entry.title, entry.description, sectionId, parentId, schedule, history);
+      if (previousId && !parentId) {
+        // New tasks go on top of the list; keep them in the order of the file
+        await moveTask(task.id, { afterId: previousId }, history);
+      }
+      previousId = task.id;
+      if (entry.completed) {
+        await updateTask(task.id, { completed: true }, history);
+      }
+      for (const name of entry.tags) {
+        if (!tagIds.has(name)) {
+          tagIds.set(name, (await getOrCreateTag(name)).id);
+          summary.tags++;
+        }
+        await addTagToTask(task.id, tagIds.get(name), history);
+      }
+      summary.tasks++;
+      await importTasks(entry.children, projectId, sectionId, task.id);
+    }
+  };
+
+  for (const entry of parsed) {
+    let project = existingProjects.find(existing => existing.name === entry.name);
+    if (!project) {
+      project = await createProject(entry.name);
+      existingProjects.push(project);
+      summary.projects++;
+    }
+
+    const sections = await getSectionsByProjectId(project.id);
+    for (const sectionEntry of entry.sections) {
+      let sectionId = null;
+      if (sectionEntry.name !== null) {
+        let section = sections.find(existing => existing.name === sectionEntry.name);
+        if (!section) {
+          section = await createSection(project.id, sectionEntry.name);
+          sections.push(section);
+          summary.sections++;
+        }
+        sectionId = section.id;
+      }
+      await importTasks(sectionEntry.tasks, project.id, sectionId, null);
+    }
+  }
+
+  console.log(`📥 Imported ${summary.tasks} tasks into ${parsed.length} project(s)`);
+  return summary;
+}
+
+/**
+ * Import Markdown exported by the app or `prod export` (one or more project documents)
+ * @param {string} markdown
+ * @param {string} [defaultProjectName] - For documents without front-matter or "# " heading
+ * @returns {Promise<{ projects: number, sections: number, tasks: number, tags: number }>}
+ */
+export async function importMarkdown(markdown, defaultProjectName = 'Imported') {
+  return await importProjects(parseImportText(markdown, { format: 'markdown', defaultProjectName }));
+}
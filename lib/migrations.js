@@ -0,0 +1,620 @@
+/**
+ * Versioned schema migrations shared by the Expo app and the CLI
+ *
+ * This file is CommonJS on purpose: the app imports it through Metro and the
+ * CLI requires it directly from Node, so both apply exactly the same list. The
+ * same goes for every module in lib/ that the CLI requires (its `require` calls
+ * into ../../../lib): they use module.exports, import nothing app-only (Expo,
+ * React Native, the '@/' alias), and take what differs per platform (database,
+ * hashing, crypto) as arguments from the caller.
+ *
+ * The applied version is stored in `PRAGMA user_version`. Each migration runs
+ * in its own transaction and bumps user_version when it commits.
+ *
+ * Databases created before versioning (user_version = 0) come in several
+ * shapes (old app builds, the CLI's own reduced schema), so migration steps
+ * are idempotent: tables/indexes use IF NOT EXISTS and `addColumn` steps are
+ * skipped when the column is already there.
+ *
+ * Rules for new migrations:
+ *   - Append to the end with the next version number; never edit or reorder
+ *     a migration that has shipped.
+ *   - Steps are either { sql } or { addColumn: { table, column, type } }.
+ *   - ALTER TABLE ADD COLUMN can't use non-constant defaults such as
+ *     CURRENT_TIMESTAMP, so added timestamp columns have no default.
+ */
+
+// SQL for the sort key (see lib/sort-keys.js) of position `expression`: 'd' and four base-62 digits
+function sortKeySql(expression) {
+  const digit = divisor => `substr('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz', (${expression}) / ${divisor} % 62 + 1, 1)`;
+  return `'d' || ${digit(238328)} || ${digit(3844)} || ${digit(62)} || ${digit(1)}`;
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'core_tables',
+    steps: [
+      {
+        sql: `CREATE TABLE IF NOT EXISTS projects (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          default_section_id INTEGER,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          sync_status TEXT DEFAULT 'pending',
+          deleted_at DATETIME,
+          FOREIGN KEY (default_section_id) REFERENCES sections(id)
+        )`,
+      },
+      { addColumn: { table: 'projects', column: 'updated_at', type: 'DATETIME' } },
+      { addColumn: { table: 'projects', column: 'sync_status', type: "TEXT DEFAULT 'pending'" } },
+      { addColumn: { table: 'projects', column: 'deleted_at', type: 'DATETIME' } },
+      { addColumn: { table: 'projects', column: 'default_section_id', type: 'INTEGER' } },
+      {
+        sql: `CREATE TABLE IF NOT EXISTS sections (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          project_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          sync_status TEXT DEFAULT 'pending',
+          deleted_at DATETIME,
+          FOREIGN KEY (project_id) REFERENCES projects(id)
+        )`,
+      },
+      { addColumn: { table: 'sections', column: 'updated_at', type: 'DATETIME' } },
+      { addColumn: { table: 'sections', column: 'sync_status', type: "TEXT DEFAULT 'pending'" } },
+      { addColumn: { table: 'sections', column: 'deleted_at', type: 'DATETIME' } },
+      {
+        sql: `CREATE TABLE IF NOT EXISTS tasks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          project_id INTEGER NOT NULL,
+          section_id INTEGER,
+          parent_id INTEGER,
+          title TEXT NOT NULL,
+          description TEXT,
+          completed INTEGER DEFAULT 0,
+          is_expanded INTEGER DEFAULT 0,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          sync_status TEXT DEFAULT 'pending',
+          deleted_at DATETIME,
+          FOREIGN KEY (project_id) REFERENCES projects(id),
+          FOREIGN KEY (section_id) REFERENCES sections(id),
+          FOREIGN KEY (parent_id) REFERENCES tasks(id)
+        )`,
+      },
+      { addColumn: { table: 'tasks', column: 'completed', type: 'INTEGER DEFAULT 0' } },
+      { addColumn: { table: 'tasks', column: 'updated_at', type: 'DATETIME' } },
+      { addColumn: { table: 'tasks', column: 'sync_status', type: "TEXT DEFAULT 'pending'" } },
+      { addColumn: { table: 'tasks', column: 'deleted_at', type: 'DATETIME' } },
+      { addColumn: { table: 'tasks', column: 'section_id', type: 'INTEGER' } },
+      { addColumn: { table: 'tasks', column: 'parent_id', type: 'INTEGER' } },
+      { addColumn: { table: 'tasks', column: 'is_expanded', type: 'INTEGER DEFAULT 0' } },
+      {
+        sql: `CREATE TABLE IF NOT EXISTS tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          sync_status TEXT DEFAULT 'pending',
+          deleted_at DATETIME
+        )`,
+      },
+      { addColumn: { table: 'tags', column: 'created_at', type: 'DATETIME' } },
+      { addColumn: { table: 'tags', column: 'updated_at', type: 'DATETIME' } },
+      { addColumn: { table: 'tags', column: 'sync_status', type: "TEXT DEFAULT 'pending'" } },
+      { addColumn: { table: 'tags', column: 'deleted_at', type: 'DATETIME' } },
+      {
+        sql: `CREATE TABLE IF NOT EXISTS task_tags (
+          task_id INTEGER NOT NULL,
+          tag_id INTEGER NOT NULL,
+          PRIMARY KEY (task_id, tag_id),
+          FOREIGN KEY (task_id) REFERENCES tasks(id),
+          FOREIGN KEY (tag_id) REFERENCES tags(id)
+        )`,
+      },
+    ],
+  },
+  {
+    version: 2,
+    name: 'settings_and_sync_tables',
+    steps: [
+      {
+        sql: `CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+      },
+      {
+        sql: `CREATE TABLE IF NOT EXISTS sync_metadata (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          table_name TEXT NOT NULL,
+          record_id INTEGER NOT NULL,
+          last_modified DATETIME DEFAULT CURRENT_TIMESTAMP,
+          sync_status TEXT DEFAULT 'pending',
+          supabase_id TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(table_name, record_id)
+        )`,
+      },
+      {
+        sql: `CREATE TABLE IF NOT EXISTS sync_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sync_type TEXT NOT NULL,
+          status TEXT NOT NULL,
+          message TEXT,
+          records_synced INTEGER DEFAULT 0,
+          error_details TEXT,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          completed_at DATETIME
+        )`,
+      },
+    ],
+  },
+  {
+    version: 3,
+    name: 'chat_tables',
+    steps: [
+      {
+        sql: `CREATE TABLE IF NOT EXISTS chat_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT,
+          context_task_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (context_task_id) REFERENCES tasks(id)
+        )`,
+      },
+      {
+        sql: `CREATE TABLE IF NOT EXISTS chat_messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id INTEGER NOT NULL,
+          role TEXT NOT NULL,
+          content TEXT NOT NULL,
+          is_error INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (session_id) REFERENCES chat_sessions(id) ON DELETE CASCADE
+        )`,
+      },
+    ],
+  },
+  {
+    version: 4,
+    name: 'filter_tables',
+    steps: [
+      {
+        sql: `CREATE TABLE IF NOT EXISTS filters (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          icon TEXT DEFAULT 'filter-outline',
+          color TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          sync_status TEXT DEFAULT 'pending',
+          deleted_at DATETIME
+        )`,
+      },
+      {
+        sql: `CREATE TABLE IF NOT EXISTS filter_tags (
+          filter_id INTEGER NOT NULL,
+          tag_id INTEGER NOT NULL,
+          PRIMARY KEY (filter_id, tag_id),
+          FOREIGN KEY (filter_id) REFERENCES filters(id) ON DELETE CASCADE,
+          FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+        )`,
+      },
+      {
+        sql: `CREATE TABLE IF NOT EXISTS filter_projects (
+          filter_id INTEGER NOT NULL,
+          project_id INTEGER NOT NULL,
+          PRIMARY KEY (filter_id, project_id),
+          FOREIGN KEY (filter_id) REFERENCES filters(id) ON DELETE CASCADE,
+          FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+        )`,
+      },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_filter_tags_filter_id ON filter_tags(filter_id)' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_filter_tags_tag_id ON filter_tags(tag_id)' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_filter_projects_filter_id ON filter_projects(filter_id)' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_filter_projects_project_id ON filter_projects(project_id)' },
+    ],
+  },
+  {
+    version: 5,
+    name: 'task_schedule',
+    steps: [
+      { addColumn: { table: 'tasks', column: 'due_at', type: 'DATETIME' } },
+      { addColumn: { table: 'tasks', column: 'start_at', type: 'DATETIME' } },
+      { addColumn: { table: 'tasks', column: 'recurrence', type: 'TEXT' } },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_tasks_due_at ON tasks(due_at)' },
+    ],
+  },
+  {
+    version: 6,
+    name: 'filter_query',
+    steps: [
+      { addColumn: { table: 'filters', column: 'query', type: 'TEXT' } },
+    ],
+  },
+  {
+    version: 7,
+    name: 'tasks_search_index',
+    steps: [
+      // rowid = task id; rows are maintained by the task repository
+      {
+        sql: `CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(
+          title,
+          body,
+          tokenize = 'unicode61 remove_diacritics 2'
+        )`,
+      },
+    ],
+  },
+  {
+    version: 8,
+    name: 'sync_settings_and_chat',
+    steps: [
+      { addColumn: { table: 'settings', column: 'sync_status', type: "TEXT DEFAULT 'pending'" } },
+      { addColumn: { table: 'settings', column: 'deleted_at', type: 'DATETIME' } },
+      { addColumn: { table: 'chat_sessions', column: 'sync_status', type: "TEXT DEFAULT 'pending'" } },
+      { addColumn: { table: 'chat_sessions', column: 'deleted_at', type: 'DATETIME' } },
+      { addColumn: { table: 'chat_messages', column: 'updated_at', type: 'DATETIME' } },
+      { addColumn: { table: 'chat_messages', column: 'sync_status', type: "TEXT DEFAULT 'pending'" } },
+      { addColumn: { table: 'chat_messages', column: 'deleted_at', type: 'DATETIME' } },
+      { sql: 'UPDATE chat_messages SET updated_at = created_at WHERE updated_at IS NULL' },
+    ],
+  },
+  {
+    version: 9,
+    name: 'task_merge_base',
+    steps: [
+      // Description as of the last successful sync: the base for block-level merges
+      { addColumn: { table: 'tasks', column: 'synced_description', type: 'TEXT' } },
+      { sql: "UPDATE tasks SET synced_description = description WHERE sync_status = 'synced' AND synced_description IS NULL" },
+    ],
+  },
+  {
+    version: 10,
+    name: 'sync_conflicts',
+    steps: [
+      // Device-only: versions that lost a sync collision, kept until the user resolves them.
+      // local_data / remote_data / base_data are JSON snapshots of the row (tasks include tag names).
+      {
+        sql: `CREATE TABLE IF NOT EXISTS sync_conflicts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          table_name TEXT NOT NULL,
+          record_id TEXT NOT NULL,
+          local_data TEXT,
+          remote_data TEXT,
+          base_data TEXT,
+          block_conflicts TEXT,
+          detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          resolved_at DATETIME,
+          resolution TEXT
+        )`,
+      },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_sync_conflicts_open ON sync_conflicts(resolved_at, table_name, record_id)' },
+    ],
+  },
+  {
+    version: 11,
+    name: 'sync_outbox',
+    steps: [
+      // Device-only queue of records to push, in the order they were first changed.
+      // One row per record; failed pushes back off (next_attempt_at) and stop at status 'dead'.
+      {
+        sql: `CREATE TABLE IF NOT EXISTS sync_outbox (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          table_name TEXT NOT NULL,
+          record_id TEXT NOT NULL,
+          operation TEXT NOT NULL DEFAULT 'upsert',
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(table_name, record_id)
+        )`,
+      },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_sync_outbox_status ON sync_outbox(status, next_attempt_at)' },
+      // Queue what is already waiting to push. Pushes that failed before the outbox existed
+      // stayed 'failed' for good, so they are queued again too.
+      ...['projects', 'sections', 'tags', 'tasks', 'filters', 'chat_sessions', 'chat_messages', 'settings'].flatMap(table => {
+        const key = table === 'settings' ? 'key' : 'id';
+        const scope = table === 'settings' ? " AND substr(key, 1, 6) != 'local_'" : '';
+        return [
+          { sql: `UPDATE ${table} SET sync_status = 'pending' WHERE sync_status = 'failed'` },
+          {
+            sql: `INSERT OR IGNORE INTO sync_outbox (table_name, record_id, operation)
+              SELECT '${table}', CAST(${key} AS TEXT), CASE WHEN sync_status = 'pending_delete' THEN 'delete' ELSE 'upsert' END
+              FROM ${table} WHERE sync_status IN ('pending', 'pending_delete')${scope} ORDER BY rowid`,
+          },
+        ];
+      }),
+    ],
+  },
+  {
+    version: 12,
+    name: 'sync_log_trigger',
+    steps: [
+      // What started a sync run (manual, write, foreground, interval, ...); see repositories/sync-log.js
+      { addColumn: { table: 'sync_log', column: 'triggered_by', type: 'TEXT' } },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_sync_log_started ON sync_log(status, started_at)' },
+    ],
+  },
+  {
+    version: 13,
+    name: 'sync_log_details',
+    steps: [
+      { addColumn: { table: 'sync_log', column: 'duration_ms', type: 'INTEGER' } },
+      // JSON: { [table]: { pushed, pulled, failed } }
+      { addColumn: { table: 'sync_log', column: 'table_counts', type: 'TEXT' } },
+      // Records (or whole tables, record_id NULL) that failed during a run
+      {
+        sql: `CREATE TABLE IF NOT EXISTS sync_log_failures (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sync_log_id INTEGER NOT NULL,
+          table_name TEXT NOT NULL,
+          record_id TEXT,
+          operation TEXT,
+          error TEXT,
+          attempts INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (sync_log_id) REFERENCES sync_log(id) ON DELETE CASCADE
+        )`,
+      },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_sync_log_failures_run ON sync_log_failures(sync_log_id)' },
+    ],
+  },
+  {
+    version: 14,
+    name: 'sync_metadata_pull_cursors',
+    steps: [
+      // The per-record sync_metadata from version 1 was never written; it becomes one row per
+      // synced table holding the pull cursor (see lib/sync/syncpull/shared/pull-cursor.js).
+      { sql: 'DROP TABLE IF EXISTS sync_metadata' },
+      {
+        sql: `CREATE TABLE IF NOT EXISTS sync_metadata (
+          table_name TEXT PRIMARY KEY,
+          backend TEXT NOT NULL,
+          cursor_kind TEXT NOT NULL,
+          pull_cursor TEXT NOT NULL,
+          pulled_at DATETIME
+        )`,
+      },
+    ],
+  },
+  {
+    version: 15,
+    name: 'task_history',
+    steps: [
+      // Device-only, append-only log of task changes for the timeline and undo/redo
+      // (see lib/task-history.js). changes is JSON: { [field]: [before, after] }.
+      // Rows of one user action share batch_id; undone_at is the only column ever updated.
+      {
+        sql: `CREATE TABLE IF NOT EXISTS task_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          batch_id TEXT NOT NULL,
+          task_id INTEGER NOT NULL,
+          action TEXT NOT NULL,
+          changes TEXT NOT NULL,
+          source TEXT,
+          reverts_batch_id TEXT,
+          undone_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+      },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_task_history_task ON task_history(task_id, id)' },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_task_history_batch ON task_history(batch_id)' },
+    ],
+  },
+  {
+    version: 16,
+    name: 'trashed_task_tags',
+    steps: [
+      // Device-only: task_tags rows removed when a task or tag went to the trash, so
+      // restoring either puts its tags back (see lib/trash.js). No foreign keys: the
+      // task or tag may be purged first, and the next purge drops the leftover rows.
+      {
+        sql: `CREATE TABLE IF NOT EXISTS trashed_task_tags (
+          task_id INTEGER NOT NULL,
+          tag_id INTEGER NOT NULL,
+          PRIMARY KEY (task_id, tag_id)
+        )`,
+      },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_trashed_task_tags_tag ON trashed_task_tags(tag_id)' },
+    ],
+  },
+  {
+    version: 17,
+    name: 'sort_keys',
+    steps: [
+      // Manual order (see lib/sort-keys.js); synced like the other columns
+      { addColumn: { table: 'projects', column: 'sort_key', type: 'TEXT' } },
+      { addColumn: { table: 'sections', column: 'sort_key', type: 'TEXT' } },
+      { addColumn: { table: 'tasks', column: 'sort_key', type: 'TEXT' } },
+      // Keys made from ids keep the order lists had (top-level tasks newest first,
+      // everything else oldest first) and are the same on every device
+      { sql: `UPDATE projects SET sort_key = ${sortKeySql('id')} WHERE sort_key IS NULL` },
+      { sql: `UPDATE sections SET sort_key = ${sortKeySql('id')} WHERE sort_key IS NULL` },
+      // 14776335 = 62^4 - 1, the largest four-digit position
+      { sql: `UPDATE tasks SET sort_key = ${sortKeySql('14776335 - id')} WHERE sort_key IS NULL AND parent_id IS NULL` },
+      { sql: `UPDATE tasks SET sort_key = ${sortKeySql('id')} WHERE sort_key IS NULL AND parent_id IS NOT NULL` },
+      { sql: 'CREATE INDEX IF NOT EXISTS idx_tasks_sort_key ON tasks(project_id, parent_id, sort_key)' },
+    ],
+  },
+  {
+    version: 18,
+    name: 'chat_token_usage',
+    steps: [
+      // Tokens an AI reply used, on the assistant message (NULL: not recorded), and the
+      // session's running total, which the per-chat budget is checked against (see
+      // repositories/chat.js). Synced like the other chat columns.
+      { addColumn: { table: 'chat_messages', column: 'input_tokens', type: 'INTEGER' } },
+      { addColumn: { table: 'chat_messages', column: 'output_tokens', type: 'INTEGER' } },
+      { addColumn: { table: 'chat_sessions', column: 'input_tokens', type: 'INTEGER DEFAULT 0' } },
+      { addColumn: { table: 'chat_sessions', column: 'output_tokens', type: 'INTEGER DEFAULT 0' } },
+    ],
+  },
+  {
+    version: 19,
+    name: 'chat_session_model',
+    steps: [
+      // Provider and model that answer in a chat, chosen in the chat (NULL: the ones from the
+      // AI Chat settings; see lib/llm/providers.js). Synced like the other chat columns.
+      { addColumn: { table: 'chat_sessions', column: 'provider', type: 'TEXT' } },
+      { addColumn: { table: 'chat_sessions', column: 'model', type: 'TEXT' } },
+    ],
+  },
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Read the schema version of a database
+ * @param {Object} db - Database with the expo-sqlite async interface (getFirstAsync)
+ * @returns {Promise<number>} Value of PRAGMA user_version
+ */
+async function getSchemaVersion(db) {
+  const row = await db.getFirstAsync('PRAGMA user_version');
+  return row ? Number(row.user_version) || 0 : 0;
+}
+
+/**
+ * Check whether a table exists
+ */
+async function tableExists(db, table) {
+  const row = await db.getFirstAsync(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+    [table]
+  );
+  return !!row;
+}
+
+/**
+ * Check whether a column exists on a table
+ */
+async function columnExists(db, table, column) {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${table})`);
+  return columns.some(col => col.name === column);
+}
+
+/**
+ * Column names declared in a CREATE TABLE statement (used to plan dry runs)
+ */
+function declaredColumns(createSql) {
+  const body = createSql.slice(createSql.indexOf('(') + 1, createSql.lastIndexOf(')'));
+  return body
+    .split('\n')
+    .map(line => line.trim().match(/^(\w+)\s/))
+    .filter(match => match && !['FOREIGN', 'PRIMARY', 'UNIQUE', 'CHECK'].includes(match[1].toUpperCase()))
+    .map(match => match[1]);
+}
+
+/**
+ * Human-readable description of a migration step
+ * @param {Object} step - Migration step
+ * @returns {string} One-line description
+ */
+function describeStep(step) {
+  if (step.addColumn) {
+    const { table, column, type } = step.addColumn;
+    return `ALTER TABLE ${table} ADD COLUMN ${column} ${type}`;
+  }
+  // Table definitions are long; the statement up to the column list is enough to identify them
+  const sql = step.sql.replace(/\s+/g, ' ').trim();
+  return /^CREATE (VIRTUAL )?TABLE/i.test(sql) ? sql.slice(0, sql.indexOf('(')).trim() : sql;
+}
+
+/**
+ * Apply (or, with dryRun, only plan) all migrations newer than the database's version
+ * @param {Object} db - Database with the expo-sqlite async interface
+ *                      (getFirstAsync, getAllAsync, execAsync)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report what would run without changing anything
+ * @param {Function} [options.log] - Logger (defaults to console.log)
+ * @returns {Promise<Object>} { fromVersion, toVersion, latestVersion, dryRun, migrations: [{ version, name, steps: [{ description, skipped }] }] }
+ * @throws {Error} If a migration fails (its transaction is rolled back)
+ */
+async function migrate(db, { dryRun = false, log = console.log } = {}) {
+  const fromVersion = await getSchemaVersion(db);
+  const pending = MIGRATIONS.filter(m => m.version > fromVersion);
+  const plan = [];
+  // Dry runs don't create anything, so remember which tables the plan would create
+  const plannedTables = new Map();
+
+  if (fromVersion > LATEST_VERSION) {
+    log(`⚠️ Database schema version ${fromVersion} is newer than this build knows about (${LATEST_VERSION})`);
+  }
+
+  for (const migration of pending) {
+    const steps = [];
+    log(`${dryRun ? '🔍 Would apply' : '🔄 Applying'} migration ${migration.version} (${migration.name})`);
+
+    if (!dryRun) {
+      await db.execAsync('BEGIN');
+    }
+
+    try {
+      for (const step of migration.steps) {
+        const description = describeStep(step);
+        let skipped = false;
+
+        if (step.addColumn) {
+          const { table, column, type } = step.addColumn;
+          if (plannedTables.has(table)) {
+            skipped = plannedTables.get(table).includes(column);
+            plannedTables.get(table).push(column);
+          } else {
+            skipped = await columnExists(db, table, column);
+          }
+          if (!skipped && !dryRun) {
+            await db.execAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+          }
+        } else {
+          const created = step.sql.match(/^CREATE (?:VIRTUAL )?TABLE IF NOT EXISTS (\w+)/);
+          if (created) {
+            skipped = plannedTables.has(created[1]) || await tableExists(db, created[1]);
+            if (!skipped && dryRun) {
+              plannedTables.set(created[1], declaredColumns(step.sql));
+            }
+          }
+          if (!skipped && !dryRun) {
+            await db.execAsync(step.sql);
+          }
+        }
+
+        steps.push({ description, skipped });
+      }
+
+      if (!dryRun) {
+        await db.execAsync(`PRAGMA user_version = ${migration.version}`);
+        await db.execAsync('COMMIT');
+        log(`✅ Migration ${migration.version} applied`);
+      }
+    } catch (error) {
+      if (!dryRun) {
+        await db.execAsync('ROLLBACK');
+      }
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+
+    plan.push({ version: migration.version, name: migration.name, steps });
+  }
+
+  return {
+    fromVersion,
+    toVersion: dryRun || pending.length === 0 ? fromVersion : pending[pending.length - 1].version,
+    latestVersion: LATEST_VERSION,
+    dryRun,
+    migrations: plan,
+  };
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  getSchemaVersion,
+  describeStep,
+  migrate,
+};
@@ -0,0 +1,332 @@
+/**
+ * Utility functions for working with task recurrence rules and due/start dates
+ *
+ * Shared with the CLI (see lib/migrations.js).
+ *
+ * Rules use a subset of the iCalendar RRULE syntax, e.g.
+ *   FREQ=DAILY
+ *   FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH
+ *   FREQ=MONTHLY;BYMONTHDAY=15;COUNT=6
+ *   FREQ=YEARLY;UNTIL=20271231
+ *
+ * MONTHLY and YEARLY rules without a day get the day of the occurrence they
+ * advance from written into them (BYMONTHDAY, plus BYMONTH for YEARLY), so a
+ * task due on the 31st comes back on the 31st after a shorter month.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an UNTIL value (YYYYMMDD, YYYYMMDDTHHMMSSZ or ISO string) to a Date
+ * @param {string} value - The raw UNTIL value
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseUntil(value) {
+  const compact = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (compact) {
+    const [, y, m, d, hh = '23', mm = '59', ss = '59'] = compact;
+    return new Date(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss));
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse a recurrence rule string into its parts
+ * @param {string|null|undefined} rule - RRULE-style string (optionally prefixed with "RRULE:")
+ * @returns {Object|null} Parsed rule ({ freq, interval, byDay, byMonth, byMonthDay, count, until }) or null if invalid
+ */
+function parseRecurrence(rule) {
+  if (!rule || typeof rule !== 'string') return null;
+
+  const body = rule.trim().replace(/^RRULE:/i, '');
+  if (!body) return null;
+
+  const parsed = {
+    freq: null,
+    interval: 1,
+    byDay: [],
+    byMonth: null,
+    byMonthDay: null,
+    count: null,
+    until: null,
+  };
+
+  for (const part of body.split(';')) {
+    if (!part.trim()) continue;
+    const [rawKey, rawValue] = part.split('=');
+    const key = (rawKey || '').trim().toUpperCase();
+    const value = (rawValue || '').trim().toUpperCase();
+    if (!value) return null;
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) return null;
+        parsed.freq = value;
+        break;
+      case 'INTERVAL': {
+        const interval = parseInt(value, 10);
+        if (!Number.isInteger(interval) || interval < 1) return null;
+        parsed.interval = interval;
+        break;
+      }
+      case 'BYDAY': {
+        const days = value.split(',').map(d => d.trim());
+        if (days.some(d => !WEEKDAYS.includes(d))) return null;
+        parsed.byDay = days;
+        break;
+      }
+      case 'BYMONTH': {
+        const month = parseInt(value, 10);
+        if (!Number.isInteger(month) || month < 1 || month > 12) return null;
+        parsed.byMonth = month;
+        break;
+      }
+      case 'BYMONTHDAY': {
+        const day = parseInt(value, 10);
+        if (!Number.isInteger(day) || day < 1 || day > 31) return null;
+        parsed.byMonthDay = day;
+        break;
+      }
+      case 'COUNT': {
+        const count = parseInt(value, 10);
+        if (!Number.isInteger(count) || count < 1) return null;
+        parsed.count = count;
+        break;
+      }
+      case 'UNTIL': {
+        const until = parseUntil(value);
+        if (!until) return null;
+        parsed.until = until;
+        break;
+      }
+      default:
+        // Unsupported RRULE part
+        return null;
+    }
+  }
+
+  return parsed.freq ? parsed : null;
+}
+
+/**
+ * Check whether a recurrence rule is valid
+ * @param {string} rule - RRULE-style string
+ * @returns {boolean} True if the rule can be parsed
+ */
+function isValidRecurrence(rule) {
+  return parseRecurrence(rule) !== null;
+}
+
+/**
+ * Serialize a parsed rule back to its string form
+ * @param {Object} parsed - Parsed rule from parseRecurrence
+ * @returns {string} RRULE-style string
+ */
+function formatRecurrence(parsed) {
+  const parts = [`FREQ=${parsed.freq}`];
+  if (parsed.interval && parsed.interval !== 1) parts.push(`INTERVAL=${parsed.interval}`);
+  if (parsed.byDay && parsed.byDay.length > 0) parts.push(`BYDAY=${parsed.byDay.join(',')}`);
+  if (parsed.byMonth) parts.push(`BYMONTH=${parsed.byMonth}`);
+  if (parsed.byMonthDay) parts.push(`BYMONTHDAY=${parsed.byMonthDay}`);
+  if (parsed.count) parts.push(`COUNT=${parsed.count}`);
+  if (parsed.until) {
+    const u = parsed.until;
+    const pad = (n) => String(n).padStart(2, '0');
+    parts.push(`UNTIL=${u.getFullYear()}${pad(u.getMonth() + 1)}${pad(u.getDate())}`);
+  }
+  return parts.join(';');
+}
+
+/**
+ * Add months to a date, clamping the day to the end of the target month
+ */
+function addMonths(date, months, dayOfMonth) {
+  const result = new Date(date.getTime());
+  const day = dayOfMonth || date.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+}
+
+/**
+ * Start of the (Monday-based) week containing the date, at local midnight
+ */
+function startOfWeek(date) {
+  const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const offset = (result.getDay() + 6) % 7;
+  result.setDate(result.getDate() - offset);
+  return result;
+}
+
+/**
+ * Calculate the occurrence that follows a given date
+ * @param {string|Object} rule - RRULE-style string or parsed rule
+ * @param {Date|string} fromDate - The date of the current occurrence
+ * @returns {Date|null} The next occurrence, or null if the rule has ended
+ */
+function getNextOccurrence(rule, fromDate) {
+  const parsed = typeof rule === 'string' ? parseRecurrence(rule) : rule;
+  if (!parsed) return null;
+  if (parsed.count !== null && parsed.count <= 1) return null;
+
+  const from = fromDate instanceof Date ? fromDate : new Date(fromDate);
+  if (isNaN(from.getTime())) return null;
+
+  let next = null;
+
+  switch (parsed.freq) {
+    case 'DAILY':
+      next = new Date(from.getTime());
+      next.setDate(next.getDate() + parsed.interval);
+      break;
+
+    case 'WEEKLY': {
+      if (parsed.byDay.length === 0) {
+        next = new Date(from.getTime());
+        next.setDate(next.getDate() + 7 * parsed.interval);
+        break;
+      }
+      // Walk forward day by day until we hit a listed weekday in an "active" week
+      const baseWeek = startOfWeek(from).getTime();
+      const candidate = new Date(from.getTime());
+      for (let i = 0; i < 7 * (parsed.interval + 1); i++) {
+        candidate.setDate(candidate.getDate() + 1);
+        const weeksApart = Math.round((startOfWeek(candidate).getTime() - baseWeek) / (7 * DAY_MS));
+        if (weeksApart % parsed.interval === 0 && parsed.byDay.includes(WEEKDAYS[candidate.getDay()])) {
+          next = new Date(candidate.getTime());
+          break;
+        }
+      }
+      break;
+    }
+
+    case 'MONTHLY':
+      next = addMonths(from, parsed.interval, parsed.byMonthDay);
+      break;
+
+    case 'YEARLY': {
+      // BYMONTH may still come later in the same year
+      const months = (parsed.byMonth ? parsed.byMonth - 1 : from.getMonth()) - from.getMonth();
+      next = addMonths(from, months, parsed.byMonthDay);
+      if (next <= from) {
+        next = addMonths(from, 12 * parsed.interval + months, parsed.byMonthDay);
+      }
+      break;
+    }
+
+    default:
+      return null;
+  }
+
+  if (!next || (parsed.until && next > parsed.until)) return null;
+  return next;
+}
+
+/**
+ * Build the rule string to store on the next occurrence (decrements COUNT)
+ * Given the current occurrence, a MONTHLY or YEARLY rule keeps its day (see the note at the top).
+ * @param {string} rule - RRULE-style string of the current occurrence
+ * @param {Date|string} [fromDate] - The date of the current occurrence
+ * @returns {string|null} Rule for the next occurrence
+ */
+function advanceRecurrence(rule, fromDate) {
+  const parsed = parseRecurrence(rule);
+  if (!parsed) return null;
+  if (parsed.count !== null) {
+    parsed.count -= 1;
+  }
+  const from = fromDate === undefined ? null : new Date(fromDate);
+  if (from && !isNaN(from.getTime()) && (parsed.freq === 'MONTHLY' || parsed.freq === 'YEARLY')) {
+    if (!parsed.byMonthDay) parsed.byMonthDay = from.getDate();
+    if (parsed.freq === 'YEARLY' && !parsed.byMonth) parsed.byMonth = from.getMonth() + 1;
+  }
+  return formatRecurrence(parsed);
+}
+
+/**
+ * Compute the schedule (due_at, start_at, recurrence) of the next occurrence of a task
+ * The due date drives the schedule; start_at keeps the same offset before it.
+ * @param {Object} task - Task with due_at, start_at and recurrence
+ * @param {Date} [now] - Fallback anchor when the task has no dates
+ * @returns {Object|null} { due_at, start_at, recurrence } or null if the rule has ended
+ */
+function getNextSchedule(task, now = new Date()) {
+  if (!task || !task.recurrence) return null;
+
+  const anchor = task.due_at || task.start_at || now.toISOString();
+  const nextAnchor = getNextOccurrence(task.recurrence, anchor);
+  if (!nextAnchor) return null;
+
+  let dueAt = null;
+  let startAt = null;
+
+  if (task.due_at) {
+    dueAt = nextAnchor.toISOString();
+    if (task.start_at) {
+      const offset = new Date(task.due_at).getTime() - new Date(task.start_at).getTime();
+      startAt = new Date(nextAnchor.getTime() - offset).toISOString();
+    }
+  } else if (task.start_at) {
+    startAt = nextAnchor.toISOString();
+  } else {
+    dueAt = nextAnchor.toISOString();
+  }
+
+  return {
+    due_at: dueAt,
+    start_at: startAt,
+    recurrence: advanceRecurrence(task.recurrence, anchor),
+  };
+}
+
+// Date inputs normalizeDateInput accepts, for error messages and help text
+const DATE_INPUT_FORMATS = 'today, tomorrow, YYYY-MM-DD or an ISO timestamp';
+
+// Words accepted as dates: days from today
+const RELATIVE_DAYS = { today: 0, tomorrow: 1 };
+
+/**
+ * Normalize a date input to an ISO string for storage
+ * Plain dates (YYYY-MM-DD) and "today"/"tomorrow" are treated as local midnight.
+ * @param {string|Date|null|undefined} value - Date input
+ * @param {Date} [now] - Reference date for "today" and "tomorrow"
+ * @returns {string|null|undefined} ISO string, null to clear, undefined if not provided
+ * @throws {Error} If the value cannot be parsed (the message lists the accepted formats)
+ */
+function normalizeDateInput(value, now = new Date()) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  let date;
+  const text = typeof value === 'string' ? value.trim() : null;
+  if (value instanceof Date) {
+    date = value;
+  } else if (text !== null && RELATIVE_DAYS[text.toLowerCase()] !== undefined) {
+    date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + RELATIVE_DAYS[text.toLowerCase()]);
+  } else if (text !== null && /^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const [y, m, d] = text.split('-').map(Number);
+    date = new Date(y, m - 1, d);
+  } else {
+    date = new Date(value);
+  }
+
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value} (use ${DATE_INPUT_FORMATS})`);
+  }
+  return date.toISOString();
+}
+
+module.exports = {
+  parseRecurrence,
+  isValidRecurrence,
+  formatRecurrence,
+  getNextOccurrence,
+  advanceRecurrence,
+  getNextSchedule,
+  normalizeDateInput,
+};
@@ -0,0 +1,81 @@
+/**
+ * Utility functions for full-text search over tasks
+ * Shared with the CLI (see lib/migrations.js).
+ */
+
+const { descriptionToBlocks } = require('./blocks-utils');
+
+// Markers wrapped around matched terms in FTS5 snippets
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_END = '\u0002';
+
+/**
+ * Flatten a task description (blocks format) to plain searchable text
+ * Drops block markers (toggles, checkboxes) and indentation.
+ * @param {string|null|undefined} description - The task description
+ * @returns {string} One line of text per non-empty block
+ */
+function descriptionToSearchText(description) {
+  const lines = [];
+
+  const walk = (blocks) => {
+    for (const block of blocks) {
+      if (block.content && block.content.trim()) {
+        lines.push(block.content.trim());
+      }
+      if (Array.isArray(block.children)) {
+        walk(block.children);
+      }
+    }
+  };
+
+  walk(descriptionToBlocks(description));
+  return lines.join('\n');
+}
+
+/**
+ * Turn free text typed by the user into a safe FTS5 MATCH expression
+ * Every word is quoted (so FTS5 operators can't be injected) and matched as a
+ * prefix, and all words must be present.
+ * @param {string} input - Raw search text
+ * @returns {string|null} MATCH expression, or null if there is nothing to search
+ */
+function buildFtsQuery(input) {
+  if (!input || typeof input !== 'string') return null;
+  const words = input.match(/[\p{L}\p{N}_]+/gu);
+  if (!words || words.length === 0) return null;
+  return words.map(word => `"${word}"*`).join(' ');
+}
+
+/**
+ * Split an FTS5 snippet into plain and highlighted parts
+ * @param {string|null} snippet - Snippet containing HIGHLIGHT_START/END markers
+ * @returns {Array<{text: string, highlighted: boolean}>} Parts in order
+ */
+function splitHighlights(snippet) {
+  if (!snippet) return [];
+  const parts = [];
+  const pattern = new RegExp(`${HIGHLIGHT_START}([^${HIGHLIGHT_END}]*)${HIGHLIGHT_END}`, 'g');
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(snippet)) !== null) {
+    if (match.index > lastIndex) {
+      parts.push({ text: snippet.slice(lastIndex, match.index), highlighted: false });
+    }
+    parts.push({ text: match[1], highlighted: true });
+    lastIndex = pattern.lastIndex;
+  }
+  if (lastIndex < snippet.length) {
+    parts.push({ text: snippet.slice(lastIndex), highlighted: false });
+  }
+  return parts;
+}
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  descriptionToSearchText,
+  buildFtsQuery,
+  splitHighlights
+};
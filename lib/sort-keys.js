@@ -0,0 +1,267 @@
+/**
+ * Manual order of projects, sections and tasks, shared by the Expo app and the CLI
+ *
+ * Shared with the CLI (see lib/migrations.js): `prod move` writes keys the app sorts the same way.
+ *
+ * Rows carry a sort_key, a fractional index: a string that sorts (byte-wise, as
+ * SQLite compares TEXT) between its neighbours, so moving a row only rewrites that
+ * row's key. Lists are ordered by `sort_key, id`. A key starts with an integer
+ * part whose first character gives its length ('a0'..'az', then 'b00'.., and 'Z'
+ * downwards for keys before 'a0'), followed by an optional fraction that never
+ * ends in '0'. Migration 17 gives existing rows keys made from their ids, so every
+ * device starts from the same order.
+ *
+ * sort_key syncs like any other column. Two devices moving different rows merge
+ * (each row keeps its own key); moving the same row keeps the newer version, as
+ * for other fields; rows given the same key on two devices fall back to id order.
+ * When a move lands between two rows that share a key (or have none, from an
+ * older client), the siblings are given fresh keys first.
+ *
+ * Siblings: tasks with the same project and parent, sections of one project, and
+ * all projects. Only keys in the database go through here; helpers =
+ * { enqueueMutation(table, id, operation) } come from the caller.
+ */
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const ZERO = DIGITS[0];
+// The smallest integer part ('A' followed by 26 zeros) has nothing below it
+const SMALLEST_INTEGER = `A${ZERO.repeat(26)}`;
+
+function integerLength(head) {
+  if (head >= 'a' && head <= 'z') return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+  if (head >= 'A' && head <= 'Z') return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+  return null;
+}
+
+/**
+ * Whether a value is a sort key this file can place rows around
+ * @param {*} key
+ * @returns {boolean}
+ */
+function isValidSortKey(key) {
+  if (typeof key !== 'string' || key.length === 0 || key === SMALLEST_INTEGER) return false;
+  const length = integerLength(key[0]);
+  if (!length || key.length < length) return false;
+  if ([...key.slice(1)].some(char => !DIGITS.includes(char))) return false;
+  return key.length === length || key[key.length - 1] !== ZERO;
+}
+
+// A fraction between fractions a and b (b null: no upper bound); neither ends in '0'
+function midpoint(a, b) {
+  if (b !== null) {
+    let common = 0;
+    while ((a[common] || ZERO) === b[common]) common++;
+    if (common > 0) return b.slice(0, common) + midpoint(a.slice(common), b.slice(common));
+  }
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  if (b !== null && b.length > 1) return b.slice(0, 1);
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+function incrementInteger(integer) {
+  const head = integer[0];
+  const digits = integer.slice(1).split('');
+  let carry = true;
+  for (let i = digits.length - 1; carry && i >= 0; i--) {
+    const digit = DIGITS.indexOf(digits[i]) + 1;
+    if (digit === DIGITS.length) {
+      digits[i] = ZERO;
+    } else {
+      digits[i] = DIGITS[digit];
+      carry = false;
+    }
+  }
+  if (!carry) return head + digits.join('');
+  if (head === 'Z') return `a${ZERO}`;
+  if (head === 'z') return null;
+  const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+  if (nextHead > 'a') digits.push(ZERO); else digits.pop();
+  return nextHead + digits.join('');
+}
+
+function decrementInteger(integer) {
+  const head = integer[0];
+  const digits = integer.slice(1).split('');
+  const last = DIGITS[DIGITS.length - 1];
+  let borrow = true;
+  for (let i = digits.length - 1; borrow && i >= 0; i--) {
+    const digit = DIGITS.indexOf(digits[i]) - 1;
+    if (digit === -1) {
+      digits[i] = last;
+    } else {
+      digits[i] = DIGITS[digit];
+      borrow = false;
+    }
+  }
+  if (!borrow) return head + digits.join('');
+  if (head === 'a') return `Z${last}`;
+  if (head === 'A') return null;
+  const nextHead = String.fromCharCode(head.charCodeAt(0) - 1);
+  if (nextHead < 'Z') digits.push(last); else digits.pop();
+  return nextHead + digits.join('');
+}
+
+/**
+ * A key that sorts between a and b
+ * @param {string|null} a - Key before (null: the start)
+ * @param {string|null} b - Key after (null: the end)
+ * @returns {string}
+ */
+function sortKeyBetween(a, b) {
+  for (const key of [a, b]) {
+    if (key !== null && !isValidSortKey(key)) throw new Error(`Invalid sort key "${key}"`);
+  }
+  if (a !== null && b !== null && a >= b) throw new Error(`Sort key "${a}" is not before "${b}"`);
+
+  if (a === null) {
+    if (b === null) return `a${ZERO}`;
+    const integerB = b.slice(0, integerLength(b[0]));
+    if (integerB === SMALLEST_INTEGER) return integerB + midpoint('', b.slice(integerB.length));
+    if (integerB < b) return integerB;
+    const decremented = decrementInteger(integerB);
+    if (decremented === null) throw new Error('No sort key left before the first one');
+    return decremented;
+  }
+
+  const integerA = a.slice(0, integerLength(a[0]));
+  const fractionA = a.slice(integerA.length);
+  if (b === null) {
+    const incremented = incrementInteger(integerA);
+    return incremented === null ? integerA + midpoint(fractionA, null) : incremented;
+  }
+
+  const integerB = b.slice(0, integerLength(b[0]));
+  if (integerA === integerB) return integerA + midpoint(fractionA, b.slice(integerB.length));
+  const incremented = incrementInteger(integerA);
+  if (incremented === null) throw new Error('No sort key left after the last one');
+  return incremented < b ? incremented : integerA + midpoint(fractionA, null);
+}
+
+/**
+ * n keys in order between a and b, spread evenly
+ * @param {string|null} a
+ * @param {string|null} b
+ * @param {number} n
+ * @returns {string[]}
+ */
+function sortKeysBetween(a, b, n) {
+  if (n <= 0) return [];
+  if (n === 1) return [sortKeyBetween(a, b)];
+  if (b === null) {
+    const keys = [sortKeyBetween(a, null)];
+    while (keys.length < n) keys.push(sortKeyBetween(keys[keys.length - 1], null));
+    return keys;
+  }
+  if (a === null) {
+    const keys = [sortKeyBetween(null, b)];
+    while (keys.length < n) keys.unshift(sortKeyBetween(null, keys[0]));
+    return keys;
+  }
+  const middle = Math.floor(n / 2);
+  const key = sortKeyBetween(a, b);
+  return [...sortKeysBetween(a, key, middle), key, ...sortKeysBetween(key, b, n - middle - 1)];
+}
+
+// WHERE clause (and its parameters) selecting the live siblings of a row
+function siblingScope(table, row) {
+  switch (table) {
+    case 'tasks':
+      return { where: 'project_id = ? AND parent_id IS ?', params: [row.project_id, row.parent_id ?? null] };
+    case 'sections':
+      return { where: 'project_id = ?', params: [row.project_id] };
+    case 'projects':
+      return { where: '1 = 1', params: [] };
+    default:
+      throw new Error(`"${table}" has no manual order`);
+  }
+}
+
+async function getSiblings(db, table, row, excludeId) {
+  const { where, params } = siblingScope(table, row);
+  return await db.getAllAsync(
+    `SELECT id, sort_key FROM ${table} WHERE ${where} AND deleted_at IS NULL AND id IS NOT ? ORDER BY sort_key, id`,
+    [...params, excludeId ?? null]
+  );
+}
+
+// Fresh, evenly spread keys for siblings in their current order
+async function respaceSiblings(db, helpers, table, siblings) {
+  const now = new Date().toISOString();
+  const keys = sortKeysBetween(null, null, siblings.length);
+  for (const [index, sibling] of siblings.entries()) {
+    sibling.sort_key = keys[index];
+    await db.runAsync(
+      `UPDATE ${table} SET sort_key = ?, updated_at = ?, sync_status = 'pending' WHERE id = ?`,
+      [sibling.sort_key, now, sibling.id]
+    );
+    await helpers.enqueueMutation(table, sibling.id, 'upsert');
+  }
+  console.log(`↕️ Gave ${siblings.length} ${table} fresh sort keys`);
+}
+
+// Key for a row placed at `index` among its siblings (0: first, siblings.length: last)
+async function keyAtIndex(db, helpers, table, siblings, index) {
+  const before = index > 0 ? siblings[index - 1].sort_key : null;
+  const after = index < siblings.length ? siblings[index].sort_key : null;
+  const usable = (index === 0 || isValidSortKey(before))
+    && (index === siblings.length || isValidSortKey(after))
+    && (before === null || after === null || before < after);
+  if (!usable) {
+    await respaceSiblings(db, helpers, table, siblings);
+    return await keyAtIndex(db, helpers, table, siblings, index);
+  }
+  return sortKeyBetween(before, after);
+}
+
+/**
+ * Key that puts a row first or last among its siblings
+ * @param {Object} db
+ * @param {Object} helpers - { enqueueMutation }
+ * @param {'projects'|'sections'|'tasks'} table
+ * @param {Object} row - Where the row goes: project_id (sections, tasks) and parent_id (tasks)
+ * @param {'start'|'end'} edge
+ * @param {number} [excludeId] - The row itself, when it is already among them
+ * @returns {Promise<string>}
+ */
+async function sortKeyAtEdge(db, helpers, table, row, edge, excludeId = null) {
+  const siblings = await getSiblings(db, table, row, excludeId);
+  return await keyAtIndex(db, helpers, table, siblings, edge === 'start' ? 0 : siblings.length);
+}
+
+/**
+ * Key that puts a row right before or after another one
+ * The row joins the target's siblings, so callers move it next to the target
+ * (same project and parent) along with the key.
+ * @param {Object} db
+ * @param {Object} helpers - { enqueueMutation }
+ * @param {'projects'|'sections'|'tasks'} table
+ * @param {number} id - Row being moved
+ * @param {number} targetId - Row it goes next to
+ * @param {'before'|'after'} side
+ * @returns {Promise<{ sortKey: string, target: Object }>} target is the target's row
+ */
+async function sortKeyNextTo(db, helpers, table, id, targetId, side) {
+  if (id === targetId) {
+    throw new Error(`Can't move ${table.slice(0, -1)} ${id} next to itself`);
+  }
+  const target = await db.getFirstAsync(`SELECT * FROM ${table} WHERE id = ? AND deleted_at IS NULL`, [targetId]);
+  if (!target) {
+    throw new Error(`${table.slice(0, 1).toUpperCase()}${table.slice(1, -1)} ${targetId} not found`);
+  }
+  const siblings = await getSiblings(db, table, target, id);
+  const targetIndex = siblings.findIndex(sibling => sibling.id === targetId);
+  const sortKey = await keyAtIndex(db, helpers, table, siblings, side === 'before' ? targetIndex : targetIndex + 1);
+  return { sortKey, target };
+}
+
+module.exports = {
+  isValidSortKey,
+  sortKeyBetween,
+  sortKeysBetween,
+  sortKeyAtEdge,
+  sortKeyNextTo,
+};
@@ -0,0 +1,152 @@
+/**
+ * Client for the self-hosted sync server (productionai-cli/src/server/sync-server.js)
+ *
+ * Shared with the CLI (see lib/migrations.js).
+ *
+ * The client offers the part of the Supabase query builder the sync code uses
+ * (from, select, eq, gt, in, order, limit, maybeSingle, upsert, insert, delete), so
+ * the same push and pull code runs against either backend. A query is sent as
+ * one POST /query request when it is awaited, and resolves to { data, error }
+ * like a Supabase query: errors are returned, never thrown.
+ */
+
+// Bumped when the request or response shape changes
+const SYNC_SERVER_PROTOCOL_VERSION = 1;
+
+class SyncServerQuery {
+  constructor(client, table) {
+    this.client = client;
+    this.request = {
+      table,
+      action: 'select',
+      columns: '*',
+      filters: [],
+      order: [],
+      limit: null,
+      single: false,
+    };
+  }
+
+  select(columns = '*') {
+    this.request.columns = columns;
+    return this;
+  }
+
+  eq(column, value) {
+    this.request.filters.push({ column, op: 'eq', value });
+    return this;
+  }
+
+  gt(column, value) {
+    this.request.filters.push({ column, op: 'gt', value });
+    return this;
+  }
+
+  in(column, values) {
+    this.request.filters.push({ column, op: 'in', value: values });
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.request.order.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.request.limit = count;
+    return this;
+  }
+
+  maybeSingle() {
+    this.request.single = true;
+    return this;
+  }
+
+  upsert(rows, { onConflict } = {}) {
+    this.request.action = 'upsert';
+    this.request.rows = [].concat(rows);
+    this.request.onConflict = onConflict || null;
+    return this;
+  }
+
+  insert(rows) {
+    this.request.action = 'insert';
+    this.request.rows = [].concat(rows);
+    return this;
+  }
+
+  delete() {
+    this.request.action = 'delete';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return this.client.send(this.request).then(resolve, reject);
+  }
+}
+
+/**
+ * Create a client for a sync server
+ * @param {Object} options
+ * @param {string} options.url - Server address, e.g. http://192.168.1.20:8787
+ * @param {string} [options.token] - Shared secret, when the server was started with one
+ * @param {Function} [options.fetch] - fetch implementation (defaults to the global one)
+ * @returns {{ name: string, url: string, from: Function, ping: Function }}
+ */
+function createSyncServerClient({ url, token = null, fetch = globalThis.fetch }) {
+  const baseUrl = url.replace(/\/+$/, '');
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const client = {
+    async send(request) {
+      let response;
+      try {
+        response = await fetch(`${baseUrl}/query`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ version: SYNC_SERVER_PROTOCOL_VERSION, ...request }),
+        });
+      } catch (error) {
+        return { data: null, error: { message: `Sync server unreachable at ${baseUrl}: ${error.message}` } };
+      }
+
+      let body = null;
+      try {
+        body = await response.json();
+      } catch {
+        body = null;
+      }
+      if (!response.ok || !body) {
+        return {
+          data: null,
+          error: (body && body.error) || { message: `Sync server responded ${response.status}` },
+        };
+      }
+      return { data: body.data, error: null };
+    },
+  };
+
+  return {
+    name: 'server',
+    url: baseUrl,
+    from(table) {
+      return new SyncServerQuery(client, table);
+    },
+    /**
+     * Check that the server is reachable and accepts the token
+     * @returns {Promise<{ ok: boolean, error: string|null }>}
+     */
+    async ping() {
+      const { error } = await client.send({ action: 'ping' });
+      return { ok: !error, error: error ? error.message : null };
+    },
+  };
+}
+
+module.exports = {
+  SYNC_SERVER_PROTOCOL_VERSION,
+  createSyncServerClient,
+};
@@ -1,6 +1,9 @@
 import { getDb, initDatabase } from '../database';
-import { supabase } from '../supabase';
+import { TRASH_TABLES, purgeTrash } from '../trash.js';
+import { syncBackend } from './backend.js';
 import { logSupabaseError } from './syncpush/shared/error-logger.js';
+import { markPushFailed, markPushed, takeDueRecords } from './syncpush/shared/outbox.js';
+import { getPrimaryKey, getSyncScope } from './syncpush/shared/sync-tables.js';
 
 /**
  * Handle delete conflicts and sync deletions from local SQLite to Supabase
@@ -8,7 +11,8 @@ import { logSupabaseError } from './syncpush/shared/error-logger.js';
  *  - Only runs one-way (local → Supabase)
  *  - Uses deleted_at and updated_at to resolve conflicts ("latest wins")
  *  - Deletes remotely only if local deletion is newer
- *  - Handles projects, tasks, and tags
+ *  - Only records due in the outbox (sync_outbox) are handled; failures back off and retry
+ *  - Handles projects, tasks, tags, sections, filters, chat history and settings
  */
 export async function handleDeleteConflicts() {
   try {
@@ -29,6 +33,23 @@ export async function handleDeleteConflicts() {
     // Handle sections deletions
     await handleTableDeletions(db, 'sections');
 
+    // Handle filters deletions (filter_tags / filter_projects cascade)
+    await handleTableDeletions(db, 'filters');
+
+    // Handle chat deletions (messages before their sessions)
+    await handleTableDeletions(db, 'chat_messages');
+    await handleTableDeletions(db, 'chat_sessions');
+
+    // Handle settings deletions
+    await handleTableDeletions(db, 'settings');
+
+    // Deleted items stay in the trash after their deletion synced; drop the expired ones
+    const purged = await purgeTrash(db);
+    const purgedCount = TRASH_TABLES.reduce((count, table) => count + purged[table], 0);
+    if (purgedCount > 0) {
+      console.log(`🗑️ Purged ${purgedCount} expired item(s) from the trash`);
+    }
+
     console.log('✅ Delete sync completed.');
   } catch (err) {
     console.error('❌ Delete conflict handler failed:', err);
@@ -40,11 +61,12 @@ export async function handleDeleteConflicts() {
  * Handle deletions for a specific table
  */
 async function handleTableDeletions(db, tableName) {
+  const primaryKey = getPrimaryKey(tableName);
   try {
-    // Fetch locally deleted records
-    const localDeletes = await db.getAllAsync(
-      `SELECT * FROM ${tableName} WHERE deleted_at IS NOT NULL AND sync_status = 'pending_delete'`
-    );
+    // Fetch locally deleted records that are due for a push, in outbox order
+    const localDeletes = await takeDueRecords(db, tableName, await db.getAllAsync(
+      `SELECT * FROM ${tableName} WHERE deleted_at IS NOT NULL AND sync_status = 'pending_delete'${getSyncScope(tableName)}`
+    ), 'delete');
 
     if (localDeletes.length === 0) {
       console.log(`No pending deletions for ${tableName}`);
@@ -54,19 +76,22 @@ async function handleTableDeletions(db, tableName) {
     console.log(`Found ${localDeletes.length} pending deletions for ${tableName}`);
 
     for (const record of localDeletes) {
+      const id = record[primaryKey];
+
       // Check remote record timestamp
-      const { data: remoteData, error: fetchErr } = await supabase
+      const { data: remoteData, error: fetchErr } = await syncBackend
         .from(tableName)
-        .select('id, updated_at')
-        .eq('id', record.id)
+        .select(`${primaryKey}, updated_at`)
+        .eq(primaryKey, id)
         .maybeSingle();
 
       if (fetchErr) {
         logSupabaseError(fetchErr, `fetching remote ${tableName} for deletion`, tableName, {
-          recordId: record.id,
+          recordId: id,
           operation: 'select',
-          query: `SELECT id, updated_at FROM ${tableName} WHERE id = ?`
+          query: `SELECT ${primaryKey}, updated_at FROM ${tableName} WHERE ${primaryKey} = ?`
         });
+        await markPushFailed(db, tableName, id, fetchErr);
         continue;
       }
 
@@ -76,30 +101,33 @@ async function handleTableDeletions(db, tableName) {
 
       // If remote is newer → restore locally
       if (remoteUpdatedAt && remoteUpdatedAt > localDeletedAt) {
-        console.log(`Remote ${tableName} ${record.id} is newer, restoring locally`);
-        await restoreLocalRecord(db, tableName, record);
+        console.log(`Remote ${tableName} ${id} is newer, restoring locally`);
+        await restoreLocalRecord(db, tableName, id);
+        await markPushed(db, tableName, id, 'pulled');
         continue;
       }
 
       // Otherwise delete remotely
-      console.log(`Deleting remote ${tableName} ${record.id}`);
-      const { error: deleteErr } = await supabase
+      console.log(`Deleting remote ${tableName} ${id}`);
+      const { error: deleteErr } = await syncBackend
         .from(tableName)
         .delete()
-        .eq('id', record.id);
+        .eq(primaryKey, id);
 
       if (deleteErr) {
         logSupabaseError(deleteErr, `deleting remote ${tableName}`, tableName, {
-          recordId: record.id,
+          recordId: id,
           operation: 'delete',
-          query: `DELETE FROM ${tableName} WHERE id = ?`
+          query: `DELETE FROM ${tableName} WHERE ${primaryKey} = ?`
         });
+        await markPushFailed(db, tableName, id, deleteErr);
         continue;
       }
 
-      // Mark as synced locally (remove the record)
-      await markAsSynced(db, tableName, record.id);
-      console.log(`✅ Successfully synced deletion of ${tableName} ${record.id}`);
+      // Mark as synced locally (the trash keeps it until it expires, other records are removed)
+      await markAsSynced(db, tableName, id);
+      await markPushed(db, tableName, id);
+      console.log(`✅ Successfully synced deletion of ${tableName} ${id}`);
     }
   } catch (err) {
     console.error(`Error handling ${tableName} deletions:`, err);
@@ -107,11 +135,20 @@ async function handleTableDeletions(db, tableName) {
 }
 
 /**
- * Helper: mark local record as synced (delete it permanently)
+ * Helper: mark local record as synced
+ * Trash records stay deleted locally until purgeTrash drops them (lib/trash.js);
+ * other records are deleted permanently.
  */
 async function markAsSynced(db, tableName, id) {
+  if (TRASH_TABLES.includes(tableName)) {
+    await db.runAsync(
+      `UPDATE ${tableName} SET sync_status = 'synced' WHERE ${getPrimaryKey(tableName)} = ?`,
+      [id]
+    );
+    return;
+  }
   await db.runAsync(
-    `DELETE FROM ${tableName} WHERE id = ?`,
+    `DELETE FROM ${tableName} WHERE ${getPrimaryKey(tableName)} = ?`,
     [id]
   );
 }
@@ -119,9 +156,9 @@ async function markAsSynced(db, tableName, id) {
 /**
  * Helper: restore a deleted local record if remote is newer
  */
-async function restoreLocalRecord(db, tableName, record) {
+async function restoreLocalRecord(db, tableName, id) {
   await db.runAsync(
-    `UPDATE ${tableName} SET deleted_at = NULL, sync_status = 'synced' WHERE id = ?`,
-    [record.id]
+    `UPDATE ${tableName} SET deleted_at = NULL, sync_status = 'synced' WHERE ${getPrimaryKey(tableName)} = ?`,
+    [id]
   );
 }
@@ -1,14 +1,29 @@
+import { pruneOutbox } from '../../repositories/outbox.js';
 import { getDb, initDatabase } from '../database';
 import { SYNC_MESSAGES } from './syncpush/projects/constants.js';
 import { databaseUtils } from './syncpush/projects/database-utils.js';
 import { errorHandler } from './syncpush/projects/error-handler.js';
 import { supabaseUtils } from './syncpush/projects/supabase-utils.js';
 import { logger } from './syncpush/shared/logger.js';
+import { markPushed, takeDueRecords } from './syncpush/shared/outbox.js';
 // Task-related imports
 import { SYNC_MESSAGES as TASK_SYNC_MESSAGES } from './syncpush/tasks/constants.js';
 import { databaseUtils as taskDatabaseUtils } from './syncpush/tasks/database-utils.js';
 import { errorHandler as taskErrorHandler } from './syncpush/tasks/error-handler.js';
 import { supabaseUtils as taskSupabaseUtils } from './syncpush/tasks/supabase-utils.js';
+// Filter, chat and settings imports
+import { SYNC_MESSAGES as CHAT_SYNC_MESSAGES } from './syncpush/chat/constants.js';
+import { databaseUtils as chatDatabaseUtils } from './syncpush/chat/database-utils.js';
+import { errorHandler as chatErrorHandler } from './syncpush/chat/error-handler.js';
+import { supabaseUtils as chatSupabaseUtils } from './syncpush/chat/supabase-utils.js';
+import { SYNC_MESSAGES as FILTER_SYNC_MESSAGES } from './syncpush/filters/constants.js';
+import { databaseUtils as filterDatabaseUtils } from './syncpush/filters/database-utils.js';
+import { errorHandler as filterErrorHandler } from './syncpush/filters/error-handler.js';
+import { supabaseUtils as filterSupabaseUtils } from './syncpush/filters/supabase-utils.js';
+import { SYNC_MESSAGES as SETTING_SYNC_MESSAGES } from './syncpush/settings/constants.js';
+import { databaseUtils as settingDatabaseUtils } from './syncpush/settings/database-utils.js';
+import { errorHandler as settingErrorHandler } from './syncpush/settings/error-handler.js';
+import { supabaseUtils as settingSupabaseUtils } from './syncpush/settings/supabase-utils.js';
 // Delete sync imports
 import { handleDeleteConflicts } from './@deletesync.js';
 // Update sync imports
@@ -40,7 +55,7 @@ export async function pushLocalChanges(skipDeleteSync = false) {
       logger.error('Error during project update sync:', updateError);
     }
     
-    const pending = await databaseUtils.getPendingProjects(db);
+    const pending = await takeDueRecords(db, 'projects', await databaseUtils.getPendingProjects(db));
     logger.info(`Found ${pending.length} projects to sync`);
 
     for (const project of pending) {
@@ -48,9 +63,10 @@ export async function pushLocalChanges(skipDeleteSync = false) {
       
       if (syncResult.success) {
         await databaseUtils.updateSyncStatus(db, project.id, project.name);
+        await markPushed(db, 'projects', project.id);
         logger.info(`${SYNC_MESSAGES.PROJECT_SYNCED} ${project.name}`);
       } else {
-        logger.error(`${SYNC_MESSAGES.FAILED_TO_SYNC} ${project.name}:`, syncResult.error);
+        await errorHandler.handleRecordError(db, project, syncResult.error);
       }
     }
 
@@ -86,7 +102,7 @@ export async function pushLocalTaskChanges(skipDeleteSync = false) {
       logger.error('Error during task update sync:', updateError);
     }
     
-    const pending = await taskDatabaseUtils.getPendingTasks(db);
+    const pending = await takeDueRecords(db, 'tasks', await taskDatabaseUtils.getPendingTasks(db));
     logger.info(`Found ${pending.length} tasks to sync`);
 
     for (const task of pending) {
@@ -94,9 +110,10 @@ export async function pushLocalTaskChanges(skipDeleteSync = false) {
       
       if (syncResult.success) {
         await taskDatabaseUtils.updateSyncStatus(db, task.id, task.title);
+        await markPushed(db, 'tasks', task.id);
         logger.info(`${TASK_SYNC_MESSAGES.TASK_SYNCED} ${task.title}`);
       } else {
-        logger.error(`${TASK_SYNC_MESSAGES.FAILED_TO_SYNC} ${task.title}:`, syncResult.error);
+        await taskErrorHandler.handleRecordError(db, task, syncResult.error);
       }
     }
 
@@ -107,11 +124,117 @@ export async function pushLocalTaskChanges(skipDeleteSync = false) {
 }
 
 /**
- * Push all local changes (projects and tasks) to Supabase
+ * Push local filter changes (with their tag/project relationships) to Supabase
+ * Deletions are handled by handleDeleteConflicts.
+ */
+export async function pushLocalFilterChanges() {
+  try {
+    await initDatabase();
+    const db = getDb();
+
+    const pending = await takeDueRecords(db, 'filters', await filterDatabaseUtils.getPendingFilters(db));
+    logger.info(`Found ${pending.length} filters to sync`);
+
+    for (const filter of pending) {
+      const syncResult = await filterSupabaseUtils.syncFilter(filter);
+
+      if (syncResult.success) {
+        await filterDatabaseUtils.updateSyncStatus(db, filter.id);
+        await markPushed(db, 'filters', filter.id);
+        logger.info(`${FILTER_SYNC_MESSAGES.FILTER_SYNCED} ${filter.name}`);
+      } else {
+        await filterErrorHandler.handleRecordError(db, filter, syncResult.error);
+      }
+    }
+
+    return filterErrorHandler.createSuccessResponse(pending.length);
+  } catch (error) {
+    return filterErrorHandler.handleSyncError(error, 'pushLocalFilterChanges');
+  }
+}
+
+/**
+ * Push local chat sessions and messages to Supabase
+ * Sessions go first so messages can reference them.
+ */
+export async function pushLocalChatChanges() {
+  try {
+    await initDatabase();
+    const db = getDb();
+
+    const sessions = await takeDueRecords(db, 'chat_sessions', await chatDatabaseUtils.getPendingSessions(db));
+    const messages = await takeDueRecords(db, 'chat_messages', await chatDatabaseUtils.getPendingMessages(db));
+    logger.info(`Found ${sessions.length} chat sessions and ${messages.length} chat messages to sync`);
+
+    for (const session of sessions) {
+      const syncResult = await chatSupabaseUtils.syncSession(session);
+
+      if (syncResult.success) {
+        await chatDatabaseUtils.updateSyncStatus(db, 'chat_sessions', session.id);
+        await markPushed(db, 'chat_sessions', session.id);
+        logger.info(`${CHAT_SYNC_MESSAGES.SESSION_SYNCED} ${session.title}`);
+      } else {
+        await chatErrorHandler.handleRecordError(db, 'chat_sessions', session, syncResult.error);
+      }
+    }
+
+    for (const message of messages) {
+      const syncResult = await chatSupabaseUtils.syncMessage(message);
+
+      if (syncResult.success) {
+        await chatDatabaseUtils.updateSyncStatus(db, 'chat_messages', message.id);
+        await markPushed(db, 'chat_messages', message.id);
+        logger.info(`${CHAT_SYNC_MESSAGES.MESSAGE_SYNCED} ${message.id}`);
+      } else {
+        await chatErrorHandler.handleRecordError(db, 'chat_messages', message, syncResult.error);
+      }
+    }
+
+    return chatErrorHandler.createSuccessResponse(sessions.length + messages.length);
+  } catch (error) {
+    return chatErrorHandler.handleSyncError(error, 'pushLocalChatChanges');
+  }
+}
+
+/**
+ * Push local settings to Supabase (device-only settings are skipped)
+ */
+export async function pushLocalSettingChanges() {
+  try {
+    await initDatabase();
+    const db = getDb();
+
+    const pending = await takeDueRecords(db, 'settings', await settingDatabaseUtils.getPendingSettings(db));
+    logger.info(`Found ${pending.length} settings to sync`);
+
+    for (const setting of pending) {
+      const syncResult = await settingSupabaseUtils.syncSetting(setting);
+
+      if (syncResult.success) {
+        await settingDatabaseUtils.updateSyncStatus(db, setting.key);
+        await markPushed(db, 'settings', setting.key);
+        logger.info(`${SETTING_SYNC_MESSAGES.SETTING_SYNCED} ${setting.key}`);
+      } else {
+        await settingErrorHandler.handleRecordError(db, setting, syncResult.error);
+      }
+    }
+
+    return settingErrorHandler.createSuccessResponse(pending.length);
+  } catch (error) {
+    return settingErrorHandler.handleSyncError(error, 'pushLocalSettingChanges');
+  }
+}
+
+/**
+ * Push all local changes (projects, tasks, filters, chat history and settings) to Supabase
  */
 export async function pushAllLocalChanges() {
   try {
     logger.info('Starting sync of all local changes...');
+
+    // Forget queued records that no longer need a push (e.g. replaced by a pull)
+    await initDatabase();
+    await pruneOutbox();
     
     // Sync deletions first (before pushing new/changed records)
     logger.info('Syncing deletions...');
@@ -132,16 +255,35 @@ export async function pushAllLocalChanges() {
     logger.info('Syncing tasks...');
     const taskResult = await pushLocalTaskChanges(true);
     logger.info(`Task sync completed: ${taskResult.success ? 'success' : 'failed'}`);
+
+    // Sync filters (after tags and projects, which they reference)
+    logger.info('Syncing filters...');
+    const filterResult = await pushLocalFilterChanges();
+    logger.info(`Filter sync completed: ${filterResult.success ? 'success' : 'failed'}`);
+
+    // Sync chat history (after tasks, which sessions may reference)
+    logger.info('Syncing chat history...');
+    const chatResult = await pushLocalChatChanges();
+    logger.info(`Chat sync completed: ${chatResult.success ? 'success' : 'failed'}`);
+
+    // Sync settings
+    logger.info('Syncing settings...');
+    const settingResult = await pushLocalSettingChanges();
+    logger.info(`Settings sync completed: ${settingResult.success ? 'success' : 'failed'}`);
     
     // Return combined result
-    const totalSynced = (projectResult.synced || 0) + (taskResult.synced || 0);
-    const allSuccessful = projectResult.success && taskResult.success;
+    const results = [projectResult, taskResult, filterResult, chatResult, settingResult];
+    const totalSynced = results.reduce((sum, result) => sum + (result.synced || 0), 0);
+    const allSuccessful = results.every(result => result.success);
     
     return {
       success: allSuccessful,
       synced: totalSynced,
       projects: projectResult,
-      tasks: taskResult
+      tasks: taskResult,
+      filters: filterResult,
+      chat: chatResult,
+      settings: settingResult
     };
   } catch (error) {
     logger.error('Error in pushAllLocalChanges:', error);
@@ -0,0 +1,83 @@
+import Constants from 'expo-constants';
+import { getSetting } from '../../repositories/settings.js';
+import { isSupabaseConfigured, supabase } from '../supabase';
+import { createSyncServerClient } from '../sync-server-client.js';
+import { encryptSyncQuery, loadE2EKeys } from './e2e.js';
+import { logger } from './syncpush/shared/logger.js';
+
+// Device-only settings for the self-hosted sync server (`prod sync-server`).
+// With no URL, sync goes to Supabase.
+export const SYNC_SERVER_URL_SETTING = 'local_sync_server_url';
+export const SYNC_SERVER_TOKEN_SETTING = 'local_sync_server_token';
+
+// Build-time default, like the Supabase credentials
+const defaultServerUrl = Constants.expoConfig?.extra?.syncServerUrl || process.env.EXPO_PUBLIC_SYNC_SERVER_URL || null;
+
+let backend = supabase;
+let serverUrl = null;
+let serverToken = null;
+
+/**
+ * Pick the backend from the sync server settings, and load the encryption keys
+ * Called before every sync run, so a changed setting applies to the next sync.
+ * @returns {Promise<'server'|'supabase'>}
+ */
+export async function loadSyncBackend() {
+  await loadE2EKeys();
+  const url = (await getSetting(SYNC_SERVER_URL_SETTING)) || defaultServerUrl;
+  if (!url) {
+    backend = supabase;
+    serverUrl = null;
+    serverToken = null;
+    return 'supabase';
+  }
+
+  const token = await getSetting(SYNC_SERVER_TOKEN_SETTING);
+  if (url !== serverUrl || token !== serverToken) {
+    backend = createSyncServerClient({ url, token });
+    serverUrl = url;
+    serverToken = token;
+    logger.info(`🛰️ Syncing with sync server ${url}`);
+  }
+  return 'server';
+}
+
+/**
+ * Whether the current backend can sync (a server URL, or Supabase credentials)
+ */
+export function isSyncBackendConfigured() {
+  return serverUrl !== null || isSupabaseConfigured();
+}
+
+/**
+ * Where sync goes, for messages
+ */
+export function describeSyncBackend() {
+  return serverUrl ? `sync server ${serverUrl}` : 'Supabase';
+}
+
+/**
+ * Identifies the loaded backend, so pull cursors from another backend are not reused
+ * @returns {string} 'supabase' or 'server:<url>'
+ */
+export function getSyncBackendId() {
+  return serverUrl ? `server:${serverUrl.replace(/\/+$/, '')}` : 'supabase';
+}
+
+/**
+ * Check that a sync server is reachable and accepts the token
+ * @param {string} url
+ * @param {string|null} token
+ * @returns {Promise<{ ok: boolean, error: string|null }>}
+ */
+export async function testSyncServer(url, token) {
+  return await createSyncServerClient({ url, token }).ping();
+}
+
+// What the push and pull code queries, whichever backend is loaded
+// (task and tag content is encrypted here when end-to-end encryption is on, see e2e.js)
+export const syncBackend = {
+  from(table) {
+    return encryptSyncQuery(backend.from(table), table);
+  },
+};
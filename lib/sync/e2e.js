@@ -0,0 +1,147 @@
+import { gcm } from '@noble/ciphers/aes';
+import { hmac } from '@noble/hashes/hmac';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { sha256 } from '@noble/hashes/sha2';
+import { getRandomBytes } from 'expo-crypto';
+import { getSetting, saveSetting } from '../../repositories/settings.js';
+import { enqueueMutations } from '../../repositories/outbox.js';
+import { getDb } from '../database.js';
+import {
+  E2E_CONFIG_SETTING,
+  LOCAL_E2E_KEYS_SETTING,
+  ENCRYPTED_FIELDS,
+  createE2ECrypto,
+  encryptQuery,
+  parseE2EConfig,
+  parseKeyRing,
+  serializeKeyRing,
+} from '../e2e-crypto.js';
+import { logger } from './syncpush/shared/logger.js';
+
+// The format lives in lib/e2e-crypto.js (shared with the CLI); these are the app's primitives
+const e2e = createE2ECrypto({
+  scrypt: (password, salt, params) => scryptAsync(password, salt, params),
+  encrypt: (key, nonce, plaintext, aad) => gcm(key, nonce, aad).encrypt(plaintext),
+  decrypt: (key, nonce, sealed, aad) => gcm(key, nonce, aad).decrypt(sealed),
+  hmacSha256: (key, data) => hmac(sha256, key, data),
+  randomBytes: length => getRandomBytes(length),
+});
+
+// Keys used by the running sync: { keyId, keyRing }, or null when encryption is off
+let syncKeys = null;
+
+async function readState() {
+  const config = parseE2EConfig(await getSetting(E2E_CONFIG_SETTING));
+  const keyRing = parseKeyRing(await getSetting(LOCAL_E2E_KEYS_SETTING));
+  return { config, keyRing };
+}
+
+async function saveKeyRing(keyRing) {
+  await saveSetting({ key: LOCAL_E2E_KEYS_SETTING, value: serializeKeyRing(keyRing) });
+}
+
+/**
+ * Mark every encrypted table's rows for push, so they go out (again) under the current key
+ * updated_at is kept: a newer remote version still wins over the re-encrypted copy.
+ */
+async function queueReencryption() {
+  const db = getDb();
+  for (const table of Object.keys(ENCRYPTED_FIELDS)) {
+    await db.runAsync(`UPDATE ${table} SET sync_status = 'pending' WHERE deleted_at IS NULL`);
+    await enqueueMutations(table, 'deleted_at IS NULL', []);
+  }
+}
+
+/**
+ * Load the encryption keys for the next sync run
+ * Called from loadSyncBackend, so a key set up or entered in settings applies to the next sync.
+ */
+export async function loadE2EKeys() {
+  const { config, keyRing } = await readState();
+  syncKeys = config ? { keyId: config.keyId, keyRing } : null;
+}
+
+/**
+ * Encryption state of this device
+ * @returns {Promise<{ status: 'off'|'locked'|'unlocked', keyId: string|null, keyCount: number }>}
+ *   locked: encryption is on, but this device doesn't have the current key
+ */
+export async function getE2EStatus() {
+  const { config, keyRing } = await readState();
+  let status = 'off';
+  if (config) {
+    status = keyRing[config.keyId] ? 'unlocked' : 'locked';
+  }
+  return { status, keyId: config?.keyId || null, keyCount: Object.keys(keyRing).length };
+}
+
+/**
+ * Turn encryption on with a new passphrase
+ * Existing tasks and tags are pushed again, encrypted.
+ * @throws {Error} When encryption is already on (use unlock or rotate)
+ */
+export async function setupE2E(passphrase) {
+  const { config: existing, keyRing } = await readState();
+  if (existing) {
+    throw new Error('Encryption is already set up. Enter the passphrase to unlock it on this device.');
+  }
+  const { config, key } = await e2e.createKey(passphrase);
+  await saveKeyRing({ ...keyRing, [config.keyId]: key });
+  await saveSetting({ key: E2E_CONFIG_SETTING, value: JSON.stringify(config) });
+  await queueReencryption();
+  logger.info(`🔐 End-to-end encryption set up with key ${config.keyId}`);
+  return config.keyId;
+}
+
+/**
+ * Enter the passphrase set up on another device
+ * @returns {Promise<boolean>} false when the passphrase is wrong
+ */
+export async function unlockE2E(passphrase) {
+  const { config, keyRing } = await readState();
+  if (!config) {
+    throw new Error('Encryption is not set up. Sync first if it was set up on another device.');
+  }
+  const key = await e2e.unlockKey(passphrase, config);
+  if (!key) return false;
+  await saveKeyRing({ ...keyRing, [config.keyId]: key });
+  logger.info(`🔓 Unlocked encryption key ${config.keyId}`);
+  return true;
+}
+
+/**
+ * Replace the passphrase with a new one (new key)
+ * Tasks and tags are pushed again under the new key. Older keys stay on this
+ * device; other devices need the new passphrase.
+ * @throws {Error} When encryption is off or this device is locked
+ */
+export async function rotateE2E(newPassphrase) {
+  const { config: current, keyRing } = await readState();
+  if (!current) {
+    throw new Error('Encryption is not set up.');
+  }
+  if (!keyRing[current.keyId]) {
+    throw new Error('Unlock encryption on this device before changing the passphrase.');
+  }
+  const { config, key } = await e2e.createKey(newPassphrase);
+  await saveKeyRing({ ...keyRing, [config.keyId]: key });
+  await saveSetting({ key: E2E_CONFIG_SETTING, value: JSON.stringify(config) });
+  await queueReencryption();
+  logger.info(`🔐 Rotated encryption key ${current.keyId} → ${config.keyId}`);
+  return config.keyId;
+}
+
+/**
+ * Remove the keys from this device (it stays locked until the passphrase is entered again)
+ */
+export async function forgetE2EKeys() {
+  await saveSetting({ key: LOCAL_E2E_KEYS_SETTING, value: null });
+  await loadE2EKeys();
+}
+
+/**
+ * Encrypt and decrypt a sync backend query with the loaded keys
+ */
+export function encryptSyncQuery(query, table) {
+  return encryptQuery(query, table, e2e, syncKeys);
+}
@@ -0,0 +1,145 @@
+import { countDueMutations } from '../../repositories/outbox.js';
+import { finishSyncRun, interruptSyncRuns, startSyncRun } from '../../repositories/sync-log.js';
+import { initDatabase } from '../database';
+import { pushAllLocalChanges } from './@sync_fabrizio.js';
+import { describeSyncBackend, loadSyncBackend } from './backend.js';
+import { countSynced, finishSyncStats, recordSyncFailure, startSyncStats } from './sync-stats.js';
+import { logger } from './syncpush/shared/logger.js';
+import { pullAllFromSupabase } from './syncpull/syncpull.js';
+
+// Device-only setting: minutes between automatic syncs.
+// '0' syncs only after local changes and when the app opens, 'off' disables automatic sync.
+// Off until turned on, so nothing leaves the device before the user asks for it.
+export const AUTO_SYNC_SETTING = 'local_auto_sync_interval';
+export const DEFAULT_AUTO_SYNC_INTERVAL = 'off';
+export const AUTO_SYNC_INTERVALS = ['off', '0', '5', '15', '30', '60'];
+
+// Wait this long after the last local change before pushing it
+export const AUTO_SYNC_DEBOUNCE_MS = 5000;
+
+let currentRun = null;
+let closedStaleRuns = false;
+
+function skipped(reason) {
+  return reason === 'busy'
+    ? { success: false, skipped: true, reason, pushed: 0, pulled: 0, failed: 0, runId: null, error: 'A sync is already running' }
+    : { success: true, skipped: true, reason, pushed: 0, pulled: 0, failed: 0, runId: null, error: null };
+}
+
+/**
+ * Whether a sync started from this app is in progress
+ */
+export function isSyncRunning() {
+  return currentRun !== null;
+}
+
+/**
+ * Minutes between automatic syncs for a setting value
+ * @param {string|null} value - Stored AUTO_SYNC_SETTING value (null when never set)
+ * @returns {number|null} Minutes (0 = no interval), or null when automatic sync is off
+ */
+export function parseAutoSyncInterval(value) {
+  const setting = AUTO_SYNC_INTERVALS.includes(value) ? value : DEFAULT_AUTO_SYNC_INTERVAL;
+  return setting === 'off' ? null : parseInt(setting, 10);
+}
+
+/**
+ * Run a sync, unless one is already running
+ * Every run that starts gets a sync_log row. Runs triggered by local writes
+ * are skipped when nothing is due to push.
+ * @param {'push'|'pull'|'full'} [syncType] - 'full' pushes, then pulls
+ * @param {string} [triggeredBy] - manual, write, foreground or interval
+ * @returns Promise of { success, skipped, reason, pushed, pulled, failed, runId, error }
+ *   (reason is busy or idle when the run was skipped)
+ */
+export async function runSync(syncType = 'full', triggeredBy = 'manual') {
+  if (currentRun) {
+    return skipped('busy');
+  }
+
+  currentRun = performSync(syncType, triggeredBy);
+  try {
+    return await currentRun;
+  } finally {
+    currentRun = null;
+  }
+}
+
+async function performSync(syncType, triggeredBy) {
+  await initDatabase();
+
+  // Runs still marked running were cut short when the app last closed
+  if (!closedStaleRuns) {
+    await interruptSyncRuns();
+    closedStaleRuns = true;
+  }
+
+  if (triggeredBy === 'write' && (await countDueMutations()) === 0) {
+    return skipped('idle');
+  }
+
+  // Settings may have switched between Supabase and a sync server since the last run
+  await loadSyncBackend();
+
+  const runId = await startSyncRun(syncType, triggeredBy);
+  if (!runId) {
+    return skipped('busy');
+  }
+
+  logger.info(`🔄 Starting ${syncType} sync with ${describeSyncBackend()} (${triggeredBy})`);
+  const startedAt = Date.now();
+  startSyncStats();
+  let pulled = 0;
+  const errors = [];
+
+  try {
+    if (syncType !== 'pull') {
+      const pushResult = await pushAllLocalChanges();
+      if (!pushResult.success) {
+        errors.push(`Push: ${pushResult.error || 'some changes were not pushed'}`);
+      }
+    }
+
+    if (syncType !== 'push') {
+      const pullResult = await pullAllFromSupabase();
+      pulled = pullResult.totalSynced || 0;
+      if (!pullResult.success) {
+        errors.push(`Pull: ${pullResult.error || 'unknown error'}`);
+      }
+      for (const [tableName, tableResult] of Object.entries(pullResult.results || {})) {
+        countSynced(tableName, 'pulled', tableResult.count || 0);
+        if (!tableResult.success) {
+          recordSyncFailure({ tableName, operation: 'pull', error: tableResult.error || 'unknown error' });
+          errors.push(`Pull ${tableName}: ${tableResult.error || 'unknown error'}`);
+        }
+      }
+    }
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  // Per-record counts, so records that failed to push are not counted as pushed
+  const { tables, failures, pushed } = finishSyncStats();
+  const error = errors.length > 0 ? errors.join('; ') : null;
+  const message = [
+    syncType !== 'pull' && `${pushed} pushed`,
+    syncType !== 'push' && `${pulled} pulled`,
+    failures.length > 0 && `${failures.length} failed`,
+  ].filter(Boolean).join(', ');
+  await finishSyncRun(runId, {
+    success: !error,
+    recordsSynced: pushed + pulled,
+    message,
+    error,
+    durationMs: Date.now() - startedAt,
+    tableCounts: tables,
+    failures,
+  });
+
+  if (error) {
+    logger.error(`❌ Sync ${runId} failed: ${error}`);
+  } else {
+    logger.info(`✅ Sync ${runId} complete: ${message}`);
+  }
+  return { success: !error, skipped: false, reason: null, pushed, pulled, failed: failures.length, runId, error };
+}
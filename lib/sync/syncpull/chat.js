@@ -0,0 +1,110 @@
+import { getDb, initDatabase } from '../../database.js';
+import { logSupabaseError } from '../syncpush/shared/error-logger.js';
+import { logger } from '../syncpush/shared/logger.js';
+import { getPullCursor, pullChanges } from './shared/pull-cursor.js';
+
+/**
+ * Pull chat sessions from Supabase and sync to local database
+ */
+export async function pullChatSessionsFromSupabase() {
+  try {
+    await initDatabase();
+    const db = getDb();
+    
+    logger.info('📥 Starting pull sync for chat sessions...');
+
+    const { count } = await pullChanges(db, 'chat_sessions', async (rows) => {
+      // Upsert rather than INSERT OR REPLACE: replacing the row would cascade-delete its messages
+      for (const session of rows) {
+        try {
+          await db.runAsync(
+            `INSERT INTO chat_sessions (id, title, context_task_id, provider, model, input_tokens, output_tokens, created_at, updated_at, sync_status, deleted_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'synced', NULL)
+             ON CONFLICT(id) DO UPDATE SET
+               title = excluded.title, context_task_id = excluded.context_task_id,
+               provider = excluded.provider, model = excluded.model,
+               input_tokens = excluded.input_tokens, output_tokens = excluded.output_tokens,
+               created_at = excluded.created_at, updated_at = excluded.updated_at,
+               sync_status = 'synced', deleted_at = NULL`,
+            [
+              session.id,
+              session.title || null,
+              session.context_task_id || null,
+              session.provider || null,
+              session.model || null,
+              session.input_tokens || 0,
+              session.output_tokens || 0,
+              session.created_at || session.updated_at,
+              session.updated_at
+            ]
+          );
+        } catch (error) {
+          logger.error(`Failed to insert chat session ${session.id}:`, error.message);
+        }
+      }
+    });
+
+    if (count > 0) {
+      logger.info(`✅ Synced ${count} chat sessions`);
+    } else {
+      logger.info('No new chat session updates from Supabase');
+    }
+
+    return { success: true, count };
+  } catch (error) {
+    logSupabaseError(error, 'pulling chat sessions', 'chat_sessions', {
+      cursor: await getPullCursor(getDb(), 'chat_sessions').catch(() => 'unknown')
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Pull chat messages from Supabase and sync to local database
+ */
+export async function pullChatMessagesFromSupabase() {
+  try {
+    await initDatabase();
+    const db = getDb();
+    
+    logger.info('📥 Starting pull sync for chat messages...');
+
+    const { count } = await pullChanges(db, 'chat_messages', async (rows) => {
+      for (const message of rows) {
+        try {
+          await db.runAsync(
+            `INSERT OR REPLACE INTO chat_messages (id, session_id, role, content, is_error, input_tokens, output_tokens, created_at, updated_at, sync_status)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'synced')`,
+            [
+              message.id,
+              message.session_id,
+              message.role,
+              message.content,
+              message.is_error ? 1 : 0,
+              message.input_tokens ?? null,
+              message.output_tokens ?? null,
+              message.created_at || message.updated_at,
+              message.updated_at
+            ]
+          );
+        } catch (error) {
+          // The session may not exist locally (e.g. it failed to pull)
+          logger.error(`Failed to insert chat message ${message.id}:`, error.message);
+        }
+      }
+    });
+
+    if (count > 0) {
+      logger.info(`✅ Synced ${count} chat messages`);
+    } else {
+      logger.info('No new chat message updates from Supabase');
+    }
+
+    return { success: true, count };
+  } catch (error) {
+    logSupabaseError(error, 'pulling chat messages', 'chat_messages', {
+      cursor: await getPullCursor(getDb(), 'chat_messages').catch(() => 'unknown')
+    });
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,114 @@
+import { getDb, initDatabase } from '../../database.js';
+import { logSupabaseError } from '../syncpush/shared/error-logger.js';
+import { logger } from '../syncpush/shared/logger.js';
+import { fetchAllRows, getPullCursor, pullChanges } from './shared/pull-cursor.js';
+
+/**
+ * Pull filters from Supabase and sync to local database
+ */
+export async function pullFiltersFromSupabase() {
+  try {
+    await initDatabase();
+    const db = getDb();
+    
+    logger.info('📥 Starting pull sync for filters...');
+
+    const { count } = await pullChanges(db, 'filters', async (rows) => {
+      // Upsert rather than INSERT OR REPLACE: replacing the row would cascade-delete its tags/projects
+      for (const filter of rows) {
+        try {
+          await db.runAsync(
+            `INSERT INTO filters (id, name, icon, color, query, created_at, updated_at, sync_status, deleted_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, 'synced', NULL)
+             ON CONFLICT(id) DO UPDATE SET
+               name = excluded.name, icon = excluded.icon, color = excluded.color, query = excluded.query,
+               created_at = excluded.created_at, updated_at = excluded.updated_at,
+               sync_status = 'synced', deleted_at = NULL`,
+            [
+              filter.id,
+              filter.name,
+              filter.icon || 'filter-outline',
+              filter.color || null,
+              filter.query || null,
+              filter.created_at || filter.updated_at,
+              filter.updated_at
+            ]
+          );
+        } catch (error) {
+          logger.error(`Failed to insert filter ${filter.id}:`, error.message);
+        }
+      }
+    });
+
+    if (count > 0) {
+      logger.info(`✅ Synced ${count} filters`);
+    } else {
+      logger.info('No new filter updates from Supabase');
+    }
+
+    return { success: true, count };
+  } catch (error) {
+    logSupabaseError(error, 'pulling filters', 'filters', {
+      cursor: await getPullCursor(getDb(), 'filters').catch(() => 'unknown')
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Pull a filter relationship table (filter_tags or filter_projects) from Supabase
+ * Like task_tags, the local rows are replaced by the remote ones.
+ */
+async function pullFilterRelations(table, column) {
+  try {
+    await initDatabase();
+    const db = getDb();
+    
+    logger.info(`📥 Starting pull sync for ${table}...`);
+
+    const data = await fetchAllRows(table);
+
+    if (data && data.length > 0) {
+      logger.info(`Fetched ${data.length} ${table} relationships from Supabase`);
+      
+      await db.runAsync(`DELETE FROM ${table}`);
+      
+      for (const relationship of data) {
+        try {
+          await db.runAsync(
+            `INSERT OR IGNORE INTO ${table} (filter_id, ${column}) VALUES (?, ?)`,
+            [relationship.filter_id, relationship[column]]
+          );
+        } catch (error) {
+          // The filter or its target may not exist locally yet
+          logger.warn(`Skipped ${table} relationship ${relationship.filter_id}/${relationship[column]}:`, error.message);
+        }
+      }
+      
+      logger.info(`✅ Synced ${data.length} ${table} relationships`);
+    } else {
+      logger.info(`No ${table} relationships from Supabase`);
+    }
+
+    return { success: true, count: data.length };
+  } catch (error) {
+    logSupabaseError(error, `pulling ${table}`, table, {
+      query: `SELECT * FROM ${table}`
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Pull filter_tags relationships from Supabase and sync to local database
+ */
+export async function pullFilterTagsFromSupabase() {
+  return await pullFilterRelations('filter_tags', 'tag_id');
+}
+
+/**
+ * Pull filter_projects relationships from Supabase and sync to local database
+ */
+export async function pullFilterProjectsFromSupabase() {
+  return await pullFilterRelations('filter_projects', 'project_id');
+}
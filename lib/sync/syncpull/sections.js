@@ -1,8 +1,7 @@
 import { getDb, initDatabase } from '../../database.js';
-import { supabase } from '../../supabase.js';
 import { logSupabaseError } from '../syncpush/shared/error-logger.js';
 import { logger } from '../syncpush/shared/logger.js';
-import { getLastSyncTime } from './shared/get-last-sync-time.js';
+import { getPullCursor, pullChanges } from './shared/pull-cursor.js';
 
 /**
  * Pull sections from Supabase and sync to local database
@@ -14,35 +13,15 @@ export async function pullSectionsFromSupabase() {
     
     logger.info('📥 Starting pull sync for sections...');
 
-    const lastUpdatedAt = await getLastSyncTime(db, 'sections');
-    logger.info(`Last local update: ${lastUpdatedAt}`);
-
-    // Fetch rows from Supabase updated after last local timestamp
-    const { data, error } = await supabase
-      .from('sections')
-      .select('*')
-      .gt('updated_at', lastUpdatedAt)
-      .order('updated_at', { ascending: true });
-
-    if (error) {
-      logSupabaseError(error, 'pulling sections', 'sections', {
-        lastUpdatedAt,
-        query: 'SELECT * FROM sections WHERE updated_at > ? ORDER BY updated_at ASC'
-      });
-      throw error;
-    }
-
-    if (data && data.length > 0) {
-      logger.info(`Fetched ${data.length} updated sections from Supabase`);
-      
+    const { count } = await pullChanges(db, 'sections', async (rows) => {
       // Insert or update sections
-      for (const section of data) {
+      for (const section of rows) {
         try {
           // Try full insert first
           await db.runAsync(
-            `INSERT OR REPLACE INTO sections (id, project_id, name, updated_at, sync_status)
-             VALUES (?, ?, ?, ?, ?)`,
-            [section.id, section.project_id, section.name, section.updated_at, 'synced']
+            `INSERT OR REPLACE INTO sections (id, project_id, name, sort_key, updated_at, sync_status)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [section.id, section.project_id, section.name, section.sort_key || null, section.updated_at, 'synced']
           );
         } catch (insertError) {
           // If columns don't exist, try with just basic columns
@@ -61,16 +40,18 @@ export async function pullSectionsFromSupabase() {
           }
         }
       }
-      
-      logger.info(`✅ Synced ${data.length} sections`);
+    });
+
+    if (count > 0) {
+      logger.info(`✅ Synced ${count} sections`);
     } else {
       logger.info('No new section updates from Supabase');
     }
 
-    return { success: true, count: data?.length || 0 };
+    return { success: true, count };
   } catch (error) {
     logSupabaseError(error, 'pulling sections', 'sections', {
-      lastUpdatedAt: await getLastSyncTime(getDb(), 'sections').catch(() => 'unknown')
+      cursor: await getPullCursor(getDb(), 'sections').catch(() => 'unknown')
     });
     return { success: false, error: error.message };
   }
@@ -0,0 +1,46 @@
+import { getDb, initDatabase } from '../../database.js';
+import { LOCAL_SETTING_PREFIX } from '../../../repositories/settings.js';
+import { logSupabaseError } from '../syncpush/shared/error-logger.js';
+import { logger } from '../syncpush/shared/logger.js';
+import { getPullCursor, pullChanges } from './shared/pull-cursor.js';
+
+/**
+ * Pull settings from Supabase and sync to local database
+ * Device-only settings are never pulled (nor pushed).
+ */
+export async function pullSettingsFromSupabase() {
+  try {
+    await initDatabase();
+    const db = getDb();
+    
+    logger.info('📥 Starting pull sync for settings...');
+
+    const { count } = await pullChanges(db, 'settings', async (rows) => {
+      for (const setting of rows) {
+        if (setting.key.startsWith(LOCAL_SETTING_PREFIX)) continue;
+        try {
+          await db.runAsync(
+            `INSERT OR REPLACE INTO settings (key, value, updated_at, sync_status, deleted_at)
+             VALUES (?, ?, ?, 'synced', NULL)`,
+            [setting.key, setting.value, setting.updated_at]
+          );
+        } catch (error) {
+          logger.error(`Failed to insert setting ${setting.key}:`, error.message);
+        }
+      }
+    });
+
+    if (count > 0) {
+      logger.info(`✅ Synced ${count} settings`);
+    } else {
+      logger.info('No new settings updates from Supabase');
+    }
+
+    return { success: true, count };
+  } catch (error) {
+    logSupabaseError(error, 'pulling settings', 'settings', {
+      cursor: await getPullCursor(getDb(), 'settings').catch(() => 'unknown')
+    });
+    return { success: false, error: error.message };
+  }
+}
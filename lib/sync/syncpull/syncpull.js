@@ -1,6 +1,11 @@
+import { getDb, initDatabase } from '../../database.js';
+import { loadE2EKeys } from '../e2e.js';
 import { logger } from '../syncpush/shared/logger.js';
+import { pullChatMessagesFromSupabase, pullChatSessionsFromSupabase } from './chat.js';
+import { pullFilterProjectsFromSupabase, pullFiltersFromSupabase, pullFilterTagsFromSupabase } from './filters.js';
 import { pullProjectsFromSupabase } from './projects.js';
 import { pullSectionsFromSupabase } from './sections.js';
+import { pullSettingsFromSupabase } from './settings.js';
 import { pullTagsFromSupabase } from './tags.js';
 import { pullTasksFromSupabase, pullTaskTagsFromSupabase } from './tasks.js';
 
@@ -8,23 +13,37 @@ import { pullTasksFromSupabase, pullTaskTagsFromSupabase } from './tasks.js';
  * Pull all changes from Supabase to local database
  */
 export async function pullAllFromSupabase() {
+  let db = null;
   try {
     logger.info('🔄 Starting full pull sync from Supabase...');
+
+    // Pages come in change order, so a task can arrive before its parent or project
+    await initDatabase();
+    db = getDb();
+    await db.execAsync('PRAGMA foreign_keys = OFF');
+
+    // Settings first: e2e_config says whether tasks and tags arrive encrypted
+    const settings = await pullSettingsFromSupabase();
+    await loadE2EKeys();
     
     const results = {
+      settings,
       projects: await pullProjectsFromSupabase(),
       sections: await pullSectionsFromSupabase(),
       tags: await pullTagsFromSupabase(),
       tasks: await pullTasksFromSupabase(),
-      task_tags: await pullTaskTagsFromSupabase()
+      task_tags: await pullTaskTagsFromSupabase(),
+      filters: await pullFiltersFromSupabase(),
+      filter_tags: await pullFilterTagsFromSupabase(),
+      filter_projects: await pullFilterProjectsFromSupabase(),
+      chat_sessions: await pullChatSessionsFromSupabase(),
+      chat_messages: await pullChatMessagesFromSupabase()
     };
+
+    await db.execAsync('PRAGMA foreign_keys = ON');
     
-    const totalSynced = 
-      (results.projects.count || 0) + 
-      (results.tasks.count || 0) + 
-      (results.tags.count || 0) + 
-      (results.sections.count || 0) +
-      (results.task_tags.count || 0);
+    const totalSynced = Object.values(results)
+      .reduce((sum, result) => sum + (result.count || 0), 0);
     
     logger.info(`✅ Pull sync complete. Total records synced: ${totalSynced}`);
     
@@ -34,6 +53,7 @@ export async function pullAllFromSupabase() {
       results
     };
   } catch (error) {
+    await db?.execAsync('PRAGMA foreign_keys = ON').catch(() => {});
     logger.error('❌ Error in pullAllFromSupabase:', error);
     return {
       success: false,
@@ -47,4 +67,7 @@ export { pullProjectsFromSupabase } from './projects.js';
 export { pullSectionsFromSupabase } from './sections.js';
 export { pullTagsFromSupabase } from './tags.js';
 export { pullTasksFromSupabase, pullTaskTagsFromSupabase } from './tasks.js';
+export { pullFiltersFromSupabase, pullFilterTagsFromSupabase, pullFilterProjectsFromSupabase } from './filters.js';
+export { pullChatSessionsFromSupabase, pullChatMessagesFromSupabase } from './chat.js';
+export { pullSettingsFromSupabase } from './settings.js';
 
@@ -1,8 +1,7 @@
 import { getDb, initDatabase } from '../../database.js';
-import { supabase } from '../../supabase.js';
 import { logSupabaseError } from '../syncpush/shared/error-logger.js';
 import { logger } from '../syncpush/shared/logger.js';
-import { getLastSyncTime } from './shared/get-last-sync-time.js';
+import { getPullCursor, pullChanges } from './shared/pull-cursor.js';
 
 /**
  * Pull tags from Supabase and sync to local database
@@ -14,29 +13,9 @@ export async function pullTagsFromSupabase() {
     
     logger.info('📥 Starting pull sync for tags...');
 
-    const lastUpdatedAt = await getLastSyncTime(db, 'tags');
-    logger.info(`Last local update: ${lastUpdatedAt}`);
-
-    // Fetch rows from Supabase updated after last local timestamp
-    const { data, error } = await supabase
-      .from('tags')
-      .select('*')
-      .gt('updated_at', lastUpdatedAt)
-      .order('updated_at', { ascending: true });
-
-    if (error) {
-      logSupabaseError(error, 'pulling tags', 'tags', {
-        lastUpdatedAt,
-        query: 'SELECT * FROM tags WHERE updated_at > ? ORDER BY updated_at ASC'
-      });
-      throw error;
-    }
-
-    if (data && data.length > 0) {
-      logger.info(`Fetched ${data.length} updated tags from Supabase`);
-      
+    const { count } = await pullChanges(db, 'tags', async (rows) => {
       // Insert or update tags
-      for (const tag of data) {
+      for (const tag of rows) {
         try {
           await db.runAsync(
             `INSERT OR REPLACE INTO tags (id, name)
@@ -47,16 +26,18 @@ export async function pullTagsFromSupabase() {
           logger.error(`Failed to insert tag ${tag.id}:`, error.message);
         }
       }
-      
-      logger.info(`✅ Synced ${data.length} tags`);
+    });
+
+    if (count > 0) {
+      logger.info(`✅ Synced ${count} tags`);
     } else {
       logger.info('No new tag updates from Supabase');
     }
 
-    return { success: true, count: data?.length || 0 };
+    return { success: true, count };
   } catch (error) {
     logSupabaseError(error, 'pulling tags', 'tags', {
-      lastUpdatedAt: await getLastSyncTime(getDb(), 'tags').catch(() => 'unknown')
+      cursor: await getPullCursor(getDb(), 'tags').catch(() => 'unknown')
     });
     return { success: false, error: error.message };
   }
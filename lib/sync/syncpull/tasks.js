@@ -1,8 +1,9 @@
 import { getDb, initDatabase } from '../../database.js';
-import { supabase } from '../../supabase.js';
+import { indexTask } from '../../../repositories/search.js';
+import { mergeDescriptions } from '../../block-merge.js';
 import { logSupabaseError } from '../syncpush/shared/error-logger.js';
 import { logger } from '../syncpush/shared/logger.js';
-import { getLastSyncTime } from './shared/get-last-sync-time.js';
+import { fetchAllRows, getPullCursor, pullChanges } from './shared/pull-cursor.js';
 
 /**
  * Pull tasks from Supabase and sync to local database
@@ -14,49 +15,53 @@ export async function pullTasksFromSupabase() {
     
     logger.info('📥 Starting pull sync for tasks...');
 
-    const lastUpdatedAt = await getLastSyncTime(db, 'tasks');
-    logger.info(`Last local update: ${lastUpdatedAt}`);
-
-    // Fetch rows from Supabase updated after last local timestamp
-    const { data, error } = await supabase
-      .from('tasks')
-      .select('*')
-      .gt('updated_at', lastUpdatedAt)
-      .order('updated_at', { ascending: true });
-
-    if (error) {
-      logSupabaseError(error, 'pulling tasks', 'tasks', {
-        lastUpdatedAt,
-        query: 'SELECT * FROM tasks WHERE updated_at > ? ORDER BY updated_at ASC'
-      });
-      throw error;
-    }
-
-    if (data && data.length > 0) {
-      logger.info(`Fetched ${data.length} updated tasks from Supabase`);
-      
-      // Sort tasks by ID to help satisfy parent_id foreign key constraints during fresh sync
+    const { count } = await pullChanges(db, 'tasks', async (rows) => {
+      // Sort each page by ID to help satisfy parent_id foreign key constraints during fresh sync
       // This helps ensure parents are inserted before children
-      data.sort((a, b) => a.id - b.id);
+      rows.sort((a, b) => a.id - b.id);
       
       // Insert or update tasks
-      for (const task of data) {
+      for (const task of rows) {
+        let description = task.description || null;
         try {
+          // Keep block edits made on this device since the last sync
+          let updatedAt = task.updated_at;
+          let syncStatus = 'synced';
+          const local = await db.getFirstAsync(
+            'SELECT description, synced_description, sync_status FROM tasks WHERE id = ?',
+            [task.id]
+          );
+          if (hasLocalBlockEdits(local, description)) {
+            const merged = mergeDescriptions(local.synced_description, local.description, description);
+            if (merged.conflicts.length > 0) {
+              logger.warn(`⚠️ ${merged.conflicts.length} block conflict(s) in task ${task.id}, kept the remote version:`, merged.conflicts);
+            }
+            description = merged.description;
+            updatedAt = new Date().toISOString();
+            syncStatus = 'pending';
+            logger.info(`🔀 Merged block edits of task ${task.id}`);
+          }
+
           // Try full insert first
           await db.runAsync(
-            `INSERT OR REPLACE INTO tasks (id, project_id, section_id, parent_id, title, description, completed, is_expanded, updated_at, sync_status)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            `INSERT OR REPLACE INTO tasks (id, project_id, section_id, parent_id, title, description, synced_description, completed, is_expanded, due_at, start_at, recurrence, sort_key, updated_at, sync_status)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
               task.id,
               task.project_id,
               task.section_id || null,
               task.parent_id || null,
               task.title,
+              description,
               task.description || null,
               task.completed ? 1 : 0,
               task.is_expanded ? 1 : 0,
-              task.updated_at,
-              'synced'
+              task.due_at || null,
+              task.start_at || null,
+              task.recurrence || null,
+              task.sort_key || null,
+              updatedAt,
+              syncStatus
             ]
           );
         } catch (insertError) {
@@ -100,17 +105,20 @@ export async function pullTasksFromSupabase() {
             throw insertError;
           }
         }
+        await indexTask(task.id, task.title, description);
       }
-      
-      logger.info(`✅ Synced ${data.length} tasks`);
+    });
+
+    if (count > 0) {
+      logger.info(`✅ Synced ${count} tasks`);
     } else {
       logger.info('No new task updates from Supabase');
     }
 
-    return { success: true, count: data?.length || 0 };
+    return { success: true, count };
   } catch (error) {
     logSupabaseError(error, 'pulling tasks', 'tasks', {
-      lastUpdatedAt: await getLastSyncTime(getDb(), 'tasks').catch(() => 'unknown')
+      cursor: await getPullCursor(getDb(), 'tasks').catch(() => 'unknown')
     });
     return { success: false, error: error.message };
   }
@@ -127,17 +135,7 @@ export async function pullTaskTagsFromSupabase() {
     logger.info('📥 Starting pull sync for task_tags...');
 
     // Fetch all relationships from Supabase
-    const { data, error } = await supabase
-      .from('task_tags')
-      .select('*')
-      .order('updated_at', { ascending: true });
-
-    if (error) {
-      logSupabaseError(error, 'pulling task_tags', 'task_tags', {
-        query: 'SELECT * FROM task_tags ORDER BY updated_at ASC'
-      });
-      throw error;
-    }
+    const data = await fetchAllRows('task_tags');
 
     if (data && data.length > 0) {
       logger.info(`Fetched ${data.length} task-tag relationships from Supabase`);
@@ -159,12 +157,23 @@ export async function pullTaskTagsFromSupabase() {
       logger.info('No task-tag relationships from Supabase');
     }
 
-    return { success: true, count: data?.length || 0 };
+    return { success: true, count: data.length };
   } catch (error) {
     logSupabaseError(error, 'pulling task_tags', 'task_tags', {
-      query: 'SELECT * FROM task_tags ORDER BY updated_at ASC'
+      query: 'SELECT * FROM task_tags'
     });
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Whether a local task has unsynced block edits that pulling the remote version would drop
+ * @param {Object|null} local - Local row (description, synced_description, sync_status)
+ * @param {string|null} remoteDescription - Description being pulled
+ */
+function hasLocalBlockEdits(local, remoteDescription) {
+  if (!local || local.sync_status !== 'pending') return false;
+  if (local.synced_description === null || local.synced_description === undefined) return false;
+  const localDescription = local.description || '';
+  return localDescription !== (local.synced_description || '') && localDescription !== (remoteDescription || '');
+}
@@ -0,0 +1,14 @@
+// Chat history sync operation constants
+export const SYNC_STATUS = {
+  SYNCED: 'synced',
+  PENDING: 'pending',
+  PENDING_DELETE: 'pending_delete',
+  FAILED: 'failed'
+};
+
+export const SYNC_MESSAGES = {
+  SESSION_SYNCED: 'Successfully synced chat session:',
+  MESSAGE_SYNCED: 'Successfully synced chat message:',
+  FAILED_TO_SYNC: 'Failed to sync chat',
+  ERROR_IN_PUSH: 'Error in pushLocalChatChanges:'
+};
@@ -0,0 +1,34 @@
+import { SYNC_STATUS } from './constants.js';
+
+// Chat history database utility functions
+export const databaseUtils = {
+  /**
+   * Get pending chat sessions that need to be synced
+   * Deleted sessions are handled by the delete sync.
+   */
+  async getPendingSessions(db) {
+    return await db.getAllAsync(
+      `SELECT * FROM chat_sessions WHERE sync_status != '${SYNC_STATUS.SYNCED}' AND deleted_at IS NULL`
+    );
+  },
+
+  /**
+   * Get pending chat messages that need to be synced
+   */
+  async getPendingMessages(db) {
+    return await db.getAllAsync(
+      `SELECT * FROM chat_messages WHERE sync_status != '${SYNC_STATUS.SYNCED}' AND deleted_at IS NULL ORDER BY id ASC`
+    );
+  },
+
+  /**
+   * Update chat session or message sync status to synced
+   * @param {string} tableName - 'chat_sessions' or 'chat_messages'
+   */
+  async updateSyncStatus(db, tableName, id) {
+    await db.runAsync(
+      `UPDATE ${tableName} SET sync_status = '${SYNC_STATUS.SYNCED}' WHERE id = ?`,
+      [id]
+    );
+  }
+};
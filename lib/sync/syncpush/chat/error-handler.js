@@ -0,0 +1,45 @@
+import { logSupabaseError } from '../shared/error-logger.js';
+import { logger } from '../shared/logger.js';
+import { markPushFailed } from '../shared/outbox.js';
+import { SYNC_MESSAGES } from './constants.js';
+
+// Chat history error handling utilities
+export const errorHandler = {
+  /**
+   * Handle sync operation errors
+   */
+  handleSyncError(error, operation = 'sync operation') {
+    // Check if it's a Supabase error
+    if (error && (error.code || error.message || error.details)) {
+      logSupabaseError(error, operation, 'chat_sessions', {
+        operationType: 'error-handler'
+      });
+    } else {
+      logger.error(`${SYNC_MESSAGES.ERROR_IN_PUSH}`, error);
+    }
+    return { 
+      success: false, 
+      error: error.message,
+      operation 
+    };
+  },
+
+  /**
+   * Handle a chat session or message that failed to push: log it and schedule a retry with backoff
+   */
+  async handleRecordError(db, tableName, record, error) {
+    const label = tableName === 'chat_sessions' ? 'session' : 'message';
+    logger.error(`${SYNC_MESSAGES.FAILED_TO_SYNC} ${label} ${record.id}:`, error);
+    await markPushFailed(db, tableName, record.id, error);
+  },
+
+  /**
+   * Create success response
+   */
+  createSuccessResponse(syncedCount) {
+    return { 
+      success: true, 
+      synced: syncedCount 
+    };
+  }
+};
@@ -0,0 +1,70 @@
+import { syncBackend } from '../../backend.js';
+import { logSupabaseError } from '../shared/error-logger.js';
+
+// Chat history Supabase utility functions
+export const supabaseUtils = {
+  /**
+   * Sync a single chat session to Supabase
+   */
+  async syncSession(session) {
+    const { id, title, context_task_id, provider, model, input_tokens, output_tokens, created_at, updated_at } = session;
+
+    const { data, error } = await syncBackend
+      .from('chat_sessions')
+      .upsert({
+        id,
+        title: title || null,
+        context_task_id: context_task_id || null,
+        provider: provider || null,
+        model: model || null,
+        input_tokens: input_tokens || 0,
+        output_tokens: output_tokens || 0,
+        created_at: created_at || new Date().toISOString(),
+        updated_at: updated_at || new Date().toISOString(),
+      })
+      .select();
+
+    if (error) {
+      logSupabaseError(error, 'pushing chat session', 'chat_sessions', {
+        sessionId: id,
+        operation: 'upsert'
+      });
+      return { success: false, error };
+    }
+
+    return { success: true, data };
+  },
+
+  /**
+   * Sync a single chat message to Supabase
+   */
+  async syncMessage(message) {
+    const { id, session_id, role, content, is_error, input_tokens, output_tokens, created_at, updated_at } = message;
+
+    const { data, error } = await syncBackend
+      .from('chat_messages')
+      .upsert({
+        id,
+        session_id,
+        role,
+        content,
+        is_error: is_error ? true : false,
+        input_tokens: input_tokens ?? null,
+        output_tokens: output_tokens ?? null,
+        created_at: created_at || new Date().toISOString(),
+        updated_at: updated_at || created_at || new Date().toISOString(),
+      })
+      .select();
+
+    if (error) {
+      logSupabaseError(error, 'pushing chat message', 'chat_messages', {
+        messageId: id,
+        sessionId: session_id,
+        operation: 'upsert'
+      });
+      return { success: false, error };
+    }
+
+    return { success: true, data };
+  }
+};
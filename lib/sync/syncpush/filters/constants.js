@@ -0,0 +1,13 @@
+// Filters sync operation constants
+export const SYNC_STATUS = {
+  SYNCED: 'synced',
+  PENDING: 'pending',
+  PENDING_DELETE: 'pending_delete',
+  FAILED: 'failed'
+};
+
+export const SYNC_MESSAGES = {
+  FILTER_SYNCED: 'Successfully synced filter:',
+  FAILED_TO_SYNC: 'Failed to sync filter',
+  ERROR_IN_PUSH: 'Error in pushLocalFilterChanges:'
+};
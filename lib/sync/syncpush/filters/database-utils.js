@@ -0,0 +1,33 @@
+import { SYNC_STATUS } from './constants.js';
+
+// Filters database utility functions
+export const databaseUtils = {
+  /**
+   * Get pending filters that need to be synced, with their tag and project IDs
+   * Deleted filters are handled by the delete sync.
+   */
+  async getPendingFilters(db) {
+    const filters = await db.getAllAsync(
+      `SELECT * FROM filters WHERE sync_status != '${SYNC_STATUS.SYNCED}' AND deleted_at IS NULL`
+    );
+
+    for (const filter of filters) {
+      const tags = await db.getAllAsync('SELECT tag_id FROM filter_tags WHERE filter_id = ?', [filter.id]);
+      const projects = await db.getAllAsync('SELECT project_id FROM filter_projects WHERE filter_id = ?', [filter.id]);
+      filter.tag_ids = tags.map(row => row.tag_id);
+      filter.project_ids = projects.map(row => row.project_id);
+    }
+
+    return filters;
+  },
+
+  /**
+   * Update filter sync status to synced
+   */
+  async updateSyncStatus(db, filterId) {
+    await db.runAsync(
+      `UPDATE filters SET sync_status = '${SYNC_STATUS.SYNCED}' WHERE id = ?`,
+      [filterId]
+    );
+  }
+};
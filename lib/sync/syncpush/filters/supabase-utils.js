@@ -0,0 +1,80 @@
+import { syncBackend } from '../../backend.js';
+import { logSupabaseError } from '../shared/error-logger.js';
+
+/**
+ * Replace the remote rows of a filter relationship table with the local ones
+ */
+async function replaceRelations(table, column, filterId, ids) {
+  const { error: deleteError } = await syncBackend
+    .from(table)
+    .delete()
+    .eq('filter_id', filterId);
+
+  if (deleteError) {
+    logSupabaseError(deleteError, `clearing ${table}`, table, { filterId, operation: 'delete' });
+    return deleteError;
+  }
+
+  if (ids.length === 0) return null;
+
+  const { error: insertError } = await syncBackend
+    .from(table)
+    .insert(ids.map(id => ({ filter_id: filterId, [column]: id })));
+
+  if (insertError) {
+    logSupabaseError(insertError, `inserting ${table}`, table, { filterId, operation: 'insert' });
+    return insertError;
+  }
+
+  return null;
+}
+
+// Filters Supabase utility functions
+export const supabaseUtils = {
+  /**
+   * Sync a single filter and its tag/project relationships to Supabase
+   */
+  async syncFilter(filter) {
+    const { id, name, icon, color, query, created_at, updated_at, tag_ids = [], project_ids = [] } = filter;
+
+    const { data, error } = await syncBackend
+      .from('filters')
+      .upsert({
+        id,
+        name,
+        icon: icon || null,
+        color: color || null,
+        query: query || null,
+        created_at: created_at || new Date().toISOString(),
+        updated_at: updated_at || new Date().toISOString(),
+      })
+      .select();
+
+    if (error) {
+      logSupabaseError(error, 'pushing filter', 'filters', {
+        filterId: id,
+        filterName: name,
+        operation: 'upsert'
+      });
+      return { success: false, error };
+    }
+
+    const relations = await this.syncFilterRelations(id, tag_ids, project_ids);
+    if (!relations.success) {
+      return relations;
+    }
+
+    return { success: true, data };
+  },
+
+  /**
+   * Replace a filter's remote tag and project relationships with the given IDs
+   */
+  async syncFilterRelations(filterId, tagIds, projectIds) {
+    const error =
+      (await replaceRelations('filter_tags', 'tag_id', filterId, tagIds)) ||
+      (await replaceRelations('filter_projects', 'project_id', filterId, projectIds));
+
+    return error ? { success: false, error } : { success: true };
+  }
+};
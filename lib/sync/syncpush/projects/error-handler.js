@@ -1,5 +1,6 @@
 import { logSupabaseError } from '../shared/error-logger.js';
 import { logger } from '../shared/logger.js';
+import { markPushFailed } from '../shared/outbox.js';
 import { SYNC_MESSAGES } from './constants.js';
 
 // Projects error handling utilities
@@ -23,6 +24,14 @@ export const errorHandler = {
     };
   },
 
+  /**
+   * Handle a project that failed to push: log it and schedule a retry with backoff
+   */
+  async handleRecordError(db, project, error) {
+    logger.error(`${SYNC_MESSAGES.FAILED_TO_SYNC} ${project.name}:`, error);
+    await markPushFailed(db, 'projects', project.id, error);
+  },
+
   /**
    * Create success response
    */
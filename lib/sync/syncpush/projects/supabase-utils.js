@@ -1,4 +1,4 @@
-import { supabase } from '../../../supabase.js';
+import { syncBackend } from '../../backend.js';
 import { logSupabaseError } from '../shared/error-logger.js';
 
 // Projects Supabase utility functions
@@ -7,13 +7,14 @@ export const supabaseUtils = {
    * Sync a single project to Supabase
    */
   async syncProject(project) {
-    const { id, name, updated_at } = project;
+    const { id, name, sort_key, updated_at } = project;
     
-    const { data, error } = await supabase
+    const { data, error } = await syncBackend
       .from('projects')
       .upsert({
         id,
         name,
+        sort_key: sort_key || null,
         updated_at: updated_at || new Date().toISOString(),
       })
       .select();
@@ -1,4 +1,4 @@
-import { supabase } from '../../../supabase.js';
+import { syncBackend } from '../../backend.js';
 import { logSupabaseError } from '../shared/error-logger.js';
 
 // Sections Supabase utility functions
@@ -7,14 +7,15 @@ export const supabaseUtils = {
    * Sync a single section to Supabase
    */
   async syncSection(section) {
-    const { id, project_id, name, updated_at } = section;
+    const { id, project_id, name, sort_key, updated_at } = section;
     
-    const { data, error } = await supabase
+    const { data, error } = await syncBackend
       .from('sections')
       .upsert({
         id,
         project_id,
         name,
+        sort_key: sort_key || null,
         updated_at: updated_at || new Date().toISOString(),
       })
       .select();
@@ -0,0 +1,13 @@
+// Settings sync operation constants
+export const SYNC_STATUS = {
+  SYNCED: 'synced',
+  PENDING: 'pending',
+  PENDING_DELETE: 'pending_delete',
+  FAILED: 'failed'
+};
+
+export const SYNC_MESSAGES = {
+  SETTING_SYNCED: 'Successfully synced setting:',
+  FAILED_TO_SYNC: 'Failed to sync setting',
+  ERROR_IN_PUSH: 'Error in pushLocalSettingChanges:'
+};
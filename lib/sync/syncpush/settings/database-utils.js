@@ -0,0 +1,25 @@
+import { getSyncScope } from '../shared/sync-tables.js';
+import { SYNC_STATUS } from './constants.js';
+
+// Settings database utility functions
+export const databaseUtils = {
+  /**
+   * Get pending settings that need to be synced
+   * Device-only settings and deleted settings are skipped.
+   */
+  async getPendingSettings(db) {
+    return await db.getAllAsync(
+      `SELECT * FROM settings WHERE sync_status != '${SYNC_STATUS.SYNCED}' AND deleted_at IS NULL${getSyncScope('settings')}`
+    );
+  },
+
+  /**
+   * Update setting sync status to synced
+   */
+  async updateSyncStatus(db, key) {
+    await db.runAsync(
+      `UPDATE settings SET sync_status = '${SYNC_STATUS.SYNCED}' WHERE key = ?`,
+      [key]
+    );
+  }
+};
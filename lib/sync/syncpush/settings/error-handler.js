@@ -0,0 +1,44 @@
+import { logSupabaseError } from '../shared/error-logger.js';
+import { logger } from '../shared/logger.js';
+import { markPushFailed } from '../shared/outbox.js';
+import { SYNC_MESSAGES } from './constants.js';
+
+// Settings error handling utilities
+export const errorHandler = {
+  /**
+   * Handle sync operation errors
+   */
+  handleSyncError(error, operation = 'sync operation') {
+    // Check if it's a Supabase error
+    if (error && (error.code || error.message || error.details)) {
+      logSupabaseError(error, operation, 'settings', {
+        operationType: 'error-handler'
+      });
+    } else {
+      logger.error(`${SYNC_MESSAGES.ERROR_IN_PUSH}`, error);
+    }
+    return { 
+      success: false, 
+      error: error.message,
+      operation 
+    };
+  },
+
+  /**
+   * Handle a setting that failed to push: log it and schedule a retry with backoff
+   */
+  async handleRecordError(db, setting, error) {
+    logger.error(`${SYNC_MESSAGES.FAILED_TO_SYNC} ${setting.key}:`, error);
+    await markPushFailed(db, 'settings', setting.key, error);
+  },
+
+  /**
+   * Create success response
+   */
+  createSuccessResponse(syncedCount) {
+    return { 
+      success: true, 
+      synced: syncedCount 
+    };
+  }
+};
@@ -0,0 +1,31 @@
+import { syncBackend } from '../../backend.js';
+import { logSupabaseError } from '../shared/error-logger.js';
+
+// Settings Supabase utility functions
+export const supabaseUtils = {
+  /**
+   * Sync a single setting to Supabase
+   */
+  async syncSetting(setting) {
+    const { key, value, updated_at } = setting;
+
+    const { data, error } = await syncBackend
+      .from('settings')
+      .upsert({
+        key,
+        value,
+        updated_at: updated_at || new Date().toISOString(),
+      })
+      .select();
+
+    if (error) {
+      logSupabaseError(error, 'pushing setting', 'settings', {
+        settingKey: key,
+        operation: 'upsert'
+      });
+      return { success: false, error };
+    }
+
+    return { success: true, data };
+  }
+};
@@ -0,0 +1,97 @@
+import {
+  OUTBOX_MAX_ATTEMPTS,
+  enqueueMutation,
+  getRetryDelay,
+} from '../../../../repositories/outbox.js';
+import { countSynced, recordSyncFailure } from '../../sync-stats.js';
+import { logger } from './logger.js';
+import { getPrimaryKey } from './sync-tables.js';
+
+/**
+ * Records of a table that are due for a push, in the order they were queued
+ * Skips records waiting out a retry backoff or dead-lettered. Pending records that
+ * were changed outside the repositories (e.g. merged during a pull) are queued now.
+ * @param {Object} db - Database
+ * @param {string} tableName - Synced table
+ * @param {Array} records - Pending rows of the table
+ * @param {'upsert'|'delete'} [operation] - Operation used when queueing unqueued rows
+ * @returns {Promise<Array>} The due rows
+ */
+export async function takeDueRecords(db, tableName, records, operation = 'upsert') {
+  if (records.length === 0) return [];
+
+  const primaryKey = getPrimaryKey(tableName);
+  const entries = await db.getAllAsync(
+    `SELECT id, record_id, status, datetime(next_attempt_at) <= datetime('now') as due
+     FROM sync_outbox WHERE table_name = ?`,
+    [tableName]
+  );
+  const byRecord = new Map(entries.map(entry => [entry.record_id, entry]));
+
+  const due = [];
+  for (const record of records) {
+    const entry = byRecord.get(String(record[primaryKey]));
+    if (!entry) {
+      await enqueueMutation(tableName, record[primaryKey], operation);
+      due.push({ record, position: Number.MAX_SAFE_INTEGER });
+    } else if (entry.status === 'pending' && entry.due) {
+      due.push({ record, position: entry.id });
+    }
+  }
+
+  const skipped = records.length - due.length;
+  if (skipped > 0) {
+    logger.info(`Skipping ${skipped} ${tableName} record(s) waiting to retry`);
+  }
+  return due.sort((a, b) => a.position - b.position).map(item => item.record);
+}
+
+/**
+ * Remove a record from the queue after a successful push
+ * @param {'pushed'|'pulled'} [settledBy] - 'pulled' when the newer remote version replaced the local change
+ */
+export async function markPushed(db, tableName, recordId, settledBy = 'pushed') {
+  await db.runAsync(
+    'DELETE FROM sync_outbox WHERE table_name = ? AND record_id = ?',
+    [tableName, String(recordId)]
+  );
+  countSynced(tableName, settledBy);
+}
+
+/**
+ * Record a failed push: back off exponentially, dead-letter after OUTBOX_MAX_ATTEMPTS
+ * @param {Object} db - Database
+ * @param {string} tableName - Synced table
+ * @param {number|string} recordId - Primary key of the record
+ * @param {Error|Object|string} error - What went wrong (Supabase errors carry a message)
+ */
+export async function markPushFailed(db, tableName, recordId, error) {
+  const message = (error && error.message) || String(error);
+  try {
+    const entry = await db.getFirstAsync(
+      'SELECT attempts, operation FROM sync_outbox WHERE table_name = ? AND record_id = ?',
+      [tableName, String(recordId)]
+    );
+    if (!entry) {
+      await enqueueMutation(tableName, recordId);
+    }
+
+    const attempts = (entry?.attempts || 0) + 1;
+    const dead = attempts >= OUTBOX_MAX_ATTEMPTS;
+    const nextAttemptAt = new Date(Date.now() + getRetryDelay(attempts)).toISOString();
+    await db.runAsync(
+      `UPDATE sync_outbox SET attempts = ?, last_error = ?, status = ?, next_attempt_at = ?
+       WHERE table_name = ? AND record_id = ?`,
+      [attempts, message, dead ? 'dead' : 'pending', nextAttemptAt, tableName, String(recordId)]
+    );
+    recordSyncFailure({ tableName, recordId, operation: entry?.operation || 'upsert', error: message, attempts });
+
+    if (dead) {
+      logger.error(`☠️ Giving up on ${tableName} ${recordId} after ${attempts} failed pushes: ${message}`);
+    } else {
+      logger.warn(`⏳ Push of ${tableName} ${recordId} failed (attempt ${attempts}), retrying after ${nextAttemptAt}`);
+    }
+  } catch (err) {
+    logger.error(`Error recording failed push of ${tableName} ${recordId}:`, err);
+  }
+}
@@ -0,0 +1,20 @@
+import { LOCAL_SETTING_PREFIX } from '../../../../repositories/settings.js';
+
+/**
+ * Primary key column of a synced table
+ * Settings are keyed by name; every other table uses a numeric id.
+ */
+export function getPrimaryKey(tableName) {
+  return tableName === 'settings' ? 'key' : 'id';
+}
+
+/**
+ * Extra WHERE condition limiting which rows of a table are synced
+ * Device-only settings (LOCAL_SETTING_PREFIX) never leave the device.
+ */
+export function getSyncScope(tableName) {
+  if (tableName === 'settings') {
+    return ` AND substr(key, 1, ${LOCAL_SETTING_PREFIX.length}) != '${LOCAL_SETTING_PREFIX}'`;
+  }
+  return '';
+}
@@ -34,11 +34,12 @@ export const databaseUtils = {
 
   /**
    * Update task sync status to synced
+   * The pushed description becomes the base for the next block merge.
    */
   async updateSyncStatus(db, taskId, taskName) {
     try {
       await db.runAsync(
-        `UPDATE tasks SET sync_status = "${SYNC_STATUS.SYNCED}" WHERE id = ?`,
+        `UPDATE tasks SET sync_status = "${SYNC_STATUS.SYNCED}", synced_description = description WHERE id = ?`,
         [taskId]
       );
     } catch (updateError) {
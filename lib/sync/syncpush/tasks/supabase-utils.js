@@ -1,4 +1,4 @@
-import { supabase } from '../../../supabase.js';
+import { syncBackend } from '../../backend.js';
 import { logSupabaseError } from '../shared/error-logger.js';
 
 // Tasks Supabase utility functions
@@ -7,7 +7,7 @@ export const supabaseUtils = {
    * Sync a single task to Supabase
    */
   async syncTask(task) {
-    const { id, title, description, completed, project_id, section_id, parent_id, is_expanded, created_at, updated_at, tags } = task;
+    const { id, title, description, completed, project_id, section_id, parent_id, is_expanded, due_at, start_at, recurrence, sort_key, created_at, updated_at, tags } = task;
     
     // Build the data object with only the fields that exist
     const taskData = {
@@ -18,6 +18,10 @@ export const supabaseUtils = {
       section_id: section_id || null,
       parent_id: parent_id || null,
       is_expanded: is_expanded ? true : false,
+      due_at: due_at || null,
+      start_at: start_at || null,
+      recurrence: recurrence || null,
+      sort_key: sort_key || null,
       created_at: created_at || new Date().toISOString(),
       updated_at: updated_at || new Date().toISOString(),
     };
@@ -27,7 +31,7 @@ export const supabaseUtils = {
       taskData.completed = completed ? true : false;
     }
     
-    const { data, error } = await supabase
+    const { data, error } = await syncBackend
       .from('tasks')
       .upsert(taskData)
       .select();
@@ -52,7 +56,7 @@ export const supabaseUtils = {
         if (tagNames.length > 0) {
           console.log('🏷️ Upserting tags:', tagNames);
           // We upsert tags by name to get their IDs (creating if missing)
-          const { data: upsertedTags, error: tagUpsertError } = await supabase
+          const { data: upsertedTags, error: tagUpsertError } = await syncBackend
             .from('tags')
             .upsert(
               tagNames.map(name => ({ name })), 
@@ -72,7 +76,7 @@ export const supabaseUtils = {
           // 2. Update task_tags relationship
           // First, remove all existing relationships for this task
           console.log(`🏷️ Clearing existing task_tags for task ${id}`);
-          const { error: deleteError } = await supabase
+          const { error: deleteError } = await syncBackend
             .from('task_tags')
             .delete()
             .eq('task_id', id);
@@ -90,7 +94,7 @@ export const supabaseUtils = {
             }));
 
             console.log('🏷️ Inserting new task_tags:', taskTagsData);
-            const { error: insertError } = await supabase
+            const { error: insertError } = await syncBackend
               .from('task_tags')
               .insert(taskTagsData);
 
@@ -103,7 +107,7 @@ export const supabaseUtils = {
         } else {
           // If no tags, just clear existing relationships
           console.log(`🏷️ No tags to sync, clearing existing task_tags for task ${id}`);
-          const { error: deleteError } = await supabase
+          const { error: deleteError } = await syncBackend
             .from('task_tags')
             .delete()
             .eq('task_id', id);
@@ -1,15 +1,26 @@
+import { indexTask } from '../../repositories/search.js';
+import { recordSyncConflict } from '../../repositories/sync-conflicts.js';
+import { mergeDescriptions } from '../block-merge.js';
+import { stripBlockIds } from '../blocks-utils.js';
 import { getDb, initDatabase } from '../database';
-import { supabase } from '../supabase';
+import { syncBackend } from './backend.js';
+import { supabaseUtils as filterSupabaseUtils } from './syncpush/filters/supabase-utils.js';
+import { markPushFailed, markPushed, takeDueRecords } from './syncpush/shared/outbox.js';
 import { logSupabaseError } from './syncpush/shared/error-logger.js';
+import { getPrimaryKey, getSyncScope } from './syncpush/shared/sync-tables.js';
 
 /**
  * Handle update conflicts and sync updates from local SQLite to Supabase
  * @description
  *  - Only runs one-way (local → Supabase)
  *  - Uses updated_at to resolve conflicts ("latest wins")
+ *  - Task descriptions edited on both sides are merged block by block instead
+ *  - Local changes that lose are kept in sync_conflicts for the user to resolve
+ *  - Only records due in the outbox (sync_outbox) are handled; failures back off and retry
  *  - Updates remotely only if local version is newer or equal
- *  - Handles projects, sections, tags, and tasks (in dependency order)
- *  - Sync order: projects → sections → tags → tasks (respects FK constraints)
+ *  - Handles projects, sections, tags, tasks, filters, chat history and settings (in dependency order)
+ *  - Sync order: projects → sections → tags → tasks → filters → chat_sessions → chat_messages → settings
+ *    (respects FK constraints)
  */
 export async function handleUpdateConflicts() {
   try {
@@ -30,6 +41,16 @@ export async function handleUpdateConflicts() {
     // Handle tasks updates (depends on projects and sections - both already synced)
     await handleTableUpdates(db, 'tasks');
 
+    // Handle filters updates (depends on tags and projects; relationships are pushed with each filter)
+    await handleTableUpdates(db, 'filters');
+
+    // Handle chat history (sessions may reference tasks, messages depend on sessions)
+    await handleTableUpdates(db, 'chat_sessions');
+    await handleTableUpdates(db, 'chat_messages');
+
+    // Handle settings updates (no dependencies)
+    await handleTableUpdates(db, 'settings');
+
     console.log('✅ Update sync completed.');
   } catch (err) {
     console.error('❌ Update conflict handler failed:', err);
@@ -41,11 +62,12 @@ export async function handleUpdateConflicts() {
  * Handle updates for a specific table
  */
 async function handleTableUpdates(db, tableName) {
+  const primaryKey = getPrimaryKey(tableName);
   try {
-    // Fetch locally modified records that are pending sync
-    const localUpdates = await db.getAllAsync(
-      `SELECT * FROM ${tableName} WHERE deleted_at IS NULL AND sync_status = 'pending'`
-    );
+    // Fetch locally modified records that are due for a push, in outbox order
+    const localUpdates = await takeDueRecords(db, tableName, await db.getAllAsync(
+      `SELECT * FROM ${tableName} WHERE deleted_at IS NULL AND sync_status = 'pending'${getSyncScope(tableName)}`
+    ));
 
     if (localUpdates.length === 0) {
       console.log(`No pending updates for ${tableName}`);
@@ -56,19 +78,21 @@ async function handleTableUpdates(db, tableName) {
 
     for (const record of localUpdates) {
       try {
-        // Check if remote record exists and get its timestamp
-        const { data: remoteData, error: fetchErr } = await supabase
+        // Check if remote record exists and get its timestamp (the whole task, for block merges)
+        const remoteColumns = tableName === 'tasks' ? '*' : `${primaryKey}, updated_at`;
+        const { data: remoteData, error: fetchErr } = await syncBackend
           .from(tableName)
-          .select('id, updated_at')
-          .eq('id', record.id)
+          .select(remoteColumns)
+          .eq(primaryKey, record[primaryKey])
           .maybeSingle();
 
         if (fetchErr) {
           logSupabaseError(fetchErr, `fetching remote ${tableName}`, tableName, {
-            recordId: record.id,
+            recordId: record[primaryKey],
             operation: 'select',
-            query: `SELECT id, updated_at FROM ${tableName} WHERE id = ?`
+            query: `SELECT ${remoteColumns} FROM ${tableName} WHERE ${primaryKey} = ?`
           });
+          await markPushFailed(db, tableName, record[primaryKey], fetchErr);
           continue;
         }
 
@@ -76,19 +100,27 @@ async function handleTableUpdates(db, tableName) {
         const localUpdatedAt = new Date(record.updated_at || record.deleted_at);
         const remoteUpdatedAt = remoteData ? new Date(remoteData.updated_at) : null;
 
-        // If remote is newer → update local with remote data
+        // Blocks edited on this device since the last sync → merge instead of latest wins
+        if (tableName === 'tasks' && remoteData && needsBlockMerge(record, remoteData, remoteUpdatedAt > localUpdatedAt)) {
+          await mergeTaskUpdate(db, record, remoteData, remoteUpdatedAt > localUpdatedAt);
+          continue;
+        }
+
+        // If remote is newer → update local with remote data (keeping the local version as a conflict)
         if (remoteUpdatedAt && remoteUpdatedAt > localUpdatedAt) {
-          console.log(`Remote ${tableName} ${record.id} is newer, pulling remote version...`);
-          await updateLocalRecord(db, tableName, record.id);
+          console.log(`Remote ${tableName} ${record[primaryKey]} is newer, pulling remote version...`);
+          await updateLocalRecord(db, tableName, record[primaryKey], record);
+          await markPushed(db, tableName, record[primaryKey], 'pulled');
           continue;
         }
 
         // Local is newer or same → push local changes to remote
-        console.log(`Pushing local ${tableName} ${record.id} to remote`);
+        console.log(`Pushing local ${tableName} ${record[primaryKey]} to remote`);
         await pushLocalUpdate(db, tableName, record);
 
       } catch (err) {
-        console.error(`Error handling ${tableName} update for ${record.id}:`, err);
+        console.error(`Error handling ${tableName} update for ${record[primaryKey]}:`, err);
+        await markPushFailed(db, tableName, record[primaryKey], err);
       }
     }
   } catch (err) {
@@ -96,40 +128,102 @@ async function handleTableUpdates(db, tableName) {
   }
 }
 
+/**
+ * Whether latest-wins would drop block edits of a pending task
+ * True when the local description changed since the last sync (synced_description
+ * is the common base) and the remote one also changed, or is about to replace it.
+ */
+function needsBlockMerge(record, remoteData, remoteIsNewer) {
+  if (record.synced_description === null || record.synced_description === undefined) {
+    return false;
+  }
+  const base = record.synced_description || '';
+  const local = record.description || '';
+  const remote = remoteData.description || '';
+  return local !== base && local !== remote && (remote !== base || remoteIsNewer);
+}
+
+/**
+ * Merge a task whose blocks changed both locally and remotely
+ * Blocks edited on one side only are combined (see lib/block-merge.js). For blocks
+ * edited on both sides, and for all other fields, the newer version wins as before.
+ */
+async function mergeTaskUpdate(db, record, remoteData, remoteIsNewer) {
+  const winner = remoteIsNewer ? 'remote' : 'local';
+  const { description, conflicts } = mergeDescriptions(
+    record.synced_description,
+    record.description,
+    remoteData.description,
+    { prefer: winner }
+  );
+
+  // Other fields still follow latest wins; keep the local version if it loses anything
+  const otherFieldsLost = remoteIsNewer && versionsDiffer(
+    'tasks',
+    { ...record, description: null },
+    { ...remoteData, description: null }
+  );
+  if (conflicts.length > 0 || otherFieldsLost) {
+    console.warn(`⚠️ Task ${record.id} has ${conflicts.length} conflicting block(s), kept the ${winner} version`);
+    await keepConflict(db, 'tasks', record, remoteData, { blockConflicts: conflicts, force: true });
+  }
+
+  let merged = record;
+  if (remoteIsNewer) {
+    await updateLocalRecord(db, 'tasks', record.id);
+    merged = await db.getFirstAsync('SELECT * FROM tasks WHERE id = ?', [record.id]);
+  }
+
+  // The merged blocks are a new version on both sides
+  const updatedAt = new Date().toISOString();
+  await db.runAsync(
+    'UPDATE tasks SET description = ?, updated_at = ? WHERE id = ?',
+    [description, updatedAt, record.id]
+  );
+  await indexTask(record.id, merged.title, description);
+  console.log(`🔀 Merged block edits of task ${record.id}`);
+
+  await pushLocalUpdate(db, 'tasks', { ...merged, description, updated_at: updatedAt });
+}
+
 /**
  * Push local update to Supabase
  */
 async function pushLocalUpdate(db, tableName, record) {
+  const id = record[getPrimaryKey(tableName)];
   try {
     // Build the update data based on table type
     const updateData = buildUpdateData(tableName, record);
 
-    const { data, error } = await supabase
+    const { data, error } = await syncBackend
       .from(tableName)
       .upsert(updateData)
       .select();
 
     if (error) {
       logSupabaseError(error, `pushing ${tableName} update`, tableName, {
-        recordId: record.id,
+        recordId: id,
         updateData,
         operation: 'upsert'
       });
-      await markSyncStatus(db, tableName, record.id, 'failed');
+      await markPushFailed(db, tableName, id, error);
       return;
     }
 
     // Mark as synced
-    await markSyncStatus(db, tableName, record.id, 'synced');
-    console.log(`✅ Successfully synced update of ${tableName} ${record.id}`);
+    await markSyncStatus(db, tableName, id, 'synced');
+    await markPushed(db, tableName, id);
+    console.log(`✅ Successfully synced update of ${tableName} ${id}`);
 
     // Post-sync hooks (e.g., for syncing task tags)
     if (tableName === 'tasks') {
-      await syncTaskTags(db, record.id);
+      await syncTaskTags(db, id);
+    } else if (tableName === 'filters') {
+      await syncFilterRelations(db, id);
     }
   } catch (err) {
-    console.error(`Error in pushLocalUpdate for ${tableName} ${record.id}:`, err);
-    await markSyncStatus(db, tableName, record.id, 'failed');
+    console.error(`Error in pushLocalUpdate for ${tableName} ${id}:`, err);
+    await markPushFailed(db, tableName, id, err);
   }
 }
 
@@ -148,7 +242,14 @@ async function syncTaskTags(db, taskId) {
 
     if (!tags || tags.length === 0) {
       // Clear remote tags if no local tags
-      await supabase.from('task_tags').delete().eq('task_id', taskId);
+      const { error: clearError } = await syncBackend
+        .from('task_tags')
+        .delete()
+        .eq('task_id', taskId);
+
+      if (clearError) {
+        console.error('❌ Error clearing task_tags in update sync:', clearError);
+      }
       return;
     }
 
@@ -157,7 +258,7 @@ async function syncTaskTags(db, taskId) {
     const tagNames = tags.map(t => t.name).filter(Boolean);
     
     // Upsert tags to Supabase to get their IDs
-    const { data: upsertedTags, error: tagUpsertError } = await supabase
+    const { data: upsertedTags, error: tagUpsertError } = await syncBackend
       .from('tags')
       .upsert(
         tagNames.map(name => ({ name })), 
@@ -173,7 +274,7 @@ async function syncTaskTags(db, taskId) {
     const supabaseTagIds = upsertedTags.map(t => t.id);
 
     // Update task_tags relationship
-    const { error: deleteError } = await supabase
+    const { error: deleteError } = await syncBackend
       .from('task_tags')
       .delete()
       .eq('task_id', taskId);
@@ -189,7 +290,7 @@ async function syncTaskTags(db, taskId) {
         tag_id: tagId
       }));
 
-      const { error: insertError } = await supabase
+      const { error: insertError } = await syncBackend
         .from('task_tags')
         .insert(taskTagsData);
 
@@ -204,16 +305,130 @@ async function syncTaskTags(db, taskId) {
   }
 }
 
+/**
+ * Sync tag and project relationships for a filter
+ */
+async function syncFilterRelations(db, filterId) {
+  try {
+    const tags = await db.getAllAsync('SELECT tag_id FROM filter_tags WHERE filter_id = ?', [filterId]);
+    const projects = await db.getAllAsync('SELECT project_id FROM filter_projects WHERE filter_id = ?', [filterId]);
+
+    const result = await filterSupabaseUtils.syncFilterRelations(
+      filterId,
+      tags.map(row => row.tag_id),
+      projects.map(row => row.project_id)
+    );
+
+    if (result.success) {
+      console.log(`✅ Successfully synced tags and projects for filter ${filterId}`);
+    }
+  } catch (error) {
+    console.error(`❌ Error syncing relationships for filter ${filterId}:`, error);
+  }
+}
+
+/**
+ * Save both versions of a record in sync_conflicts
+ * Nothing is saved when the versions have the same content, unless forced.
+ * @param {Object} [options]
+ * @param {Array} [options.blockConflicts] - Blocks edited on both sides
+ * @param {boolean} [options.force] - Save even if the compared fields are equal
+ */
+async function keepConflict(db, tableName, localRecord, remoteRecord, { blockConflicts = [], force = false } = {}) {
+  const id = localRecord[getPrimaryKey(tableName)];
+  try {
+    let localData = localRecord;
+    let remoteData = remoteRecord;
+    if (tableName === 'tasks') {
+      localData = { ...localRecord, tags: await getLocalTagNames(db, id) };
+      remoteData = { ...remoteRecord, tags: await getRemoteTagNames(id) };
+    }
+
+    if (!force && !versionsDiffer(tableName, localData, remoteData)) {
+      return;
+    }
+
+    await recordSyncConflict({
+      tableName,
+      recordId: id,
+      localData,
+      remoteData,
+      baseData: tableName === 'tasks' && localRecord.synced_description != null
+        ? { description: localRecord.synced_description }
+        : null,
+      blockConflicts,
+    });
+    console.warn(`⚠️ Kept the local version of ${tableName} ${id} in sync conflicts`);
+  } catch (err) {
+    console.error(`Error saving sync conflict for ${tableName} ${id}:`, err);
+  }
+}
+
+/**
+ * Whether two versions of a record differ in content
+ * Compares the synced fields (not timestamps or sync bookkeeping), ignores block IDs
+ * and compares tags when both versions carry them.
+ */
+function versionsDiffer(tableName, a, b) {
+  const left = buildUpdateData(tableName, a);
+  const right = buildUpdateData(tableName, b);
+  const normalize = (field, value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (field === 'description') return stripBlockIds(value);
+    if (field.endsWith('_at') && !Number.isNaN(Date.parse(value))) return Date.parse(value);
+    return value;
+  };
+
+  // A different position alone isn't worth a conflict: the newer one wins (see lib/sort-keys.js)
+  const fieldDiffers = Object.keys(left)
+    .filter(field => !['updated_at', 'created_at', 'sort_key'].includes(field))
+    .some(field => normalize(field, left[field]) !== normalize(field, right[field]));
+
+  const tagsDiffer = Array.isArray(a.tags) && Array.isArray(b.tags)
+    && [...a.tags].sort().join('\n') !== [...b.tags].sort().join('\n');
+
+  return fieldDiffers || tagsDiffer;
+}
+
+async function getLocalTagNames(db, taskId) {
+  const rows = await db.getAllAsync(
+    'SELECT t.name FROM tags t INNER JOIN task_tags tt ON t.id = tt.tag_id WHERE tt.task_id = ? ORDER BY t.name',
+    [taskId]
+  );
+  return rows.map(row => row.name);
+}
+
+/**
+ * Tag names of a remote task (null if they couldn't be fetched)
+ */
+async function getRemoteTagNames(taskId) {
+  const { data: links, error } = await syncBackend
+    .from('task_tags')
+    .select('tag_id')
+    .eq('task_id', taskId);
+  if (error) return null;
+  if (!links || links.length === 0) return [];
+
+  const { data: tags, error: tagError } = await syncBackend
+    .from('tags')
+    .select('name')
+    .in('id', links.map(link => link.tag_id));
+  if (tagError) return null;
+  return (tags || []).map(tag => tag.name).sort();
+}
+
 /**
  * Pull remote update to local database
+ * @param {Object} [localRecord] - Pending local version being replaced; kept as a conflict if it differs
  */
-async function updateLocalRecord(db, tableName, id) {
+async function updateLocalRecord(db, tableName, id, localRecord = null) {
+  const primaryKey = getPrimaryKey(tableName);
   try {
     // Fetch full record from Supabase
-    const { data: remoteRecord, error } = await supabase
+    const { data: remoteRecord, error } = await syncBackend
       .from(tableName)
       .select('*')
-      .eq('id', id)
+      .eq(primaryKey, id)
       .maybeSingle();
 
     if (error || !remoteRecord) {
@@ -221,13 +436,17 @@ async function updateLocalRecord(db, tableName, id) {
         logSupabaseError(error, `fetching remote ${tableName} record`, tableName, {
           recordId: id,
           operation: 'select',
-          query: `SELECT * FROM ${tableName} WHERE id = ?`
+          query: `SELECT * FROM ${tableName} WHERE ${primaryKey} = ?`
         });
       }
       await markSyncStatus(db, tableName, id, 'failed');
       return;
     }
 
+    if (localRecord) {
+      await keepConflict(db, tableName, localRecord, remoteRecord);
+    }
+
     // Update local record with remote data
     await updateLocalRecordWithRemote(db, tableName, remoteRecord);
     
@@ -242,13 +461,21 @@ async function updateLocalRecord(db, tableName, id) {
  * Update local record with remote data
  */
 async function updateLocalRecordWithRemote(db, tableName, remoteRecord) {
-  const columns = Object.keys(remoteRecord).filter(key => key !== 'id');
-  const values = columns.map(col => remoteRecord[col]);
+  const primaryKey = getPrimaryKey(tableName);
+  // The remote description becomes the base for the next block merge
+  const row = tableName === 'tasks'
+    ? { ...remoteRecord, synced_description: remoteRecord.description ?? null }
+    : remoteRecord;
+  // Only columns this database has (the remote row also carries sync_seq)
+  const existing = await db.getAllAsync(`PRAGMA table_info(${tableName})`);
+  const known = new Set(existing.map(column => column.name));
+  const columns = Object.keys(row).filter(key => key !== primaryKey && known.has(key));
+  const values = columns.map(col => row[col]);
   const setClause = columns.map(col => `${col} = ?`).join(', ');
 
   await db.runAsync(
-    `UPDATE ${tableName} SET ${setClause}, sync_status = 'synced' WHERE id = ?`,
-    [...values, remoteRecord.id]
+    `UPDATE ${tableName} SET ${setClause}, sync_status = 'synced' WHERE ${primaryKey} = ?`,
+    [...values, row[primaryKey]]
   );
 }
 
@@ -256,8 +483,9 @@ async function updateLocalRecordWithRemote(db, tableName, remoteRecord) {
  * Build update data based on table type
  */
 function buildUpdateData(tableName, record) {
+  const primaryKey = getPrimaryKey(tableName);
   const baseData = {
-    id: record.id,
+    [primaryKey]: record[primaryKey],
     updated_at: record.updated_at || new Date().toISOString()
   };
 
@@ -265,7 +493,8 @@ function buildUpdateData(tableName, record) {
     case 'projects':
       return {
         ...baseData,
-        name: record.name
+        name: record.name,
+        sort_key: record.sort_key || null
       };
     
     case 'tasks':
@@ -277,7 +506,11 @@ function buildUpdateData(tableName, record) {
         title: record.title,
         description: record.description || null,
         completed: record.completed ? true : false,
-        is_expanded: record.is_expanded ? true : false
+        is_expanded: record.is_expanded ? true : false,
+        due_at: record.due_at || null,
+        start_at: record.start_at || null,
+        recurrence: record.recurrence || null,
+        sort_key: record.sort_key || null
       };
     
     case 'tags':
@@ -290,7 +523,48 @@ function buildUpdateData(tableName, record) {
       return {
         ...baseData,
         project_id: record.project_id,
-        name: record.name
+        name: record.name,
+        sort_key: record.sort_key || null
+      };
+
+    case 'filters':
+      return {
+        ...baseData,
+        name: record.name,
+        icon: record.icon || null,
+        color: record.color || null,
+        query: record.query || null,
+        created_at: record.created_at || null
+      };
+
+    case 'chat_sessions':
+      return {
+        ...baseData,
+        title: record.title || null,
+        context_task_id: record.context_task_id || null,
+        provider: record.provider || null,
+        model: record.model || null,
+        input_tokens: record.input_tokens || 0,
+        output_tokens: record.output_tokens || 0,
+        created_at: record.created_at || null
+      };
+
+    case 'chat_messages':
+      return {
+        ...baseData,
+        session_id: record.session_id,
+        role: record.role,
+        content: record.content,
+        is_error: record.is_error ? true : false,
+        input_tokens: record.input_tokens ?? null,
+        output_tokens: record.output_tokens ?? null,
+        created_at: record.created_at || null
+      };
+
+    case 'settings':
+      return {
+        ...baseData,
+        value: record.value
       };
     
     default:
@@ -302,9 +576,11 @@ function buildUpdateData(tableName, record) {
  * Helper: update sync status
  */
 async function markSyncStatus(db, tableName, id, status) {
+  // What was just pushed is the base for the next block merge
+  const baseClause = tableName === 'tasks' && status === 'synced' ? ', synced_description = description' : '';
   try {
     await db.runAsync(
-      `UPDATE ${tableName} SET sync_status = ? WHERE id = ?`,
+      `UPDATE ${tableName} SET sync_status = ?${baseClause} WHERE ${getPrimaryKey(tableName)} = ?`,
       [status, id]
     );
   } catch (err) {
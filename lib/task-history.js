@@ -0,0 +1,464 @@
+/**
+ * Task activity history and undo/redo, shared by the Expo app and the CLI
+ *
+ * Shared with the CLI (see lib/migrations.js): the app and `prod undo` undo each other's changes.
+ * It works on any database with the expo-sqlite async interface; queueing and search
+ * indexing come from the caller: helpers = { enqueueMutation(table, id, operation),
+ * indexTask(id, title, description), removeTasksFromIndex(ids) }.
+ *
+ * Every task mutation made through the repositories appends one row per task
+ * it touched, with the changed fields as { field: [before, after] }. Tags are
+ * the field `tags` (sorted tag ids). Rows written by one user action share a
+ * batch_id, and undo/redo always work on whole batches:
+ *   - undo reverts the newest batch that isn't undone, sets undone_at on its
+ *     rows and appends the revert as 'undo' rows (reverts_batch_id = batch)
+ *   - redo re-applies the batch of the newest 'undo' that no later change has
+ *     superseded, clears undone_at and appends 'redo' rows
+ * A field is only put back while it still holds the value the change left
+ * behind; fields changed since (by a sync, say) are skipped and reported.
+ */
+
+// Task columns whose changes are recorded (is_expanded is view state, not content)
+const HISTORY_FIELDS = ['title', 'description', 'completed', 'project_id', 'section_id', 'parent_id', 'due_at', 'start_at', 'recurrence', 'sort_key'];
+
+// Actions made by the user (or the AI); 'undo' and 'redo' rows describe reverts of them
+const CHANGE_ACTIONS = ['create', 'update', 'delete'];
+
+// Rows older than this are dropped when new ones are written
+const TASK_HISTORY_RETENTION_DAYS = 90;
+
+const CHANGE_ACTIONS_SQL = CHANGE_ACTIONS.map(action => `'${action}'`).join(', ');
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * New id for the rows of one user action
+ */
+function newBatchId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Sorted tag ids of a task
+ */
+async function getTaskTagIds(db, taskId) {
+  const rows = await db.getAllAsync('SELECT tag_id FROM task_tags WHERE task_id = ? ORDER BY tag_id', [taskId]);
+  return rows.map(row => row.tag_id);
+}
+
+/**
+ * Fields that differ between two versions of a task row
+ * @param {Object|null} before - Row before the change (null for a new task)
+ * @param {Object} after - Row after the change
+ * @returns {Object} { [field]: [before, after] }, empty when nothing recorded changed
+ */
+function diffTask(before, after) {
+  const changes = {};
+  for (const field of HISTORY_FIELDS) {
+    const from = before ? before[field] ?? null : null;
+    const to = after[field] ?? null;
+    if (!sameValue(from, to)) {
+      changes[field] = [from, to];
+    }
+  }
+  return changes;
+}
+
+/**
+ * Tag change between two lists of tag ids, in diffTask's format
+ * @returns {Object} { tags: [before, after] }, or empty when they hold the same tags
+ */
+function diffTags(before, after) {
+  const from = [...before].sort((a, b) => a - b);
+  const to = [...after].sort((a, b) => a - b);
+  return sameValue(from, to) ? {} : { tags: [from, to] };
+}
+
+/**
+ * Append history rows for one user action, then drop rows past the retention
+ * Called from the task repositories inside their own DB operation, so it doesn't retry.
+ * @param {Object} db
+ * @param {Array<{ task_id: number, action: string, changes: Object }>} entries - Updates that changed nothing are skipped
+ * @param {Object} [options]
+ * @param {string} [options.batchId] - Batch to add to (defaults to a new one)
+ * @param {string} [options.source] - Who made the change: app, cli or ai
+ * @param {string} [options.revertsBatchId] - For 'undo'/'redo' rows
+ * @returns {Promise<string|null>} The batch id, or null when nothing was recorded
+ */
+async function recordTaskHistory(db, entries, { batchId = newBatchId(), source = null, revertsBatchId = null } = {}) {
+  const recorded = entries.filter(entry => entry.action !== 'update' || Object.keys(entry.changes).length > 0);
+  if (recorded.length === 0) {
+    return null;
+  }
+  const now = new Date();
+  for (const entry of recorded) {
+    await db.runAsync(
+      `INSERT INTO task_history (batch_id, task_id, action, changes, source, reverts_batch_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [batchId, entry.task_id, entry.action, JSON.stringify(entry.changes), source, revertsBatchId, now.toISOString()]
+    );
+  }
+  const cutoff = new Date(now.getTime() - TASK_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  await db.runAsync('DELETE FROM task_history WHERE created_at < ?', [cutoff.toISOString()]);
+  return batchId;
+}
+
+function parseEntry(row) {
+  let changes = {};
+  try {
+    changes = JSON.parse(row.changes) || {};
+  } catch {
+    // Unreadable rows still show up in the timeline, without details
+  }
+  return { ...row, changes };
+}
+
+/**
+ * History of one task, newest first
+ * @returns {Promise<Array<Object>>} Rows with changes parsed
+ */
+async function getTaskHistory(db, taskId, { limit = 100 } = {}) {
+  const rows = await db.getAllAsync(
+    'SELECT * FROM task_history WHERE task_id = ? ORDER BY id DESC LIMIT ?',
+    [taskId, limit]
+  );
+  return rows.map(parseEntry);
+}
+
+/**
+ * The batch undo would revert next
+ * @param {Object} db
+ * @param {number} [taskId] - Only consider changes to this task
+ * @returns {Promise<string|null>}
+ */
+async function findUndoBatch(db, taskId = null) {
+  const row = await db.getFirstAsync(
+    `SELECT batch_id FROM task_history
+     WHERE action IN (${CHANGE_ACTIONS_SQL}) AND undone_at IS NULL${taskId ? ' AND task_id = ?' : ''}
+     ORDER BY id DESC LIMIT 1`,
+    taskId ? [taskId] : []
+  );
+  return row ? row.batch_id : null;
+}
+
+/**
+ * The batch redo would re-apply next
+ * Any change made after an undo ends the redo chain, like in an editor.
+ * @param {Object} db
+ * @param {number} [taskId] - Only consider changes to this task
+ * @returns {Promise<string|null>}
+ */
+async function findRedoBatch(db, taskId = null) {
+  const scope = taskId ? ' AND task_id = ?' : '';
+  const row = await db.getFirstAsync(
+    `SELECT u.reverts_batch_id FROM task_history u
+     WHERE u.action = 'undo'${taskId ? ' AND u.task_id = ?' : ''}
+       AND EXISTS (SELECT 1 FROM task_history h WHERE h.batch_id = u.reverts_batch_id AND h.undone_at IS NOT NULL)
+       AND u.id > (SELECT COALESCE(MAX(id), 0) FROM task_history WHERE action IN (${CHANGE_ACTIONS_SQL})${scope})
+     ORDER BY u.id DESC LIMIT 1`,
+    taskId ? [taskId, taskId] : []
+  );
+  return row ? row.reverts_batch_id : null;
+}
+
+async function getBatch(db, batchId) {
+  const rows = await db.getAllAsync('SELECT * FROM task_history WHERE batch_id = ? ORDER BY id', [batchId]);
+  return rows.map(parseEntry);
+}
+
+/**
+ * Put one history entry's fields back (undo) or forward again (redo)
+ * @returns {Promise<{ changes: Object, skipped: string[] }>} What was applied, as { [field]: [from, to] }
+ */
+async function applyEntry(db, helpers, entry, direction) {
+  const task = await db.getFirstAsync('SELECT * FROM tasks WHERE id = ?', [entry.task_id]);
+  if (!task) {
+    return { changes: {}, skipped: ['task'] };
+  }
+  const undo = direction === 'undo';
+  const now = new Date().toISOString();
+  const changes = {};
+  const skipped = [];
+
+  // Creating and deleting are reverted by deleting and restoring (deletes are soft);
+  // restores from the trash are updates of deleted_at
+  let deleted = task.deleted_at !== null;
+  if (entry.action === 'create' || entry.action === 'delete' || 'deleted_at' in entry.changes) {
+    const shouldDelete = entry.action === 'update'
+      ? entry.changes.deleted_at[undo ? 0 : 1] !== null
+      : (entry.action === 'create') === undo;
+    if (deleted === shouldDelete) {
+      skipped.push('deleted_at');
+    } else if (shouldDelete) {
+      await db.runAsync('UPDATE tasks SET deleted_at = ?, sync_status = ? WHERE id = ?', [now, 'pending_delete', task.id]);
+      // Its tags wait in the trash with it (see lib/trash.js)
+      await db.runAsync(
+        'INSERT OR IGNORE INTO trashed_task_tags (task_id, tag_id) SELECT task_id, tag_id FROM task_tags WHERE task_id = ?',
+        [task.id]
+      );
+      await db.runAsync('DELETE FROM task_tags WHERE task_id = ?', [task.id]);
+      await helpers.removeTasksFromIndex([task.id]);
+      await helpers.enqueueMutation('tasks', task.id, 'delete');
+      changes.deleted_at = [null, now];
+      deleted = true;
+    } else {
+      await db.runAsync('UPDATE tasks SET deleted_at = NULL, updated_at = ?, sync_status = ? WHERE id = ?', [now, 'pending', task.id]);
+      await db.runAsync(
+        `INSERT OR IGNORE INTO task_tags (task_id, tag_id)
+         SELECT task_id, tag_id FROM trashed_task_tags
+         WHERE task_id = ? AND tag_id IN (SELECT id FROM tags WHERE deleted_at IS NULL)`,
+        [task.id]
+      );
+      await db.runAsync(
+        'DELETE FROM trashed_task_tags WHERE task_id = ? AND tag_id IN (SELECT id FROM tags WHERE deleted_at IS NULL)',
+        [task.id]
+      );
+      changes.deleted_at = [task.deleted_at, null];
+      deleted = false;
+    }
+  } else if (deleted) {
+    // Editing a deleted task would push it back; restore it (undo its deletion) first
+    return { changes: {}, skipped: ['task'] };
+  }
+
+  if (!deleted) {
+    const fields = [];
+    const values = [];
+    for (const field of HISTORY_FIELDS) {
+      if (!(field in entry.changes) || entry.action === 'create') continue;
+      const [before, after] = entry.changes[field];
+      const expected = undo ? after : before;
+      const value = undo ? before : after;
+      if (!sameValue(task[field], expected)) {
+        skipped.push(field);
+        continue;
+      }
+      fields.push(`${field} = ?`);
+      values.push(value);
+      changes[field] = [expected, value];
+    }
+    if (fields.length > 0) {
+      await db.runAsync(
+        `UPDATE tasks SET ${fields.join(', ')}, updated_at = ?, sync_status = ? WHERE id = ?`,
+        [...values, now, 'pending', task.id]
+      );
+    }
+  }
+
+  if ('tags' in entry.changes) {
+    const [before, after] = entry.changes.tags;
+    const expected = undo ? after : before;
+    const tagIds = undo ? before : after;
+    const current = await getTaskTagIds(db, task.id);
+    if (sameValue(current, tagIds)) {
+      // Already there: moved to or back from the trash with the task above
+    } else if (!sameValue(current, expected)) {
+      skipped.push('tags');
+    } else {
+      await db.runAsync('DELETE FROM task_tags WHERE task_id = ?', [task.id]);
+      for (const tagId of tagIds) {
+        // Tags deleted since can't be put back
+        await db.runAsync(
+          'INSERT OR IGNORE INTO task_tags (task_id, tag_id) SELECT ?, id FROM tags WHERE id = ? AND deleted_at IS NULL',
+          [task.id, tagId]
+        );
+      }
+      changes.tags = [current, await getTaskTagIds(db, task.id)];
+      if (!deleted && !('deleted_at' in changes)) {
+        await db.runAsync('UPDATE tasks SET updated_at = ?, sync_status = ? WHERE id = ?', [now, 'pending', task.id]);
+      }
+    }
+  }
+
+  if (Object.keys(changes).length > 0 && !deleted) {
+    await helpers.enqueueMutation('tasks', task.id);
+    if ('title' in changes || 'description' in changes || 'deleted_at' in changes) {
+      const row = await db.getFirstAsync('SELECT title, description FROM tasks WHERE id = ?', [task.id]);
+      await helpers.indexTask(task.id, row.title, row.description);
+    }
+  }
+
+  return { changes, skipped };
+}
+
+async function revertBatch(db, helpers, batchId, direction, source) {
+  const entries = await getBatch(db, batchId);
+  // Undo walks the batch backwards (a task created and then moved is moved back first)
+  const ordered = direction === 'undo' ? [...entries].reverse() : entries;
+  const applied = [];
+  const now = new Date().toISOString();
+
+  await db.execAsync('BEGIN');
+  try {
+    for (const entry of ordered) {
+      const { changes, skipped } = await applyEntry(db, helpers, entry, direction);
+      applied.push({ task_id: entry.task_id, action: direction, original_action: entry.action, changes, skipped });
+    }
+    await db.runAsync(
+      'UPDATE task_history SET undone_at = ? WHERE batch_id = ?',
+      [direction === 'undo' ? now : null, batchId]
+    );
+    await recordTaskHistory(
+      db,
+      applied.map(({ task_id, action, changes }) => ({ task_id, action, changes })),
+      { source, revertsBatchId: batchId }
+    );
+    await db.execAsync('COMMIT');
+  } catch (error) {
+    await db.execAsync('ROLLBACK');
+    throw error;
+  }
+
+  return { batch_id: batchId, direction, entries: applied };
+}
+
+/**
+ * Undo the newest change that isn't undone yet
+ * @param {Object} db
+ * @param {Object} helpers - { enqueueMutation, indexTask, removeTasksFromIndex }
+ * @param {Object} [options]
+ * @param {number} [options.taskId] - Only undo changes to this task
+ * @param {string} [options.source] - Recorded on the 'undo' rows
+ * @returns {Promise<Object|null>} { batch_id, direction, entries: [{ task_id, original_action, changes, skipped }] }, or null if there is nothing to undo
+ */
+async function undoTaskChange(db, helpers, { taskId = null, source = null } = {}) {
+  const batchId = await findUndoBatch(db, taskId);
+  return batchId ? await revertBatch(db, helpers, batchId, 'undo', source) : null;
+}
+
+/**
+ * Re-apply the change that was undone last
+ * @returns {Promise<Object|null>} Same shape as undoTaskChange, or null if there is nothing to redo
+ */
+async function redoTaskChange(db, helpers, { taskId = null, source = null } = {}) {
+  const batchId = await findRedoBatch(db, taskId);
+  return batchId ? await revertBatch(db, helpers, batchId, 'redo', source) : null;
+}
+
+/**
+ * What undo and redo would do next, for enabling buttons
+ * @returns {Promise<{ undo: Array<Object>|null, redo: Array<Object>|null }>} The entries of each batch
+ */
+async function getUndoState(db, taskId = null) {
+  const undoBatch = await findUndoBatch(db, taskId);
+  const redoBatch = await findRedoBatch(db, taskId);
+  return {
+    undo: undoBatch ? await getBatch(db, undoBatch) : null,
+    redo: redoBatch ? await getBatch(db, redoBatch) : null,
+  };
+}
+
+function shortText(value, max = 40) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function formatDate(value) {
+  return value ? String(value).slice(0, 10) : 'none';
+}
+
+function countLines(description) {
+  return description ? description.split('\n').filter(line => line.trim()).length : 0;
+}
+
+/**
+ * Names of projects, sections and tags (deleted ones too) for describeChanges
+ * @returns {Promise<{ projects: Object, sections: Object, tags: Object }>} Maps of id to name
+ */
+async function getHistoryNames(db) {
+  const names = {};
+  for (const table of ['projects', 'sections', 'tags']) {
+    const rows = await db.getAllAsync(`SELECT id, name FROM ${table}`);
+    names[table] = Object.fromEntries(rows.map(row => [row.id, row.name]));
+  }
+  return names;
+}
+
+/**
+ * Human-readable lines for a history entry's changes
+ * @param {Object} entry - History row with changes parsed
+ * @param {Object} [names] - { projects, sections, tags }: maps of id to name
+ * @returns {string[]}
+ */
+function describeChanges(entry, names = {}) {
+  const { projects = {}, sections = {}, tags = {} } = names;
+  if (entry.action === 'create') {
+    // A new task "changes" every field from nothing; the title is what identifies it
+    return entry.changes.title ? [`Title "${shortText(entry.changes.title[1])}"`] : [];
+  }
+  const lines = [];
+  for (const [field, [before, after]] of Object.entries(entry.changes)) {
+    switch (field) {
+      case 'title':
+        lines.push(before === null ? `Title "${shortText(after)}"` : `Title "${shortText(before)}" → "${shortText(after)}"`);
+        break;
+      case 'description': {
+        const delta = countLines(after) - countLines(before);
+        lines.push(`Blocks edited${delta ? ` (${delta > 0 ? '+' : ''}${delta} line${Math.abs(delta) === 1 ? '' : 's'})` : ''}`);
+        break;
+      }
+      case 'completed':
+        lines.push(after ? 'Completed' : 'Reopened');
+        break;
+      case 'project_id':
+        lines.push(`Moved to ${projects[after] ? `project ${projects[after]}` : `project #${after}`}`);
+        break;
+      case 'section_id':
+        lines.push(after ? `Moved to section ${sections[after] || `#${after}`}` : 'Removed from its section');
+        break;
+      case 'parent_id':
+        lines.push(after ? `Made a subtask of #${after}` : 'No longer a subtask');
+        break;
+      case 'due_at':
+        lines.push(`Due ${formatDate(before)} → ${formatDate(after)}`);
+        break;
+      case 'start_at':
+        lines.push(`Starts ${formatDate(before)} → ${formatDate(after)}`);
+        break;
+      case 'recurrence':
+        lines.push(after ? `Repeats ${after}` : 'No longer repeats');
+        break;
+      case 'sort_key':
+        lines.push('Reordered');
+        break;
+      case 'tags': {
+        const added = after.filter(id => !before.includes(id)).map(id => `+#${tags[id] || id}`);
+        const removed = before.filter(id => !after.includes(id)).map(id => `-#${tags[id] || id}`);
+        if (added.length + removed.length > 0) {
+          lines.push(`Tags ${[...added, ...removed].join(' ')}`);
+        }
+        break;
+      }
+      case 'deleted_at':
+        // A 'delete' row says so itself; reverts of creates and deletes need the line
+        if (entry.action !== 'delete') {
+          lines.push(after ? 'Deleted' : 'Restored');
+        }
+        break;
+      default:
+        lines.push(`${field} changed`);
+    }
+  }
+  return lines;
+}
+
+module.exports = {
+  HISTORY_FIELDS,
+  CHANGE_ACTIONS,
+  TASK_HISTORY_RETENTION_DAYS,
+  newBatchId,
+  getTaskTagIds,
+  diffTask,
+  diffTags,
+  recordTaskHistory,
+  getTaskHistory,
+  findUndoBatch,
+  findRedoBatch,
+  undoTaskChange,
+  redoTaskChange,
+  getUndoState,
+  getHistoryNames,
+  describeChanges,
+};
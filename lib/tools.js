@@ -7,8 +7,15 @@
  */
 
 // Import create tools
+import { getCreateProjectTool } from './tools/create-project.js';
+import { getCreateSectionTool } from './tools/create-section.js';
+import { getCreateSubtaskTool } from './tools/create-subtask.js';
+import { getCreateTagTool } from './tools/create-tag.js';
 import { getCreateTaskTool } from './tools/create-task.js';
 
+// Import delete tools
+import { getDeleteTaskTool } from './tools/delete/delete-task.js';
+
 // Import get tools
 import { getGetAllSectionsTool } from './tools/get/get-all-sections.js';
 import { getGetAllTagsTool } from './tools/get/get-all-tags.js';
@@ -22,10 +29,13 @@ import { getGetTaskTool } from './tools/get/get-task.js';
 import { getGetTasksByProjectTool } from './tools/get/get-tasks-by-project.js';
 import { getGetTasksBySectionTool } from './tools/get/get-tasks-by-section.js';
 import { getGetTasksByTagTool } from './tools/get/get-tasks-by-tag.js';
+import { getSearchTasksTool } from './tools/get/search-tasks.js';
 
 // Import update tools
 import { getAddTagToTaskTool } from './tools/update/add-tag-to-task.js';
 import { getCompleteTaskTool } from './tools/update/complete-task.js';
+import { getEditBlocksTool } from './tools/update/edit-blocks.js';
+import { getMoveTaskToProjectTool } from './tools/update/move-task-to-project.js';
 import { getRemoveTagFromTaskTool } from './tools/update/remove-tag-from-task.js';
 import { getUncompleteTaskTool } from './tools/update/uncomplete-task.js';
 import { getUpdateProjectTool } from './tools/update/update-project.js';
@@ -39,9 +49,20 @@ import { getUpdateTaskTool } from './tools/update/update-task.js';
  * @property {string} name - Unique identifier for the tool
  * @property {string} description - Human-readable description of what the tool does
  * @property {Object} input_schema - JSON Schema defining the tool's parameters
+ * @property {boolean} mutating - Whether the tool changes data (false: read-only)
+ * @property {Function} [preview] - Mutating tools: describes the change a call would make
+ *   without making it, resolving to a ToolPreview
  * @property {Function} handler - Function that executes when the tool is called
  */
 
+/**
+ * What a mutating tool call will change, shown to the user for approval
+ * @typedef {Object} ToolPreview
+ * @property {string} summary - One line, e.g. 'Delete task "Buy milk"'
+ * @property {Array<string>} details - The individual changes
+ * @property {string} [after] - The resulting text, for tools that edit one
+ */
+
 /**
  * Registry of all available tools
  * @type {Map<string, ToolDefinition>}
@@ -54,7 +75,7 @@ const toolRegistry = new Map();
  * @throws {Error} If tool name is already registered
  */
 export function registerTool(toolDefinition) {
-  const { name, description, input_schema, handler } = toolDefinition;
+  const { name, description, input_schema, mutating, preview, handler } = toolDefinition;
 
   // Validate required fields
   if (!name || !description || !input_schema || !handler) {
@@ -71,11 +92,21 @@ export function registerTool(toolDefinition) {
     throw new Error('Tool handler must be a function');
   }
 
+  // Every tool says whether it changes data, and the ones that do can say how
+  if (typeof mutating !== 'boolean') {
+    throw new Error(`Tool "${name}" must set mutating to true or false`);
+  }
+  if (mutating && typeof preview !== 'function') {
+    throw new Error(`Mutating tool "${name}" must include a preview function`);
+  }
+
   // Register the tool
   toolRegistry.set(name, {
     name,
     description,
     input_schema,
+    mutating,
+    preview,
     handler,
   });
 
@@ -169,6 +200,40 @@ export async function executeTool(toolName, parameters = {}) {
   }
 }
 
+/**
+ * Whether a tool changes data, and so needs the user's approval before it runs
+ * Unknown tools count as mutating.
+ * @param {string} toolName - Name of the tool
+ * @returns {boolean}
+ */
+export function isMutatingTool(toolName) {
+  const tool = toolRegistry.get(toolName);
+  return tool ? tool.mutating : true;
+}
+
+/**
+ * Describes what a tool call would change, without running it
+ * If the preview itself fails (e.g. the task doesn't exist), the parameters are
+ * shown instead along with the reason; the call would most likely fail the same way.
+ * @param {string} toolName - Name of the tool
+ * @param {Object} parameters - Parameters the call would pass to the handler
+ * @returns {Promise<ToolPreview>}
+ */
+export async function previewToolCall(toolName, parameters = {}) {
+  const tool = toolRegistry.get(toolName);
+  const fallback = { summary: `Run ${toolName}`, details: [JSON.stringify(parameters)] };
+
+  if (!tool?.preview) {
+    return fallback;
+  }
+  try {
+    return await tool.preview(parameters);
+  } catch (error) {
+    console.error(`❌ Preview of tool "${toolName}" failed:`, error);
+    return { ...fallback, details: [...fallback.details, `Can't preview this change: ${error.message}`] };
+  }
+}
+
 /**
  * Validates tool parameters against the tool's input schema
  * Basic validation - can be extended with a JSON Schema validator library
@@ -253,6 +318,7 @@ registerTool({
     },
     required: ['param1'],
   },
+  mutating: false,
   handler: async (parameters) => {
     const { param1, param2 } = parameters;
     // Tool logic here
@@ -268,8 +334,12 @@ registerTool({
 export function initializeTools() {
   console.log('🔧 Initializing AI Tools System...');
   
-  // Register: Create Task Tool
+  // Register: Create Tools
   registerTool(getCreateTaskTool());
+  registerTool(getCreateSubtaskTool());
+  registerTool(getCreateProjectTool());
+  registerTool(getCreateSectionTool());
+  registerTool(getCreateTagTool());
 
   // Register: Get Tools
   registerTool(getGetProjectsTool());
@@ -284,6 +354,7 @@ export function initializeTools() {
   registerTool(getGetSectionTool());
   registerTool(getGetAllTagsTool());
   registerTool(getGetTagTool());
+  registerTool(getSearchTasksTool());
 
   // Register: Update Tools
   registerTool(getUpdateTaskTool());
@@ -294,6 +365,11 @@ export function initializeTools() {
   registerTool(getUpdateTagTool());
   registerTool(getAddTagToTaskTool());
   registerTool(getRemoveTagFromTaskTool());
+  registerTool(getMoveTaskToProjectTool());
+  registerTool(getEditBlocksTool());
+
+  // Register: Delete Tools
+  registerTool(getDeleteTaskTool());
 
   console.log(`✅ Tools System initialized. ${toolRegistry.size} tool(s) registered.`);
 }
@@ -0,0 +1,61 @@
+/**
+ * Create Project Tool
+ * 
+ * Tool definition for creating new projects.
+ */
+
+import { createProject, getAllProjects } from '../../repositories/projects.js';
+
+/**
+ * Creates and returns the create_project tool definition
+ * @returns {Object} Tool definition object
+ */
+export function getCreateProjectTool() {
+  return {
+    name: 'create_project',
+    description: 'Creates a new project. Use this when the user wants a new project, or when reorganizing tasks calls for one. If a project with this name already exists it is returned instead (created is false).',
+    mutating: true,
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'The name of the project. This is required.',
+        },
+      },
+      required: ['name'],
+    },
+    preview: async (parameters) => {
+      return { summary: `Create project "${parameters.name?.trim()}"`, details: [] };
+    },
+    handler: async (parameters) => {
+      const { name } = parameters;
+
+      // Validate name
+      if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        throw new Error('name must be a non-empty string');
+      }
+
+      // Avoid duplicates when Claude retries or guesses a name that is taken
+      const projects = await getAllProjects();
+      const existing = projects.find(project => project.name.toLowerCase() === name.trim().toLowerCase());
+      if (existing) {
+        return {
+          success: true,
+          created: false,
+          project: { id: existing.id, name: existing.name },
+          message: `Project "${existing.name}" already exists (ID ${existing.id})`,
+        };
+      }
+
+      const project = await createProject(name.trim());
+
+      return {
+        success: true,
+        created: true,
+        project: { id: project.id, name: project.name },
+        message: `Project "${project.name}" created successfully`,
+      };
+    },
+  };
+}
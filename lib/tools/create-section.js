@@ -0,0 +1,80 @@
+/**
+ * Create Section Tool
+ * 
+ * Tool definition for creating new sections in projects.
+ */
+
+import { getProjectById } from '../../repositories/projects.js';
+import { createSection, getSectionsByProjectId } from '../../repositories/sections.js';
+
+/**
+ * Creates and returns the create_section tool definition
+ * @returns {Object} Tool definition object
+ */
+export function getCreateSectionTool() {
+  return {
+    name: 'create_section',
+    description: 'Creates a new section at the end of a project. Use this when the user wants to group the tasks of a project. If the project already has a section with this name it is returned instead (created is false).',
+    mutating: true,
+    input_schema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'number',
+          description: 'The ID of the project the section belongs to. This is required.',
+        },
+        name: {
+          type: 'string',
+          description: 'The name of the section. This is required.',
+        },
+      },
+      required: ['project_id', 'name'],
+    },
+    preview: async (parameters) => {
+      const { project_id, name } = parameters;
+      const project = await getProjectById(project_id);
+      if (!project) {
+        throw new Error(`Project with ID ${project_id} not found`);
+      }
+      return { summary: `Create section "${name?.trim()}" in project "${project.name}"`, details: [] };
+    },
+    handler: async (parameters) => {
+      const { project_id, name } = parameters;
+
+      // Validate project_id
+      if (!project_id || typeof project_id !== 'number') {
+        throw new Error('project_id must be a valid number');
+      }
+
+      // Validate name
+      if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        throw new Error('name must be a non-empty string');
+      }
+
+      const project = await getProjectById(project_id);
+      if (!project) {
+        throw new Error(`Project with ID ${project_id} not found`);
+      }
+
+      const sections = await getSectionsByProjectId(project_id);
+      const existing = sections.find(section => section.name.toLowerCase() === name.trim().toLowerCase());
+      if (existing) {
+        return {
+          success: true,
+          created: false,
+          section: { id: existing.id, project_id, name: existing.name },
+          message: `Section "${existing.name}" already exists in project "${project.name}" (ID ${existing.id})`,
+        };
+      }
+
+      const section = await createSection(project_id, name.trim());
+
+      return {
+        success: true,
+        created: true,
+        section: { id: section.id, project_id: section.project_id, name: section.name },
+        message: `Section "${section.name}" created successfully in project "${project.name}"`,
+      };
+    },
+  };
+}
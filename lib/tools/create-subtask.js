@@ -0,0 +1,100 @@
+/**
+ * Create Subtask Tool
+ * 
+ * Tool definition for adding subtasks to an existing task.
+ */
+
+import { createTask, getTaskById } from '../../repositories/tasks.js';
+
+/**
+ * Creates and returns the create_subtask tool definition
+ * @returns {Object} Tool definition object
+ */
+export function getCreateSubtaskTool() {
+  return {
+    name: 'create_subtask',
+    description: 'Creates a subtask under an existing task. The subtask goes in the parent\'s project and section and is added below its other subtasks. Use this to break a task down into steps.',
+    mutating: true,
+    input_schema: {
+      type: 'object',
+      properties: {
+        parent_task_id: {
+          type: 'number',
+          description: 'The ID of the task the subtask belongs to. This is required.',
+        },
+        title: {
+          type: 'string',
+          description: 'The title of the subtask. This is required.',
+        },
+        description: {
+          type: 'string',
+          description: 'Optional description or details about the subtask.',
+        },
+        due_at: {
+          type: 'string',
+          description: 'Optional due date as YYYY-MM-DD or an ISO 8601 timestamp.',
+        },
+        start_at: {
+          type: 'string',
+          description: 'Optional start date as YYYY-MM-DD or an ISO 8601 timestamp.',
+        },
+      },
+      required: ['parent_task_id', 'title'],
+    },
+    preview: async (parameters) => {
+      const { parent_task_id, title, description, due_at, start_at } = parameters;
+      const parent = await getTaskById(parent_task_id);
+      if (!parent) {
+        throw new Error(`Task with ID ${parent_task_id} not found`);
+      }
+      const details = [];
+      if (due_at) details.push(`Due: ${due_at}`);
+      if (start_at) details.push(`Starts: ${start_at}`);
+      if (description) details.push(`Description: ${description.trim()}`);
+      return { summary: `Add subtask "${title?.trim()}" to "${parent.title}"`, details };
+    },
+    handler: async (parameters) => {
+      const { parent_task_id, title, description, due_at, start_at } = parameters;
+
+      // Validate parent_task_id
+      if (!parent_task_id || typeof parent_task_id !== 'number') {
+        throw new Error('parent_task_id must be a valid number');
+      }
+
+      // Validate title
+      if (!title || typeof title !== 'string' || title.trim().length === 0) {
+        throw new Error('title must be a non-empty string');
+      }
+
+      const parent = await getTaskById(parent_task_id);
+      if (!parent) {
+        throw new Error(`Task with ID ${parent_task_id} not found`);
+      }
+
+      const task = await createTask(
+        parent.project_id,
+        title.trim(),
+        description ? description.trim() : null,
+        parent.section_id,
+        parent.id,
+        { due_at, start_at },
+        { source: 'ai' }
+      );
+
+      return {
+        success: true,
+        task: {
+          id: task.id,
+          project_id: task.project_id,
+          section_id: task.section_id,
+          parent_id: task.parent_id,
+          title: task.title,
+          description: task.description,
+          due_at: task.due_at,
+          start_at: task.start_at,
+        },
+        message: `Subtask "${task.title}" added to "${parent.title}"`,
+      };
+    },
+  };
+}
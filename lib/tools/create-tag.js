@@ -0,0 +1,60 @@
+/**
+ * Create Tag Tool
+ * 
+ * Tool definition for creating new tags.
+ */
+
+import { createTag, getAllTags } from '../../repositories/tags.js';
+
+/**
+ * Creates and returns the create_tag tool definition
+ * @returns {Object} Tool definition object
+ */
+export function getCreateTagTool() {
+  return {
+    name: 'create_tag',
+    description: 'Creates a new tag. Use this before add_tag_to_task when the tag the user wants does not exist yet. If a tag with this name already exists it is returned instead (created is false).',
+    mutating: true,
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'The name of the tag. This is required.',
+        },
+      },
+      required: ['name'],
+    },
+    preview: async (parameters) => {
+      return { summary: `Create tag "${parameters.name?.trim()}"`, details: [] };
+    },
+    handler: async (parameters) => {
+      const { name } = parameters;
+
+      // Validate name
+      if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        throw new Error('name must be a non-empty string');
+      }
+
+      const tags = await getAllTags();
+      const existing = tags.find(tag => tag.name.toLowerCase() === name.trim().toLowerCase());
+      if (existing) {
+        return {
+          success: true,
+          created: false,
+          tag: { id: existing.id, name: existing.name },
+          message: `Tag "${existing.name}" already exists (ID ${existing.id})`,
+        };
+      }
+
+      const tag = await createTag(name.trim());
+
+      return {
+        success: true,
+        created: true,
+        tag: { id: tag.id, name: tag.name },
+        message: `Tag "${tag.name}" created successfully`,
+      };
+    },
+  };
+}
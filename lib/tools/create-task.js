@@ -4,6 +4,7 @@
  * Tool definition for creating new tasks in projects.
  */
 
+import { getProjectById } from '../../repositories/projects.js';
 import { createTask } from '../../repositories/tasks.js';
 
 /**
@@ -13,7 +14,8 @@ import { createTask } from '../../repositories/tasks.js';
 export function getCreateTaskTool() {
   return {
     name: 'create_task',
-    description: 'Creates a new task in a project. Use this when the user wants to add a task to their project. You can optionally specify a section_id to add the task to a specific section within the project. If no project_id is provided, you can use get_projects first to find the appropriate project. You can also specify a parent_id to create a subtask.',
+    description: 'Creates a new task in a project. Use this when the user wants to add a task to their project. You can optionally specify a section_id to add the task to a specific section within the project. If no project_id is provided, you can use get_projects first to find the appropriate project. You can also specify a parent_id to create a subtask, and due_at/start_at/recurrence to schedule it.',
+    mutating: true,
     input_schema: {
       type: 'object',
       properties: {
@@ -37,11 +39,38 @@ export function getCreateTaskTool() {
           type: 'number',
           description: 'Optional parent task ID if this is a subtask.',
         },
+        due_at: {
+          type: 'string',
+          description: 'Optional due date as YYYY-MM-DD or an ISO 8601 timestamp.',
+        },
+        start_at: {
+          type: 'string',
+          description: 'Optional start date as YYYY-MM-DD or an ISO 8601 timestamp.',
+        },
+        recurrence: {
+          type: 'string',
+          description: 'Optional RRULE-style recurrence, e.g. "FREQ=DAILY", "FREQ=WEEKLY;BYDAY=MO,FR", "FREQ=MONTHLY;BYMONTHDAY=1;COUNT=12".',
+        },
       },
       required: ['project_id', 'title'],
     },
+    preview: async (parameters) => {
+      const { project_id, title, description, section_id, parent_id, due_at, start_at, recurrence } = parameters;
+      const project = await getProjectById(project_id);
+      if (!project) {
+        throw new Error(`Project with ID ${project_id} not found`);
+      }
+      const details = [];
+      if (section_id) details.push(`Section: ${section_id}`);
+      if (parent_id) details.push(`Subtask of task ${parent_id}`);
+      if (due_at) details.push(`Due: ${due_at}`);
+      if (start_at) details.push(`Starts: ${start_at}`);
+      if (recurrence) details.push(`Repeats: ${recurrence}`);
+      if (description) details.push(`Description: ${description.trim()}`);
+      return { summary: `Create task "${title?.trim()}" in project "${project.name}"`, details };
+    },
     handler: async (parameters) => {
-      const { project_id, title, description, section_id, parent_id } = parameters;
+      const { project_id, title, description, section_id, parent_id, due_at, start_at, recurrence } = parameters;
       
       // Validate project_id
       if (!project_id || typeof project_id !== 'number') {
@@ -59,7 +88,9 @@ export function getCreateTaskTool() {
         title.trim(),
         description ? description.trim() : null,
         section_id || null,
-        parent_id || null
+        parent_id || null,
+        { due_at, start_at, recurrence },
+        { source: 'ai' }
       );
       
       return {
@@ -71,6 +102,9 @@ export function getCreateTaskTool() {
           parent_id: task.parent_id,
           title: task.title,
           description: task.description,
+          due_at: task.due_at,
+          start_at: task.start_at,
+          recurrence: task.recurrence,
         },
         message: `Task "${title.trim()}" created successfully in project ${project_id}${section_id ? `, section ${section_id}` : ''}${parent_id ? `, as subtask of ${parent_id}` : ''}`,
       };
@@ -0,0 +1,66 @@
+/**
+ * Delete Task Tool
+ * 
+ * Tool definition for moving a task to the trash.
+ */
+
+import { deleteTask, getSubTasks, getTaskById } from '../../../repositories/tasks.js';
+
+/**
+ * Creates and returns the delete_task tool definition
+ * @returns {Object} Tool definition object
+ */
+export function getDeleteTaskTool() {
+  return {
+    name: 'delete_task',
+    description: 'Deletes a task together with its subtasks. They go to the trash, where the user can restore them until it is emptied, and the deletion can be undone from the task history. Only use this when the user asks to delete or remove tasks; to mark a task as done, use complete_task instead.',
+    mutating: true,
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'The ID of the task to delete.',
+        },
+      },
+      required: ['task_id'],
+    },
+    preview: async (parameters) => {
+      const { task_id } = parameters;
+      const task = await getTaskById(task_id);
+      if (!task) {
+        throw new Error(`Task with ID ${task_id} not found`);
+      }
+      const subtasks = await getSubTasks(task_id);
+      return {
+        summary: `Delete task "${task.title}" from project "${task.project_name}"`,
+        details: [
+          ...subtasks.map(subtask => `Also deletes subtask "${subtask.title}"`),
+          'Goes to the trash, where it can be restored',
+        ],
+      };
+    },
+    handler: async (parameters) => {
+      const { task_id } = parameters;
+
+      if (!task_id || typeof task_id !== 'number') {
+        throw new Error('task_id must be a valid number');
+      }
+
+      const task = await getTaskById(task_id);
+      if (!task) {
+        throw new Error(`Task with ID ${task_id} not found`);
+      }
+      const subtasks = await getSubTasks(task_id);
+
+      await deleteTask(task_id, { source: 'ai' });
+
+      return {
+        success: true,
+        task_id,
+        deleted_subtask_ids: subtasks.map(subtask => subtask.id),
+        message: `Task "${task.title}"${subtasks.length > 0 ? ` and ${subtasks.length} subtask(s)` : ''} moved to the trash`,
+      };
+    },
+  };
+}
@@ -14,6 +14,7 @@ export function getGetAllSectionsTool() {
   return {
     name: 'get_all_sections',
     description: 'Retrieves all sections from all projects.',
+    mutating: false,
     input_schema: {
       type: 'object',
       properties: {},
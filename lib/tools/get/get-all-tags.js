@@ -14,6 +14,7 @@ export function getGetAllTagsTool() {
   return {
     name: 'get_all_tags',
     description: 'Retrieves all tags. Use this when you need to find a tag by name or show all available tags.',
+    mutating: false,
     input_schema: {
       type: 'object',
       properties: {},
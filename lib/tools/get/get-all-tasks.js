@@ -14,6 +14,7 @@ export function getGetAllTasksTool() {
   return {
     name: 'get_all_tasks',
     description: 'Retrieves all tasks from all projects. Returns tasks with their project names included. Use this when the user wants to see all their tasks across all projects.',
+    mutating: false,
     input_schema: {
       type: 'object',
       properties: {},
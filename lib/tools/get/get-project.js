@@ -14,6 +14,7 @@ export function getGetProjectTool() {
   return {
     name: 'get_project',
     description: 'Retrieves detailed information about a specific project by its ID.',
+    mutating: false,
     input_schema: {
       type: 'object',
       properties: {
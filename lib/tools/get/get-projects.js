@@ -14,6 +14,7 @@ export function getGetProjectsTool() {
   return {
     name: 'get_projects',
     description: 'Retrieves a list of all available projects. Use this when you need to find a project by name or when the user wants to create a task but hasn\'t specified which project. The Inbox project is typically used as a default for tasks.',
+    mutating: false,
     input_schema: {
       type: 'object',
       properties: {},
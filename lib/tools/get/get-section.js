@@ -14,6 +14,7 @@ export function getGetSectionTool() {
   return {
     name: 'get_section',
     description: 'Retrieves detailed information about a specific section by its ID.',
+    mutating: false,
     input_schema: {
       type: 'object',
       properties: {
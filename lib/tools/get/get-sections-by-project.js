@@ -14,6 +14,7 @@ export function getGetSectionsByProjectTool() {
   return {
     name: 'get_sections_by_project',
     description: 'Retrieves all sections in a specific project.',
+    mutating: false,
     input_schema: {
       type: 'object',
       properties: {
@@ -14,6 +14,7 @@ export function getGetTagTool() {
   return {
     name: 'get_tag',
     description: 'Retrieves detailed information about a specific tag by its ID.',
+    mutating: false,
     input_schema: {
       type: 'object',
       properties: {
@@ -4,7 +4,7 @@
  * Tool definition for retrieving a specific task by ID.
  */
 
-import { getSubTasks, getTaskById, getTaskTags } from '../../../repositories/tasks.js';
+import { getSubTasks, getTaskTags, getTaskWithBlockIds } from '../../../repositories/tasks.js';
 
 /**
  * Creates and returns the get_task tool definition
@@ -14,6 +14,7 @@ export function getGetTaskTool() {
   return {
     name: 'get_task',
     description: 'Retrieves detailed information about a specific task by its ID, including the project name, any associated tags, and subtasks.',
+    mutating: false,
     input_schema: {
       type: 'object',
       properties: {
@@ -31,7 +32,8 @@ export function getGetTaskTool() {
         throw new Error('task_id must be a valid number');
       }
       
-      const task = await getTaskById(task_id);
+      // Block IDs are stored first, so edit_blocks accepts the ones shown here
+      const task = await getTaskWithBlockIds(task_id);
       
       if (!task) {
         throw new Error(`Task with ID ${task_id} not found`);
@@ -54,6 +56,9 @@ export function getGetTaskTool() {
           title: task.title,
           description: task.description,
           completed: task.completed === 1,
+          due_at: task.due_at,
+          start_at: task.start_at,
+          recurrence: task.recurrence,
           created_at: task.created_at,
           updated_at: task.updated_at,
           tags: tags.map(t => ({
@@ -14,6 +14,7 @@ export function getGetTasksByProjectTool() {
   return {
     name: 'get_tasks_by_project',
     description: 'Retrieves all tasks in a specific project. Use this when the user wants to see tasks in a particular project.',
+    mutating: false,
     input_schema: {
       type: 'object',
       properties: {
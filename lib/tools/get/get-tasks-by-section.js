@@ -14,6 +14,7 @@ export function getGetTasksBySectionTool() {
   return {
     name: 'get_tasks_by_section',
     description: 'Retrieves all tasks in a specific section. Use this when the user wants to see tasks in a particular section of a project.',
+    mutating: false,
     input_schema: {
       type: 'object',
       properties: {
@@ -14,6 +14,7 @@ export function getGetTasksByTagTool() {
   return {
     name: 'get_tasks_by_tag',
     description: 'Retrieves all tasks that have a specific tag. Use this when the user wants to see tasks filtered by a particular tag.',
+    mutating: false,
     input_schema: {
       type: 'object',
       properties: {
@@ -0,0 +1,64 @@
+/**
+ * Search Tasks Tool
+ * 
+ * Tool definition for full-text search over task titles and block content.
+ */
+
+import { searchTasks } from '../../../repositories/search.js';
+import { HIGHLIGHT_END, HIGHLIGHT_START } from '../../search-utils.js';
+
+/**
+ * Creates and returns the search_tasks tool definition
+ * @returns {Object} Tool definition object
+ */
+export function getSearchTasksTool() {
+  return {
+    name: 'search_tasks',
+    description: 'Searches task titles and block content (full-text, prefix matching, all words must match). Use this when the user refers to a task by what it says rather than by ID, or asks to find tasks mentioning something.',
+    mutating: false,
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'The words to search for.',
+        },
+        include_completed: {
+          type: 'boolean',
+          description: 'Whether to include completed tasks (default: true).',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of results to return (default: 20).',
+        },
+      },
+      required: ['query'],
+    },
+    handler: async (parameters) => {
+      const { query, include_completed = true, limit = 20 } = parameters;
+      
+      if (!query || typeof query !== 'string' || query.trim() === '') {
+        throw new Error('query must be a non-empty string');
+      }
+      
+      const tasks = await searchTasks(query, { limit, includeCompleted: include_completed });
+      const stripMarkers = (text) => (text || '').split(HIGHLIGHT_START).join('**').split(HIGHLIGHT_END).join('**');
+      
+      return {
+        success: true,
+        query,
+        tasks: tasks.map(t => ({
+          id: t.id,
+          project_id: t.project_id,
+          project_name: t.project_name,
+          section_id: t.section_id,
+          title: t.title,
+          snippet: stripMarkers(t.body_snippet),
+          completed: t.completed === 1,
+          due_at: t.due_at,
+        })),
+        count: tasks.length,
+      };
+    },
+  };
+}
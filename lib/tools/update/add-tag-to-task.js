@@ -15,6 +15,7 @@ export function getAddTagToTaskTool() {
   return {
     name: 'add_tag_to_task',
     description: 'Adds a tag to a task. Use this when the user wants to tag a task with a specific tag.',
+    mutating: true,
     input_schema: {
       type: 'object',
       properties: {
@@ -29,6 +30,17 @@ export function getAddTagToTaskTool() {
       },
       required: ['task_id', 'tag_id'],
     },
+    preview: async (parameters) => {
+      const task = await getTaskById(parameters.task_id);
+      if (!task) {
+        throw new Error(`Task with ID ${parameters.task_id} not found`);
+      }
+      const tag = await getTagById(parameters.tag_id);
+      if (!tag) {
+        throw new Error(`Tag with ID ${parameters.tag_id} not found`);
+      }
+      return { summary: `Add tag "${tag.name}" to task "${task.title}"`, details: [] };
+    },
     handler: async (parameters) => {
       const { task_id, tag_id } = parameters;
       
@@ -52,7 +64,7 @@ export function getAddTagToTaskTool() {
         throw new Error(`Tag with ID ${tag_id} not found`);
       }
 
-      await addTagToTask(task_id, tag_id);
+      await addTagToTask(task_id, tag_id, { source: 'ai' });
       
       return {
         success: true,
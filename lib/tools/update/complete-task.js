@@ -5,8 +5,8 @@
  */
 
 import { PIN_TAG_NAME } from '../../../constants/pin.js';
-import { getDb } from '../../../lib/database.js';
-import { getTaskById, getTaskTags, removeTagFromTask } from '../../../repositories/tasks.js';
+import { completeTask, getTaskById, getTaskTags, removeTagFromTask } from '../../../repositories/tasks.js';
+import { newBatchId } from '../../task-history.js';
 
 /**
  * Creates and returns the complete_task tool definition
@@ -15,7 +15,8 @@ import { getTaskById, getTaskTags, removeTagFromTask } from '../../../repositori
 export function getCompleteTaskTool() {
   return {
     name: 'complete_task',
-    description: 'Marks a task as completed. Use this when the user wants to mark a task as done or finished.',
+    description: 'Marks a task as completed. Use this when the user wants to mark a task as done or finished. If the task has a recurrence rule, the next occurrence is created automatically and returned as next_task.',
+    mutating: true,
     input_schema: {
       type: 'object',
       properties: {
@@ -26,6 +27,16 @@ export function getCompleteTaskTool() {
       },
       required: ['task_id'],
     },
+    preview: async (parameters) => {
+      const task = await getTaskById(parameters.task_id);
+      if (!task) {
+        throw new Error(`Task with ID ${parameters.task_id} not found`);
+      }
+      return {
+        summary: `Mark task "${task.title}" as completed`,
+        details: task.recurrence ? [`Creates the next occurrence (${task.recurrence})`] : [],
+      };
+    },
     handler: async (parameters) => {
       const { task_id } = parameters;
       
@@ -39,24 +50,18 @@ export function getCompleteTaskTool() {
         throw new Error(`Task with ID ${task_id} not found`);
       }
 
-      // Update completed status directly in database
-      const db = getDb();
-      const now = new Date().toISOString();
-      const result = await db.runAsync(
-        'UPDATE tasks SET completed = 1, updated_at = ?, sync_status = ? WHERE id = ?',
-        [now, 'pending', task_id]
-      );
+      // Completion and unpinning are undone together
+      const history = { source: 'ai', batchId: newBatchId() };
 
-      if (result.changes === 0) {
-        throw new Error(`Task with ID ${task_id} not found`);
-      }
+      // Mark completed (creates the next occurrence for recurring tasks)
+      const { next_task: nextTask } = await completeTask(task_id, history);
 
       // Auto-unpin: Remove Pinned tag if task is pinned
       try {
         const taskTags = await getTaskTags(task_id);
         const pinnedTag = taskTags.find(tag => tag.name === PIN_TAG_NAME);
         if (pinnedTag) {
-          await removeTagFromTask(task_id, pinnedTag.id);
+          await removeTagFromTask(task_id, pinnedTag.id, history);
         }
       } catch (error) {
         console.error('Error auto-unpinning task on completion:', error);
@@ -67,7 +72,14 @@ export function getCompleteTaskTool() {
         success: true,
         task_id,
         completed: true,
-        message: `Task "${currentTask.title}" marked as completed`,
+        next_task: nextTask ? {
+          id: nextTask.id,
+          title: nextTask.title,
+          due_at: nextTask.due_at,
+          start_at: nextTask.start_at,
+          recurrence: nextTask.recurrence,
+        } : null,
+        message: `Task "${currentTask.title}" marked as completed${nextTask ? `. Next occurrence created (task ${nextTask.id})` : ''}`,
       };
     },
   };
@@ -0,0 +1,249 @@
+/**
+ * Edit Blocks Tool
+ * 
+ * Tool definition for editing the blocks (lines, checklist items and toggles)
+ * of a task's description one by one, by block ID.
+ */
+
+import { getTaskWithBlockIds, updateTask } from '../../../repositories/tasks.js';
+import { assignBlockIds, blocksToDescription, descriptionToBlocks, stripBlockIds } from '../../blocks-utils.js';
+
+const BLOCK_TYPES = ['block', 'check', 'toggle'];
+const BLOCK_LABELS = { block: 'line', check: 'checklist item', toggle: 'toggle' };
+
+/**
+ * Finds a block in a tree
+ * @param {Array} blocks - Block tree
+ * @param {string} blockId
+ * @returns {{block: Object, siblings: Array, index: number}|null} The block and the list it is in
+ */
+function findBlock(blocks, blockId) {
+  for (const [index, block] of blocks.entries()) {
+    if (block.id === blockId) {
+      return { block, siblings: blocks, index };
+    }
+    if (Array.isArray(block.children)) {
+      const found = findBlock(block.children, blockId);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function validateContent(content, type, position) {
+  if (typeof content !== 'string' || content.includes('\n')) {
+    throw new Error(`operations[${position}]: content must be a single line of text`);
+  }
+  // Empty lines are spacers, which only plain blocks can be
+  if (type !== 'block' && content.trim().length === 0) {
+    throw new Error(`operations[${position}]: a ${type} block needs content`);
+  }
+}
+
+/**
+ * Applies one operation to the block tree (in place)
+ * @throws {Error} Naming the operation when it can't be applied
+ */
+function applyOperation(blocks, operation, position) {
+  const { action, block_id, type = 'block', content, checked, parent_block_id, after_block_id } = operation || {};
+
+  if (action === 'add') {
+    if (!BLOCK_TYPES.includes(type)) {
+      throw new Error(`operations[${position}]: type must be one of ${BLOCK_TYPES.join(', ')}`);
+    }
+    validateContent(content, type, position);
+
+    let siblings = blocks;
+    if (parent_block_id) {
+      const parent = findBlock(blocks, parent_block_id);
+      if (!parent) {
+        throw new Error(`operations[${position}]: block ${parent_block_id} not found`);
+      }
+      if (parent.block.type !== 'toggle') {
+        throw new Error(`operations[${position}]: only toggle blocks can contain other blocks`);
+      }
+      siblings = parent.block.children || (parent.block.children = []);
+    }
+
+    let index = siblings.length;
+    if (after_block_id) {
+      index = siblings.findIndex(block => block.id === after_block_id);
+      if (index === -1) {
+        throw new Error(`operations[${position}]: block ${after_block_id} not found${parent_block_id ? ` in toggle ${parent_block_id}` : ' at the top level'}`);
+      }
+      index += 1;
+    }
+
+    const block = { type, content: content.trim() };
+    if (type === 'check') block.checked = checked === true;
+    if (type === 'toggle') block.children = [];
+    siblings.splice(index, 0, block);
+    return;
+  }
+
+  if (action !== 'update' && action !== 'delete') {
+    throw new Error(`operations[${position}]: action must be add, update or delete`);
+  }
+  if (!block_id || typeof block_id !== 'string') {
+    throw new Error(`operations[${position}]: block_id is required to ${action} a block`);
+  }
+  const found = findBlock(blocks, block_id);
+  if (!found) {
+    throw new Error(`operations[${position}]: block ${block_id} not found`);
+  }
+
+  if (action === 'delete') {
+    found.siblings.splice(found.index, 1);
+    return;
+  }
+
+  const { block } = found;
+  if (content === undefined && checked === undefined) {
+    throw new Error(`operations[${position}]: give content and/or checked to update a block`);
+  }
+  if (content !== undefined) {
+    validateContent(content, block.type, position);
+    block.content = content.trim();
+  }
+  if (checked !== undefined) {
+    if (block.type !== 'check' || typeof checked !== 'boolean') {
+      throw new Error(`operations[${position}]: checked can only be set (true/false) on check blocks`);
+    }
+    block.checked = checked;
+  }
+}
+
+/**
+ * Describes one operation for the confirmation preview
+ * @param {Array} blocks - Block tree before the edit, to name blocks by their content
+ * @param {Object} operation
+ * @returns {string}
+ */
+function describeOperation(blocks, operation) {
+  const { action, block_id, type = 'block', content, checked } = operation || {};
+  if (action === 'add') {
+    return `Add ${BLOCK_LABELS[type] || type} "${content}"`;
+  }
+  const label = `"${findBlock(blocks, block_id)?.block.content ?? block_id}"`;
+  if (action === 'delete') {
+    return `Delete ${label}`;
+  }
+  if (content !== undefined && checked !== undefined) {
+    return `${checked ? 'Check' : 'Uncheck'} ${label} and change it to "${content}"`;
+  }
+  if (content !== undefined) {
+    return `Change ${label} to "${content}"`;
+  }
+  return `${checked ? 'Check' : 'Uncheck'} ${label}`;
+}
+
+/**
+ * Creates and returns the edit_blocks tool definition
+ * @returns {Object} Tool definition object
+ */
+export function getEditBlocksTool() {
+  return {
+    name: 'edit_blocks',
+    description: 'Edits the blocks of a task\'s description without rewriting the rest of it. The description is a list of blocks, one per line: plain text, check items ("- [ ] Buy milk" / "- [x] Buy milk") and toggles ("> Notes") whose children are indented below them. Each block ends with its ID, e.g. "- [ ] Buy milk ^k3x9q2ab" has ID k3x9q2ab; use get_task to see them. Operations run in order and are saved together: if one fails, nothing changes. The result lists the blocks with their IDs, including those of added blocks.',
+    mutating: true,
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'The ID of the task whose description to edit.',
+        },
+        operations: {
+          type: 'array',
+          description: 'The edits to make, in order.',
+          items: {
+            type: 'object',
+            properties: {
+              action: {
+                type: 'string',
+                enum: ['add', 'update', 'delete'],
+                description: 'add a new block, update the content or checked state of a block, or delete a block (a toggle is deleted with its children).',
+              },
+              block_id: {
+                type: 'string',
+                description: 'For update and delete: the ID of the block.',
+              },
+              type: {
+                type: 'string',
+                enum: BLOCK_TYPES,
+                description: 'For add: block (plain text, the default), check (checklist item) or toggle.',
+              },
+              content: {
+                type: 'string',
+                description: 'For add and update: the text of the block, on one line and without the "- [ ]" or "> " prefix.',
+              },
+              checked: {
+                type: 'boolean',
+                description: 'For check blocks: whether the item is checked.',
+              },
+              parent_block_id: {
+                type: 'string',
+                description: 'For add: the ID of a toggle to add the block inside of (default: the top level).',
+              },
+              after_block_id: {
+                type: 'string',
+                description: 'For add: the ID of the block to insert after, in the same list (default: at the end).',
+              },
+            },
+            required: ['action'],
+          },
+        },
+      },
+      required: ['task_id', 'operations'],
+    },
+    preview: async (parameters) => {
+      const { task_id, operations } = parameters;
+      const task = await getTaskWithBlockIds(task_id);
+      if (!task) {
+        throw new Error(`Task with ID ${task_id} not found`);
+      }
+      // Dry run on a copy, so the preview shows the description as it will be saved
+      const blocks = descriptionToBlocks(task.description);
+      const details = (operations || []).map(operation => describeOperation(blocks, operation));
+      (operations || []).forEach((operation, position) => applyOperation(blocks, operation, position));
+      return {
+        summary: `Edit the description of "${task.title}"`,
+        details,
+        after: stripBlockIds(blocksToDescription(blocks)),
+      };
+    },
+    handler: async (parameters) => {
+      const { task_id, operations } = parameters;
+
+      if (!task_id || typeof task_id !== 'number') {
+        throw new Error('task_id must be a valid number');
+      }
+
+      if (!Array.isArray(operations) || operations.length === 0) {
+        throw new Error('operations must be a non-empty array');
+      }
+
+      // The same stored IDs the preview and get_task used
+      const task = await getTaskWithBlockIds(task_id);
+      if (!task) {
+        throw new Error(`Task with ID ${task_id} not found`);
+      }
+
+      const blocks = descriptionToBlocks(task.description);
+      operations.forEach((operation, position) => applyOperation(blocks, operation, position));
+
+      // Added blocks get their IDs here so they can be reported back
+      const result = assignBlockIds(blocks);
+      const description = blocksToDescription(result);
+      await updateTask(task_id, { description: description || null }, { source: 'ai' });
+
+      return {
+        success: true,
+        task_id,
+        blocks: result,
+        description,
+        message: `${operations.length} change(s) made to the description of "${task.title}"`,
+      };
+    },
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Move Task To Project Tool
+ * 
+ * Tool definition for moving a task, with its subtasks, to another project.
+ */
+
+import { getProjectById } from '../../../repositories/projects.js';
+import { getSectionById } from '../../../repositories/sections.js';
+import { getSubTasks, getTaskById, updateTask } from '../../../repositories/tasks.js';
+import { newBatchId } from '../../task-history.js';
+
+/**
+ * Creates and returns the move_task_to_project tool definition
+ * @returns {Object} Tool definition object
+ */
+export function getMoveTaskToProjectTool() {
+  return {
+    name: 'move_task_to_project',
+    description: 'Moves a task and its subtasks to another project, optionally into one of that project\'s sections. The task goes on top of the project. A subtask moved this way becomes a regular task of the new project. Use get_sections_by_project to find section IDs, and create_section or create_project first if the target does not exist yet.',
+    mutating: true,
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'The ID of the task to move.',
+        },
+        project_id: {
+          type: 'number',
+          description: 'The ID of the project to move the task to.',
+        },
+        section_id: {
+          type: 'number',
+          description: 'Optional ID of a section in the target project. Without it the task is not in any section.',
+        },
+      },
+      required: ['task_id', 'project_id'],
+    },
+    preview: async (parameters) => {
+      const { task_id, project_id, section_id } = parameters;
+      const task = await getTaskById(task_id);
+      if (!task) {
+        throw new Error(`Task with ID ${task_id} not found`);
+      }
+      const project = await getProjectById(project_id);
+      if (!project) {
+        throw new Error(`Project with ID ${project_id} not found`);
+      }
+      const section = section_id ? await getSectionById(section_id) : null;
+      const subtasks = await getSubTasks(task_id);
+      const details = [`From project "${task.project_name}"`];
+      if (section) details.push(`Into section "${section.name}"`);
+      if (task.parent_id) details.push(`No longer a subtask of task ${task.parent_id}`);
+      details.push(...subtasks.map(subtask => `Also moves subtask "${subtask.title}"`));
+      return { summary: `Move task "${task.title}" to project "${project.name}"`, details };
+    },
+    handler: async (parameters) => {
+      const { task_id, project_id, section_id } = parameters;
+
+      if (!task_id || typeof task_id !== 'number') {
+        throw new Error('task_id must be a valid number');
+      }
+
+      if (!project_id || typeof project_id !== 'number') {
+        throw new Error('project_id must be a valid number');
+      }
+
+      const task = await getTaskById(task_id);
+      if (!task) {
+        throw new Error(`Task with ID ${task_id} not found`);
+      }
+
+      const project = await getProjectById(project_id);
+      if (!project) {
+        throw new Error(`Project with ID ${project_id} not found`);
+      }
+
+      let sectionId = null;
+      if (section_id !== undefined && section_id !== null) {
+        if (typeof section_id !== 'number') {
+          throw new Error('section_id must be a valid number');
+        }
+        const section = await getSectionById(section_id);
+        if (!section || section.project_id !== project_id) {
+          throw new Error(`Section with ID ${section_id} not found in project "${project.name}"`);
+        }
+        sectionId = section_id;
+      }
+
+      // The task and its subtasks move (and are undone) together
+      const history = { source: 'ai', batchId: newBatchId() };
+      const subtasks = await getSubTasks(task_id);
+      await updateTask(task_id, { project_id, section_id: sectionId, parent_id: null }, history);
+      for (const subtask of subtasks) {
+        await updateTask(subtask.id, { project_id, section_id: sectionId }, history);
+      }
+
+      return {
+        success: true,
+        task: {
+          id: task_id,
+          title: task.title,
+          project_id,
+          section_id: sectionId,
+          parent_id: null,
+        },
+        moved_subtask_ids: subtasks.map(subtask => subtask.id),
+        message: `Task "${task.title}" moved to project "${project.name}"${sectionId ? `, section ${sectionId}` : ''}`,
+      };
+    },
+  };
+}
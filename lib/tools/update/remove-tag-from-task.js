@@ -15,6 +15,7 @@ export function getRemoveTagFromTaskTool() {
   return {
     name: 'remove_tag_from_task',
     description: 'Removes a tag from a task. Use this when the user wants to remove a tag from a task.',
+    mutating: true,
     input_schema: {
       type: 'object',
       properties: {
@@ -29,6 +30,17 @@ export function getRemoveTagFromTaskTool() {
       },
       required: ['task_id', 'tag_id'],
     },
+    preview: async (parameters) => {
+      const task = await getTaskById(parameters.task_id);
+      if (!task) {
+        throw new Error(`Task with ID ${parameters.task_id} not found`);
+      }
+      const tag = await getTagById(parameters.tag_id);
+      if (!tag) {
+        throw new Error(`Tag with ID ${parameters.tag_id} not found`);
+      }
+      return { summary: `Remove tag "${tag.name}" from task "${task.title}"`, details: [] };
+    },
     handler: async (parameters) => {
       const { task_id, tag_id } = parameters;
       
@@ -52,7 +64,7 @@ export function getRemoveTagFromTaskTool() {
         throw new Error(`Tag with ID ${tag_id} not found`);
       }
 
-      await removeTagFromTask(task_id, tag_id);
+      await removeTagFromTask(task_id, tag_id, { source: 'ai' });
       
       return {
         success: true,
@@ -4,8 +4,7 @@
  * Tool definition for marking a task as incomplete.
  */
 
-import { getDb } from '../../../lib/database.js';
-import { getTaskById } from '../../../repositories/tasks.js';
+import { getTaskById, updateTask } from '../../../repositories/tasks.js';
 
 /**
  * Creates and returns the uncomplete_task tool definition
@@ -15,6 +14,7 @@ export function getUncompleteTaskTool() {
   return {
     name: 'uncomplete_task',
     description: 'Marks a task as incomplete/not completed. Use this when the user wants to unmark a completed task.',
+    mutating: true,
     input_schema: {
       type: 'object',
       properties: {
@@ -25,6 +25,13 @@ export function getUncompleteTaskTool() {
       },
       required: ['task_id'],
     },
+    preview: async (parameters) => {
+      const task = await getTaskById(parameters.task_id);
+      if (!task) {
+        throw new Error(`Task with ID ${parameters.task_id} not found`);
+      }
+      return { summary: `Mark task "${task.title}" as not completed`, details: [] };
+    },
     handler: async (parameters) => {
       const { task_id } = parameters;
       
@@ -38,17 +45,8 @@ export function getUncompleteTaskTool() {
         throw new Error(`Task with ID ${task_id} not found`);
       }
 
-      // Update completed status directly in database
-      const db = getDb();
-      const now = new Date().toISOString();
-      const result = await db.runAsync(
-        'UPDATE tasks SET completed = 0, updated_at = ?, sync_status = ? WHERE id = ?',
-        [now, 'pending', task_id]
-      );
-
-      if (result.changes === 0) {
-        throw new Error(`Task with ID ${task_id} not found`);
-      }
+      // Through the repository, so the change is queued for sync and can be undone
+      await updateTask(task_id, { completed: 0 }, { source: 'ai' });
 
       return {
         success: true,
@@ -4,7 +4,7 @@
  * Tool definition for updating a project's name.
  */
 
-import { updateProject } from '../../../repositories/projects.js';
+import { getProjectById, updateProject } from '../../../repositories/projects.js';
 
 /**
  * Creates and returns the update_project tool definition
@@ -14,6 +14,7 @@ export function getUpdateProjectTool() {
   return {
     name: 'update_project',
     description: 'Updates a project\'s name. Use this when the user wants to rename a project.',
+    mutating: true,
     input_schema: {
       type: 'object',
       properties: {
@@ -28,6 +29,13 @@ export function getUpdateProjectTool() {
       },
       required: ['project_id', 'name'],
     },
+    preview: async (parameters) => {
+      const project = await getProjectById(parameters.project_id);
+      if (!project) {
+        throw new Error(`Project with ID ${parameters.project_id} not found`);
+      }
+      return { summary: `Rename project "${project.name}" to "${parameters.name?.trim()}"`, details: [] };
+    },
     handler: async (parameters) => {
       const { project_id, name } = parameters;
       
@@ -4,7 +4,7 @@
  * Tool definition for updating a section's name.
  */
 
-import { updateSection } from '../../../repositories/sections.js';
+import { getSectionById, updateSection } from '../../../repositories/sections.js';
 
 /**
  * Creates and returns the update_section tool definition
@@ -14,6 +14,7 @@ export function getUpdateSectionTool() {
   return {
     name: 'update_section',
     description: 'Updates a section\'s name. Use this when the user wants to rename a section.',
+    mutating: true,
     input_schema: {
       type: 'object',
       properties: {
@@ -28,6 +29,13 @@ export function getUpdateSectionTool() {
       },
       required: ['section_id', 'name'],
     },
+    preview: async (parameters) => {
+      const section = await getSectionById(parameters.section_id);
+      if (!section) {
+        throw new Error(`Section with ID ${parameters.section_id} not found`);
+      }
+      return { summary: `Rename section "${section.name}" to "${parameters.name?.trim()}"`, details: [] };
+    },
     handler: async (parameters) => {
       const { section_id, name } = parameters;
       
@@ -4,7 +4,7 @@
  * Tool definition for updating a tag's name.
  */
 
-import { updateTag } from '../../../repositories/tags.js';
+import { getTagById, updateTag } from '../../../repositories/tags.js';
 
 /**
  * Creates and returns the update_tag tool definition
@@ -14,6 +14,7 @@ export function getUpdateTagTool() {
   return {
     name: 'update_tag',
     description: 'Updates a tag\'s name. Use this when the user wants to rename a tag.',
+    mutating: true,
     input_schema: {
       type: 'object',
       properties: {
@@ -28,6 +29,13 @@ export function getUpdateTagTool() {
       },
       required: ['tag_id', 'name'],
     },
+    preview: async (parameters) => {
+      const tag = await getTagById(parameters.tag_id);
+      if (!tag) {
+        throw new Error(`Tag with ID ${parameters.tag_id} not found`);
+      }
+      return { summary: `Rename tag "${tag.name}" to "${parameters.name?.trim()}"`, details: [] };
+    },
     handler: async (parameters) => {
       const { tag_id, name } = parameters;
       
@@ -5,6 +5,7 @@
  */
 
 import { getTaskById, updateTask } from '../../../repositories/tasks.js';
+import { stripBlockIds } from '../../blocks-utils.js';
 
 /**
  * Creates and returns the update_task tool definition
@@ -13,7 +14,8 @@ import { getTaskById, updateTask } from '../../../repositories/tasks.js';
 export function getUpdateTaskTool() {
   return {
     name: 'update_task',
-    description: 'Updates a task\'s properties including title, description, project_id, section_id, and parent_id. Use this when the user wants to modify an existing task.',
+    description: 'Updates a task\'s properties including title, description, project_id, section_id, parent_id, due/start dates and recurrence. Use this when the user wants to modify an existing task.',
+    mutating: true,
     input_schema: {
       type: 'object',
       properties: {
@@ -41,11 +43,40 @@ export function getUpdateTaskTool() {
           type: 'number',
           description: 'Make this task a subtask of another task (optional). Use null to remove from parent.',
         },
+        due_at: {
+          type: 'string',
+          description: 'New due date as YYYY-MM-DD or an ISO 8601 timestamp (empty string to clear).',
+        },
+        start_at: {
+          type: 'string',
+          description: 'New start date as YYYY-MM-DD or an ISO 8601 timestamp (empty string to clear).',
+        },
+        recurrence: {
+          type: 'string',
+          description: 'New RRULE-style recurrence (empty string to stop repeating), e.g. "FREQ=DAILY", "FREQ=WEEKLY;BYDAY=MO,FR", "FREQ=MONTHLY;BYMONTHDAY=1;COUNT=12".',
+        },
       },
       required: ['task_id'],
     },
+    preview: async (parameters) => {
+      const { task_id, ...changes } = parameters;
+      const task = await getTaskById(task_id);
+      if (!task) {
+        throw new Error(`Task with ID ${task_id} not found`);
+      }
+      // Only the fields that change, as before → after (empty strings clear a field)
+      const details = [];
+      for (const [field, value] of Object.entries(changes)) {
+        const before = (field === 'description' ? stripBlockIds(task.description) : task[field]) ?? null;
+        const after = typeof value === 'string' ? value.trim() || null : value ?? null;
+        if (before !== after) {
+          details.push(`${field}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`);
+        }
+      }
+      return { summary: `Update task "${task.title}"`, details };
+    },
     handler: async (parameters) => {
-      const { task_id, title, description, project_id, section_id, parent_id } = parameters;
+      const { task_id, title, description, project_id, section_id, parent_id, due_at, start_at, recurrence } = parameters;
       
       if (!task_id || typeof task_id !== 'number') {
         throw new Error('task_id must be a valid number');
@@ -95,7 +126,12 @@ export function getUpdateTaskTool() {
         updates.parent_id = currentTask.parent_id;
       }
 
-      const updatedTask = await updateTask(task_id, updates);
+      // Schedule fields are only touched when provided
+      if (due_at !== undefined) updates.due_at = due_at || null;
+      if (start_at !== undefined) updates.start_at = start_at || null;
+      if (recurrence !== undefined) updates.recurrence = recurrence || null;
+
+      const updatedTask = await updateTask(task_id, updates, { source: 'ai' });
       
       return {
         success: true,
@@ -0,0 +1,481 @@
+/**
+ * The trash: soft-deleted projects, sections, tasks and tags, shared by the
+ * Expo app and the CLI
+ *
+ * Shared with the CLI (see lib/migrations.js): the Trash screen and `prod trash` behave the same.
+ * It works on any database with the expo-sqlite async interface; queueing and search
+ * indexing come from the caller: helpers = { enqueueMutation(table, id, operation),
+ * indexTask(id, title, description) }.
+ *
+ * Deleting sets deleted_at and queues a 'delete'. Pushing it deletes the record
+ * remotely (lib/sync/@deletesync.js, or the CLI's push), but the local row stays
+ * in the trash, marked synced, so it can still be restored: restoring queues an
+ * upsert, which creates the record remotely again. Records deleted together
+ * share their deleted_at, so restoring a project brings back the sections and
+ * tasks deleted with it, and restoring a task the subtasks deleted with it. A
+ * task's tags are kept in trashed_task_tags while it is in the trash (pulls
+ * replace task_tags with the remote rows, which no longer have them).
+ *
+ * Purging removes rows deleted longer ago than the retention period for good.
+ * Only rows whose deletion has been pushed are purged; rows still waiting are
+ * purged by the first sync after they have been pushed. A database that never
+ * synced has nothing remote, so its rows are purged either way.
+ */
+
+const { diffTags, getTaskTagIds, recordTaskHistory } = require('./task-history');
+
+// Tables shown in the trash; other tables are removed locally as soon as their deletion is pushed
+const TRASH_TABLES = ['projects', 'sections', 'tasks', 'tags'];
+
+// Device-only setting: days deleted items stay in the trash (same key in the app and the CLI)
+const TRASH_RETENTION_SETTING = 'local_trash_retention_days';
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_RETENTION_OPTIONS = [7, 30, 90, 365];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention in days from a stored setting value
+ * @param {string|null} value
+ * @returns {number}
+ */
+function parseTrashRetention(value) {
+  const days = parseInt(value, 10);
+  return days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Days deleted items stay in the trash on this device
+ * @returns {Promise<number>}
+ */
+async function getTrashRetention(db) {
+  const row = await db.getFirstAsync(
+    'SELECT value FROM settings WHERE key = ? AND deleted_at IS NULL',
+    [TRASH_RETENTION_SETTING]
+  );
+  return parseTrashRetention(row ? row.value : null);
+}
+
+/**
+ * Change how long deleted items stay in the trash (a local_ setting, never synced)
+ * @param {number} days
+ */
+async function setTrashRetention(db, days) {
+  if (!(days > 0)) {
+    throw new Error('Retention must be a number of days greater than 0');
+  }
+  await db.runAsync(
+    `INSERT INTO settings (key, value, updated_at) VALUES (?, ?, ?)
+     ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at, deleted_at = NULL`,
+    [TRASH_RETENTION_SETTING, String(days), new Date().toISOString()]
+  );
+}
+
+function placeholders(ids) {
+  return ids.map(() => '?').join(', ');
+}
+
+/**
+ * Move the tags of tasks going to the trash into trashed_task_tags
+ * Called from the repositories inside their own DB operation.
+ * @param {number[]} taskIds
+ */
+async function trashTaskTags(db, taskIds) {
+  if (taskIds.length === 0) return;
+  await db.runAsync(
+    `INSERT OR IGNORE INTO trashed_task_tags (task_id, tag_id)
+     SELECT task_id, tag_id FROM task_tags WHERE task_id IN (${placeholders(taskIds)})`,
+    taskIds
+  );
+  await db.runAsync(`DELETE FROM task_tags WHERE task_id IN (${placeholders(taskIds)})`, taskIds);
+}
+
+/**
+ * Move the task links of a tag going to the trash into trashed_task_tags
+ */
+async function trashTagLinks(db, tagId) {
+  await db.runAsync(
+    'INSERT OR IGNORE INTO trashed_task_tags (task_id, tag_id) SELECT task_id, tag_id FROM task_tags WHERE tag_id = ?',
+    [tagId]
+  );
+  await db.runAsync('DELETE FROM task_tags WHERE tag_id = ?', [tagId]);
+}
+
+/**
+ * Everything in the trash, newest deletion first
+ * Sections and tasks deleted together with their project, and subtasks deleted
+ * with their parent, are not listed on their own: restoring the project or
+ * parent brings them back.
+ * @returns {Promise<{ projects: Object[], sections: Object[], tasks: Object[], tags: Object[], retentionDays: number }>}
+ *   Rows have id, name or title, deleted_at, expires_at and synced (whether the deletion has been pushed)
+ */
+async function getTrash(db) {
+  const retentionDays = await getTrashRetention(db);
+  const withExpiry = rows => rows.map(row => ({
+    ...row,
+    synced: row.sync_status !== 'pending_delete',
+    expires_at: new Date(new Date(row.deleted_at).getTime() + retentionDays * DAY_MS).toISOString(),
+  }));
+
+  const projects = await db.getAllAsync(
+    `SELECT p.id, p.name, p.deleted_at, p.sync_status,
+       (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.deleted_at = p.deleted_at) AS task_count
+     FROM projects p
+     WHERE p.deleted_at IS NOT NULL
+     ORDER BY p.deleted_at DESC, p.id`
+  );
+  const sections = await db.getAllAsync(
+    `SELECT s.id, s.name, s.project_id, s.deleted_at, s.sync_status, p.name AS project_name
+     FROM sections s
+     LEFT JOIN projects p ON p.id = s.project_id
+     WHERE s.deleted_at IS NOT NULL
+       AND (p.deleted_at IS NULL OR p.deleted_at <> s.deleted_at)
+     ORDER BY s.deleted_at DESC, s.id`
+  );
+  const tasks = await db.getAllAsync(
+    `SELECT t.id, t.title, t.project_id, t.parent_id, t.completed, t.deleted_at, t.sync_status, p.name AS project_name,
+       (SELECT COUNT(*) FROM tasks c WHERE c.parent_id = t.id AND c.deleted_at = t.deleted_at) AS subtask_count
+     FROM tasks t
+     LEFT JOIN projects p ON p.id = t.project_id
+     WHERE t.deleted_at IS NOT NULL
+       AND (p.deleted_at IS NULL OR p.deleted_at <> t.deleted_at)
+       AND NOT EXISTS (SELECT 1 FROM tasks parent WHERE parent.id = t.parent_id AND parent.deleted_at = t.deleted_at)
+     ORDER BY t.deleted_at DESC, t.id`
+  );
+  const tags = await db.getAllAsync(
+    `SELECT g.id, g.name, g.deleted_at, g.sync_status,
+       (SELECT COUNT(*) FROM trashed_task_tags tt WHERE tt.tag_id = g.id) AS task_count
+     FROM tags g
+     WHERE g.deleted_at IS NOT NULL
+     ORDER BY g.deleted_at DESC, g.id`
+  );
+
+  return {
+    projects: withExpiry(projects),
+    sections: withExpiry(sections),
+    tasks: withExpiry(tasks),
+    tags: withExpiry(tags),
+    retentionDays,
+  };
+}
+
+/**
+ * Number of items the trash lists
+ * @returns {Promise<number>}
+ */
+async function countTrash(db) {
+  const trash = await getTrash(db);
+  return TRASH_TABLES.reduce((count, table) => count + trash[table].length, 0);
+}
+
+// One restore: what came back, and the task history rows it writes
+function createRestore(db, helpers) {
+  const now = new Date().toISOString();
+  const restored = { projects: [], sections: [], tasks: [], tags: [] };
+  const historyEntries = [];
+
+  // Bring one row back; false when it wasn't in the trash
+  const restoreRow = async (table, id) => {
+    const result = await db.runAsync(
+      `UPDATE ${table} SET deleted_at = NULL, updated_at = ?, sync_status = 'pending' WHERE id = ? AND deleted_at IS NOT NULL`,
+      [now, id]
+    );
+    if (result.changes === 0) return false;
+    await helpers.enqueueMutation(table, id);
+    restored[table].push(id);
+    return true;
+  };
+
+  const restoreProject = async (id) => {
+    const project = await db.getFirstAsync('SELECT id, deleted_at FROM projects WHERE id = ?', [id]);
+    if (!project || !project.deleted_at) return null;
+    await restoreRow('projects', id);
+    return project;
+  };
+
+  const restoreSection = async (id) => {
+    const section = await db.getFirstAsync('SELECT id, project_id, deleted_at FROM sections WHERE id = ?', [id]);
+    if (!section || !section.deleted_at) return;
+    await restoreProject(section.project_id);
+    await restoreRow('sections', id);
+  };
+
+  // The project, section and parent a task needs to show up again
+  const restoreTaskPlace = async (task) => {
+    await restoreProject(task.project_id);
+    if (task.section_id) {
+      const section = await db.getFirstAsync('SELECT id FROM sections WHERE id = ?', [task.section_id]);
+      if (section) {
+        await restoreSection(task.section_id);
+      } else {
+        // Purged: the task goes back to the project without a section
+        await db.runAsync('UPDATE tasks SET section_id = NULL WHERE id = ?', [task.id]);
+      }
+    }
+    if (task.parent_id) {
+      const parent = await db.getFirstAsync('SELECT * FROM tasks WHERE id = ?', [task.parent_id]);
+      if (parent && parent.deleted_at) {
+        await restoreTaskPlace(parent);
+        await restoreTaskRow(parent);
+      }
+    }
+  };
+
+  // One task row, with its tags (tags that are in the trash themselves stay there)
+  const restoreTaskRow = async (task) => {
+    const tagsBefore = await getTaskTagIds(db, task.id);
+    if (!(await restoreRow('tasks', task.id))) return;
+    await db.runAsync(
+      `INSERT OR IGNORE INTO task_tags (task_id, tag_id)
+       SELECT task_id, tag_id FROM trashed_task_tags
+       WHERE task_id = ? AND tag_id IN (SELECT id FROM tags WHERE deleted_at IS NULL)`,
+      [task.id]
+    );
+    await db.runAsync(
+      'DELETE FROM trashed_task_tags WHERE task_id = ? AND tag_id IN (SELECT id FROM tags WHERE deleted_at IS NULL)',
+      [task.id]
+    );
+    await helpers.indexTask(task.id, task.title, task.description);
+    historyEntries.push({
+      task_id: task.id,
+      action: 'update',
+      changes: { deleted_at: [task.deleted_at, null], ...diffTags(tagsBefore, await getTaskTagIds(db, task.id)) },
+    });
+  };
+
+  // A task and the subtasks deleted with it
+  const restoreTaskTree = async (task) => {
+    await restoreTaskRow(task);
+    const children = await db.getAllAsync(
+      'SELECT * FROM tasks WHERE parent_id = ? AND deleted_at = ?',
+      [task.id, task.deleted_at]
+    );
+    for (const child of children) {
+      await restoreTaskTree(child);
+    }
+  };
+
+  return {
+    restored,
+    historyEntries,
+
+    async project(id) {
+      const project = await restoreProject(id);
+      if (!project) return;
+      const sections = await db.getAllAsync(
+        'SELECT id FROM sections WHERE project_id = ? AND deleted_at = ?',
+        [id, project.deleted_at]
+      );
+      for (const section of sections) {
+        await restoreRow('sections', section.id);
+      }
+      const tasks = await db.getAllAsync(
+        'SELECT * FROM tasks WHERE project_id = ? AND deleted_at = ? ORDER BY id',
+        [id, project.deleted_at]
+      );
+      for (const task of tasks) {
+        await restoreTaskPlace(task);
+        await restoreTaskRow(task);
+      }
+    },
+
+    async section(id) {
+      await restoreSection(id);
+    },
+
+    async task(id) {
+      const task = await db.getFirstAsync('SELECT * FROM tasks WHERE id = ?', [id]);
+      if (!task || !task.deleted_at) return;
+      await restoreTaskPlace(task);
+      await restoreTaskTree(task);
+    },
+
+    async tag(id) {
+      const tag = await db.getFirstAsync('SELECT id, name, deleted_at FROM tags WHERE id = ?', [id]);
+      if (!tag || !tag.deleted_at) return;
+      const sameName = await db.getFirstAsync(
+        'SELECT id FROM tags WHERE name = ? AND deleted_at IS NULL',
+        [tag.name]
+      );
+      if (sameName) {
+        throw new Error(`A tag named "${tag.name}" already exists`);
+      }
+      await restoreRow('tags', id);
+
+      // Put it back on the tasks that aren't in the trash; the rest get it when they're restored
+      const tasks = await db.getAllAsync(
+        `SELECT t.id FROM trashed_task_tags tt JOIN tasks t ON t.id = tt.task_id
+         WHERE tt.tag_id = ? AND t.deleted_at IS NULL`,
+        [id]
+      );
+      for (const task of tasks) {
+        const tagsBefore = await getTaskTagIds(db, task.id);
+        await db.runAsync('INSERT OR IGNORE INTO task_tags (task_id, tag_id) VALUES (?, ?)', [task.id, id]);
+        await db.runAsync('DELETE FROM trashed_task_tags WHERE task_id = ? AND tag_id = ?', [task.id, id]);
+        await db.runAsync('UPDATE tasks SET updated_at = ?, sync_status = ? WHERE id = ?', [now, 'pending', task.id]);
+        await helpers.enqueueMutation('tasks', task.id);
+        historyEntries.push({
+          task_id: task.id,
+          action: 'update',
+          changes: diffTags(tagsBefore, await getTaskTagIds(db, task.id)),
+        });
+      }
+    },
+  };
+}
+
+/**
+ * Restore an item from the trash, with what was deleted together with it
+ * A task also brings back its project, section and parent when those are in the
+ * trash. Restored tasks are recorded in the task history as one batch.
+ * @param {Object} db
+ * @param {Object} helpers - { enqueueMutation, indexTask }
+ * @param {'projects'|'sections'|'tasks'|'tags'} table
+ * @param {number} id
+ * @param {Object} [options] - { source } for the task history
+ * @returns {Promise<{ projects: number[], sections: number[], tasks: number[], tags: number[] }>} Restored ids
+ */
+async function restoreFromTrash(db, helpers, table, id, { source = null } = {}) {
+  if (!TRASH_TABLES.includes(table)) {
+    throw new Error(`Unknown trash table "${table}"`);
+  }
+  const item = await db.getFirstAsync(`SELECT id, deleted_at FROM ${table} WHERE id = ?`, [id]);
+  if (!item || !item.deleted_at) {
+    throw new Error(`${table.slice(0, -1)} ${id} is not in the trash`);
+  }
+
+  const restore = createRestore(db, helpers);
+  await db.execAsync('BEGIN');
+  try {
+    await restore[table.slice(0, -1)](id);
+    await recordTaskHistory(db, restore.historyEntries, { source });
+    await db.execAsync('COMMIT');
+  } catch (error) {
+    await db.execAsync('ROLLBACK');
+    throw error;
+  }
+  return restore.restored;
+}
+
+/**
+ * Delete trash rows for good
+ * Rows whose deletion hasn't been pushed yet are kept (see the top of this file).
+ * @param {Object} db
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Purge rows deleted longer ago (defaults to the setting)
+ * @param {boolean} [options.all] - Purge everything in the trash, however recent
+ * @returns {Promise<{ projects: number, sections: number, tasks: number, tags: number, waiting: number }>}
+ *   Rows purged per table, and expired rows kept until their deletion is pushed
+ */
+async function purgeTrash(db, { retentionDays = null, all = false } = {}) {
+  const days = retentionDays || await getTrashRetention(db);
+  const cutoff = all ? new Date().toISOString() : new Date(Date.now() - days * DAY_MS).toISOString();
+  // No sync run and no pull cursor: nothing of this database was ever pushed
+  const neverSynced = !(await db.getFirstAsync(
+    'SELECT 1 AS synced FROM sync_log UNION ALL SELECT 1 FROM sync_metadata LIMIT 1'
+  ));
+  const expired = `deleted_at IS NOT NULL AND deleted_at <= ?${neverSynced ? '' : " AND sync_status <> 'pending_delete'"}`;
+  const purged = { projects: 0, sections: 0, tasks: 0, tags: 0, waiting: 0 };
+
+  const forget = async (table, ids) => {
+    await db.runAsync(
+      `DELETE FROM sync_outbox WHERE table_name = ? AND record_id IN (${placeholders(ids)})`,
+      [table, ...ids.map(String)]
+    );
+    await db.runAsync(`DELETE FROM ${table} WHERE id IN (${placeholders(ids)})`, ids);
+    purged[table] += ids.length;
+  };
+
+  await db.execAsync('BEGIN');
+  try {
+    // Subtasks before their parents; a parent with a subtask left stays for now
+    for (;;) {
+      const ids = (await db.getAllAsync(
+        `SELECT id FROM tasks WHERE ${expired}
+           AND NOT EXISTS (SELECT 1 FROM tasks c WHERE c.parent_id = tasks.id)`,
+        [cutoff]
+      )).map(row => row.id);
+      if (ids.length === 0) break;
+      const list = placeholders(ids);
+      // Chats about a purged task keep going without it
+      await db.runAsync(`UPDATE chat_sessions SET context_task_id = NULL WHERE context_task_id IN (${list})`, ids);
+      await db.runAsync(`DELETE FROM task_tags WHERE task_id IN (${list})`, ids);
+      await db.runAsync(`DELETE FROM trashed_task_tags WHERE task_id IN (${list})`, ids);
+      await db.runAsync(`DELETE FROM task_history WHERE task_id IN (${list})`, ids);
+      await forget('tasks', ids);
+    }
+
+    // A purged project no longer needs its default section
+    await db.runAsync(
+      `UPDATE projects SET default_section_id = NULL WHERE ${expired}
+         AND NOT EXISTS (SELECT 1 FROM tasks t WHERE t.project_id = projects.id)`,
+      [cutoff]
+    );
+    const sectionIds = (await db.getAllAsync(
+      `SELECT id FROM sections WHERE ${expired}
+         AND NOT EXISTS (SELECT 1 FROM tasks t WHERE t.section_id = sections.id)
+         AND NOT EXISTS (SELECT 1 FROM projects p WHERE p.default_section_id = sections.id)`,
+      [cutoff]
+    )).map(row => row.id);
+    if (sectionIds.length > 0) await forget('sections', sectionIds);
+
+    const projectIds = (await db.getAllAsync(
+      `SELECT id FROM projects WHERE ${expired}
+         AND NOT EXISTS (SELECT 1 FROM tasks t WHERE t.project_id = projects.id)
+         AND NOT EXISTS (SELECT 1 FROM sections s WHERE s.project_id = projects.id)`,
+      [cutoff]
+    )).map(row => row.id);
+    if (projectIds.length > 0) await forget('projects', projectIds);
+
+    const tagIds = (await db.getAllAsync(
+      `SELECT id FROM tags WHERE ${expired} AND NOT EXISTS (SELECT 1 FROM task_tags tt WHERE tt.tag_id = tags.id)`,
+      [cutoff]
+    )).map(row => row.id);
+    if (tagIds.length > 0) {
+      await db.runAsync(`DELETE FROM trashed_task_tags WHERE tag_id IN (${placeholders(tagIds)})`, tagIds);
+      await forget('tags', tagIds);
+    }
+
+    // Links only matter while their task or tag is in the trash
+    await db.runAsync(
+      `DELETE FROM trashed_task_tags
+       WHERE NOT EXISTS (SELECT 1 FROM tasks t WHERE t.id = trashed_task_tags.task_id)
+          OR NOT EXISTS (SELECT 1 FROM tags g WHERE g.id = trashed_task_tags.tag_id)
+          OR (
+            EXISTS (SELECT 1 FROM tasks t WHERE t.id = trashed_task_tags.task_id AND t.deleted_at IS NULL)
+            AND EXISTS (SELECT 1 FROM tags g WHERE g.id = trashed_task_tags.tag_id AND g.deleted_at IS NULL)
+          )`
+    );
+
+    if (!neverSynced) {
+      for (const table of TRASH_TABLES) {
+        const row = await db.getFirstAsync(
+          `SELECT COUNT(*) AS count FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at <= ? AND sync_status = 'pending_delete'`,
+          [cutoff]
+        );
+        purged.waiting += row ? row.count : 0;
+      }
+    }
+    await db.execAsync('COMMIT');
+  } catch (error) {
+    await db.execAsync('ROLLBACK');
+    throw error;
+  }
+  return purged;
+}
+
+module.exports = {
+  TRASH_TABLES,
+  TRASH_RETENTION_SETTING,
+  DEFAULT_TRASH_RETENTION_DAYS,
+  TRASH_RETENTION_OPTIONS,
+  parseTrashRetention,
+  getTrashRetention,
+  setTrashRetention,
+  trashTaskTags,
+  trashTagLinks,
+  getTrash,
+  countTrash,
+  restoreFromTrash,
+  purgeTrash,
+};
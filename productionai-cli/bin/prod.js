@@ -8,11 +8,25 @@ const packageJson = require('../package.json');
 const addCommand = require('../src/commands/add');
 const listCommand = require('../src/commands/list');
 const tasksCommand = require('../src/commands/tasks');
+const todayCommand = require('../src/commands/today');
+const upcomingCommand = require('../src/commands/upcoming');
+const searchCommand = require('../src/commands/search');
 const viewCommand = require('../src/commands/view');
 const editCommand = require('../src/commands/edit');
 const checkCommand = require('../src/commands/check');
+const moveCommand = require('../src/commands/move');
+const undoCommand = require('../src/commands/undo');
+const historyCommand = require('../src/commands/history');
 const syncCommand = require('../src/commands/sync');
 const syncFullCommand = require('../src/commands/sync-full');
+const syncServerCommand = require('../src/commands/sync-server');
+const migrateCommand = require('../src/commands/migrate');
+const conflictsCommand = require('../src/commands/conflicts');
+const cryptoCommand = require('../src/commands/crypto');
+const exportCommand = require('../src/commands/export');
+const importCommand = require('../src/commands/import');
+const backupCommand = require('../src/commands/backup');
+const trashCommand = require('../src/commands/trash');
 
 const program = new Command();
 
@@ -25,8 +39,11 @@ program
 program
   .command('add <text>')
   .description('Add a new task to Inbox')
-  .action(async (text) => {
-    await addCommand(text, {});
+  .option('-d, --due <date>', 'Due date (today, tomorrow, YYYY-MM-DD or ISO timestamp)')
+  .option('-s, --start <date>', 'Start date (today, tomorrow, YYYY-MM-DD or ISO timestamp)')
+  .option('-r, --repeat <rule>', 'Recurrence rule, e.g. "FREQ=WEEKLY;BYDAY=MO"')
+  .action(async (text, options) => {
+    await addCommand(text, options);
   });
 
 // List command
@@ -35,6 +52,7 @@ program
   .alias('list')
   .description('List all tasks')
   .option('-p, --project <name>', 'Filter by project name')
+  .option('-q, --query <expr>', 'Filter with a query, e.g. \'tag:work AND NOT completed:true\'')
   .option('-j, --json', 'Output as JSON')
   .action(async (options) => {
     await listCommand(options);
@@ -50,6 +68,37 @@ program
     await tasksCommand(project, options);
   });
 
+// Today command - overdue and due today
+program
+  .command('today')
+  .description('Show overdue tasks and tasks due today')
+  .option('-j, --json', 'Output as JSON')
+  .action(async (options) => {
+    await todayCommand(options);
+  });
+
+// Upcoming command - tasks due in the next days, grouped by day
+program
+  .command('upcoming')
+  .description('Show tasks due in the next 14 days, grouped by day')
+  .option('-n, --days <days>', 'Number of days to look ahead', '14')
+  .option('-j, --json', 'Output as JSON')
+  .action(async (options) => {
+    await upcomingCommand(options);
+  });
+
+// Search command - full-text search over titles and blocks
+program
+  .command('search <query...>')
+  .alias('find')
+  .description('Search task titles and block content')
+  .option('-o, --open', 'Only show tasks that are not completed')
+  .option('-l, --limit <n>', 'Maximum number of results', '50')
+  .option('-j, --json', 'Output as JSON')
+  .action(async (queryParts, options) => {
+    await searchCommand(queryParts.join(' '), options);
+  });
+
 // View command
 program
   .command('view <taskId>')
@@ -76,6 +125,41 @@ program
     await checkCommand(taskId, {});
   });
 
+// Move command - manual order (the same the app's drag and drop writes)
+program
+  .command('move <taskId>')
+  .description('Move a task right before or after another task (it joins that task\'s project, section and parent)')
+  .option('-b, --before <taskId>', 'Put it right before this task')
+  .option('-a, --after <taskId>', 'Put it right after this task')
+  .action(async (taskId, options) => {
+    await moveCommand(taskId, options);
+  });
+
+// Undo/redo commands
+program
+  .command('undo [taskId]')
+  .description('Undo the last change to a task (or to the given task)')
+  .action(async (taskId) => {
+    await undoCommand(taskId, {});
+  });
+
+program
+  .command('redo [taskId]')
+  .description('Redo the last undone change')
+  .action(async (taskId) => {
+    await undoCommand(taskId, { redo: true });
+  });
+
+// History command
+program
+  .command('history <taskId>')
+  .description('Show the changes made to a task')
+  .option('-l, --limit <n>', 'Maximum number of changes', '50')
+  .option('-j, --json', 'Output as JSON')
+  .action(async (taskId, options) => {
+    await historyCommand(taskId, options);
+  });
+
 // Projects command
 program
   .command('projects')
@@ -107,9 +191,15 @@ program
 // Sync command
 program
   .command('sync')
-  .description('Sync with Supabase (push local changes, pull remote changes)')
-  .option('--push', 'Only push local changes to Supabase')
-  .option('--pull', 'Only pull remote changes from Supabase')
+  .description('Sync with Supabase or a sync server (push local changes, pull remote changes)')
+  .option('--push', 'Only push local changes')
+  .option('--pull', 'Only pull remote changes')
+  .option('--status', 'Show changes waiting to be pushed, retrying or failed')
+  .option('--retry', 'Push failed changes again without waiting for their backoff')
+  .option('--history [id]', 'Show recent syncs, or one sync with its per-table counts and failed records')
+  .option('--json', 'Output --status or --history as JSON (--history --json exports the whole sync log)')
+  .option('--watch', 'Keep running: push local changes as they happen and sync periodically')
+  .option('--interval <minutes>', 'Minutes between syncs in --watch mode (default: 5)')
   .action(async (options) => {
     await syncCommand(options);
   });
@@ -117,11 +207,98 @@ program
 // Full sync command
 program
   .command('sync-full')
-  .description('Pull ALL data from Supabase (ignores timestamps, fresh sync)')
+  .description('Pull ALL data from Supabase or the sync server (ignores timestamps, fresh sync)')
   .action(async () => {
     await syncFullCommand();
   });
 
+// Sync server command - self-hosted alternative to Supabase
+program
+  .command('sync-server')
+  .description('Run a sync server that stores synced data in its own SQLite file')
+  .option('-p, --port <port>', 'Port to listen on (default: 8787)')
+  .option('--host <host>', 'Address to listen on (default: 127.0.0.1, use 0.0.0.0 for other devices)')
+  .option('--db <file>', 'SQLite file for the synced data (default: sync-server.db)')
+  .option('--token <token>', 'Shared secret clients must send (default: $SYNC_SERVER_TOKEN)')
+  .option('-v, --verbose', 'Log every query')
+  .action(async (options) => {
+    await syncServerCommand(options);
+  });
+
+// Conflicts command - versions that collided during sync
+program
+  .command('conflicts [action] [id]')
+  .description('List sync conflicts or resolve one (actions: list, resolve)')
+  .option('-k, --keep <version>', 'Version to keep when resolving: local, remote or merge')
+  .option('-a, --all', 'Also list resolved conflicts')
+  .option('-j, --json', 'Output as JSON')
+  .action(async (action, id, options) => {
+    await conflictsCommand(action, id, options);
+  });
+
+// Export command - projects as Markdown
+program
+  .command('export [project...]')
+  .description('Export one project, or every project, as Markdown (one file per project)')
+  .option('-o, --output <path>', 'Directory to write to, or a .md file (all projects in one file); one project prints to stdout by default')
+  .action(async (projectParts, options) => {
+    await exportCommand(projectParts.join(' '), options);
+  });
+
+// Import command - Markdown written by `prod export` or the app, Todoist, Things or CSV
+program
+  .command('import <paths...>')
+  .description('Import projects, sections, tasks and tags from files or directories')
+  .option('-f, --from <format>', 'markdown, todoist (JSON or CSV), things (JSON) or csv; guessed from each file by default')
+  .option('-m, --map <columns>', 'CSV column mapping, e.g. "title=Summary,tags=Labels,parent=Parent"')
+  .option('-p, --project <name>', 'Project for tasks that don\'t name one (default: the file name)')
+  .option('-n, --dry-run', 'Show what would be imported without changing the database')
+  .action(async (paths, options) => {
+    await importCommand(paths, options);
+  });
+
+// Backup command - full JSON backups of the database (format shared with the app)
+program
+  .command('backup [action] [file]')
+  .description('Back up or restore the whole database (actions: create, list, verify <file>, restore <file>, schedule [off|daily|weekly], auto)')
+  .option('-o, --output <file>', 'create: write the backup here instead of the backups directory')
+  .option('-k, --keep <count>', 'create/schedule: backups to keep in the backups directory')
+  .option('-m, --mode <mode>', 'restore: replace (default) deletes everything first, merge overwrites by id and keeps the rest')
+  .option('-n, --dry-run', 'restore: check the backup and show what would change')
+  .option('-y, --yes', "restore: don't ask before replacing")
+  .action(async (action, file, options) => {
+    await backupCommand(action, file, options);
+  });
+
+// Trash command - deleted projects, sections, tasks and tags
+program
+  .command('trash [action] [type] [id]')
+  .description('List, restore or purge deleted items (actions: list, restore <type> <id>, purge, retention [days])')
+  .option('-a, --all', 'purge: empty the whole trash, not just expired items')
+  .option('-j, --json', 'Output as JSON')
+  .action(async (action, type, id, options) => {
+    await trashCommand(action, type, id, options);
+  });
+
+// Crypto command - end-to-end encryption of task titles, descriptions and tag names
+program
+  .command('crypto [action]')
+  .description('Set up end-to-end encryption of synced tasks and tags (actions: status, setup, unlock, rotate, forget)')
+  .option('-j, --json', 'Output status as JSON')
+  .action(async (action, options) => {
+    await cryptoCommand(action, options);
+  });
+
+// Migrate command - apply schema migrations shared with the app
+program
+  .command('migrate')
+  .description('Apply pending database schema migrations')
+  .option('-n, --dry-run', 'Show pending migrations without changing the database')
+  .option('-j, --json', 'Output as JSON')
+  .action(async (options) => {
+    await migrateCommand(options);
+  });
+
 // Parse arguments
 program.parse(process.argv);
 
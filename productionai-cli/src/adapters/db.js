@@ -1,78 +1,61 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const { migrate } = require('../../../lib/migrations');
+const { descriptionToSearchText } = require('../../../lib/search-utils');
 
 const DB_PATH = path.join(process.cwd(), 'projects.db');
 
 let rawDb = null;
+let readyPromise = null;
 
 function getRawDb() {
   if (!rawDb) {
     rawDb = new Database(DB_PATH);
     rawDb.pragma('journal_mode = WAL');
     rawDb.pragma('foreign_keys = ON');
-    initSchema(rawDb);
   }
   return rawDb;
 }
 
-function initSchema(db) {
-  const schema = `
-    CREATE TABLE IF NOT EXISTS projects (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      default_section_id INTEGER,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      sync_status TEXT DEFAULT 'pending',
-      deleted_at DATETIME,
-      FOREIGN KEY (default_section_id) REFERENCES sections(id)
-    );
-
-    CREATE TABLE IF NOT EXISTS sections (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      project_id INTEGER NOT NULL,
-      name TEXT NOT NULL,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      sync_status TEXT DEFAULT 'pending',
-      deleted_at DATETIME,
-      FOREIGN KEY (project_id) REFERENCES projects(id)
-    );
-
-    CREATE TABLE IF NOT EXISTS tasks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      project_id INTEGER NOT NULL,
-      section_id INTEGER,
-      parent_id INTEGER,
-      title TEXT NOT NULL,
-      description TEXT,
-      completed INTEGER DEFAULT 0,
-      is_expanded INTEGER DEFAULT 0,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      sync_status TEXT DEFAULT 'pending',
-      deleted_at DATETIME,
-      FOREIGN KEY (project_id) REFERENCES projects(id),
-      FOREIGN KEY (section_id) REFERENCES sections(id),
-      FOREIGN KEY (parent_id) REFERENCES tasks(id)
-    );
+// Expo SQLite style interface over better-sqlite3, without schema setup
+const rawAdapter = {
+  runAsync: async (sql, params = []) => {
+    const result = getRawDb().prepare(sql).run(...params);
+    return {
+      lastInsertRowId: result.lastInsertRowid,
+      changes: result.changes
+    };
+  },
+  getAllAsync: async (sql, params = []) => {
+    return getRawDb().prepare(sql).all(...params);
+  },
+  getFirstAsync: async (sql, params = []) => {
+    return getRawDb().prepare(sql).get(...params);
+  },
+  execAsync: async (sql) => {
+    getRawDb().exec(sql);
+  }
+};
 
-    CREATE TABLE IF NOT EXISTS tags (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      created_at DATETIME,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      sync_status TEXT DEFAULT 'pending',
-      deleted_at DATETIME
-    );
+/**
+ * Apply pending migrations and make sure the data the CLI relies on exists
+ * Uses the same migration list as the app (lib/migrations.js).
+ */
+async function initSchema() {
+  const db = getRawDb();
+  await migrate(rawAdapter, { log: () => {} });
 
-    CREATE TABLE IF NOT EXISTS task_tags (
-      task_id INTEGER NOT NULL,
-      tag_id INTEGER NOT NULL,
-      PRIMARY KEY (task_id, tag_id),
-      FOREIGN KEY (task_id) REFERENCES tasks(id),
-      FOREIGN KEY (tag_id) REFERENCES tags(id)
-    );
-  `;
-  
-  db.exec(schema);
+  // Populate the search index the first time it exists
+  const indexed = db.prepare('SELECT COUNT(*) as count FROM tasks_fts').get();
+  if (indexed.count === 0) {
+    const insert = db.prepare('INSERT INTO tasks_fts (rowid, title, body) VALUES (?, ?, ?)');
+    const tasks = db.prepare('SELECT id, title, description FROM tasks WHERE deleted_at IS NULL').all();
+    db.transaction(() => {
+      for (const task of tasks) {
+        insert.run(task.id, task.title || '', descriptionToSearchText(task.description));
+      }
+    })();
+  }
 
   // Ensure Inbox project exists
   const inbox = db.prepare('SELECT id FROM projects WHERE name = ?').get('Inbox');
@@ -81,33 +64,47 @@ function initSchema(db) {
   }
 }
 
-// Wrapper to match Expo SQLite interface
+function ready() {
+  if (!readyPromise) {
+    readyPromise = initSchema();
+  }
+  return readyPromise;
+}
+
+// Wrapper to match Expo SQLite interface (migrates on first use)
 const dbAdapter = {
   runAsync: async (sql, params = []) => {
-    const db = getRawDb();
-    const stmt = db.prepare(sql);
-    const result = stmt.run(...params);
-    return {
-      lastInsertRowId: result.lastInsertRowid,
-      changes: result.changes
-    };
+    await ready();
+    return rawAdapter.runAsync(sql, params);
   },
   getAllAsync: async (sql, params = []) => {
-    const db = getRawDb();
-    const stmt = db.prepare(sql);
-    return stmt.all(...params);
+    await ready();
+    return rawAdapter.getAllAsync(sql, params);
   },
   getFirstAsync: async (sql, params = []) => {
-    const db = getRawDb();
-    const stmt = db.prepare(sql);
-    return stmt.get(...params);
+    await ready();
+    return rawAdapter.getFirstAsync(sql, params);
   },
   execAsync: async (sql) => {
-    const db = getRawDb();
-    db.exec(sql);
+    await ready();
+    return rawAdapter.execAsync(sql);
   }
 };
 
+/**
+ * Run (or plan, with dryRun) the schema migrations explicitly
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report pending steps without changing the database
+ * @returns {Promise<Object>} Result of migrate() from lib/migrations.js
+ */
+async function migrateDatabase({ dryRun = false } = {}) {
+  const result = await migrate(rawAdapter, { dryRun, log: () => {} });
+  if (!dryRun) {
+    await ready();
+  }
+  return result;
+}
+
 async function withRetry(operation) {
   try {
     return await operation();
@@ -119,5 +116,7 @@ async function withRetry(operation) {
 
 module.exports = {
   getDb: () => dbAdapter,
-  withRetry
+  withRetry,
+  migrateDatabase,
+  DB_PATH
 };
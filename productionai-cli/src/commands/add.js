@@ -1,8 +1,33 @@
 const chalk = require('chalk');
 const { getInboxProject } = require('../repositories/projects');
 const { createTask } = require('../repositories/tasks');
+const { isValidRecurrence, normalizeDateInput } = require('../../../lib/recurrence');
+
+/**
+ * Check the --due, --start and --repeat options before anything is written
+ * @returns {Object} Schedule for createTask
+ * @throws {Error} With a message for the user (accepted formats included)
+ */
+function parseScheduleOptions(options) {
+  if (options.repeat && !isValidRecurrence(options.repeat)) {
+    throw new Error(`Invalid recurrence rule: ${options.repeat} (e.g. FREQ=WEEKLY;BYDAY=MO)`);
+  }
+  return {
+    due_at: normalizeDateInput(options.due),
+    start_at: normalizeDateInput(options.start),
+    recurrence: options.repeat
+  };
+}
 
 async function addCommand(text, options) {
+  let schedule;
+  try {
+    schedule = parseScheduleOptions(options);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
   try {
     // Get the Inbox project (default target)
     const inbox = await getInboxProject();
@@ -13,10 +38,19 @@ async function addCommand(text, options) {
     }
 
     // Create the task
-    const task = await createTask(inbox.id, text);
+    const task = await createTask(inbox.id, text, null, null, null, schedule);
     
     console.log(chalk.green(`✅ Added task #${task.id}: "${text}"`));
     console.log(chalk.dim(`   Project: ${inbox.name}`));
+    if (task.due_at) {
+      console.log(chalk.dim(`   Due: ${new Date(task.due_at).toLocaleString()}`));
+    }
+    if (task.start_at) {
+      console.log(chalk.dim(`   Starts: ${new Date(task.start_at).toLocaleString()}`));
+    }
+    if (task.recurrence) {
+      console.log(chalk.dim(`   Repeats: ${task.recurrence}`));
+    }
     
     return task;
   } catch (error) {
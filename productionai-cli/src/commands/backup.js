@@ -0,0 +1,192 @@
+const chalk = require('chalk');
+const readline = require('readline');
+const { BACKUP_INTERVALS, BACKUP_TABLES } = require('../../../lib/backup');
+const {
+  BACKUP_DIR,
+  getBackupSchedule,
+  listBackups,
+  restoreBackupFile,
+  rotateBackups,
+  runScheduledBackup,
+  setBackupSchedule,
+  verifyBackupFile,
+  writeBackup
+} = require('../lib/backup-files');
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatCounts(counts) {
+  return BACKUP_TABLES
+    .map(table => table.name)
+    .filter(name => counts[name] > 0)
+    .map(name => `${counts[name]} ${name}`)
+    .join(', ') || 'empty';
+}
+
+async function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await new Promise(resolve => rl.question(question, resolve));
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+async function createCommand(options) {
+  const { path: filePath, backup } = await writeBackup(options.output);
+  const counts = {};
+  for (const [name, table] of Object.entries(backup.tables)) {
+    counts[name] = table.count;
+  }
+  console.log(chalk.green(`✓ Backup written to ${filePath}`));
+  console.log(chalk.dim(`  ${formatCounts(counts)}`));
+  if (!options.output && options.keep) {
+    const deleted = rotateBackups(parseInt(options.keep, 10));
+    if (deleted.length > 0) {
+      console.log(chalk.dim(`  Removed ${deleted.length} older backup${deleted.length === 1 ? '' : 's'}`));
+    }
+  }
+}
+
+async function listCommand() {
+  const backups = listBackups();
+  const schedule = await getBackupSchedule();
+  if (backups.length === 0) {
+    console.log(chalk.dim(`No backups in ${BACKUP_DIR}`));
+  } else {
+    console.log(chalk.bold(`\n💾 Backups in ${BACKUP_DIR}\n`));
+    for (const backup of backups) {
+      console.log(`  ${backup.fileName}  ${chalk.dim(`${backup.createdAt.toLocaleString()} · ${formatSize(backup.size)}`)}`);
+    }
+    console.log('');
+  }
+  console.log(chalk.dim(schedule.interval === 'off'
+    ? 'Scheduled backups are off (`prod backup schedule daily` turns them on).'
+    : `Scheduled backups: ${schedule.interval}, keeping ${schedule.keep}.`));
+}
+
+function verifyCommand(file) {
+  const result = verifyBackupFile(file);
+  for (const warning of result.warnings) {
+    console.log(chalk.yellow(`⚠️  ${warning}`));
+  }
+  if (!result.valid) {
+    for (const error of result.errors) {
+      console.error(chalk.red(`❌ ${error}`));
+    }
+    process.exit(1);
+  }
+  console.log(chalk.green(`✓ ${file} is intact`));
+  console.log(chalk.dim(`  ${formatCounts(result.counts)}`));
+}
+
+async function restoreCommand(file, options) {
+  const mode = options.mode || 'replace';
+  const plan = await restoreBackupFile(file, { mode, dryRun: true });
+  for (const warning of plan.warnings) {
+    console.log(chalk.yellow(`⚠️  ${warning}`));
+  }
+
+  console.log(chalk.bold(`\n${mode === 'replace' ? 'Replace everything with' : 'Merge by id from'} ${file}\n`));
+  for (const [name, table] of Object.entries(plan.tables)) {
+    if (table.rows === 0) continue;
+    const detail = mode === 'merge' ? chalk.dim(` (${table.added} new, ${table.updated} overwritten)`) : '';
+    console.log(`  ${name}: ${table.rows}${detail}`);
+  }
+  console.log('');
+
+  if (options.dryRun) {
+    console.log(chalk.dim('Dry run: nothing was restored.'));
+    return;
+  }
+  if (mode === 'replace' && !options.yes) {
+    if (!(await confirm(chalk.yellow('This deletes the current projects, tasks, tags, filters, settings and chats first. Continue? (y/N) ')))) {
+      console.log(chalk.dim('Cancelled.'));
+      return;
+    }
+  }
+
+  await restoreBackupFile(file, { mode });
+  console.log(chalk.green('✓ Backup restored'));
+  console.log(chalk.dim('  The next `prod sync` pulls everything again and pushes what was still pending.'));
+}
+
+async function scheduleCommand(interval, options) {
+  if (interval) {
+    if (!(interval in BACKUP_INTERVALS)) {
+      console.error(chalk.red(`❌ Unknown schedule "${interval}". Use ${Object.keys(BACKUP_INTERVALS).join(', ')}.`));
+      process.exit(1);
+    }
+    const keep = options.keep !== undefined ? parseInt(options.keep, 10) : undefined;
+    if (keep !== undefined && !(keep > 0)) {
+      console.error(chalk.red('❌ --keep must be a number greater than 0'));
+      process.exit(1);
+    }
+    await setBackupSchedule(interval, keep);
+  }
+
+  const schedule = await getBackupSchedule();
+  if (schedule.interval === 'off') {
+    console.log(chalk.dim('Scheduled backups are off.'));
+    return;
+  }
+  console.log(chalk.green(`✓ Scheduled backups: ${schedule.interval}, keeping the newest ${schedule.keep} in ${BACKUP_DIR}`));
+  console.log(chalk.dim("  They're made by `prod sync --watch`, or by `prod backup auto` from cron, e.g.:"));
+  console.log(chalk.dim(`  0 * * * * cd ${process.cwd()} && prod backup auto`));
+}
+
+async function autoCommand() {
+  const { created, deleted } = await runScheduledBackup();
+  if (created) {
+    console.log(chalk.green(`✓ Backup written to ${created}`));
+    if (deleted.length > 0) {
+      console.log(chalk.dim(`  Removed ${deleted.length} older backup${deleted.length === 1 ? '' : 's'}`));
+    }
+  } else {
+    console.log(chalk.dim('No backup due.'));
+  }
+}
+
+async function backupCommand(action, file, options) {
+  try {
+    switch (action || 'create') {
+      case 'create':
+        await createCommand(options);
+        break;
+      case 'list':
+        await listCommand();
+        break;
+      case 'verify':
+      case 'restore':
+        if (!file) {
+          console.error(chalk.red(`❌ Give the backup file: prod backup ${action} <file>`));
+          process.exit(1);
+        }
+        if (action === 'verify') {
+          verifyCommand(file);
+        } else {
+          await restoreCommand(file, options);
+        }
+        break;
+      case 'schedule':
+        await scheduleCommand(file, options);
+        break;
+      case 'auto':
+        await autoCommand();
+        break;
+      default:
+        console.error(chalk.red(`❌ Unknown action "${action}". Use create, list, verify, restore, schedule or auto.`));
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Backup error:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = backupCommand;
@@ -1,5 +1,5 @@
 const chalk = require('chalk');
-const { getTaskById, updateTask } = require('../repositories/tasks');
+const { getTaskById, updateTask, completeTask } = require('../repositories/tasks');
 
 async function checkCommand(taskId, options) {
   try {
@@ -12,11 +12,17 @@ async function checkCommand(taskId, options) {
     
     // Toggle completion status
     const newStatus = task.completed ? 0 : 1;
-    await updateTask(task.id, { completed: newStatus });
     
     if (newStatus) {
+      // completeTask also spawns the next occurrence of recurring tasks
+      const { next_task: nextTask } = await completeTask(task.id);
       console.log(chalk.green(`✅ Task #${taskId} marked as complete.`));
+      if (nextTask) {
+        const nextDate = nextTask.due_at || nextTask.start_at;
+        console.log(chalk.cyan(`🔁 Next occurrence: #${nextTask.id}`) + chalk.dim(` (${new Date(nextDate).toLocaleDateString()})`));
+      }
     } else {
+      await updateTask(task.id, { completed: newStatus });
       console.log(chalk.yellow(`📝 Task #${taskId} marked as incomplete.`));
     }
     
@@ -0,0 +1,137 @@
+const chalk = require('chalk');
+const {
+  CONFLICT_RESOLUTIONS,
+  getSyncConflicts,
+  resolveSyncConflict
+} = require('../repositories/sync-conflicts');
+const { stripBlockIds } = require('../../../lib/blocks-utils');
+
+// Snapshot keys that are sync bookkeeping, not worth showing
+const HIDDEN_KEYS = ['id', 'sync_status', 'synced_description', 'updated_at', 'created_at', 'sync_seq'];
+
+function recordLabel(conflict) {
+  const data = conflict.local_data || conflict.remote_data || {};
+  return data.title || data.name || data.key || `#${conflict.record_id}`;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return chalk.dim('(none)');
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : chalk.dim('(none)');
+  return String(value).replace(/\n/g, ' · ');
+}
+
+/**
+ * Fields whose values differ between the two versions
+ */
+function differingFields(conflict) {
+  const local = conflict.local_data || {};
+  const remote = conflict.remote_data || {};
+  const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  const normalize = (key, value) => {
+    if (value === undefined || value === '') return null;
+    if (key === 'description' && typeof value === 'string') return stripBlockIds(value);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return Array.isArray(value) ? [...value].sort().join('\n') : value;
+  };
+  return [...keys].filter(key =>
+    !HIDDEN_KEYS.includes(key) && normalize(key, local[key]) !== normalize(key, remote[key])
+  );
+}
+
+function printVersions(label, local, remote) {
+  console.log(`      ${label}`);
+  console.log(`        ${chalk.dim('local: ')} ${local}`);
+  console.log(`        ${chalk.dim('remote:')} ${remote}`);
+}
+
+function printConflict(conflict) {
+  const status = conflict.resolved_at ? chalk.dim(` (${conflict.resolution})`) : '';
+  console.log(`${chalk.cyan(`#${conflict.id}`.padEnd(6))}${chalk.yellow(conflict.table_name.padEnd(14))}${recordLabel(conflict)}${status}`);
+  console.log(chalk.dim(`      detected ${new Date(conflict.detected_at).toLocaleString()}`));
+
+  if (!conflict.local_data || !conflict.remote_data) {
+    console.log(`      ${conflict.local_data ? 'deleted on the other device' : 'deleted on this device'}`);
+    return;
+  }
+
+  for (const field of differingFields(conflict)) {
+    if (field === 'description') {
+      console.log(`      ${chalk.bold('description')} changed on both devices`);
+      continue;
+    }
+    printVersions(chalk.bold(field), formatValue(conflict.local_data[field]), formatValue(conflict.remote_data[field]));
+  }
+
+  for (const block of conflict.block_conflicts) {
+    const local = block.local ? block.local.content : chalk.dim('(deleted)');
+    const remote = block.remote ? block.remote.content : chalk.dim('(deleted)');
+    printVersions(chalk.magenta(`block ^${block.blockId}`), local, remote);
+  }
+}
+
+async function listConflicts(options) {
+  const conflicts = await getSyncConflicts({ includeResolved: !!options.all });
+
+  if (options.json) {
+    console.log(JSON.stringify(conflicts, null, 2));
+    return;
+  }
+
+  if (conflicts.length === 0) {
+    console.log(chalk.green(options.all ? '✓ No sync conflicts recorded' : '✓ No open sync conflicts'));
+    return;
+  }
+
+  console.log(chalk.bold(`\n⚠️  ${conflicts.length} sync conflict${conflicts.length !== 1 ? 's' : ''}:\n`));
+  for (const conflict of conflicts) {
+    printConflict(conflict);
+    console.log('');
+  }
+  if (!options.all) {
+    console.log(chalk.dim(`Resolve with: prod conflicts resolve <id> --keep ${CONFLICT_RESOLUTIONS.join('|')}`));
+  }
+}
+
+async function resolveConflict(id, options) {
+  const conflictId = parseInt(id, 10);
+  if (!Number.isInteger(conflictId)) {
+    console.error(chalk.red('❌ Usage: prod conflicts resolve <id> --keep local|remote|merge'));
+    process.exit(1);
+  }
+  if (!options.keep) {
+    console.error(chalk.red(`❌ --keep is required (${CONFLICT_RESOLUTIONS.join(', ')})`));
+    process.exit(1);
+  }
+
+  const conflict = await resolveSyncConflict(conflictId, options.keep);
+
+  if (options.json) {
+    console.log(JSON.stringify(conflict, null, 2));
+    return;
+  }
+
+  console.log(chalk.green(`✓ Conflict #${conflict.id} resolved: kept ${conflict.resolution} version of ${conflict.table_name} "${recordLabel(conflict)}"`));
+  console.log(chalk.dim('  Run `prod sync --push` to send it to your other devices.'));
+}
+
+async function conflictsCommand(action, id, options) {
+  try {
+    switch (action || 'list') {
+      case 'list':
+      case 'ls':
+        await listConflicts(options);
+        break;
+      case 'resolve':
+        await resolveConflict(id, options);
+        break;
+      default:
+        console.error(chalk.red(`❌ Unknown action "${action}". Use "list" or "resolve".`));
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Error handling sync conflicts:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = conflictsCommand;
@@ -0,0 +1,138 @@
+const chalk = require('chalk');
+const readline = require('readline');
+const { MIN_PASSPHRASE_LENGTH } = require('../../../lib/e2e-crypto');
+const { isSyncBackendConfigured } = require('../lib/sync/backend');
+const { runSync } = require('../lib/sync/runner');
+const {
+  forgetE2EKeys,
+  getE2EStatus,
+  rotateE2E,
+  setupE2E,
+  unlockE2E
+} = require('../lib/sync/e2e');
+
+/**
+ * Ask for passphrases without echoing them (one per line when stdin is piped)
+ * @param {string[]} prompts
+ * @returns {Promise<string[]>}
+ */
+async function askPassphrases(prompts) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: !!process.stdin.isTTY });
+  const lines = rl[Symbol.asyncIterator]();
+  let muted = false;
+  rl._writeToOutput = (text) => {
+    if (!muted) process.stdout.write(text);
+  };
+
+  const answers = [];
+  try {
+    for (const prompt of prompts) {
+      muted = false;
+      rl._writeToOutput(prompt);
+      muted = true;
+      const { value, done } = await lines.next();
+      process.stdout.write('\n');
+      if (done) break;
+      answers.push(value);
+    }
+  } finally {
+    rl.close();
+  }
+  return answers;
+}
+
+async function askNewPassphrase() {
+  const [passphrase, confirmation] = await askPassphrases(['New passphrase: ', 'Repeat it: ']);
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  if (passphrase !== confirmation) {
+    throw new Error("The passphrases don't match");
+  }
+  return passphrase;
+}
+
+/**
+ * Pull before setup and rotate, which queue every task and tag for push
+ * The CLI pushes without comparing versions, so newer remote edits have to be here first.
+ */
+async function pullFirst() {
+  if (!isSyncBackendConfigured()) return;
+  console.log(chalk.dim('Pulling remote changes first...'));
+  const result = await runSync('pull', 'manual');
+  if (!result.success) {
+    throw new Error(`Pull failed, nothing was changed: ${result.error}`);
+  }
+}
+
+async function printStatus(options) {
+  const status = await getE2EStatus();
+
+  if (options.json) {
+    console.log(JSON.stringify(status, null, 2));
+    return;
+  }
+
+  switch (status.status) {
+    case 'off':
+      console.log(chalk.dim('End-to-end encryption is off. Turn it on with `prod crypto setup`.'));
+      break;
+    case 'locked':
+      console.log(chalk.yellow(`🔒 Encryption is on (key ${status.keyId}), but this device doesn't have the key.`));
+      console.log(chalk.dim('   Sync can\'t push or pull tasks and tags until you run `prod crypto unlock`.'));
+      break;
+    default:
+      console.log(chalk.green(`🔐 Encryption is on and unlocked (key ${status.keyId})`));
+      console.log(chalk.dim(`   ${status.keyCount} key${status.keyCount !== 1 ? 's' : ''} on this device`));
+  }
+}
+
+async function cryptoCommand(action, options) {
+  try {
+    switch (action || 'status') {
+      case 'status':
+        await printStatus(options);
+        break;
+      case 'setup': {
+        const passphrase = await askNewPassphrase();
+        await pullFirst();
+        const keyId = await setupE2E(passphrase);
+        console.log(chalk.green(`✓ Encryption set up (key ${keyId})`));
+        console.log(chalk.dim('  Tasks and tags are pushed again, encrypted, on the next `prod sync`.'));
+        console.log(chalk.dim('  Enter the same passphrase on your other devices after they sync.'));
+        break;
+      }
+      case 'unlock': {
+        const [passphrase] = await askPassphrases(['Passphrase: ']);
+        if (!(await unlockE2E(passphrase || ''))) {
+          console.error(chalk.red('❌ Wrong passphrase'));
+          console.log(chalk.dim('  If it was changed on another device, run `prod sync --pull` first.'));
+          process.exit(1);
+        }
+        console.log(chalk.green('✓ Unlocked. Run `prod sync` to pull encrypted changes.'));
+        break;
+      }
+      case 'rotate': {
+        const passphrase = await askNewPassphrase();
+        await pullFirst();
+        const keyId = await rotateE2E(passphrase);
+        console.log(chalk.green(`✓ Passphrase changed (key ${keyId})`));
+        console.log(chalk.dim('  Tasks and tags are pushed again under the new key on the next `prod sync`.'));
+        console.log(chalk.dim('  Other devices need the new passphrase (`prod crypto unlock`, or the app settings).'));
+        break;
+      }
+      case 'forget':
+        await forgetE2EKeys();
+        console.log(chalk.green('✓ Keys removed from this device'));
+        break;
+      default:
+        console.error(chalk.red(`❌ Unknown action "${action}". Use status, setup, unlock, rotate or forget.`));
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Encryption error:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = cryptoCommand;
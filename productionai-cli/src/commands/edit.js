@@ -3,6 +3,7 @@ const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const { spawn, spawnSync } = require('child_process');
+const { descriptionToText } = require('../../../lib/blocks-utils');
 const { getTaskById, updateTask } = require('../repositories/tasks');
 
 async function editCommand(taskId, options) {
@@ -19,7 +20,7 @@ async function editCommand(taskId, options) {
     
     // Create temp file
     const tempFile = path.join(os.tmpdir(), `task-${taskId}.txt`);
-    fs.writeFileSync(tempFile, task.description || '');
+    fs.writeFileSync(tempFile, descriptionToText(task.description));
     
     console.log(chalk.dim(`Opening task #${taskId} in ${editor}...`));
     
@@ -0,0 +1,61 @@
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const { getAllProjects, getProjectByName } = require('../repositories/projects');
+const { exportProjectMarkdown, exportWorkspaceMarkdown } = require('../lib/markdown-transfer');
+
+function defaultExportDir() {
+  return `productionai-export-${new Date().toISOString().slice(0, 10)}`;
+}
+
+async function exportCommand(projectName, options) {
+  try {
+    const output = options.output || null;
+
+    if (projectName) {
+      const project = await getProjectByName(projectName);
+      if (!project) {
+        console.error(chalk.red(`❌ Project "${projectName}" not found.`));
+        const projects = await getAllProjects();
+        console.log(chalk.dim(`\nAvailable projects: ${projects.map(p => p.name).join(', ') || '(none)'}`));
+        process.exit(1);
+      }
+
+      const { fileName, markdown } = await exportProjectMarkdown(project.id);
+      if (!output) {
+        process.stdout.write(markdown);
+        return;
+      }
+      const file = output.endsWith('.md') ? output : path.join(output, fileName);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, markdown);
+      console.log(chalk.green(`✓ Exported "${project.name}" to ${file}`));
+      return;
+    }
+
+    const files = await exportWorkspaceMarkdown();
+
+    // A .md path gets every project in one file, which `prod import` and the app read back the same way
+    if (output && output.endsWith('.md')) {
+      fs.mkdirSync(path.dirname(output), { recursive: true });
+      fs.writeFileSync(output, files.map(file => file.markdown).join('\n'));
+      console.log(chalk.green(`✓ Exported ${files.length} project${files.length !== 1 ? 's' : ''} to ${output}`));
+      return;
+    }
+
+    const dir = output || defaultExportDir();
+    fs.mkdirSync(dir, { recursive: true });
+    for (const file of files) {
+      fs.writeFileSync(path.join(dir, file.fileName), file.markdown);
+    }
+    console.log(chalk.green(`✓ Exported ${files.length} project${files.length !== 1 ? 's' : ''} to ${dir}/`));
+    for (const file of files) {
+      console.log(chalk.dim(`  ${file.fileName}`));
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Export failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = exportCommand;
@@ -0,0 +1,47 @@
+const chalk = require('chalk');
+const { getTaskHistory } = require('../repositories/task-history');
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Changed',
+  delete: 'Deleted',
+  undo: 'Undone',
+  redo: 'Redone'
+};
+
+async function historyCommand(taskId, options) {
+  try {
+    const id = parseInt(taskId, 10);
+    if (!(id > 0)) {
+      console.error(chalk.red(`❌ Invalid task id "${taskId}"`));
+      process.exit(1);
+    }
+    const entries = await getTaskHistory(id, parseInt(options.limit, 10) || 50);
+
+    if (options.json) {
+      console.log(JSON.stringify(entries, null, 2));
+      return;
+    }
+    if (entries.length === 0) {
+      console.log(chalk.dim(`No history for task #${taskId}.`));
+      return;
+    }
+
+    console.log(chalk.bold(`\n🕘 History of task #${id}\n`));
+    for (const entry of entries) {
+      const when = new Date(entry.created_at).toLocaleString();
+      const source = entry.source ? ` · ${entry.source}` : '';
+      const undone = entry.undone_at ? chalk.yellow(' (undone)') : '';
+      console.log(`${chalk.dim(when + source)}  ${chalk.bold(ACTION_LABELS[entry.action] || entry.action)}${undone}`);
+      for (const line of entry.lines) {
+        console.log(`  ${line}`);
+      }
+    }
+    console.log('');
+  } catch (error) {
+    console.error(chalk.red('❌ Error reading history:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = historyCommand;
@@ -0,0 +1,111 @@
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const { IMPORT_FORMATS, parseColumnMapping, summarizeImport } = require('../../../lib/import-formats');
+const { importProjects, parseImportText } = require('../lib/markdown-transfer');
+
+// File extensions picked up from directories, per --from format
+const FORMAT_EXTENSIONS = {
+  markdown: ['.md', '.markdown'],
+  todoist: ['.json', '.csv'],
+  things: ['.json'],
+  csv: ['.csv']
+};
+const ALL_EXTENSIONS = [...new Set(Object.values(FORMAT_EXTENSIONS).flat())];
+
+/**
+ * Files to import: the given files, and the matching files of the given directories
+ */
+function collectFiles(paths, format) {
+  const extensions = format ? FORMAT_EXTENSIONS[format] : ALL_EXTENSIONS;
+  const files = [];
+  for (const entry of paths) {
+    if (!fs.existsSync(entry)) {
+      throw new Error(`${entry} not found`);
+    }
+    if (fs.statSync(entry).isDirectory()) {
+      const names = fs.readdirSync(entry)
+        .filter(name => extensions.includes(path.extname(name).toLowerCase()))
+        .sort();
+      files.push(...names.map(name => path.join(entry, name)));
+    } else {
+      files.push(entry);
+    }
+  }
+  return files;
+}
+
+function printPreview(preview, fileName) {
+  for (const project of preview) {
+    const details = [`${project.tasks} tasks`, `${project.sections} sections`];
+    if (project.completed > 0) details.push(`${project.completed} completed`);
+    console.log(`${chalk.cyan(project.name)} ${chalk.dim(`(${fileName})`)}: ${details.join(', ')}`);
+    if (project.tags.length > 0) {
+      console.log(chalk.dim(`  tags: ${project.tags.join(', ')}`));
+    }
+  }
+}
+
+async function importCommand(paths, options) {
+  try {
+    const format = options.from ? String(options.from).toLowerCase() : null;
+    if (format && !IMPORT_FORMATS.includes(format)) {
+      console.error(chalk.red(`❌ Unknown format "${options.from}". Use ${IMPORT_FORMATS.join(', ')}.`));
+      process.exit(1);
+    }
+    const columns = options.map ? parseColumnMapping(options.map) : {};
+
+    const files = collectFiles(paths, format);
+    if (files.length === 0) {
+      console.error(chalk.red('❌ No files to import found'));
+      process.exit(1);
+    }
+
+    const total = { projects: 0, sections: 0, tasks: 0, tags: 0 };
+    for (const file of files) {
+      const fileName = path.basename(file);
+      // Tasks without a project (and Markdown without a "# " heading) go to --project or a project named after the file
+      const parsed = parseImportText(fs.readFileSync(file, 'utf8'), {
+        format,
+        fileName,
+        defaultProjectName: options.project,
+        columns
+      });
+      if (parsed.length === 0) {
+        console.log(chalk.yellow(`⚠️  ${fileName}: no projects or tasks found, skipped`));
+        continue;
+      }
+
+      if (options.dryRun) {
+        printPreview(summarizeImport(parsed), fileName);
+        continue;
+      }
+
+      // Repository progress lines would print once per task
+      const log = console.log;
+      console.log = () => {};
+      let summary;
+      try {
+        summary = await importProjects(parsed);
+      } finally {
+        console.log = log;
+      }
+      for (const key of Object.keys(total)) {
+        total[key] += summary[key];
+      }
+      console.log(chalk.dim(`  ${fileName}: ${summary.tasks} tasks`));
+    }
+
+    if (options.dryRun) {
+      console.log(chalk.dim('\nDry run: nothing was imported.'));
+      return;
+    }
+    console.log(chalk.green(`✓ Imported ${total.tasks} tasks (${total.projects} new projects, ${total.sections} new sections, ${total.tags} tags)`));
+    console.log(chalk.dim('  Run `prod sync` to send them to your other devices.'));
+  } catch (error) {
+    console.error(chalk.red('❌ Import failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = importCommand;
@@ -4,11 +4,16 @@ const { getAllProjects } = require('../repositories/projects');
 
 async function listCommand(options) {
   try {
-    const { project, json } = options;
+    const { project, query, json } = options;
     
     let tasks;
     
-    if (project) {
+    if (query) {
+      // Filter with a query expression (same language as saved filters in the app)
+      const tasksRepo = require('../repositories/tasks');
+      const expression = project ? `project:"${project.replace(/"/g, '\\"')}" AND (${query})` : query;
+      tasks = await tasksRepo.getTasksByQuery(expression);
+    } else if (project) {
       // Filter by project name
       const projects = require('../repositories/projects');
       const proj = await projects.getProjectByName(project);
@@ -0,0 +1,53 @@
+const chalk = require('chalk');
+const { migrateDatabase, DB_PATH } = require('../adapters/db');
+
+async function migrateCommand(options) {
+  try {
+    const dryRun = !!options.dryRun;
+    const result = await migrateDatabase({ dryRun });
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+
+    console.log(chalk.dim(`Database: ${DB_PATH}`));
+    console.log(`Schema version: ${chalk.cyan(result.fromVersion)} (latest ${result.latestVersion})`);
+
+    if (result.fromVersion > result.latestVersion) {
+      console.log(chalk.yellow('⚠️  This database was created by a newer version. Update the CLI.'));
+      return;
+    }
+
+    if (result.migrations.length === 0) {
+      console.log(chalk.green('✓ Schema is up to date'));
+      return;
+    }
+
+    console.log(chalk.bold(`\n${dryRun ? '🔍 Pending migrations' : '🔄 Applied migrations'} (${result.migrations.length}):\n`));
+
+    for (const migration of result.migrations) {
+      console.log(chalk.bold(`${migration.version}. ${migration.name}`));
+      for (const step of migration.steps) {
+        if (step.skipped) {
+          console.log(chalk.dim(`   - ${step.description} (already present)`));
+        } else {
+          console.log(`   ${dryRun ? '-' : chalk.green('✓')} ${step.description}`);
+        }
+      }
+    }
+
+    console.log('');
+    if (dryRun) {
+      console.log(chalk.dim('Dry run: nothing was changed. Run `prod migrate` to apply.'));
+    } else {
+      console.log(chalk.green(`✓ Migrated to version ${result.toVersion}`));
+    }
+
+  } catch (error) {
+    console.error(chalk.red('❌ Migration failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = migrateCommand;
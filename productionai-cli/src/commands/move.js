@@ -0,0 +1,49 @@
+const chalk = require('chalk');
+const { getTaskById, moveTask } = require('../repositories/tasks');
+
+function parseId(value) {
+  const id = parseInt(value, 10);
+  return id > 0 && String(id) === String(value).trim() ? id : null;
+}
+
+async function moveCommand(taskId, options) {
+  const id = parseId(taskId);
+  if (!id) {
+    console.error(chalk.red(`❌ Invalid task id "${taskId}"`));
+    process.exit(1);
+  }
+  if ((options.before === undefined) === (options.after === undefined)) {
+    console.error(chalk.red('❌ Give either --before <taskId> or --after <taskId>'));
+    process.exit(1);
+  }
+  const targetId = parseId(options.before ?? options.after);
+  if (!targetId) {
+    console.error(chalk.red(`❌ Invalid task id "${options.before ?? options.after}"`));
+    process.exit(1);
+  }
+
+  try {
+    const position = options.before !== undefined ? { beforeId: targetId } : { afterId: targetId };
+    const before = await getTaskById(id);
+    if (!before) {
+      console.error(chalk.red(`❌ Task #${taskId} not found.`));
+      process.exit(1);
+    }
+    await moveTask(id, position);
+    const task = await getTaskById(id);
+
+    const side = position.beforeId ? 'before' : 'after';
+    console.log(chalk.green(`↕️  Task #${id} moved ${side} #${targetId}`));
+    if (task.project_id !== before.project_id) {
+      console.log(chalk.dim(`   Now in project ${task.project_name}`));
+    }
+    if (task.parent_id !== before.parent_id) {
+      console.log(chalk.dim(task.parent_id ? `   Now a subtask of #${task.parent_id}` : '   No longer a subtask'));
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Error moving task:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = moveCommand;
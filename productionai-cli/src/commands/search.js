@@ -0,0 +1,63 @@
+const chalk = require('chalk');
+const { searchTasks } = require('../repositories/search');
+const { HIGHLIGHT_END, HIGHLIGHT_START } = require('../../../lib/search-utils');
+
+// Render FTS highlight markers as bold yellow text
+function highlight(snippet) {
+  return (snippet || '')
+    .split(HIGHLIGHT_START)
+    .map((chunk, i) => {
+      if (i === 0) return chunk;
+      const [match, rest = ''] = chunk.split(HIGHLIGHT_END);
+      return chalk.bold.yellow(match) + rest;
+    })
+    .join('');
+}
+
+async function searchCommand(query, options) {
+  try {
+    const limit = options.limit ? parseInt(options.limit, 10) : 50;
+    if (!Number.isInteger(limit) || limit < 1) {
+      console.error(chalk.red('❌ --limit must be a positive number.'));
+      process.exit(1);
+    }
+
+    const tasks = await searchTasks(query, { limit, includeCompleted: !options.open });
+
+    if (options.json) {
+      const strip = (text) => (text || '').split(HIGHLIGHT_START).join('').split(HIGHLIGHT_END).join('');
+      console.log(JSON.stringify(tasks.map(t => ({
+        ...t,
+        title_snippet: strip(t.title_snippet),
+        body_snippet: strip(t.body_snippet),
+      })), null, 2));
+      return;
+    }
+
+    if (tasks.length === 0) {
+      console.log(chalk.dim(`No tasks match "${query}".`));
+      return;
+    }
+
+    console.log(chalk.bold(`\n🔎 ${tasks.length} result${tasks.length !== 1 ? 's' : ''} for "${query}":\n`));
+
+    for (const task of tasks) {
+      const id = chalk.cyan(`#${task.id}`.padEnd(6));
+      const project = chalk.yellow(`[${(task.project_name || 'Unknown').slice(0, 18)}]`.padEnd(20));
+      const checkmark = task.completed ? chalk.green('✓ ') : '  ';
+      console.log(`${id}${project}${checkmark}${highlight(task.title_snippet)}`);
+
+      if (task.body_snippet) {
+        console.log(chalk.dim('      ') + highlight(task.body_snippet).replace(/\n/g, ' · '));
+      }
+    }
+
+    console.log('');
+
+  } catch (error) {
+    console.error(chalk.red('❌ Error searching tasks:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = searchCommand;
@@ -1,20 +1,24 @@
 const chalk = require('chalk');
-const { supabase, isSupabaseConfigured } = require('../lib/supabase');
+const { describeSyncBackend, isSyncBackendConfigured } = require('../lib/sync/backend');
 const { getDb } = require('../adapters/db');
+const { rebuildSearchIndex } = require('../repositories/search');
+const { pullFilters, pullFilterRelations, pullChat, pullSettings } = require('../lib/sync/pull');
+const { fetchAllRows } = require('../lib/sync/pull-cursor');
+const { loadE2EKeys } = require('../lib/sync/e2e');
 
 /**
- * Force a full sync from Supabase (ignores timestamps, pulls everything)
+ * Force a full sync from the sync backend (ignores pull cursors, pulls everything)
  */
 async function syncFullCommand() {
   try {
-    if (!isSupabaseConfigured()) {
-      console.log(chalk.red('\n❌ Supabase not configured!\n'));
+    if (!isSyncBackendConfigured()) {
+      console.log(chalk.red('\n❌ No sync backend configured!\n'));
       console.log(chalk.yellow('See QUICK_SETUP.md for setup instructions.'));
       process.exit(1);
     }
 
-    console.log(chalk.bold('\n🔄 Starting FULL sync from Supabase...\n'));
-    console.log(chalk.dim('This will pull ALL data, ignoring local timestamps.\n'));
+    console.log(chalk.bold(`\n🔄 Starting FULL sync from ${describeSyncBackend()}...\n`));
+    console.log(chalk.dim('This will pull ALL data, ignoring pull cursors.\n'));
 
     const db = getDb();
     
@@ -26,27 +30,33 @@ async function syncFullCommand() {
       sections: 0,
       tags: 0,
       tasks: 0,
-      task_tags: 0
+      task_tags: 0,
+      filters: 0,
+      filter_relations: 0,
+      chat: 0,
+      settings: 0
     };
 
+    // Pull ALL settings first: e2e_config says whether tasks and tags arrive encrypted
+    console.log('📥 Pulling all settings...');
+    results.settings = await pullSettings({ full: true });
+    console.log(chalk.green(`  ✅ Settings: ${results.settings} synced`));
+    await loadE2EKeys();
+
     // Pull ALL projects
     console.log('📥 Pulling all projects...');
-    const { data: projects, error: projError } = await supabase
-      .from('projects')
-      .select('*')
-      .order('id', { ascending: true });
-
-    if (projError) throw projError;
+    const projects = (await fetchAllRows('projects')).sort((a, b) => a.id - b.id);
 
     if (projects && projects.length > 0) {
       for (const project of projects) {
         await db.runAsync(
-          `INSERT OR REPLACE INTO projects (id, name, default_section_id, updated_at, sync_status, deleted_at)
-           VALUES (?, ?, ?, ?, ?, ?)`,
+          `INSERT OR REPLACE INTO projects (id, name, default_section_id, sort_key, updated_at, sync_status, deleted_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
           [
             project.id,
             project.name,
             project.default_section_id || null,
+            project.sort_key || null,
             project.updated_at || new Date().toISOString(),
             'synced',
             project.deleted_at || null
@@ -59,23 +69,19 @@ async function syncFullCommand() {
 
     // Pull ALL sections
     console.log('📥 Pulling all sections...');
-    const { data: sections, error: sectError } = await supabase
-      .from('sections')
-      .select('*')
-      .order('id', { ascending: true });
-
-    if (sectError) throw sectError;
+    const sections = (await fetchAllRows('sections')).sort((a, b) => a.id - b.id);
 
     if (sections && sections.length > 0) {
       for (const section of sections) {
         try {
           await db.runAsync(
-            `INSERT OR REPLACE INTO sections (id, project_id, name, updated_at, sync_status, deleted_at)
-             VALUES (?, ?, ?, ?, ?, ?)`,
+            `INSERT OR REPLACE INTO sections (id, project_id, name, sort_key, updated_at, sync_status, deleted_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
             [
               section.id,
               section.project_id,
               section.name,
+              section.sort_key || null,
               section.updated_at || new Date().toISOString(),
               'synced',
               section.deleted_at || null
@@ -91,18 +97,13 @@ async function syncFullCommand() {
 
     // Pull ALL tags
     console.log('📥 Pulling all tags...');
-    const { data: tags, error: tagError } = await supabase
-      .from('tags')
-      .select('*')
-      .order('id', { ascending: true });
-
-    if (tagError) throw tagError;
+    const tags = (await fetchAllRows('tags')).sort((a, b) => a.id - b.id);
 
     if (tags && tags.length > 0) {
       for (const tag of tags) {
         await db.runAsync(
           `INSERT OR REPLACE INTO tags (id, name, created_at, updated_at, sync_status, deleted_at)
-           VALUES (?, ?, ?, ?, ?, ?)`,
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
           [
             tag.id,
             tag.name,
@@ -119,19 +120,14 @@ async function syncFullCommand() {
 
     // Pull ALL tasks (sorted by ID to handle parent_id dependencies)
     console.log('📥 Pulling all tasks...');
-    const { data: tasks, error: taskError } = await supabase
-      .from('tasks')
-      .select('*')
-      .order('id', { ascending: true });
-
-    if (taskError) throw taskError;
+    const tasks = (await fetchAllRows('tasks')).sort((a, b) => a.id - b.id);
 
     if (tasks && tasks.length > 0) {
       for (const task of tasks) {
         try {
           await db.runAsync(
-            `INSERT OR REPLACE INTO tasks (id, project_id, section_id, parent_id, title, description, completed, is_expanded, updated_at, sync_status, deleted_at)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            `INSERT OR REPLACE INTO tasks (id, project_id, section_id, parent_id, title, description, synced_description, completed, is_expanded, due_at, start_at, recurrence, sort_key, updated_at, sync_status, deleted_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
               task.id,
               task.project_id,
@@ -139,8 +135,13 @@ async function syncFullCommand() {
               task.parent_id || null,
               task.title,
               task.description || null,
+              task.description || null,
               task.completed ? 1 : 0,
               task.is_expanded ? 1 : 0,
+              task.due_at || null,
+              task.start_at || null,
+              task.recurrence || null,
+              task.sort_key || null,
               task.updated_at || new Date().toISOString(),
               'synced',
               task.deleted_at || null
@@ -153,14 +154,11 @@ async function syncFullCommand() {
       }
     }
     console.log(chalk.green(`  ✅ Tasks: ${results.tasks} synced`));
+    await rebuildSearchIndex();
 
     // Pull ALL task_tags
     console.log('📥 Pulling all task-tag relationships...');
-    const { data: taskTags, error: ttError } = await supabase
-      .from('task_tags')
-      .select('*');
-
-    if (ttError) throw ttError;
+    const taskTags = await fetchAllRows('task_tags');
 
     if (taskTags && taskTags.length > 0) {
       // Clear and resync
@@ -180,6 +178,19 @@ async function syncFullCommand() {
     }
     console.log(chalk.green(`  ✅ Task-Tags: ${results.task_tags} synced`));
 
+    // Pull ALL filters with their tags and projects
+    console.log('📥 Pulling all filters...');
+    results.filters = await pullFilters({ full: true });
+    results.filter_relations =
+      await pullFilterRelations('filter_tags', 'tag_id') +
+      await pullFilterRelations('filter_projects', 'project_id');
+    console.log(chalk.green(`  ✅ Filters: ${results.filters} synced (${results.filter_relations} tag/project links)`));
+
+    // Pull ALL chat history
+    console.log('📥 Pulling all chat history...');
+    results.chat = await pullChat({ full: true });
+    console.log(chalk.green(`  ✅ Chat history: ${results.chat} synced`));
+
     // Re-enable foreign keys
     await db.execAsync('PRAGMA foreign_keys = ON');
 
@@ -0,0 +1,64 @@
+const chalk = require('chalk');
+const path = require('path');
+const { createSyncServer } = require('../server/sync-server');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_DB = 'sync-server.db';
+
+/**
+ * Run the self-hosted sync server until interrupted
+ */
+async function syncServerCommand(options) {
+  const port = options.port !== undefined ? parseInt(options.port, 10) : DEFAULT_PORT;
+  if (!(port > 0 && port < 65536)) {
+    console.error(chalk.red('❌ --port must be a port number'));
+    process.exit(1);
+  }
+
+  const host = options.host || DEFAULT_HOST;
+  const dbPath = path.resolve(options.db || DEFAULT_DB);
+  const token = options.token || process.env.SYNC_SERVER_TOKEN || null;
+
+  let server;
+  let store;
+  try {
+    ({ server, store } = createSyncServer({
+      dbPath,
+      token,
+      onQuery: (request, error) => {
+        if (!options.verbose && !error) return;
+        const what = request ? `${request.action} ${request.table || ''}`.trim() : 'query';
+        console.log(error
+          ? chalk.red(`  ✗ ${what}: ${error.message}`)
+          : chalk.dim(`  ${what}${request.rows ? ` (${request.rows.length})` : ''}`));
+      },
+    }));
+  } catch (error) {
+    console.error(chalk.red(`❌ Could not open ${dbPath}:`), error.message);
+    process.exit(1);
+  }
+
+  server.on('error', (error) => {
+    console.error(chalk.red('❌ Sync server error:'), error.message);
+    process.exit(1);
+  });
+
+  server.listen(port, host, () => {
+    const counts = store.counts();
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    console.log(chalk.bold(`\n🛰  Sync server listening on http://${host}:${port}`));
+    console.log(chalk.dim(`   Data: ${dbPath} (${total} record${total !== 1 ? 's' : ''})`));
+    console.log(chalk.dim(`   Token: ${token ? 'required' : 'none (anyone who can reach the port can sync)'}`));
+    console.log(chalk.dim(`   Clients: set SYNC_SERVER_URL=http://<this machine>:${port}, or the Sync Server setting in the app`));
+    console.log(chalk.dim('   Ctrl+C to stop\n'));
+  });
+
+  process.on('SIGINT', () => {
+    server.close(() => process.exit(0));
+    // Keep-alive connections can hold close() open
+    setTimeout(() => process.exit(0), 1000).unref();
+  });
+}
+
+module.exports = syncServerCommand;
@@ -1,19 +1,262 @@
 const chalk = require('chalk');
-const { isSupabaseConfigured } = require('../lib/supabase');
-const { pullAll } = require('../lib/sync/pull');
-const { pushAll } = require('../lib/sync/push');
+const { runScheduledBackup } = require('../lib/backup-files');
+const { describeSyncBackend, isSyncBackendConfigured } = require('../lib/sync/backend');
+const { runSync } = require('../lib/sync/runner');
+const { getOutboxStatus, getOutboxVersion, retryFailedPushes } = require('../repositories/outbox');
+const { exportSyncLog, getSyncRun, getSyncRuns } = require('../repositories/sync-log');
+
+// How often `--watch` looks for local changes, and how long they must settle before a push
+const WATCH_POLL_MS = 2000;
+const WATCH_DEBOUNCE_MS = 5000;
+const DEFAULT_WATCH_INTERVAL_MINUTES = 5;
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : 'now';
+}
+
+/**
+ * Print what is waiting in the push queue (works offline)
+ */
+async function printOutboxStatus(options) {
+  const status = await getOutboxStatus();
+
+  if (options.json) {
+    console.log(JSON.stringify(status, null, 2));
+    return;
+  }
+
+  if (status.queued === 0 && status.dead === 0) {
+    console.log(chalk.green('✓ Everything is pushed'));
+    return;
+  }
+
+  console.log(chalk.bold('\n📤 Sync queue\n'));
+  console.log(`  Waiting:  ${status.queued}`);
+  console.log(`  Retrying: ${status.retrying}${status.nextAttemptAt ? chalk.dim(` (next try ${formatTime(status.nextAttemptAt)})`) : ''}`);
+  console.log(`  Failed:   ${status.dead > 0 ? chalk.red(status.dead) : 0}`);
+
+  if (status.failures.length > 0) {
+    console.log('');
+    for (const entry of status.failures) {
+      const label = entry.status === 'dead'
+        ? chalk.red('failed  ')
+        : chalk.yellow('retrying');
+      const action = entry.operation === 'delete' ? 'delete' : 'save';
+      console.log(`  ${label} ${action} ${entry.table_name} ${entry.record_id} ${chalk.dim(`after ${entry.attempts} attempt${entry.attempts !== 1 ? 's' : ''}`)}`);
+      if (entry.last_error) {
+        console.log(chalk.dim(`           ${entry.last_error}`));
+      }
+    }
+  }
+
+  if (status.dead > 0) {
+    console.log(chalk.dim('\nPush failed changes again with: prod sync --retry'));
+  }
+}
+
+const HISTORY_LIMIT = 20;
+
+const RUN_STATUS_LABELS = {
+  success: chalk.green('✓'),
+  error: chalk.red('✗'),
+  interrupted: chalk.dim('‖'),
+  running: chalk.blue('…'),
+};
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '';
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Print recent sync runs, or one run with its per-table counts and failed records
+ * With --json, the whole log (or the one run) is printed for bug reports.
+ */
+async function printSyncHistory(runId, options) {
+  if (runId) {
+    const run = await getSyncRun(parseInt(runId, 10));
+    if (!run) {
+      console.error(chalk.red(`❌ Sync run ${runId} not found`));
+      process.exit(1);
+    }
+    if (options.json) {
+      console.log(JSON.stringify(run, null, 2));
+      return;
+    }
+
+    console.log(chalk.bold(`\n${RUN_STATUS_LABELS[run.status] || run.status} Sync ${run.id}: ${run.sync_type} (${run.triggered_by || 'unknown'})\n`));
+    console.log(`  Started:  ${formatTime(run.started_at)}`);
+    if (run.duration_ms !== null) console.log(`  Took:     ${formatDuration(run.duration_ms)}`);
+    if (run.message) console.log(`  Result:   ${run.message}`);
+    if (run.error_details) console.log(`  Error:    ${chalk.red(run.error_details)}`);
+
+    const tables = Object.entries(run.table_counts).sort(([a], [b]) => a.localeCompare(b));
+    if (tables.length > 0) {
+      console.log(chalk.bold('\n  Table                 Pushed  Pulled  Failed'));
+      for (const [tableName, counts] of tables) {
+        const failed = counts.failed || 0;
+        console.log(`  ${tableName.padEnd(20)} ${String(counts.pushed || 0).padStart(7)} ${String(counts.pulled || 0).padStart(7)} ${(failed > 0 ? chalk.red : String)(String(failed).padStart(7))}`);
+      }
+    }
+
+    if (run.failures.length > 0) {
+      console.log(chalk.bold('\n  Failed records'));
+      for (const failure of run.failures) {
+        const record = failure.record_id ? ` ${failure.record_id}` : '';
+        const attempts = failure.attempts ? chalk.dim(` (attempt ${failure.attempts})`) : '';
+        console.log(`  ${chalk.red('✗')} ${failure.operation || 'sync'} ${failure.table_name}${record}${attempts}`);
+        console.log(chalk.dim(`    ${failure.error}`));
+      }
+    }
+    console.log('');
+    return;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(await exportSyncLog(), null, 2));
+    return;
+  }
+
+  const runs = await getSyncRuns({ limit: HISTORY_LIMIT });
+  if (runs.length === 0) {
+    console.log(chalk.dim('No syncs yet'));
+    return;
+  }
+
+  console.log(chalk.bold('\n🕘 Sync history\n'));
+  for (const run of runs) {
+    const summary = run.status === 'running'
+      ? 'in progress'
+      : run.status === 'interrupted'
+        ? 'interrupted'
+        : run.error_details ? chalk.red(run.error_details) : run.message;
+    const label = run.status === 'success' && run.failure_count > 0 ? chalk.yellow('!') : RUN_STATUS_LABELS[run.status] || run.status;
+    console.log(`  ${label} ${String(run.id).padStart(4)}  ${chalk.dim(formatTime(run.started_at))}  ${run.sync_type} (${run.triggered_by || 'unknown'})  ${chalk.dim(formatDuration(run.duration_ms))}`);
+    console.log(`         ${summary}`);
+  }
+  console.log(chalk.dim('\nDetails of one sync: prod sync --history <id>'));
+}
+
+function timestamp() {
+  return chalk.dim(`[${new Date().toLocaleTimeString()}]`);
+}
+
+// Scheduled backups (`prod backup schedule`) are made between syncs in --watch mode
+async function backupIfDue() {
+  try {
+    const { created } = await runScheduledBackup();
+    if (created) {
+      console.log(`${timestamp()} ${chalk.green(`💾 Backup written to ${created}`)}`);
+    }
+  } catch (error) {
+    console.log(`${timestamp()} ${chalk.red(`❌ Scheduled backup failed: ${error.message}`)}`);
+  }
+}
+
+/**
+ * Keep syncing until interrupted: a push shortly after local changes (from any `prod`
+ * command) and a full sync every `--interval` minutes
+ */
+async function watchSync(syncType, options) {
+  const minutes = options.interval !== undefined ? parseFloat(options.interval) : DEFAULT_WATCH_INTERVAL_MINUTES;
+  if (!(minutes > 0)) {
+    console.error(chalk.red('❌ --interval must be a number of minutes greater than 0'));
+    process.exit(1);
+  }
+
+  let running = false;
+  let stopping = false;
+  let nextSyncAt = Date.now();
+  let outboxVersion = await getOutboxVersion();
+  let changedAt = null;
+
+  process.on('SIGINT', () => {
+    if (!running) process.exit(0);
+    stopping = true;
+    console.log(chalk.dim('\nStopping after the current sync...'));
+  });
+
+  console.log(chalk.bold(`\n👀 Watching for changes (${syncType} sync every ${minutes} min, Ctrl+C to stop)\n`));
+
+  // Per-record progress is silenced; each run prints one line (failures still print)
+  const run = async (type, triggeredBy) => {
+    running = true;
+    const log = console.log;
+    console.log = () => {};
+    let result;
+    try {
+      result = await runSync(type, triggeredBy);
+    } finally {
+      console.log = log;
+      running = false;
+    }
+
+    if (result.reason === 'busy') {
+      console.log(`${timestamp()} ${chalk.yellow('⏸  Another sync is running, trying again shortly')}`);
+    } else if (!result.skipped) {
+      const summary = [
+        type !== 'pull' && `${result.pushed} pushed`,
+        type !== 'push' && `${result.pulled} pulled`,
+        result.failed > 0 && `${result.failed} failed`,
+      ].filter(Boolean).join(', ');
+      console.log(result.success
+        ? `${timestamp()} ${chalk.green(`✓ ${triggeredBy === 'write' ? 'Pushed local changes' : 'Synced'}: ${summary}`)}`
+        : `${timestamp()} ${chalk.red(`❌ ${result.error}`)}`);
+    }
+    if (stopping) process.exit(0);
+    return result;
+  };
+
+  for (;;) {
+    const now = Date.now();
+    if (now >= nextSyncAt) {
+      const result = await run(syncType, 'interval');
+      nextSyncAt = result.reason === 'busy' ? now + WATCH_POLL_MS : now + minutes * 60 * 1000;
+      outboxVersion = await getOutboxVersion();
+      await backupIfDue();
+    } else if (syncType !== 'pull') {
+      const version = await getOutboxVersion();
+      if (version !== outboxVersion) {
+        outboxVersion = version;
+        changedAt = now;
+      } else if (changedAt !== null && now - changedAt >= WATCH_DEBOUNCE_MS) {
+        const result = await run('push', 'write');
+        changedAt = result.reason === 'busy' ? now : null;
+        outboxVersion = await getOutboxVersion();
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, WATCH_POLL_MS));
+  }
+}
 
 async function syncCommand(options) {
   try {
-    // Check if Supabase is configured
-    if (!isSupabaseConfigured()) {
-      console.log(chalk.red('\n❌ Supabase not configured!\n'));
+    if (options.status) {
+      await printOutboxStatus(options);
+      return;
+    }
+
+    if (options.history) {
+      await printSyncHistory(options.history === true ? null : options.history, options);
+      return;
+    }
+
+    if (options.retry) {
+      const count = await retryFailedPushes();
+      console.log(chalk.dim(`↻ ${count} failed change${count !== 1 ? 's' : ''} queued again`));
+    }
+
+    // Check that Supabase or a sync server is configured
+    if (!isSyncBackendConfigured()) {
+      console.log(chalk.red('\n❌ No sync backend configured!\n'));
       console.log(chalk.yellow('Quick Setup (easiest):'));
       console.log(chalk.dim('  1. Open: productionai-cli/src/lib/supabase.js'));
       console.log(chalk.dim('  2. Edit lines 7-8 with your credentials'));
       console.log(chalk.dim('  3. Save and run: prod sync\n'));
       console.log(chalk.yellow('Alternative (.env file):'));
       console.log(chalk.dim('  Create .env with SUPABASE_URL and SUPABASE_ANON_KEY\n'));
+      console.log(chalk.yellow('Without Supabase (self-hosted):'));
+      console.log(chalk.dim('  Run `prod sync-server` somewhere and set SYNC_SERVER_URL in .env\n'));
       console.log(chalk.dim('See QUICK_SETUP.md for detailed instructions.'));
       process.exit(1);
     }
@@ -21,27 +264,23 @@ async function syncCommand(options) {
     const { pull, push } = options;
 
     // If no flags, do both push and pull
-    const shouldPush = push || (!pull && !push);
-    const shouldPull = pull || (!pull && !push);
-
-    console.log(chalk.bold('\n🔄 Starting sync...\n'));
+    const syncType = push && !pull ? 'push' : pull && !push ? 'pull' : 'full';
 
-    // Push local changes first
-    if (shouldPush) {
-      const pushResult = await pushAll();
-      if (!pushResult.success) {
-        console.error(chalk.red(`\n❌ Push failed: ${pushResult.error}`));
-        process.exit(1);
-      }
+    if (options.watch) {
+      await watchSync(syncType, options);
+      return;
     }
 
-    // Then pull remote changes
-    if (shouldPull) {
-      const pullResult = await pullAll();
-      if (!pullResult.success) {
-        console.error(chalk.red(`\n❌ Pull failed: ${pullResult.error}`));
-        process.exit(1);
-      }
+    console.log(chalk.bold(`\n🔄 Starting sync with ${describeSyncBackend()}...\n`));
+
+    const result = await runSync(syncType, 'manual');
+    if (result.skipped) {
+      console.error(chalk.red('❌ Another sync is already running. Try again when it has finished.'));
+      process.exit(1);
+    }
+    if (!result.success) {
+      console.error(chalk.red(`\n❌ Sync failed: ${result.error}`));
+      process.exit(1);
     }
 
     console.log(chalk.green.bold('\n✨ Sync complete!\n'));
@@ -49,7 +288,7 @@ async function syncCommand(options) {
   } catch (error) {
     console.error(chalk.red('❌ Sync error:'), error.message);
     if (error.message.includes('connect')) {
-      console.log(chalk.yellow('\n💡 Tip: Check your internet connection and Supabase credentials.'));
+      console.log(chalk.yellow(`\n💡 Tip: Check your internet connection and ${describeSyncBackend()} settings.`));
     }
     process.exit(1);
   }
@@ -111,12 +111,9 @@ async function tasksCommand(projectName, options) {
       subtasksByParent[subtask.parent_id].push(subtask);
     });
     
-    // Sort subtasks: incomplete first, then by ID
+    // Sort subtasks: incomplete first, then in their manual order (the query's)
     Object.values(subtasksByParent).forEach(subtasks => {
-      subtasks.sort((a, b) => {
-        if (a.completed !== b.completed) return a.completed - b.completed;
-        return a.id - b.id;
-      });
+      subtasks.sort((a, b) => a.completed - b.completed);
     });
     
     // Group tasks by section and pinned status (only root tasks)
@@ -0,0 +1,57 @@
+const chalk = require('chalk');
+const { getTodayTasks } = require('../repositories/tasks');
+const { startOfDay } = require('../../../lib/date-utils');
+
+function printTask(task, overdue) {
+  const id = chalk.cyan(`#${task.id}`.padEnd(6));
+  const project = chalk.yellow(`[${(task.project_name || 'Unknown').slice(0, 18)}]`.padEnd(20));
+  const due = new Date(task.due_at);
+  const when = overdue
+    ? chalk.red(due.toLocaleDateString())
+    : chalk.dim(due.getHours() || due.getMinutes() ? due.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '');
+  const repeat = task.recurrence ? chalk.dim(' 🔁') : '';
+
+  console.log(`${id}${project}${task.title}${repeat}${when ? ` ${when}` : ''}`);
+}
+
+async function todayCommand(options) {
+  try {
+    const tasks = await getTodayTasks();
+
+    if (options.json) {
+      console.log(JSON.stringify(tasks, null, 2));
+      return;
+    }
+
+    if (tasks.length === 0) {
+      console.log(chalk.dim('Nothing due today. 🎉'));
+      return;
+    }
+
+    const todayStart = startOfDay().getTime();
+    const overdue = tasks.filter(t => new Date(t.due_at).getTime() < todayStart);
+    const dueToday = tasks.filter(t => new Date(t.due_at).getTime() >= todayStart);
+
+    console.log(chalk.bold(`\n☀️  Today (${tasks.length}):\n`));
+
+    if (overdue.length > 0) {
+      console.log(chalk.red.bold(`Overdue (${overdue.length})`));
+      console.log(chalk.dim('─'.repeat(60)));
+      overdue.forEach(task => printTask(task, true));
+      console.log('');
+    }
+
+    if (dueToday.length > 0) {
+      console.log(chalk.bold(`Due today (${dueToday.length})`));
+      console.log(chalk.dim('─'.repeat(60)));
+      dueToday.forEach(task => printTask(task, false));
+      console.log('');
+    }
+
+  } catch (error) {
+    console.error(chalk.red('❌ Error listing today\'s tasks:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = todayCommand;
@@ -0,0 +1,131 @@
+const chalk = require('chalk');
+const {
+  getTrash,
+  getTrashRetention,
+  purgeTrash,
+  restoreTrashItem,
+  setTrashRetention
+} = require('../repositories/trash');
+
+// Trash tables in the order they're listed, with what they're called on the command line
+const TRASH_TYPES = [
+  { table: 'projects', type: 'project', label: 'Projects' },
+  { table: 'sections', type: 'section', label: 'Sections' },
+  { table: 'tasks', type: 'task', label: 'Tasks' },
+  { table: 'tags', type: 'tag', label: 'Tags' }
+];
+
+function plural(count, word) {
+  return `${count} ${word}${count !== 1 ? 's' : ''}`;
+}
+
+function itemDetails(table, item) {
+  const details = [];
+  if (item.project_name && table !== 'projects') details.push(`in ${item.project_name}`);
+  if (item.task_count) details.push(table === 'tags' ? `on ${plural(item.task_count, 'task')}` : plural(item.task_count, 'task'));
+  if (item.subtask_count) details.push(plural(item.subtask_count, 'subtask'));
+  details.push(`deleted ${new Date(item.deleted_at).toLocaleString()}`);
+  details.push(item.synced ? `purged after ${new Date(item.expires_at).toLocaleDateString()}` : 'deletion not synced yet');
+  return details.join(' · ');
+}
+
+async function listTrash(options) {
+  const trash = await getTrash();
+
+  if (options.json) {
+    console.log(JSON.stringify(trash, null, 2));
+    return;
+  }
+
+  const total = TRASH_TYPES.reduce((count, { table }) => count + trash[table].length, 0);
+  if (total === 0) {
+    console.log(chalk.green('✓ The trash is empty'));
+    console.log(chalk.dim(`  Deleted items are kept for ${plural(trash.retentionDays, 'day')}.`));
+    return;
+  }
+
+  console.log(chalk.bold(`\n🗑️  ${plural(total, 'item')} in the trash (kept for ${plural(trash.retentionDays, 'day')}):`));
+  for (const { table, label } of TRASH_TYPES) {
+    if (trash[table].length === 0) continue;
+    console.log(chalk.bold(`\n${label}`));
+    for (const item of trash[table]) {
+      console.log(`  ${chalk.cyan(`#${item.id}`.padEnd(6))}${item.name || item.title}`);
+      console.log(chalk.dim(`        ${itemDetails(table, item)}`));
+    }
+  }
+  console.log(chalk.dim('\nRestore with: prod trash restore <project|section|task|tag> <id>'));
+}
+
+async function restoreItem(type, id) {
+  const trashType = TRASH_TYPES.find(entry => entry.type === type || entry.table === type);
+  const itemId = parseInt(id, 10);
+  if (!trashType || !(itemId > 0)) {
+    console.error(chalk.red('❌ Usage: prod trash restore <project|section|task|tag> <id>'));
+    process.exit(1);
+  }
+
+  const restored = await restoreTrashItem(trashType.table, itemId);
+  const counts = TRASH_TYPES
+    .filter(({ table }) => restored[table].length > 0)
+    .map(({ table, type: name }) => plural(restored[table].length, name));
+  console.log(chalk.green(`✓ Restored ${counts.join(', ')}`));
+  console.log(chalk.dim('  Run `prod sync --push` to send it to your other devices.'));
+}
+
+async function purge(options) {
+  const purged = await purgeTrash({ all: !!options.all });
+  const counts = TRASH_TYPES
+    .filter(({ table }) => purged[table] > 0)
+    .map(({ table, type }) => plural(purged[table], type));
+
+  if (counts.length === 0) {
+    console.log(chalk.dim(options.all ? 'Nothing to purge.' : 'Nothing in the trash has expired.'));
+  } else {
+    console.log(chalk.green(`✓ Purged ${counts.join(', ')}`));
+  }
+  if (purged.waiting > 0) {
+    console.log(chalk.yellow(`  ${plural(purged.waiting, 'expired item')} kept until the deletion is pushed (prod sync --push).`));
+  }
+}
+
+async function retention(days) {
+  if (days === undefined) {
+    console.log(`Deleted items are kept for ${plural(await getTrashRetention(), 'day')}.`);
+    return;
+  }
+  const value = parseInt(days, 10);
+  if (!(value > 0) || String(value) !== String(days)) {
+    console.error(chalk.red(`❌ Invalid number of days "${days}"`));
+    process.exit(1);
+  }
+  await setTrashRetention(value);
+  console.log(chalk.green(`✓ Deleted items are now kept for ${plural(value, 'day')}`));
+}
+
+async function trashCommand(action, type, id, options) {
+  try {
+    switch (action || 'list') {
+      case 'list':
+      case 'ls':
+        await listTrash(options);
+        break;
+      case 'restore':
+        await restoreItem(type, id);
+        break;
+      case 'purge':
+        await purge(options);
+        break;
+      case 'retention':
+        await retention(type);
+        break;
+      default:
+        console.error(chalk.red(`❌ Unknown action "${action}". Use "list", "restore", "purge" or "retention".`));
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Error handling the trash:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = trashCommand;
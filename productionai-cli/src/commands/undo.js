@@ -0,0 +1,52 @@
+const chalk = require('chalk');
+const { redoLastChange, undoLastChange } = require('../repositories/task-history');
+
+// Names of skipped fields as the user knows them
+const FIELD_LABELS = {
+  task: 'the task is gone or deleted',
+  deleted_at: 'already in that state',
+  description: 'blocks',
+  project_id: 'project',
+  section_id: 'section',
+  parent_id: 'parent',
+  due_at: 'due date',
+  start_at: 'start date',
+  sort_key: 'position'
+};
+
+async function undoCommand(taskId, options = {}) {
+  const redo = Boolean(options.redo);
+  let id = null;
+  if (taskId !== undefined) {
+    id = parseInt(taskId, 10);
+    if (!(id > 0)) {
+      console.error(chalk.red(`❌ Invalid task id "${taskId}"`));
+      process.exit(1);
+    }
+  }
+
+  try {
+    const result = redo ? await redoLastChange(id) : await undoLastChange(id);
+    if (!result) {
+      console.log(chalk.dim(`Nothing to ${redo ? 'redo' : 'undo'}${id ? ` for task #${id}` : ''}.`));
+      return;
+    }
+
+    console.log(chalk.green(`${redo ? '↪️  Redone' : '↩️  Undone'}:`));
+    for (const entry of result.entries) {
+      const title = entry.title ? ` ${entry.title}` : '';
+      const lines = entry.lines.length > 0 ? entry.lines.join(', ') : chalk.dim('no change');
+      console.log(`  ${chalk.cyan(`#${entry.task_id}`)}${title}: ${lines}`);
+      if (entry.skipped.length > 0) {
+        const skipped = entry.skipped.map(field => FIELD_LABELS[field] || field).join(', ');
+        console.log(chalk.yellow(`    ⚠️  Left as it is (changed since): ${skipped}`));
+      }
+    }
+    console.log(chalk.dim(`  ${redo ? '`prod undo`' : '`prod redo`'} reverses this.`));
+  } catch (error) {
+    console.error(chalk.red(`❌ Error during ${redo ? 'redo' : 'undo'}:`), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = undoCommand;
@@ -0,0 +1,47 @@
+const chalk = require('chalk');
+const { getUpcomingTasks } = require('../repositories/tasks');
+const { formatDayLabel, groupTasksByDueDate } = require('../../../lib/date-utils');
+
+async function upcomingCommand(options) {
+  try {
+    const days = options.days ? parseInt(options.days, 10) : 14;
+    if (!Number.isInteger(days) || days < 1) {
+      console.error(chalk.red('❌ --days must be a positive number.'));
+      process.exit(1);
+    }
+
+    const tasks = await getUpcomingTasks(days);
+
+    if (options.json) {
+      console.log(JSON.stringify(groupTasksByDueDate(tasks), null, 2));
+      return;
+    }
+
+    if (tasks.length === 0) {
+      console.log(chalk.dim(`Nothing due in the next ${days} days.`));
+      return;
+    }
+
+    console.log(chalk.bold(`\n📅 Upcoming - next ${days} days (${tasks.length}):\n`));
+
+    for (const group of groupTasksByDueDate(tasks)) {
+      console.log(chalk.magenta.bold(`${formatDayLabel(group.date)}`) + chalk.dim(` (${group.tasks.length})`));
+      console.log(chalk.dim('─'.repeat(60)));
+
+      for (const task of group.tasks) {
+        const id = chalk.cyan(`#${task.id}`.padEnd(6));
+        const project = chalk.yellow(`[${(task.project_name || 'Unknown').slice(0, 18)}]`.padEnd(20));
+        const repeat = task.recurrence ? chalk.dim(' 🔁') : '';
+        console.log(`${id}${project}${task.title}${repeat}`);
+      }
+
+      console.log('');
+    }
+
+  } catch (error) {
+    console.error(chalk.red('❌ Error listing upcoming tasks:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = upcomingCommand;
@@ -1,6 +1,6 @@
 const chalk = require('chalk');
 const { getTaskById } = require('../repositories/tasks');
-const { descriptionToBlocks } = require('../lib/blocks');
+const { descriptionToBlocks } = require('../../../lib/blocks-utils');
 
 /**
  * Render blocks as a tree with ASCII structure
@@ -45,6 +45,15 @@ async function viewCommand(taskId, options) {
     console.log('');
     console.log(chalk.bold.cyan(`Task #${task.id}: ${task.title}`));
     console.log(chalk.dim(`Project: ${task.project_name || 'Unknown'}`));
+    if (task.start_at) {
+      console.log(chalk.dim(`Starts: ${new Date(task.start_at).toLocaleString()}`));
+    }
+    if (task.due_at) {
+      console.log(chalk.dim(`Due: ${new Date(task.due_at).toLocaleString()}`));
+    }
+    if (task.recurrence) {
+      console.log(chalk.dim(`Repeats: ${task.recurrence}`));
+    }
     console.log(chalk.dim('─'.repeat(60)));
     console.log('');
     
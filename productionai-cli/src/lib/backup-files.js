@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DB_PATH, getDb } = require('../adapters/db');
+const { descriptionToSearchText } = require('../../../lib/search-utils');
+const {
+  BACKUP_INTERVAL_SETTING,
+  BACKUP_KEEP_SETTING,
+  DEFAULT_BACKUP_INTERVAL,
+  backupFileDate,
+  backupFileName,
+  backupsToRotate,
+  createBackup,
+  isBackupDue,
+  parseBackupKeep,
+  restoreBackup,
+  verifyBackup
+} = require('../../../lib/backup');
+
+// Next to the database, like the app keeps its backups in its documents directory
+const BACKUP_DIR = path.join(path.dirname(DB_PATH), 'backups');
+
+// The format lives in lib/backup.js (shared with the app); these are the CLI's helpers
+const helpers = {
+  sha256Hex: text => crypto.createHash('sha256').update(text, 'utf8').digest('hex'),
+  descriptionToSearchText
+};
+
+async function getLocalSetting(key) {
+  const row = await getDb().getFirstAsync('SELECT value FROM settings WHERE key = ? AND deleted_at IS NULL', [key]);
+  return row ? row.value : null;
+}
+
+// Only for local_ settings, which are never synced
+async function saveLocalSetting(key, value) {
+  await getDb().runAsync(
+    `INSERT INTO settings (key, value, updated_at) VALUES (?, ?, ?)
+     ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at, deleted_at = NULL`,
+    [key, String(value), new Date().toISOString()]
+  );
+}
+
+/**
+ * Scheduled backup settings of this device
+ * @returns {Promise<{ interval: string, keep: number }>}
+ */
+async function getBackupSchedule() {
+  return {
+    interval: (await getLocalSetting(BACKUP_INTERVAL_SETTING)) || DEFAULT_BACKUP_INTERVAL,
+    keep: parseBackupKeep(await getLocalSetting(BACKUP_KEEP_SETTING))
+  };
+}
+
+/**
+ * Change the scheduled backup settings
+ * @param {string} interval - off, daily or weekly
+ * @param {number} [keep] - Backups kept in the backup directory
+ */
+async function setBackupSchedule(interval, keep) {
+  await saveLocalSetting(BACKUP_INTERVAL_SETTING, interval);
+  if (keep !== undefined) {
+    await saveLocalSetting(BACKUP_KEEP_SETTING, keep);
+  }
+}
+
+/**
+ * Backups in the backup directory, newest first
+ * @returns {Array<{ fileName: string, path: string, createdAt: Date, size: number }>}
+ */
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(fileName => backupFileDate(fileName))
+    .sort()
+    .reverse()
+    .map(fileName => {
+      const filePath = path.join(BACKUP_DIR, fileName);
+      return { fileName, path: filePath, createdAt: backupFileDate(fileName), size: fs.statSync(filePath).size };
+    });
+}
+
+/**
+ * Delete all but the newest `keep` backups in the backup directory
+ * @returns {string[]} Deleted file names
+ */
+function rotateBackups(keep) {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  const deleted = backupsToRotate(fs.readdirSync(BACKUP_DIR), keep);
+  for (const fileName of deleted) {
+    fs.unlinkSync(path.join(BACKUP_DIR, fileName));
+  }
+  return deleted;
+}
+
+/**
+ * Write a backup of the whole database
+ * @param {string} [outputPath] - File to write; defaults to a new file in the backup directory
+ * @returns {Promise<{ path: string, backup: Object }>}
+ */
+async function writeBackup(outputPath) {
+  const backup = await createBackup(getDb(), helpers, { source: 'cli' });
+  const filePath = outputPath || path.join(BACKUP_DIR, backupFileName(new Date(backup.created_at)));
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  // Written next to the target first, so a crash never leaves half a backup under the final name
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(backup));
+  fs.renameSync(tempPath, filePath);
+  return { path: filePath, backup };
+}
+
+/**
+ * Make a backup if the schedule says one is due, then rotate old ones
+ * For cron jobs and `prod sync --watch`.
+ * @returns {Promise<{ created: string|null, deleted: string[] }>} Path of the new backup (null when none was due)
+ */
+async function runScheduledBackup() {
+  const { interval, keep } = await getBackupSchedule();
+  const [newest] = listBackups();
+  if (!isBackupDue(interval, newest ? newest.createdAt : null)) {
+    return { created: null, deleted: [] };
+  }
+  const { path: created } = await writeBackup();
+  return { created, deleted: rotateBackups(keep) };
+}
+
+function readBackupFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Can't read ${filePath}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${filePath} is not valid JSON`);
+  }
+}
+
+/**
+ * Check a backup file's checksums and references
+ */
+function verifyBackupFile(filePath) {
+  return verifyBackup(readBackupFile(filePath), helpers);
+}
+
+/**
+ * Restore a backup file (see restoreBackup in lib/backup.js)
+ * @param {string} filePath
+ * @param {Object} [options] - { mode: 'replace'|'merge', dryRun }
+ */
+async function restoreBackupFile(filePath, options = {}) {
+  return await restoreBackup(getDb(), readBackupFile(filePath), helpers, options);
+}
+
+module.exports = {
+  BACKUP_DIR,
+  getBackupSchedule,
+  setBackupSchedule,
+  listBackups,
+  rotateBackups,
+  writeBackup,
+  runScheduledBackup,
+  verifyBackupFile,
+  restoreBackupFile
+};
@@ -0,0 +1,70 @@
+const { createSyncServerClient } = require('../../../../lib/sync-server-client');
+const { encryptSyncQuery } = require('./e2e');
+require('dotenv').config({ quiet: true });
+
+// Sync goes to the self-hosted server when SYNC_SERVER_URL is set, to Supabase otherwise
+// (see src/server/sync-server.js and `prod sync-server`)
+const serverUrl = process.env.SYNC_SERVER_URL || null;
+const serverToken = process.env.SYNC_SERVER_TOKEN || null;
+
+let backend = null;
+
+/**
+ * Name of the configured backend
+ * @returns {'server'|'supabase'}
+ */
+function getSyncBackendName() {
+  return serverUrl ? 'server' : 'supabase';
+}
+
+/**
+ * Whether sync can run (a server URL, or Supabase credentials)
+ */
+function isSyncBackendConfigured() {
+  return serverUrl ? true : require('../supabase').isSupabaseConfigured();
+}
+
+/**
+ * The configured backend: a Supabase client or a sync server client
+ * Both answer the same from(table) queries. Supabase is only loaded when used.
+ */
+function getSyncBackend() {
+  if (!backend) {
+    backend = serverUrl
+      ? createSyncServerClient({ url: serverUrl, token: serverToken })
+      : require('../supabase').supabase;
+  }
+  return backend;
+}
+
+/**
+ * Where sync goes, for messages
+ */
+function describeSyncBackend() {
+  return serverUrl ? `sync server ${serverUrl}` : 'Supabase';
+}
+
+/**
+ * Identifies the configured backend, so pull cursors from another backend are not reused
+ * @returns {string} 'supabase' or 'server:<url>'
+ */
+function getSyncBackendId() {
+  return serverUrl ? `server:${serverUrl.replace(/\/+$/, '')}` : 'supabase';
+}
+
+// What the push and pull code queries, whichever backend is configured
+// (task and tag content is encrypted here when end-to-end encryption is on, see e2e.js)
+const syncBackend = {
+  from(table) {
+    return encryptSyncQuery(getSyncBackend().from(table), table);
+  },
+};
+
+module.exports = {
+  syncBackend,
+  getSyncBackend,
+  getSyncBackendName,
+  getSyncBackendId,
+  isSyncBackendConfigured,
+  describeSyncBackend,
+};
@@ -0,0 +1,101 @@
+const { syncBackend } = require('./backend');
+const { stripBlockIds } = require('../../../../lib/blocks-utils');
+const { recordSyncConflict } = require('../../repositories/sync-conflicts');
+
+// Task fields compared to decide whether two versions really differ
+const TASK_FIELDS = [
+  'project_id', 'section_id', 'parent_id', 'title', 'description', 'completed',
+  'is_expanded', 'due_at', 'start_at', 'recurrence', 'deleted_at'
+];
+
+/**
+ * Whether two versions of a task differ in content
+ * Ignores block IDs, timestamps and sync bookkeeping; compares tags when both carry them.
+ */
+function taskVersionsDiffer(a, b) {
+  const normalize = (field, value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (field === 'description') return stripBlockIds(value);
+    if (field.endsWith('_at') && !Number.isNaN(Date.parse(value))) return Date.parse(value);
+    return value;
+  };
+
+  const fieldDiffers = TASK_FIELDS.some(field => normalize(field, a[field]) !== normalize(field, b[field]));
+  const tagsDiffer = Array.isArray(a.tags) && Array.isArray(b.tags)
+    && [...a.tags].sort().join('\n') !== [...b.tags].sort().join('\n');
+
+  return fieldDiffers || tagsDiffer;
+}
+
+async function getLocalTagNames(db, taskId) {
+  const rows = await db.getAllAsync(
+    'SELECT t.name FROM tags t INNER JOIN task_tags tt ON t.id = tt.tag_id WHERE tt.task_id = ? ORDER BY t.name',
+    [taskId]
+  );
+  return rows.map(row => row.name);
+}
+
+/**
+ * Tag names of a remote task (null if they couldn't be fetched)
+ */
+async function getRemoteTagNames(taskId) {
+  const { data: links, error } = await syncBackend
+    .from('task_tags')
+    .select('tag_id')
+    .eq('task_id', taskId);
+  if (error) return null;
+  if (!links || links.length === 0) return [];
+
+  const { data: tags, error: tagError } = await syncBackend
+    .from('tags')
+    .select('name')
+    .in('id', links.map(link => link.tag_id));
+  if (tagError) return null;
+  return (tags || []).map(tag => tag.name).sort();
+}
+
+/**
+ * Save both versions of a task that collided during sync in sync_conflicts
+ * Nothing is saved when they have the same content and no blocks conflict.
+ * @param {Object} db - Database adapter
+ * @param {Object} localTask - Local row as it was before sync touched it
+ * @param {Object} remoteTask - Remote row
+ * @param {Object} [options]
+ * @param {Array} [options.blockConflicts] - Blocks edited on both sides (see lib/block-merge.js)
+ * @param {boolean} [options.ignoreDescription] - Descriptions were already merged block by block
+ * @returns {Promise<boolean>} Whether a conflict was saved
+ */
+async function keepTaskConflict(db, localTask, remoteTask, { blockConflicts = [], ignoreDescription = false } = {}) {
+  try {
+    const localData = { ...localTask, tags: await getLocalTagNames(db, localTask.id) };
+    const remoteData = { ...remoteTask, tags: await getRemoteTagNames(localTask.id) };
+
+    const compared = ignoreDescription
+      ? [{ ...localData, description: null }, { ...remoteData, description: null }]
+      : [localData, remoteData];
+    if (blockConflicts.length === 0 && !taskVersionsDiffer(...compared)) {
+      return false;
+    }
+
+    await recordSyncConflict({
+      tableName: 'tasks',
+      recordId: localTask.id,
+      localData,
+      remoteData,
+      baseData: localTask.synced_description !== null && localTask.synced_description !== undefined
+        ? { description: localTask.synced_description }
+        : null,
+      blockConflicts
+    });
+    console.log(`  ⚠️  Kept both versions of "${localTask.title}" (see \`prod conflicts\`)`);
+    return true;
+  } catch (err) {
+    console.log(`  ⚠️  Could not save sync conflict for "${localTask.title}":`, err.message);
+    return false;
+  }
+}
+
+module.exports = {
+  keepTaskConflict
+};
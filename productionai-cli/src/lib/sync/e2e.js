@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const {
+  E2E_CONFIG_SETTING,
+  LOCAL_E2E_KEYS_SETTING,
+  ENCRYPTED_FIELDS,
+  createE2ECrypto,
+  encryptQuery,
+  parseE2EConfig,
+  parseKeyRing,
+  serializeKeyRing
+} = require('../../../../lib/e2e-crypto');
+const { getDb } = require('../../adapters/db');
+const { enqueueMutation, enqueueMutations } = require('../../repositories/outbox');
+const { LOCAL_SETTING_PREFIX } = require('./sync-tables');
+
+const GCM_TAG_BYTES = 16;
+
+// The format lives in lib/e2e-crypto.js (shared with the app); these are Node's primitives
+const e2e = createE2ECrypto({
+  scrypt: (password, salt, { N, r, p, dkLen }) => new Promise((resolve, reject) => {
+    // N=2^15, r=8 needs 32 MB, above Node's default limit
+    crypto.scrypt(password, salt, dkLen, { N, r, p, maxmem: 64 * 1024 * 1024 }, (error, key) => {
+      if (error) reject(error);
+      else resolve(new Uint8Array(key));
+    });
+  }),
+  encrypt: (key, nonce, plaintext, aad) => {
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+    cipher.setAAD(aad);
+    return new Uint8Array(Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]));
+  },
+  decrypt: (key, nonce, sealed, aad) => {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, nonce);
+    decipher.setAAD(aad);
+    decipher.setAuthTag(sealed.subarray(sealed.length - GCM_TAG_BYTES));
+    return new Uint8Array(Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - GCM_TAG_BYTES)), decipher.final()]));
+  },
+  hmacSha256: (key, data) => new Uint8Array(crypto.createHmac('sha256', key).update(data).digest()),
+  randomBytes: length => new Uint8Array(crypto.randomBytes(length))
+});
+
+// Keys used by sync: { keyId, keyRing }, or null when encryption is off
+let syncKeys = null;
+
+async function getSettingValue(key) {
+  const row = await getDb().getFirstAsync(
+    'SELECT value FROM settings WHERE key = ? AND deleted_at IS NULL',
+    [key]
+  );
+  return row ? row.value : null;
+}
+
+/**
+ * Save a setting; synced ones (no local_ prefix) are queued for push
+ */
+async function saveSettingValue(key, value) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  if (value === null) {
+    await db.runAsync(`UPDATE settings SET deleted_at = ?, updated_at = ? WHERE key = ?`, [now, now, key]);
+    return;
+  }
+  await db.runAsync(
+    `INSERT INTO settings (key, value, updated_at, sync_status) VALUES (?, ?, ?, 'pending')
+     ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at, sync_status = 'pending', deleted_at = NULL`,
+    [key, value, now]
+  );
+  if (!key.startsWith(LOCAL_SETTING_PREFIX)) {
+    await enqueueMutation('settings', key);
+  }
+}
+
+async function readState() {
+  const config = parseE2EConfig(await getSettingValue(E2E_CONFIG_SETTING));
+  const keyRing = parseKeyRing(await getSettingValue(LOCAL_E2E_KEYS_SETTING));
+  return { config, keyRing };
+}
+
+async function saveKeyRing(keyRing) {
+  await saveSettingValue(LOCAL_E2E_KEYS_SETTING, serializeKeyRing(keyRing));
+}
+
+/**
+ * Mark every encrypted table's rows for push, so they go out (again) under the current key
+ * updated_at is kept. The CLI pushes without comparing versions, so `prod crypto`
+ * pulls before calling setup or rotate.
+ */
+async function queueReencryption() {
+  const db = getDb();
+  for (const table of Object.keys(ENCRYPTED_FIELDS)) {
+    await db.runAsync(`UPDATE ${table} SET sync_status = 'pending' WHERE deleted_at IS NULL`);
+    await enqueueMutations(table, 'deleted_at IS NULL', []);
+  }
+}
+
+/**
+ * Load the encryption keys for sync (before pushing or pulling)
+ */
+async function loadE2EKeys() {
+  const { config, keyRing } = await readState();
+  syncKeys = config ? { keyId: config.keyId, keyRing } : null;
+}
+
+/**
+ * Encryption state of this device
+ * @returns {Promise<{ status: 'off'|'locked'|'unlocked', keyId: string|null, keyCount: number }>}
+ *   locked: encryption is on, but this device doesn't have the current key
+ */
+async function getE2EStatus() {
+  const { config, keyRing } = await readState();
+  let status = 'off';
+  if (config) {
+    status = keyRing[config.keyId] ? 'unlocked' : 'locked';
+  }
+  return { status, keyId: config?.keyId || null, keyCount: Object.keys(keyRing).length };
+}
+
+/**
+ * Turn encryption on with a new passphrase (existing tasks and tags are pushed again, encrypted)
+ * @returns {Promise<string>} Key id
+ */
+async function setupE2E(passphrase) {
+  const { config: existing, keyRing } = await readState();
+  if (existing) {
+    throw new Error('Encryption is already set up. Run `prod crypto unlock` to enter its passphrase.');
+  }
+  const { config, key } = await e2e.createKey(passphrase);
+  await saveKeyRing({ ...keyRing, [config.keyId]: key });
+  await saveSettingValue(E2E_CONFIG_SETTING, JSON.stringify(config));
+  await queueReencryption();
+  return config.keyId;
+}
+
+/**
+ * Enter the passphrase set up on another device
+ * @returns {Promise<boolean>} false when the passphrase is wrong
+ */
+async function unlockE2E(passphrase) {
+  const { config, keyRing } = await readState();
+  if (!config) {
+    throw new Error('Encryption is not set up. Run `prod sync --pull` first if it was set up on another device.');
+  }
+  const key = await e2e.unlockKey(passphrase, config);
+  if (!key) return false;
+  await saveKeyRing({ ...keyRing, [config.keyId]: key });
+  return true;
+}
+
+/**
+ * Replace the passphrase with a new one (new key); tasks and tags are pushed again under it
+ * Older keys stay on this device; other devices need the new passphrase.
+ * @returns {Promise<string>} New key id
+ */
+async function rotateE2E(newPassphrase) {
+  const { config: current, keyRing } = await readState();
+  if (!current) {
+    throw new Error('Encryption is not set up. Run `prod crypto setup`.');
+  }
+  if (!keyRing[current.keyId]) {
+    throw new Error('Run `prod crypto unlock` before changing the passphrase.');
+  }
+  const { config, key } = await e2e.createKey(newPassphrase);
+  await saveKeyRing({ ...keyRing, [config.keyId]: key });
+  await saveSettingValue(E2E_CONFIG_SETTING, JSON.stringify(config));
+  await queueReencryption();
+  return config.keyId;
+}
+
+/**
+ * Remove the keys from this device (it stays locked until the passphrase is entered again)
+ */
+async function forgetE2EKeys() {
+  await saveSettingValue(LOCAL_E2E_KEYS_SETTING, null);
+  await loadE2EKeys();
+}
+
+/**
+ * Encrypt and decrypt a sync backend query with the loaded keys
+ */
+function encryptSyncQuery(query, table) {
+  return encryptQuery(query, table, e2e, syncKeys);
+}
+
+module.exports = {
+  loadE2EKeys,
+  getE2EStatus,
+  setupE2E,
+  unlockE2E,
+  rotateE2E,
+  forgetE2EKeys,
+  encryptSyncQuery
+};
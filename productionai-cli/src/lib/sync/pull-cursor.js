@@ -0,0 +1,160 @@
+const { getSyncBackendId, syncBackend } = require('./backend');
+const { getDb } = require('../../adapters/db');
+
+// Rows fetched per query
+const PULL_PAGE_SIZE = 500;
+
+// Server-assigned change number: a sequence in Supabase (see SYNC_GUIDE.md), a counter in
+// `prod sync-server`. Unlike updated_at it never depends on a device clock.
+const PULL_CURSOR_COLUMN = 'sync_seq';
+
+const EPOCH = '1970-01-01T00:00:00.000Z';
+
+let warnedNoCursorColumn = false;
+
+// Postgres "undefined_column": the Supabase project hasn't added sync_seq yet
+function isMissingCursorColumn(error) {
+  return error?.code === '42703' || (error?.message || '').includes(PULL_CURSOR_COLUMN);
+}
+
+/**
+ * Where the last pull of a table stopped (same table as the app: sync_metadata)
+ * A cursor saved for another backend doesn't apply, so switching backends pulls everything once.
+ * @returns {Promise<{ kind: string, value: number|string }|null>} null when the table was never pulled
+ */
+async function getPullCursor(tableName) {
+  const row = await getDb().getFirstAsync(
+    'SELECT backend, cursor_kind, pull_cursor FROM sync_metadata WHERE table_name = ?',
+    [tableName]
+  );
+  if (!row || row.backend !== getSyncBackendId()) return null;
+  return {
+    kind: row.cursor_kind,
+    value: row.cursor_kind === PULL_CURSOR_COLUMN ? Number(row.pull_cursor) : row.pull_cursor
+  };
+}
+
+/**
+ * Remember where a pull stopped
+ * @param {'sync_seq'|'updated_at'} kind
+ */
+async function savePullCursor(tableName, kind, value) {
+  await getDb().runAsync(
+    `INSERT OR REPLACE INTO sync_metadata (table_name, backend, cursor_kind, pull_cursor, pulled_at)
+     VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [tableName, getSyncBackendId(), kind, String(value)]
+  );
+}
+
+/**
+ * Pull the rows of a table changed since its cursor, a page at a time
+ * The cursor is saved after each page, so an interrupted pull resumes where it stopped.
+ * @param {string} tableName
+ * @param {Function} applyPage - async (rows) => void, writes one page locally
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Start from the first row, ignoring the saved cursor (sync-full)
+ * @returns {Promise<number>} Rows fetched
+ */
+async function pullChanges(tableName, applyPage, { full = false } = {}) {
+  const saved = full ? null : await getPullCursor(tableName);
+  let after = saved?.kind === PULL_CURSOR_COLUMN ? saved.value : 0;
+  let count = 0;
+
+  for (;;) {
+    const { data, error } = await syncBackend
+      .from(tableName)
+      .select('*')
+      .gt(PULL_CURSOR_COLUMN, after)
+      .order(PULL_CURSOR_COLUMN, { ascending: true })
+      .limit(PULL_PAGE_SIZE);
+
+    if (error) {
+      if (count === 0 && isMissingCursorColumn(error)) {
+        return await pullChangesByTimestamp(tableName, saved, applyPage);
+      }
+      throw error;
+    }
+
+    const rows = data || [];
+    if (rows.length === 0) break;
+
+    await applyPage(rows);
+    count += rows.length;
+    after = rows[rows.length - 1][PULL_CURSOR_COLUMN];
+    await savePullCursor(tableName, PULL_CURSOR_COLUMN, after);
+
+    if (rows.length < PULL_PAGE_SIZE) break;
+  }
+
+  return count;
+}
+
+// Fallback for Supabase projects without sync_seq: one query on the remote updated_at.
+// Not paged, since rows sharing a timestamp could fall between pages.
+async function pullChangesByTimestamp(tableName, saved, applyPage) {
+  if (!warnedNoCursorColumn) {
+    console.log(`  ⚠️  Supabase tables have no ${PULL_CURSOR_COLUMN} column, pulling by updated_at (see SYNC_GUIDE.md)`);
+    warnedNoCursorColumn = true;
+  }
+  const after = saved?.kind === 'updated_at' ? saved.value : EPOCH;
+
+  const { data, error } = await syncBackend
+    .from(tableName)
+    .select('*')
+    .gt('updated_at', after)
+    .order('updated_at', { ascending: true });
+
+  if (error) throw error;
+
+  const rows = data || [];
+  if (rows.length === 0) return 0;
+
+  await applyPage(rows);
+  // The remote clock, not this machine's, so local edits can't move the cursor
+  await savePullCursor(tableName, 'updated_at', rows[rows.length - 1].updated_at);
+  return rows.length;
+}
+
+/**
+ * Fetch every row of a table, a page at a time
+ * For the relationship tables, which are replaced as a whole rather than pulled by cursor.
+ * @returns {Promise<Object[]>}
+ */
+async function fetchAllRows(tableName) {
+  const rows = [];
+  let after = 0;
+
+  for (;;) {
+    const { data, error } = await syncBackend
+      .from(tableName)
+      .select('*')
+      .gt(PULL_CURSOR_COLUMN, after)
+      .order(PULL_CURSOR_COLUMN, { ascending: true })
+      .limit(PULL_PAGE_SIZE);
+
+    if (error) {
+      if (rows.length === 0 && isMissingCursorColumn(error)) {
+        const fallback = await syncBackend.from(tableName).select('*');
+        if (fallback.error) throw fallback.error;
+        return fallback.data || [];
+      }
+      throw error;
+    }
+
+    const page = data || [];
+    rows.push(...page);
+    if (page.length < PULL_PAGE_SIZE) break;
+    after = page[page.length - 1][PULL_CURSOR_COLUMN];
+  }
+
+  return rows;
+}
+
+module.exports = {
+  PULL_PAGE_SIZE,
+  PULL_CURSOR_COLUMN,
+  getPullCursor,
+  savePullCursor,
+  pullChanges,
+  fetchAllRows
+};
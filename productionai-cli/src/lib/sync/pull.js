@@ -1,54 +1,35 @@
-const { supabase, isSupabaseConfigured } = require('../supabase');
+const { describeSyncBackend, isSyncBackendConfigured } = require('./backend');
 const { getDb } = require('../../adapters/db');
-
-/**
- * Get the last updated_at timestamp for a table in local database
- */
-async function getLastSyncTime(tableName) {
-  const db = getDb();
-  try {
-    const result = await db.getFirstAsync(
-      `SELECT MAX(updated_at) as last_updated FROM ${tableName}`
-    );
-    return result?.last_updated || '1970-01-01T00:00:00.000Z';
-  } catch (error) {
-    return '1970-01-01T00:00:00.000Z';
-  }
-}
+const { indexTask, removeTasksFromIndex } = require('../../repositories/search');
+const { mergeDescriptions } = require('../../../../lib/block-merge');
+const { LOCAL_SETTING_PREFIX } = require('./sync-tables');
+const { keepTaskConflict } = require('./conflicts');
+const { loadE2EKeys } = require('./e2e');
+const { fetchAllRows, pullChanges } = require('./pull-cursor');
 
 /**
  * Pull projects from Supabase to local database
  */
 async function pullProjects() {
   const db = getDb();
-  const lastUpdatedAt = await getLastSyncTime('projects');
-  
-  const { data, error } = await supabase
-    .from('projects')
-    .select('*')
-    .gt('updated_at', lastUpdatedAt)
-    .order('updated_at', { ascending: true });
 
-  if (error) throw error;
-
-  if (data && data.length > 0) {
-    for (const project of data) {
+  return await pullChanges('projects', async (rows) => {
+    for (const project of rows) {
       await db.runAsync(
-        `INSERT OR REPLACE INTO projects (id, name, default_section_id, updated_at, sync_status, deleted_at)
-         VALUES (?, ?, ?, ?, ?, ?)`,
+        `INSERT OR REPLACE INTO projects (id, name, default_section_id, sort_key, updated_at, sync_status, deleted_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
         [
           project.id,
           project.name,
           project.default_section_id || null,
+          project.sort_key || null,
           project.updated_at,
           'synced',
           project.deleted_at || null
         ]
       );
     }
-  }
-
-  return data?.length || 0;
+  });
 }
 
 /**
@@ -56,19 +37,9 @@ async function pullProjects() {
  */
 async function pullSections() {
   const db = getDb();
-  const lastUpdatedAt = await getLastSyncTime('sections');
-  
-  const { data, error } = await supabase
-    .from('sections')
-    .select('*')
-    .gt('updated_at', lastUpdatedAt)
-    .order('updated_at', { ascending: true });
-
-  if (error) throw error;
-
   let synced = 0;
-  if (data && data.length > 0) {
-    for (const section of data) {
+  await pullChanges('sections', async (rows) => {
+    for (const section of rows) {
       try {
         // Check if parent project exists
         const projectExists = await db.getFirstAsync(
@@ -82,12 +53,13 @@ async function pullSections() {
         }
 
         await db.runAsync(
-          `INSERT OR REPLACE INTO sections (id, project_id, name, updated_at, sync_status, deleted_at)
-           VALUES (?, ?, ?, ?, ?, ?)`,
+          `INSERT OR REPLACE INTO sections (id, project_id, name, sort_key, updated_at, sync_status, deleted_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
           [
             section.id,
             section.project_id,
             section.name,
+            section.sort_key || null,
             section.updated_at,
             'synced',
             section.deleted_at || null
@@ -98,7 +70,7 @@ async function pullSections() {
         console.log(`  ⚠️  Error syncing section "${section.name}":`, err.message);
       }
     }
-  }
+  });
 
   return synced;
 }
@@ -108,21 +80,12 @@ async function pullSections() {
  */
 async function pullTags() {
   const db = getDb();
-  const lastUpdatedAt = await getLastSyncTime('tags');
-  
-  const { data, error } = await supabase
-    .from('tags')
-    .select('*')
-    .gt('updated_at', lastUpdatedAt)
-    .order('updated_at', { ascending: true });
-
-  if (error) throw error;
 
-  if (data && data.length > 0) {
-    for (const tag of data) {
+  return await pullChanges('tags', async (rows) => {
+    for (const tag of rows) {
       await db.runAsync(
         `INSERT OR REPLACE INTO tags (id, name, created_at, updated_at, sync_status, deleted_at)
-         VALUES (?, ?, ?, ?, ?, ?)`,
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
         [
           tag.id,
           tag.name,
@@ -133,9 +96,19 @@ async function pullTags() {
         ]
       );
     }
-  }
+  });
+}
 
-  return data?.length || 0;
+/**
+ * Whether a local task has unsynced block edits that pulling the remote version would drop
+ * @param {Object|null} local - Local row (description, synced_description, sync_status)
+ * @param {string|null} remoteDescription - Description being pulled
+ */
+function hasLocalBlockEdits(local, remoteDescription) {
+  if (!local || local.sync_status !== 'pending') return false;
+  if (local.synced_description === null || local.synced_description === undefined) return false;
+  const localDescription = local.description || '';
+  return localDescription !== (local.synced_description || '') && localDescription !== (remoteDescription || '');
 }
 
 /**
@@ -143,22 +116,12 @@ async function pullTags() {
  */
 async function pullTasks() {
   const db = getDb();
-  const lastUpdatedAt = await getLastSyncTime('tasks');
-  
-  const { data, error } = await supabase
-    .from('tasks')
-    .select('*')
-    .gt('updated_at', lastUpdatedAt)
-    .order('updated_at', { ascending: true });
-
-  if (error) throw error;
-
   let synced = 0;
-  if (data && data.length > 0) {
-    // Sort by ID to ensure parents are inserted before children
-    data.sort((a, b) => a.id - b.id);
+  await pullChanges('tasks', async (rows) => {
+    // Sort each page by ID so parents are inserted before children
+    rows.sort((a, b) => a.id - b.id);
     
-    for (const task of data) {
+    for (const task of rows) {
       try {
         // Check if parent project exists
         const projectExists = await db.getFirstAsync(
@@ -171,29 +134,64 @@ async function pullTasks() {
           continue;
         }
 
+        // Keep block edits made locally since the last sync
+        let description = task.description || null;
+        let updatedAt = task.updated_at;
+        let syncStatus = 'synced';
+        const local = await db.getFirstAsync('SELECT * FROM tasks WHERE id = ?', [task.id]);
+        let blockConflicts = [];
+        if (!task.deleted_at && hasLocalBlockEdits(local, description)) {
+          const merged = mergeDescriptions(local.synced_description, local.description, description);
+          if (merged.conflicts.length > 0) {
+            console.log(`  ⚠️  ${merged.conflicts.length} block conflict(s) in "${task.title}", kept the remote version`);
+          }
+          blockConflicts = merged.conflicts;
+          description = merged.description;
+          updatedAt = new Date().toISOString();
+          syncStatus = 'pending';
+        }
+
+        // Other unpushed local changes are about to be replaced: keep them as a conflict
+        if (local && local.sync_status === 'pending') {
+          await keepTaskConflict(db, local, task, {
+            blockConflicts,
+            ignoreDescription: local.synced_description !== null && local.synced_description !== undefined
+          });
+        }
+
         await db.runAsync(
-          `INSERT OR REPLACE INTO tasks (id, project_id, section_id, parent_id, title, description, completed, is_expanded, updated_at, sync_status, deleted_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          `INSERT OR REPLACE INTO tasks (id, project_id, section_id, parent_id, title, description, synced_description, completed, is_expanded, due_at, start_at, recurrence, sort_key, updated_at, sync_status, deleted_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             task.id,
             task.project_id,
             task.section_id || null,
             task.parent_id || null,
             task.title,
+            description,
             task.description || null,
             task.completed ? 1 : 0,
             task.is_expanded ? 1 : 0,
-            task.updated_at,
-            'synced',
+            task.due_at || null,
+            task.start_at || null,
+            task.recurrence || null,
+            task.sort_key || null,
+            updatedAt,
+            syncStatus,
             task.deleted_at || null
           ]
         );
+        if (task.deleted_at) {
+          await removeTasksFromIndex([task.id]);
+        } else {
+          await indexTask(task.id, task.title, description);
+        }
         synced++;
       } catch (err) {
         console.log(`  ⚠️  Error syncing task "${task.title}":`, err.message);
       }
     }
-  }
+  });
 
   return synced;
 }
@@ -204,13 +202,9 @@ async function pullTasks() {
 async function pullTaskTags() {
   const db = getDb();
   
-  const { data, error } = await supabase
-    .from('task_tags')
-    .select('*');
+  const data = await fetchAllRows('task_tags');
 
-  if (error) throw error;
-
-  if (data && data.length > 0) {
+  if (data.length > 0) {
     // Clear and resync all task_tags (simpler for many-to-many)
     await db.runAsync('DELETE FROM task_tags');
     
@@ -222,25 +216,167 @@ async function pullTaskTags() {
     }
   }
 
-  return data?.length || 0;
+  return data.length;
+}
+
+/**
+ * Pull filters from Supabase to local database
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Pull every row, ignoring the pull cursor (sync-full)
+ */
+async function pullFilters({ full = false } = {}) {
+  const db = getDb();
+
+  return await pullChanges('filters', async (rows) => {
+    for (const filter of rows) {
+      // Upsert rather than INSERT OR REPLACE so the filter's tags/projects aren't cascade-deleted
+      await db.runAsync(
+        `INSERT INTO filters (id, name, icon, color, query, created_at, updated_at, sync_status, deleted_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'synced', NULL)
+         ON CONFLICT(id) DO UPDATE SET
+           name = excluded.name, icon = excluded.icon, color = excluded.color, query = excluded.query,
+           created_at = excluded.created_at, updated_at = excluded.updated_at,
+           sync_status = 'synced', deleted_at = NULL`,
+        [
+          filter.id,
+          filter.name,
+          filter.icon || 'filter-outline',
+          filter.color || null,
+          filter.query || null,
+          filter.created_at || filter.updated_at,
+          filter.updated_at
+        ]
+      );
+    }
+  }, { full });
+}
+
+/**
+ * Pull a filter relationship table (filter_tags or filter_projects) from Supabase
+ */
+async function pullFilterRelations(table, column) {
+  const db = getDb();
+
+  const data = await fetchAllRows(table);
+
+  if (data.length > 0) {
+    // Clear and resync (same approach as task_tags)
+    await db.runAsync(`DELETE FROM ${table}`);
+
+    for (const relationship of data) {
+      await db.runAsync(
+        `INSERT OR IGNORE INTO ${table} (filter_id, ${column}) VALUES (?, ?)`,
+        [relationship.filter_id, relationship[column]]
+      );
+    }
+  }
+
+  return data.length;
+}
+
+/**
+ * Pull chat sessions and messages from Supabase to local database
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Pull every row, ignoring the pull cursors (sync-full)
+ */
+async function pullChat({ full = false } = {}) {
+  const db = getDb();
+
+  const sessions = await pullChanges('chat_sessions', async (rows) => {
+    for (const session of rows) {
+      // Upsert rather than INSERT OR REPLACE so the session's messages aren't cascade-deleted
+      await db.runAsync(
+        `INSERT INTO chat_sessions (id, title, context_task_id, provider, model, input_tokens, output_tokens, created_at, updated_at, sync_status, deleted_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'synced', NULL)
+         ON CONFLICT(id) DO UPDATE SET
+           title = excluded.title, context_task_id = excluded.context_task_id,
+           provider = excluded.provider, model = excluded.model,
+           input_tokens = excluded.input_tokens, output_tokens = excluded.output_tokens,
+           created_at = excluded.created_at, updated_at = excluded.updated_at,
+           sync_status = 'synced', deleted_at = NULL`,
+        [
+          session.id,
+          session.title || null,
+          session.context_task_id || null,
+          session.provider || null,
+          session.model || null,
+          session.input_tokens || 0,
+          session.output_tokens || 0,
+          session.created_at || session.updated_at,
+          session.updated_at
+        ]
+      );
+    }
+  }, { full });
+
+  const messages = await pullChanges('chat_messages', async (rows) => {
+    for (const message of rows) {
+      await db.runAsync(
+        `INSERT OR REPLACE INTO chat_messages (id, session_id, role, content, is_error, input_tokens, output_tokens, created_at, updated_at, sync_status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'synced')`,
+        [
+          message.id,
+          message.session_id,
+          message.role,
+          message.content,
+          message.is_error ? 1 : 0,
+          message.input_tokens ?? null,
+          message.output_tokens ?? null,
+          message.created_at || message.updated_at,
+          message.updated_at
+        ]
+      );
+    }
+  }, { full });
+
+  return sessions + messages;
+}
+
+/**
+ * Pull settings from Supabase to local database (device-only settings are skipped)
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Pull every row, ignoring the pull cursor (sync-full)
+ */
+async function pullSettings({ full = false } = {}) {
+  const db = getDb();
+
+  let count = 0;
+  await pullChanges('settings', async (rows) => {
+    for (const setting of rows) {
+      if (setting.key.startsWith(LOCAL_SETTING_PREFIX)) continue;
+      await db.runAsync(
+        `INSERT OR REPLACE INTO settings (key, value, updated_at, sync_status, deleted_at)
+         VALUES (?, ?, ?, 'synced', NULL)`,
+        [setting.key, setting.value, setting.updated_at]
+      );
+      count++;
+    }
+  }, { full });
+
+  return count;
 }
 
 /**
  * Pull all data from Supabase (full sync)
  */
 async function pullAll() {
-  if (!isSupabaseConfigured()) {
-    throw new Error('Supabase not configured. Check your .env file.');
+  if (!isSyncBackendConfigured()) {
+    throw new Error('No sync backend configured. Set SUPABASE_URL/SUPABASE_ANON_KEY or SYNC_SERVER_URL in your .env file.');
   }
 
-  console.log('📥 Pulling changes from Supabase...\n');
+  console.log(`📥 Pulling changes from ${describeSyncBackend()}...\n`);
 
   const results = {
     projects: 0,
     sections: 0,
     tags: 0,
     tasks: 0,
-    task_tags: 0
+    task_tags: 0,
+    filters: 0,
+    filter_tags: 0,
+    filter_projects: 0,
+    chat: 0,
+    settings: 0
   };
 
   const db = getDb();
@@ -249,6 +385,11 @@ async function pullAll() {
     // Temporarily disable foreign key constraints during sync
     await db.execAsync('PRAGMA foreign_keys = OFF');
 
+    // Settings first: e2e_config says whether tasks and tags arrive encrypted
+    results.settings = await pullSettings();
+    console.log(`  ✅ Settings: ${results.settings} updated`);
+    await loadE2EKeys();
+
     results.projects = await pullProjects();
     console.log(`  ✅ Projects: ${results.projects} updated`);
 
@@ -264,6 +405,16 @@ async function pullAll() {
     results.task_tags = await pullTaskTags();
     console.log(`  ✅ Task-Tags: ${results.task_tags} relationships synced`);
 
+    results.filters = await pullFilters();
+    console.log(`  ✅ Filters: ${results.filters} updated`);
+
+    results.filter_tags = await pullFilterRelations('filter_tags', 'tag_id');
+    results.filter_projects = await pullFilterRelations('filter_projects', 'project_id');
+    console.log(`  ✅ Filter tags/projects: ${results.filter_tags + results.filter_projects} relationships synced`);
+
+    results.chat = await pullChat();
+    console.log(`  ✅ Chat history: ${results.chat} updated`);
+
     // Re-enable foreign key constraints
     await db.execAsync('PRAGMA foreign_keys = ON');
 
@@ -290,6 +441,10 @@ module.exports = {
   pullSections,
   pullTags,
   pullTasks,
-  pullTaskTags
+  pullTaskTags,
+  pullFilters,
+  pullFilterRelations,
+  pullChat,
+  pullSettings
 };
 
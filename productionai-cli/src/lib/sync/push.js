@@ -1,5 +1,13 @@
-const { supabase, isSupabaseConfigured } = require('../supabase');
+const { describeSyncBackend, isSyncBackendConfigured, syncBackend } = require('./backend');
 const { getDb } = require('../../adapters/db');
+const { mergeDescriptions } = require('../../../../lib/block-merge');
+const { indexTask } = require('../../repositories/search');
+const { getPrimaryKey, getSyncScope } = require('./sync-tables');
+const { keepTaskConflict } = require('./conflicts');
+const { markPushFailed, markPushed, takeDueRecords } = require('./outbox');
+const { countSynced } = require('./stats');
+const { pruneOutbox } = require('../../repositories/outbox');
+const { TRASH_TABLES, purgeTrash } = require('../../../../lib/trash');
 
 /**
  * Get all projects with pending sync status
@@ -41,6 +49,46 @@ async function getPendingTasks() {
   );
 }
 
+/**
+ * Get all filters with pending sync status
+ */
+async function getPendingFilters() {
+  const db = getDb();
+  return await db.getAllAsync(
+    `SELECT * FROM filters WHERE sync_status = 'pending' AND deleted_at IS NULL`
+  );
+}
+
+/**
+ * Get all chat sessions with pending sync status
+ */
+async function getPendingChatSessions() {
+  const db = getDb();
+  return await db.getAllAsync(
+    `SELECT * FROM chat_sessions WHERE sync_status = 'pending' AND deleted_at IS NULL`
+  );
+}
+
+/**
+ * Get all chat messages with pending sync status
+ */
+async function getPendingChatMessages() {
+  const db = getDb();
+  return await db.getAllAsync(
+    `SELECT * FROM chat_messages WHERE sync_status = 'pending' AND deleted_at IS NULL ORDER BY id ASC`
+  );
+}
+
+/**
+ * Get all settings with pending sync status (device-only settings excluded)
+ */
+async function getPendingSettings() {
+  const db = getDb();
+  return await db.getAllAsync(
+    `SELECT * FROM settings WHERE sync_status = 'pending' AND deleted_at IS NULL${getSyncScope('settings')}`
+  );
+}
+
 /**
  * Get all items marked for deletion
  */
@@ -62,12 +110,32 @@ async function getPendingDeletes() {
   const tasks = await db.getAllAsync(
     `SELECT 'tasks' as table_name, id FROM tasks WHERE sync_status = 'pending_delete' AND deleted_at IS NOT NULL`
   );
+
+  const filters = await db.getAllAsync(
+    `SELECT 'filters' as table_name, id FROM filters WHERE sync_status = 'pending_delete' AND deleted_at IS NOT NULL`
+  );
+
+  const chat_messages = await db.getAllAsync(
+    `SELECT 'chat_messages' as table_name, id FROM chat_messages WHERE sync_status = 'pending_delete' AND deleted_at IS NOT NULL`
+  );
+
+  const chat_sessions = await db.getAllAsync(
+    `SELECT 'chat_sessions' as table_name, id FROM chat_sessions WHERE sync_status = 'pending_delete' AND deleted_at IS NOT NULL`
+  );
+
+  const settings = await db.getAllAsync(
+    `SELECT 'settings' as table_name, key FROM settings WHERE sync_status = 'pending_delete' AND deleted_at IS NOT NULL${getSyncScope('settings')}`
+  );
   
   return {
     projects,
     sections,
     tags,
-    tasks
+    tasks,
+    filters,
+    chat_messages,
+    chat_sessions,
+    settings
   };
 }
 
@@ -76,20 +144,22 @@ async function getPendingDeletes() {
  */
 async function pushProjects() {
   const db = getDb();
-  const projects = await getPendingProjects();
+  const projects = await takeDueRecords(db, 'projects', await getPendingProjects());
   
   for (const project of projects) {
-    const { error } = await supabase
+    const { error } = await syncBackend
       .from('projects')
       .upsert({
         id: project.id,
         name: project.name,
         default_section_id: project.default_section_id || null,
+        sort_key: project.sort_key || null,
         updated_at: project.updated_at || new Date().toISOString()
       });
 
     if (error) {
       console.error(`  ❌ Failed to sync project "${project.name}":`, error.message);
+      await markPushFailed(db, 'projects', project.id, error);
       continue;
     }
 
@@ -98,6 +168,7 @@ async function pushProjects() {
       `UPDATE projects SET sync_status = 'synced' WHERE id = ?`,
       [project.id]
     );
+    await markPushed(db, 'projects', project.id);
   }
 
   return projects.length;
@@ -108,20 +179,22 @@ async function pushProjects() {
  */
 async function pushSections() {
   const db = getDb();
-  const sections = await getPendingSections();
+  const sections = await takeDueRecords(db, 'sections', await getPendingSections());
   
   for (const section of sections) {
-    const { error } = await supabase
+    const { error } = await syncBackend
       .from('sections')
       .upsert({
         id: section.id,
         project_id: section.project_id,
         name: section.name,
+        sort_key: section.sort_key || null,
         updated_at: section.updated_at || new Date().toISOString()
       });
 
     if (error) {
       console.error(`  ❌ Failed to sync section "${section.name}":`, error.message);
+      await markPushFailed(db, 'sections', section.id, error);
       continue;
     }
 
@@ -129,6 +202,7 @@ async function pushSections() {
       `UPDATE sections SET sync_status = 'synced' WHERE id = ?`,
       [section.id]
     );
+    await markPushed(db, 'sections', section.id);
   }
 
   return sections.length;
@@ -139,10 +213,10 @@ async function pushSections() {
  */
 async function pushTags() {
   const db = getDb();
-  const tags = await getPendingTags();
+  const tags = await takeDueRecords(db, 'tags', await getPendingTags());
   
   for (const tag of tags) {
-    const { error } = await supabase
+    const { error } = await syncBackend
       .from('tags')
       .upsert({
         id: tag.id,
@@ -153,6 +227,7 @@ async function pushTags() {
 
     if (error) {
       console.error(`  ❌ Failed to sync tag "${tag.name}":`, error.message);
+      await markPushFailed(db, 'tags', tag.id, error);
       continue;
     }
 
@@ -160,20 +235,65 @@ async function pushTags() {
       `UPDATE tags SET sync_status = 'synced' WHERE id = ?`,
       [tag.id]
     );
+    await markPushed(db, 'tags', tag.id);
   }
 
   return tags.length;
 }
 
+/**
+ * Merge block edits made on another device into a pending task before it is pushed
+ * Only needed when both sides changed the description since the last sync
+ * (synced_description is the common base); conflicting blocks keep the newer version
+ * and both versions are saved in sync_conflicts.
+ * @returns {Promise<Object>} The task, with the merged description if one was needed
+ */
+async function mergeRemoteBlocks(task) {
+  const base = task.synced_description;
+  if (base === null || base === undefined || (task.description || '') === base) {
+    return task;
+  }
+
+  const { data: remote, error } = await syncBackend
+    .from('tasks')
+    .select('*')
+    .eq('id', task.id)
+    .maybeSingle();
+
+  if (error || !remote || (remote.description || '') === base || remote.description === task.description) {
+    return task;
+  }
+
+  const remoteIsNewer = new Date(remote.updated_at) > new Date(task.updated_at);
+  const { description, conflicts } = mergeDescriptions(base, task.description, remote.description, {
+    prefer: remoteIsNewer ? 'remote' : 'local'
+  });
+  const db = getDb();
+  if (conflicts.length > 0) {
+    console.log(`  ⚠️  ${conflicts.length} block conflict(s) in "${task.title}", kept the ${remoteIsNewer ? 'remote' : 'local'} version`);
+    await keepTaskConflict(db, task, remote, { blockConflicts: conflicts });
+  }
+
+  const updatedAt = new Date().toISOString();
+  await db.runAsync(
+    'UPDATE tasks SET description = ?, updated_at = ? WHERE id = ?',
+    [description, updatedAt, task.id]
+  );
+  await indexTask(task.id, task.title, description);
+  console.log(`  🔀 Merged block edits of "${task.title}"`);
+  return { ...task, description, updated_at: updatedAt };
+}
+
 /**
  * Push tasks to Supabase
  */
 async function pushTasks() {
   const db = getDb();
-  const tasks = await getPendingTasks();
+  const pending = await takeDueRecords(db, 'tasks', await getPendingTasks());
   
-  for (const task of tasks) {
-    const { error } = await supabase
+  for (const pendingTask of pending) {
+    const task = await mergeRemoteBlocks(pendingTask);
+    const { error } = await syncBackend
       .from('tasks')
       .upsert({
         id: task.id,
@@ -184,21 +304,28 @@ async function pushTasks() {
         description: task.description || null,
         completed: task.completed ? true : false,
         is_expanded: task.is_expanded ? true : false,
+        due_at: task.due_at || null,
+        start_at: task.start_at || null,
+        recurrence: task.recurrence || null,
+        sort_key: task.sort_key || null,
         updated_at: task.updated_at || new Date().toISOString()
       });
 
     if (error) {
       console.error(`  ❌ Failed to sync task "${task.title}":`, error.message);
+      await markPushFailed(db, 'tasks', task.id, error);
       continue;
     }
 
+    // The pushed description is the base for the next block merge
     await db.runAsync(
-      `UPDATE tasks SET sync_status = 'synced' WHERE id = ?`,
-      [task.id]
+      `UPDATE tasks SET sync_status = 'synced', synced_description = ? WHERE id = ?`,
+      [task.description || null, task.id]
     );
+    await markPushed(db, 'tasks', task.id);
   }
 
-  return tasks.length;
+  return pending.length;
 }
 
 /**
@@ -211,12 +338,12 @@ async function pushTaskTags() {
   const local = await db.getAllAsync('SELECT * FROM task_tags');
   
   // Get all remote task_tags
-  const { data: remote, error } = await supabase
+  const { data: remote, error } = await syncBackend
     .from('task_tags')
     .select('*');
 
   if (error) {
-    console.error('  ❌ Failed to fetch task_tags from Supabase:', error.message);
+    console.error(`  ❌ Failed to fetch task_tags from ${describeSyncBackend()}:`, error.message);
     return 0;
   }
 
@@ -226,12 +353,13 @@ async function pushTaskTags() {
   for (const rel of local) {
     const exists = remote?.find(r => r.task_id === rel.task_id && r.tag_id === rel.tag_id);
     if (!exists) {
-      await supabase
+      await syncBackend
         .from('task_tags')
         .insert({
           task_id: rel.task_id,
           tag_id: rel.tag_id
         });
+      countSynced('task_tags', 'pushed');
       count++;
     }
   }
@@ -240,63 +368,228 @@ async function pushTaskTags() {
 }
 
 /**
- * Handle deletions (push deleted items to Supabase)
+ * Replace a filter's remote relationship rows (filter_tags / filter_projects) with the local ones
  */
-async function pushDeletes() {
+async function pushFilterRelations(table, column, filterId) {
   const db = getDb();
-  const deletes = await getPendingDeletes();
-  let count = 0;
+  const rows = await db.getAllAsync(
+    `SELECT ${column} FROM ${table} WHERE filter_id = ?`,
+    [filterId]
+  );
 
-  // Delete projects
-  for (const item of deletes.projects) {
-    const { error } = await supabase
-      .from('projects')
-      .delete()
-      .eq('id', item.id);
+  const { error: deleteError } = await syncBackend
+    .from(table)
+    .delete()
+    .eq('filter_id', filterId);
 
-    if (!error) {
-      await db.runAsync(`DELETE FROM projects WHERE id = ?`, [item.id]);
-      count++;
+  if (deleteError) return deleteError;
+  if (rows.length === 0) return null;
+
+  const { error: insertError } = await syncBackend
+    .from(table)
+    .insert(rows.map(row => ({ filter_id: filterId, [column]: row[column] })));
+
+  return insertError || null;
+}
+
+/**
+ * Push filters (with their tags and projects) to Supabase
+ */
+async function pushFilters() {
+  const db = getDb();
+  const filters = await takeDueRecords(db, 'filters', await getPendingFilters());
+
+  for (const filter of filters) {
+    const { error } = await syncBackend
+      .from('filters')
+      .upsert({
+        id: filter.id,
+        name: filter.name,
+        icon: filter.icon || null,
+        color: filter.color || null,
+        query: filter.query || null,
+        created_at: filter.created_at || new Date().toISOString(),
+        updated_at: filter.updated_at || new Date().toISOString()
+      });
+
+    if (error) {
+      console.error(`  ❌ Failed to sync filter "${filter.name}":`, error.message);
+      await markPushFailed(db, 'filters', filter.id, error);
+      continue;
     }
+
+    const relationError =
+      (await pushFilterRelations('filter_tags', 'tag_id', filter.id)) ||
+      (await pushFilterRelations('filter_projects', 'project_id', filter.id));
+
+    if (relationError) {
+      console.error(`  ❌ Failed to sync tags/projects of filter "${filter.name}":`, relationError.message);
+      await markPushFailed(db, 'filters', filter.id, relationError);
+      continue;
+    }
+
+    await db.runAsync(
+      `UPDATE filters SET sync_status = 'synced' WHERE id = ?`,
+      [filter.id]
+    );
+    await markPushed(db, 'filters', filter.id);
   }
 
-  // Delete sections
-  for (const item of deletes.sections) {
-    const { error } = await supabase
-      .from('sections')
-      .delete()
-      .eq('id', item.id);
+  return filters.length;
+}
 
-    if (!error) {
-      await db.runAsync(`DELETE FROM sections WHERE id = ?`, [item.id]);
-      count++;
+/**
+ * Push chat sessions and messages to Supabase
+ */
+async function pushChat() {
+  const db = getDb();
+  const sessions = await takeDueRecords(db, 'chat_sessions', await getPendingChatSessions());
+  const messages = await takeDueRecords(db, 'chat_messages', await getPendingChatMessages());
+
+  for (const session of sessions) {
+    const { error } = await syncBackend
+      .from('chat_sessions')
+      .upsert({
+        id: session.id,
+        title: session.title || null,
+        context_task_id: session.context_task_id || null,
+        provider: session.provider || null,
+        model: session.model || null,
+        input_tokens: session.input_tokens || 0,
+        output_tokens: session.output_tokens || 0,
+        created_at: session.created_at || new Date().toISOString(),
+        updated_at: session.updated_at || new Date().toISOString()
+      });
+
+    if (error) {
+      console.error(`  ❌ Failed to sync chat session ${session.id}:`, error.message);
+      await markPushFailed(db, 'chat_sessions', session.id, error);
+      continue;
     }
+
+    await db.runAsync(
+      `UPDATE chat_sessions SET sync_status = 'synced' WHERE id = ?`,
+      [session.id]
+    );
+    await markPushed(db, 'chat_sessions', session.id);
   }
 
-  // Delete tags
-  for (const item of deletes.tags) {
-    const { error } = await supabase
-      .from('tags')
-      .delete()
-      .eq('id', item.id);
+  for (const message of messages) {
+    const { error } = await syncBackend
+      .from('chat_messages')
+      .upsert({
+        id: message.id,
+        session_id: message.session_id,
+        role: message.role,
+        content: message.content,
+        is_error: message.is_error ? true : false,
+        input_tokens: message.input_tokens ?? null,
+        output_tokens: message.output_tokens ?? null,
+        created_at: message.created_at || new Date().toISOString(),
+        updated_at: message.updated_at || message.created_at || new Date().toISOString()
+      });
 
-    if (!error) {
-      await db.runAsync(`DELETE FROM tags WHERE id = ?`, [item.id]);
-      count++;
+    if (error) {
+      console.error(`  ❌ Failed to sync chat message ${message.id}:`, error.message);
+      await markPushFailed(db, 'chat_messages', message.id, error);
+      continue;
     }
+
+    await db.runAsync(
+      `UPDATE chat_messages SET sync_status = 'synced' WHERE id = ?`,
+      [message.id]
+    );
+    await markPushed(db, 'chat_messages', message.id);
   }
 
-  // Delete tasks
-  for (const item of deletes.tasks) {
-    const { error } = await supabase
-      .from('tasks')
-      .delete()
-      .eq('id', item.id);
+  return sessions.length + messages.length;
+}
 
-    if (!error) {
-      await db.runAsync(`DELETE FROM tasks WHERE id = ?`, [item.id]);
-      count++;
+/**
+ * Push settings to Supabase
+ */
+async function pushSettings() {
+  const db = getDb();
+  const settings = await takeDueRecords(db, 'settings', await getPendingSettings());
+
+  for (const setting of settings) {
+    const { error } = await syncBackend
+      .from('settings')
+      .upsert({
+        key: setting.key,
+        value: setting.value,
+        updated_at: setting.updated_at || new Date().toISOString()
+      });
+
+    if (error) {
+      console.error(`  ❌ Failed to sync setting "${setting.key}":`, error.message);
+      await markPushFailed(db, 'settings', setting.key, error);
+      continue;
     }
+
+    await db.runAsync(
+      `UPDATE settings SET sync_status = 'synced' WHERE key = ?`,
+      [setting.key]
+    );
+    await markPushed(db, 'settings', setting.key);
+  }
+
+  return settings.length;
+}
+
+/**
+ * Delete one record remotely, then locally once the deletion went through
+ * Projects, sections, tasks and tags stay in the trash until they expire (lib/trash.js).
+ * A failed deletion stays queued and is retried with backoff.
+ * @returns {Promise<boolean>} Whether the record was deleted
+ */
+async function pushDelete(db, tableName, recordId) {
+  const primaryKey = getPrimaryKey(tableName);
+  const { error } = await syncBackend
+    .from(tableName)
+    .delete()
+    .eq(primaryKey, recordId);
+
+  if (error) {
+    console.error(`  ❌ Failed to delete ${tableName} ${recordId}:`, error.message);
+    await markPushFailed(db, tableName, recordId, error);
+    return false;
+  }
+
+  if (TRASH_TABLES.includes(tableName)) {
+    await db.runAsync(`UPDATE ${tableName} SET sync_status = 'synced' WHERE ${primaryKey} = ?`, [recordId]);
+  } else {
+    await db.runAsync(`DELETE FROM ${tableName} WHERE ${primaryKey} = ?`, [recordId]);
+  }
+  await markPushed(db, tableName, recordId);
+  return true;
+}
+
+/**
+ * Handle deletions (push deleted items to Supabase)
+ * Filters are deleted before chat messages, and messages before their sessions
+ * (remote relationships cascade).
+ */
+async function pushDeletes() {
+  const db = getDb();
+  const deletes = await getPendingDeletes();
+  let count = 0;
+
+  for (const tableName of ['projects', 'sections', 'tags', 'tasks', 'filters', 'chat_messages', 'chat_sessions', 'settings']) {
+    const primaryKey = getPrimaryKey(tableName);
+    const items = await takeDueRecords(db, tableName, deletes[tableName], 'delete');
+    for (const item of items) {
+      if (await pushDelete(db, tableName, item[primaryKey])) {
+        count++;
+      }
+    }
+  }
+
+  // Deleted items stay in the trash after their deletion synced; drop the expired ones
+  const purged = await purgeTrash(db);
+  const purgedCount = TRASH_TABLES.reduce((sum, table) => sum + purged[table], 0);
+  if (purgedCount > 0) {
+    console.log(`  🗑️  Purged ${purgedCount} expired item${purgedCount === 1 ? '' : 's'} from the trash`);
   }
 
   return count;
@@ -306,11 +599,11 @@ async function pushDeletes() {
  * Push all local changes to Supabase
  */
 async function pushAll() {
-  if (!isSupabaseConfigured()) {
-    throw new Error('Supabase not configured. Check your .env file.');
+  if (!isSyncBackendConfigured()) {
+    throw new Error('No sync backend configured. Set SUPABASE_URL/SUPABASE_ANON_KEY or SYNC_SERVER_URL in your .env file.');
   }
 
-  console.log('📤 Pushing local changes to Supabase...\n');
+  console.log(`📤 Pushing local changes to ${describeSyncBackend()}...\n`);
 
   const results = {
     projects: 0,
@@ -318,10 +611,16 @@ async function pushAll() {
     tags: 0,
     tasks: 0,
     task_tags: 0,
+    filters: 0,
+    chat: 0,
+    settings: 0,
     deletes: 0
   };
 
   try {
+    // Forget queued records that a pull or another command already settled
+    await pruneOutbox();
+
     results.projects = await pushProjects();
     console.log(`  ✅ Projects: ${results.projects} pushed`);
 
@@ -337,6 +636,15 @@ async function pushAll() {
     results.task_tags = await pushTaskTags();
     console.log(`  ✅ Task-Tags: ${results.task_tags} pushed`);
 
+    results.filters = await pushFilters();
+    console.log(`  ✅ Filters: ${results.filters} pushed`);
+
+    results.chat = await pushChat();
+    console.log(`  ✅ Chat history: ${results.chat} pushed`);
+
+    results.settings = await pushSettings();
+    console.log(`  ✅ Settings: ${results.settings} pushed`);
+
     results.deletes = await pushDeletes();
     console.log(`  ✅ Deletions: ${results.deletes} processed`);
 
@@ -357,6 +665,9 @@ module.exports = {
   pushTags,
   pushTasks,
   pushTaskTags,
+  pushFilters,
+  pushChat,
+  pushSettings,
   pushDeletes
 };
 
@@ -0,0 +1,81 @@
+const { countDueMutations } = require('../../repositories/outbox');
+const { finishSyncRun, startSyncRun } = require('../../repositories/sync-log');
+const { loadE2EKeys } = require('./e2e');
+const { pullAll } = require('./pull');
+const { pushAll } = require('./push');
+const { countSynced, finishSyncStats, startSyncStats } = require('./stats');
+
+/**
+ * Run a sync, unless one is already running (here or in another `prod` process)
+ * Every run that starts gets a sync_log row. Runs triggered by local writes
+ * are skipped when nothing is due to push.
+ * @param {'push'|'pull'|'full'} [syncType] - 'full' pushes, then pulls
+ * @param {string} [triggeredBy] - manual, write or interval
+ * @returns {Promise<Object>} { success, skipped, reason, pushed, pulled, failed, runId, error }
+ *   (reason is busy or idle when the run was skipped)
+ */
+async function runSync(syncType = 'full', triggeredBy = 'manual') {
+  if (triggeredBy === 'write' && (await countDueMutations()) === 0) {
+    return { success: true, skipped: true, reason: 'idle', pushed: 0, pulled: 0, failed: 0, runId: null, error: null };
+  }
+
+  const runId = await startSyncRun(syncType, triggeredBy);
+  if (!runId) {
+    return { success: false, skipped: true, reason: 'busy', pushed: 0, pulled: 0, failed: 0, runId: null, error: 'Another sync is already running' };
+  }
+
+  const startedAt = Date.now();
+  startSyncStats();
+  let pulled = 0;
+  const errors = [];
+
+  try {
+    // Picks up keys set up or unlocked since the last run (sync --watch keeps running)
+    await loadE2EKeys();
+
+    if (syncType !== 'pull') {
+      const pushResult = await pushAll();
+      if (!pushResult.success) {
+        errors.push(`Push: ${pushResult.error}`);
+      }
+    }
+
+    // A failed push stops the run before pulling
+    if (syncType !== 'push' && errors.length === 0) {
+      const pullResult = await pullAll();
+      pulled = pullResult.total || 0;
+      if (!pullResult.success) {
+        errors.push(`Pull: ${pullResult.error}`);
+      }
+      for (const [tableName, count] of Object.entries(pullResult.results || {})) {
+        countSynced(tableName, 'pulled', count);
+      }
+    }
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  // Per-record counts, so records that failed to push are not counted as pushed
+  const { tables, failures, pushed } = finishSyncStats();
+  const error = errors.length > 0 ? errors.join('; ') : null;
+  const message = [
+    syncType !== 'pull' && `${pushed} pushed`,
+    syncType !== 'push' && `${pulled} pulled`,
+    failures.length > 0 && `${failures.length} failed`,
+  ].filter(Boolean).join(', ');
+  await finishSyncRun(runId, {
+    success: !error,
+    recordsSynced: pushed + pulled,
+    message,
+    error,
+    durationMs: Date.now() - startedAt,
+    tableCounts: tables,
+    failures
+  });
+
+  return { success: !error, skipped: false, reason: null, pushed, pulled, failed: failures.length, runId, error };
+}
+
+module.exports = {
+  runSync
+};
@@ -0,0 +1,63 @@
+// Per-table counts and failures of the sync run in progress (see runner.js).
+// Nothing is collected outside a run.
+let stats = null;
+
+/**
+ * Start collecting for a new run
+ */
+function startSyncStats() {
+  stats = { tables: {}, failures: [] };
+}
+
+/**
+ * Stop collecting
+ * @returns {{ tables: Object, failures: Array, pushed: number }} What was collected since startSyncStats
+ *   (pushed is the number of records the server accepted, over all tables)
+ */
+function finishSyncStats() {
+  const collected = stats || { tables: {}, failures: [] };
+  stats = null;
+  const pushed = Object.values(collected.tables).reduce((sum, counts) => sum + counts.pushed, 0);
+  return { ...collected, pushed };
+}
+
+function tableCounts(tableName) {
+  if (!stats.tables[tableName]) {
+    stats.tables[tableName] = { pushed: 0, pulled: 0, failed: 0 };
+  }
+  return stats.tables[tableName];
+}
+
+/**
+ * Count records pushed or pulled for a table
+ * @param {string} tableName
+ * @param {'pushed'|'pulled'} direction
+ * @param {number} [count]
+ */
+function countSynced(tableName, direction, count = 1) {
+  if (!stats || count === 0) return;
+  tableCounts(tableName)[direction] += count;
+}
+
+/**
+ * Record a record (or a whole table, when recordId is null) that failed to sync
+ * @param {Object} failure - { tableName, recordId, operation, error, attempts }
+ */
+function recordSyncFailure({ tableName, recordId = null, operation = null, error, attempts = null }) {
+  if (!stats) return;
+  tableCounts(tableName).failed += 1;
+  stats.failures.push({
+    table_name: tableName,
+    record_id: recordId === null ? null : String(recordId),
+    operation,
+    error: (error && error.message) || String(error),
+    attempts,
+  });
+}
+
+module.exports = {
+  startSyncStats,
+  finishSyncStats,
+  countSynced,
+  recordSyncFailure
+};
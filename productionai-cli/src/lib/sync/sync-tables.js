@@ -0,0 +1,27 @@
+// Settings whose key starts with this prefix stay on the device and are never synced
+// (same rule as the app, see repositories/settings.js)
+const LOCAL_SETTING_PREFIX = 'local_';
+
+/**
+ * Primary key column of a synced table
+ * Settings are keyed by name; every other table uses a numeric id.
+ */
+function getPrimaryKey(tableName) {
+  return tableName === 'settings' ? 'key' : 'id';
+}
+
+/**
+ * Extra WHERE condition limiting which rows of a table are synced
+ */
+function getSyncScope(tableName) {
+  if (tableName === 'settings') {
+    return ` AND substr(key, 1, ${LOCAL_SETTING_PREFIX.length}) != '${LOCAL_SETTING_PREFIX}'`;
+  }
+  return '';
+}
+
+module.exports = {
+  LOCAL_SETTING_PREFIX,
+  getPrimaryKey,
+  getSyncScope
+};
@@ -1,9 +1,11 @@
 const { getDb, withRetry } = require('../adapters/db');
+const { enqueueMutation, enqueueMutations } = require('./outbox');
+const { sortKeyAtEdge, sortKeyNextTo } = require('../../../lib/sort-keys');
 
 async function getAllSections() {
   return await withRetry(async () => {
     const db = getDb();
-    const sections = await db.getAllAsync('SELECT * FROM sections WHERE deleted_at IS NULL ORDER BY id');
+    const sections = await db.getAllAsync('SELECT * FROM sections WHERE deleted_at IS NULL ORDER BY sort_key, id');
     return sections;
   });
 }
@@ -12,7 +14,7 @@ async function getSectionsByProjectId(projectId) {
   return await withRetry(async () => {
     const db = getDb();
     const sections = await db.getAllAsync(
-      'SELECT * FROM sections WHERE project_id = ? AND deleted_at IS NULL ORDER BY id',
+      'SELECT * FROM sections WHERE project_id = ? AND deleted_at IS NULL ORDER BY sort_key, id',
       [projectId]
     );
     return sections;
@@ -31,15 +33,17 @@ async function createSection(projectId, name) {
   console.log(`📝 Creating new section: "${name}" in project ${projectId}`);
   return await withRetry(async () => {
     const db = getDb();
+    const sortKey = await sortKeyAtEdge(db, { enqueueMutation }, 'sections', { project_id: projectId }, 'end');
     const result = await db.runAsync(
-      'INSERT INTO sections (project_id, name, sync_status) VALUES (?, ?, ?)',
-      [projectId, name, 'pending']
+      'INSERT INTO sections (project_id, name, sort_key, sync_status) VALUES (?, ?, ?, ?)',
+      [projectId, name, sortKey, 'pending']
     );
     const sectionId = result.lastInsertRowId;
+    await enqueueMutation('sections', sectionId);
     
     console.log(`✅ Section created locally with ID: ${sectionId}`);
     
-    return { id: sectionId, project_id: projectId, name };
+    return { id: sectionId, project_id: projectId, name, sort_key: sortKey };
   });
 }
 
@@ -57,6 +61,7 @@ async function updateSection(id, name) {
       console.error(`❌ Section ${id} not found for update`);
       throw new Error('Section not found');
     }
+    await enqueueMutation('sections', id);
     
     console.log(`✅ Section ${id} updated locally`);
     
@@ -64,6 +69,35 @@ async function updateSection(id, name) {
   });
 }
 
+/**
+ * Move a section right before or after another section of the same project
+ * @param {number} id
+ * @param {Object} position - { beforeId } or { afterId }
+ */
+async function moveSection(id, { beforeId = null, afterId = null }) {
+  const targetId = beforeId ?? afterId;
+  console.log(`↕️ Moving section ${id} ${beforeId ? 'before' : 'after'} section ${targetId}`);
+  return await withRetry(async () => {
+    const db = getDb();
+    const section = await db.getFirstAsync('SELECT project_id FROM sections WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!section) {
+      throw new Error('Section not found');
+    }
+    const { sortKey, target } = await sortKeyNextTo(db, { enqueueMutation }, 'sections', id, targetId, beforeId ? 'before' : 'after');
+    if (target.project_id !== section.project_id) {
+      throw new Error('Sections can only be reordered within their project');
+    }
+    const now = new Date().toISOString();
+    await db.runAsync(
+      'UPDATE sections SET sort_key = ?, updated_at = ?, sync_status = ? WHERE id = ?',
+      [sortKey, now, 'pending', id]
+    );
+    await enqueueMutation('sections', id);
+
+    return { id, sort_key: sortKey };
+  });
+}
+
 async function deleteSection(id) {
   console.log(`🗑️ Soft deleting section ${id}`);
   return await withRetry(async () => {
@@ -71,6 +105,7 @@ async function deleteSection(id) {
     const now = new Date().toISOString();
     
     // Remove section reference from tasks
+    await enqueueMutations('tasks', 'section_id = ? AND deleted_at IS NULL', [id]);
     const tasksResult = await db.runAsync(
       'UPDATE tasks SET section_id = NULL, updated_at = ?, sync_status = ? WHERE section_id = ? AND deleted_at IS NULL',
       [now, 'pending', id]
@@ -87,6 +122,7 @@ async function deleteSection(id) {
       console.error(`❌ Section ${id} not found for deletion`);
       throw new Error('Section not found');
     }
+    await enqueueMutation('sections', id, 'delete');
     
     console.log(`✅ Section ${id} soft deleted locally`);
     
@@ -100,6 +136,7 @@ module.exports = {
   getSectionById,
   createSection,
   updateSection,
+  moveSection,
   deleteSection
 };
 
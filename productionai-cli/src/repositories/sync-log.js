@@ -0,0 +1,186 @@
+const { getDb, withRetry } = require('../adapters/db');
+
+// A run still marked running after this long is assumed to have been killed and no longer blocks new syncs.
+// Younger runs may belong to another `prod` process (e.g. `prod sync --watch`), so they are left alone.
+const SYNC_RUN_TIMEOUT_MINUTES = 10;
+// Number of runs kept in the log (older ones and their failures are deleted)
+const SYNC_LOG_RETENTION = 200;
+
+function parseRun(row) {
+  if (!row) return null;
+  let tableCounts = {};
+  try {
+    tableCounts = row.table_counts ? JSON.parse(row.table_counts) : {};
+  } catch {
+    tableCounts = {};
+  }
+  return { ...row, table_counts: tableCounts };
+}
+
+/**
+ * Start a sync run, unless another one is already running
+ * The check and the insert are one statement, so two runs can never both start.
+ * Runs older than SYNC_RUN_TIMEOUT_MINUTES are closed as interrupted first.
+ * @param {'push'|'pull'|'full'} syncType
+ * @param {string} triggeredBy - What started the run (manual, write, foreground, interval, ...)
+ * @returns {Promise<number|null>} ID of the sync_log row, or null if a sync is already running
+ */
+async function startSyncRun(syncType, triggeredBy) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const timeout = `-${SYNC_RUN_TIMEOUT_MINUTES} minutes`;
+    await db.runAsync(
+      `UPDATE sync_log SET status = 'interrupted', completed_at = ?
+       WHERE status = 'running' AND datetime(started_at) <= datetime('now', ?)`,
+      [new Date().toISOString(), timeout]
+    );
+
+    const result = await db.runAsync(
+      `INSERT INTO sync_log (sync_type, status, triggered_by, started_at)
+       SELECT ?, 'running', ?, ?
+       WHERE NOT EXISTS (SELECT 1 FROM sync_log WHERE status = 'running')`,
+      [syncType, triggeredBy, new Date().toISOString()]
+    );
+    return result.changes > 0 ? result.lastInsertRowId : null;
+  });
+}
+
+/**
+ * Record the outcome of a sync run, with its per-table counts and failed records
+ * Only the latest SYNC_LOG_RETENTION runs are kept.
+ * @param {number} id - ID returned by startSyncRun
+ * @param {Object} outcome
+ * @param {boolean} outcome.success
+ * @param {number} [outcome.recordsSynced]
+ * @param {string} [outcome.message] - Short summary ("3 pushed, 12 pulled")
+ * @param {string} [outcome.error] - What went wrong
+ * @param {number} [outcome.durationMs]
+ * @param {Object} [outcome.tableCounts] - { [table]: { pushed, pulled, failed } }
+ * @param {Array} [outcome.failures] - { table_name, record_id, operation, error, attempts }
+ */
+async function finishSyncRun(id, {
+  success,
+  recordsSynced = 0,
+  message = null,
+  error = null,
+  durationMs = null,
+  tableCounts = {},
+  failures = [],
+}) {
+  return await withRetry(async () => {
+    const db = getDb();
+    await db.runAsync(
+      `UPDATE sync_log SET status = ?, records_synced = ?, message = ?, error_details = ?,
+         duration_ms = ?, table_counts = ?, completed_at = ?
+       WHERE id = ?`,
+      [success ? 'success' : 'error', recordsSynced, message, error, durationMs, JSON.stringify(tableCounts), new Date().toISOString(), id]
+    );
+
+    for (const failure of failures) {
+      await db.runAsync(
+        `INSERT INTO sync_log_failures (sync_log_id, table_name, record_id, operation, error, attempts)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [id, failure.table_name, failure.record_id, failure.operation, failure.error, failure.attempts]
+      );
+    }
+
+    await db.runAsync(
+      `DELETE FROM sync_log_failures WHERE sync_log_id IN (
+         SELECT id FROM sync_log ORDER BY id DESC LIMIT -1 OFFSET ?
+       )`,
+      [SYNC_LOG_RETENTION]
+    );
+    await db.runAsync(
+      'DELETE FROM sync_log WHERE id IN (SELECT id FROM sync_log ORDER BY id DESC LIMIT -1 OFFSET ?)',
+      [SYNC_LOG_RETENTION]
+    );
+  });
+}
+
+/**
+ * Most recent finished sync run
+ * @returns {Promise<Object|null>}
+ */
+async function getLastSyncRun() {
+  return await withRetry(async () => {
+    const db = getDb();
+    const run = await db.getFirstAsync(
+      `SELECT * FROM sync_log WHERE status != 'running' ORDER BY started_at DESC, id DESC LIMIT 1`
+    );
+    return parseRun(run);
+  });
+}
+
+/**
+ * Recent sync runs, newest first
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array>} Runs with parsed table_counts and their failure_count
+ */
+async function getSyncRuns({ limit = 50 } = {}) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const rows = await db.getAllAsync(
+      `SELECT l.*, (SELECT COUNT(*) FROM sync_log_failures f WHERE f.sync_log_id = l.id) as failure_count
+       FROM sync_log l ORDER BY l.id DESC LIMIT ?`,
+      [limit]
+    );
+    return rows.map(parseRun);
+  });
+}
+
+/**
+ * One sync run with the records that failed in it
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+async function getSyncRun(id) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const run = await db.getFirstAsync('SELECT * FROM sync_log WHERE id = ?', [id]);
+    if (!run) return null;
+    const failures = await db.getAllAsync(
+      'SELECT * FROM sync_log_failures WHERE sync_log_id = ? ORDER BY id',
+      [id]
+    );
+    return { ...parseRun(run), failures };
+  });
+}
+
+/**
+ * The whole sync log as plain data, for bug reports
+ * @returns {Promise<Object>} { exported_at, schema_version, outbox, runs }
+ */
+async function exportSyncLog() {
+  return await withRetry(async () => {
+    const db = getDb();
+    const version = await db.getFirstAsync('PRAGMA user_version');
+    const runs = await db.getAllAsync('SELECT * FROM sync_log ORDER BY id DESC');
+    const failures = await db.getAllAsync('SELECT * FROM sync_log_failures ORDER BY id');
+    const outbox = await db.getAllAsync('SELECT * FROM sync_outbox ORDER BY id');
+
+    const failuresByRun = new Map();
+    for (const failure of failures) {
+      if (!failuresByRun.has(failure.sync_log_id)) failuresByRun.set(failure.sync_log_id, []);
+      failuresByRun.get(failure.sync_log_id).push(failure);
+    }
+
+    return {
+      exported_at: new Date().toISOString(),
+      schema_version: version?.user_version ?? null,
+      outbox,
+      runs: runs.map(run => ({ ...parseRun(run), failures: failuresByRun.get(run.id) || [] })),
+    };
+  });
+}
+
+module.exports = {
+  SYNC_RUN_TIMEOUT_MINUTES,
+  SYNC_LOG_RETENTION,
+  startSyncRun,
+  finishSyncRun,
+  getLastSyncRun,
+  getSyncRuns,
+  getSyncRun,
+  exportSyncLog
+};
@@ -1,4 +1,6 @@
 const { getDb, withRetry } = require('../adapters/db');
+const { enqueueMutation } = require('./outbox');
+const { trashTagLinks } = require('../../../lib/trash');
 
 async function getAllTags() {
   return await withRetry(async () => {
@@ -25,6 +27,7 @@ async function createTag(name) {
       [name, 'pending', now, now]
     );
     const tagId = result.lastInsertRowId;
+    await enqueueMutation('tags', tagId);
     
     return { id: tagId, name, created_at: now, updated_at: now };
   });
@@ -42,6 +45,7 @@ async function updateTag(id, name) {
     if (result.changes === 0) {
       throw new Error('Tag not found');
     }
+    await enqueueMutation('tags', id);
     
     return { id, name };
   });
@@ -52,8 +56,8 @@ async function deleteTag(id) {
     const db = getDb();
     const now = new Date().toISOString();
     
-    // Delete task_tags relationships
-    await db.runAsync('DELETE FROM task_tags WHERE tag_id = ?', [id]);
+    // Its task links wait in the trash with it
+    await trashTagLinks(db, id);
     
     // Soft delete the tag
     const result = await db.runAsync(
@@ -64,6 +68,7 @@ async function deleteTag(id) {
     if (result.changes === 0) {
       throw new Error('Tag not found');
     }
+    await enqueueMutation('tags', id, 'delete');
     
     return { id };
   });
@@ -86,6 +91,7 @@ async function getOrCreateTag(name) {
         [name, 'pending']
       );
       const tagId = result.lastInsertRowId;
+      await enqueueMutation('tags', tagId);
       tag = { id: tagId, name };
     }
     
@@ -0,0 +1,81 @@
+const { getDb, withRetry } = require('../adapters/db');
+const { enqueueMutation } = require('./outbox');
+const { indexTask, removeTasksFromIndex } = require('./search');
+const {
+  describeChanges,
+  getHistoryNames,
+  getTaskHistory: readTaskHistory,
+  getUndoState: readUndoState,
+  redoTaskChange,
+  undoTaskChange
+} = require('../../../lib/task-history');
+
+// Task history is recorded by repositories/tasks.js; the format lives in lib/task-history.js
+const helpers = { enqueueMutation, indexTask, removeTasksFromIndex };
+
+// Adds each task's title and readable `lines` to an undo/redo result
+async function describeResult(db, result) {
+  if (!result) return null;
+  const names = await getHistoryNames(db);
+  for (const entry of result.entries) {
+    const task = await db.getFirstAsync('SELECT title FROM tasks WHERE id = ?', [entry.task_id]);
+    entry.title = task ? task.title : null;
+    entry.lines = describeChanges(entry, names);
+  }
+  return result;
+}
+
+/**
+ * Changes to a task, newest first
+ * @param {number} taskId
+ * @param {number} [limit]
+ * @returns {Promise<Array<Object>>} History rows with `changes` parsed and `lines` describing them
+ */
+async function getTaskHistory(taskId, limit = 100) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const entries = await readTaskHistory(db, taskId, { limit });
+    const names = await getHistoryNames(db);
+    return entries.map(entry => ({ ...entry, lines: describeChanges(entry, names) }));
+  });
+}
+
+/**
+ * What undo and redo would change next
+ * @param {number} [taskId] - Only look at changes to this task
+ */
+async function getUndoState(taskId = null) {
+  return await withRetry(async () => {
+    return await readUndoState(getDb(), taskId);
+  });
+}
+
+/**
+ * Undo the last change (to one task, or to any task)
+ * @returns {Promise<Object|null>} See undoTaskChange in lib/task-history.js, with each entry's title and
+ *   `lines`; null when there is nothing to undo
+ */
+async function undoLastChange(taskId = null) {
+  return await withRetry(async () => {
+    const db = getDb();
+    return await describeResult(db, await undoTaskChange(db, helpers, { taskId, source: 'cli' }));
+  });
+}
+
+/**
+ * Redo the last undone change (to one task, or to any task)
+ * @returns {Promise<Object|null>} null when there is nothing to redo
+ */
+async function redoLastChange(taskId = null) {
+  return await withRetry(async () => {
+    const db = getDb();
+    return await describeResult(db, await redoTaskChange(db, helpers, { taskId, source: 'cli' }));
+  });
+}
+
+module.exports = {
+  getTaskHistory,
+  getUndoState,
+  undoLastChange,
+  redoLastChange
+};
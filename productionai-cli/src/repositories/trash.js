@@ -0,0 +1,73 @@
+const { getDb, withRetry } = require('../adapters/db');
+const { enqueueMutation } = require('./outbox');
+const { indexTask } = require('./search');
+const {
+  getTrash: readTrash,
+  getTrashRetention: readTrashRetention,
+  purgeTrash: purgeTrashRows,
+  restoreFromTrash,
+  setTrashRetention: writeTrashRetention
+} = require('../../../lib/trash');
+
+// Restore and purge rules live in lib/trash.js (shared with the app)
+const helpers = { enqueueMutation, indexTask };
+
+/**
+ * Everything in the trash, newest deletion first
+ * @returns {Promise<Object>} See getTrash in lib/trash.js
+ */
+async function getTrash() {
+  return await withRetry(async () => {
+    return await readTrash(getDb());
+  });
+}
+
+/**
+ * Restore a project, section, task or tag from the trash
+ * @param {'projects'|'sections'|'tasks'|'tags'} table
+ * @param {number} id
+ * @returns {Promise<Object>} Restored ids per table
+ */
+async function restoreTrashItem(table, id) {
+  return await withRetry(async () => {
+    return await restoreFromTrash(getDb(), helpers, table, id, { source: 'cli' });
+  });
+}
+
+/**
+ * Delete trash rows for good
+ * @param {Object} [options] - { retentionDays, all }
+ * @returns {Promise<Object>} Rows purged per table, and `waiting` (expired but not pushed yet)
+ */
+async function purgeTrash(options = {}) {
+  return await withRetry(async () => {
+    return await purgeTrashRows(getDb(), options);
+  });
+}
+
+/**
+ * Days deleted items stay in the trash
+ * @returns {Promise<number>}
+ */
+async function getTrashRetention() {
+  return await withRetry(async () => {
+    return await readTrashRetention(getDb());
+  });
+}
+
+/**
+ * @param {number} days
+ */
+async function setTrashRetention(days) {
+  return await withRetry(async () => {
+    await writeTrashRetention(getDb(), days);
+  });
+}
+
+module.exports = {
+  getTrash,
+  restoreTrashItem,
+  purgeTrash,
+  getTrashRetention,
+  setTrashRetention
+};
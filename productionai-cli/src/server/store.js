@@ -0,0 +1,259 @@
+const Database = require('better-sqlite3');
+
+// Tables whose rows are keyed by `key` instead of `id`
+const KEY_COLUMNS = { settings: 'key' };
+
+// Identifiers come from the request, so only plain names are allowed in SQL
+const NAME_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+// Server-assigned change number, the pull cursor clients page on
+// (see lib/sync/syncpull/shared/pull-cursor.js). Kept in its own column so it is indexed.
+const SEQ_COLUMN = 'sync_seq';
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+function checkName(name, kind) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new QueryError(`Invalid ${kind}: ${name}`);
+  }
+  return name;
+}
+
+function field(column) {
+  if (column === SEQ_COLUMN) return 'seq';
+  return `json_extract(data, '$.${checkName(column, 'column')}')`;
+}
+
+// Timestamps are compared as points in time, so '2026-01-01 10:00:00' and
+// '2026-01-01T10:00:00.000Z' from different clients order correctly
+function isTimestamp(column) {
+  return column.endsWith('_at');
+}
+
+function toParam(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+function pick(record, columns) {
+  if (!columns || columns.trim() === '*') return record;
+  const picked = {};
+  for (const column of columns.split(',').map(c => c.trim()).filter(Boolean)) {
+    picked[column] = record[column] === undefined ? null : record[column];
+  }
+  return picked;
+}
+
+/**
+ * Records of every synced table, stored as JSON in one SQLite file
+ * The server doesn't know the app's schema: a table exists once a client writes to it.
+ */
+class SyncStore {
+  /**
+   * @param {string} dbPath - SQLite file (created if missing)
+   */
+  constructor(dbPath) {
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        row_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        table_name TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_records_table ON records(table_name);
+      CREATE TABLE IF NOT EXISTS sequence (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        value INTEGER NOT NULL
+      );
+    `);
+
+    // Stores created before pull cursors have no seq column: number their records in write order
+    const columns = this.db.prepare('PRAGMA table_info(records)').all().map(column => column.name);
+    if (!columns.includes('seq')) {
+      this.db.transaction(() => {
+        this.db.exec('ALTER TABLE records ADD COLUMN seq INTEGER');
+        this.db.exec(`UPDATE records SET seq = row_id,
+          data = json_set(data, '$.${SEQ_COLUMN}', row_id)`);
+      })();
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_records_seq ON records(table_name, seq)');
+    this.db.prepare('INSERT OR IGNORE INTO sequence (id, value) SELECT 1, COALESCE(MAX(seq), 0) FROM records').run();
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Run a query sent by lib/sync-server-client.js
+   * @param {Object} request - { table, action, columns, filters, order, limit, single, rows, onConflict }
+   * @returns {*} Rows (or one row / null for maybeSingle queries)
+   * @throws {QueryError} When the request is malformed
+   */
+  execute(request) {
+    if (!request || typeof request !== 'object') {
+      throw new QueryError('Missing query');
+    }
+    if (request.action === 'ping') {
+      return { ok: true };
+    }
+
+    const table = checkName(request.table, 'table');
+    switch (request.action) {
+      case 'select': {
+        const rows = this.select(table, request).map(record => pick(record, request.columns));
+        return request.single ? rows[0] || null : rows;
+      }
+      case 'upsert':
+        return this.db.transaction(() => this.upsert(table, request.rows, request.onConflict))();
+      case 'insert':
+        return this.db.transaction(() => this.insert(table, request.rows))();
+      case 'delete':
+        return this.db.transaction(() => this.delete(table, request))();
+      default:
+        throw new QueryError(`Unknown action: ${request.action}`);
+    }
+  }
+
+  where(table, filters = []) {
+    const clauses = ['table_name = ?'];
+    const params = [table];
+    for (const { column, op, value } of filters) {
+      if (op === 'eq') {
+        if (value === null) {
+          clauses.push(`${field(column)} IS NULL`);
+        } else {
+          clauses.push(`${field(column)} = ?`);
+          params.push(toParam(value));
+        }
+      } else if (op === 'gt') {
+        clauses.push(isTimestamp(column)
+          ? `julianday(${field(column)}) > julianday(?)`
+          : `${field(column)} > ?`);
+        params.push(toParam(value));
+      } else if (op === 'in') {
+        if (!Array.isArray(value) || value.length === 0) {
+          clauses.push('0');
+        } else {
+          clauses.push(`${field(column)} IN (${value.map(() => '?').join(', ')})`);
+          params.push(...value.map(toParam));
+        }
+      } else {
+        throw new QueryError(`Unknown filter: ${op}`);
+      }
+    }
+    return { sql: clauses.join(' AND '), params };
+  }
+
+  select(table, { filters, order = [], limit = null } = {}) {
+    const { sql, params } = this.where(table, filters);
+    const orderBy = order
+      .map(({ column, ascending }) => {
+        const value = isTimestamp(column) ? `julianday(${field(column)})` : field(column);
+        return `${value} ${ascending === false ? 'DESC' : 'ASC'}`;
+      })
+      .concat('row_id ASC')
+      .join(', ');
+    let limitSql = '';
+    if (limit !== null && limit !== undefined) {
+      if (!Number.isInteger(limit) || limit < 0) {
+        throw new QueryError(`Invalid limit: ${limit}`);
+      }
+      limitSql = ` LIMIT ${limit}`;
+    }
+    return this.db
+      .prepare(`SELECT data FROM records WHERE ${sql} ORDER BY ${orderBy}${limitSql}`)
+      .all(...params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  // Rows written without their key get the next id, like a serial column
+  withKey(table, row) {
+    const keyColumn = KEY_COLUMNS[table] || 'id';
+    if (row[keyColumn] !== undefined && row[keyColumn] !== null) return row;
+    if (keyColumn !== 'id') {
+      throw new QueryError(`${table} rows need a ${keyColumn}`);
+    }
+    const { maxId } = this.db
+      .prepare(`SELECT MAX(${field('id')}) as maxId FROM records WHERE table_name = ?`)
+      .get(table);
+    return { ...row, id: (maxId || 0) + 1 };
+  }
+
+  // Every insert and update takes the next number, so it sorts after everything pulled so far.
+  // A counter rather than MAX(seq): deleting the newest record must not hand its number out again.
+  nextSeq() {
+    this.db.prepare('UPDATE sequence SET value = value + 1 WHERE id = 1').run();
+    return this.db.prepare('SELECT value FROM sequence WHERE id = 1').get().value;
+  }
+
+  insertRecord(table, row) {
+    const seq = this.nextSeq();
+    const record = { ...row, [SEQ_COLUMN]: seq };
+    this.db.prepare('INSERT INTO records (table_name, data, seq) VALUES (?, ?, ?)')
+      .run(table, JSON.stringify(record), seq);
+    return record;
+  }
+
+  upsert(table, rows = [], onConflict = null) {
+    const conflictColumns = (onConflict || KEY_COLUMNS[table] || 'id')
+      .split(',')
+      .map(column => checkName(column.trim(), 'column'));
+
+    return rows.map(row => {
+      const filters = conflictColumns
+        .filter(column => row[column] !== undefined)
+        .map(column => ({ column, op: 'eq', value: row[column] }));
+      let existing = null;
+      if (filters.length === conflictColumns.length) {
+        const { sql, params } = this.where(table, filters);
+        existing = this.db.prepare(`SELECT row_id, data FROM records WHERE ${sql} LIMIT 1`).get(...params);
+      }
+
+      if (!existing) {
+        return this.insertRecord(table, this.withKey(table, row));
+      }
+      const seq = this.nextSeq();
+      const record = { ...JSON.parse(existing.data), ...row, [SEQ_COLUMN]: seq };
+      this.db.prepare('UPDATE records SET data = ?, seq = ?, updated_at = CURRENT_TIMESTAMP WHERE row_id = ?')
+        .run(JSON.stringify(record), seq, existing.row_id);
+      return record;
+    });
+  }
+
+  insert(table, rows = []) {
+    return rows.map(row => this.insertRecord(table, this.withKey(table, row)));
+  }
+
+  delete(table, { filters } = {}) {
+    const { sql, params } = this.where(table, filters);
+    const rows = this.db.prepare(`SELECT data FROM records WHERE ${sql}`).all(...params);
+    this.db.prepare(`DELETE FROM records WHERE ${sql}`).run(...params);
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Number of records per table
+   * @returns {Object} { [table]: count }
+   */
+  counts() {
+    const counts = {};
+    for (const row of this.db.prepare('SELECT table_name, COUNT(*) as count FROM records GROUP BY table_name').all()) {
+      counts[row.table_name] = row.count;
+    }
+    return counts;
+  }
+}
+
+module.exports = {
+  SyncStore,
+  QueryError,
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const http = require('http');
+const { SYNC_SERVER_PROTOCOL_VERSION } = require('../../../lib/sync-server-client');
+const { QueryError, SyncStore } = require('./store');
+
+// Larger bodies are rejected (a push sends one query per record or small batch)
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Whether an Authorization header carries the token
+ * Compared in constant time, so response timing doesn't reveal how much of a guess was right.
+ */
+function hasToken(authorization, token) {
+  const given = Buffer.from(authorization || '', 'utf8');
+  const expected = Buffer.from(`Bearer ${token}`, 'utf8');
+  // timingSafeEqual throws on buffers of different lengths
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new QueryError('Request too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Self-hosted sync backend: answers the queries of lib/sync-server-client.js
+ * from its own SQLite file, so the app and the CLI can sync without Supabase.
+ *
+ * Routes:
+ *   GET  /health  Liveness check (no token needed)
+ *   POST /query   One query: { table, action, columns, filters, order, single, rows, onConflict }
+ *
+ * @param {Object} options
+ * @param {string} options.dbPath - SQLite file for the synced records
+ * @param {string} [options.token] - Shared secret clients must send as a Bearer token
+ * @param {Function} [options.onQuery] - Called with (request, error) after each query, for logging
+ * @returns {{ server: http.Server, store: SyncStore }}
+ */
+function createSyncServer({ dbPath, token = null, onQuery = null }) {
+  const store = new SyncStore(dbPath);
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/health') {
+      send(res, 200, { ok: true, version: SYNC_SERVER_PROTOCOL_VERSION });
+      return;
+    }
+
+    if (req.method !== 'POST' || req.url !== '/query') {
+      send(res, 404, { error: { message: `Not found: ${req.method} ${req.url}` } });
+      return;
+    }
+
+    if (token && !hasToken(req.headers.authorization, token)) {
+      send(res, 401, { error: { message: 'Invalid or missing sync server token' } });
+      return;
+    }
+
+    let request = null;
+    try {
+      request = JSON.parse(await readBody(req));
+      if (request.version !== SYNC_SERVER_PROTOCOL_VERSION) {
+        throw new QueryError(`Unsupported protocol version ${request.version} (server speaks ${SYNC_SERVER_PROTOCOL_VERSION})`);
+      }
+      const data = store.execute(request);
+      if (onQuery) onQuery(request, null);
+      send(res, 200, { data });
+    } catch (error) {
+      if (onQuery) onQuery(request, error);
+      const status = error instanceof QueryError || error instanceof SyntaxError ? 400 : 500;
+      send(res, status, { error: { message: error.message } });
+    }
+  });
+
+  server.on('close', () => store.close());
+  return { server, store };
+}
+
+module.exports = {
+  createSyncServer,
+};
@@ -0,0 +1,280 @@
+/**
+ * Schema migrations (lib/migrations.js) over the database shapes that existed
+ * before versioning: every one must end at LATEST_VERSION with the schema of a
+ * fresh install, and `prod migrate --dry-run` must not touch any of them.
+ *
+ * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { migrate, LATEST_VERSION } = require('../../lib/migrations');
+
+const PROD = path.join(__dirname, '..', 'bin', 'prod.js');
+
+// Tables every build had, as the first app and CLI releases created them
+const CORE_TABLES = `
+  CREATE TABLE projects (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    default_section_id INTEGER,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sync_status TEXT DEFAULT 'pending',
+    deleted_at DATETIME,
+    FOREIGN KEY (default_section_id) REFERENCES sections(id)
+  );
+  CREATE TABLE sections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sync_status TEXT DEFAULT 'pending',
+    deleted_at DATETIME,
+    FOREIGN KEY (project_id) REFERENCES projects(id)
+  );
+  CREATE TABLE tasks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id INTEGER NOT NULL,
+    section_id INTEGER,
+    parent_id INTEGER,
+    title TEXT NOT NULL,
+    description TEXT,
+    completed INTEGER DEFAULT 0,
+    is_expanded INTEGER DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sync_status TEXT DEFAULT 'pending',
+    deleted_at DATETIME,
+    FOREIGN KEY (project_id) REFERENCES projects(id),
+    FOREIGN KEY (section_id) REFERENCES sections(id),
+    FOREIGN KEY (parent_id) REFERENCES tasks(id)
+  );
+  CREATE TABLE tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    created_at DATETIME,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sync_status TEXT DEFAULT 'pending',
+    deleted_at DATETIME
+  );
+  CREATE TABLE task_tags (
+    task_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    PRIMARY KEY (task_id, tag_id),
+    FOREIGN KEY (task_id) REFERENCES tasks(id),
+    FOREIGN KEY (tag_id) REFERENCES tags(id)
+  );
+`;
+
+// Tables only the app created
+const APP_TABLES = `
+  CREATE TABLE settings (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE sync_metadata (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    table_name TEXT NOT NULL,
+    record_id INTEGER NOT NULL,
+    last_modified DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sync_status TEXT DEFAULT 'pending',
+    supabase_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(table_name, record_id)
+  );
+  CREATE TABLE sync_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sync_type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    message TEXT,
+    records_synced INTEGER DEFAULT 0,
+    error_details TEXT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME
+  );
+  CREATE TABLE chat_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT,
+    context_task_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (context_task_id) REFERENCES tasks(id)
+  );
+  CREATE TABLE chat_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    is_error INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES chat_sessions(id) ON DELETE CASCADE
+  );
+  CREATE TABLE filters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    icon TEXT DEFAULT 'filter-outline',
+    color TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sync_status TEXT DEFAULT 'pending',
+    deleted_at DATETIME
+  );
+  CREATE TABLE filter_tags (
+    filter_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    PRIMARY KEY (filter_id, tag_id),
+    FOREIGN KEY (filter_id) REFERENCES filters(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+  );
+  CREATE TABLE filter_projects (
+    filter_id INTEGER NOT NULL,
+    project_id INTEGER NOT NULL,
+    PRIMARY KEY (filter_id, project_id),
+    FOREIGN KEY (filter_id) REFERENCES filters(id) ON DELETE CASCADE,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+  );
+  CREATE INDEX idx_filter_tags_filter_id ON filter_tags(filter_id);
+  CREATE INDEX idx_filter_tags_tag_id ON filter_tags(tag_id);
+  CREATE INDEX idx_filter_projects_filter_id ON filter_projects(filter_id);
+  CREATE INDEX idx_filter_projects_project_id ON filter_projects(project_id);
+`;
+
+// What builds added between the first release and versioning: schedule
+// columns, the search index and (app only) the filter query
+const SCHEDULE_COLUMNS = `
+  ALTER TABLE tasks ADD COLUMN due_at DATETIME;
+  ALTER TABLE tasks ADD COLUMN start_at DATETIME;
+  ALTER TABLE tasks ADD COLUMN recurrence TEXT;
+  CREATE INDEX idx_tasks_due_at ON tasks(due_at);
+  CREATE VIRTUAL TABLE tasks_fts USING fts5(
+    title,
+    body,
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+`;
+
+const SAMPLE_ROWS = `
+  INSERT INTO projects (name) VALUES ('Inbox');
+  INSERT INTO tasks (project_id, title, sync_status) VALUES (1, 'Pending task', 'pending');
+  INSERT INTO tasks (project_id, title, sync_status) VALUES (1, 'Synced task', 'synced');
+`;
+
+const FIXTURES = {
+  'app before versioning': CORE_TABLES + APP_TABLES + SCHEDULE_COLUMNS + 'ALTER TABLE filters ADD COLUMN query TEXT;' + SAMPLE_ROWS,
+  'baseline app': CORE_TABLES + APP_TABLES + SAMPLE_ROWS,
+  'baseline CLI': CORE_TABLES + SAMPLE_ROWS,
+  'CLI with schedule columns': CORE_TABLES + SCHEDULE_COLUMNS + SAMPLE_ROWS,
+};
+
+// Expo SQLite style interface over better-sqlite3, as in src/adapters/db.js
+function adapter(db) {
+  return {
+    runAsync: async (sql, params = []) => db.prepare(sql).run(...params),
+    getAllAsync: async (sql, params = []) => db.prepare(sql).all(...params),
+    getFirstAsync: async (sql, params = []) => db.prepare(sql).get(...params),
+    execAsync: async (sql) => {
+      db.exec(sql);
+    },
+  };
+}
+
+/**
+ * Tables, indexes and their columns (name and declared type). Defaults and
+ * column order are left out: ALTER TABLE can't match CREATE TABLE on those.
+ */
+function describeSchema(db) {
+  const objects = db.prepare(
+    "SELECT type, name, tbl_name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY type, name"
+  ).all();
+  return objects.map(({ type, name, tbl_name: table }) => {
+    if (type !== 'table') {
+      return { type, name, table };
+    }
+    const columns = db.prepare(`PRAGMA table_info(${name})`).all()
+      .map(col => `${col.name} ${col.type}`)
+      .sort();
+    return { type, name, columns };
+  });
+}
+
+function withTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prod-migrations-'));
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function freshSchema() {
+  const db = new Database(':memory:');
+  try {
+    await migrate(adapter(db), { log: () => {} });
+    return describeSchema(db);
+  } finally {
+    db.close();
+  }
+}
+
+test('a fresh install reaches the latest version', async () => {
+  const db = new Database(':memory:');
+  const result = await migrate(adapter(db), { log: () => {} });
+  assert.equal(result.fromVersion, 0);
+  assert.equal(result.toVersion, LATEST_VERSION);
+  assert.equal(db.pragma('user_version', { simple: true }), LATEST_VERSION);
+  db.close();
+});
+
+for (const [shape, sql] of Object.entries(FIXTURES)) {
+  test(`${shape}: migrates to the schema of a fresh install`, async () => {
+    const db = new Database(':memory:');
+    db.exec(sql);
+
+    const result = await migrate(adapter(db), { log: () => {} });
+
+    assert.equal(result.fromVersion, 0);
+    assert.equal(result.toVersion, LATEST_VERSION);
+    assert.equal(db.pragma('user_version', { simple: true }), LATEST_VERSION);
+    assert.deepEqual(describeSchema(db), await freshSchema());
+
+    // Existing rows survive, and what was waiting to push is queued
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM tasks').get().count, 2);
+    const queued = db.prepare("SELECT record_id FROM sync_outbox WHERE table_name = 'tasks'").all();
+    assert.deepEqual(queued.map(row => row.record_id), ['1']);
+
+    // Running again is a no-op
+    const again = await migrate(adapter(db), { log: () => {} });
+    assert.equal(again.migrations.length, 0);
+    db.close();
+  });
+
+  test(`${shape}: prod migrate --dry-run changes nothing`, () => {
+    withTempDir(dir => {
+      const file = path.join(dir, 'projects.db');
+      const db = new Database(file);
+      db.exec(sql);
+      const before = describeSchema(db);
+      db.close();
+
+      const output = execFileSync(process.execPath, [PROD, 'migrate', '--dry-run', '--json'], {
+        cwd: dir,
+        encoding: 'utf8',
+      });
+      const result = JSON.parse(output);
+      assert.equal(result.dryRun, true);
+      assert.equal(result.fromVersion, 0);
+      assert.equal(result.migrations.length, LATEST_VERSION);
+
+      const after = new Database(file, { readonly: true });
+      assert.equal(after.pragma('user_version', { simple: true }), 0);
+      assert.deepEqual(describeSchema(after), before);
+      after.close();
+    });
+  });
+}
@@ -1,27 +1,37 @@
 import { getDb } from '@/lib/database';
+import { enqueueMutation, enqueueMutations } from '@/repositories/outbox';
 
 // Chat Sessions
 
-export async function createChatSession(title = 'New Chat', contextTaskId = null) {
+/**
+ * Start a chat session
+ * @param {string} [title]
+ * @param {number} [contextTaskId]
+ * @param {Object} [chatModel] - { provider, model } to answer in this chat instead of the AI Chat settings
+ * @returns {Promise<number>} The session ID
+ */
+export async function createChatSession(title = 'New Chat', contextTaskId = null, chatModel = null) {
   const db = getDb();
+  const now = new Date().toISOString();
   const result = await db.runAsync(
-    'INSERT INTO chat_sessions (title, context_task_id) VALUES (?, ?)',
-    [title, contextTaskId]
+    'INSERT INTO chat_sessions (title, context_task_id, provider, model, created_at, updated_at, sync_status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [title, contextTaskId, chatModel?.provider || null, chatModel?.model || null, now, now, 'pending']
   );
+  await enqueueMutation('chat_sessions', result.lastInsertRowId);
   return result.lastInsertRowId;
 }
 
 export async function getChatSessions() {
   const db = getDb();
   return await db.getAllAsync(
-    'SELECT * FROM chat_sessions ORDER BY updated_at DESC'
+    'SELECT * FROM chat_sessions WHERE deleted_at IS NULL ORDER BY datetime(updated_at) DESC'
   );
 }
 
 export async function getChatSessionById(id) {
   const db = getDb();
   return await db.getFirstAsync(
-    'SELECT * FROM chat_sessions WHERE id = ?',
+    'SELECT * FROM chat_sessions WHERE id = ? AND deleted_at IS NULL',
     [id]
   );
 }
@@ -29,53 +39,113 @@ export async function getChatSessionById(id) {
 export async function updateChatSessionTitle(id, title) {
   const db = getDb();
   await db.runAsync(
-    'UPDATE chat_sessions SET title = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-    [title, id]
+    "UPDATE chat_sessions SET title = ?, updated_at = ?, sync_status = 'pending' WHERE id = ?",
+    [title, new Date().toISOString(), id]
   );
+  await enqueueMutation('chat_sessions', id);
+}
+
+/**
+ * Choose the provider and model that answer in a chat
+ * @param {number} id
+ * @param {Object|null} chatModel - { provider, model } (model null: the provider's default),
+ *   or null to go back to the AI Chat settings
+ */
+export async function updateChatSessionModel(id, chatModel) {
+  const db = getDb();
+  await db.runAsync(
+    "UPDATE chat_sessions SET provider = ?, model = ?, updated_at = ?, sync_status = 'pending' WHERE id = ?",
+    [chatModel?.provider || null, chatModel?.model || null, new Date().toISOString(), id]
+  );
+  await enqueueMutation('chat_sessions', id);
 }
 
 export async function deleteChatSession(id) {
   const db = getDb();
-  await db.runAsync('DELETE FROM chat_sessions WHERE id = ?', [id]);
+  const now = new Date().toISOString();
+  // Soft delete the session and its messages so the deletion syncs
+  await enqueueMutations('chat_messages', 'session_id = ? AND deleted_at IS NULL', [id], 'delete');
+  await db.runAsync(
+    "UPDATE chat_messages SET deleted_at = ?, sync_status = 'pending_delete' WHERE session_id = ? AND deleted_at IS NULL",
+    [now, id]
+  );
+  await db.runAsync(
+    "UPDATE chat_sessions SET deleted_at = ?, sync_status = 'pending_delete' WHERE id = ?",
+    [now, id]
+  );
+  await enqueueMutation('chat_sessions', id, 'delete');
 }
 
 export async function getLatestSessionForTask(taskId) {
   const db = getDb();
   return await db.getFirstAsync(
-    'SELECT * FROM chat_sessions WHERE context_task_id = ? ORDER BY updated_at DESC LIMIT 1',
+    'SELECT * FROM chat_sessions WHERE context_task_id = ? AND deleted_at IS NULL ORDER BY datetime(updated_at) DESC LIMIT 1',
     [taskId]
   );
 }
 
 // Chat Messages
 
-export async function addChatMessage(sessionId, role, content, isError = false) {
+/**
+ * Add a message to a chat session
+ * @param {number} sessionId
+ * @param {string} role - 'user' or 'assistant'
+ * @param {string} content
+ * @param {boolean} [isError]
+ * @param {Object} [usage] - { input_tokens, output_tokens } the reply used; added to the session's total
+ * @returns {Promise<number>} The message ID
+ */
+export async function addChatMessage(sessionId, role, content, isError = false, usage = null) {
   const db = getDb();
+  const now = new Date().toISOString();
   const result = await db.runAsync(
-    'INSERT INTO chat_messages (session_id, role, content, is_error) VALUES (?, ?, ?, ?)',
-    [sessionId, role, content, isError ? 1 : 0]
+    'INSERT INTO chat_messages (session_id, role, content, is_error, input_tokens, output_tokens, updated_at, sync_status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [sessionId, role, content, isError ? 1 : 0, usage?.input_tokens ?? null, usage?.output_tokens ?? null, now, 'pending']
   );
-  
-  // Update session updated_at
+
+  await enqueueMutation('chat_messages', result.lastInsertRowId);
+
+  // Update session updated_at, and its token total
+  await addChatSessionUsage(sessionId, usage, now);
+
+  return result.lastInsertRowId;
+}
+
+/**
+ * Add the tokens a reply used to its session's total
+ * The total is kept on the session rather than summed from its messages: replies that
+ * failed or were cancelled before any text arrived used tokens but save no message,
+ * and tokens spent stay counted if a message is deleted.
+ * @param {number} sessionId
+ * @param {Object} [usage] - { input_tokens, output_tokens }
+ * @param {string} [now] - updated_at for the session (defaults to the current time)
+ */
+export async function addChatSessionUsage(sessionId, usage, now = new Date().toISOString()) {
+  const db = getDb();
   await db.runAsync(
-    'UPDATE chat_sessions SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-    [sessionId]
+    `UPDATE chat_sessions SET
+       input_tokens = COALESCE(input_tokens, 0) + ?,
+       output_tokens = COALESCE(output_tokens, 0) + ?,
+       updated_at = ?, sync_status = 'pending'
+     WHERE id = ?`,
+    [usage?.input_tokens || 0, usage?.output_tokens || 0, now, sessionId]
   );
-  
-  return result.lastInsertRowId;
+  await enqueueMutation('chat_sessions', sessionId);
 }
 
 export async function getChatMessages(sessionId) {
   const db = getDb();
   return await db.getAllAsync(
-    'SELECT * FROM chat_messages WHERE session_id = ? ORDER BY created_at ASC',
+    'SELECT * FROM chat_messages WHERE session_id = ? AND deleted_at IS NULL ORDER BY datetime(created_at) ASC, id ASC',
     [sessionId]
   );
 }
 
 export async function deleteChatMessage(id) {
     const db = getDb();
-    await db.runAsync('DELETE FROM chat_messages WHERE id = ?', [id]);
+    await db.runAsync(
+      "UPDATE chat_messages SET deleted_at = ?, sync_status = 'pending_delete' WHERE id = ?",
+      [new Date().toISOString(), id]
+    );
+    await enqueueMutation('chat_messages', id, 'delete');
 }
-
-
@@ -1,4 +1,7 @@
-import { getDb, withRetry } from '../lib/database.js';
+import { getDb, withRetry, withTransaction } from '../lib/database.js';
+import { validateFilterQuery } from '../lib/filter-query.js';
+import { enqueueMutation } from './outbox.js';
+import { getTasksByQuery } from './tasks.js';
 
 /**
  * Get all filters (non-deleted only)
@@ -27,24 +30,40 @@ export async function getFilterById(id) {
   });
 }
 
+/**
+ * Normalize a filter query: blank means "no query", anything else must compile
+ */
+function normalizeQuery(query) {
+  if (query === undefined) return undefined;
+  if (query === null || !query.trim()) return null;
+  const error = validateFilterQuery(query);
+  if (error) {
+    throw new Error(error);
+  }
+  return query.trim();
+}
+
 /**
  * Create a new filter
+ * @param {string|null} query - Optional query expression (see lib/filter-query.js)
  */
-export async function createFilter(name, icon = 'filter-outline', color = null) {
+export async function createFilter(name, icon = 'filter-outline', color = null, query = null) {
   console.log(`📝 Creating new filter: "${name}"`);
-  return await withRetry(async () => {
+  const filterQuery = normalizeQuery(query) ?? null;
+  return await withTransaction(async () => {
     const db = getDb();
     const now = new Date().toISOString();
     
     const result = await db.runAsync(
-      'INSERT INTO filters (name, icon, color, created_at, updated_at, sync_status) VALUES (?, ?, ?, ?, ?, ?)',
-      [name, icon, color, now, now, 'pending']
+      'INSERT INTO filters (name, icon, color, query, created_at, updated_at, sync_status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [name, icon, color, filterQuery, now, now, 'pending']
     );
     const filterId = result.lastInsertRowId;
+    await enqueueMutation('filters', filterId);
     
     console.log(`✅ Filter created locally with ID: ${filterId}`);
     
-    return { id: filterId, name, icon, color };
+    return { id: filterId, name, icon, color, query: filterQuery };
   });
 }
 
@@ -53,7 +72,8 @@ export async function createFilter(name, icon = 'filter-outline', color = null)
  */
 export async function updateFilter(id, updates) {
   console.log(`📝 Updating filter ${id}:`, updates);
-  return await withRetry(async () => {
+  const filterQuery = normalizeQuery(updates.query);
+  return await withTransaction(async () => {
     const db = getDb();
     const now = new Date().toISOString();
     
@@ -72,6 +92,10 @@ export async function updateFilter(id, updates) {
       setClauses.push('color = ?');
       params.push(updates.color);
     }
+    if (filterQuery !== undefined) {
+      setClauses.push('query = ?');
+      params.push(filterQuery);
+    }
     
     // Always update timestamp and sync status
     setClauses.push('updated_at = ?');
@@ -88,6 +112,7 @@ export async function updateFilter(id, updates) {
       console.error(`❌ Filter ${id} not found for update`);
       throw new Error('Filter not found');
     }
+    await enqueueMutation('filters', id);
     
     console.log(`✅ Filter ${id} updated locally`);
     
@@ -100,7 +125,7 @@ export async function updateFilter(id, updates) {
  */
 export async function deleteFilter(id) {
   console.log(`🗑️ Soft deleting filter ${id}`);
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     const now = new Date().toISOString();
     
@@ -114,6 +139,7 @@ export async function deleteFilter(id) {
       console.error(`❌ Filter ${id} not found for deletion`);
       throw new Error('Filter not found');
     }
+    await enqueueMutation('filters', id, 'delete');
     
     console.log(`✅ Filter ${id} soft deleted locally (will sync to Supabase)`);
     
@@ -121,6 +147,19 @@ export async function deleteFilter(id) {
   });
 }
 
+/**
+ * Mark a filter as changed so its tag/project relationships are pushed on the next sync
+ */
+async function touchFilter(db, filterId) {
+  const result = await db.runAsync(
+    "UPDATE filters SET updated_at = ?, sync_status = 'pending' WHERE id = ? AND deleted_at IS NULL",
+    [new Date().toISOString(), filterId]
+  );
+  if (result.changes > 0) {
+    await enqueueMutation('filters', filterId);
+  }
+}
+
 // ============================================================================
 // Filter-Tag Relationship Methods
 // ============================================================================
@@ -130,7 +169,7 @@ export async function deleteFilter(id) {
  */
 export async function addTagToFilter(filterId, tagId) {
   console.log(`🔗 Adding tag ${tagId} to filter ${filterId}`);
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     
     try {
@@ -138,6 +177,7 @@ export async function addTagToFilter(filterId, tagId) {
         'INSERT INTO filter_tags (filter_id, tag_id) VALUES (?, ?)',
         [filterId, tagId]
       );
+      await touchFilter(db, filterId);
       console.log(`✅ Tag ${tagId} added to filter ${filterId}`);
       return { filterId, tagId };
     } catch (error) {
@@ -156,13 +196,14 @@ export async function addTagToFilter(filterId, tagId) {
  */
 export async function removeTagFromFilter(filterId, tagId) {
   console.log(`🔗 Removing tag ${tagId} from filter ${filterId}`);
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     
     const result = await db.runAsync(
       'DELETE FROM filter_tags WHERE filter_id = ? AND tag_id = ?',
       [filterId, tagId]
     );
+    await touchFilter(db, filterId);
     
     console.log(`✅ Tag ${tagId} removed from filter ${filterId} (${result.changes} rows affected)`);
     
@@ -199,7 +240,7 @@ export async function getFilterTags(filterId) {
  */
 export async function addProjectToFilter(filterId, projectId) {
   console.log(`🔗 Adding project ${projectId} to filter ${filterId}`);
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     
     try {
@@ -207,6 +248,7 @@ export async function addProjectToFilter(filterId, projectId) {
         'INSERT INTO filter_projects (filter_id, project_id) VALUES (?, ?)',
         [filterId, projectId]
       );
+      await touchFilter(db, filterId);
       console.log(`✅ Project ${projectId} added to filter ${filterId}`);
       return { filterId, projectId };
     } catch (error) {
@@ -225,13 +267,14 @@ export async function addProjectToFilter(filterId, projectId) {
  */
 export async function removeProjectFromFilter(filterId, projectId) {
   console.log(`🔗 Removing project ${projectId} from filter ${filterId}`);
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     
     const result = await db.runAsync(
       'DELETE FROM filter_projects WHERE filter_id = ? AND project_id = ?',
       [filterId, projectId]
     );
+    await touchFilter(db, filterId);
     
     console.log(`✅ Project ${projectId} removed from filter ${filterId} (${result.changes} rows affected)`);
     
@@ -265,10 +308,18 @@ export async function getFilterProjects(filterId) {
 
 /**
  * Get all tasks that match a filter's criteria
- * Uses OR logic: tasks match if they have ANY of the filter's tags OR are in ANY of the filter's projects
- * Excludes completed tasks
+ * If the filter has a query expression, it is compiled and used as-is.
+ * Otherwise uses OR logic: tasks match if they have ANY of the filter's tags OR are in ANY of the filter's projects
+ * (legacy filters exclude completed tasks)
  */
 export async function getTasksByFilter(filterId) {
+  const filter = await getFilterById(filterId);
+  if (filter?.query) {
+    const tasks = await getTasksByQuery(filter.query);
+    console.log(`✅ Filter ${filterId} query returned ${tasks.length} tasks`);
+    return tasks;
+  }
+
   return await withRetry(async () => {
     const db = getDb();
     
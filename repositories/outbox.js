@@ -0,0 +1,165 @@
+import { getDb, withRetry } from '../lib/database.js';
+
+// Failed pushes are retried this many times before the record is dead-lettered
+export const OUTBOX_MAX_ATTEMPTS = 8;
+// Wait after the first failed push; doubles with every further failure up to the max
+export const OUTBOX_BASE_DELAY_MS = 30 * 1000;
+export const OUTBOX_MAX_DELAY_MS = 60 * 60 * 1000;
+
+// Tables pushed through the outbox
+const SYNCED_TABLES = ['projects', 'sections', 'tags', 'tasks', 'filters', 'chat_sessions', 'chat_messages', 'settings'];
+
+// A record already in the queue keeps its place; a new change resets its retry state
+const REQUEUE = `ON CONFLICT(table_name, record_id) DO UPDATE SET
+  operation = excluded.operation,
+  status = 'pending',
+  attempts = 0,
+  last_error = NULL,
+  next_attempt_at = excluded.next_attempt_at`;
+
+// Called after every change queued from this process (auto sync pushes shortly after)
+const listeners = new Set();
+
+/**
+ * Get notified whenever a change is queued
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notifyListeners() {
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Delay before the next push attempt after a number of failures
+ * @param {number} attempts - Failed attempts so far (1 after the first failure)
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(OUTBOX_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), OUTBOX_MAX_DELAY_MS);
+}
+
+/**
+ * Queue a changed record for the next push
+ * Called from the repositories inside their own DB operation, so it doesn't retry.
+ * @param {string} tableName - Synced table
+ * @param {number|string} recordId - Primary key of the record
+ * @param {'upsert'|'delete'} [operation]
+ */
+export async function enqueueMutation(tableName, recordId, operation = 'upsert') {
+  const db = getDb();
+  const now = new Date().toISOString();
+  await db.runAsync(
+    `INSERT INTO sync_outbox (table_name, record_id, operation, created_at, next_attempt_at)
+     VALUES (?, ?, ?, ?, ?) ${REQUEUE}`,
+    [tableName, String(recordId), operation, now, now]
+  );
+  notifyListeners();
+}
+
+/**
+ * Queue every record of a table matching a condition (bulk updates such as cascading deletes)
+ * Only for tables keyed by `id`.
+ * @param {string} tableName - Synced table
+ * @param {string} where - SQL condition on the table
+ * @param {Array} params - Parameters of the condition
+ * @param {'upsert'|'delete'} [operation]
+ */
+export async function enqueueMutations(tableName, where, params, operation = 'upsert') {
+  const db = getDb();
+  const now = new Date().toISOString();
+  await db.runAsync(
+    `INSERT INTO sync_outbox (table_name, record_id, operation, created_at, next_attempt_at)
+     SELECT ?, CAST(id AS TEXT), ?, ?, ? FROM ${tableName} WHERE ${where} ORDER BY id ${REQUEUE}`,
+    [tableName, operation, now, now, ...params]
+  );
+  notifyListeners();
+}
+
+/**
+ * Drop queue entries whose record no longer needs a push
+ * (replaced by a pulled version, removed after its deletion synced, ...)
+ * Called from other DB operations, so it doesn't retry.
+ */
+export async function pruneOutbox() {
+  const db = getDb();
+  for (const tableName of SYNCED_TABLES) {
+    const primaryKey = tableName === 'settings' ? 'key' : 'id';
+    await db.runAsync(
+      `DELETE FROM sync_outbox WHERE table_name = ? AND record_id NOT IN (
+         SELECT CAST(${primaryKey} AS TEXT) FROM ${tableName} WHERE sync_status IN ('pending', 'pending_delete')
+       )`,
+      [tableName]
+    );
+  }
+}
+
+/**
+ * Number of queued changes that the next push would send (not backing off, not dead)
+ * @returns {Promise<number>}
+ */
+export async function countDueMutations() {
+  return await withRetry(async () => {
+    const db = getDb();
+    const row = await db.getFirstAsync(
+      `SELECT COUNT(*) as count FROM sync_outbox
+       WHERE status = 'pending' AND datetime(next_attempt_at) <= datetime('now')`
+    );
+    return row?.count || 0;
+  });
+}
+
+/**
+ * Summary of the push queue
+ * @returns {Promise<Object>} { queued, retrying, dead, nextAttemptAt, failures }
+ *   queued: records waiting to push (including retrying ones)
+ *   retrying: records whose last push failed and that are waiting out their backoff
+ *   dead: records that failed OUTBOX_MAX_ATTEMPTS times and are no longer pushed
+ *   nextAttemptAt: earliest retry of a failed record (ISO string or null)
+ *   failures: retrying and dead entries, oldest first
+ */
+export async function getOutboxStatus() {
+  return await withRetry(async () => {
+    const db = getDb();
+    await pruneOutbox();
+    const counts = await db.getFirstAsync(`
+      SELECT
+        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as queued,
+        SUM(CASE WHEN status = 'pending' AND attempts > 0 THEN 1 ELSE 0 END) as retrying,
+        SUM(CASE WHEN status = 'dead' THEN 1 ELSE 0 END) as dead,
+        MIN(CASE WHEN status = 'pending' AND attempts > 0 THEN next_attempt_at END) as next_attempt_at
+      FROM sync_outbox
+    `);
+    const failures = await db.getAllAsync(
+      'SELECT * FROM sync_outbox WHERE attempts > 0 OR status = ? ORDER BY id',
+      ['dead']
+    );
+    return {
+      queued: counts?.queued || 0,
+      retrying: counts?.retrying || 0,
+      dead: counts?.dead || 0,
+      nextAttemptAt: counts?.next_attempt_at || null,
+      failures,
+    };
+  });
+}
+
+/**
+ * Push failed and dead-lettered records again on the next sync, without waiting for their backoff
+ * @returns {Promise<number>} Number of records queued again
+ */
+export async function retryFailedPushes() {
+  return await withRetry(async () => {
+    const db = getDb();
+    const result = await db.runAsync(
+      `UPDATE sync_outbox SET status = 'pending', attempts = 0, next_attempt_at = ?
+       WHERE status = 'dead' OR attempts > 0`,
+      [new Date().toISOString()]
+    );
+    return result.changes;
+  });
+}
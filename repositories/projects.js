@@ -1,9 +1,12 @@
-import { getDb, withRetry } from '../lib/database.js';
+import { getDb, withRetry, withTransaction } from '../lib/database.js';
+import { sortKeyAtEdge, sortKeyNextTo } from '../lib/sort-keys.js';
+import { trashTaskTags } from '../lib/trash.js';
+import { enqueueMutation, enqueueMutations } from './outbox.js';
 
 export async function getAllProjects() {
   return await withRetry(async () => {
     const db = getDb();
-    const projects = await db.getAllAsync('SELECT * FROM projects WHERE deleted_at IS NULL ORDER BY id');
+    const projects = await db.getAllAsync('SELECT * FROM projects WHERE deleted_at IS NULL ORDER BY sort_key, id');
     return projects;
   });
 }
@@ -34,23 +37,25 @@ export async function getPromptsProject() {
 
 export async function createProject(name) {
   console.log(`📝 Creating new project: "${name}"`);
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
+    const sortKey = await sortKeyAtEdge(db, { enqueueMutation }, 'projects', {}, 'end');
     const result = await db.runAsync(
-      'INSERT INTO projects (name, sync_status) VALUES (?, ?)',
-      [name, 'pending']
+      'INSERT INTO projects (name, sort_key, sync_status) VALUES (?, ?, ?)',
+      [name, sortKey, 'pending']
     );
     const projectId = result.lastInsertRowId;
+    await enqueueMutation('projects', projectId);
     
     console.log(`✅ Project created locally with ID: ${projectId}`);
     
-    return { id: projectId, name };
+    return { id: projectId, name, sort_key: sortKey };
   });
 }
 
 export async function updateProject(id, name, defaultSectionId = undefined) {
   console.log(`📝 Updating project ${id} to: "${name}"${defaultSectionId !== undefined ? `, default_section_id: ${defaultSectionId}` : ''}`);
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     const now = new Date().toISOString();
     
@@ -71,6 +76,7 @@ export async function updateProject(id, name, defaultSectionId = undefined) {
       console.error(`❌ Project ${id} not found for update`);
       throw new Error('Project not found');
     }
+    await enqueueMutation('projects', id);
     
     console.log(`✅ Project ${id} updated locally`);
     
@@ -78,18 +84,57 @@ export async function updateProject(id, name, defaultSectionId = undefined) {
   });
 }
 
+/**
+ * Move a project right before or after another project
+ * @param {number} id
+ * @param {Object} position - { beforeId } or { afterId }
+ */
+export async function moveProject(id, { beforeId = null, afterId = null }) {
+  const targetId = beforeId ?? afterId;
+  console.log(`↕️ Moving project ${id} ${beforeId ? 'before' : 'after'} project ${targetId}`);
+  return await withTransaction(async () => {
+    const db = getDb();
+    const project = await db.getFirstAsync('SELECT id FROM projects WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+    const { sortKey } = await sortKeyNextTo(db, { enqueueMutation }, 'projects', id, targetId, beforeId ? 'before' : 'after');
+    const now = new Date().toISOString();
+    await db.runAsync(
+      'UPDATE projects SET sort_key = ?, updated_at = ?, sync_status = ? WHERE id = ?',
+      [sortKey, now, 'pending', id]
+    );
+    await enqueueMutation('projects', id);
+
+    return { id, sort_key: sortKey };
+  });
+}
+
 export async function deleteProject(id) {
   console.log(`🗑️ Soft deleting project ${id}`);
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     const now = new Date().toISOString();
     
-    // Soft delete all tasks in this project
+    // Soft delete all tasks in this project (their tags wait in the trash with them)
+    const deleting = await db.getAllAsync(
+      'SELECT id FROM tasks WHERE project_id = ? AND deleted_at IS NULL',
+      [id]
+    );
+    await trashTaskTags(db, deleting.map(task => task.id));
     const tasksResult = await db.runAsync(
       'UPDATE tasks SET deleted_at = ?, sync_status = ? WHERE project_id = ? AND deleted_at IS NULL',
       [now, 'pending_delete', id]
     );
+    await enqueueMutations('tasks', 'project_id = ? AND deleted_at = ?', [id, now], 'delete');
     console.log(`🗑️ Soft deleted ${tasksResult.changes} tasks from project ${id}`);
+
+    // And its sections, so restoring the project brings them back together
+    await db.runAsync(
+      'UPDATE sections SET deleted_at = ?, sync_status = ? WHERE project_id = ? AND deleted_at IS NULL',
+      [now, 'pending_delete', id]
+    );
+    await enqueueMutations('sections', 'project_id = ? AND deleted_at = ?', [id, now], 'delete');
     
     // Soft delete the project
     const result = await db.runAsync(
@@ -101,6 +146,7 @@ export async function deleteProject(id) {
       console.error(`❌ Project ${id} not found for deletion`);
       throw new Error('Project not found');
     }
+    await enqueueMutation('projects', id, 'delete');
     
     console.log(`✅ Project ${id} soft deleted locally (will sync to Supabase)`);
     
@@ -0,0 +1,94 @@
+import { getDb, withRetry } from '../lib/database.js';
+import { buildFtsQuery, descriptionToSearchText, HIGHLIGHT_END, HIGHLIGHT_START } from '../lib/search-utils.js';
+
+/**
+ * Add or refresh a task in the full-text index
+ * Called from the task repository inside its own DB operation, so it doesn't retry.
+ * @param {number} taskId - Task ID (used as the FTS rowid)
+ * @param {string} title - Task title
+ * @param {string|null} description - Task description (blocks format)
+ */
+export async function indexTask(taskId, title, description) {
+  try {
+    const db = getDb();
+    await db.runAsync('DELETE FROM tasks_fts WHERE rowid = ?', [taskId]);
+    await db.runAsync(
+      'INSERT INTO tasks_fts (rowid, title, body) VALUES (?, ?, ?)',
+      [taskId, title || '', descriptionToSearchText(description)]
+    );
+  } catch (error) {
+    // The index is derived data: never fail the task write because of it
+    console.warn(`⚠️ Failed to index task ${taskId} for search:`, error.message);
+  }
+}
+
+/**
+ * Remove tasks from the full-text index
+ * @param {Array<number>} taskIds - Task IDs to remove
+ */
+export async function removeTasksFromIndex(taskIds) {
+  if (!taskIds || taskIds.length === 0) return;
+  try {
+    const db = getDb();
+    const placeholders = taskIds.map(() => '?').join(', ');
+    await db.runAsync(`DELETE FROM tasks_fts WHERE rowid IN (${placeholders})`, taskIds);
+  } catch (error) {
+    console.warn('⚠️ Failed to remove tasks from search index:', error.message);
+  }
+}
+
+/**
+ * Rebuild the full-text index from scratch
+ * @returns {Promise<number>} Number of tasks indexed
+ */
+export async function rebuildSearchIndex() {
+  console.log('🔎 Rebuilding search index...');
+  return await withRetry(async () => {
+    const db = getDb();
+    const tasks = await db.getAllAsync('SELECT id, title, description FROM tasks WHERE deleted_at IS NULL');
+
+    await db.runAsync('DELETE FROM tasks_fts');
+    for (const task of tasks) {
+      await db.runAsync(
+        'INSERT INTO tasks_fts (rowid, title, body) VALUES (?, ?, ?)',
+        [task.id, task.title || '', descriptionToSearchText(task.description)]
+      );
+    }
+
+    console.log(`✅ Search index rebuilt with ${tasks.length} tasks`);
+    return tasks.length;
+  });
+}
+
+/**
+ * Search task titles and block content
+ * Results are ranked with title matches weighted above body matches.
+ * Snippets wrap matched terms in HIGHLIGHT_START / HIGHLIGHT_END (see lib/search-utils.js).
+ * @param {string} query - Free text typed by the user
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of results (defaults to 50)
+ * @param {boolean} [options.includeCompleted] - Include completed tasks (defaults to true)
+ * @returns {Promise<Array>} Tasks with project_name, title_snippet and body_snippet
+ */
+export async function searchTasks(query, { limit = 50, includeCompleted = true } = {}) {
+  const match = buildFtsQuery(query);
+  if (!match) return [];
+
+  return await withRetry(async () => {
+    const db = getDb();
+    const tasks = await db.getAllAsync(`
+      SELECT t.*, p.name as project_name,
+        highlight(tasks_fts, 0, ?, ?) as title_snippet,
+        snippet(tasks_fts, 1, ?, ?, '…', 12) as body_snippet
+      FROM tasks_fts
+      INNER JOIN tasks t ON t.id = tasks_fts.rowid
+      LEFT JOIN projects p ON t.project_id = p.id
+      WHERE tasks_fts MATCH ?
+        AND t.deleted_at IS NULL
+        ${includeCompleted ? '' : 'AND t.completed = 0'}
+      ORDER BY bm25(tasks_fts, 10.0, 1.0), t.id DESC
+      LIMIT ?
+    `, [HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END, match, limit]);
+    return tasks;
+  });
+}
@@ -1,9 +1,11 @@
-import { getDb, withRetry } from '../lib/database.js';
+import { getDb, withRetry, withTransaction } from '../lib/database.js';
+import { sortKeyAtEdge, sortKeyNextTo } from '../lib/sort-keys.js';
+import { enqueueMutation, enqueueMutations } from './outbox.js';
 
 export async function getAllSections() {
   return await withRetry(async () => {
     const db = getDb();
-    const sections = await db.getAllAsync('SELECT * FROM sections WHERE deleted_at IS NULL ORDER BY id');
+    const sections = await db.getAllAsync('SELECT * FROM sections WHERE deleted_at IS NULL ORDER BY sort_key, id');
     return sections;
   });
 }
@@ -12,7 +14,7 @@ export async function getSectionsByProjectId(projectId) {
   return await withRetry(async () => {
     const db = getDb();
     const sections = await db.getAllAsync(
-      'SELECT * FROM sections WHERE project_id = ? AND deleted_at IS NULL ORDER BY id',
+      'SELECT * FROM sections WHERE project_id = ? AND deleted_at IS NULL ORDER BY sort_key, id',
       [projectId]
     );
     return sections;
@@ -29,23 +31,25 @@ export async function getSectionById(id) {
 
 export async function createSection(projectId, name) {
   console.log(`📝 Creating new section: "${name}" in project ${projectId}`);
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
+    const sortKey = await sortKeyAtEdge(db, { enqueueMutation }, 'sections', { project_id: projectId }, 'end');
     const result = await db.runAsync(
-      'INSERT INTO sections (project_id, name, sync_status) VALUES (?, ?, ?)',
-      [projectId, name, 'pending']
+      'INSERT INTO sections (project_id, name, sort_key, sync_status) VALUES (?, ?, ?, ?)',
+      [projectId, name, sortKey, 'pending']
     );
     const sectionId = result.lastInsertRowId;
+    await enqueueMutation('sections', sectionId);
     
     console.log(`✅ Section created locally with ID: ${sectionId}`);
     
-    return { id: sectionId, project_id: projectId, name };
+    return { id: sectionId, project_id: projectId, name, sort_key: sortKey };
   });
 }
 
 export async function updateSection(id, name) {
   console.log(`📝 Updating section ${id} to: "${name}"`);
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     const now = new Date().toISOString();
     const result = await db.runAsync(
@@ -57,6 +61,7 @@ export async function updateSection(id, name) {
       console.error(`❌ Section ${id} not found for update`);
       throw new Error('Section not found');
     }
+    await enqueueMutation('sections', id);
     
     console.log(`✅ Section ${id} updated locally`);
     
@@ -64,14 +69,44 @@ export async function updateSection(id, name) {
   });
 }
 
+/**
+ * Move a section right before or after another section of the same project
+ * @param {number} id
+ * @param {Object} position - { beforeId } or { afterId }
+ */
+export async function moveSection(id, { beforeId = null, afterId = null }) {
+  const targetId = beforeId ?? afterId;
+  console.log(`↕️ Moving section ${id} ${beforeId ? 'before' : 'after'} section ${targetId}`);
+  return await withTransaction(async () => {
+    const db = getDb();
+    const section = await db.getFirstAsync('SELECT project_id FROM sections WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!section) {
+      throw new Error('Section not found');
+    }
+    const { sortKey, target } = await sortKeyNextTo(db, { enqueueMutation }, 'sections', id, targetId, beforeId ? 'before' : 'after');
+    if (target.project_id !== section.project_id) {
+      throw new Error('Sections can only be reordered within their project');
+    }
+    const now = new Date().toISOString();
+    await db.runAsync(
+      'UPDATE sections SET sort_key = ?, updated_at = ?, sync_status = ? WHERE id = ?',
+      [sortKey, now, 'pending', id]
+    );
+    await enqueueMutation('sections', id);
+
+    return { id, sort_key: sortKey };
+  });
+}
+
 export async function deleteSection(id) {
   console.log(`🗑️ Soft deleting section ${id}`);
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     const now = new Date().toISOString();
     
     // Soft delete all tasks in this section by removing their section_id reference
     // This ensures tasks remain in the project but are no longer in a section
+    await enqueueMutations('tasks', 'section_id = ? AND deleted_at IS NULL', [id]);
     const tasksResult = await db.runAsync(
       'UPDATE tasks SET section_id = NULL, updated_at = ?, sync_status = ? WHERE section_id = ? AND deleted_at IS NULL',
       [now, 'pending', id]
@@ -88,6 +123,7 @@ export async function deleteSection(id) {
       console.error(`❌ Section ${id} not found for deletion`);
       throw new Error('Section not found');
     }
+    await enqueueMutation('sections', id, 'delete');
     
     console.log(`✅ Section ${id} soft deleted locally (will sync to Supabase)`);
     
@@ -1,9 +1,13 @@
 import { getDb } from '../lib/database';
+import { enqueueMutation } from './outbox.js';
+
+// Settings whose key starts with this prefix stay on the device and are never synced
+export const LOCAL_SETTING_PREFIX = 'local_';
 
 export const getSetting = async (key) => {
   const db = getDb();
   try {
-    const result = await db.getFirstAsync('SELECT value FROM settings WHERE key = ?', [key]);
+    const result = await db.getFirstAsync('SELECT value FROM settings WHERE key = ? AND deleted_at IS NULL', [key]);
     return result ? result.value : null;
   } catch (error) {
     console.error(`Error getting setting ${key}:`, error);
@@ -13,15 +17,27 @@ export const getSetting = async (key) => {
 
 export const saveSetting = async ({ key, value }) => {
   const db = getDb();
+  const now = new Date().toISOString();
+  const synced = !key.startsWith(LOCAL_SETTING_PREFIX);
   try {
     if (value === null || value === undefined) {
-      await db.runAsync('DELETE FROM settings WHERE key = ?', [key]);
+      // Soft delete so the removal syncs to other devices
+      const result = await db.runAsync(
+        `UPDATE settings SET deleted_at = ?, updated_at = ?, sync_status = 'pending_delete' WHERE key = ?`,
+        [now, now, key]
+      );
+      if (synced && result.changes > 0) {
+        await enqueueMutation('settings', key, 'delete');
+      }
     } else {
       await db.runAsync(
-        `INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
-         ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
-        [key, value.toString()]
+        `INSERT INTO settings (key, value, updated_at, sync_status) VALUES (?, ?, ?, 'pending')
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at, sync_status = 'pending', deleted_at = NULL`,
+        [key, value.toString(), now]
       );
+      if (synced) {
+        await enqueueMutation('settings', key);
+      }
     }
     return value;
   } catch (error) {
@@ -29,4 +45,3 @@ export const saveSetting = async ({ key, value }) => {
     throw error;
   }
 };
-
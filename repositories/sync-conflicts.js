@@ -0,0 +1,202 @@
+import { mergeDescriptions } from '../lib/block-merge.js';
+import { getDb, withRetry } from '../lib/database.js';
+import { getPrimaryKey } from '../lib/sync/syncpush/shared/sync-tables.js';
+import { enqueueMutation } from './outbox.js';
+import { indexTask } from './search.js';
+import { getOrCreateTag } from './tags.js';
+
+// How an open conflict can be resolved
+export const CONFLICT_RESOLUTIONS = ['local', 'remote', 'merge'];
+
+// Snapshot keys that describe sync state rather than content; never written back
+const NON_CONTENT_KEYS = ['sync_status', 'synced_description', 'updated_at', 'tags', 'sync_seq'];
+
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function parseConflict(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    local_data: parseJson(row.local_data),
+    remote_data: parseJson(row.remote_data),
+    base_data: parseJson(row.base_data),
+    block_conflicts: parseJson(row.block_conflicts) || [],
+  };
+}
+
+/**
+ * Keep both versions of a record that collided during sync
+ * An older open conflict for the same record is marked 'superseded'.
+ * @param {Object} conflict
+ * @param {string} conflict.tableName - Synced table (tasks, projects, settings, ...)
+ * @param {number|string} conflict.recordId - Primary key of the record
+ * @param {Object} conflict.localData - Local row (tasks also carry `tags`: tag names)
+ * @param {Object} conflict.remoteData - Remote row, same shape
+ * @param {Object} [conflict.baseData] - Last synced version, if known ({ description } for tasks)
+ * @param {Array} [conflict.blockConflicts] - Blocks edited on both sides (see lib/block-merge.js)
+ * @returns {Promise<number>} ID of the new conflict
+ */
+export async function recordSyncConflict({ tableName, recordId, localData, remoteData, baseData = null, blockConflicts = [] }) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const now = new Date().toISOString();
+    await db.runAsync(
+      "UPDATE sync_conflicts SET resolved_at = ?, resolution = 'superseded' WHERE table_name = ? AND record_id = ? AND resolved_at IS NULL",
+      [now, tableName, String(recordId)]
+    );
+    const result = await db.runAsync(
+      `INSERT INTO sync_conflicts (table_name, record_id, local_data, remote_data, base_data, block_conflicts, detected_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tableName,
+        String(recordId),
+        JSON.stringify(localData),
+        JSON.stringify(remoteData),
+        baseData ? JSON.stringify(baseData) : null,
+        blockConflicts.length > 0 ? JSON.stringify(blockConflicts) : null,
+        now,
+      ]
+    );
+    return result.lastInsertRowId;
+  });
+}
+
+/**
+ * List sync conflicts, newest first
+ * @param {Object} [options]
+ * @param {boolean} [options.includeResolved] - Also return resolved conflicts
+ * @returns {Promise<Array>} Conflicts with parsed local_data / remote_data / base_data / block_conflicts
+ */
+export async function getSyncConflicts({ includeResolved = false } = {}) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const rows = await db.getAllAsync(
+      `SELECT * FROM sync_conflicts ${includeResolved ? '' : 'WHERE resolved_at IS NULL'} ORDER BY datetime(detected_at) DESC, id DESC`
+    );
+    return rows.map(parseConflict);
+  });
+}
+
+export async function getSyncConflictById(id) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const row = await db.getFirstAsync('SELECT * FROM sync_conflicts WHERE id = ?', [id]);
+    return parseConflict(row);
+  });
+}
+
+export async function countOpenSyncConflicts() {
+  return await withRetry(async () => {
+    const db = getDb();
+    const row = await db.getFirstAsync('SELECT COUNT(*) as count FROM sync_conflicts WHERE resolved_at IS NULL');
+    return row?.count || 0;
+  });
+}
+
+/**
+ * Combine both versions of a task conflict
+ * Starts from the remote version, merges the blocks three-way (the local edit wins
+ * blocks changed on both sides) and keeps the tags of both versions.
+ * @param {Object} conflict - Parsed conflict (see getSyncConflicts)
+ * @returns {Object} Task data in the same shape as local_data / remote_data
+ */
+export function mergeConflictVersions(conflict) {
+  const local = conflict.local_data || {};
+  const remote = conflict.remote_data || {};
+  const { description } = mergeDescriptions(
+    conflict.base_data?.description ?? null,
+    local.description,
+    remote.description,
+    { prefer: 'local' }
+  );
+  const tags = [...new Set([...(remote.tags || []), ...(local.tags || [])])].sort();
+  return { ...remote, description, tags };
+}
+
+/**
+ * Resolve a conflict by writing the chosen version to the local record
+ * The record is marked pending, so the next push sends the choice to the other devices.
+ * @param {number} id - Conflict ID
+ * @param {'local'|'remote'|'merge'} resolution - Version to keep ('merge' is only for tasks)
+ * @returns {Promise<Object>} The resolved conflict
+ * @throws {Error} If the conflict doesn't exist, is already resolved or can't be resolved this way
+ */
+export async function resolveSyncConflict(id, resolution) {
+  if (!CONFLICT_RESOLUTIONS.includes(resolution)) {
+    throw new Error(`Unknown resolution "${resolution}" (use ${CONFLICT_RESOLUTIONS.join(', ')})`);
+  }
+
+  const conflict = await getSyncConflictById(id);
+  if (!conflict) {
+    throw new Error(`Conflict ${id} not found`);
+  }
+  if (conflict.resolved_at) {
+    throw new Error(`Conflict ${id} is already resolved`);
+  }
+  if (resolution === 'merge' && conflict.table_name !== 'tasks') {
+    throw new Error('Only task conflicts can be merged');
+  }
+
+  const version = resolution === 'local'
+    ? conflict.local_data
+    : resolution === 'remote'
+      ? conflict.remote_data
+      : mergeConflictVersions(conflict);
+
+  return await withRetry(async () => {
+    const db = getDb();
+    await applyVersion(db, conflict.table_name, conflict.record_id, version);
+
+    const now = new Date().toISOString();
+    await db.runAsync(
+      'UPDATE sync_conflicts SET resolved_at = ?, resolution = ? WHERE id = ?',
+      [now, resolution, id]
+    );
+    console.log(`✅ Resolved sync conflict ${id} (${conflict.table_name} ${conflict.record_id}): kept ${resolution}`);
+    return { ...conflict, resolved_at: now, resolution };
+  });
+}
+
+/**
+ * Overwrite a local record with a snapshot and mark it for the next push
+ */
+async function applyVersion(db, tableName, recordId, data) {
+  const primaryKey = getPrimaryKey(tableName);
+  const existing = await db.getAllAsync(`PRAGMA table_info(${tableName})`);
+  const known = new Set(existing.map(column => column.name));
+  const columns = Object.keys(data).filter(
+    column => column !== primaryKey && known.has(column) && !NON_CONTENT_KEYS.includes(column)
+  );
+  const values = columns.map(column => {
+    const value = data[column];
+    return typeof value === 'boolean' ? (value ? 1 : 0) : value ?? null;
+  });
+
+  const result = await db.runAsync(
+    `UPDATE ${tableName} SET ${columns.map(column => `${column} = ?`).join(', ')}${columns.length > 0 ? ', ' : ''}updated_at = ?, sync_status = 'pending' WHERE ${primaryKey} = ?`,
+    [...values, new Date().toISOString(), recordId]
+  );
+  if (result.changes === 0) {
+    throw new Error(`${tableName} ${recordId} no longer exists locally`);
+  }
+  await enqueueMutation(tableName, recordId);
+
+  if (tableName === 'tasks') {
+    if (Array.isArray(data.tags)) {
+      await db.runAsync('DELETE FROM task_tags WHERE task_id = ?', [recordId]);
+      for (const name of data.tags) {
+        const tag = await getOrCreateTag(name);
+        await db.runAsync('INSERT OR IGNORE INTO task_tags (task_id, tag_id) VALUES (?, ?)', [recordId, tag.id]);
+      }
+    }
+    const row = await db.getFirstAsync('SELECT title, description FROM tasks WHERE id = ?', [recordId]);
+    await indexTask(Number(recordId), row.title, row.description);
+  }
+}
@@ -1,4 +1,6 @@
-import { getDb, withRetry } from '../lib/database.js';
+import { getDb, withRetry, withTransaction } from '../lib/database.js';
+import { trashTagLinks } from '../lib/trash.js';
+import { enqueueMutation } from './outbox.js';
 
 export async function getAllTags() {
   return await withRetry(async () => {
@@ -17,7 +19,7 @@ export async function getTagById(id) {
 }
 
 export async function createTag(name) {
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     // Explicitly set timestamps since ALTER TABLE might have added columns without defaults
     const now = new Date().toISOString();
@@ -26,13 +28,14 @@ export async function createTag(name) {
       [name, 'pending', now, now]
     );
     const tagId = result.lastInsertRowId;
+    await enqueueMutation('tags', tagId);
     
     return { id: tagId, name, created_at: now, updated_at: now };
   });
 }
 
 export async function updateTag(id, name) {
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     const now = new Date().toISOString();
     const result = await db.runAsync(
@@ -43,18 +46,19 @@ export async function updateTag(id, name) {
     if (result.changes === 0) {
       throw new Error('Tag not found');
     }
+    await enqueueMutation('tags', id);
     
     return { id, name };
   });
 }
 
 export async function deleteTag(id) {
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     const now = new Date().toISOString();
     
-    // Delete task_tags relationships (hard delete is fine for junction table)
-    await db.runAsync('DELETE FROM task_tags WHERE tag_id = ?', [id]);
+    // Its task links wait in the trash with it
+    await trashTagLinks(db, id);
     
     // Soft delete the tag
     const result = await db.runAsync(
@@ -65,6 +69,7 @@ export async function deleteTag(id) {
     if (result.changes === 0) {
       throw new Error('Tag not found');
     }
+    await enqueueMutation('tags', id, 'delete');
     
     return { id };
   });
@@ -91,7 +96,7 @@ export async function getTasksByTagId(tagId) {
  * @returns {Promise<Object>} The tag object with id and name
  */
 export async function getOrCreateTag(name) {
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     
     // Try to find existing tag
@@ -107,6 +112,7 @@ export async function getOrCreateTag(name) {
         [name, 'pending']
       );
       const tagId = result.lastInsertRowId;
+      await enqueueMutation('tags', tagId);
       tag = { id: tagId, name };
     }
     
@@ -0,0 +1,63 @@
+import { getDb, withRetry } from '../lib/database.js';
+import {
+  describeChanges,
+  getHistoryNames,
+  getTaskHistory as readTaskHistory,
+  getUndoState as readUndoState,
+  redoTaskChange,
+  undoTaskChange,
+} from '../lib/task-history.js';
+import { enqueueMutation } from './outbox.js';
+import { indexTask, removeTasksFromIndex } from './search.js';
+
+// Task history is recorded by repositories/tasks.js; the format lives in lib/task-history.js
+const helpers = { enqueueMutation, indexTask, removeTasksFromIndex };
+
+/**
+ * Changes to a task, newest first, for the timeline
+ * @param {number} taskId
+ * @returns {Promise<Array<Object>>} History rows with `changes` parsed and `lines` describing them
+ */
+export async function getTaskHistory(taskId) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const entries = await readTaskHistory(db, taskId);
+    const names = await getHistoryNames(db);
+    return entries.map(entry => ({ ...entry, lines: describeChanges(entry, names) }));
+  });
+}
+
+/**
+ * What undo and redo would change next
+ * @param {number} [taskId] - Only look at changes to this task
+ * @returns {Promise<{ undo: Array<Object>|null, redo: Array<Object>|null }>}
+ */
+export async function getUndoState(taskId = null) {
+  return await withRetry(async () => {
+    return await readUndoState(getDb(), taskId);
+  });
+}
+
+/**
+ * Undo the last change (to one task, or to any task)
+ * @param {number} [taskId]
+ * @returns {Promise<Object|null>} See undoTaskChange in lib/task-history.js; null when there is nothing to undo
+ */
+export async function undoLastChange(taskId = null) {
+  console.log(`↩️ Undoing the last change${taskId ? ` to task ${taskId}` : ''}`);
+  return await withRetry(async () => {
+    return await undoTaskChange(getDb(), helpers, { taskId, source: 'app' });
+  });
+}
+
+/**
+ * Redo the last undone change (to one task, or to any task)
+ * @param {number} [taskId]
+ * @returns {Promise<Object|null>} null when there is nothing to redo
+ */
+export async function redoLastChange(taskId = null) {
+  console.log(`↪️ Redoing the last undone change${taskId ? ` to task ${taskId}` : ''}`);
+  return await withRetry(async () => {
+    return await redoTaskChange(getDb(), helpers, { taskId, source: 'app' });
+  });
+}
@@ -1,4 +1,19 @@
-import { getDb, withRetry } from '../lib/database.js';
+import { ensureBlockIds } from '../lib/blocks-utils.js';
+import { getDb, withRetry, withTransaction } from '../lib/database.js';
+import { addDays, startOfDay } from '../lib/date-utils.js';
+import { compileFilterQuery } from '../lib/filter-query.js';
+import { getNextSchedule, isValidRecurrence, normalizeDateInput } from '../lib/recurrence.js';
+import { sortKeyAtEdge, sortKeyNextTo } from '../lib/sort-keys.js';
+import { diffTags, diffTask, getTaskTagIds, newBatchId, recordTaskHistory } from '../lib/task-history.js';
+import { trashTaskTags } from '../lib/trash.js';
+import { enqueueMutation, enqueueMutations } from './outbox.js';
+import { indexTask, removeTasksFromIndex } from './search.js';
+
+// Mutations take an optional `history` argument: { batchId, source } (see lib/task-history.js).
+// Pass one batchId to several calls to undo them as one step; the AI tools pass source 'ai'.
+function withSource(history) {
+  return { ...history, source: history.source || 'app' };
+}
 
 export async function getAllTasks() {
   return await withRetry(async () => {
@@ -18,7 +33,7 @@ export async function getTasksByProjectId(projectId) {
   return await withRetry(async () => {
     const db = getDb();
     const tasks = await db.getAllAsync(
-      'SELECT * FROM tasks WHERE project_id = ? AND deleted_at IS NULL ORDER BY id DESC',
+      'SELECT * FROM tasks WHERE project_id = ? AND deleted_at IS NULL ORDER BY sort_key, id',
       [projectId]
     );
     return tasks;
@@ -29,7 +44,7 @@ export async function getTasksBySectionId(sectionId) {
   return await withRetry(async () => {
     const db = getDb();
     const tasks = await db.getAllAsync(
-      'SELECT * FROM tasks WHERE section_id = ? AND deleted_at IS NULL ORDER BY id DESC',
+      'SELECT * FROM tasks WHERE section_id = ? AND deleted_at IS NULL ORDER BY sort_key, id',
       [sectionId]
     );
     return tasks;
@@ -49,28 +64,151 @@ export async function getTaskById(id) {
   });
 }
 
-export async function createTask(projectId, title, description = null, sectionId = null, parentId = null) {
-  console.log(`📝 Creating new task: "${title}" in project ${projectId}${sectionId ? `, section ${sectionId}` : ''}${parentId ? `, parent ${parentId}` : ''}`);
+/**
+ * Get a task, first storing block IDs in a description written before they existed
+ * For callers that address blocks by ID (the AI's get_task and edit_blocks), so the
+ * IDs they read are the ones later edits are checked against. Only the ID markers
+ * change, and they are derived from the content (the same on every device), so
+ * nothing is recorded in the history or queued for sync.
+ * @param {number} id
+ * @returns {Promise<Object|null>} As getTaskById
+ */
+export async function getTaskWithBlockIds(id) {
+  const task = await getTaskById(id);
+  if (!task?.description) {
+    return task;
+  }
+  const description = ensureBlockIds(task.description);
+  if (description === task.description) {
+    return task;
+  }
+  await withRetry(async () => {
+    const db = getDb();
+    await db.runAsync('UPDATE tasks SET description = ? WHERE id = ?', [description, id]);
+  });
+  return { ...task, description };
+}
+
+/**
+ * Get incomplete tasks that are overdue or due today
+ * @param {Date} [now] - Reference date
+ */
+export async function getTodayTasks(now = new Date()) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const endOfToday = addDays(startOfDay(now), 1).toISOString();
+    const tasks = await db.getAllAsync(`
+      SELECT t.*, p.name as project_name
+      FROM tasks t
+      LEFT JOIN projects p ON t.project_id = p.id
+      WHERE t.deleted_at IS NULL
+        AND t.completed = 0
+        AND t.due_at IS NOT NULL
+        AND datetime(t.due_at) < datetime(?)
+      ORDER BY datetime(t.due_at) ASC, t.id ASC
+    `, [endOfToday]);
+    return tasks;
+  });
+}
+
+/**
+ * Get incomplete tasks due in the days after today
+ * @param {number} [days] - How many days ahead to look (defaults to 14)
+ * @param {Date} [now] - Reference date
+ */
+export async function getUpcomingTasks(days = 14, now = new Date()) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const tomorrow = addDays(startOfDay(now), 1);
+    const tasks = await db.getAllAsync(`
+      SELECT t.*, p.name as project_name
+      FROM tasks t
+      LEFT JOIN projects p ON t.project_id = p.id
+      WHERE t.deleted_at IS NULL
+        AND t.completed = 0
+        AND t.due_at IS NOT NULL
+        AND datetime(t.due_at) >= datetime(?)
+        AND datetime(t.due_at) < datetime(?)
+      ORDER BY datetime(t.due_at) ASC, t.id ASC
+    `, [tomorrow.toISOString(), addDays(tomorrow, days).toISOString()]);
+    return tasks;
+  });
+}
+
+/**
+ * Get tasks matching a filter query expression (see lib/filter-query.js)
+ * @param {string} query - e.g. 'tag:work AND NOT tag:waiting AND completed:false'
+ * @throws {Error} If the query is invalid
+ */
+export async function getTasksByQuery(query) {
+  const { sql, params } = compileFilterQuery(query);
   return await withRetry(async () => {
     const db = getDb();
+    const tasks = await db.getAllAsync(`
+      SELECT t.*, p.name as project_name
+      FROM tasks t
+      LEFT JOIN projects p ON t.project_id = p.id
+      WHERE t.deleted_at IS NULL
+        AND ${sql}
+      ORDER BY t.id DESC
+    `, params);
+    return tasks;
+  });
+}
+
+export async function createTask(projectId, title, description = null, sectionId = null, parentId = null, schedule = {}, history = {}) {
+  console.log(`📝 Creating new task: "${title}" in project ${projectId}${sectionId ? `, section ${sectionId}` : ''}${parentId ? `, parent ${parentId}` : ''}`);
+  return await withTransaction(async () => {
+    const db = getDb();
+    const dueAt = normalizeDateInput(schedule.due_at) || null;
+    const startAt = normalizeDateInput(schedule.start_at) || null;
+    const recurrence = schedule.recurrence || null;
+    if (recurrence && !isValidRecurrence(recurrence)) {
+      throw new Error(`Invalid recurrence rule: ${recurrence}`);
+    }
+    const storedDescription = ensureBlockIds(description);
+    // New tasks go on top of the list, new subtasks below the others
+    const sortKey = await sortKeyAtEdge(db, { enqueueMutation }, 'tasks', { project_id: projectId, parent_id: parentId }, parentId ? 'end' : 'start');
+
     const result = await db.runAsync(
-      'INSERT INTO tasks (project_id, section_id, parent_id, title, description, sync_status) VALUES (?, ?, ?, ?, ?, ?)',
-      [projectId, sectionId, parentId, title, description, 'pending']
+      'INSERT INTO tasks (project_id, section_id, parent_id, title, description, due_at, start_at, recurrence, sort_key, sync_status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [projectId, sectionId, parentId, title, storedDescription, dueAt, startAt, recurrence, sortKey, 'pending']
     );
     const taskId = result.lastInsertRowId;
+    await indexTask(taskId, title, storedDescription);
+    await enqueueMutation('tasks', taskId);
+    const created = await db.getFirstAsync('SELECT * FROM tasks WHERE id = ?', [taskId]);
+    await recordTaskHistory(db, [{ task_id: taskId, action: 'create', changes: diffTask(null, created) }], withSource(history));
     
     console.log(`✅ Task created locally with ID: ${taskId}`);
     
-    return { id: taskId, project_id: projectId, section_id: sectionId, parent_id: parentId, title, description };
+    return { id: taskId, project_id: projectId, section_id: sectionId, parent_id: parentId, title, description: storedDescription, due_at: dueAt, start_at: startAt, recurrence, sort_key: sortKey };
   });
 }
 
-export async function updateTask(id, updates) {
+export async function updateTask(id, updates, history = {}) {
   console.log(`📝 Updating task ${id}:`, updates);
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     const now = new Date().toISOString();
-    const { project_id, section_id, parent_id, title, description, is_expanded, completed } = updates;
+    const { project_id, section_id, parent_id, title, is_expanded, completed, due_at, start_at, recurrence } = updates;
+    let { description, sort_key } = updates;
+    const previous = await db.getFirstAsync('SELECT * FROM tasks WHERE id = ?', [id]);
+    const movesScope = previous
+      && ((project_id !== undefined && project_id !== previous.project_id)
+        || (parent_id !== undefined && (parent_id || null) !== previous.parent_id));
+    if (sort_key === undefined && movesScope) {
+      // Moved to another project or parent: on top there, or below the other subtasks
+      const scope = {
+        project_id: project_id !== undefined ? project_id : previous.project_id,
+        parent_id: parent_id !== undefined ? parent_id || null : previous.parent_id,
+      };
+      sort_key = await sortKeyAtEdge(db, { enqueueMutation }, 'tasks', scope, scope.parent_id ? 'end' : 'start', id);
+    }
+    if (description) {
+      // Keep the IDs of blocks that were already stored (see lib/blocks-utils.js)
+      description = ensureBlockIds(description, previous?.description);
+    }
     
     // Build the query dynamically based on provided updates
     const fields = [];
@@ -83,6 +221,15 @@ export async function updateTask(id, updates) {
     if (description !== undefined) { fields.push('description = ?'); values.push(description); }
     if (is_expanded !== undefined) { fields.push('is_expanded = ?'); values.push(is_expanded ? 1 : 0); }
     if (completed !== undefined) { fields.push('completed = ?'); values.push(completed ? 1 : 0); }
+    if (due_at !== undefined) { fields.push('due_at = ?'); values.push(normalizeDateInput(due_at)); }
+    if (start_at !== undefined) { fields.push('start_at = ?'); values.push(normalizeDateInput(start_at)); }
+    if (recurrence !== undefined) {
+      if (recurrence && !isValidRecurrence(recurrence)) {
+        throw new Error(`Invalid recurrence rule: ${recurrence}`);
+      }
+      fields.push('recurrence = ?'); values.push(recurrence || null);
+    }
+    if (sort_key !== undefined) { fields.push('sort_key = ?'); values.push(sort_key); }
     
     fields.push('updated_at = ?'); values.push(now);
     fields.push('sync_status = ?'); values.push('pending');
@@ -101,6 +248,15 @@ export async function updateTask(id, updates) {
       console.error(`❌ Task ${id} not found for update`);
       throw new Error('Task not found');
     }
+    await enqueueMutation('tasks', id);
+    const updated = await db.getFirstAsync('SELECT * FROM tasks WHERE id = ?', [id]);
+    await recordTaskHistory(db, [{ task_id: id, action: 'update', changes: diffTask(previous, updated) }], withSource(history));
+
+    // Keep the search index in sync with title/block changes
+    if (title !== undefined || description !== undefined) {
+      const row = await db.getFirstAsync('SELECT title, description FROM tasks WHERE id = ?', [id]);
+      await indexTask(id, row.title, row.description);
+    }
     
     console.log(`✅ Task ${id} updated locally`);
     
@@ -108,31 +264,73 @@ export async function updateTask(id, updates) {
   });
 }
 
-export async function deleteTask(id) {
+/**
+ * Move a task right before or after another one
+ * The task joins the other one's project, section and parent.
+ * @param {number} id
+ * @param {Object} position - { beforeId } or { afterId }
+ * @param {Object} [history] - { batchId, source } for the task history
+ * @returns {Promise<Object>} The updates made
+ */
+export async function moveTask(id, { beforeId = null, afterId = null }, history = {}) {
+  const targetId = beforeId ?? afterId;
+  console.log(`↕️ Moving task ${id} ${beforeId ? 'before' : 'after'} task ${targetId}`);
+  const updates = await withTransaction(async () => {
+    const db = getDb();
+    const task = await db.getFirstAsync('SELECT id FROM tasks WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!task) {
+      throw new Error('Task not found');
+    }
+    const { sortKey, target } = await sortKeyNextTo(db, { enqueueMutation }, 'tasks', id, targetId, beforeId ? 'before' : 'after');
+    // A task can't become a subtask of itself or of one of its subtasks
+    for (let ancestorId = target.parent_id; ancestorId; ) {
+      if (ancestorId === id) {
+        throw new Error(`Task ${targetId} is a subtask of task ${id}`);
+      }
+      const ancestor = await db.getFirstAsync('SELECT parent_id FROM tasks WHERE id = ?', [ancestorId]);
+      ancestorId = ancestor ? ancestor.parent_id : null;
+    }
+    return { project_id: target.project_id, section_id: target.section_id, parent_id: target.parent_id, sort_key: sortKey };
+  });
+  return await updateTask(id, updates, history);
+}
+
+export async function deleteTask(id, history = {}) {
+  const task = await getTaskById(id);
+  if (!task) {
+    console.error(`❌ Task ${id} not found for deletion`);
+    throw new Error('Task not found');
+  }
+
   console.log(`🗑️ Soft deleting task ${id}`);
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     const now = new Date().toISOString();
+    // For the history: the task and subtasks this deletes, and the tags it drops
+    const deleting = await db.getAllAsync(
+      'SELECT id FROM tasks WHERE (id = ? OR parent_id = ?) AND deleted_at IS NULL ORDER BY id',
+      [id, id]
+    );
+    const tagIds = await getTaskTagIds(db, id);
     
-    // Delete task_tags relationships
-    await db.runAsync('DELETE FROM task_tags WHERE task_id = ?', [id]);
+    // Their tags wait in the trash with them
+    await trashTaskTags(db, deleting.map(task => task.id));
     
-    // Soft delete the task
-    const result = await db.runAsync(
-      'UPDATE tasks SET deleted_at = ?, sync_status = ? WHERE id = ?',
-      [now, 'pending_delete', id]
-    );
-
-    // Soft delete all sub-tasks
+    // Soft delete the task and its sub-tasks
     await db.runAsync(
-      'UPDATE tasks SET deleted_at = ?, sync_status = ? WHERE parent_id = ?',
-      [now, 'pending_delete', id]
+      'UPDATE tasks SET deleted_at = ?, sync_status = ? WHERE (id = ? OR parent_id = ?) AND deleted_at IS NULL',
+      [now, 'pending_delete', id, id]
     );
-    
-    if (result.changes === 0) {
-      console.error(`❌ Task ${id} not found for deletion`);
-      throw new Error('Task not found');
-    }
+    await removeTasksFromIndex(deleting.map(t => t.id));
+    await enqueueMutations('tasks', '(id = ? OR parent_id = ?) AND deleted_at = ?', [id, id, now], 'delete');
+
+    await recordTaskHistory(db, deleting.map(task => ({
+      task_id: task.id,
+      action: 'delete',
+      changes: task.id === id && tagIds.length > 0
+        ? { deleted_at: [null, now], tags: [tagIds, []] }
+        : { deleted_at: [null, now] },
+    })), withSource(history));
     
     console.log(`✅ Task ${id} and its subtasks soft deleted locally`);
     
@@ -140,11 +338,85 @@ export async function deleteTask(id) {
   });
 }
 
+/**
+ * Mark a task as completed
+ * If the task has a recurrence rule, the next occurrence is created and the
+ * rule moves over to it (so re-completing the old task won't spawn a duplicate).
+ * @param {number} id - The task ID
+ * @param {Object} [history] - { batchId, source } for the task history
+ * @returns {Promise<Object>} { id, completed, next_task }
+ */
+export async function completeTask(id, history = {}) {
+  const task = await getTaskById(id);
+  if (!task) {
+    console.error(`❌ Task ${id} not found for completion`);
+    throw new Error('Task not found');
+  }
+
+  // One undo step for the completion and the next occurrence
+  const batch = { ...history, batchId: history.batchId || newBatchId() };
+  await updateTask(id, { completed: 1 }, batch);
+
+  let nextTask = null;
+  if (!task.completed && task.recurrence) {
+    nextTask = await createNextOccurrence(task, batch);
+    await updateTask(id, { recurrence: null }, batch);
+  }
+
+  return { id, completed: true, next_task: nextTask };
+}
+
+/**
+ * Create the next occurrence of a recurring task
+ * Copies project, section, parent, title, blocks (with checkboxes reset) and tags.
+ * @param {Object} task - The task being completed
+ * @param {Object} [history] - { batchId, source } for the task history
+ * @returns {Promise<Object|null>} The new task, or null if the rule has ended
+ */
+export async function createNextOccurrence(task, history = {}) {
+  const schedule = getNextSchedule(task);
+  if (!schedule) {
+    console.log(`ℹ️ Recurrence for task ${task.id} has ended`);
+    return null;
+  }
+
+  const description = task.description
+    ? task.description.replace(/^(\s*-\s*)\[x\]/gim, '$1[ ]')
+    : task.description;
+
+  const batchId = history.batchId || newBatchId();
+  const nextTask = await createTask(
+    task.project_id,
+    task.title,
+    description,
+    task.section_id,
+    task.parent_id,
+    schedule,
+    { ...history, batchId }
+  );
+
+  await withTransaction(async () => {
+    const db = getDb();
+    await db.runAsync(
+      'INSERT OR IGNORE INTO task_tags (task_id, tag_id) SELECT ?, tag_id FROM task_tags WHERE task_id = ?',
+      [nextTask.id, task.id]
+    );
+    const tagIds = await getTaskTagIds(db, nextTask.id);
+    if (tagIds.length > 0) {
+      await recordTaskHistory(db, [{ task_id: nextTask.id, action: 'update', changes: { tags: [[], tagIds] } }], withSource({ ...history, batchId }));
+    }
+  });
+
+  console.log(`🔁 Created next occurrence of task ${task.id}: ${nextTask.id} (due ${schedule.due_at || schedule.start_at})`);
+
+  return nextTask;
+}
+
 export async function getSubTasks(parentId) {
   return await withRetry(async () => {
     const db = getDb();
     const tasks = await db.getAllAsync(
-      'SELECT * FROM tasks WHERE parent_id = ? AND deleted_at IS NULL ORDER BY completed ASC, id ASC',
+      'SELECT * FROM tasks WHERE parent_id = ? AND deleted_at IS NULL ORDER BY completed ASC, sort_key, id',
       [parentId]
     );
     return tasks;
@@ -200,9 +472,10 @@ export async function getTagsForTasks(taskIds) {
   });
 }
 
-export async function addTagToTask(taskId, tagId) {
-  return await withRetry(async () => {
+export async function addTagToTask(taskId, tagId, history = {}) {
+  return await withTransaction(async () => {
     const db = getDb();
+    const previousTagIds = await getTaskTagIds(db, taskId);
     await db.runAsync(
       'INSERT OR IGNORE INTO task_tags (task_id, tag_id) VALUES (?, ?)',
       [taskId, tagId]
@@ -214,14 +487,21 @@ export async function addTagToTask(taskId, tagId) {
       'UPDATE tasks SET updated_at = ?, sync_status = ? WHERE id = ?',
       [now, 'pending', taskId]
     );
+    await enqueueMutation('tasks', taskId);
+    await recordTaskHistory(db, [{
+      task_id: taskId,
+      action: 'update',
+      changes: diffTags(previousTagIds, await getTaskTagIds(db, taskId)),
+    }], withSource(history));
 
     return { task_id: taskId, tag_id: tagId };
   });
 }
 
-export async function removeTagFromTask(taskId, tagId) {
-  return await withRetry(async () => {
+export async function removeTagFromTask(taskId, tagId, history = {}) {
+  return await withTransaction(async () => {
     const db = getDb();
+    const previousTagIds = await getTaskTagIds(db, taskId);
     const result = await db.runAsync(
       'DELETE FROM task_tags WHERE task_id = ? AND tag_id = ?',
       [taskId, tagId]
@@ -233,21 +513,38 @@ export async function removeTagFromTask(taskId, tagId) {
       'UPDATE tasks SET updated_at = ?, sync_status = ? WHERE id = ?',
       [now, 'pending', taskId]
     );
+    await enqueueMutation('tasks', taskId);
+    await recordTaskHistory(db, [{
+      task_id: taskId,
+      action: 'update',
+      changes: diffTags(previousTagIds, await getTaskTagIds(db, taskId)),
+    }], withSource(history));
 
     return { task_id: taskId, tag_id: tagId };
   });
 }
 
-export async function assignAllTasksToSection(projectId, sectionId) {
+export async function assignAllTasksToSection(projectId, sectionId, history = {}) {
   console.log(`📝 Assigning all tasks in project ${projectId} to section ${sectionId}`);
-  return await withRetry(async () => {
+  return await withTransaction(async () => {
     const db = getDb();
     const now = new Date().toISOString();
+    const moved = await db.getAllAsync(
+      'SELECT id FROM tasks WHERE project_id = ? AND deleted_at IS NULL AND section_id IS NULL ORDER BY id',
+      [projectId]
+    );
+    await enqueueMutations('tasks', 'project_id = ? AND deleted_at IS NULL AND section_id IS NULL', [projectId]);
     const result = await db.runAsync(
       'UPDATE tasks SET section_id = ?, updated_at = ?, sync_status = ? WHERE project_id = ? AND deleted_at IS NULL AND section_id IS NULL',
       [sectionId, now, 'pending', projectId]
     );
     
+    await recordTaskHistory(db, moved.map(task => ({
+      task_id: task.id,
+      action: 'update',
+      changes: { section_id: [null, sectionId] },
+    })), withSource(history));
+    
     console.log(`✅ Assigned ${result.changes} tasks to section ${sectionId}`);
     
     return { count: result.changes };
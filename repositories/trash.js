@@ -0,0 +1,66 @@
+import { getDb, withRetry } from '../lib/database.js';
+import {
+  getTrash as readTrash,
+  getTrashRetention as readTrashRetention,
+  purgeTrash as purgeTrashRows,
+  restoreFromTrash,
+  setTrashRetention as writeTrashRetention,
+} from '../lib/trash.js';
+import { enqueueMutation } from './outbox.js';
+import { indexTask } from './search.js';
+
+// Restore and purge rules live in lib/trash.js (shared with the CLI)
+const helpers = { enqueueMutation, indexTask };
+
+/**
+ * Everything in the trash, newest deletion first
+ * @returns {Promise<Object>} See getTrash in lib/trash.js
+ */
+export async function getTrash() {
+  return await withRetry(async () => {
+    return await readTrash(getDb());
+  });
+}
+
+/**
+ * Restore a project, section, task or tag from the trash
+ * @param {'projects'|'sections'|'tasks'|'tags'} table
+ * @param {number} id
+ * @returns {Promise<Object>} Restored ids per table
+ */
+export async function restoreTrashItem(table, id) {
+  console.log(`♻️ Restoring ${table.slice(0, -1)} ${id} from the trash`);
+  return await withRetry(async () => {
+    return await restoreFromTrash(getDb(), helpers, table, id, { source: 'app' });
+  });
+}
+
+/**
+ * Delete trash rows for good
+ * @param {Object} [options] - { retentionDays, all }
+ * @returns {Promise<Object>} Rows purged per table, and `waiting` (expired but not pushed yet)
+ */
+export async function purgeTrash(options = {}) {
+  return await withRetry(async () => {
+    return await purgeTrashRows(getDb(), options);
+  });
+}
+
+/**
+ * Days deleted items stay in the trash
+ * @returns {Promise<number>}
+ */
+export async function getTrashRetention() {
+  return await withRetry(async () => {
+    return await readTrashRetention(getDb());
+  });
+}
+
+/**
+ * @param {number} days
+ */
+export async function setTrashRetention(days) {
+  return await withRetry(async () => {
+    await writeTrashRetention(getDb(), days);
+  });
+}